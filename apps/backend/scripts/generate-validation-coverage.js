@@ -2,7 +2,7 @@
 /**
  * Validation Coverage Documentation Generator
  *
- * Reads COVERAGE metadata from validators/coverage.js and generates
+ * Reads COVERAGE metadata from @adas/skill-validator (validators/coverage.js) and generates
  * the VALIDATION_COVERAGE.md documentation file.
  *
  * Usage: npm run generate:coverage
@@ -16,7 +16,7 @@ import { writeFileSync } from 'fs';
 import {
   ALL_COVERAGE,
   COVERAGE_GAPS,
-} from '../src/validators/coverage.js';
+} from '@adas/skill-validator/src/validators/coverage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -0,0 +1,231 @@
+/**
+ * Fake Core Admin API — the cp.admin_api tool of Core's MCP server
+ *
+ * Implements the methods services/cpAdminBridge.js calls, over the
+ * tenant's in-memory state. Errors carry statusCode 400 / 404 and are
+ * returned to the MCP caller as JSON-RPC errors.
+ *
+ * @module fakeCore/adminApi
+ */
+
+function adminError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function requireActor(bucket, actorId) {
+  const actor = bucket.actors.get(actorId);
+  if (!actor) throw adminError(`Actor ${actorId} not found`, 404);
+  return actor;
+}
+
+function page(items, { limit = 50, offset = 0 } = {}) {
+  const start = Number(offset) || 0;
+  const size = Number(limit) || 50;
+  return { items: items.slice(start, start + size), paging: { total: items.length, limit: size, offset: start } };
+}
+
+/** Triggers of the imported skills, with their fake Core status */
+function triggerList(bucket, skillSlug) {
+  const triggers = [];
+  for (const [slug, entry] of bucket.skills) {
+    if (skillSlug && slug !== skillSlug) continue;
+    for (const trigger of entry.skill.triggers || []) {
+      const status = bucket.triggers.get(`${slug}/${trigger.id}`);
+      triggers.push({
+        ...trigger,
+        skillSlug: slug,
+        active: status ? status.active : trigger.enabled !== false,
+        lastRun: status?.executions.at(-1)?.at || null,
+        nextRun: null,
+      });
+    }
+  }
+  return triggers;
+}
+
+function setTriggerActive(bucket, { skillSlug, triggerId }, active) {
+  const trigger = triggerList(bucket, skillSlug).find(t => t.id === triggerId);
+  if (!trigger) throw adminError(`Trigger ${skillSlug}/${triggerId} not found`, 404);
+  const key = `${skillSlug}/${triggerId}`;
+  const status = bucket.triggers.get(key) || { active, executions: [] };
+  status.active = active;
+  bucket.triggers.set(key, status);
+  return { trigger: { ...trigger, active } };
+}
+
+function deepMerge(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') {
+      deepMerge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Build the cp.admin_api dispatcher.
+ *
+ * @param {ReturnType<import('./state.js').createState>} state
+ * @returns {(bucket: Object, method: string, params?: Object) => Object}
+ */
+export function createAdminApi(state) {
+  const methods = {
+    // ── Actors ──
+    listActors(bucket, params) {
+      const actors = [...bucket.actors.values()].filter(a => !params.status || a.status === params.status);
+      const { items, paging } = page(actors, params);
+      return { actors: items, paging };
+    },
+    getActor(bucket, { actorId }) {
+      const actor = requireActor(bucket, actorId);
+      return { actor, tokens: [...bucket.tokens.values()].filter(t => t.actorId === actorId && !t.revoked).map(({ token, ...t }) => t) };
+    },
+    createActor(bucket, params) {
+      const actor = {
+        actorId: state.nextId(bucket, 'actor'),
+        actorType: params.actorType || 'external_user',
+        roles: params.roles || [],
+        displayName: params.displayName || null,
+        identities: params.identities || [],
+        status: params.status || 'active',
+        createdAt: new Date().toISOString(),
+      };
+      bucket.actors.set(actor.actorId, actor);
+      state.audit(bucket, 'createActor', { actorId: actor.actorId });
+      return { actor };
+    },
+    updateActor(bucket, { actorId, roles }) {
+      const actor = requireActor(bucket, actorId);
+      actor.roles = roles || [];
+      return { actor };
+    },
+    approveActor(bucket, { actorId }) {
+      const actor = requireActor(bucket, actorId);
+      actor.status = 'active';
+      return { actor };
+    },
+    deactivateActor(bucket, { actorId }) {
+      const actor = requireActor(bucket, actorId);
+      actor.status = 'inactive';
+      return { actor };
+    },
+
+    // ── Identities ──
+    linkIdentity(bucket, { actorId, provider, externalId }) {
+      const actor = requireActor(bucket, actorId);
+      if (!actor.identities.some(i => i.provider === provider && i.externalId === externalId)) {
+        actor.identities.push({ provider, externalId });
+      }
+      return { actor };
+    },
+    unlinkIdentity(bucket, { actorId, provider, externalId }) {
+      const actor = requireActor(bucket, actorId);
+      actor.identities = actor.identities.filter(i => !(i.provider === provider && i.externalId === externalId));
+      return { actor };
+    },
+
+    // ── Tokens ──
+    createToken(bucket, { actorId, scopes = ['*'] }) {
+      requireActor(bucket, actorId);
+      const id = state.nextId(bucket, 'tok');
+      const token = `adas_fake_${id}`;
+      bucket.tokens.set(id, { id, actorId, token, scopes, created_at: new Date().toISOString(), revoked: false });
+      state.audit(bucket, 'createToken', { actorId, tokenId: id });
+      return { id, token, prefix: token.slice(0, 14) };
+    },
+    revokeToken(bucket, { tokenId }) {
+      const token = bucket.tokens.get(tokenId);
+      if (!token) throw adminError(`Token ${tokenId} not found`, 404);
+      token.revoked = true;
+      return { success: true };
+    },
+    listTokens(bucket, { actorId }) {
+      return { tokens: [...bucket.tokens.values()].filter(t => t.actorId === actorId).map(({ token, ...t }) => t) };
+    },
+
+    // ── Audit ──
+    listAudit(bucket, params) {
+      const { items, paging } = page([...bucket.audit].reverse(), params);
+      return { events: items, paging };
+    },
+
+    // ── Email / Telegram ──
+    listEmailAliases(bucket) {
+      return { aliases: bucket.emailConfig?.aliases || [] };
+    },
+    setEmailConfig(bucket, params) {
+      bucket.emailConfig = { ...params };
+      return { ok: true, config: bucket.emailConfig };
+    },
+    getEmailConfig(bucket) {
+      return { ok: true, config: bucket.emailConfig };
+    },
+    testEmailConnection() {
+      return { ok: true, message: 'Fake ADAS Core: no mail is sent' };
+    },
+    setTelegramConfig(bucket, params) {
+      bucket.telegramConfig = { ...params };
+      return { ok: true, config: bucket.telegramConfig };
+    },
+    getTelegramConfig(bucket) {
+      return { ok: true, config: bucket.telegramConfig };
+    },
+    testTelegramConnection() {
+      return { ok: true, message: 'Fake ADAS Core: no message is sent' };
+    },
+
+    // ── Triggers ──
+    listTriggers(bucket, params) {
+      const triggers = triggerList(bucket, params.skillSlug)
+        .filter(t => params.status === undefined || (params.status === 'active') === t.active);
+      const { items, paging } = page(triggers, params);
+      return { triggers: items, paging };
+    },
+    getTrigger(bucket, { skillSlug, triggerId }) {
+      const trigger = triggerList(bucket, skillSlug).find(t => t.id === triggerId);
+      if (!trigger) throw adminError(`Trigger ${skillSlug}/${triggerId} not found`, 404);
+      return { trigger };
+    },
+    enableTrigger(bucket, params) {
+      return setTriggerActive(bucket, params, true);
+    },
+    disableTrigger(bucket, params) {
+      return setTriggerActive(bucket, params, false);
+    },
+    getTriggerHistory(bucket, { skillSlug, triggerId, limit = 20 }) {
+      const executions = bucket.triggers.get(`${skillSlug}/${triggerId}`)?.executions || [];
+      return { executions: executions.slice(-limit).reverse() };
+    },
+
+    // ── Retention / routing ──
+    retentionCleanup(bucket, { dryRun = false } = {}) {
+      return { ok: true, dryRun, stats: { jobs: 0, conversations: 0 } };
+    },
+    getRoutingConfig(bucket) {
+      return { ok: true, config: bucket.routingConfig };
+    },
+    updateRoutingConfig(bucket, params) {
+      deepMerge(bucket.routingConfig, { channels: params.channels, policies: params.policies });
+      return { ok: true, config: bucket.routingConfig };
+    },
+  };
+
+  return (bucket, method, params = {}) => {
+    if (!Object.hasOwn(methods, method)) throw adminError(`Unknown cp.admin_api method: ${method}`);
+    return methods[method](bucket, params || {});
+  };
+}
+
+/** Method names, for the MCP tools/list schema */
+export const ADMIN_METHODS = [
+  'listActors', 'getActor', 'createActor', 'updateActor', 'approveActor', 'deactivateActor',
+  'linkIdentity', 'unlinkIdentity', 'createToken', 'revokeToken', 'listTokens', 'listAudit',
+  'listEmailAliases', 'setEmailConfig', 'getEmailConfig', 'testEmailConnection',
+  'setTelegramConfig', 'getTelegramConfig', 'testTelegramConnection',
+  'listTriggers', 'getTrigger', 'enableTrigger', 'disableTrigger', 'getTriggerHistory',
+  'retentionCleanup', 'getRoutingConfig', 'updateRoutingConfig',
+];
@@ -0,0 +1,216 @@
+/**
+ * Fake ADAS Core Tests
+ *
+ * Starts the fake in-process and drives it through the real adasCoreClient
+ * and cpAdminBridge, the way the builder talks to Core.
+ *
+ * Run with: node src/fakeCore/fakeCore.test.js
+ */
+
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+// Point the store at a scratch directory before it is loaded
+const memoryRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'fake-core-'));
+process.env.MEMORY_PATH = memoryRoot;
+
+const orderSkill = {
+  id: 'order-support',
+  name: 'Order Support',
+  intents: {
+    supported: [{ id: 'track', description: 'Track where an order is', examples: ['where is my order'], maps_to_workflow: 'wf_track' }],
+  },
+  policy: { workflows: [{ id: 'wf_track', steps: ['orders.get_status'] }] },
+  tools: [{
+    id: 'orders.get_status',
+    name: 'orders.get_status',
+    description: 'Order status by id',
+    inputs: [{ name: 'order_id', type: 'string', required: true }],
+    mock: { examples: [{ input: { order_id: 'sample_order_id' }, output: { status: 'shipped' } }] },
+  }],
+  triggers: [{ id: 'daily_digest', type: 'schedule', every: 'P1D', enabled: true }],
+};
+
+// adasCoreClient and cpAdminBridge read their Core URLs at import time, and the
+// fake itself imports adasCoreClient (via the mock runner): pick a free port first
+const port = await new Promise((resolve) => {
+  const probe = net.createServer().listen(0, '127.0.0.1', () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+process.env.ADAS_CORE_URL = `http://127.0.0.1:${port}`;
+process.env.CORE_MCP_URL = `http://127.0.0.1:${port}/mcp`;
+
+const { startFakeCore } = await import('./index.js');
+const core = await startFakeCore({
+  port,
+  responses: [
+    { match: 'refund', skill: 'order-support', steps: [{ tool: 'orders.refund', args: { order_id: 'A1' }, result: { ok: true } }], reply: 'Refund issued.' },
+    { match: '/^slow/', reply: 'Finally.', delay_ms: 200 },
+  ],
+  connectors: { 'orders-mcp': { tools: [{ name: 'get_status' }], results: { get_status: { status: 'shipped' } } } },
+  loadSkill: async (tenant, slug) => (slug === 'order-support' ? orderSkill : null),
+});
+
+const { default: adasCore } = await import('../services/adasCoreClient.js');
+const cpAdmin = await import('../services/cpAdminBridge.js');
+const { runWithTenant } = await import('../utils/tenantContext.js');
+
+// ═══════════════════════════════════════════════════════════════
+// TEST UTILITIES
+// ═══════════════════════════════════════════════════════════════
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+    console.log(`    Expected: ${JSON.stringify(expected)}`);
+    console.log(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+async function waitForJob(id) {
+  for (let i = 0; i < 50; i++) {
+    const job = await adasCore.getJob(id);
+    if (job.done) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+const inTenant = (fn) => runWithTenant('main', fn);
+
+// ═══════════════════════════════════════════════════════════════
+// SKILLS & CONNECTORS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nSkills & connectors');
+console.log('───────────────────');
+
+await inTenant(async () => {
+  await adasCore.importSkill('order-support', orderSkill, { id: 'shop' });
+  const skills = await adasCore.getSkills();
+  assertEqual(skills.map(s => [s.slug, s.solutionId]), [['order-support', 'shop']], 'Imported skills are listed with their solution');
+
+  const mcp = await adasCore.deployMcp('order-support', '@mcp.tool()\ndef get_skill_definition():\n  pass\n@mcp.tool()\nasync def get_status():\n  pass\n');
+  assertEqual([mcp.tools, mcp.hasGetSkillDefinition], [2, true], 'deploy-mcp counts the tools in the server code');
+
+  await adasCore.syncConnector({ id: 'orders-mcp', name: 'Orders', transport: 'stdio' });
+  await adasCore.syncConnector({ id: 'orders-mcp', name: 'Orders v2', transport: 'stdio' });
+  assertEqual((await adasCore.getConnectors()).map(c => c.name), ['Orders v2'], 'syncConnector creates, then updates');
+
+  const started = await adasCore.startConnector('orders-mcp');
+  assertEqual([started.status, started.tools.map(t => t.name)], ['connected', ['get_status']], 'Connecting serves the scripted tools');
+  assertEqual(await adasCore.callConnectorTool('orders-mcp', 'get_status', { id: 1 }), { status: 'shipped' }, 'Tool calls return the scripted result');
+  assertEqual(await adasCore.getConnector('missing'), null, 'Unknown connectors are 404s');
+
+  await adasCore.deleteSkill('order-support');
+  assertEqual(await adasCore.getSkills(), [], 'Skills can be deleted');
+  await adasCore.importSkill('order-support', orderSkill, { id: 'shop' });
+});
+
+await runWithTenant('acme', async () => {
+  assertEqual(await adasCore.getSkills(), [], 'Tenants do not see each other\'s skills');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// JOBS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nJobs');
+console.log('────');
+
+await inTenant(async () => {
+  const scripted = await waitForJob((await adasCore.startChat({ goal: 'I want a refund' })).id);
+  assertEqual(scripted.state.steps.__exec.iter.map(s => s.tool), ['sys.handoffToSkill', 'orders.refund'], 'Auto-routed scripted turns start with the handoff');
+  assertEqual([scripted.status, scripted.summary], ['done', 'Refund issued.'], 'Scripted turns reply with the script');
+
+  const mocked = await waitForJob((await adasCore.startChat({ goal: 'where is my order', skillSlug: 'order-support' })).jobId);
+  const [step] = mocked.state.steps.__exec.iter;
+  assertEqual([step.tool, step.result.status], ['orders.get_status', 'shipped'], 'Unscripted turns run the skill\'s tool mocks');
+
+  const slow = await adasCore.startChat({ goal: 'slow one' });
+  assertEqual((await adasCore.getJob(slow.id)).status, 'running', 'delay_ms keeps the job running');
+  await adasCore.abortJob(slow.id);
+  assertEqual((await waitForJob(slow.id)).status, 'aborted', 'Running jobs can be aborted');
+
+  assertEqual((await adasCore.getJob('job_missing')).status, 'unknown', 'Unknown jobs report status unknown');
+  const { jobs } = await adasCore.listJobs({ skillSlug: 'order-support' });
+  assertEqual(jobs.length, 2, 'Jobs can be listed per skill');
+
+  const pipeline = await adasCore.testPipeline({ message: 'where is my order', skillSlug: 'order-support' });
+  assertEqual([pipeline.intent.id, pipeline.planned_action.tool], ['track', 'orders.get_status'], 'test-pipeline plans without running');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CP.ADMIN_API
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\ncp.admin_api');
+console.log('────────────');
+
+await inTenant(async () => {
+  const { actor, token } = await cpAdmin.getOrCreateTokenForIdentity({ provider: 'email', externalId: 'a@b.c' });
+  const again = await cpAdmin.findOrCreateActorForIdentity({ provider: 'email', externalId: 'A@B.C' });
+  assertEqual([again.created, again.actor.actorId], [false, actor.actorId], 'Actors are found again by identity');
+  assert(token.startsWith('adas_'), 'Tokens look like PATs');
+
+  const res = await fetch(`${core.url}/api/auth/verify-pat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token }),
+  });
+  assertEqual((await res.json()).actorId, actor.actorId, 'Issued tokens pass verify-pat');
+
+  const { triggers } = await cpAdmin.listTriggers({ skillSlug: 'order-support' });
+  assertEqual(triggers.map(t => [t.id, t.active]), [['daily_digest', true]], 'Triggers come from imported skills');
+  await cpAdmin.disableTrigger('order-support', 'daily_digest');
+  assertEqual((await cpAdmin.getTrigger('order-support', 'daily_digest')).trigger.active, false, 'Triggers can be disabled');
+
+  await cpAdmin.updateRoutingConfig({ channels: { email: { default_skill: 'order-support' } } });
+  assertEqual((await cpAdmin.getRoutingConfig()).config.channels.email.default_skill, 'order-support', 'Routing config round-trips');
+
+  let error = null;
+  try {
+    await cpAdmin.getActor('actor_missing');
+  } catch (err) {
+    error = err;
+  }
+  assert(/not found/.test(error?.message), 'Admin errors surface as MCP errors');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+await core.close();
+await fs.rm(memoryRoot, { recursive: true, force: true });
+
+console.log('');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`Tests Passed: ${testsPassed}`);
+console.log(`Tests Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════════════');
+
+// The store's tenant context keeps a refresh timer alive
+process.exit(testsFailed > 0 ? 1 : 0);
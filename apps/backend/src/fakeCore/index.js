@@ -0,0 +1,506 @@
+/**
+ * Fake ADAS Core — in-memory stand-in for Core's REST API and MCP admin tool
+ *
+ * Implements the endpoints services/adasCoreClient.js, middleware/attachTenant.js
+ * and utils/tenantContext.js call, plus the cp.admin_api tool that
+ * services/cpAdminBridge.js calls over MCP JSON-RPC (POST /mcp). Everything
+ * lives in memory (see ./state.js); jobs run from scripted responses or the
+ * builder's own tool mocks (see ./jobs.js), never an LLM or a live connector.
+ *
+ * Point the builder at it with:
+ *   ADAS_CORE_URL=http://localhost:4100
+ *   CORE_MCP_URL=http://localhost:4100/mcp
+ *
+ * Tests start it in-process. adasCoreClient and cpAdminBridge read their
+ * URLs at import, so pick the port and set the env before importing either
+ * (this module included — its mock runner pulls in adasCoreClient):
+ *   process.env.ADAS_CORE_URL = `http://127.0.0.1:${port}`;
+ *   const { startFakeCore } = await import('./fakeCore/index.js');
+ *   const core = await startFakeCore({ port, responses: [...] });
+ *   ...
+ *   await core.close();
+ *
+ * Script (options or FAKE_CORE_SCRIPT file, see script.example.yaml):
+ *   { responses: [{ match, skill?, steps?, reply?, status?, error?, delay_ms? }],
+ *     connectors: { <connectorId>: { tools?: [...], results?: { <tool>: any } } },
+ *     settings?: {...} }
+ *
+ * @module fakeCore
+ */
+
+import express from 'express';
+import { createState, addJob } from './state.js';
+import { resolveTurn, runTurn, pipelineResult } from './jobs.js';
+import { createAdminApi, ADMIN_METHODS } from './adminApi.js';
+import skillsStore from '../store/skills.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+
+const DEFAULT_TENANT = 'main';
+const QUIET_LOG = { debug() {}, info() {}, warn() {}, error() {} };
+
+/** Skill definition from the builder's own store, or null */
+async function loadBuilderSkill(tenant, slug) {
+  try {
+    return await runWithTenant(tenant, () => skillsStore.load(slug));
+  } catch {
+    return null;
+  }
+}
+
+function countTools(code) {
+  const names = new Set();
+  for (const match of String(code || '').matchAll(/@mcp\.tool\(\)\s*\n\s*(?:async\s+)?def\s+(\w+)|server\.tool\(\s*['"]([\w.-]+)['"]/g)) {
+    names.add(match[1] || match[2]);
+  }
+  return [...names];
+}
+
+function jobView(job) {
+  const { _turn, ...view } = job;
+  return view;
+}
+
+function jobListItem(job) {
+  return {
+    id: job.id,
+    skillSlug: job.skillSlug,
+    goal: job.goal,
+    status: job.status,
+    createdAt: job.createdAt,
+    lastUpdate: job.lastUpdate,
+  };
+}
+
+/**
+ * Create the fake Core express app.
+ *
+ * @param {Object} [opts]
+ * @param {Object[]} [opts.responses] - Scripted chat responses
+ * @param {Object} [opts.connectors] - Scripted connector tools / call results by connector id
+ * @param {Object} [opts.settings] - Returned by GET /api/settings
+ * @param {string[]} [opts.tenants] - Tenants known before any request
+ * @param {(tenant: string, slug: string) => Promise<Object|null>} [opts.loadSkill] - Skill
+ *   definition used for mock runs; defaults to the builder's skill store
+ * @param {Object} [opts.log]
+ * @returns {{ app: import('express').Express, state: Object, script: Object }}
+ */
+export function createFakeCore({
+  responses = [],
+  connectors = {},
+  settings = {},
+  tenants,
+  loadSkill = loadBuilderSkill,
+  log = QUIET_LOG,
+} = {}) {
+  const state = createState({ tenants });
+  const adminApi = createAdminApi(state);
+  // Mutable so tests can swap responses between cases
+  const script = { responses, connectors, settings };
+  const app = express();
+  app.use(express.json({ limit: '50mb' }));
+
+  app.use((req, res, next) => {
+    req.bucket = state.tenant(req.get('x-adas-tenant') || DEFAULT_TENANT);
+    next();
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // AUTH & TENANTS
+  // ═══════════════════════════════════════════════════════════════
+
+  app.get('/api/health', (req, res) => res.json({ ok: true, fake: true }));
+
+  app.get('/api/auth/me', (req, res) => {
+    if (!req.get('authorization')) return res.status(401).json({ ok: false, error: 'Missing token' });
+    res.json({ ok: true, currentTenant: req.bucket.id, email: 'dev@fake-core.local', roles: ['admin'] });
+  });
+
+  app.post('/api/auth/verify-pat', (req, res) => {
+    const token = req.body?.token;
+    for (const tenant of state.tenantIds()) {
+      const found = [...state.tenant(tenant).tokens.values()].find(t => t.token === token && !t.revoked);
+      if (found) return res.json({ ok: true, tenant, actorId: found.actorId, scopes: found.scopes });
+    }
+    res.status(401).json({ ok: false, error: 'Invalid token' });
+  });
+
+  app.get('/api/tenants/list', (req, res) => {
+    res.json({ ok: true, tenants: state.tenantIds().map(id => ({ id, name: id, status: 'active' })) });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // SOLUTION-LEVEL CONFIG
+  // ═══════════════════════════════════════════════════════════════
+
+  app.post('/api/identity', (req, res) => {
+    req.bucket.identity = req.body || {};
+    res.json({ ok: true });
+  });
+
+  app.post('/api/solution-config', (req, res) => {
+    req.bucket.solutionConfig = { ...req.bucket.solutionConfig, ...req.body };
+    res.json({ ok: true, config: req.bucket.solutionConfig });
+  });
+
+  app.post('/api/ui-plugins', (req, res) => {
+    const plugins = Array.isArray(req.body?.plugins) ? req.body.plugins : [];
+    const byId = new Map(req.bucket.uiPlugins.map(p => [p.id, p]));
+    for (const plugin of plugins) byId.set(plugin.id, plugin);
+    req.bucket.uiPlugins = [...byId.values()];
+    res.json({ ok: true, count: plugins.length });
+  });
+
+  app.head('/api/ui-plugins/:id/bundle.js', (req, res) => {
+    res.sendStatus(req.bucket.uiPlugins.some(p => p.id === req.params.id) ? 200 : 404);
+  });
+
+  app.get('/api/settings', (req, res) => {
+    res.json({ ok: true, settings: { ...script.settings, ...req.bucket.settings } });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // SKILLS
+  // ═══════════════════════════════════════════════════════════════
+
+  app.post('/api/skills/deploy-mcp', (req, res) => {
+    const { skillSlug, mcpServer } = req.body || {};
+    if (!skillSlug) return res.status(400).json({ ok: false, error: 'skillSlug is required' });
+    const toolNames = countTools(mcpServer);
+    const mcp = { mcpUri: `fake://${req.bucket.id}/${skillSlug}/mcp`, connectorId: `mcp-${skillSlug}`, port: 0 };
+    const entry = req.bucket.skills.get(skillSlug);
+    if (entry) entry.mcp = mcp;
+    res.json({
+      ok: true,
+      ...mcp,
+      tools: toolNames.length,
+      toolNames,
+      hasGetSkillDefinition: toolNames.includes('get_skill_definition'),
+      warnings: [],
+    });
+  });
+
+  app.post('/api/skills/import', (req, res) => {
+    const { skillSlug, skill, solution } = req.body || {};
+    if (!skillSlug || !skill) return res.status(400).json({ ok: false, error: 'skillSlug and skill are required' });
+    const previous = req.bucket.skills.get(skillSlug);
+    req.bucket.skills.set(skillSlug, {
+      slug: skillSlug,
+      skill,
+      solution: solution || null,
+      mcp: previous?.mcp || null,
+      imported_at: new Date().toISOString(),
+    });
+    log.info?.(`[fakeCore] ${req.bucket.id}: imported skill ${skillSlug}`);
+    res.json({ ok: true, skillSlug, status: previous ? 'updated' : 'created' });
+  });
+
+  app.get('/api/skills', (req, res) => {
+    res.json({
+      ok: true,
+      skills: [...req.bucket.skills.values()].map(({ slug, skill, solution, mcp, imported_at }) => ({
+        slug,
+        name: skill.name || slug,
+        solutionId: solution?.id || null,
+        mcpUri: mcp?.mcpUri || null,
+        tools: (skill.tools || []).map(t => t.name),
+        imported_at,
+      })),
+    });
+  });
+
+  app.delete('/api/skills', (req, res) => {
+    const deleted = req.bucket.skills.size;
+    req.bucket.skills.clear();
+    res.json({ ok: true, deleted });
+  });
+
+  app.delete('/api/skills/:slug', (req, res) => {
+    if (!req.bucket.skills.delete(req.params.slug)) return res.status(404).json({ ok: false, error: 'Skill not found' });
+    res.json({ ok: true });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // CONNECTORS & MCP STORE
+  // ═══════════════════════════════════════════════════════════════
+
+  app.get('/api/connectors', (req, res) => {
+    res.json({ ok: true, connectors: [...req.bucket.connectors.values()] });
+  });
+
+  app.post('/api/connectors', (req, res) => {
+    const payload = req.body || {};
+    if (!payload.id) return res.status(400).json({ ok: false, error: 'id is required' });
+    if (req.bucket.connectors.has(payload.id)) return res.status(409).json({ ok: false, error: 'Connector already exists' });
+    const connector = { ...payload, status: 'disconnected', tools: [] };
+    req.bucket.connectors.set(payload.id, connector);
+    res.status(201).json({ ok: true, connector });
+  });
+
+  app.get('/api/connectors/:id', (req, res) => {
+    const connector = req.bucket.connectors.get(req.params.id);
+    if (!connector) return res.status(404).json({ ok: false, error: 'Connector not found' });
+    res.json({ ok: true, connector });
+  });
+
+  app.patch('/api/connectors/:id', (req, res) => {
+    const connector = req.bucket.connectors.get(req.params.id);
+    if (!connector) return res.status(404).json({ ok: false, error: 'Connector not found' });
+    Object.assign(connector, req.body, { id: req.params.id });
+    res.json({ ok: true, connector });
+  });
+
+  app.delete('/api/connectors', (req, res) => {
+    const deleted = req.bucket.connectors.size;
+    req.bucket.connectors.clear();
+    res.json({ ok: true, deleted });
+  });
+
+  app.delete('/api/connectors/:id', (req, res) => {
+    if (!req.bucket.connectors.delete(req.params.id)) return res.status(404).json({ ok: false, error: 'Connector not found' });
+    res.json({ ok: true });
+  });
+
+  app.post('/api/connectors/:id/connect', (req, res) => {
+    const connector = req.bucket.connectors.get(req.params.id);
+    if (!connector) return res.status(404).json({ ok: false, error: 'Connector not found' });
+    const scripted = script.connectors[req.params.id]?.tools;
+    connector.tools = scripted || connector.tools || [];
+    connector.status = 'connected';
+    res.json({ ok: true, status: connector.status, tools: connector.tools });
+  });
+
+  app.post('/api/connectors/:id/disconnect', (req, res) => {
+    const connector = req.bucket.connectors.get(req.params.id);
+    if (!connector) return res.status(404).json({ ok: false, error: 'Connector not found' });
+    connector.status = 'disconnected';
+    res.json({ ok: true, status: connector.status });
+  });
+
+  app.get('/api/connectors/:id/tools', (req, res) => {
+    const connector = req.bucket.connectors.get(req.params.id);
+    if (!connector) return res.status(404).json({ ok: false, error: 'Connector not found' });
+    res.json({ ok: true, tools: connector.tools || [] });
+  });
+
+  app.post('/api/connectors/:id/call', (req, res) => {
+    const connector = req.bucket.connectors.get(req.params.id);
+    if (!connector) return res.status(404).json({ ok: false, error: 'Connector not found' });
+    const { tool, args } = req.body || {};
+    const results = script.connectors[req.params.id]?.results || {};
+    const result = Object.hasOwn(results, tool) ? results[tool] : { ok: true, tool, args: args || {}, _fake_core: true };
+    res.json({ ok: true, result });
+  });
+
+  app.post('/api/mcp-store/upload', (req, res) => {
+    const { connectorId, files } = req.body || {};
+    if (!connectorId || !Array.isArray(files)) {
+      return res.status(400).json({ ok: false, error: 'connectorId and files are required' });
+    }
+    req.bucket.mcpStore.set(connectorId, { files, uploaded_at: new Date().toISOString() });
+    res.json({ ok: true, connectorId, filesWritten: files.length, installed: false, built: false });
+  });
+
+  app.get('/api/mcp-store/:id', (req, res) => {
+    const stored = req.bucket.mcpStore.get(req.params.id);
+    if (!stored) return res.status(404).json({ ok: false, error: 'Connector source not found' });
+    res.json({ ok: true, files: stored.files, uploaded_at: stored.uploaded_at });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // JOBS
+  // ═══════════════════════════════════════════════════════════════
+
+  async function finishJob(bucket, job) {
+    try {
+      if (job._turn.delay_ms) await new Promise(resolve => setTimeout(resolve, job._turn.delay_ms));
+      if (job.status === 'aborted') return;
+      const { steps, reply, status, error } = await runTurn(job._turn, bucket.id);
+      Object.assign(job, {
+        status,
+        done: true,
+        summary: reply,
+        error,
+        lastUpdate: new Date().toISOString(),
+      });
+      job.state.steps.__exec.iter = steps;
+      if (error) job.state.internal_error = error;
+    } catch (err) {
+      log.warn?.(`[fakeCore] job ${job.id} failed: ${err.message}`);
+      Object.assign(job, { status: 'error', done: true, error: err.message, lastUpdate: new Date().toISOString() });
+      job.state.internal_error = err.message;
+    }
+  }
+
+  app.post('/api/chat', async (req, res, next) => {
+    try {
+      const { goal, skillSlug, actorId } = req.body || {};
+      if (!goal) return res.status(400).json({ ok: false, error: 'goal is required' });
+      const turn = await resolveTurn(req.bucket, { goal, skillSlug }, { responses: script.responses, loadSkill });
+      const now = new Date().toISOString();
+      const job = addJob(req.bucket, {
+        id: state.nextId(req.bucket, 'job'),
+        goal,
+        skillSlug: turn.route,
+        actorId: actorId || null,
+        source: turn.source,
+        status: 'running',
+        done: false,
+        state: { plannerIter: 1, steps: { __exec: { iter: [] } }, internal_error: null, pendingQuestion: null },
+        summary: null,
+        error: null,
+        createdAt: now,
+        lastUpdate: now,
+        _turn: turn,
+      });
+      finishJob(req.bucket, job);
+      res.json({ ok: true, id: job.id, jobId: job.id });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  app.post('/api/test-pipeline', async (req, res, next) => {
+    try {
+      const { message, skillSlug } = req.body || {};
+      if (!message) return res.status(400).json({ ok: false, error: 'message is required' });
+      const turn = await resolveTurn(req.bucket, { goal: message, skillSlug }, { responses: script.responses, loadSkill });
+      res.json(pipelineResult(turn, message));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  app.get('/api/jobs', (req, res) => {
+    const { skillSlug } = req.query;
+    const limit = Number(req.query.limit || req.query.page_size) || 10;
+    const offset = Number(req.query.offset) || 0;
+    const jobs = [...req.bucket.jobs.values()].reverse().filter(j => !skillSlug || j.skillSlug === skillSlug);
+    res.json({ ok: true, jobs: jobs.slice(offset, offset + limit).map(jobListItem), total: jobs.length });
+  });
+
+  app.get('/api/job/:id', (req, res) => {
+    const job = req.bucket.jobs.get(req.params.id);
+    if (!job) return res.json({ id: req.params.id, status: 'unknown' });
+    res.json(jobView(job));
+  });
+
+  app.get('/api/job/:id/details', (req, res) => {
+    const job = req.bucket.jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    res.json({ job: jobView(job), steps: job.state.steps.__exec.iter });
+  });
+
+  app.post('/api/job/:id/abort', (req, res) => {
+    const job = req.bucket.jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (!job.done) Object.assign(job, { status: 'aborted', done: true, lastUpdate: new Date().toISOString() });
+    res.json({ ok: true, status: job.status });
+  });
+
+  app.get('/api/insight/:id', (req, res) => {
+    const job = req.bucket.jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    const steps = job.state.steps.__exec.iter;
+    res.json({
+      jobId: job.id,
+      level: Number(req.query.level) || 0,
+      status: job.status,
+      iterations: job.state.plannerIter,
+      tool_calls: steps.length,
+      tool_errors: steps.filter(s => s.error).length,
+      tokens: { input: 0, output: 0 },
+      duration_ms: Date.parse(job.lastUpdate) - Date.parse(job.createdAt),
+    });
+  });
+
+  app.get('/api/conversation', (req, res) => {
+    const { skillSlug } = req.query;
+    const limit = Number(req.query.page_size) || 20;
+    const conversations = [...req.bucket.jobs.values()].reverse()
+      .filter(j => !skillSlug || j.skillSlug === skillSlug)
+      .slice(0, limit)
+      .map(j => ({
+        id: j.id,
+        skillSlug: j.skillSlug,
+        actorId: j.actorId,
+        messages: [
+          { role: 'user', content: j.goal },
+          ...(j.summary ? [{ role: 'assistant', content: j.summary }] : []),
+        ],
+        createdAt: j.createdAt,
+      }));
+    res.json({ ok: true, conversations });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // MCP — cp.admin_api
+  // ═══════════════════════════════════════════════════════════════
+
+  app.post('/mcp', (req, res) => {
+    const { id = null, method, params } = req.body || {};
+    const reply = (result) => res.json({ jsonrpc: '2.0', id, result });
+    const fail = (code, message) => res.json({ jsonrpc: '2.0', id, error: { code, message } });
+
+    if (method === 'initialize') {
+      return reply({ protocolVersion: '2024-11-05', serverInfo: { name: 'fake-adas-core', version: '1.0.0' }, capabilities: { tools: {} } });
+    }
+    if (method === 'tools/list') {
+      return reply({
+        tools: [{
+          name: 'cp.admin_api',
+          description: 'Fake ADAS Core admin API',
+          inputSchema: {
+            type: 'object',
+            properties: { method: { type: 'string', enum: ADMIN_METHODS }, params: { type: 'object' } },
+            required: ['method'],
+          },
+        }],
+      });
+    }
+    if (method !== 'tools/call') return fail(-32601, `Method not found: ${method}`);
+    if (params?.name !== 'cp.admin_api') return fail(-32602, `Unknown tool: ${params?.name}`);
+
+    try {
+      const { method: adminMethod, params: adminParams } = params.arguments || {};
+      const result = adminApi(req.bucket, adminMethod, adminParams);
+      reply({ content: [{ type: 'text', text: JSON.stringify(result) }] });
+    } catch (err) {
+      fail(err.statusCode === 404 ? -32004 : -32602, err.message);
+    }
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ ok: false, error: `Fake ADAS Core does not implement ${req.method} ${req.path}` });
+  });
+
+  app.use((err, req, res, next) => {
+    log.error?.(`[fakeCore] ${req.method} ${req.path}: ${err.message}`);
+    res.status(err.statusCode || 500).json({ ok: false, error: err.message });
+  });
+
+  return { app, state, script };
+}
+
+/**
+ * Start the fake Core on a port (0 = any free port).
+ *
+ * @param {Object} [opts] - createFakeCore options plus port / host
+ * @returns {Promise<{ url: string, port: number, app: Object, state: Object, script: Object, close: () => Promise<void> }>}
+ */
+export function startFakeCore({ port = 4100, host = '127.0.0.1', ...opts } = {}) {
+  const core = createFakeCore(opts);
+  return new Promise((resolve, reject) => {
+    const server = core.app.listen(port, host, () => {
+      const actual = server.address().port;
+      resolve({
+        ...core,
+        port: actual,
+        url: `http://${host === '0.0.0.0' ? '127.0.0.1' : host}:${actual}`,
+        close: () => new Promise(done => server.close(() => done())),
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+export default { createFakeCore, startFakeCore };
@@ -0,0 +1,173 @@
+/**
+ * Fake Core Jobs — resolve and run chat turns without an LLM
+ *
+ * A turn (POST /api/chat, POST /api/test-pipeline) is resolved in order:
+ *   1. script    — the first scripted response whose `match` is found in the
+ *                  goal (case-insensitive substring, or "/regex/flags")
+ *   2. mocks     — the builder's own skill is loaded (skillSlug, or the first
+ *                  imported skill with a matching intent) and planned like a
+ *                  scenario replay; tools run through executeMock in example
+ *                  mode, never against live MCP connectors
+ *   3. none      — no script and no skill: the job finishes with a canned reply
+ *
+ * Auto-routed turns (no skillSlug) start with a sys.handoffToSkill step, the
+ * way Core's orchestrator records its routing decision.
+ *
+ * Scripted response:
+ *   { match, skill?, steps?: [{ tool, args?, result?, error? }], reply?,
+ *     status?: 'done' | 'failed', error?, delay_ms? }
+ *
+ * @module fakeCore/jobs
+ */
+
+import { buildScenarioPlan, buildToolInput, matchIntent } from '../services/scenarioRunner.js';
+import { executeMock } from '../services/mockRunner.js';
+import { startSession, endSession } from '../services/mockSession.js';
+
+const QUIET_LOG = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Scripted response matching a goal, or null.
+ *
+ * @param {Object[]} responses
+ * @param {string} goal
+ */
+export function matchResponse(responses, goal) {
+  const text = String(goal || '');
+  return (responses || []).find(({ match }) => {
+    if (typeof match !== 'string' || !match) return false;
+    const regex = match.match(/^\/(.+)\/([a-z]*)$/);
+    return regex ? new RegExp(regex[1], regex[2]).test(text) : text.toLowerCase().includes(match.toLowerCase());
+  }) || null;
+}
+
+async function pickSkill(bucket, goal, skillSlug, loadSkill) {
+  const load = async (slug) => (await loadSkill(bucket.id, slug)) || bucket.skills.get(slug)?.skill || null;
+  if (skillSlug) {
+    const skill = await load(skillSlug);
+    return skill ? { slug: skillSlug, skill } : null;
+  }
+  let first = null;
+  for (const slug of bucket.skills.keys()) {
+    const skill = await load(slug);
+    if (!skill) continue;
+    if (matchIntent(skill, { title: goal, steps: [goal] })) return { slug, skill };
+    first = first || { slug, skill };
+  }
+  return first;
+}
+
+/**
+ * Decide how a turn runs, without running any tool.
+ *
+ * @param {Object} bucket - Tenant state
+ * @param {{ goal: string, skillSlug?: string }} turn
+ * @param {{ responses: Object[], loadSkill: (tenant: string, slug: string) => Promise<Object|null> }} opts
+ * @returns {Promise<{ source: 'script'|'mocks'|'none', route: string|null, autoRouted: boolean, steps: Object[], skill?: Object, tools?: Object[], reply: string|null, status: string, error: string|null, delay_ms: number }>}
+ */
+export async function resolveTurn(bucket, { goal, skillSlug }, { responses, loadSkill }) {
+  const autoRouted = !skillSlug;
+  const script = matchResponse(responses, goal);
+  if (script) {
+    return {
+      source: 'script',
+      route: script.skill || skillSlug || null,
+      autoRouted,
+      steps: (script.steps || []).map(s => ({ tool: s.tool, args: s.args || {}, result: s.result ?? null, error: s.error || null })),
+      reply: script.reply ?? '',
+      status: script.status === 'failed' ? 'failed' : 'done',
+      error: script.error || null,
+      delay_ms: script.delay_ms || 0,
+    };
+  }
+
+  const picked = await pickSkill(bucket, goal, skillSlug, loadSkill);
+  if (!picked) {
+    return {
+      source: 'none',
+      route: skillSlug || null,
+      autoRouted,
+      steps: [],
+      reply: 'Fake ADAS Core: no scripted response matches this message and no skill is deployed.',
+      status: 'done',
+      error: null,
+      delay_ms: 0,
+    };
+  }
+
+  const { plan } = buildScenarioPlan(picked.skill, { title: goal, steps: [goal] });
+  const tools = plan.map(item => item.tool).filter(Boolean);
+  return {
+    source: 'mocks',
+    route: picked.slug,
+    autoRouted,
+    skill: picked.skill,
+    tools,
+    steps: tools.map(tool => ({ tool: tool.name, args: {} })),
+    reply: null,
+    status: 'done',
+    error: null,
+    delay_ms: 0,
+  };
+}
+
+/**
+ * Run a resolved turn: play mock tools and build the step list and reply.
+ *
+ * @param {Object} turn - From resolveTurn
+ * @param {string} tenant
+ * @returns {Promise<{ steps: Object[], reply: string, status: string, error: string|null }>}
+ */
+export async function runTurn(turn, tenant) {
+  const handoff = turn.autoRouted && turn.route
+    ? [{ tool: 'sys.handoffToSkill', args: { to_skill: turn.route }, result: { ok: true }, error: null }]
+    : [];
+
+  if (turn.source !== 'mocks') {
+    return { steps: [...handoff, ...turn.steps], reply: turn.reply, status: turn.status, error: turn.error };
+  }
+
+  const steps = [...handoff];
+  const session = startSession({ tenant, solutionId: turn.skill.solution_id, skillId: turn.skill.id });
+  try {
+    for (const tool of turn.tools) {
+      const input = buildToolInput(tool, session);
+      // Bridged tools are answered from their examples, not the live connector
+      const offline = { ...tool, source: tool.source?.type === 'mcp_bridge' ? undefined : tool.source };
+      try {
+        const { output } = await executeMock(turn.skill, offline, input, { mode: 'example', session, log: QUIET_LOG });
+        steps.push({ tool: tool.name, args: input, result: output, error: output?.error ? String(output.error) : null });
+      } catch (err) {
+        steps.push({ tool: tool.name, args: input, result: null, error: err.message });
+      }
+    }
+  } finally {
+    endSession(session.id, tenant);
+  }
+
+  const ran = turn.tools.map(t => t.name);
+  return {
+    steps,
+    reply: ran.length > 0 ? `Done: ${ran.join(', ')}.` : `${turn.route} has no tool for this message.`,
+    status: 'done',
+    error: null,
+  };
+}
+
+/**
+ * Test-pipeline response: intent and first planned action, nothing executed.
+ */
+export function pipelineResult(turn, goal) {
+  const first = turn.autoRouted && turn.route
+    ? { tool: 'sys.handoffToSkill', args: { to_skill: turn.route } }
+    : turn.steps[0] ? { tool: turn.steps[0].tool, args: turn.steps[0].args } : null;
+  const intent = turn.skill ? matchIntent(turn.skill, { title: goal, steps: [goal] }) : null;
+  return {
+    ok: true,
+    skillSlug: turn.route,
+    intent: intent ? { id: intent.id || null, description: intent.description || null } : null,
+    planned_action: first,
+    source: turn.source,
+    timing_ms: 0,
+  };
+}
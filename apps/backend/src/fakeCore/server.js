@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Fake ADAS Core — standalone entry point
+ *
+ * Usage: npm run fake-core
+ *        node src/fakeCore/server.js [--port 4100] [--script script.yaml] [--tenants main,acme]
+ *
+ * Env (flags win): FAKE_CORE_PORT, FAKE_CORE_HOST, FAKE_CORE_SCRIPT, FAKE_CORE_TENANTS.
+ * The script is JSON or YAML, see script.example.yaml. Skill mocks are read
+ * from TENANTS_ROOT / MEMORY_PATH, the same store the builder writes.
+ *
+ * @module fakeCore/server
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { startFakeCore } from './index.js';
+
+function flag(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+function loadScript(file) {
+  if (!file) return {};
+  const text = fs.readFileSync(path.resolve(file), 'utf8');
+  const script = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  return script && typeof script === 'object' ? script : {};
+}
+
+const port = Number(flag('port') || process.env.FAKE_CORE_PORT || 4100);
+const host = flag('host') || process.env.FAKE_CORE_HOST || '0.0.0.0';
+const scriptFile = flag('script') || process.env.FAKE_CORE_SCRIPT;
+const tenants = String(flag('tenants') || process.env.FAKE_CORE_TENANTS || 'main')
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+const script = loadScript(scriptFile);
+const core = await startFakeCore({
+  port,
+  host,
+  tenants,
+  responses: script.responses || [],
+  connectors: script.connectors || {},
+  settings: script.settings || {},
+  log: console,
+});
+
+console.log(`[fakeCore] Fake ADAS Core listening on ${core.url} (MCP: ${core.url}/mcp)`);
+console.log(`[fakeCore] Tenants: ${tenants.join(', ')}; scripted responses: ${(script.responses || []).length}${scriptFile ? ` from ${scriptFile}` : ''}`);
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => core.close().then(() => process.exit(0)));
+}
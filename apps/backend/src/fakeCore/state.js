@@ -0,0 +1,83 @@
+/**
+ * Fake Core State — in-memory data of the fake ADAS Core, per tenant
+ *
+ * Holds what the builder pushes to Core (skills, connectors, identity,
+ * solution config, UI plugins, mcp-store uploads) and what Core owns
+ * (actors, tokens, trigger status, jobs, routing / email / telegram config,
+ * audit log). Nothing is persisted: restarting the fake starts clean.
+ *
+ * @module fakeCore/state
+ */
+
+/** Oldest jobs are dropped beyond this, per tenant */
+export const MAX_JOBS = 500;
+
+/** Oldest audit entries are dropped beyond this, per tenant */
+export const MAX_AUDIT = 1000;
+
+function emptyTenant(id) {
+  return {
+    id,
+    skills: new Map(),        // slug → { slug, skill, solution, mcp, imported_at }
+    connectors: new Map(),    // id → connector payload + { status, tools }
+    mcpStore: new Map(),      // connectorId → { files, uploaded_at }
+    actors: new Map(),        // actorId → actor
+    tokens: new Map(),        // tokenId → { id, actorId, token, scopes, created_at, revoked }
+    triggers: new Map(),      // `${slug}/${triggerId}` → { active, executions }
+    jobs: new Map(),          // jobId → job, in creation order
+    identity: null,
+    solutionConfig: null,
+    uiPlugins: [],
+    settings: {},
+    routingConfig: { channels: {}, policies: {} },
+    emailConfig: null,
+    telegramConfig: null,
+    audit: [],
+    seq: 0,
+  };
+}
+
+/**
+ * Create the fake's state.
+ *
+ * @param {Object} [opts]
+ * @param {string[]} [opts.tenants=['main']] - Tenants reported by /api/tenants/list
+ *   before any request names another one
+ * @returns {{ tenant: (id: string) => Object, tenantIds: () => string[], nextId: (bucket: Object, prefix: string) => string, audit: (bucket: Object, action: string, details?: Object) => void, reset: () => void }}
+ */
+export function createState({ tenants = ['main'] } = {}) {
+  const buckets = new Map();
+
+  const tenant = (id) => {
+    if (!buckets.has(id)) buckets.set(id, emptyTenant(id));
+    return buckets.get(id);
+  };
+
+  const reset = () => {
+    buckets.clear();
+    for (const id of tenants) tenant(id);
+  };
+  reset();
+
+  return {
+    tenant,
+    tenantIds: () => [...buckets.keys()],
+    nextId: (bucket, prefix) => `${prefix}_${Date.now().toString(36)}${(++bucket.seq).toString(36)}`,
+    audit(bucket, action, details = {}) {
+      bucket.audit.push({ id: bucket.audit.length + 1, action, at: new Date().toISOString(), ...details });
+      if (bucket.audit.length > MAX_AUDIT) bucket.audit.splice(0, bucket.audit.length - MAX_AUDIT);
+    },
+    reset,
+  };
+}
+
+/**
+ * Add a job, dropping the oldest ones beyond MAX_JOBS.
+ */
+export function addJob(bucket, job) {
+  bucket.jobs.set(job.id, job);
+  while (bucket.jobs.size > MAX_JOBS) {
+    bucket.jobs.delete(bucket.jobs.keys().next().value);
+  }
+  return job;
+}
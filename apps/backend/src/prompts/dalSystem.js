@@ -220,9 +220,10 @@ Goal: Validate tools work correctly
 Do:
 - Test each tool with sample inputs
 - Walk through at least one intent using tools
+- Ask the user to run the scenario replay (Tools → Run scenarios) — it marks tools tested
 - Get user approval on outputs
 
-Exit when: All tools tested or skipped
+Exit when: All tools tested (by a passing scenario run) or skipped
 
 ### Phase 8: READY_TO_EXPORT
 Goal: Final review and export
@@ -778,12 +779,28 @@ Export options:
   }
 }
 
+/**
+ * Response instructions for structured tool calling. Appended last so they
+ * take precedence over the JSON RESPONSE FORMAT section of DAL_SYSTEM_PROMPT.
+ */
+export const DAL_TOOL_CALLING_FORMAT = `## RESPONSE FORMAT OVERRIDE - TOOL CALLING
+
+This conversation uses tool calling. IGNORE the JSON response format above:
+- Write your reply to the user as plain text (markdown allowed). Do NOT wrap it in JSON.
+- Save changes with the \`update_state\` tool. Its \`updates\` argument is exactly the state_update object described above (same keys, same _push/_update/_delete/_rename operations). Every rule about state_update still applies.
+- Call \`ask_user\` once per reply with the input_hint (mode + options) - selection mode 80%+ of the time.
+- Call \`suggest_focus\` when the user should look at a specific panel.
+- Write your full reply first, then call the tools in the same response. When the tool results come back, do not repeat your reply - only add text if update_state was REJECTED or PARTIALLY SAVED.
+- If update_state is REJECTED, fix the listed problems and call it again once.`;
+
 /**
  * Build complete system prompt for a DraftSkill request
  * @param {DraftSkill} skill
+ * @param {Object} [opts]
+ * @param {'json' | 'tools'} [opts.responseMode='json'] - 'tools' appends DAL_TOOL_CALLING_FORMAT
  * @returns {string}
  */
-export function buildDALSystemPrompt(skill) {
+export function buildDALSystemPrompt(skill, { responseMode = 'json' } = {}) {
   const phasePrompt = getDALPhasePrompt(skill.phase, skill);
 
   // Create a state object WITHOUT conversation history to avoid token explosion
@@ -859,7 +876,7 @@ ${JSON.stringify(stateSummary, null, 2)}
 \`\`\`json
 ${JSON.stringify(skillForPrompt, null, 2)}
 \`\`\`
-`;
+${responseMode === 'tools' ? `\n${DAL_TOOL_CALLING_FORMAT}\n` : ''}`;
 }
 
-export default { DAL_SYSTEM_PROMPT, getDALPhasePrompt, buildDALSystemPrompt };
+export default { DAL_SYSTEM_PROMPT, DAL_TOOL_CALLING_FORMAT, getDALPhasePrompt, buildDALSystemPrompt };
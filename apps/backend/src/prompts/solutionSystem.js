@@ -276,12 +276,28 @@ Handoff: portal → leave/payroll with employee context
 
 `;
 
+/**
+ * Response instructions for structured tool calling. Appended last so they
+ * take precedence over the JSON RESPONSE FORMAT section above.
+ */
+export const SOLUTION_TOOL_CALLING_FORMAT = `## RESPONSE FORMAT OVERRIDE - TOOL CALLING
+
+This conversation uses tool calling. IGNORE the JSON response format above:
+- Write your reply to the user as plain text (markdown allowed). Do NOT wrap it in JSON.
+- Save changes with the \`update_state\` tool; its \`updates\` argument is the state_update object described in STATE UPDATE COMMANDS.
+- Call \`ask_user\` once per reply with the input_hint (mode + options).
+- Call \`suggest_focus\` with a panel (users-roles, topology, grants, handoffs, routing, security, validation) when relevant.
+- Write your full reply first, then call the tools. After the tool results, only add text if update_state was REJECTED or PARTIALLY SAVED.
+- If update_state is REJECTED, fix the listed problems and call it again once.`;
+
 /**
  * Build the full system prompt for the Solution Bot
  * @param {Object} solution - Current solution state
+ * @param {Object} [opts]
+ * @param {'json' | 'tools'} [opts.responseMode='json'] - 'tools' appends SOLUTION_TOOL_CALLING_FORMAT
  * @returns {string} - Complete system prompt
  */
-export function buildSolutionSystemPrompt(solution) {
+export function buildSolutionSystemPrompt(solution, { responseMode = 'json' } = {}) {
   const phasePrompt = getSolutionPhasePrompt(solution);
 
   return `${SOLUTION_SYSTEM_PROMPT}
@@ -291,7 +307,7 @@ ${phasePrompt}
 ## CURRENT SOLUTION STATE
 
 ${JSON.stringify(getSolutionSummary(solution), null, 2)}
-`;
+${responseMode === 'tools' ? `\n${SOLUTION_TOOL_CALLING_FORMAT}\n` : ''}`;
 }
 
 /**
@@ -507,6 +523,7 @@ function getSkillStatus(skill) {
 export default {
   SOLUTION_PHASES,
   SOLUTION_SYSTEM_PROMPT,
+  SOLUTION_TOOL_CALLING_FORMAT,
   buildSolutionSystemPrompt,
   getSolutionSummary,
   getStructuredSolutionData,
@@ -7,6 +7,7 @@ import { getHelpDoc, formatHelpDoc } from "../data/helpDocs.js";
 import { enhanceWithStateContext } from "../services/stateSync.js";
 import { getAllPrebuiltConnectors } from "./connectors.js";
 import { createAdapter } from "../services/llm/adapter.js";
+import { recordTurn } from "../services/skillHistory.js";
 
 const router = Router();
 
@@ -51,167 +52,222 @@ Use the documentation above to explain this section in the context of the curren
 }
 
 /**
- * Send chat message for a skill
- * POST /api/chat/skill
- *
- * Body: { solution_id: string, skill_id: string, message: string, ui_focus?: object }
+ * Validate a skill chat request body and load the skill it targets.
+ * Returns { skill } or { status, error } for the caller to send as JSON.
  */
-router.post("/skill", async (req, res, next) => {
-  try {
-    const { solution_id, skill_id, message, ui_focus, llm_settings } = req.body;
-    const log = req.app.locals.log;
+async function loadSkillForChat(body) {
+  const { solution_id, skill_id, message, llm_settings } = body;
 
-    if (!solution_id) {
-      return res.status(400).json({ error: "solution_id is required" });
-    }
-
-    if (!skill_id) {
-      return res.status(400).json({ error: "skill_id is required" });
-    }
+  if (!solution_id) {
+    return { status: 400, error: "solution_id is required" };
+  }
 
-    if (!message) {
-      return res.status(400).json({ error: "message is required" });
-    }
+  if (!skill_id) {
+    return { status: 400, error: "skill_id is required" };
+  }
 
-    log.debug(`Skill chat request for ${skill_id} in solution ${solution_id}`);
+  if (!message) {
+    return { status: 400, error: "message is required" };
+  }
 
-    // Load skill
-    let skill;
-    try {
-      skill = await skillsStore.load(solution_id, skill_id);
-    } catch (err) {
-      if (err.message?.includes('not found') || err.code === "ENOENT") {
-        return res.status(404).json({ error: "Skill not found" });
-      }
-      throw err;
+  // Load skill
+  let skill;
+  try {
+    skill = await skillsStore.load(solution_id, skill_id);
+  } catch (err) {
+    if (err.message?.includes('not found') || err.code === "ENOENT") {
+      return { status: 404, error: "Skill not found" };
     }
+    throw err;
+  }
 
-    // Attach LLM settings from frontend (browser-stored API keys)
-    if (llm_settings) {
-      skill._settings = llm_settings;
-    }
+  // Attach LLM settings from frontend (browser-stored API keys)
+  if (llm_settings) {
+    skill._settings = llm_settings;
+  }
 
-    // Ensure conversation array exists (safety net)
-    if (!Array.isArray(skill.conversation)) {
-      skill.conversation = [];
-    }
+  // Ensure conversation array exists (safety net)
+  if (!Array.isArray(skill.conversation)) {
+    skill.conversation = [];
+  }
 
-    // Save user message to skill conversation (original message)
-    skill.conversation.push({
-      id: `msg_${Date.now()}`,
-      role: "user",
-      content: message,
-      timestamp: new Date().toISOString()
-    });
+  return { skill };
+}
 
-    // Check if this is an explain request and enhance with documentation
-    let processedMessage = message;
-    const explainTopic = detectExplainRequest(message);
-    if (explainTopic) {
-      log.debug(`Detected explain request for topic: ${explainTopic}`);
-      const helpDoc = getHelpDoc(explainTopic);
-      log.debug(`Help doc found: ${helpDoc ? helpDoc.title : 'NOT FOUND'}`);
-      processedMessage = enhanceExplainMessage(message, explainTopic);
-      log.debug(`Enhanced message length: ${processedMessage.length} chars`);
-    }
+/**
+ * Run one skill chat turn: send the message to the LLM, apply the state
+ * update, persist both messages and build the response payload shared by the
+ * JSON and streaming endpoints.
+ *
+ * @param {Object} skill - Loaded skill (from loadSkillForChat)
+ * @param {Object} params
+ * @param {string} params.message - Original user message
+ * @param {Object} [params.uiFocus]
+ * @param {Object} params.log
+ * @param {Function} [params.onMessageDelta] - Receives message text as it streams
+ */
+async function runSkillChatTurn(skill, { message, uiFocus, log, onMessageDelta }) {
+  // Snapshot for the turn's undo entry (services/skillHistory)
+  const before = structuredClone(skill);
+
+  // Save user message to skill conversation (original message)
+  skill.conversation.push({
+    id: `msg_${Date.now()}`,
+    role: "user",
+    content: message,
+    timestamp: new Date().toISOString()
+  });
 
-    // State context injection - keeps AI aligned with current entity names
-    try {
-      const enhanced = enhanceWithStateContext(processedMessage, skill);
-      if (enhanced !== processedMessage) {
-        processedMessage = enhanced;
-        log.debug("State context injected into message");
-      }
-    } catch (stateSyncErr) {
-      log.warn("State sync failed (non-blocking):", stateSyncErr.message);
+  // Check if this is an explain request and enhance with documentation
+  let processedMessage = message;
+  const explainTopic = detectExplainRequest(message);
+  if (explainTopic) {
+    log.debug(`Detected explain request for topic: ${explainTopic}`);
+    const helpDoc = getHelpDoc(explainTopic);
+    log.debug(`Help doc found: ${helpDoc ? helpDoc.title : 'NOT FOUND'}`);
+    processedMessage = enhanceExplainMessage(message, explainTopic);
+    log.debug(`Enhanced message length: ${processedMessage.length} chars`);
+  }
+
+  // State context injection - keeps AI aligned with current entity names
+  try {
+    const enhanced = enhanceWithStateContext(processedMessage, skill);
+    if (enhanced !== processedMessage) {
+      processedMessage = enhanced;
+      log.debug("State context injected into message");
     }
+  } catch (stateSyncErr) {
+    log.warn("State sync failed (non-blocking):", stateSyncErr.message);
+  }
 
-    // Process with LLM (using skill format)
-    log.debug("Sending to LLM (skill format)...");
-    const response = await processMessage({
-      skill,
-      userMessage: processedMessage,
-      uiFocus: ui_focus
-    });
+  // Process with LLM (using skill format)
+  log.debug("Sending to LLM (skill format)...");
+  const response = await processMessage({
+    skill,
+    userMessage: processedMessage,
+    uiFocus,
+    onMessageDelta
+  });
 
-    log.debug("LLM response received", { usage: response.usage });
-
-    // Enrich DAL-created tools with MCP source info for ui_capable connectors
-    // The DAL generates ui.* tools from prompt instructions without source metadata
-    if (response.stateUpdate?.tools_push) {
-      const catalog = getAllPrebuiltConnectors();
-      const uiConnectorIds = (skill.connectors || []).filter(id => catalog[id]?.ui_capable);
-      if (uiConnectorIds.length > 0) {
-        const tools = Array.isArray(response.stateUpdate.tools_push)
-          ? response.stateUpdate.tools_push
-          : [response.stateUpdate.tools_push];
-        for (const tool of tools) {
-          if (tool.name?.startsWith('ui.') && !tool.source) {
-            tool.source = {
-              type: 'mcp_bridge',
-              connection_id: uiConnectorIds[0],
-              mcp_tool: tool.name
-            };
-          }
+  log.debug("LLM response received", { usage: response.usage });
+
+  // Enrich DAL-created tools with MCP source info for ui_capable connectors
+  // The DAL generates ui.* tools from prompt instructions without source metadata
+  if (response.stateUpdate?.tools_push) {
+    const catalog = getAllPrebuiltConnectors();
+    const uiConnectorIds = (skill.connectors || []).filter(id => catalog[id]?.ui_capable);
+    if (uiConnectorIds.length > 0) {
+      const tools = Array.isArray(response.stateUpdate.tools_push)
+        ? response.stateUpdate.tools_push
+        : [response.stateUpdate.tools_push];
+      for (const tool of tools) {
+        if (tool.name?.startsWith('ui.') && !tool.source) {
+          tool.source = {
+            type: 'mcp_bridge',
+            connection_id: uiConnectorIds[0],
+            mcp_tool: tool.name
+          };
         }
       }
     }
+  }
 
-    // Apply state updates with validation
-    let updatedSkill = skill;
-    if (response.stateUpdate && Object.keys(response.stateUpdate).length > 0) {
-      log.debug("Applying state updates", response.stateUpdate);
-      updatedSkill = applyStateUpdateWithValidation(skill, response.stateUpdate);
-    }
+  // Apply state updates with validation
+  let updatedSkill = skill;
+  if (response.stateUpdate && Object.keys(response.stateUpdate).length > 0) {
+    log.debug("Applying state updates", response.stateUpdate);
+    updatedSkill = applyStateUpdateWithValidation(skill, response.stateUpdate);
+  }
 
-    // Backfill source on existing ui.* tools missing it (from earlier DAL sessions)
-    if (updatedSkill.tools?.length && updatedSkill.connectors?.length) {
-      const catalog = getAllPrebuiltConnectors();
-      const uiConnId = updatedSkill.connectors.find(id => catalog[id]?.ui_capable);
-      if (uiConnId) {
-        for (const tool of updatedSkill.tools) {
-          if (tool.name?.startsWith('ui.') && !tool.source) {
-            tool.source = {
-              type: 'mcp_bridge',
-              connection_id: uiConnId,
-              mcp_tool: tool.name
-            };
-          }
+  // Backfill source on existing ui.* tools missing it (from earlier DAL sessions)
+  if (updatedSkill.tools?.length && updatedSkill.connectors?.length) {
+    const catalog = getAllPrebuiltConnectors();
+    const uiConnId = updatedSkill.connectors.find(id => catalog[id]?.ui_capable);
+    if (uiConnId) {
+      for (const tool of updatedSkill.tools) {
+        if (tool.name?.startsWith('ui.') && !tool.source) {
+          tool.source = {
+            type: 'mcp_bridge',
+            connection_id: uiConnId,
+            mcp_tool: tool.name
+          };
         }
       }
     }
+  }
 
-    // Save assistant message to skill conversation
-    updatedSkill.conversation.push({
-      id: `msg_${Date.now()}`,
-      role: "assistant",
-      content: response.message,
-      timestamp: new Date().toISOString(),
-      state_update: response.stateUpdate,
-      suggested_focus: response.suggestedFocus,
-      input_hint: response.inputHint
+  // Save assistant message to skill conversation
+  const assistantMessageId = `msg_${Date.now()}`;
+  updatedSkill.conversation.push({
+    id: assistantMessageId,
+    role: "assistant",
+    content: response.message,
+    timestamp: new Date().toISOString(),
+    state_update: response.stateUpdate,
+    suggested_focus: response.suggestedFocus,
+    input_hint: response.inputHint
+  });
+
+  // Save updated skill
+  await skillsStore.save(updatedSkill);
+
+  // Record the turn's changes so it can be undone on its own later
+  let historyEntry = null;
+  try {
+    historyEntry = await recordTurn(updatedSkill.solution_id, updatedSkill.id, {
+      before,
+      after: updatedSkill,
+      messageId: assistantMessageId,
+      userMessage: message
     });
+  } catch (historyErr) {
+    log.warn("Failed to record skill history (non-blocking):", historyErr.message);
+  }
 
-    // Save updated skill
-    await skillsStore.save(updatedSkill);
+  // Calculate progress from validation completeness
+  const progress = calculateProgress(updatedSkill);
+
+  // Check if we should suggest phase advancement
+  const phaseSuggestion = shouldSuggestPhaseAdvance(updatedSkill);
+
+  return {
+    message: response.message,
+    skill: updatedSkill,
+    state_update: response.stateUpdate,
+    suggested_focus: response.suggestedFocus,
+    input_hint: response.inputHint,
+    progress,
+    validation: updatedSkill.validation,
+    phase_suggestion: phaseSuggestion,
+    usage: response.usage,
+    tools_used: response.toolsUsed,
+    // update_state keys dropped after the model's retry (tool-calling mode)
+    rejected_updates: response.rejectedUpdates || [],
+    // Undo entry for this turn (null when nothing changed)
+    history_entry_id: historyEntry?.id || null
+  };
+}
 
-    // Calculate progress from validation completeness
-    const progress = calculateProgress(updatedSkill);
+/**
+ * Send chat message for a skill
+ * POST /api/chat/skill
+ *
+ * Body: { solution_id: string, skill_id: string, message: string, ui_focus?: object }
+ */
+router.post("/skill", async (req, res, next) => {
+  try {
+    const { solution_id, skill_id, message, ui_focus } = req.body;
+    const log = req.app.locals.log;
 
-    // Check if we should suggest phase advancement
-    const phaseSuggestion = shouldSuggestPhaseAdvance(updatedSkill);
+    const loaded = await loadSkillForChat(req.body);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
 
-    res.json({
-      message: response.message,
-      skill: updatedSkill,
-      suggested_focus: response.suggestedFocus,
-      input_hint: response.inputHint,
-      progress,
-      validation: updatedSkill.validation,
-      phase_suggestion: phaseSuggestion,
-      usage: response.usage,
-      tools_used: response.toolsUsed
-    });
+    log.debug(`Skill chat request for ${skill_id} in solution ${solution_id}`);
+
+    const payload = await runSkillChatTurn(loaded.skill, { message, uiFocus: ui_focus, log });
+    res.json(payload);
 
   } catch (err) {
     req.app.locals.log.error("Skill chat error:", err);
@@ -219,6 +275,68 @@ router.post("/skill", async (req, res, next) => {
   }
 });
 
+/**
+ * Send chat message for a skill, streaming the reply
+ * POST /api/chat/skill/stream
+ *
+ * Body: same as POST /api/chat/skill
+ *
+ * Responds with Server-Sent Events (`data: {json}` lines):
+ *   { type: "delta", text }   — next piece of the assistant message
+ *   { type: "done", ... }     — final payload, same fields as POST /api/chat/skill
+ *   { type: "error", error }  — the turn failed; nothing after this
+ *
+ * Request errors (missing fields, unknown skill) are returned as plain JSON
+ * before the stream opens.
+ */
+router.post("/skill/stream", async (req, res, next) => {
+  const log = req.app.locals.log;
+  let streaming = false;
+
+  try {
+    const { solution_id, skill_id, message, ui_focus } = req.body;
+
+    const loaded = await loadSkillForChat(req.body);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    log.debug(`Skill chat stream for ${skill_id} in solution ${solution_id}`);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    streaming = true;
+
+    const send = (data) => {
+      if (!res.writableEnded) res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // The turn runs to completion even if the client disconnects, so the
+    // conversation and state update are still saved.
+    const payload = await runSkillChatTurn(loaded.skill, {
+      message,
+      uiFocus: ui_focus,
+      log,
+      onMessageDelta: (text) => send({ type: "delta", text })
+    });
+
+    send({ type: "done", ...payload });
+    res.end();
+
+  } catch (err) {
+    log.error("Skill chat stream error:", err);
+    if (!streaming) return next(err);
+    if (!res.writableEnded) {
+      res.write(`data: ${JSON.stringify({ type: "error", error: err.message })}\n\n`);
+      res.end();
+    }
+  }
+});
+
 /**
  * Get initial greeting for skill chat
  * GET /api/chat/skill/greeting
@@ -19,6 +19,8 @@ import {
   getConnectorsFromADAS
 } from '../services/adasConnectorSync.js';
 import connectorState from '../store/connectorState.js';
+import { isStdioTransport } from '../utils/connectorPayload.js';
+import { schemaToInputs } from '@adas/skill-validator';
 import skills from '../store/skills.js';
 import { getCurrentTenant } from '../utils/tenantContext.js';
 
@@ -38,27 +40,34 @@ router.get('/', (_req, res) => {
  * Connect to an MCP server and discover its tools
  *
  * Body:
- *   - command: string (e.g., "npx", "python", "node")
- *   - args: string[] (command arguments)
+ *   - transport: "stdio" (default), "http" (Streamable HTTP) or "sse" (legacy HTTP+SSE)
+ *   - command: string (e.g., "npx", "python", "node") — stdio
+ *   - args: string[] (command arguments) — stdio
+ *   - url: string (server endpoint, e.g. "https://mcp.example.com/mcp") — http/sse
+ *   - headers: object (extra request headers, ${VAR} expanded from env) — http/sse
+ *   - auth: object ({ type: "bearer", token } | { type: "basic", username, password } | { type: "header", name, value }) — http/sse
  *   - env: object (environment variables)
  *   - name: string (display name)
  *   - id: string (optional, auto-generated if not provided)
  */
 router.post('/connect', async (req, res) => {
-  const { command, args, env, name, id, type, syncToADAS = true } = req.body;
+  const { command, args, env, name, id, type, url, headers, auth, syncToADAS = true } = req.body;
+  const remote = req.body.transport === 'http' || req.body.transport === 'sse' || (!command && !!url);
+  const transport = remote ? (req.body.transport === 'sse' ? 'sse' : 'http') : 'stdio';
 
-  if (!command) {
+  if (remote && !url) {
+    return res.status(400).json({ error: 'URL is required for HTTP connectors' });
+  }
+  if (!remote && !command) {
     return res.status(400).json({ error: 'Command is required' });
   }
 
+  const displayName = name || command || url;
+
   try {
-    const result = await mcpManager.connect({
-      id,
-      command,
-      args: args || [],
-      env: env || {},
-      name: name || command
-    });
+    const result = await mcpManager.connect(remote
+      ? { id, transport, url, headers: headers || {}, auth: auth || null, env: env || {}, name: displayName }
+      : { id, command, args: args || [], env: env || {}, name: displayName });
 
     // Sync to ADAS if enabled (allows ADAS to run the connector at runtime)
     let adasSynced = false;
@@ -70,18 +79,22 @@ router.post('/connect', async (req, res) => {
         if (adasAvailable) {
           await syncConnectorToADAS({
             id: result.id,
-            name: result.name || name || command,
+            name: result.name || displayName,
             type: type || 'mcp',
-            config: {
-              command,
-              args: args || [],
-              env: {} // Don't include credentials in config, they go separately
-            },
+            ...(remote
+              ? { transport: 'http', endpoint: url }
+              : {
+                config: {
+                  command,
+                  args: args || [],
+                  env: {} // Don't include credentials in config, they go separately
+                }
+              }),
             credentials: env || {} // Credentials are encrypted by ADAS
           });
 
           // Also start it in ADAS — now returns diagnostics on failure
-          const startResult = await startConnectorInADAS(result.id, { transport: 'stdio' });
+          const startResult = await startConnectorInADAS(result.id, { transport: remote ? 'http' : 'stdio' });
 
           if (startResult?.ok === false) {
             // Connector started but failed (0 tools for stdio)
@@ -107,10 +120,14 @@ router.post('/connect', async (req, res) => {
     // Save connector state for persistence across restarts
     await connectorState.saveConnector({
       id: result.id,
-      name: name || command,
+      name: displayName,
       prebuiltId: null, // custom connector
+      transport,
       command,
       args: args || [],
+      url,
+      headers,
+      auth,
       env: env || {},
       syncedToADAS: adasSynced
     });
@@ -120,10 +137,9 @@ router.post('/connect', async (req, res) => {
     // Without this, connectors registered via /connect get skipped during redeploy
     // because they're not in PREBUILT_CONNECTORS or importedConnectorsByTenant.
     registerImportedConnector(result.id, {
-      name: name || command,
-      transport: type || 'stdio',
-      command,
-      args: args || [],
+      name: displayName,
+      transport: remote ? transport : (type || 'stdio'),
+      ...(remote ? { endpoint: url } : { command, args: args || [] }),
       env: env || {},
       category: 'custom',
       layer: 'tenant',
@@ -144,7 +160,7 @@ router.post('/connect', async (req, res) => {
     res.json(response);
   } catch (err) {
     console.error('Failed to connect to MCP server:', err);
-    const classified = classifyError(err, { connector: name || command });
+    const classified = classifyError(err, { connector: displayName });
     res.status(500).json(formatErrorResponse(classified));
   }
 });
@@ -291,7 +307,8 @@ router.get('/saved', async (_req, res) => {
 
 /**
  * GET /api/connectors/:id/status
- * Get connection status and available tools
+ * Get connection status, available tools and supervisor health
+ * (state, restart count, last crash stderr and classified error)
  */
 router.get('/:id/status', (req, res) => {
   const { id } = req.params;
@@ -300,6 +317,27 @@ router.get('/:id/status', (req, res) => {
   res.json(status);
 });
 
+/**
+ * POST /api/connectors/:id/restart
+ * Restart a connector now, resetting its crash-loop counter
+ */
+router.post('/:id/restart', async (req, res) => {
+  const { id } = req.params;
+
+  if (!mcpManager.getStatus(id).exists) {
+    return res.status(404).json({ error: 'Connection not found' });
+  }
+
+  try {
+    const status = await mcpManager.restart(id);
+    res.json({ success: true, status });
+  } catch (err) {
+    console.error(`Failed to restart connector ${id}:`, err.message);
+    const classified = classifyError(err, { connectorId: id });
+    res.status(500).json({ ...formatErrorResponse(classified), status: mcpManager.getStatus(id) });
+  }
+});
+
 /**
  * GET /api/connectors/:id/tools
  * Get list of tools from a connected MCP server
@@ -390,22 +428,8 @@ router.post('/:id/import-to-skill', async (req, res) => {
 function convertMCPToolToDAL(mcpTool, connectionId, defaultPolicies = {}) {
   const { name, description, inputSchema } = mcpTool;
 
-  // Convert JSON Schema inputs to DAL format
-  const inputs = [];
-  if (inputSchema && inputSchema.properties) {
-    const required = inputSchema.required || [];
-
-    for (const [propName, propSchema] of Object.entries(inputSchema.properties)) {
-      inputs.push({
-        name: propName,
-        type: propSchema.type || 'string',
-        required: required.includes(propName),
-        description: propSchema.description || '',
-        ...(propSchema.enum && { enum: propSchema.enum }),
-        ...(propSchema.default !== undefined && { default: propSchema.default })
-      });
-    }
-  }
+  // Convert JSON Schema inputs to DAL format (same mapping the drift check compares against)
+  const inputs = schemaToInputs(inputSchema);
 
   return {
     id: `tool-mcp-${connectionId}-${name}`,
@@ -787,10 +811,15 @@ router.post('/prebuilt/:connectorId/connect', async (req, res) => {
       }
     }
 
+    // Catalog entries without a command are reached over HTTP at their endpoint
+    const remote = !isStdioTransport(prebuilt) && !!prebuilt.endpoint;
+    const transport = remote ? prebuilt.transport || 'http' : 'stdio';
+
     const result = await mcpManager.connect({
       id: connectorId,
-      command: prebuilt.command,
-      args: finalArgs,
+      ...(remote
+        ? { transport, url: prebuilt.endpoint, headers: prebuilt.headers, auth: prebuilt.auth }
+        : { command: prebuilt.command, args: finalArgs }),
       env: finalEnv,
       name: prebuilt.name
     });
@@ -800,8 +829,10 @@ router.post('/prebuilt/:connectorId/connect', async (req, res) => {
       id: connectorId,
       name: prebuilt.name,
       prebuiltId: connectorId,
+      transport,
       command: prebuilt.command,
       args: finalArgs,
+      url: remote ? prebuilt.endpoint : null,
       env: finalEnv,
       syncedToADAS: false, // prebuilt connect doesn't sync by default
       portInfo: portInfo || null
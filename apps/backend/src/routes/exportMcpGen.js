@@ -3,6 +3,13 @@ import skillsStore from "../store/skills.js";
 import { generateMCPWithAgent, generateMCPSimple, isAgentSDKAvailable } from "../services/mcpGenerationAgent.js";
 import { MCPDevelopmentSession, analyzeSkillForMCP } from "../services/mcpDevelopmentAgent.js";
 import { generateNodeMCPFiles, generateGenericTemplate } from "../services/exportNodeMCP.js";
+import { generateTypeScriptMCPFiles } from "../services/exportTypeScriptMCP.js";
+
+// MCP template targets for /:skillId/mcp/template (?target=)
+const TEMPLATE_GENERATORS = {
+  node: { generate: generateNodeMCPFiles, method: "node-mcp-template", label: "Node.js" },
+  typescript: { generate: generateTypeScriptMCPFiles, method: "typescript-mcp-template", label: "TypeScript" }
+};
 
 // In-memory session store (in production, use Redis or similar)
 const activeSessions = new Map();
@@ -444,25 +451,33 @@ router.get("/mcp/template/generic", async (_req, res, next) => {
 });
 
 // ============================================================================
-// NODE.JS MCP TEMPLATE EXPORT (from specific skill)
+// MCP TEMPLATE EXPORT (from specific skill) — Node.js or TypeScript
 // ============================================================================
 
 /**
  * POST /api/export/:skillId/mcp/template
  *
- * Generate a Node.js MCP template from the skill's tool definitions.
+ * Generate an MCP template from the skill's tool definitions.
  * Returns file listing with download URL.
+ *
+ * Query: solution_id, target? ("node" — plain ESM stdio server, default;
+ *        "typescript" — @modelcontextprotocol/sdk project with zod schemas)
  */
 router.post("/:skillId/mcp/template", async (req, res, next) => {
   try {
     const { skillId } = req.params;
-    const { solution_id } = req.query;
+    const { solution_id, target = "node" } = req.query;
     const log = req.app.locals.log;
 
     if (!solution_id) {
       return res.status(400).json({ error: "solution_id query param is required" });
     }
 
+    const generator = TEMPLATE_GENERATORS[target];
+    if (!generator) {
+      return res.status(400).json({ error: `Unknown template target "${target}"`, targets: Object.keys(TEMPLATE_GENERATORS) });
+    }
+
     const skill = await skillsStore.load(solution_id, skillId);
 
     if (!skill.tools?.length) {
@@ -478,9 +493,9 @@ router.post("/:skillId/mcp/template", async (req, res, next) => {
       });
     }
 
-    log.info(`[export] Generating Node.js MCP template for skill ${skillId}`);
+    log.info(`[export] Generating ${generator.label} MCP template for skill ${skillId}`);
 
-    const files = generateNodeMCPFiles(skill);
+    const files = generator.generate(skill);
 
     // Save as a new export version
     const version = (skill.version || 0) + 1;
@@ -493,7 +508,8 @@ router.post("/:skillId/mcp/template", async (req, res, next) => {
     res.json({
       ok: true,
       version,
-      method: "node-mcp-template",
+      method: generator.method,
+      target,
       files: files.map(f => ({
         name: f.name,
         size: f.content.length,
@@ -513,22 +529,30 @@ router.post("/:skillId/mcp/template", async (req, res, next) => {
 /**
  * GET /api/export/:skillId/mcp/template/preview
  *
- * Preview Node.js MCP template files without saving.
+ * Preview MCP template files without saving.
+ *
+ * Query: solution_id, target? ("node" | "typescript")
  */
 router.get("/:skillId/mcp/template/preview", async (req, res, next) => {
   try {
     const { skillId } = req.params;
-    const { solution_id } = req.query;
+    const { solution_id, target = "node" } = req.query;
 
     if (!solution_id) {
       return res.status(400).json({ error: "solution_id query param is required" });
     }
 
+    const generator = TEMPLATE_GENERATORS[target];
+    if (!generator) {
+      return res.status(400).json({ error: `Unknown template target "${target}"`, targets: Object.keys(TEMPLATE_GENERATORS) });
+    }
+
     const skill = await skillsStore.load(solution_id, skillId);
-    const files = generateNodeMCPFiles(skill);
+    const files = generator.generate(skill);
 
     res.json({
       ok: true,
+      target,
       files: files.map(f => ({
         name: f.name,
         content: f.content,
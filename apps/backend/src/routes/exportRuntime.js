@@ -227,6 +227,8 @@ router.get("/:skillId/triggers/status", async (req, res, next) => {
           type: local.type,
           enabled: local.enabled,
           every: local.every,
+          cron: local.cron,
+          timezone: local.timezone,
           event: local.event,
           prompt: local.prompt,
           // CORE status
@@ -253,6 +255,8 @@ router.get("/:skillId/triggers/status", async (req, res, next) => {
           type: t.type,
           enabled: t.enabled,
           every: t.every,
+          cron: t.cron,
+          timezone: t.timezone,
           event: t.event,
           coreActive: null
         })),
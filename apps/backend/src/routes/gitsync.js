@@ -17,6 +17,13 @@
  *
  * The path is repo-relative ("solution.json" / "skills/<slug>/skill.json"
  * / "connectors/<id>/<file>"). Other paths are accepted but only logged.
+ *
+ * Drift inbox (services/gitSyncDrift.js):
+ *   GET  /api/gitsync/drift[?solutionId=]   open drift with three-way diffs
+ *   POST /api/gitsync/drift/scan            body: { solutionId } — re-check now
+ *   POST /api/gitsync/drift/resolve         body: { solutionId, path, action,
+ *                                                   choices?, prefer? }
+ *        action: keep_fs | take_gh | merge (solution.json / skill.json)
  */
 
 import { Router } from 'express';
@@ -25,6 +32,7 @@ import path from 'node:path';
 
 import solutionsStore from '../store/solutions.js';
 import skillsStore from '../store/skills.js';
+import gitSyncDrift from '../services/gitSyncDrift.js';
 import { getMemoryRoot } from '../utils/tenantContext.js';
 
 const router = Router();
@@ -136,4 +144,66 @@ router.post('/fs-mirror', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Drift inbox
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SOLUTION_ID_RE = /^[a-z0-9][a-z0-9_-]{0,127}$/i;
+
+function badSolutionId(res, solutionId) {
+  if (typeof solutionId === 'string' && SOLUTION_ID_RE.test(solutionId)) return false;
+  res.status(400).json({ ok: false, error: 'valid solutionId required' });
+  return true;
+}
+
+router.get('/drift', async (req, res, next) => {
+  try {
+    const { solutionId } = req.query;
+    if (solutionId !== undefined && badSolutionId(res, solutionId)) return;
+    const solutions = await gitSyncDrift.listDrift(solutionId);
+    res.json({
+      ok: true,
+      open: solutions.reduce((n, s) => n + s.items.length, 0),
+      solutions,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/drift/scan', async (req, res, next) => {
+  try {
+    const { solutionId } = req.body || {};
+    if (badSolutionId(res, solutionId)) return;
+    res.json(await gitSyncDrift.scanSolution(solutionId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/drift/resolve', async (req, res, next) => {
+  const log = req.app.locals.log;
+  try {
+    const { solutionId, path: repoPath, action, choices, prefer } = req.body || {};
+    if (badSolutionId(res, solutionId)) return;
+    if (!repoPath || typeof repoPath !== 'string') {
+      return res.status(400).json({ ok: false, error: 'path required (repo-relative)' });
+    }
+    const result = await gitSyncDrift.resolveDrift(solutionId, repoPath, { action, choices, prefer });
+    log.info(`[gitsync/drift] ${solutionId}/${repoPath} resolved with ${action}`);
+    res.json(result);
+  } catch (err) {
+    if (err.code === 'DRIFT_CONFLICT') {
+      return res.status(409).json({ ok: false, error: err.message, code: err.code, conflicts: err.conflicts });
+    }
+    if (err.code === 'DRIFT_NOT_FOUND') {
+      return res.status(404).json({ ok: false, error: err.message, code: err.code });
+    }
+    if (err.code === 'DRIFT_INVALID') {
+      return res.status(400).json({ ok: false, error: err.message, code: err.code });
+    }
+    next(err);
+  }
+});
+
 export default router;
@@ -1,16 +1,196 @@
 import { Router } from "express";
 import skillsStore from "../store/skills.js";
-import { createAdapter } from "../services/llm/adapter.js";
-import mcpManager from "../services/mcpConnector.js";
+import { validateDraftSkill } from "@adas/skill-validator";
+import { executeMock, MOCK_MODES } from "../services/mockRunner.js";
+import { runScenarios, applyRunToSkill } from "../services/scenarioRunner.js";
+import { simulateTriggers, runFirstSteps } from "../services/triggerDryRun.js";
+import {
+  startSession,
+  getSession,
+  resetSession,
+  endSession,
+  describeSession,
+  recordCall,
+} from "../services/mockSession.js";
 
 const router = Router();
 
+// ═══════════════════════════════════════════════════════════════
+// MOCK SESSIONS — stateful context shared by consecutive mock calls
+// ═══════════════════════════════════════════════════════════════
+
+// Start a session for one skill / test run
+router.post("/sessions", async (req, res, next) => {
+  try {
+    const { solution_id, skill_id, run_id } = req.body;
+    if (!solution_id || !skill_id) {
+      return res.status(400).json({ error: "solution_id and skill_id are required in body" });
+    }
+    // Fail early on unknown skills rather than on the first mock call
+    await skillsStore.load(solution_id, skill_id);
+
+    const session = startSession({
+      tenant: req.tenant,
+      solutionId: solution_id,
+      skillId: skill_id,
+      runId: run_id || null,
+    });
+    res.status(201).json({ session: describeSession(session) });
+  } catch (err) {
+    if (err.message?.includes('not found') || err.code === "ENOENT") {
+      return res.status(404).json({ error: "Skill not found" });
+    }
+    next(err);
+  }
+});
+
+// Inspect recorded entities and calls
+router.get("/sessions/:sessionId", (req, res) => {
+  const session = getSession(req.params.sessionId, req.tenant);
+  if (!session) {
+    return res.status(404).json({ error: "Mock session not found" });
+  }
+  res.json({ session: describeSession(session) });
+});
+
+// Clear entities and calls, keep the session id
+router.post("/sessions/:sessionId/reset", (req, res) => {
+  const session = resetSession(req.params.sessionId, req.tenant);
+  if (!session) {
+    return res.status(404).json({ error: "Mock session not found" });
+  }
+  res.json({ session: describeSession(session) });
+});
+
+router.delete("/sessions/:sessionId", (req, res) => {
+  if (!endSession(req.params.sessionId, req.tenant)) {
+    return res.status(404).json({ error: "Mock session not found" });
+  }
+  res.json({ ok: true });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SCENARIO REPLAY — play skill.scenarios through intents, workflows and mocks
+// ═══════════════════════════════════════════════════════════════
+
+// Run all (or selected) scenarios, record per-step results on the tools and
+// derive mock_status from them
+router.post("/:skillId/scenarios/run", async (req, res, next) => {
+  try {
+    const { skillId } = req.params;
+    const { solution_id, scenario_ids, mode = "hybrid", persist = true } = req.body;
+    const log = req.app.locals.log;
+
+    if (!solution_id) {
+      return res.status(400).json({ error: "solution_id is required in body" });
+    }
+    if (!MOCK_MODES.includes(mode)) {
+      return res.status(400).json({ error: "Invalid mode. Use 'example', 'llm' or 'hybrid'" });
+    }
+    if (scenario_ids !== undefined && !Array.isArray(scenario_ids)) {
+      return res.status(400).json({ error: "scenario_ids must be an array" });
+    }
+
+    const skill = await skillsStore.load(solution_id, skillId);
+    if (!skill.scenarios?.length) {
+      return res.status(400).json({ error: "Skill has no scenarios to run" });
+    }
+
+    log.info(`[ScenarioRunner] ${solution_id}/${skillId}: running ${scenario_ids?.length ?? skill.scenarios.length} scenario(s), mode=${mode}`);
+    const run = await runScenarios(skill, { tenant: req.tenant, scenarioIds: scenario_ids || null, mode, log });
+    log.info(`[ScenarioRunner] ${run.run_id}: ${run.summary.passed}/${run.summary.scenarios} scenarios passed`);
+
+    if (!persist) {
+      return res.json({ run });
+    }
+
+    // Reload before writing — LLM-backed runs can take a while and the skill
+    // may have been edited meanwhile
+    const latest = await skillsStore.load(solution_id, skillId);
+    const tools = applyRunToSkill(latest, run);
+    latest.validation = validateDraftSkill(latest);
+    await skillsStore.save(latest);
+
+    res.json({
+      run,
+      tools,
+      mocks_tested: latest.validation.completeness?.mocks_tested ?? false,
+      skill: latest
+    });
+  } catch (err) {
+    if (err.message?.includes('not found') || err.code === "ENOENT") {
+      return res.status(404).json({ error: "Skill not found" });
+    }
+    next(err);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TRIGGER DRY RUN — the jobs Core's trigger-runner would create, without Core
+// ═══════════════════════════════════════════════════════════════
+
+// Body: { solution_id, from?, to?, events?: [{ type, data?, at? }], trigger_ids?,
+//         job_duration?, run_first_step?, mode? }
+router.post("/:skillId/triggers/dry-run", async (req, res, next) => {
+  try {
+    const { skillId } = req.params;
+    const {
+      solution_id,
+      from,
+      to,
+      events = [],
+      trigger_ids,
+      job_duration,
+      run_first_step = false,
+      mode = "example",
+    } = req.body;
+    const log = req.app.locals.log;
+
+    if (!solution_id) {
+      return res.status(400).json({ error: "solution_id is required in body" });
+    }
+    if (!Array.isArray(events)) {
+      return res.status(400).json({ error: "events must be an array" });
+    }
+    if (trigger_ids !== undefined && !Array.isArray(trigger_ids)) {
+      return res.status(400).json({ error: "trigger_ids must be an array" });
+    }
+    if (!MOCK_MODES.includes(mode)) {
+      return res.status(400).json({ error: "Invalid mode. Use 'example', 'llm' or 'hybrid'" });
+    }
+
+    const skill = await skillsStore.load(solution_id, skillId);
+    const run = simulateTriggers(skill, {
+      from,
+      to,
+      events,
+      triggerIds: trigger_ids || null,
+      ...(job_duration && { jobDuration: job_duration }),
+    });
+
+    if (run_first_step) {
+      await runFirstSteps(skill, run.jobs, { tenant: req.tenant, mode, log });
+    }
+
+    log.info(`[TriggerDryRun] ${solution_id}/${skillId}: ${run.summary.created} job(s), ${run.summary.skipped} skipped`);
+    res.json({ run });
+  } catch (err) {
+    if (err.code === "INVALID_DRY_RUN") {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.message?.includes('not found') || err.code === "ENOENT") {
+      return res.status(404).json({ error: "Skill not found" });
+    }
+    next(err);
+  }
+});
+
 // Run mock test for a tool
 // Note: solutionId is passed in request body since mock routes are mounted at /api/mock
 router.post("/:skillId/:toolId", async (req, res, next) => {
   try {
     const { skillId, toolId } = req.params;
-    const { input, mode = "example", solution_id } = req.body;
+    const { input, mode = "example", solution_id, session_id } = req.body;
     const log = req.app.locals.log;
 
     if (!solution_id) {
@@ -19,6 +199,17 @@ router.post("/:skillId/:toolId", async (req, res, next) => {
 
     log.debug(`Mock test: solution=${solution_id}, skill=${skillId}, tool=${toolId}, mode=${mode}`);
 
+    let session = null;
+    if (session_id) {
+      session = getSession(session_id, req.tenant);
+      if (!session) {
+        return res.status(404).json({ error: "Mock session not found" });
+      }
+      if (session.solution_id !== solution_id || session.skill_id !== skillId) {
+        return res.status(400).json({ error: "Mock session belongs to a different skill" });
+      }
+    }
+
     // Load skill
     const skill = await skillsStore.load(solution_id, skillId);
 
@@ -28,28 +219,22 @@ router.post("/:skillId/:toolId", async (req, res, next) => {
       return res.status(404).json({ error: "Tool not found" });
     }
 
-    let output;
-
-    // Check if this is an MCP bridge tool
-    if (tool.source?.type === 'mcp_bridge') {
-      log.debug(`MCP bridge tool detected: ${tool.name} -> ${tool.source.connection_id}`);
-      output = await callMCPBridgeTool(tool, input, log);
-    } else if (mode === "example") {
-      // Example-based mock: find matching example
-      output = findMatchingExample(tool, input);
-    } else if (mode === "llm") {
-      // LLM-simulated mock
-      output = await simulateWithLLM(skill, tool, input);
-    } else {
-      return res.status(400).json({ error: "Invalid mode. Use 'example' or 'llm'" });
+    if (!MOCK_MODES.includes(mode)) {
+      return res.status(400).json({ error: "Invalid mode. Use 'example', 'llm' or 'hybrid'" });
     }
 
+    const { output, source } = await executeMock(skill, tool, input, { mode, session, log });
+
+    recordCall(session, tool, input, output, source);
+
     res.json({
       tool: tool.name,
       input,
       output,
       mode,
-      matched: mode === "example" && output._matched
+      source,
+      matched: source === "example" && output._matched,
+      ...(session && { session_id: session.id })
     });
 
   } catch (err) {
@@ -60,178 +245,4 @@ router.post("/:skillId/:toolId", async (req, res, next) => {
   }
 });
 
-/**
- * Call an MCP bridge tool through the connected MCP server
- */
-async function callMCPBridgeTool(tool, input, log) {
-  const { connection_id, mcp_tool } = tool.source;
-
-  // Check if MCP connection is active
-  const status = mcpManager.getStatus(connection_id);
-
-  if (!status.exists) {
-    return {
-      error: `MCP connection not found: ${connection_id}`,
-      _bridge: true,
-      _hint: 'Connect to the MCP server first via the Connectors tab'
-    };
-  }
-
-  if (!status.connected) {
-    return {
-      error: `MCP connection not active: ${connection_id}`,
-      _bridge: true,
-      _hint: 'The MCP server has disconnected. Reconnect via the Connectors tab'
-    };
-  }
-
-  try {
-    log.debug(`Calling MCP tool: ${mcp_tool} on connection ${connection_id}`);
-    const result = await mcpManager.callTool(connection_id, mcp_tool, input);
-    return {
-      ...result,
-      _bridge: true,
-      _source: `mcp://${connection_id}/${mcp_tool}`
-    };
-  } catch (err) {
-    log.error(`MCP bridge call failed: ${err.message}`);
-    return {
-      error: err.message,
-      _bridge: true,
-      _source: `mcp://${connection_id}/${mcp_tool}`
-    };
-  }
-}
-
-/**
- * Find matching example from mock data
- */
-function findMatchingExample(tool, input) {
-  const examples = tool.mock?.examples || [];
-  
-  if (examples.length === 0) {
-    return { error: "No mock examples defined", _matched: false };
-  }
-  
-  // Try exact match first
-  for (const example of examples) {
-    if (deepEqual(example.input, input)) {
-      return { ...example.output, _matched: true };
-    }
-  }
-  
-  // Try partial match (if input is subset of example input)
-  for (const example of examples) {
-    if (isSubset(input, example.input)) {
-      return { ...example.output, _matched: "partial" };
-    }
-  }
-  
-  // Return first example as fallback
-  return { 
-    ...examples[0].output, 
-    _matched: false,
-    _note: "No exact match found, using first example"
-  };
-}
-
-/**
- * Simulate tool output using LLM
- */
-async function simulateWithLLM(skill, tool, input) {
-  const provider = skill.settings?.llm_provider || process.env.LLM_PROVIDER || "openai";
-  const adapter = createAdapter(provider);
-  
-  const prompt = `You are simulating a tool for testing purposes.
-
-TOOL DEFINITION:
-Name: ${tool.name}
-Purpose: ${tool.purpose}
-Inputs: ${JSON.stringify(tool.inputs, null, 2)}
-Output schema: ${JSON.stringify(tool.output, null, 2)}
-
-BEHAVIOR RULES:
-${tool.mock?.rules?.join("\n") || "None specified"}
-
-EXAMPLE OUTPUTS:
-${JSON.stringify(tool.mock?.examples || [], null, 2)}
-
-USER INPUT:
-${JSON.stringify(input, null, 2)}
-
-Generate a realistic output that:
-1. Matches the output schema exactly
-2. Follows all the rules
-3. Is consistent with the examples
-4. Uses plausible/realistic data
-
-Return ONLY valid JSON output, no explanation.`;
-
-  const response = await adapter.chat({
-    systemPrompt: "You are a tool simulator. Respond only with valid JSON.",
-    messages: [{ role: "user", content: prompt }],
-    maxTokens: 1024,
-    temperature: 0.3
-  });
-  
-  try {
-    let content = response.content.trim();
-    if (content.startsWith("```json")) content = content.slice(7);
-    if (content.startsWith("```")) content = content.slice(3);
-    if (content.endsWith("```")) content = content.slice(0, -3);
-    return JSON.parse(content.trim());
-  } catch {
-    return { error: "Failed to parse LLM response", raw: response.content };
-  }
-}
-
-/**
- * Deep equality check
- */
-function deepEqual(a, b) {
-  if (a === b) return true;
-  if (typeof a !== typeof b) return false;
-  if (typeof a !== "object" || a === null || b === null) return false;
-  
-  const keysA = Object.keys(a);
-  const keysB = Object.keys(b);
-  
-  if (keysA.length !== keysB.length) return false;
-  
-  for (const key of keysA) {
-    if (!keysB.includes(key) || !deepEqual(a[key], b[key])) {
-      return false;
-    }
-  }
-  
-  return true;
-}
-
-/**
- * Check if 'subset' is a subset of 'superset'
- */
-function isSubset(subset, superset) {
-  if (typeof subset !== "object" || typeof superset !== "object") {
-    return subset === superset;
-  }
-  
-  for (const key of Object.keys(subset)) {
-    if (!(key in superset)) return false;
-    
-    const subVal = subset[key];
-    const superVal = superset[key];
-    
-    if (typeof subVal === "string" && typeof superVal === "string") {
-      // Case-insensitive string match
-      if (!superVal.toLowerCase().includes(subVal.toLowerCase())) {
-        return false;
-      }
-    } else if (!deepEqual(subVal, superVal)) {
-      return false;
-    }
-  }
-  
-  return true;
-}
-
 export default router;
@@ -13,6 +13,8 @@ import solutionsStore from '../store/solutions.js';
 import templatesStore from '../store/templates.js';
 import { getValidationSummary } from '@adas/skill-validator';
 import { getAllPrebuiltConnectors } from './connectors.js';
+import skillHistory from '../services/skillHistory.js';
+import mcpSchemaDrift from '../services/mcpSchemaDrift.js';
 
 // mergeParams: true allows access to :solutionId from parent router
 const router = Router({ mergeParams: true });
@@ -211,7 +213,7 @@ router.get('/:skillId/validation', async (req, res, next) => {
     const { solutionId, skillId } = req.params;
     const internalId = await resolveSkillId(skillId);
     const skill = await skillsStore.load(solutionId, internalId);
-    const summary = getValidationSummary(skill);
+    const summary = getValidationSummary(skill, { mcpTools: mcpSchemaDrift.liveToolsForSkill(skill) });
     res.json({ validation: summary });
   } catch (err) {
     if (err.message?.includes('not found')) {
@@ -221,6 +223,59 @@ router.get('/:skillId/validation', async (req, res, next) => {
   }
 });
 
+/**
+ * Compare bridged tools with the live schemas of their MCP connectors
+ * GET /api/solutions/:solutionId/skills/:skillId/mcp-drift
+ *
+ * Returns { tools: [{ tool_id, name, connection_id, mcp_tool, status, changes }] }
+ * status: in_sync | drifted | missing | unavailable (connector not connected)
+ */
+router.get('/:skillId/mcp-drift', async (req, res, next) => {
+  try {
+    const { solutionId, skillId } = req.params;
+    const internalId = await resolveSkillId(skillId);
+    const skill = await skillsStore.load(solutionId, internalId);
+    res.json({ tools: mcpSchemaDrift.getDriftReport(skill) });
+  } catch (err) {
+    if (err.message?.includes('not found')) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+    next(err);
+  }
+});
+
+/**
+ * Re-copy a bridged tool's inputs from its connector's current schema
+ * POST /api/solutions/:solutionId/skills/:skillId/tools/:toolId/resync
+ *
+ * Returns { skill, tool, changes } — changes lists what the resync fixed.
+ * 409 when the connector is not connected or no longer has the tool.
+ */
+router.post('/:skillId/tools/:toolId/resync', async (req, res, next) => {
+  try {
+    const { solutionId, skillId, toolId } = req.params;
+    const internalId = await resolveSkillId(skillId);
+    const skill = await skillsStore.load(solutionId, internalId);
+
+    const { tool, changes } = mcpSchemaDrift.resyncTool(skill, toolId);
+    skill.validation = mcpSchemaDrift.validateSkill(skill);
+    await skillsStore.save(skill);
+
+    res.json({ skill, tool, changes });
+  } catch (err) {
+    if (err.code === 'CONNECTOR_UNAVAILABLE' || err.code === 'MCP_TOOL_REMOVED') {
+      return res.status(409).json({ error: err.message, code: err.code });
+    }
+    if (err.message?.includes('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message?.includes('not bridged')) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
 /**
  * Get skill conversation history
  * GET /api/solutions/:solutionId/skills/:skillId/conversation
@@ -254,6 +309,76 @@ router.get('/:skillId/conversation', async (req, res, next) => {
   }
 });
 
+/**
+ * Get the per-turn change history of a skill (newest first)
+ * GET /api/solutions/:solutionId/skills/:skillId/history
+ */
+router.get('/:skillId/history', async (req, res, next) => {
+  try {
+    const { solutionId, skillId } = req.params;
+    const internalId = await resolveSkillId(skillId);
+    const history = await skillHistory.getHistory(solutionId, internalId);
+    res.json(history);
+  } catch (err) {
+    if (err.message?.includes('not found')) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+    next(err);
+  }
+});
+
+/**
+ * Shared handler for undo/redo. Conflicts with later turns are a 409 unless
+ * the body sets force: true.
+ */
+function historyAction(action) {
+  return async (req, res, next) => {
+    try {
+      const { solutionId, skillId } = req.params;
+      const { entry_id, force } = req.body || {};
+      const internalId = await resolveSkillId(skillId);
+      const { skill, entry, conflicts } = await skillHistory[action](solutionId, internalId, {
+        entryId: entry_id,
+        force: force === true,
+      });
+      const history = await skillHistory.getHistory(solutionId, internalId);
+      res.json({ skill, entry_id: entry.id, message_id: entry.message_id, overwritten: conflicts, history });
+    } catch (err) {
+      if (err.code === 'HISTORY_CONFLICT') {
+        return res.status(409).json({ error: err.message, code: err.code, conflicts: err.conflicts });
+      }
+      if (err.message === 'Nothing to undo' || err.message === 'Nothing to redo') {
+        return res.status(400).json({ error: err.message });
+      }
+      if (err.message?.includes('not found')) {
+        return res.status(404).json({ error: err.message });
+      }
+      if (err.message?.startsWith('Turn ')) {
+        return res.status(400).json({ error: err.message });
+      }
+      next(err);
+    }
+  };
+}
+
+/**
+ * Undo a chat turn's state change
+ * POST /api/solutions/:solutionId/skills/:skillId/undo
+ *
+ * Body: { entry_id?: string, force?: boolean }
+ * Without entry_id the most recent applied turn is undone. entry_id may also
+ * be the assistant message id that made the change.
+ */
+router.post('/:skillId/undo', historyAction('undo'));
+
+/**
+ * Re-apply an undone chat turn
+ * POST /api/solutions/:solutionId/skills/:skillId/redo
+ *
+ * Body: { entry_id?: string, force?: boolean }
+ */
+router.post('/:skillId/redo', historyAction('redo'));
+
 /**
  * Delete skill
  * DELETE /api/solutions/:solutionId/skills/:skillId
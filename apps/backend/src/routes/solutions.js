@@ -13,9 +13,11 @@ import { processSolutionMessage } from '../services/solutionConversation.js';
 import { validateSolution, validateSecurity, validateSolutionQuality, githubDeleteDirectory } from '@adas/skill-validator';
 import { getSkillSlug, deploySkillToADAS } from '../services/exportDeploy.js';
 import adasCore from '../services/adasCoreClient.js';
+import { diffDeployedSkill, diffDeployedSkills } from '../services/deployDiff.js';
 import { getCurrentTenant } from '../utils/tenantContext.js';
 import { discoverPluginsViaIntrospection } from '../services/pluginDiscovery.js';
 import { generateOrchestratorIfNeeded } from '../services/builtinOrchestrator.js';
+import regressionRunner, { extractSteps, isJobFinal } from '../services/regressionRunner.js';
 import skillsRouter from './skills.js';
 import validationRouter from "./solutionsValidation.js";
 
@@ -830,7 +832,12 @@ router.put('/:id/skills/:skillId/sync-deploy', async (req, res, next) => {
  * POST /api/solutions/:id/redeploy
  *
  * Iterates all linked skills, regenerates MCP servers, pushes to ADAS Core.
- * Returns per-skill results.
+ * Returns per-skill results. When the solution has a regression suite and
+ * every skill deployed, the suite starts in the background once the deploy
+ * is answered: `regression` carries the RUNNING run (its id and start time),
+ * and GET /:id/regression lists it as `running` until it is recorded with
+ * its green/red diff against the previous run.
+ * Body: { regression?: false } — skip the suite
  */
 router.post('/:id/redeploy', async (req, res, next) => {
   try {
@@ -957,6 +964,26 @@ router.post('/:id/redeploy', async (req, res, next) => {
     }
 
     const allOk = totalFailed === 0;
+
+    // Regression suite against the fresh deploy, diffed against the previous
+    // run. It can take minutes, so it runs after the response and the client
+    // polls GET /:id/regression. Opt out with { regression: false }. A suite
+    // that cannot run is reported, not treated as a deploy failure.
+    let regression;
+    if (allOk && solution.regression_suite?.tests?.length > 0 && req.body?.regression !== false) {
+      try {
+        const { run, done } = regressionRunner.startRun(solutionId, { trigger: 'redeploy' });
+        regression = { ok: true, ...run };
+        done.then(
+          ({ run, diff }) => log.info(`[BulkRedeploy] Regression suite ${run.status}: ${run.passed}/${run.total} passed${diff ? `, diff ${diff.status} (${diff.regressed.length} regressed, ${diff.fixed.length} fixed)` : ''}`),
+          (err) => log.warn(`[BulkRedeploy] Regression suite failed to run: ${err.message}`),
+        );
+      } catch (err) {
+        regression = { ok: false, error: err.message };
+        log.warn(`[BulkRedeploy] Regression suite failed to start: ${err.message}`);
+      }
+    }
+
     res.status(allOk ? 200 : 502).json({
       ok: allOk,
       solution_id: solutionId,
@@ -965,6 +992,7 @@ router.post('/:id/redeploy', async (req, res, next) => {
       total: linkedSkills.length,
       skills: results,
       verification,
+      ...(regression && { regression }),
     });
   } catch (err) {
     if (err.message?.includes('not found')) {
@@ -1068,6 +1096,81 @@ router.get('/:id/export', async (req, res, next) => {
 // CHAT
 // ═══════════════════════════════════════════════════════════════
 
+/**
+ * Run one Solution Bot turn on a loaded solution: call the LLM, apply the
+ * state update, persist both messages and build the response payload shared
+ * by the JSON and streaming endpoints.
+ */
+async function runSolutionChatTurn(solution, { message, llmSettings, log, onMessageDelta }) {
+  // Save user message
+  solution.conversation.push({
+    id: `msg_${Date.now()}`,
+    role: 'user',
+    content: message,
+    timestamp: new Date().toISOString(),
+  });
+
+  // Process with LLM
+  const response = await processSolutionMessage({ solution, userMessage: message, llmSettings, onMessageDelta });
+
+  log.debug('Solution LLM response received', { usage: response.usage });
+
+  // Apply state updates
+  if (response.stateUpdate && Object.keys(response.stateUpdate).length > 0) {
+    log.debug('Applying solution state updates', response.stateUpdate);
+    // Apply directly via store's applyUpdates (re-load to get fresh state after user msg save)
+    for (const [key, value] of Object.entries(response.stateUpdate)) {
+      if (key === 'phase') {
+        solution.phase = value;
+      } else {
+        // Use the store's updateState for proper _push/_delete handling
+        // We'll apply inline since we already have the object in memory
+        applyInlineUpdates(solution, { [key]: value });
+      }
+    }
+  }
+
+  // Save assistant message
+  solution.conversation.push({
+    id: `msg_${Date.now()}`,
+    role: 'assistant',
+    content: response.message,
+    timestamp: new Date().toISOString(),
+    state_update: response.stateUpdate,
+    suggested_focus: response.suggestedFocus,
+    input_hint: response.inputHint,
+  });
+
+  // Save updated solution
+  await solutionsStore.save(solution);
+
+  // Run validation
+  const validation = validateSolution(solution);
+
+  return {
+    message: response.message,
+    solution,
+    state_update: response.stateUpdate,
+    suggested_focus: response.suggestedFocus,
+    input_hint: response.inputHint,
+    validation,
+    usage: response.usage,
+    rejected_updates: response.rejectedUpdates || [],
+  };
+}
+
+/**
+ * Load a solution for chat, mapping "not found" to null
+ */
+async function loadSolutionForChat(id) {
+  try {
+    return await solutionsStore.load(id);
+  } catch (err) {
+    if (err.message?.includes('not found')) return null;
+    throw err;
+  }
+}
+
 /**
  * Send message to Solution Bot
  * POST /api/solutions/:id/chat
@@ -1084,74 +1187,75 @@ router.post('/:id/chat', async (req, res, next) => {
 
     log.debug(`Solution chat request for ${req.params.id}`);
 
-    // Load solution
-    let solution;
-    try {
-      solution = await solutionsStore.load(req.params.id);
-    } catch (err) {
-      if (err.message?.includes('not found')) {
-        return res.status(404).json({ error: 'Solution not found' });
-      }
-      throw err;
+    const solution = await loadSolutionForChat(req.params.id);
+    if (!solution) {
+      return res.status(404).json({ error: 'Solution not found' });
     }
 
-    // Save user message
-    solution.conversation.push({
-      id: `msg_${Date.now()}`,
-      role: 'user',
-      content: message,
-      timestamp: new Date().toISOString(),
-    });
+    const payload = await runSolutionChatTurn(solution, { message, llmSettings: llm_settings, log });
+    res.json(payload);
+  } catch (err) {
+    req.app.locals.log.error('Solution chat error:', err);
+    next(err);
+  }
+});
 
-    // Process with LLM
-    const response = await processSolutionMessage({ solution, userMessage: message, llmSettings: llm_settings });
+/**
+ * Send message to Solution Bot, streaming the reply
+ * POST /api/solutions/:id/chat/stream
+ * Body: { message: string }
+ *
+ * Server-Sent Events (`data: {json}` lines):
+ *   { type: 'delta', text }   — next piece of the assistant message
+ *   { type: 'done', ... }     — final payload, same fields as POST /:id/chat
+ *   { type: 'error', error }  — the turn failed
+ */
+router.post('/:id/chat/stream', async (req, res, next) => {
+  const log = req.app.locals.log;
+  let streaming = false;
 
-    log.debug('Solution LLM response received', { usage: response.usage });
+  try {
+    const { message, llm_settings } = req.body;
 
-    // Apply state updates
-    if (response.stateUpdate && Object.keys(response.stateUpdate).length > 0) {
-      log.debug('Applying solution state updates', response.stateUpdate);
-      const storeModule = solutionsStore;
-      // Apply directly via store's applyUpdates (re-load to get fresh state after user msg save)
-      for (const [key, value] of Object.entries(response.stateUpdate)) {
-        if (key === 'phase') {
-          solution.phase = value;
-        } else {
-          // Use the store's updateState for proper _push/_delete handling
-          // We'll apply inline since we already have the object in memory
-          applyInlineUpdates(solution, { [key]: value });
-        }
-      }
+    if (!message) {
+      return res.status(400).json({ error: 'message is required' });
     }
 
-    // Save assistant message
-    solution.conversation.push({
-      id: `msg_${Date.now()}`,
-      role: 'assistant',
-      content: response.message,
-      timestamp: new Date().toISOString(),
-      state_update: response.stateUpdate,
-      suggested_focus: response.suggestedFocus,
-      input_hint: response.inputHint,
-    });
+    log.debug(`Solution chat stream for ${req.params.id}`);
 
-    // Save updated solution
-    await solutionsStore.save(solution);
+    const solution = await loadSolutionForChat(req.params.id);
+    if (!solution) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
 
-    // Run validation
-    const validation = validateSolution(solution);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    streaming = true;
 
-    res.json({
-      message: response.message,
-      solution,
-      suggested_focus: response.suggestedFocus,
-      input_hint: response.inputHint,
-      validation,
-      usage: response.usage,
+    const send = (data) => {
+      if (!res.writableEnded) res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const payload = await runSolutionChatTurn(solution, {
+      message,
+      llmSettings: llm_settings,
+      log,
+      onMessageDelta: (text) => send({ type: 'delta', text }),
     });
+
+    send({ type: 'done', ...payload });
+    res.end();
   } catch (err) {
-    req.app.locals.log.error('Solution chat error:', err);
-    next(err);
+    log.error('Solution chat stream error:', err);
+    if (!streaming) return next(err);
+    if (!res.writableEnded) {
+      res.write(`data: ${JSON.stringify({ type: 'error', error: err.message })}\n\n`);
+      res.end();
+    }
   }
 });
 
@@ -1366,27 +1470,6 @@ router.get('/:id/logs', async (req, res, next) => {
   }
 });
 
-/** Extract tool call steps from job's __exec state (same data Job Progress UI shows) */
-function extractSteps(job) {
-  const steps = [];
-  const exec = job?.state?.steps?.__exec;
-  if (exec && typeof exec === 'object') {
-    for (const [, arr] of Object.entries(exec)) {
-      if (!Array.isArray(arr)) continue;
-      for (const s of arr) {
-        if (!s || typeof s.tool !== 'string') continue;
-        steps.push({ tool: s.tool, args: s.args || {}, result: s.result, error: s.error || null });
-      }
-    }
-  }
-  return steps;
-}
-
-/** Check if a job is in a terminal state */
-function isJobFinal(job) {
-  return job.done || job.status === 'done' || job.status === 'error' || job.status === 'failed';
-}
-
 /** Map job.status to a cleaner status string */
 function mapJobStatus(job) {
   if (job.status === 'done') return 'completed';
@@ -1729,6 +1812,11 @@ router.get('/:id/connectors/:connectorId/source', async (req, res, next) => {
 /**
  * GET /api/solutions/:id/diff — Compare Builder definition vs ADAS Core deployed state
  * Query: ?skill_id=X (optional — diff single skill, otherwise diff solution)
+ *
+ * `semantic` is the reviewer-facing change list (Core → Builder) from
+ * services/deployDiff.js: tools, inputs, intents, policy, access_policy and
+ * engine changes with one-line messages. It is left out when Core only
+ * reports skill summaries.
  */
 router.get('/:id/diff', async (req, res, next) => {
   try {
@@ -1762,7 +1850,8 @@ router.get('/:id/diff', async (req, res, next) => {
 
       // Compare key fields
       const changes = diffObjects(builderSkill, coreSkill, ['name', 'description', 'version', 'tools', 'intents', 'policy', 'connectors', 'prompt']);
-      return res.json({ ok: true, changed: changes.length > 0, skill_id, changes });
+      const semantic = diffDeployedSkill(builderSkill, coreSkill);
+      return res.json({ ok: true, changed: changes.length > 0, skill_id, changes, ...(semantic && { semantic }) });
     }
 
     // Diff the solution
@@ -1794,6 +1883,18 @@ router.get('/:id/diff', async (req, res, next) => {
       changes.push({ path: 'skills', type: 'orphaned', ids: inCoreNotBuilder, message: 'Skills in Core but not in Builder solution' });
     }
 
+    // Per-skill semantic diff for every skill deployed on both sides
+    const pairs = [];
+    for (const skillId of builderSkillIds.filter(id => coreSkillSlugs.includes(id))) {
+      try {
+        const builder = await skillsStore.load(solutionId, skillId);
+        pairs.push({ id: skillId, builder, core: coreSkills.find(s => (s.slug || s.id) === skillId) });
+      } catch {
+        // Linked but missing on disk — reported by validation, not here
+      }
+    }
+    const semantic = diffDeployedSkills(pairs);
+
     res.json({
       ok: true,
       changed: changes.length > 0,
@@ -1801,6 +1902,7 @@ router.get('/:id/diff', async (req, res, next) => {
       builder_skills: builderSkillIds,
       core_skills: coreSkillSlugs,
       changes,
+      ...(semantic && { semantic }),
     });
   } catch (err) {
     next(err);
@@ -1898,6 +2000,102 @@ function createConfigTemplate(keys) {
   return config;
 }
 
+// ═══════════════════════════════════════════════════════════════
+// REGRESSION SUITE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/solutions/:id/regression — The suite and its recorded runs
+ * Runs are newest first, without per-case results. `running` is the run a
+ * manual run or redeploy started and has not recorded yet, or null.
+ */
+router.get('/:id/regression', async (req, res, next) => {
+  try {
+    const solution = await solutionsStore.load(req.params.id);
+    const runs = await regressionRunner.listRuns(req.params.id);
+    const running = regressionRunner.activeRun(req.params.id);
+    res.json({ ok: true, suite: solution.regression_suite || null, runs, running });
+  } catch (err) {
+    if (err.message?.includes('not found')) {
+      return res.status(404).json({ ok: false, error: 'Solution not found' });
+    }
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/solutions/:id/regression/suite — Validate and save the suite
+ * Body: { suite: { timeout_ms?, thresholds?, tests: [...] } }
+ */
+router.put('/:id/regression/suite', async (req, res, next) => {
+  try {
+    const suite = regressionRunner.normalizeSuite(req.body?.suite);
+    const solution = await solutionsStore.load(req.params.id);
+    solution.regression_suite = suite;
+    await solutionsStore.save(solution);
+    res.json({ ok: true, suite });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+    if (err.message?.includes('not found')) {
+      return res.status(404).json({ ok: false, error: 'Solution not found' });
+    }
+    next(err);
+  }
+});
+
+/**
+ * POST /api/solutions/:id/regression — Run the suite against ADAS Core
+ * Body: { tests?: string[] } — only run these cases
+ * Starts the run and answers 202 with the RUNNING placeholder; the run is
+ * recorded in the background (diffed against the previous run) and the
+ * client polls GET /:id/regression, as after a redeploy. 409 while another
+ * run of the solution is in progress.
+ */
+router.post('/:id/regression', async (req, res, next) => {
+  try {
+    const log = req.app.locals.log;
+    const { tests } = req.body || {};
+    if (tests !== undefined && (!Array.isArray(tests) || !tests.every(t => typeof t === 'string'))) {
+      return res.status(400).json({ ok: false, error: 'tests must be an array of test names' });
+    }
+    const solution = await solutionsStore.load(req.params.id);
+    // Reject an empty or unmatched selection now rather than in the background run
+    regressionRunner.selectTests(solution.regression_suite || {}, tests);
+
+    const { run, done } = regressionRunner.startRun(req.params.id, { tests });
+    done.then(
+      ({ run }) => log.info(`[Regression] ${req.params.id} run ${run.id} ${run.status}: ${run.passed}/${run.total} passed`),
+      (err) => log.warn(`[Regression] ${req.params.id} run ${run.id} failed: ${err.message}`),
+    );
+    res.status(202).json({ ok: true, run });
+  } catch (err) {
+    if (err.statusCode === 400 || err.statusCode === 409) {
+      return res.status(err.statusCode).json({ ok: false, error: err.message });
+    }
+    if (err.message?.includes('not found')) {
+      return res.status(404).json({ ok: false, error: 'Solution not found' });
+    }
+    next(err);
+  }
+});
+
+/**
+ * GET /api/solutions/:id/regression/runs/:runId — A recorded run with per-case results
+ */
+router.get('/:id/regression/runs/:runId', async (req, res, next) => {
+  try {
+    const run = await regressionRunner.getRun(req.params.id, req.params.runId);
+    if (!run) {
+      return res.status(404).json({ ok: false, error: 'Run not found' });
+    }
+    res.json({ ok: true, run });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Mount validation sub-router
 router.use("/", validationRouter);
 
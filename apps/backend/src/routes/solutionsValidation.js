@@ -1,7 +1,7 @@
 import { Router } from 'express';
 import solutionsStore from '../store/solutions.js';
 import skillsStore from '../store/skills.js';
-import { validateSolution, validateSecurity, validateSolutionQuality } from '@adas/skill-validator';
+import { validateSolution, validateSecurity, validateSolutionQuality, simulateGrantFlow } from '@adas/skill-validator';
 import { getImportedConnectorsForTenant, getAllPrebuiltConnectors } from './connectors.js';
 import { getCurrentTenant } from '../utils/tenantContext.js';
 
@@ -1004,6 +1004,44 @@ function buildSkillMapping(topologySkills, implSkills) {
   return mapping;
 }
 
+/**
+ * Simulate grant flow from an entry channel through the handoff graph
+ * POST /api/solutions/:id/grant-flow
+ *
+ * Body: { channel?, actor?: { grants: { key: value } | [key] } }
+ * Returns { flow } — per-path hops, grants held per skill, per-handoff
+ * passed/missing grants, and security contract satisfiability.
+ */
+router.post('/:id/grant-flow', async (req, res, next) => {
+  try {
+    const { channel, actor } = req.body || {};
+    const solution = await solutionsStore.load(req.params.id);
+
+    if (channel && !(solution.routing || {})[channel]) {
+      return res.status(400).json({ error: `Channel "${channel}" has no routing rule` });
+    }
+
+    // Full skill definitions (grant_mappings, context_propagation), keyed by topology id
+    const skillList = await skillsStore.list(req.params.id);
+    const implSkills = (await Promise.all(
+      skillList.map(s => skillsStore.load(req.params.id, s.id).catch(() => null))
+    )).filter(Boolean);
+    const skills = (solution.skills || [])
+      .map(topoSkill => {
+        const matched = findMatchingSkill(topoSkill.id, implSkills);
+        return matched ? { ...matched, id: topoSkill.id } : null;
+      })
+      .filter(Boolean);
+
+    res.json({ flow: simulateGrantFlow(solution, { channel, actor, skills }) });
+  } catch (err) {
+    if (err.message?.includes('not found')) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    next(err);
+  }
+});
+
 /**
  * Get solution topology graph
  * GET /api/solutions/:id/topology
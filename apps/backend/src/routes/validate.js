@@ -9,6 +9,7 @@
 import { Router } from 'express';
 import { createAdapter } from '../services/llm/adapter.js';
 import skillsStore from '../store/skills.js';
+import { evaluateAccess, simulateAccessMatrix, nextFireTimes, evaluateFilter } from '@adas/skill-validator';
 
 /**
  * Coverage metadata for auto-generating documentation
@@ -1174,4 +1175,113 @@ router.post('/security-consistency', async (req, res, next) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════════
+// ACCESS POLICY SIMULATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Evaluate the skill's access policy for hypothetical actors.
+ * POST /api/validate/access-simulate
+ *
+ * Single call:  { solution_id, skill_id, actor, tool, args? }
+ *   → { decision: { effect, rule_index, rule, reason, args, injected, response_filter, trace, warnings } }
+ *
+ * What-if matrix: { solution_id, skill_id, actors: [...], tools?: [...], args?: { [tool]: {...} } }
+ *   → { matrix: { tools, rows: [{ actor, cells: [decision] }] } }
+ *
+ * actor: { name?, origin_type, channel?, root_origin_type?, root_channel?, roles?, grants? }
+ * Deterministic; nothing is called.
+ */
+router.post('/access-simulate', async (req, res, next) => {
+  try {
+    const { solution_id, skill_id, actor, actors, tool, tools, args } = req.body;
+
+    if (!solution_id) {
+      return res.status(400).json({ error: 'solution_id is required' });
+    }
+
+    if (!skill_id) {
+      return res.status(400).json({ error: 'skill_id is required' });
+    }
+
+    if (actors !== undefined && !Array.isArray(actors)) {
+      return res.status(400).json({ error: 'actors must be an array' });
+    }
+
+    if (!actors && !tool) {
+      return res.status(400).json({ error: 'tool is required (or pass actors for a matrix)' });
+    }
+
+    let skill;
+    try {
+      skill = await skillsStore.load(solution_id, skill_id);
+    } catch (err) {
+      if (err.message?.includes('not found') || err.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Skill not found' });
+      }
+      throw err;
+    }
+
+    if (actors) {
+      return res.json({ matrix: simulateAccessMatrix(skill, { actors, tools, args: args || {} }) });
+    }
+
+    res.json({ decision: evaluateAccess(skill, { actor: actor || {}, tool, args: args || {} }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/validate/schedule-preview
+ *
+ * Body: { trigger: { every? | cron?, timezone?, active_windows?, blackout_dates? }, count?, from? }
+ *   → { times: [{ at, local, weekday }] }
+ *
+ * Takes the trigger from the body so the Triggers panel can preview unsaved
+ * edits. Fewer than `count` times means the schedule (almost) never fires.
+ */
+router.post('/schedule-preview', (req, res) => {
+  const { trigger, count = 5, from } = req.body;
+
+  if (!trigger || typeof trigger !== 'object') {
+    return res.status(400).json({ error: 'trigger is required' });
+  }
+
+  if (!Number.isInteger(count) || count < 1 || count > 50) {
+    return res.status(400).json({ error: 'count must be an integer between 1 and 50' });
+  }
+
+  try {
+    res.json({ times: nextFireTimes(trigger, { count, ...(from && { from }) }) });
+  } catch (err) {
+    // Invalid cron / duration / timezone — the message says which
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/validate/event-filter
+ *
+ * Body: { filter: string | object, payload: object }
+ *   → { matched, clauses: [{ text, path, op, expected, actual, result }], errors: [{ message, position }] }
+ *
+ * Runs an event trigger filter against a sample event.data payload.
+ * Syntax and type errors come back in `errors` (200) so the editor can show
+ * them inline.
+ */
+router.post('/event-filter', (req, res) => {
+  const { filter, payload = {} } = req.body;
+
+  if (filter === undefined) {
+    return res.status(400).json({ error: 'filter is required' });
+  }
+
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return res.status(400).json({ error: 'payload must be a JSON object (the event data)' });
+  }
+
+  res.json(evaluateFilter(filter, payload));
+});
+
 export default router;
@@ -167,7 +167,7 @@ app.get("/api/health/gitsync", async (_req, res) => {
   // we're going to hit the 5000/hour rate limit again.
   let readCache = null;
   try {
-    const ghMod = await import('@adas/skill-validator/src/services/githubService.js');
+    const ghMod = await import('@adas/skill-validator/src/services/vcs/index.js');
     if (typeof ghMod.getReadCacheStats === 'function') readCache = ghMod.getReadCacheStats();
   } catch { /* older validator without cache stats */ }
   res.json({
@@ -277,10 +277,12 @@ const server = app.listen(port, "0.0.0.0", () => {
       for (const conn of connectors) {
         try {
           log.info(`[Startup] Reconnecting: ${conn.name} (${conn.id})`);
+          const remote = conn.transport === 'http' || conn.transport === 'sse';
           await mcpManager.connect({
             id: conn.id,
-            command: conn.command,
-            args: conn.args,
+            ...(remote
+              ? { transport: conn.transport, url: conn.url, headers: conn.headers, auth: conn.auth }
+              : { command: conn.command, args: conn.args }),
             env: conn.env,
             name: conn.name
           });
@@ -288,9 +290,8 @@ const server = app.listen(port, "0.0.0.0", () => {
           // during skill redeploy (deploySkillToADAS uses this catalog).
           registerImportedConnector(conn.id, {
             name: conn.name,
-            transport: 'stdio',
-            command: conn.command,
-            args: conn.args || [],
+            transport: remote ? conn.transport : 'stdio',
+            ...(remote ? { endpoint: conn.url } : { command: conn.command, args: conn.args || [] }),
             env: conn.env || {},
             category: 'custom',
             layer: 'tenant',
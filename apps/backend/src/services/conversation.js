@@ -1,5 +1,11 @@
 import { buildDALSystemPrompt } from "../prompts/dalSystem.js";
 import { createAdapter } from "./llm/adapter.js";
+import { createMessageStreamer } from "./llm/messageStream.js";
+import { runDALTurn } from "./dalTools.js";
+
+// Reply format: "tools" = native tool calling (update_state / suggest_focus / ask_user),
+// "json" = legacy single-JSON reply parsed from the text
+const RESPONSE_MODE = process.env.DAL_RESPONSE_MODE === "json" ? "json" : "tools";
 
 /**
  * Compress conversation history to manage context size
@@ -73,8 +79,9 @@ function compressConversation(messages) {
  * @param {Object} params.skill - DraftSkill object
  * @param {string} params.userMessage - User's message
  * @param {Object} params.uiFocus - Optional UI focus context
+ * @param {Function} [params.onMessageDelta] - Stream the reply: called with each new piece of the message text
  */
-export async function processMessage({ skill, userMessage, uiFocus }) {
+export async function processMessage({ skill, userMessage, uiFocus, onMessageDelta }) {
   // Compress conversation if too long
   const compressedHistory = compressConversation(skill.conversation);
 
@@ -95,7 +102,7 @@ export async function processMessage({ skill, userMessage, uiFocus }) {
   });
 
   // Build system prompt with current state
-  const systemPrompt = buildDALSystemPrompt(skill);
+  const systemPrompt = buildDALSystemPrompt(skill, { responseMode: RESPONSE_MODE });
 
   // Get LLM adapter
   const settings = skill._settings;
@@ -105,13 +112,26 @@ export async function processMessage({ skill, userMessage, uiFocus }) {
     model: settings?.llm_model
   });
 
-  // Send to LLM
-  const response = await adapter.chat({
+  if (RESPONSE_MODE === "tools") {
+    const result = await runDALTurn(adapter, { systemPrompt, messages, target: "skill", onMessageDelta });
+    console.log("[Conversation] Tool-calling turn, state_update keys:", Object.keys(result.stateUpdate));
+    return result;
+  }
+
+  // Send to LLM — when a delta callback is given, stream the "message" field as it arrives
+  const request = {
     systemPrompt,
     messages,
     maxTokens: 4096,
     temperature: 0.7
-  });
+  };
+  let response;
+  if (onMessageDelta) {
+    const streamer = createMessageStreamer(onMessageDelta);
+    response = await adapter.chatStream({ ...request, onText: streamer.push });
+  } else {
+    response = await adapter.chat(request);
+  }
 
   // Check for truncated response
   if (response.stopReason === 'length') {
@@ -0,0 +1,246 @@
+/**
+ * DAL Tools — structured tool calling for the skill and solution builder chats
+ *
+ * Instead of answering with one JSON blob ({ message, state_update, ... }) that
+ * has to be fished out of the text, the builder models reply in plain text and
+ * call three functions through the provider's native tool calling:
+ *
+ *   update_state({ updates })                      → state_update
+ *   suggest_focus({ panel, tab, section, id })     → suggested_focus
+ *   ask_user({ mode, options, placeholder })       → input_hint
+ *
+ * update_state arguments are validated with services/stateUpdateSchema. A
+ * rejected update is returned to the model with the errors so it can correct
+ * itself; after MAX_STATE_RETRIES rejections the valid keys are kept and the
+ * rest is dropped (and reported), so one bad field no longer loses a whole
+ * batch of tools.
+ *
+ * @module services/dalTools
+ */
+
+import { validateStateUpdate, updateStateProperties } from './stateUpdateSchema.js';
+
+// Rejected update_state calls the model gets to fix before we stop asking
+const MAX_STATE_RETRIES = 1;
+
+const SKILL_FOCUS_PANELS = ['problem', 'scenarios', 'role', 'intents', 'tools', 'mocks', 'connectors', 'policy', 'security', 'engine', 'triggers', 'identity'];
+const SOLUTION_FOCUS_PANELS = ['users-roles', 'topology', 'grants', 'handoffs', 'routing', 'security', 'validation'];
+
+// ═══════════════════════════════════════════════════════════════
+// FUNCTION DEFINITIONS
+// ═══════════════════════════════════════════════════════════════
+
+function updateStateFunction(target) {
+  const subject = target === 'solution' ? 'solution' : 'skill';
+  return {
+    name: 'update_state',
+    description: `Save changes to the ${subject}. Pass the same flat state_update object described in the instructions: dot-notation keys set fields ("problem.statement"), and array keys take the suffixes _push (add/merge items), _update (merge by name/id), _delete (remove by name/id) and _rename ({ from, to }). Call it whenever you add, change or remove anything you mention in your reply. If the result says REJECTED, fix the listed problems and call it again.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        updates: {
+          type: 'object',
+          description: `state_update object for the ${subject}`,
+          properties: updateStateProperties(target),
+          // _update / _delete / _rename and indexed keys ("scenarios[0].title")
+          additionalProperties: true,
+        },
+      },
+      required: ['updates'],
+    },
+  };
+}
+
+function suggestFocusFunction(target) {
+  const panels = target === 'solution' ? SOLUTION_FOCUS_PANELS : SKILL_FOCUS_PANELS;
+  return {
+    name: 'suggest_focus',
+    description: 'Point the user\'s UI at the part of the builder the conversation is about. Call at most once per reply.',
+    parameters: {
+      type: 'object',
+      properties: {
+        panel: { type: 'string', description: `Panel to open, e.g. ${panels.join(', ')}` },
+        tab: { type: 'string', description: 'Tab within the panel, if any' },
+        section: { type: 'string', description: 'Section to scroll to, if any' },
+        id: { type: 'string', description: 'Specific item (tool name, intent id, ...) to highlight' },
+      },
+    },
+  };
+}
+
+const ASK_USER_FUNCTION = {
+  name: 'ask_user',
+  description: 'Describe how the user should answer your reply. Prefer mode "selection" with 2-6 options; use "text" only for open-ended answers. Call exactly once per reply.',
+  parameters: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ['selection', 'text'] },
+      options: { type: 'array', items: { type: 'string' }, description: 'Clickable answers (selection mode)' },
+      placeholder: { type: 'string', description: 'Input placeholder text' },
+    },
+    required: ['mode'],
+  },
+};
+
+/**
+ * Functions offered to the builder model.
+ * @param {'skill' | 'solution'} target
+ * @returns {Array<{ name: string, description: string, parameters: Object }>}
+ */
+export function getDALFunctions(target = 'skill') {
+  return [updateStateFunction(target), suggestFocusFunction(target), ASK_USER_FUNCTION];
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TURN COLLECTOR
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Merge one accepted update into the turn's combined state_update.
+ * Repeated _push/_delete keys accumulate instead of overwriting each other.
+ */
+function mergeUpdate(combined, updates) {
+  for (const [key, value] of Object.entries(updates)) {
+    if (key in combined && (key.endsWith('_push') || key.endsWith('_delete') || key.endsWith('_update'))) {
+      const prev = Array.isArray(combined[key]) ? combined[key] : [combined[key]];
+      combined[key] = [...prev, ...(Array.isArray(value) ? value : [value])];
+    } else {
+      combined[key] = value;
+    }
+  }
+}
+
+/**
+ * Collect the function calls of one chat turn.
+ *
+ * Pass `handle` to the adapter as onFunctionCall; read the outcome with
+ * `result()` once the adapter returns.
+ *
+ * @param {Object} [opts]
+ * @param {'skill' | 'solution'} [opts.target='skill']
+ * @param {Object} [opts.log]
+ */
+export function createToolTurn({ target = 'skill', log = console } = {}) {
+  const stateUpdate = {};
+  let suggestedFocus = null;
+  let inputHint = null;
+  let rejections = 0;
+  const dropped = []; // { key, errors }
+
+  async function handle(name, args = {}) {
+    switch (name) {
+      case 'update_state': {
+        const updates = args.updates ?? args;
+        const { valid, errors } = validateStateUpdate(updates, { target });
+        if (valid) {
+          mergeUpdate(stateUpdate, updates);
+          return `OK — saved ${Object.keys(updates).length} change(s).`;
+        }
+
+        rejections++;
+        log.warn?.(`[DALTools] update_state rejected (${rejections}):`, errors);
+        if (rejections <= MAX_STATE_RETRIES) {
+          return `REJECTED — nothing from this call was saved. Fix these problems and call update_state again with the corrected updates:\n- ${errors.join('\n- ')}`;
+        }
+
+        // Out of retries: keep whatever is valid on its own, drop the rest
+        const kept = {};
+        const droppedKeys = [];
+        for (const [key, value] of Object.entries(typeof updates === 'object' && updates ? updates : {})) {
+          const check = validateStateUpdate({ [key]: value }, { target });
+          if (check.valid) {
+            kept[key] = value;
+          } else {
+            droppedKeys.push(key);
+            dropped.push({ key, errors: check.errors });
+          }
+        }
+        mergeUpdate(stateUpdate, kept);
+        return `PARTIALLY SAVED — ${Object.keys(kept).length} change(s) kept; dropped: ${droppedKeys.join(', ') || '(whole update)'}. Do not retry; tell the user briefly what could not be saved.`;
+      }
+
+      case 'suggest_focus':
+        suggestedFocus = Object.fromEntries(Object.entries(args).filter(([, v]) => v != null && v !== ''));
+        return 'OK';
+
+      case 'ask_user': {
+        const mode = args.mode === 'text' ? 'text' : 'selection';
+        const options = Array.isArray(args.options) ? args.options.filter(o => typeof o === 'string' && o.trim()) : [];
+        inputHint = mode === 'selection' && options.length === 0
+          ? { mode: 'text' }
+          : { mode, ...(mode === 'selection' && { options }), ...(args.placeholder && { placeholder: args.placeholder }) };
+        return 'OK';
+      }
+
+      default:
+        return `Unknown function: ${name}`;
+    }
+  }
+
+  return {
+    handle,
+    result: () => ({
+      stateUpdate,
+      suggestedFocus,
+      inputHint,
+      rejectedUpdates: dropped,
+    }),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TURN RUNNER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Run one builder chat turn with tool calling.
+ *
+ * @param {Object} adapter - LLM adapter (services/llm)
+ * @param {Object} params
+ * @param {string} params.systemPrompt - Built with responseMode 'tools'
+ * @param {Array} params.messages
+ * @param {'skill' | 'solution'} params.target
+ * @param {Function} [params.onMessageDelta] - Stream reply text as it arrives
+ * @param {Object} [params.log]
+ * @returns {Promise<{ message: string, stateUpdate: Object, suggestedFocus: Object|null, inputHint: Object|null, rejectedUpdates: Array, usage: Object, toolsUsed: Array|null }>}
+ */
+export async function runDALTurn(adapter, { systemPrompt, messages, target, onMessageDelta, log = console }) {
+  const turn = createToolTurn({ target, log });
+  const request = {
+    systemPrompt,
+    messages,
+    maxTokens: 4096,
+    temperature: 0.7,
+    functions: getDALFunctions(target),
+    onFunctionCall: turn.handle,
+  };
+  const response = onMessageDelta
+    ? await adapter.chatStream({ ...request, onText: onMessageDelta })
+    : await adapter.chat(request);
+
+  const { stateUpdate, suggestedFocus, inputHint, rejectedUpdates } = turn.result();
+  let message = (response.content || '').trim();
+
+  if (response.stopReason === 'length' || response.stopReason === 'max_tokens') {
+    log.warn?.('[DALTools] Response was truncated (hit token limit)');
+    message += `${message ? '\n\n' : ''}_(My reply was cut off — ask me to continue, or to do one thing at a time.)_`;
+  } else if (response.stopReason === 'max_iterations') {
+    log.warn?.('[DALTools] Ran out of tool rounds; keeping the updates collected so far');
+    const saved = Object.keys(stateUpdate).length > 0 ? 'I saved the changes so far, but ' : '';
+    message += `${message ? '\n\n' : ''}_(${saved}I ran out of steps for this turn — ask me to continue.)_`;
+  } else if (!message) {
+    message = Object.keys(stateUpdate).length > 0 ? 'Done — I saved those changes.' : '';
+  }
+
+  return {
+    message,
+    stateUpdate,
+    suggestedFocus,
+    inputHint,
+    rejectedUpdates,
+    usage: response.usage,
+    toolsUsed: response.toolsUsed || null,
+  };
+}
+
+export default { getDALFunctions, createToolTurn, runDALTurn };
@@ -0,0 +1,56 @@
+/**
+ * Deploy Diff — semantic diff of Builder skills against what ADAS Core runs
+ *
+ * GET /api/skills on Core lists summaries (slug, name, tool names), not the
+ * definitions it imported. Diffing a summary against a DraftSkill would
+ * report every tool, intent and engine field as changed, so a semantic diff
+ * is only produced when Core hands back a full definition; otherwise the
+ * result is null and callers leave it out.
+ */
+
+import { diffSkills, diffSolutions } from '@adas/skill-validator';
+
+/**
+ * True when a Core skill entry carries a full definition rather than the
+ * list summary.
+ *
+ * @param {Object} coreSkill - An entry from adasCore.getSkills()
+ * @returns {boolean}
+ */
+export function isFullDefinition(coreSkill) {
+  if (!coreSkill || !Array.isArray(coreSkill.tools)) return false;
+  if (coreSkill.tools.some(tool => !tool || typeof tool !== 'object')) return false;
+  return ['intents', 'policy', 'engine'].some(field => coreSkill[field] && typeof coreSkill[field] === 'object');
+}
+
+/**
+ * Semantic diff of one skill, Core → Builder.
+ *
+ * @returns {Object|null} diffSkills result, or null when Core only has a summary
+ */
+export function diffDeployedSkill(builderSkill, coreSkill) {
+  return isFullDefinition(coreSkill) ? diffSkills(coreSkill, builderSkill) : null;
+}
+
+/**
+ * Semantic diff of every skill deployed on both sides.
+ *
+ * @param {Array<{ id: string, builder: Object, core: Object }>} pairs
+ * @returns {Object|null} diffSolutions result, or null when no Core entry is a full definition
+ */
+export function diffDeployedSkills(pairs) {
+  const skills = { before: {}, after: {} };
+  for (const { id, builder, core } of pairs) {
+    if (!isFullDefinition(core)) continue;
+    skills.before[id] = core;
+    skills.after[id] = builder;
+  }
+  if (Object.keys(skills.after).length === 0) return null;
+  return diffSolutions(null, null, { skills });
+}
+
+export default {
+  isFullDefinition,
+  diffDeployedSkill,
+  diffDeployedSkills,
+};
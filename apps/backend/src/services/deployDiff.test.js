@@ -0,0 +1,133 @@
+/**
+ * Deploy Diff Tests
+ *
+ * Checks that the Builder → Core semantic diff is only produced from full
+ * definitions, using the skill list the fake ADAS Core returns (the same
+ * summary shape as Core's GET /api/skills).
+ *
+ * Run with: node src/services/deployDiff.test.js
+ */
+
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+// Point the store at a scratch directory before it is loaded
+const memoryRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'deploy-diff-'));
+process.env.MEMORY_PATH = memoryRoot;
+
+// adasCoreClient reads its Core URL at import time: pick a free port first
+const port = await new Promise((resolve) => {
+  const probe = net.createServer().listen(0, '127.0.0.1', () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+process.env.ADAS_CORE_URL = `http://127.0.0.1:${port}`;
+process.env.CORE_MCP_URL = `http://127.0.0.1:${port}/mcp`;
+
+const { startFakeCore } = await import('../fakeCore/index.js');
+const core = await startFakeCore({ port, loadSkill: async () => null });
+
+const { isFullDefinition, diffDeployedSkill, diffDeployedSkills } = await import('./deployDiff.js');
+const { default: adasCore } = await import('./adasCoreClient.js');
+const { runWithTenant } = await import('../utils/tenantContext.js');
+
+// ═══════════════════════════════════════════════════════════════
+// TEST UTILITIES
+// ═══════════════════════════════════════════════════════════════
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+    console.log(`    Expected: ${JSON.stringify(expected)}`);
+    console.log(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+const orderSkill = {
+  id: 'order-support',
+  name: 'Order Support',
+  intents: { supported: [{ id: 'track', examples: ['where is my order'] }] },
+  policy: { guardrails: { never: ['Share card numbers'], always: [] } },
+  engine: { temperature: 0.3 },
+  tools: [{ id: 'get_order', name: 'orders.get', inputs: [{ name: 'order_id', type: 'string', required: true }] }],
+  access_policy: { rules: [{ tools: ['orders.get'], effect: 'allow' }] },
+};
+
+// ═══════════════════════════════════════════════════════════════
+// CORE SUMMARIES
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nCore skill summaries');
+console.log('────────────────────');
+
+await runWithTenant('main', async () => {
+  await adasCore.importSkill('order-support', orderSkill, { id: 'shop' });
+  const [summary] = await adasCore.getSkills();
+  assertEqual(summary.tools, ['orders.get'], 'Core lists tools by name only');
+  assert(!isFullDefinition(summary), 'A list summary is not a full definition');
+  assertEqual(diffDeployedSkill(orderSkill, summary), null, 'No semantic diff is invented from a summary of an unchanged skill');
+  assertEqual(diffDeployedSkills([{ id: 'order-support', builder: orderSkill, core: summary }]), null, 'Solution diff is left out when Core only has summaries');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// FULL DEFINITIONS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nFull definitions');
+console.log('────────────────');
+
+{
+  assert(isFullDefinition(orderSkill), 'A DraftSkill is a full definition');
+  assertEqual(diffDeployedSkill(orderSkill, orderSkill).changes, [], 'An unchanged skill has no changes');
+
+  const edited = structuredClone(orderSkill);
+  edited.access_policy.rules[0].effect = 'constrain';
+  assertEqual(
+    diffDeployedSkill(edited, orderSkill).changes.map(c => c.message),
+    ['access_policy rule for orders.get changed from allow to constrain'],
+    'Changes are reported Core → Builder',
+  );
+
+  const diff = diffDeployedSkills([
+    { id: 'order-support', builder: edited, core: orderSkill },
+    { id: 'returns', builder: { id: 'returns' }, core: { slug: 'returns', tools: ['returns.open'] } },
+  ]);
+  assertEqual(Object.keys(diff.skills), ['order-support'], 'Only skills with a full Core definition are diffed');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+await core.close();
+await fs.rm(memoryRoot, { recursive: true, force: true });
+
+console.log('');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`Tests Passed: ${testsPassed}`);
+console.log(`Tests Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════════════');
+
+// The store's tenant context keeps a refresh timer alive
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -5,6 +5,7 @@ import {
   yamlConnectorsBlock, yamlUiPluginsBlock,
   yamlGrantMappingsBlock, yamlAccessPolicyBlock,
   yamlResponseFiltersBlock, yamlContextPropagationBlock,
+  yamlTriggersBlock,
 } from '../utils/skillFieldHelpers.js';
 
 /**
@@ -842,6 +843,9 @@ export function generateSkillYaml(skill) {
   lines.push(...yamlResponseFiltersBlock(skill.response_filters));
   lines.push(...yamlContextPropagationBlock(skill.context_propagation));
 
+  // Triggers (schedule / event)
+  lines.push(...yamlTriggersBlock(skill.triggers));
+
   // Engine settings
   lines.push(`# Engine Configuration`);
   lines.push(`engine:`);
@@ -5,6 +5,7 @@ import {
   yamlConnectorsBlock, yamlUiPluginsBlock,
   yamlGrantMappingsBlock, yamlAccessPolicyBlock,
   yamlResponseFiltersBlock, yamlContextPropagationBlock,
+  yamlTriggersBlock,
   compileUiPlugins,
 } from '../utils/skillFieldHelpers.js';
 
@@ -778,6 +779,9 @@ export function generateSkillYamlForAdasCore(toolbox) {
   lines.push(...yamlResponseFiltersBlock(toolbox.response_filters));
   lines.push(...yamlContextPropagationBlock(toolbox.context_propagation));
 
+  // Triggers (schedule / event)
+  lines.push(...yamlTriggersBlock(toolbox.triggers));
+
   return lines.join("\n");
 }
 
@@ -980,9 +984,13 @@ export function generateAdasExportPayload(toolbox) {
         concurrency: t.concurrency || 1,
         prompt: t.prompt,
         ...(t.input && Object.keys(t.input).length > 0 && { input: t.input }),
-        ...(t.type === 'schedule' && { every: t.every }),
+        ...(t.type === 'schedule' && (t.cron ? { cron: t.cron } : { every: t.every })),
+        ...(t.type === 'schedule' && t.timezone && { timezone: t.timezone }),
+        ...(t.type === 'schedule' && t.active_windows?.length > 0 && { active_windows: t.active_windows }),
+        ...(t.type === 'schedule' && t.blackout_dates?.length > 0 && { blackout_dates: t.blackout_dates }),
         ...(t.type === 'event' && { event: t.event }),
-        ...(t.type === 'event' && t.filter && Object.keys(t.filter).length > 0 && { filter: t.filter })
+        ...(t.type === 'event' && typeof t.filter === 'string' && t.filter.trim() && { filter: t.filter.trim() }),
+        ...(t.type === 'event' && t.filter && typeof t.filter === 'object' && Object.keys(t.filter).length > 0 && { filter: t.filter })
       }));
     }
   }
@@ -15,7 +15,7 @@ import { generateAllConnectorFiles } from './exportConnectorTemplate.js';
 // ── Helpers ────────────────────────────────────────────────────────────
 
 /** Slugify a name: "Customer Support Tier 1" → "customer-support-tier-1" */
-function slugify(name) {
+export function slugify(name) {
   return (name || 'my-skill')
     .toLowerCase()
     .replace(/[^a-z0-9]+/g, '-')
@@ -0,0 +1,438 @@
+/**
+ * TypeScript MCP Template Generator
+ *
+ * Generates a TypeScript MCP server project from a DraftSkill's tool
+ * definitions, built on the official @modelcontextprotocol/sdk:
+ *   - zod input schemas from ToolInput (type, enum, required, default)
+ *   - zod output schemas + types from ToolOutput.schema (JSON Schema)
+ *   - typed handler stubs, kept in their own file so schemas can be regenerated
+ *   - tsconfig.json and a tsc build script
+ *
+ * Usage:
+ *   const files = generateTypeScriptMCPFiles(skill);
+ *   // Returns [{name: "src/index.ts", content: "..."}, ...]
+ */
+
+import { generateAllConnectorFiles } from './exportConnectorTemplate.js';
+import { slugify } from './exportNodeMCP.js';
+
+const SDK_VERSION = '^1.17.0';
+const ZOD_VERSION = '^3.23.8';
+
+// ── Helpers ────────────────────────────────────────────────────────────
+
+/** "orders.order.get" → "ordersOrderGet" */
+function toIdentifier(name) {
+  const id = (name || 'tool')
+    .replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))
+    .replace(/^[A-Z]/, c => c.toLowerCase());
+  return /^[0-9]/.test(id) ? `_${id}` : id || 'tool';
+}
+
+/** "ordersOrderGet" → "OrdersOrderGet" */
+function toTypeName(id) {
+  return id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+/**
+ * Identifier per tool name, numbered when two names sanitize to the same one
+ * ("orders.get" and "orders_get" → ordersGet, ordersGet2).
+ *
+ * @returns {Map<string, string>} tool name → identifier
+ */
+function assignIdentifiers(tools) {
+  const ids = new Map();
+  const taken = new Set();
+  for (const tool of tools) {
+    if (ids.has(tool.name)) continue;
+    const base = toIdentifier(tool.name);
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}${n}`;
+    taken.add(id);
+    ids.set(tool.name, id);
+  }
+  return ids;
+}
+
+/** Single-line text that is safe inside a comment */
+function commentText(text) {
+  return String(text || '').replace(/\s+/g, ' ').replace(/\*\//g, '*\\/').trim();
+}
+
+/** Object key as written in TS source */
+function propKey(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+function indent(text, spaces) {
+  const pad = ' '.repeat(spaces);
+  return text.split('\n').map((line, i) => (i === 0 ? line : pad + line)).join('\n');
+}
+
+/** z.enum for string enums, a literal union otherwise; z.any() when no values are left */
+function zodEnum(values) {
+  if (!values.length) return 'z.any()';
+  if (values.every(v => typeof v === 'string')) {
+    return `z.enum([${values.map(v => JSON.stringify(v)).join(', ')}])`;
+  }
+  if (values.length === 1) return `z.literal(${JSON.stringify(values[0])})`;
+  return `z.union([${values.map(v => `z.literal(${JSON.stringify(v)})`).join(', ')}])`;
+}
+
+// ── Input Schemas (ToolInput → zod) ────────────────────────────────────
+
+/** Map a ToolInput to a zod expression. Inputs are optional unless required: true. */
+function inputToZod(input) {
+  let expr;
+  if (input.enum?.length) {
+    const values = input.enum.filter(v => v !== null);
+    expr = zodEnum(values);
+    if (values.length && values.length < input.enum.length) expr += '.nullable()';
+  } else {
+    switch (input.type) {
+      case 'number': expr = 'z.number()'; break;
+      case 'boolean': expr = 'z.boolean()'; break;
+      case 'object': expr = 'z.record(z.string(), z.unknown())'; break;
+      case 'array': expr = 'z.array(z.unknown())'; break;
+      default: expr = 'z.string()';
+    }
+  }
+
+  if (input.default !== undefined) {
+    expr += `.default(${JSON.stringify(input.default)})`;
+  } else if (input.required !== true) {
+    expr += '.optional()';
+  }
+  if (input.description) {
+    expr += `.describe(${JSON.stringify(input.description)})`;
+  }
+  return expr;
+}
+
+function generateInputSchema(tool) {
+  // An object literal cannot repeat a key; the first definition wins
+  const inputs = (tool.inputs || []).filter((i, idx, all) => i.name && all.findIndex(o => o.name === i.name) === idx);
+  if (!inputs.length) return 'z.object({})';
+  const fields = inputs.map(i => `  ${propKey(i.name)}: ${inputToZod(i)},`).join('\n');
+  return `z.object({\n${fields}\n})`;
+}
+
+// ── Output Schemas (ToolOutput.schema → zod) ───────────────────────────
+
+/** Map a JSON Schema fragment to a zod expression */
+function jsonSchemaToZod(schema) {
+  if (!schema || typeof schema !== 'object') return 'z.unknown()';
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const enumValues = Array.isArray(schema.enum) ? schema.enum.filter(v => v !== null) : [];
+  const nullable = types.includes('null') || (enumValues.length > 0 && schema.enum.includes(null));
+  const type = types.find(t => t && t !== 'null');
+
+  let expr;
+  if (Array.isArray(schema.enum) && schema.enum.length) {
+    expr = zodEnum(enumValues);
+  } else if (type === 'object' || (!type && schema.properties)) {
+    const props = Object.entries(schema.properties || {});
+    if (!props.length) {
+      expr = 'z.record(z.string(), z.unknown())';
+    } else {
+      const required = new Set(schema.required || []);
+      const fields = props.map(([key, sub]) => {
+        const field = jsonSchemaToZod(sub) + (required.has(key) ? '' : '.optional()');
+        return `  ${propKey(key)}: ${indent(field, 2)},`;
+      }).join('\n');
+      expr = `z.object({\n${fields}\n})`;
+    }
+  } else if (type === 'array') {
+    expr = `z.array(${jsonSchemaToZod(schema.items)})`;
+  } else if (type === 'integer') {
+    expr = 'z.number().int()';
+  } else if (type === 'number' || type === 'string' || type === 'boolean') {
+    expr = `z.${type}()`;
+  } else {
+    expr = 'z.unknown()';
+  }
+
+  if (nullable) expr += '.nullable()';
+  if (schema.description) expr += `.describe(${JSON.stringify(schema.description)})`;
+  return expr;
+}
+
+/**
+ * The SDK's outputSchema must describe an object (it becomes structuredContent),
+ * so only object schemas with properties get one.
+ */
+function hasObjectOutput(tool) {
+  const schema = tool.output?.schema;
+  return !!schema && typeof schema === 'object' && !Array.isArray(schema.type)
+    && (schema.type === 'object' || (!schema.type && schema.properties))
+    && Object.keys(schema.properties || {}).length > 0;
+}
+
+function generateOutputType(tool) {
+  if (tool.output?.schema) return jsonSchemaToZod(tool.output.schema);
+  switch (tool.output?.type) {
+    case 'string': return 'z.string()';
+    case 'number': return 'z.number()';
+    case 'boolean': return 'z.boolean()';
+    case 'array': return 'z.array(z.unknown())';
+    case 'object': return 'z.record(z.string(), z.unknown())';
+    default: return 'z.unknown()';
+  }
+}
+
+// ── Main Generator ─────────────────────────────────────────────────────
+
+/**
+ * Generate a TypeScript MCP server project from a DraftSkill.
+ *
+ * @param {import('../types/DraftSkill.js').DraftSkill} skill
+ * @returns {Array<{name: string, content: string}>} Files to write
+ */
+export function generateTypeScriptMCPFiles(skill) {
+  // A second tool with the same name could not be registered; keep the first
+  const tools = (skill.tools || []).filter((t, i, all) => t.name && t.description && all.findIndex(o => o.name === t.name) === i);
+  const ids = assignIdentifiers(tools);
+  const skillName = skill.name || 'My Skill';
+  const slug = slugify(skillName);
+
+  return [
+    { name: 'src/index.ts', content: generateIndexTs(skill, tools, ids, slug) },
+    { name: 'src/schemas.ts', content: generateSchemasTs(tools, ids) },
+    { name: 'src/handlers.ts', content: generateHandlersTs(tools, ids) },
+    { name: 'package.json', content: generatePackageJson(slug, skillName) },
+    { name: 'tsconfig.json', content: generateTsconfig() },
+    { name: '.gitignore', content: 'node_modules/\ndist/\n' },
+    { name: 'README.md', content: generateReadme(skill, tools, slug) },
+    ...generateAllConnectorFiles(skill),
+  ];
+}
+
+// ── src/schemas.ts Generator ───────────────────────────────────────────
+
+function generateSchemasTs(tools, ids) {
+  const blocks = tools.map(tool => {
+    const id = ids.get(tool.name);
+    const typeName = toTypeName(id);
+    return `// ${tool.name}${tool.output?.description ? ` → ${commentText(tool.output.description)}` : ''}
+export const ${id}Input = ${generateInputSchema(tool)};
+export type ${typeName}Input = z.infer<typeof ${id}Input>;
+
+export const ${id}Output = ${generateOutputType(tool)};
+export type ${typeName}Output = z.infer<typeof ${id}Output>;`;
+  });
+
+  return `/**
+ * Tool input/output schemas
+ *
+ * Generated by ADAS Skill Builder from the skill's tool definitions.
+ * Regenerate rather than edit by hand — implementations live in handlers.ts.
+ */
+
+import { z } from 'zod';
+
+${blocks.join('\n\n')}
+`;
+}
+
+// ── src/handlers.ts Generator ──────────────────────────────────────────
+
+function generateHandlersTs(tools, ids) {
+  const typeImports = tools.flatMap(t => [`${toTypeName(ids.get(t.name))}Input`, `${toTypeName(ids.get(t.name))}Output`]);
+  const handlers = tools.map(tool => {
+    const id = ids.get(tool.name);
+    const typeName = toTypeName(id);
+    return `  /** ${commentText(tool.description)} */
+  async ${id}(args: ${typeName}Input): Promise<${typeName}Output> {
+    // TODO: implement ${tool.name}
+    throw new Error(\`${tool.name} is not implemented yet (args: \${JSON.stringify(args)})\`);
+  },`;
+  });
+
+  return `/**
+ * Tool handlers
+ *
+ * Generated by ADAS Skill Builder — replace the stubs with real implementations.
+ * Argument and return types come from schemas.ts.
+ */
+
+${typeImports.length ? `import type {\n${typeImports.map(t => `  ${t},`).join('\n')}\n} from './schemas.js';\n\n` : ''}export const handlers = {
+${handlers.join('\n\n')}
+};
+`;
+}
+
+// ── src/index.ts Generator ─────────────────────────────────────────────
+
+function generateRegistration(tool, id) {
+  const structured = hasObjectOutput(tool);
+  return `server.registerTool(
+  ${JSON.stringify(tool.name)},
+  {
+    description: ${JSON.stringify(tool.description)},
+    inputSchema: schemas.${id}Input.shape,${structured ? `\n    outputSchema: schemas.${id}Output.shape,` : ''}
+  },
+  async (args) => {
+    try {
+      const result = await handlers.${id}(args);
+      return ${structured ? '{ ...toTextResult(result), structuredContent: result }' : 'toTextResult(result)'};
+    } catch (err) {
+      return toErrorResult(err);
+    }
+  }
+);`;
+}
+
+function generateIndexTs(skill, tools, ids, slug) {
+  const serverName = `adas-${slug}-mcp`;
+
+  return `#!/usr/bin/env node
+
+/**
+ * ${skill.name || 'My Skill'} MCP Server
+ *
+ * Stdio MCP server built on @modelcontextprotocol/sdk.
+ * Generated by ADAS Skill Builder — implement the tools in handlers.ts.
+ *
+ * Tools:
+${tools.map(t => ` * - ${t.name} — ${commentText(t.description)}`).join('\n')}
+ */
+
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import * as schemas from './schemas.js';
+import { handlers } from './handlers.js';
+
+const SERVER_NAME = '${serverName}';
+const SERVER_VERSION = '0.1.0';
+
+const server = new McpServer({ name: SERVER_NAME, version: SERVER_VERSION });
+
+// ── Result Helpers ─────────────────────────────────────────────────────
+
+function toTextResult(data: unknown) {
+  return { content: [{ type: 'text' as const, text: JSON.stringify(data, null, 2) }] };
+}
+
+function toErrorResult(err: unknown) {
+  const message = err instanceof Error ? err.message : String(err);
+  return { content: [{ type: 'text' as const, text: JSON.stringify({ error: message }) }], isError: true };
+}
+
+// ── Tools ──────────────────────────────────────────────────────────────
+
+${tools.map(tool => generateRegistration(tool, ids.get(tool.name))).join('\n\n')}
+
+// ── Stdio Transport ────────────────────────────────────────────────────
+
+await server.connect(new StdioServerTransport());
+process.stderr.write(\`\${SERVER_NAME} v\${SERVER_VERSION} started\\n\`);
+`;
+}
+
+// ── package.json / tsconfig.json Generators ────────────────────────────
+
+function generatePackageJson(slug, skillName) {
+  const pkg = {
+    name: `adas-${slug}-mcp`,
+    version: '0.1.0',
+    description: `ADAS ${skillName} MCP server`,
+    type: 'module',
+    main: 'dist/index.js',
+    bin: { [`adas-${slug}-mcp`]: 'dist/index.js' },
+    scripts: {
+      build: 'tsc',
+      start: 'node dist/index.js',
+      dev: 'tsx src/index.ts',
+      typecheck: 'tsc --noEmit',
+      'start:http': 'npx -y supergateway --stdio "node dist/index.js" --port 7399 --host 0.0.0.0 --outputTransport streamableHttp'
+    },
+    dependencies: {
+      '@modelcontextprotocol/sdk': SDK_VERSION,
+      zod: ZOD_VERSION
+    },
+    devDependencies: {
+      '@types/node': '^20.0.0',
+      tsx: '^4.7.0',
+      typescript: '^5.4.0'
+    },
+    engines: {
+      node: '>=18'
+    }
+  };
+
+  return JSON.stringify(pkg, null, 2) + '\n';
+}
+
+function generateTsconfig() {
+  const config = {
+    compilerOptions: {
+      target: 'ES2022',
+      module: 'Node16',
+      moduleResolution: 'Node16',
+      outDir: 'dist',
+      rootDir: 'src',
+      strict: true,
+      esModuleInterop: true,
+      skipLibCheck: true,
+      forceConsistentCasingInFileNames: true,
+      sourceMap: true
+    },
+    include: ['src']
+  };
+
+  return JSON.stringify(config, null, 2) + '\n';
+}
+
+// ── README.md Generator ────────────────────────────────────────────────
+
+function generateReadme(skill, tools, slug) {
+  const toolList = tools.map(t => `- \`${t.name}\` — ${t.description}`).join('\n');
+
+  return `# ${skill.name || 'My Skill'} MCP Server (TypeScript)
+
+Generated by ADAS Skill Builder with the official [MCP TypeScript SDK](https://github.com/modelcontextprotocol/typescript-sdk).
+
+## Tools
+
+${toolList}
+
+## Layout
+
+- \`src/index.ts\` — server setup and tool registration
+- \`src/schemas.ts\` — zod input/output schemas derived from the skill (regenerate, don't edit)
+- \`src/handlers.ts\` — your tool implementations
+
+## Quick Start
+
+\`\`\`bash
+npm install
+npm run build
+npm start
+\`\`\`
+
+During development, \`npm run dev\` runs the server from source with tsx.
+
+The server runs on **stdio**. To test:
+
+\`\`\`bash
+echo '{"jsonrpc":"2.0","id":"1","method":"tools/list","params":{}}' | npm start --silent
+\`\`\`
+
+## HTTP Mode (via Supergateway)
+
+\`\`\`bash
+npm run build
+npm run start:http
+# MCP endpoint: http://localhost:7399/mcp
+\`\`\`
+
+## Re-import into Skill Builder
+
+1. Build, then place the project in a solution pack directory: \`mcp-store/${slug}-mcp/\`
+2. Add the MCP to your \`manifest.json\` (command: \`node dist/index.js\`)
+3. Package with your solution's \`pack.sh\`
+4. Import the \`.tar.gz\` into Skill Builder
+5. Deploy to ADAS Core
+`;
+}
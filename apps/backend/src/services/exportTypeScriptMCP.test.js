@@ -0,0 +1,144 @@
+/**
+ * TypeScript MCP Export Tests
+ *
+ * Covers the generated zod schemas (optional inputs, null-only enums,
+ * colliding identifiers) and type-checks a generated project with tsc.
+ * The type-check installs the project's own dependencies and is skipped
+ * when npm cannot reach a registry.
+ *
+ * Run with: node src/services/exportTypeScriptMCP.test.js
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { generateTypeScriptMCPFiles } from './exportTypeScriptMCP.js';
+
+// ═══════════════════════════════════════════════════════════════
+// TEST UTILITIES
+// ═══════════════════════════════════════════════════════════════
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+  }
+}
+
+const skill = {
+  name: 'Order Desk',
+  tools: [
+    {
+      name: 'orders.get',
+      description: 'Get an order',
+      inputs: [
+        { name: 'order_id', type: 'string', required: true },
+        { name: 'include_items', type: 'boolean' },
+        { name: 'include_items', type: 'string', required: true },
+        { name: 'channel', type: 'string', enum: [null] },
+        { name: 'status', type: 'string', enum: ['open', null], required: true },
+        { name: 'page-size', type: 'number', required: false, default: 20 },
+      ],
+      output: {
+        type: 'object',
+        description: 'The order',
+        schema: {
+          type: 'object',
+          required: ['order_id'],
+          properties: {
+            order_id: { type: 'string' },
+            archived_reason: { enum: [null] },
+            priority: { enum: ['low', 'high', null] },
+          },
+        },
+      },
+    },
+    { name: 'orders_get', description: 'Get an order (legacy)', inputs: [{ name: 'id', type: 'string', required: true }], output: { type: 'object' } },
+    { name: 'orders.get2', description: 'Takes the numbered name first', inputs: [], output: { type: 'string' } },
+    { name: 'orders.get', description: 'Duplicate definition', inputs: [], output: { type: 'string' } },
+    { name: 'delete', description: 'Reserved word as a tool name', inputs: [{ name: 'id', type: 'string' }], output: { type: 'boolean' } },
+  ],
+};
+
+const files = generateTypeScriptMCPFiles(skill);
+const file = (name) => files.find(f => f.name === name).content;
+
+// ═══════════════════════════════════════════════════════════════
+// GENERATED SCHEMAS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nInput schemas');
+console.log('─────────────');
+
+{
+  const schemas = file('src/schemas.ts');
+  assert(schemas.includes('order_id: z.string(),'), 'required: true stays required');
+  assert(schemas.includes('include_items: z.boolean().optional(),'), 'a missing required flag is optional');
+  assert(schemas.match(/include_items:/g).length === 1, 'a repeated input name is generated once');
+  assert(schemas.includes('channel: z.any().optional(),'), 'a null-only enum falls back to z.any()');
+  assert(schemas.includes('status: z.enum(["open"]).nullable(),'), 'null in an enum makes the input nullable');
+  assert(schemas.includes('"page-size": z.number().default(20),'), 'defaults still win over optional');
+  assert(schemas.includes('archived_reason: z.any().optional(),'), 'a null-only output enum falls back to z.any()');
+  assert(schemas.includes('priority: z.enum(["low", "high"]).nullable().optional(),'), 'null in an output enum makes it nullable');
+  assert(!schemas.includes('z.enum([])'), 'no empty z.enum is emitted');
+}
+
+console.log('\nIdentifiers');
+console.log('───────────');
+
+{
+  const schemas = file('src/schemas.ts');
+  const index = file('src/index.ts');
+  const exported = [...schemas.matchAll(/export const (\w+)Input/g)].map(m => m[1]);
+  assert(JSON.stringify(exported) === JSON.stringify(['ordersGet', 'ordersGet2', 'ordersGet22', 'delete']),
+    `colliding names get numbered identifiers (${exported.join(', ')})`);
+  assert(new Set(exported).size === exported.length, 'every identifier is unique');
+  assert(index.includes('handlers.ordersGet2(args)') && index.includes('"orders_get"'), 'registration uses the numbered identifier');
+  assert(index.match(/server\.registerTool\(/g).length === 4, 'a duplicate tool name is registered once');
+  assert(file('src/handlers.ts').includes('async ordersGet22(args: OrdersGet22Input): Promise<OrdersGet22Output>'), 'handler types follow the identifier');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TYPE-CHECK
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nGenerated project type-checks');
+console.log('─────────────────────────────');
+
+{
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ts-mcp-export-'));
+  for (const { name, content } of files) {
+    await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+    await fs.writeFile(path.join(dir, name), content);
+  }
+
+  const run = (cmd, args, timeout) => spawnSync(cmd, args, { cwd: dir, encoding: 'utf8', timeout });
+  const install = run('npm', ['install', '--no-audit', '--no-fund', '--ignore-scripts', '--loglevel=error'], 240_000);
+  if (install.status !== 0) {
+    console.log(`  ⏭  npm install failed — skipping tsc (${(install.stderr || install.error?.message || '').trim().split('\n')[0]})`);
+  } else {
+    const tsc = run('npx', ['--no-install', 'tsc', '--noEmit'], 240_000);
+    assert(tsc.status === 0, 'tsc --noEmit passes on the generated project');
+    if (tsc.status !== 0) console.log(tsc.stdout || tsc.stderr);
+  }
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`Tests Passed: ${testsPassed}`);
+console.log(`Tests Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════════════');
+
+process.exit(testsFailed > 0 ? 1 : 0);
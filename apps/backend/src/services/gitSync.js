@@ -20,6 +20,9 @@
  *
  * When github.isEnabled() returns false (no GITHUB_PAT, GITHUB_ENABLED=false),
  * gitSync auto-degrades to FS-only regardless of mode.
+ *
+ * "GH" here is whichever version-control provider VCS_PROVIDER selects
+ * (github, local, gitlab, gitea — see skill-validator services/vcs).
  */
 
 import path from 'node:path';
@@ -32,7 +35,7 @@ import {
   listFiles,
   readFile as githubReadFile,
   readFileBySha as githubReadFileBySha,
-} from '@adas/skill-validator/src/services/githubService.js';
+} from '@adas/skill-validator/src/services/vcs/index.js';
 import {
   getCurrentTenant,
   getCurrentTenantOrNull,
@@ -42,6 +45,7 @@ import {
   contentMatches,
   resolveFsTarget,
   readFsIfExists,
+  recordSyncBase,
 } from './gitSyncDiff.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -171,6 +175,7 @@ async function flushTxn(buffer, label) {
       await withRepoLock(tenant, solutionId, () =>
         pushFiles(tenant, solutionId, files, message)
       );
+      for (const f of files) await recordSyncBase(solutionId, f.path, f.content);
     } catch (err) {
       const mode = resolveMode();
       if (mode === 'strict') {
@@ -203,6 +208,8 @@ async function pushAndWrite(solutionId, repoPath, content, commitMessage, fsWrit
     // FS-only write. skipGhPush is set when the caller (e.g. /github/patch flow)
     // already pushed to GH and just needs FS to mirror that change.
     await fsWrite();
+    // An external push means this content is what GH holds now
+    if (skipGhPush) await recordSyncBase(solutionId, repoPath, content);
     return { ok: true, fsOk: true, gh: skipGhPush ? 'skipped_external_push' : 'skipped' };
   }
 
@@ -248,6 +255,7 @@ async function pushAndWrite(solutionId, repoPath, content, commitMessage, fsWrit
       pushFiles(tenant, solutionId, [{ path: repoPath, content }], commitMessage)
     );
     commitSha = r?.commit_sha;
+    await recordSyncBase(solutionId, repoPath, content);
   } catch (err) {
     ghError = err.message;
     if (mode === 'strict') {
@@ -335,6 +343,22 @@ export async function saveSkillWithSync(skill, { fsWrite, solutionId, skipGhPush
   );
 }
 
+/**
+ * Push one file as-is, outside the save path: no FS write, no loose-mode
+ * fallback — failures throw. Used by drift resolution, where the FS copy is
+ * already the content to publish.
+ *
+ * @returns {Promise<{ commit_sha, commit_url, files_committed }>}
+ */
+export async function pushRepoFile(solutionId, repoPath, content, commitMessage) {
+  const tenant = getCurrentTenant();
+  const result = await withRepoLock(tenant, solutionId, () =>
+    pushFiles(tenant, solutionId, [{ path: repoPath, content }], commitMessage)
+  );
+  await recordSyncBase(solutionId, repoPath, content);
+  return result;
+}
+
 /**
  * Public: report current mode + whether GH is reachable. Used by
  * /api/health/gitsync (future) and ad-hoc diagnostic calls.
@@ -489,5 +513,6 @@ export default {
   saveSkillWithSync,
   describeGitSyncState,
   verifyConsistency,
+  pushRepoFile,
   txn,
 };
@@ -12,6 +12,9 @@
  *   FS differs, FS newer than GH   → log drift, flag, DO NOT touch FS
  *   FS exists, GH missing           → log drift, DO NOT auto-delete
  *
+ * Flagged drift goes to the drift inbox (gitSyncDrift.js) for someone to
+ * resolve; every path that ends up FS == GH records its sync base.
+ *
  * Timestamp comparison: solution.json and skill.json both carry `updated_at`.
  * When both files have a parseable `updated_at`, that is the source of truth.
  * Fallback for files without timestamps (connector source): always prefer GH.
@@ -37,7 +40,7 @@ import {
   readFile as githubReadFile,
   readFileBySha as githubReadFileBySha,
   repoName,
-} from '@adas/skill-validator/src/services/githubService.js';
+} from '@adas/skill-validator/src/services/vcs/index.js';
 
 import { getValidTenants, runWithTenant, getMemoryRoot } from '../utils/tenantContext.js';
 import {
@@ -46,7 +49,9 @@ import {
   resolveFsTarget,
   readFsIfExists,
   writeFileAtomic,
+  recordSyncBase,
 } from './gitSyncDiff.js';
+import { recordDrifts } from './gitSyncDrift.js';
 
 // In-memory per-tenant drift log, consulted by /api/health etc.
 const _driftLog = new Map(); // tenant → { lastSyncAt, summary, drifts: [...] }
@@ -134,6 +139,7 @@ async function reconcileSolution(tenant, solutionId) {
       // Case A: FS missing → restore
       if (fsContent === null) {
         await writeFileAtomic(fsTarget, ghContent);
+        await recordSyncBase(solutionId, gf.path, ghContent);
         actions.restored++;
         drifts.push({ path: gf.path, fsTarget, kind: 'fs_missing_restored' });
         log('log', `restored ${gf.path} → ${fsTarget}`);
@@ -142,6 +148,7 @@ async function reconcileSolution(tenant, solutionId) {
 
       // Case B: identical → skip
       if (contentMatches(fsContent, ghContent, isJson)) {
+        await recordSyncBase(solutionId, gf.path, ghContent);
         actions.skipped++;
         continue;
       }
@@ -169,6 +176,7 @@ async function reconcileSolution(tenant, solutionId) {
         }
         // FS older or equal timestamp but different content → GH wins
         await writeFileAtomic(fsTarget, ghContent);
+        await recordSyncBase(solutionId, gf.path, ghContent);
         actions.overwrote++;
         drifts.push({ path: gf.path, fsTarget, kind: 'fs_older_overwrote' });
         log('log', `overwrote ${fsTarget} (GH is newer)`);
@@ -177,6 +185,7 @@ async function reconcileSolution(tenant, solutionId) {
 
       // C2: No reliable timestamps (connector source, missing updated_at) — GH wins
       await writeFileAtomic(fsTarget, ghContent);
+      await recordSyncBase(solutionId, gf.path, ghContent);
       actions.overwrote++;
       drifts.push({ path: gf.path, fsTarget, kind: 'differs_no_ts_overwrote' });
       log('log', `overwrote ${fsTarget} (no timestamp; GH authoritative)`);
@@ -216,6 +225,13 @@ async function reconcileSolution(tenant, solutionId) {
     log('warn', `FS-only detection failed: ${err.message}`);
   }
 
+  try {
+    const open = await recordDrifts(solutionId, drifts, 'boot_sync');
+    if (open > 0) log('warn', `${open} drift item(s) waiting in the drift inbox (GET /api/gitsync/drift)`);
+  } catch (err) {
+    log('warn', `could not update drift inbox: ${err.message}`);
+  }
+
   return { drifts, actions };
 }
 
@@ -68,6 +68,11 @@ const EPHEMERAL_FIELDS = new Set([
   'maps_to_workflow_resolved',
 ]);
 
+/** True for fields canonicalizeJson strips (local bookkeeping, not content). */
+export function isEphemeralField(key) {
+  return EPHEMERAL_FIELDS.has(key);
+}
+
 /**
  * Re-serialize JSON content with stable formatting and ephemeral fields
  * stripped so whitespace / key-order / timestamp drift doesn't trigger
@@ -163,3 +168,36 @@ export async function writeFileAtomic(absPath, content) {
   await fsp.writeFile(tmp, content);
   await fsp.rename(tmp, absPath);
 }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sync base — the last content FS and GH agreed on, per repo path
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Recorded whenever a push lands or boot sync finds / makes FS == GH. The
+// drift inbox (gitSyncDrift.js) uses it as the common ancestor for three-way
+// diffs. Lives next to solution.json, never pushed:
+//   <memoryRoot>/solutions/<solId>/.gitsync/base/<repoPath>
+
+/** Directory holding a solution's gitSync bookkeeping (sync bases, drift inbox). */
+export function gitSyncStateDir(solutionId) {
+  return path.join(getMemoryRoot(), 'solutions', solutionId, '.gitsync');
+}
+
+/** Last synced content of a repo path, or null when none was recorded. */
+export async function readSyncBase(solutionId, repoPath) {
+  return readFsIfExists(path.join(gitSyncStateDir(solutionId), 'base', repoPath));
+}
+
+/**
+ * Record `content` as the synced state of a repo path. Best-effort: a
+ * failure only costs the next three-way diff its base.
+ */
+export async function recordSyncBase(solutionId, repoPath, content) {
+  const abs = path.join(gitSyncStateDir(solutionId), 'base', repoPath);
+  try {
+    if ((await readFsIfExists(abs)) === content) return;
+    await writeFileAtomic(abs, content);
+  } catch (err) {
+    console.warn(`[gitSync] could not record sync base for ${solutionId}/${repoPath}: ${err.message}`);
+  }
+}
@@ -0,0 +1,414 @@
+/**
+ * gitSyncDrift — the drift inbox.
+ *
+ * Boot sync (gitSyncBootstrap) never overwrites a Builder FS file that is
+ * newer than GitHub, and never deletes a skill GitHub doesn't have; the
+ * pre-deploy check (gitSync.verifyConsistency) only reports. Those drifts
+ * land here, one open item per repo path, until someone resolves them:
+ *
+ *   keep_fs — push the FS copy to GH as-is
+ *   take_gh — overwrite the FS copy with GH's
+ *   merge   — field-level three-way JSON merge (solution.json, skill.json),
+ *             written to FS and pushed to GH
+ *
+ * Diffs are three-way: the common ancestor is the sync base (the last
+ * content FS and GH agreed on, see gitSyncDiff.recordSyncBase). JSON is
+ * compared after canonicalizeJson, so key order and ephemeral fields
+ * (updated_at, mcpUri, phase, …) never show up as drift. Field paths and
+ * id-keyed list items follow skillHistory's diff ("tools[get_order].name").
+ *
+ * Storage: <memoryRoot>/solutions/<solId>/.gitsync/drift.json
+ */
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+
+import {
+  readFile as githubReadFile,
+} from '@adas/skill-validator/src/services/vcs/index.js';
+import { getCurrentTenant, getMemoryRoot } from '../utils/tenantContext.js';
+import {
+  canonicalizeJson,
+  contentMatches,
+  resolveFsTarget,
+  readFsIfExists,
+  writeFileAtomic,
+  isEphemeralField,
+  gitSyncStateDir,
+  readSyncBase,
+  recordSyncBase,
+} from './gitSyncDiff.js';
+import { pushRepoFile, verifyConsistency } from './gitSync.js';
+import { diffSkill, formatPath, applyChanges } from './skillHistory.js';
+import { getAt, deepEqual } from '../utils/skillPaths.js';
+
+/** Drift kinds that need a decision (the rest are fixed by boot sync itself). */
+const OPEN_KINDS = new Set([
+  'fs_newer_preserved', // boot sync: FS newer than GH, FS kept
+  'gh_missing_fs_has',  // boot sync: linked skill GH doesn't have
+  'content_differs',    // verifyConsistency
+  'gh_missing',         // verifyConsistency
+]);
+
+const ACTIONS = ['keep_fs', 'take_gh', 'merge'];
+const MERGEABLE = /^(solution\.json|skills\/[^/]+\/skill\.json)$/;
+
+function driftError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Three-way JSON merge
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** True when one path is a prefix of the other (same field or nested). */
+function overlaps(a, b) {
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    const x = a[i];
+    const y = b[i];
+    if (typeof x === 'object' || typeof y === 'object') {
+      if (typeof x !== 'object' || typeof y !== 'object' || x.key !== y.key || x.value !== y.value) return false;
+    } else if (x !== y) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Three-way merge of two JSON documents against their common base.
+ *
+ * Every field changed on one side only is taken from that side. A field
+ * changed on both sides to different values is a conflict, settled by
+ * `choices[path]` ('fs' | 'gh') or else `prefer`; unsettled conflicts are
+ * listed and left at the FS value. Without a base every field the two sides
+ * disagree on is a conflict.
+ *
+ * @param {Object|null} base
+ * @param {Object} fs
+ * @param {Object} gh
+ * @param {Object} [options] - { choices: { [path]: 'fs'|'gh' }, prefer: 'fs'|'gh' }
+ * @returns {{ merged: Object, fields: Array<{ path, side, base, fs, gh }>, conflicts: string[] }}
+ */
+export function mergeJson3(base, fs, gh, { choices = {}, prefer = null } = {}) {
+  const root = base ?? {};
+  const fsChanges = diffSkill(root, fs);
+  const ghChanges = diffSkill(root, gh);
+
+  const fields = new Map(); // formatted path → field
+  const addField = (p, side) => {
+    const key = formatPath(p);
+    if (!fields.has(key)) {
+      fields.set(key, { path: key, side, base: getAt(base, p), fs: getAt(fs, p), gh: getAt(gh, p) });
+    }
+    return key;
+  };
+
+  const apply = [];
+  const ghHandled = new Set();
+  const conflicts = new Set();
+
+  for (const f of fsChanges) {
+    const against = ghChanges.filter(g => overlaps(f.path, g.path));
+    against.forEach(g => ghHandled.add(g));
+    if (against.length === 0) {
+      addField(f.path, 'fs');
+      apply.push(f);
+      continue;
+    }
+    if (against.every(g => formatPath(g.path) === formatPath(f.path) && deepEqual(g.after, f.after))) {
+      addField(f.path, 'both');
+      apply.push(f);
+      continue;
+    }
+    const outer = [f, ...against].reduce((a, b) => (b.path.length < a.path.length ? b : a)).path;
+    const key = addField(outer, 'conflict');
+    const choice = choices[key] || prefer;
+    if (choice === 'gh') apply.push(...against.filter(g => !apply.includes(g)));
+    else apply.push(f);
+    if (choice !== 'fs' && choice !== 'gh') conflicts.add(key);
+  }
+  for (const g of ghChanges) {
+    if (ghHandled.has(g)) continue;
+    addField(g.path, 'gh');
+    apply.push(g);
+  }
+
+  const merged = structuredClone(root);
+  try {
+    applyChanges(merged, apply, 'after');
+  } catch (err) {
+    throw driftError('DRIFT_CONFLICT', `Cannot merge: ${err.message}`, { conflicts: [...fields.keys()] });
+  }
+  return { merged, fields: [...fields.values()], conflicts: [...conflicts] };
+}
+
+/** Parse after canonicalizeJson, or null when the content isn't JSON. */
+function parseCanonical(content) {
+  if (content === null) return null;
+  try {
+    return JSON.parse(canonicalizeJson(content));
+  } catch {
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Inbox storage
+// ─────────────────────────────────────────────────────────────────────────────
+
+function inboxPath(solutionId) {
+  return path.join(gitSyncStateDir(solutionId), 'drift.json');
+}
+
+async function loadInbox(solutionId) {
+  const raw = await readFsIfExists(inboxPath(solutionId));
+  if (!raw) return { items: [] };
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return { items: [] };
+  }
+}
+
+async function saveInbox(solutionId, inbox) {
+  await writeFileAtomic(inboxPath(solutionId), JSON.stringify(inbox, null, 2));
+}
+
+/**
+ * Replace a solution's open items with the open drifts of a full pass
+ * (boot sync or verifyConsistency). Items keep their first detected_at;
+ * paths the pass couldn't read (gh_read_error) keep their item.
+ *
+ * @param {string} solutionId
+ * @param {Array<{ path, kind }>} drifts
+ * @param {string} source - 'boot_sync' | 'scan'
+ * @returns {Promise<number>} open item count
+ */
+export async function recordDrifts(solutionId, drifts, source) {
+  const inbox = await loadInbox(solutionId);
+  const previous = new Map(inbox.items.map(item => [item.path, item]));
+  const unreadable = new Set(drifts.filter(d => d.kind === 'gh_read_error').map(d => d.path));
+  const now = new Date().toISOString();
+
+  const items = drifts
+    .filter(d => OPEN_KINDS.has(d.kind) && d.path)
+    .map(d => ({
+      path: d.path,
+      kind: d.kind,
+      source,
+      detected_at: previous.get(d.path)?.detected_at || now,
+      last_seen_at: now,
+    }));
+  const seen = new Set(items.map(item => item.path));
+  for (const [p, item] of previous) {
+    if (!seen.has(p) && unreadable.has(p)) items.push(item);
+  }
+
+  if (items.length === 0 && inbox.items.length === 0) return 0;
+  await saveInbox(solutionId, { items });
+  return items.length;
+}
+
+/** Solution ids with an inbox file. */
+async function inboxSolutions() {
+  let dirs;
+  try {
+    dirs = await fsp.readdir(path.join(getMemoryRoot(), 'solutions'));
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const dir of dirs) {
+    if ((await readFsIfExists(inboxPath(dir))) !== null) out.push(dir);
+  }
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Live view of an item
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function solutionName(solutionId) {
+  const raw = await readFsIfExists(path.join(getMemoryRoot(), 'solutions', solutionId, 'solution.json'));
+  try {
+    return JSON.parse(raw)?.name || null;
+  } catch {
+    return null;
+  }
+}
+
+/** FS, GH and base content of a repo path right now. */
+async function readSides(solutionId, repoPath) {
+  const tenant = getCurrentTenant();
+  const [fsTarget] = resolveFsTarget(repoPath, solutionId, await solutionName(solutionId)) || [];
+  if (!fsTarget) throw driftError('DRIFT_NOT_FOUND', `${repoPath} is not synced to Builder FS`);
+
+  let gh = null;
+  try {
+    gh = (await githubReadFile(tenant, solutionId, repoPath)).content;
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+  return {
+    fsTarget,
+    fs: await readFsIfExists(fsTarget),
+    gh,
+    base: await readSyncBase(solutionId, repoPath),
+  };
+}
+
+function describe(item, sides) {
+  const json = item.path.endsWith('.json');
+  const view = {
+    path: item.path,
+    kind: item.kind,
+    source: item.source,
+    detected_at: item.detected_at,
+    fs_exists: sides.fs !== null,
+    gh_exists: sides.gh !== null,
+    base_known: sides.base !== null,
+    actions: [
+      ...(sides.fs !== null ? ['keep_fs'] : []),
+      ...(sides.gh !== null ? ['take_gh'] : []),
+      ...(sides.fs !== null && sides.gh !== null && MERGEABLE.test(item.path) ? ['merge'] : []),
+    ],
+  };
+
+  if (json) {
+    const [base, fs, gh] = [sides.base, sides.fs, sides.gh].map(parseCanonical);
+    if (fs && gh) {
+      const { fields, conflicts } = mergeJson3(base, fs, gh);
+      return { ...view, format: 'json', fields, conflicts };
+    }
+  }
+  const show = (c) => (c !== null && json ? canonicalizeJson(c) : c);
+  return {
+    ...view,
+    format: json ? 'json' : 'text',
+    content: { base: show(sides.base), fs: show(sides.fs), gh: show(sides.gh) },
+  };
+}
+
+/**
+ * Open drift of one solution (or every solution with an inbox), each item
+ * with its live three-way diff. Items that have converged since they were
+ * recorded (FS == GH again) are dropped on the way.
+ *
+ * @param {string} [solutionId]
+ * @returns {Promise<Array<{ solution_id, items: Array }>>}
+ */
+export async function listDrift(solutionId) {
+  const solutionIds = solutionId ? [solutionId] : await inboxSolutions();
+  const out = [];
+  for (const solId of solutionIds) {
+    const inbox = await loadInbox(solId);
+    const items = [];
+    const keep = [];
+    for (const item of inbox.items) {
+      try {
+        const sides = await readSides(solId, item.path);
+        const converged = sides.fs !== null && sides.gh !== null && contentMatches(sides.fs, sides.gh, item.path.endsWith('.json'));
+        if (converged || (sides.fs === null && sides.gh === null)) {
+          if (converged) await recordSyncBase(solId, item.path, sides.gh);
+          continue;
+        }
+        items.push(describe(item, sides));
+      } catch (err) {
+        items.push({ path: item.path, kind: item.kind, source: item.source, detected_at: item.detected_at, error: err.message, actions: [] });
+      }
+      keep.push(item);
+    }
+    if (keep.length !== inbox.items.length) await saveInbox(solId, { items: keep });
+    if (items.length > 0 || solutionId) out.push({ solution_id: solId, items });
+  }
+  return out;
+}
+
+/**
+ * Run verifyConsistency for a solution and record what it finds.
+ * @returns {Promise<{ ok, open: number, drifts: Array }>}
+ */
+export async function scanSolution(solutionId) {
+  const result = await verifyConsistency(solutionId);
+  if (result.skipped) return { ok: true, skipped: true, reason: result.reason, open: 0, drifts: [] };
+  const open = await recordDrifts(solutionId, result.drifts, 'scan');
+  return { ok: result.ok, open, drifts: result.drifts };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Resolution
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve one open item.
+ *
+ * @param {string} solutionId
+ * @param {string} repoPath
+ * @param {Object} options
+ * @param {'keep_fs'|'take_gh'|'merge'} options.action
+ * @param {Object} [options.choices] - merge: { [fieldPath]: 'fs'|'gh' } per conflict
+ * @param {'fs'|'gh'} [options.prefer] - merge: side for conflicts without a choice
+ * @returns {Promise<{ ok, action, path, commit_sha?, merged? }>}
+ */
+export async function resolveDrift(solutionId, repoPath, { action, choices, prefer } = {}) {
+  if (!ACTIONS.includes(action)) {
+    throw driftError('DRIFT_INVALID', `action must be one of: ${ACTIONS.join(', ')}`);
+  }
+  const inbox = await loadInbox(solutionId);
+  if (!inbox.items.some(item => item.path === repoPath)) {
+    throw driftError('DRIFT_NOT_FOUND', `No open drift for ${repoPath} in solution ${solutionId}`);
+  }
+
+  const sides = await readSides(solutionId, repoPath);
+  const result = { ok: true, action, path: repoPath };
+
+  if (action === 'keep_fs') {
+    if (sides.fs === null) throw driftError('DRIFT_INVALID', `${repoPath} does not exist on Builder FS`);
+    const pushed = await pushRepoFile(solutionId, repoPath, sides.fs, `gitsync: keep Builder copy of ${repoPath}`);
+    result.commit_sha = pushed?.commit_sha || null;
+  } else if (action === 'take_gh') {
+    if (sides.gh === null) {
+      throw driftError('DRIFT_INVALID', `${repoPath} does not exist on GitHub — keep_fs pushes it, or remove it in the Builder`);
+    }
+    await writeFileAtomic(sides.fsTarget, sides.gh);
+    await recordSyncBase(solutionId, repoPath, sides.gh);
+  } else {
+    if (!MERGEABLE.test(repoPath)) throw driftError('DRIFT_INVALID', 'merge is only available for solution.json and skill.json');
+    if (sides.fs === null || sides.gh === null) throw driftError('DRIFT_INVALID', 'merge needs both a Builder and a GitHub copy');
+
+    const { merged, conflicts } = mergeJson3(parseCanonical(sides.base), parseCanonical(sides.fs), parseCanonical(sides.gh), { choices, prefer });
+    if (conflicts.length > 0) {
+      throw driftError('DRIFT_CONFLICT', `${conflicts.length} field(s) changed on both sides — choose fs or gh for each`, { conflicts });
+    }
+    // Keep the FS copy's local bookkeeping (mcpUri, phase, …) — the merge
+    // only decides the canonical content. created_at is outside the diff too.
+    const local = JSON.parse(sides.fs);
+    for (const [key, value] of Object.entries(local)) {
+      if (!(key in merged) && (isEphemeralField(key) || key === 'created_at')) merged[key] = value;
+    }
+    if ('updated_at' in local) merged.updated_at = new Date().toISOString();
+
+    const content = JSON.stringify(merged, null, 2);
+    await writeFileAtomic(sides.fsTarget, content);
+    const pushed = await pushRepoFile(solutionId, repoPath, content, `gitsync: merge Builder and GitHub copies of ${repoPath}`);
+    result.commit_sha = pushed?.commit_sha || null;
+    result.merged = merged;
+  }
+
+  const fresh = await loadInbox(solutionId);
+  await saveInbox(solutionId, { items: fresh.items.filter(item => item.path !== repoPath) });
+  return result;
+}
+
+export default {
+  mergeJson3,
+  recordDrifts,
+  listDrift,
+  scanSolution,
+  resolveDrift,
+};
@@ -0,0 +1,221 @@
+/**
+ * gitSync Drift Inbox Tests
+ *
+ * Covers the three-way JSON merge and the inbox flow (scan, list, resolve)
+ * against a local bare-repo VCS provider, so no GitHub access is needed.
+ *
+ * Run with: node src/services/gitSyncDrift.test.js
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Point the store and the local git provider at scratch directories before they are loaded
+const memoryRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'gitsync-drift-'));
+process.env.MEMORY_PATH = memoryRoot;
+process.env.VCS_PROVIDER = 'local';
+process.env.VCS_LOCAL_ROOT = path.join(memoryRoot, '_git');
+
+const { mergeJson3, listDrift, scanSolution, resolveDrift } = await import('./gitSyncDrift.js');
+const { saveSolutionWithSync } = await import('./gitSync.js');
+const vcs = await import('@adas/skill-validator/src/services/vcs/index.js');
+const { runWithTenant } = await import('../utils/tenantContext.js');
+
+// ═══════════════════════════════════════════════════════════════
+// TEST UTILITIES
+// ═══════════════════════════════════════════════════════════════
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+    console.log(`    Expected: ${JSON.stringify(expected)}`);
+    console.log(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+const TENANT = 'main';
+const SOL = 'shop';
+const solPath = path.join(memoryRoot, 'solutions', SOL, 'solution.json');
+
+async function writeFs(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(value, null, 2));
+}
+
+async function readFs(file) {
+  return JSON.parse(await fs.readFile(file, 'utf-8'));
+}
+
+async function readGh(repoPath) {
+  return JSON.parse((await vcs.readFile(TENANT, SOL, repoPath)).content);
+}
+
+async function pushGh(repoPath, value) {
+  await vcs.pushFiles(TENANT, SOL, [{ path: repoPath, content: JSON.stringify(value, null, 2) }], 'edit on GitHub');
+}
+
+/** Save through gitSync so FS, GH and the sync base all agree. */
+async function saveSynced(solution) {
+  await saveSolutionWithSync(solution, { fsWrite: () => writeFs(solPath, solution) });
+}
+
+async function openItems() {
+  const [entry] = await listDrift(SOL);
+  return entry.items;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// THREE-WAY MERGE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nThree-way merge');
+console.log('───────────────');
+
+{
+  const base = { name: 'Shop', description: 'old', tools: [{ id: 'a', desc: 'A' }, { id: 'b', desc: 'B' }] };
+  const fsSide = { name: 'Shop', description: 'new', tools: [{ id: 'a', desc: 'A' }, { id: 'b', desc: 'B2' }] };
+  const ghSide = { name: 'Shop!', description: 'old', tools: [{ id: 'a', desc: 'A' }, { id: 'b', desc: 'B' }, { id: 'c', desc: 'C' }] };
+  const { merged, fields, conflicts } = mergeJson3(base, fsSide, ghSide);
+  assertEqual(merged, {
+    name: 'Shop!',
+    description: 'new',
+    tools: [{ id: 'a', desc: 'A' }, { id: 'b', desc: 'B2' }, { id: 'c', desc: 'C' }],
+  }, 'One-sided changes from both sides are combined');
+  assertEqual(fields.map(f => [f.path, f.side]).sort(), [
+    ['description', 'fs'],
+    ['name', 'gh'],
+    ['tools[b].desc', 'fs'],
+    ['tools[c]', 'gh'],
+  ], 'Fields report which side changed them, with id-keyed list items');
+  assertEqual(conflicts, [], 'No conflicts when the sides touch different fields');
+}
+
+{
+  const base = { description: 'old' };
+  const result = mergeJson3(base, { description: 'fs' }, { description: 'gh' });
+  assertEqual([result.conflicts, result.merged.description], [['description'], 'fs'], 'Both sides changing a field is a conflict, left at FS');
+  assertEqual(mergeJson3(base, { description: 'fs' }, { description: 'gh' }, { choices: { description: 'gh' } }).merged, { description: 'gh' }, 'choices settle conflicts per field');
+  assertEqual(mergeJson3(base, { description: 'x' }, { description: 'x' }).fields[0].side, 'both', 'The same change on both sides is not a conflict');
+  assertEqual(mergeJson3(null, { a: 1, b: 2 }, { a: 1, b: 3 }).conflicts, ['b'], 'Without a base, every disagreement is a conflict');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// INBOX
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nInbox');
+console.log('─────');
+
+await runWithTenant(TENANT, async () => {
+  await vcs.ensureRepo(TENANT, SOL);
+  const solution = {
+    id: SOL,
+    name: 'Shop',
+    description: 'Orders',
+    linked_skills: [],
+    updated_at: '2026-01-01T00:00:00.000Z',
+  };
+  await saveSynced(solution);
+
+  const clean = await scanSolution(SOL);
+  assertEqual([clean.ok, clean.open], [true, 0], 'A freshly saved solution has no drift');
+
+  // Edited on both sides: different fields
+  await writeFs(solPath, { ...solution, description: 'Orders and returns', updated_at: '2026-02-01T00:00:00.000Z' });
+  await pushGh('solution.json', { ...solution, name: 'Shop (EU)' });
+  assertEqual((await scanSolution(SOL)).open, 1, 'A scan records content drift');
+
+  let [item] = await openItems();
+  assertEqual([item.path, item.kind, item.base_known], ['solution.json', 'content_differs', true], 'Items know their last synced base');
+  assertEqual(item.fields.map(f => [f.path, f.side]).sort(), [['description', 'fs'], ['name', 'gh']], 'Items carry the field-level three-way diff');
+  assertEqual(item.actions, ['keep_fs', 'take_gh', 'merge'], 'solution.json offers all three resolutions');
+
+  const merged = await resolveDrift(SOL, 'solution.json', { action: 'merge' });
+  const ghAfterMerge = await readGh('solution.json');
+  assertEqual([ghAfterMerge.name, ghAfterMerge.description], ['Shop (EU)', 'Orders and returns'], 'merge pushes both sides\' changes');
+  assertEqual((await readFs(solPath)).name, 'Shop (EU)', 'merge writes the result to FS too');
+  assert(merged.commit_sha, 'merge reports the commit');
+  assertEqual(await openItems(), [], 'Resolved items leave the inbox');
+
+  // Conflicting edits on the same field
+  const synced = await readFs(solPath);
+  await writeFs(solPath, { ...synced, description: 'FS wording' });
+  await pushGh('solution.json', { ...synced, description: 'GH wording' });
+  await scanSolution(SOL);
+  [item] = await openItems();
+  assertEqual(item.conflicts, ['description'], 'Conflicting edits are flagged');
+
+  let error = null;
+  try {
+    await resolveDrift(SOL, 'solution.json', { action: 'merge' });
+  } catch (err) {
+    error = err;
+  }
+  assertEqual([error?.code, error?.conflicts], ['DRIFT_CONFLICT', ['description']], 'merge refuses unsettled conflicts');
+  await resolveDrift(SOL, 'solution.json', { action: 'merge', choices: { description: 'gh' } });
+  assertEqual((await readFs(solPath)).description, 'GH wording', 'merge applies the chosen side');
+
+  // take_gh
+  await writeFs(solPath, { ...(await readFs(solPath)), description: 'local only' });
+  await scanSolution(SOL);
+  await resolveDrift(SOL, 'solution.json', { action: 'take_gh' });
+  assertEqual((await readFs(solPath)).description, 'GH wording', 'take_gh overwrites FS with GitHub\'s copy');
+
+  // keep_fs for a skill GitHub never got
+  const skill = { id: 'returns', name: 'Returns' };
+  await writeFs(path.join(memoryRoot, 'returns', 'skill.json'), skill);
+  await saveSynced({ ...(await readFs(solPath)), linked_skills: ['returns'] });
+  await scanSolution(SOL);
+  [item] = await openItems();
+  assertEqual([item.path, item.kind, item.actions], ['skills/returns/skill.json', 'gh_missing', ['keep_fs']], 'Skills missing on GitHub can only be pushed');
+  await resolveDrift(SOL, 'skills/returns/skill.json', { action: 'keep_fs' });
+  assertEqual(await readGh('skills/returns/skill.json'), skill, 'keep_fs pushes the FS copy');
+
+  // Converged items drop out on their own
+  await writeFs(solPath, { ...(await readFs(solPath)), description: 'drifted' });
+  await scanSolution(SOL);
+  assertEqual((await openItems()).length, 1, 'New drift is listed');
+  await pushGh('solution.json', await readFs(solPath));
+  assertEqual(await openItems(), [], 'Items whose sides converged are dropped');
+
+  error = null;
+  try {
+    await resolveDrift(SOL, 'solution.json', { action: 'keep_fs' });
+  } catch (err) {
+    error = err;
+  }
+  assertEqual(error?.code, 'DRIFT_NOT_FOUND', 'Resolving a path with no open item is an error');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+await fs.rm(memoryRoot, { recursive: true, force: true });
+
+console.log('');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`Tests Passed: ${testsPassed}`);
+console.log(`Tests Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════════════');
+
+process.exit(testsFailed > 0 ? 1 : 0);
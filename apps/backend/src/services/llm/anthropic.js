@@ -1,4 +1,5 @@
 import { searchWeb, fetchUrl, isSearchAvailable } from "../webSearch.js";
+import { readEventStream, parseEventData } from "./sse.js";
 
 /**
  * Anthropic Claude API Adapter with tool use support
@@ -79,12 +80,47 @@ export default class AnthropicAdapter {
     }
   }
 
-  async chat({ systemPrompt, messages, maxTokens = 4096, temperature = 0.7, enableTools = true }) {
+  /**
+   * Tool list for a request: built-in research tools plus caller-handled functions
+   * ({ name, description, parameters }), e.g. the DAL's update_state.
+   */
+  buildTools(enableTools, functions = []) {
+    return [
+      ...(enableTools ? this.getTools() : []),
+      ...functions.map(fn => ({ name: fn.name, description: fn.description, input_schema: fn.parameters }))
+    ];
+  }
+
+  /**
+   * Run one tool call. Caller functions go to onFunctionCall and are not
+   * reported in toolsUsed; everything else is a built-in tool.
+   */
+  async runToolCall(name, args, { functions = [], onFunctionCall, toolsUsedList }) {
+    if (functions.some(fn => fn.name === name)) {
+      const result = await onFunctionCall(name, args);
+      return typeof result === "string" ? result : JSON.stringify(result ?? { ok: true });
+    }
+    console.log(`[Anthropic] Executing tool: ${name}`, args);
+    toolsUsedList.push({ name, args });
+    return this.executeTool(name, args);
+  }
+
+  /**
+   * Send a conversation to Claude.
+   *
+   * With `functions`, the model may call them alongside (or instead of)
+   * writing text; each call is passed to onFunctionCall(name, args) and its
+   * return value goes back to the model as the tool result. Text from every
+   * round is joined, so a reply written before a function call is kept.
+   * Running out of tool rounds then resolves with stopReason
+   * "max_iterations" instead of throwing.
+   */
+  async chat({ systemPrompt, messages, maxTokens = 4096, temperature = 0.7, enableTools = true, functions = [], onFunctionCall }) {
     if (!this.apiKey) {
       throw new Error("ANTHROPIC_API_KEY is not set");
     }
 
-    const tools = enableTools ? this.getTools() : [];
+    const tools = this.buildTools(enableTools, functions);
     let allMessages = messages.map(m => ({
       role: m.role,
       content: m.content
@@ -95,6 +131,7 @@ export default class AnthropicAdapter {
     let iterations = 0;
     const maxIterations = 5;
     const toolsUsedList = [];
+    const roundTexts = [];
 
     while (iterations < maxIterations) {
       iterations++;
@@ -130,6 +167,12 @@ export default class AnthropicAdapter {
       totalInputTokens += data.usage?.input_tokens || 0;
       totalOutputTokens += data.usage?.output_tokens || 0;
 
+      const roundText = data.content
+        .filter(block => block.type === "text")
+        .map(block => block.text)
+        .join("");
+      if (roundText.trim()) roundTexts.push(roundText);
+
       // Check if there are tool uses in the response
       const toolUseBlocks = data.content.filter(block => block.type === "tool_use");
 
@@ -143,10 +186,7 @@ export default class AnthropicAdapter {
         // Process each tool use and build tool results
         const toolResults = [];
         for (const toolUse of toolUseBlocks) {
-          console.log(`[Anthropic] Executing tool: ${toolUse.name}`, toolUse.input);
-          toolsUsedList.push({ name: toolUse.name, args: toolUse.input });
-
-          const result = await this.executeTool(toolUse.name, toolUse.input);
+          const result = await this.runToolCall(toolUse.name, toolUse.input, { functions, onFunctionCall, toolsUsedList });
 
           toolResults.push({
             type: "tool_result",
@@ -164,19 +204,196 @@ export default class AnthropicAdapter {
         continue;
       }
 
-      // No tool use, extract text and return
-      const textContent = data.content
+      // No tool use, return the text (all rounds when caller functions are in play)
+      return {
+        content: functions.length > 0 ? roundTexts.join("\n\n") : roundText,
+        usage: {
+          inputTokens: totalInputTokens,
+          outputTokens: totalOutputTokens
+        },
+        stopReason: data.stop_reason,
+        toolsUsed: toolsUsedList.length > 0 ? toolsUsedList : null
+      };
+    }
+
+    // Out of rounds: the caller's functions already ran, so return what they
+    // collected with the text so far rather than dropping it
+    if (functions.length > 0) {
+      return {
+        content: roundTexts.join("\n\n"),
+        usage: {
+          inputTokens: totalInputTokens,
+          outputTokens: totalOutputTokens
+        },
+        stopReason: "max_iterations",
+        toolsUsed: toolsUsedList.length > 0 ? toolsUsedList : null
+      };
+    }
+
+    throw new Error("Max tool iterations reached");
+  }
+
+  /**
+   * Streaming variant of chat(). Calls onText(delta) for every text chunk as it
+   * arrives and resolves with the same shape as chat(). Tool-use rounds are
+   * executed between streamed turns, exactly like chat().
+   */
+  async chatStream({ systemPrompt, messages, maxTokens = 4096, temperature = 0.7, enableTools = true, functions = [], onFunctionCall, onText }) {
+    if (!this.apiKey) {
+      throw new Error("ANTHROPIC_API_KEY is not set");
+    }
+
+    const tools = this.buildTools(enableTools, functions);
+    let allMessages = messages.map(m => ({
+      role: m.role,
+      content: m.content
+    }));
+
+    let totalInputTokens = 0;
+    let totalOutputTokens = 0;
+    let iterations = 0;
+    const maxIterations = 5;
+    const toolsUsedList = [];
+    const roundTexts = [];
+
+    while (iterations < maxIterations) {
+      iterations++;
+
+      const requestBody = {
+        model: this.model,
+        system: systemPrompt,
+        messages: allMessages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true
+      };
+
+      if (tools.length > 0) {
+        requestBody.tools = tools;
+      }
+
+      const response = await fetch(`${this.baseUrl}/messages`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": this.apiKey,
+          "anthropic-version": "2023-06-01"
+        },
+        body: JSON.stringify(requestBody)
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`Anthropic API error: ${response.status} - ${error.error?.message || response.statusText}`);
+      }
+
+      // Rebuild the content blocks from the stream so tool_use rounds can be replayed
+      const blocks = [];
+      let stopReason = null;
+      let roundOutputTokens = 0;
+      let roundStarted = false;
+
+      for await (const { data } of readEventStream(response)) {
+        const evt = parseEventData(data);
+        if (!evt) continue;
+
+        switch (evt.type) {
+          case "message_start":
+            totalInputTokens += evt.message?.usage?.input_tokens || 0;
+            roundOutputTokens = evt.message?.usage?.output_tokens || 0;
+            break;
+          case "content_block_start":
+            blocks[evt.index] = evt.content_block.type === "tool_use"
+              ? { ...evt.content_block, input: {}, _json: "" }
+              : { ...evt.content_block };
+            break;
+          case "content_block_delta": {
+            const block = blocks[evt.index];
+            if (!block) break;
+            if (evt.delta.type === "text_delta") {
+              block.text = (block.text || "") + evt.delta.text;
+              // Separate this round's text from text streamed before a function call
+              if (!roundStarted && roundTexts.length > 0 && functions.length > 0) onText?.("\n\n");
+              roundStarted = true;
+              onText?.(evt.delta.text);
+            } else if (evt.delta.type === "input_json_delta") {
+              block._json += evt.delta.partial_json;
+            }
+            break;
+          }
+          case "content_block_stop": {
+            const block = blocks[evt.index];
+            if (block?.type === "tool_use") {
+              block.input = block._json ? JSON.parse(block._json) : {};
+              delete block._json;
+            }
+            break;
+          }
+          case "message_delta":
+            stopReason = evt.delta?.stop_reason || stopReason;
+            // output_tokens in message_delta is cumulative for the turn
+            roundOutputTokens = evt.usage?.output_tokens ?? roundOutputTokens;
+            break;
+          case "error":
+            throw new Error(`Anthropic API error: ${evt.error?.message || "stream error"}`);
+        }
+      }
+
+      totalOutputTokens += roundOutputTokens;
+      const content = blocks.filter(Boolean);
+      const roundText = content
         .filter(block => block.type === "text")
-        .map(block => block.text)
+        .map(block => block.text || "")
         .join("");
+      if (roundText.trim()) roundTexts.push(roundText);
+      const toolUseBlocks = content.filter(block => block.type === "tool_use");
+
+      if (toolUseBlocks.length > 0 && stopReason === "tool_use") {
+        allMessages.push({
+          role: "assistant",
+          content
+        });
+
+        const toolResults = [];
+        for (const toolUse of toolUseBlocks) {
+          const result = await this.runToolCall(toolUse.name, toolUse.input, { functions, onFunctionCall, toolsUsedList });
+
+          toolResults.push({
+            type: "tool_result",
+            tool_use_id: toolUse.id,
+            content: result
+          });
+        }
+
+        allMessages.push({
+          role: "user",
+          content: toolResults
+        });
+
+        continue;
+      }
 
       return {
-        content: textContent,
+        content: functions.length > 0 ? roundTexts.join("\n\n") : roundText,
         usage: {
           inputTokens: totalInputTokens,
           outputTokens: totalOutputTokens
         },
-        stopReason: data.stop_reason,
+        stopReason,
+        toolsUsed: toolsUsedList.length > 0 ? toolsUsedList : null
+      };
+    }
+
+    // Out of rounds: the caller's functions already ran, so return what they
+    // collected with the text so far rather than dropping it
+    if (functions.length > 0) {
+      return {
+        content: roundTexts.join("\n\n"),
+        usage: {
+          inputTokens: totalInputTokens,
+          outputTokens: totalOutputTokens
+        },
+        stopReason: "max_iterations",
         toolsUsed: toolsUsedList.length > 0 ? toolsUsedList : null
       };
     }
@@ -0,0 +1,119 @@
+/**
+ * Incremental extractor for the "message" field of a streamed DAL response
+ *
+ * The builder LLMs answer with a JSON object:
+ *   { "message": "...", "state_update": {...}, "suggested_focus": ..., "input_hint": ... }
+ *
+ * While the raw JSON is still streaming, only the human-readable "message"
+ * string is worth showing. This scanner tracks JSON structure character by
+ * character, finds the top-level "message" key and emits its decoded value as
+ * it arrives. Everything else (state_update etc.) is left for the final parse.
+ *
+ * Output before the first "{" (markdown fences, stray text) is ignored, and
+ * nested "message" keys (e.g. inside state_update) are never streamed.
+ */
+
+const SIMPLE_ESCAPES = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", '"': '"', "\\": "\\", "/": "/" };
+
+/**
+ * Create a streaming scanner.
+ *
+ * @param {(text: string) => void} onMessage - Called with each decoded piece of the message
+ * @returns {{ push: (chunk: string) => void, text: () => string }}
+ */
+export function createMessageStreamer(onMessage) {
+  let depth = 0;
+  let inString = false;
+  let escape = false;
+  let unicode = null;        // pending \uXXXX hex digits
+  let expectKey = false;     // next string at depth 1 is a key
+  let isKey = false;         // current string is a depth-1 key
+  let key = "";
+  let awaitingValue = false; // saw "message" key, waiting for its string value
+  let streaming = false;     // inside the message value
+  let finished = false;
+  let emitted = "";
+
+  function push(chunk) {
+    if (finished || !chunk) return;
+    let out = "";
+
+    for (const ch of chunk) {
+      if (streaming) {
+        if (unicode !== null) {
+          unicode += ch;
+          if (unicode.length === 4) {
+            out += String.fromCharCode(parseInt(unicode, 16) || 0xfffd);
+            unicode = null;
+          }
+        } else if (escape) {
+          escape = false;
+          if (ch === "u") unicode = "";
+          else out += SIMPLE_ESCAPES[ch] ?? ch;
+        } else if (ch === "\\") {
+          escape = true;
+        } else if (ch === '"') {
+          streaming = false;
+          finished = true;
+          break;
+        } else {
+          out += ch;
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escape) {
+          escape = false;
+          if (isKey) key += ch;
+        } else if (ch === "\\") {
+          escape = true;
+        } else if (ch === '"') {
+          inString = false;
+          if (isKey) {
+            isKey = false;
+            awaitingValue = key === "message";
+          }
+        } else if (isKey) {
+          key += ch;
+        }
+        continue;
+      }
+
+      if (awaitingValue) {
+        if (ch === ":" || /\s/.test(ch)) continue;
+        awaitingValue = false;
+        if (ch === '"') {
+          streaming = true;
+          continue;
+        }
+        // Non-string message value — fall through and let the final parse handle it
+      }
+
+      if (depth === 0 && ch !== "{") continue;
+
+      if (ch === '"') {
+        inString = true;
+        isKey = depth === 1 && expectKey;
+        expectKey = false;
+        key = "";
+      } else if (ch === "{" || ch === "[") {
+        depth++;
+        if (depth === 1) expectKey = true;
+      } else if (ch === "}" || ch === "]") {
+        depth = Math.max(0, depth - 1);
+      } else if (ch === "," && depth === 1) {
+        expectKey = true;
+      }
+    }
+
+    if (out) {
+      emitted += out;
+      onMessage(out);
+    }
+  }
+
+  return { push, text: () => emitted };
+}
+
+export default { createMessageStreamer };
@@ -1,4 +1,5 @@
 import { searchWeb, fetchUrl, isSearchAvailable } from "../webSearch.js";
+import { readEventStream, parseEventData } from "./sse.js";
 
 /**
  * OpenAI API Adapter with tool/function calling support
@@ -85,12 +86,56 @@ export default class OpenAIAdapter {
     }
   }
 
-  async chat({ systemPrompt, messages, maxTokens = 4096, temperature = 0.7, enableTools = true }) {
+  /**
+   * Tool list for a request: built-in research tools plus caller-handled functions
+   * ({ name, description, parameters }), e.g. the DAL's update_state.
+   */
+  buildTools(enableTools, functions = []) {
+    return [
+      ...(enableTools ? this.getTools() : []),
+      ...functions.map(fn => ({
+        type: "function",
+        function: { name: fn.name, description: fn.description, parameters: fn.parameters }
+      }))
+    ];
+  }
+
+  /**
+   * Run one tool call. Caller functions go to onFunctionCall and are not
+   * reported in toolsUsed; everything else is a built-in tool.
+   */
+  async runToolCall(name, rawArgs, { functions = [], onFunctionCall, toolsUsedList }) {
+    let args;
+    try {
+      args = JSON.parse(rawArgs || "{}");
+    } catch (err) {
+      return JSON.stringify({ error: `Arguments are not valid JSON: ${err.message}` });
+    }
+    if (functions.some(fn => fn.name === name)) {
+      const result = await onFunctionCall(name, args);
+      return typeof result === "string" ? result : JSON.stringify(result ?? { ok: true });
+    }
+    console.log(`[OpenAI] Executing tool: ${name}`, args);
+    toolsUsedList.push({ name, args });
+    return this.executeTool(name, args);
+  }
+
+  /**
+   * Send a conversation to OpenAI.
+   *
+   * With `functions`, the model may call them alongside (or instead of)
+   * writing text; each call is passed to onFunctionCall(name, args) and its
+   * return value goes back to the model as the tool result. Text from every
+   * round is joined, so a reply written before a function call is kept.
+   * Running out of tool rounds then resolves with stopReason
+   * "max_iterations" instead of throwing.
+   */
+  async chat({ systemPrompt, messages, maxTokens = 4096, temperature = 0.7, enableTools = true, functions = [], onFunctionCall }) {
     if (!this.apiKey) {
       throw new Error("OPENAI_API_KEY is not set");
     }
 
-    const tools = enableTools ? this.getTools() : [];
+    const tools = this.buildTools(enableTools, functions);
     let allMessages = [
       { role: "system", content: systemPrompt },
       ...messages.map(m => ({
@@ -104,6 +149,7 @@ export default class OpenAIAdapter {
     let iterations = 0;
     const maxIterations = 5; // Prevent infinite loops
     const toolsUsedList = [];
+    const roundTexts = [];
 
     // Check if prompts mention "json" - required for response_format: json_object
     const allContent = systemPrompt + messages.map(m => m.content || '').join(' ');
@@ -120,7 +166,8 @@ export default class OpenAIAdapter {
       };
 
       // Only use json_object format when prompts explicitly mention "json"
-      if (hasJsonMention) {
+      // (never with caller functions — the reply is then plain text)
+      if (hasJsonMention && functions.length === 0) {
         requestBody.response_format = { type: "json_object" };
       }
 
@@ -157,6 +204,8 @@ export default class OpenAIAdapter {
         console.log('[OpenAI] Full response data:', JSON.stringify(data, null, 2).substring(0, 500));
       }
 
+      if (message?.content?.trim()) roundTexts.push(message.content);
+
       // Check if there are tool calls to process
       if (message?.tool_calls && message.tool_calls.length > 0) {
         // Add assistant message with tool calls
@@ -168,13 +217,7 @@ export default class OpenAIAdapter {
 
         // Execute each tool call and add results
         for (const toolCall of message.tool_calls) {
-          const toolName = toolCall.function.name;
-          const toolArgs = JSON.parse(toolCall.function.arguments || "{}");
-
-          console.log(`[OpenAI] Executing tool: ${toolName}`, toolArgs);
-          toolsUsedList.push({ name: toolName, args: toolArgs });
-
-          const toolResult = await this.executeTool(toolName, toolArgs);
+          const toolResult = await this.runToolCall(toolCall.function.name, toolCall.function.arguments, { functions, onFunctionCall, toolsUsedList });
 
           allMessages.push({
             role: "tool",
@@ -187,9 +230,9 @@ export default class OpenAIAdapter {
         continue;
       }
 
-      // No tool calls, return the final response
+      // No tool calls, return the final response (all rounds' text when caller functions are in play)
       return {
-        content: message?.content || "",
+        content: functions.length > 0 ? roundTexts.join("\n\n") : (message?.content || ""),
         usage: {
           inputTokens: totalInputTokens,
           outputTokens: totalOutputTokens
@@ -199,6 +242,167 @@ export default class OpenAIAdapter {
       };
     }
 
+    // Out of rounds: the caller's functions already ran, so return what they
+    // collected with the text so far rather than dropping it
+    if (functions.length > 0) {
+      return {
+        content: roundTexts.join("\n\n"),
+        usage: {
+          inputTokens: totalInputTokens,
+          outputTokens: totalOutputTokens
+        },
+        stopReason: "max_iterations",
+        toolsUsed: toolsUsedList.length > 0 ? toolsUsedList : null
+      };
+    }
+
+    throw new Error("Max tool iterations reached");
+  }
+
+  /**
+   * Streaming variant of chat(). Calls onText(delta) for every content chunk as
+   * it arrives and resolves with the same shape as chat(). Tool calls are
+   * accumulated from the stream and executed between turns, like chat().
+   */
+  async chatStream({ systemPrompt, messages, maxTokens = 4096, temperature = 0.7, enableTools = true, functions = [], onFunctionCall, onText }) {
+    if (!this.apiKey) {
+      throw new Error("OPENAI_API_KEY is not set");
+    }
+
+    const tools = this.buildTools(enableTools, functions);
+    let allMessages = [
+      { role: "system", content: systemPrompt },
+      ...messages.map(m => ({
+        role: m.role,
+        content: m.content
+      }))
+    ];
+
+    let totalInputTokens = 0;
+    let totalOutputTokens = 0;
+    let iterations = 0;
+    const maxIterations = 5;
+    const toolsUsedList = [];
+    const roundTexts = [];
+
+    const allContent = systemPrompt + messages.map(m => m.content || '').join(' ');
+    const hasJsonMention = /\bjson\b/i.test(allContent);
+
+    while (iterations < maxIterations) {
+      iterations++;
+
+      const requestBody = {
+        model: this.model,
+        messages: allMessages,
+        max_completion_tokens: maxTokens,
+        temperature,
+        stream: true,
+        stream_options: { include_usage: true }
+      };
+
+      if (hasJsonMention && functions.length === 0) {
+        requestBody.response_format = { type: "json_object" };
+      }
+
+      if (tools.length > 0) {
+        requestBody.tools = tools;
+        requestBody.tool_choice = "auto";
+      }
+
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify(requestBody)
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`OpenAI API error: ${response.status} - ${error.error?.message || response.statusText}`);
+      }
+
+      let content = "";
+      let finishReason = null;
+      const toolCalls = []; // index → { id, type, function: { name, arguments } }
+
+      for await (const { data } of readEventStream(response)) {
+        if (data === "[DONE]") break;
+        const chunk = parseEventData(data);
+        if (!chunk) continue;
+
+        if (chunk.usage) {
+          totalInputTokens += chunk.usage.prompt_tokens || 0;
+          totalOutputTokens += chunk.usage.completion_tokens || 0;
+        }
+
+        const choice = chunk.choices?.[0];
+        if (!choice) continue;
+        if (choice.finish_reason) finishReason = choice.finish_reason;
+
+        const delta = choice.delta || {};
+        if (delta.content) {
+          // Separate this round's text from text streamed before a function call
+          if (!content && roundTexts.length > 0 && functions.length > 0) onText?.("\n\n");
+          content += delta.content;
+          onText?.(delta.content);
+        }
+        for (const tc of delta.tool_calls || []) {
+          const entry = toolCalls[tc.index] || (toolCalls[tc.index] = { id: null, type: "function", function: { name: "", arguments: "" } });
+          if (tc.id) entry.id = tc.id;
+          if (tc.function?.name) entry.function.name += tc.function.name;
+          if (tc.function?.arguments) entry.function.arguments += tc.function.arguments;
+        }
+      }
+
+      if (content.trim()) roundTexts.push(content);
+      const calls = toolCalls.filter(Boolean);
+      if (calls.length > 0) {
+        allMessages.push({
+          role: "assistant",
+          content: content || null,
+          tool_calls: calls
+        });
+
+        for (const toolCall of calls) {
+          const toolResult = await this.runToolCall(toolCall.function.name, toolCall.function.arguments, { functions, onFunctionCall, toolsUsedList });
+
+          allMessages.push({
+            role: "tool",
+            tool_call_id: toolCall.id,
+            content: toolResult
+          });
+        }
+
+        continue;
+      }
+
+      return {
+        content: functions.length > 0 ? roundTexts.join("\n\n") : content,
+        usage: {
+          inputTokens: totalInputTokens,
+          outputTokens: totalOutputTokens
+        },
+        stopReason: finishReason,
+        toolsUsed: toolsUsedList.length > 0 ? toolsUsedList : null
+      };
+    }
+
+    // Out of rounds: the caller's functions already ran, so return what they
+    // collected with the text so far rather than dropping it
+    if (functions.length > 0) {
+      return {
+        content: roundTexts.join("\n\n"),
+        usage: {
+          inputTokens: totalInputTokens,
+          outputTokens: totalOutputTokens
+        },
+        stopReason: "max_iterations",
+        toolsUsed: toolsUsedList.length > 0 ? toolsUsedList : null
+      };
+    }
+
     throw new Error("Max tool iterations reached");
   }
 
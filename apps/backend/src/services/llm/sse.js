@@ -0,0 +1,62 @@
+/**
+ * Server-Sent Events reader for streaming LLM responses
+ *
+ * Both Anthropic and OpenAI stream completions as `text/event-stream`.
+ * This turns a fetch Response body into parsed events so the adapters only
+ * deal with provider payloads. The MCP HTTP transports (services/mcpConnector.js)
+ * read their event streams with it too.
+ */
+
+/**
+ * Iterate the events of an SSE response body.
+ * Yields { event, data } where data is the raw string of the joined data lines.
+ *
+ * @param {Response} response - fetch Response with a streaming body
+ * @returns {AsyncGenerator<{ event: string|null, data: string }>}
+ */
+export async function* readEventStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  function parseBlock(block) {
+    let event = null;
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+    }
+    return data.length > 0 ? { event, data: data.join("\n") } : null;
+  }
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let sep;
+      while ((sep = buffer.search(/\r?\n\r?\n/)) >= 0) {
+        const block = buffer.slice(0, sep);
+        buffer = buffer.slice(sep).replace(/^\r?\n\r?\n/, "");
+        const parsed = parseBlock(block);
+        if (parsed) yield parsed;
+      }
+    }
+    const tail = parseBlock(buffer + decoder.decode());
+    if (tail) yield tail;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Parse a JSON event payload, returning null for keep-alives and garbage.
+ */
+export function parseEventData(data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
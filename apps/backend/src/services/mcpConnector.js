@@ -4,30 +4,202 @@
  * Connects to MCP servers, discovers available tools, and provides a bridge
  * for DAL to use external MCP tools.
  *
- * MCP Protocol: JSON-RPC 2.0 over stdio
+ * MCP Protocol: JSON-RPC 2.0 over
+ *   - stdio            — spawned child process (config.command)
+ *   - Streamable HTTP  — POST to one endpoint, Mcp-Session-Id sessions (config.transport: 'http')
+ *   - HTTP+SSE         — legacy GET event stream + POST endpoint (config.transport: 'sse')
  * Spec: https://modelcontextprotocol.io/specification
+ *
+ * Remote (HTTP/SSE) connections send auth headers built from config.headers /
+ * config.auth, and reconnect with exponential backoff when the server drops.
+ * A supervisor probes every connection and restarts crashed stdio servers.
  */
 
 import { spawn } from 'child_process';
 import { randomUUID } from 'crypto';
 import { EventEmitter } from 'events';
+import { readEventStream, parseEventData } from './llm/sse.js';
+import { classifyError } from './connectorValidator.js';
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Protocol versions we offer per transport (legacy SSE servers predate Streamable HTTP)
+const STDIO_PROTOCOL_VERSION = '2024-11-05';
+const HTTP_PROTOCOL_VERSION = '2025-03-26';
+const SSE_PROTOCOL_VERSION = '2024-11-05';
+
+const RECONNECT_DEFAULTS = { maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 30000 };
+
+const SUPERVISOR_DEFAULTS = {
+  intervalMs: 30000,       // health probe period
+  probeTimeoutMs: 10000,
+  failureThreshold: 2,     // consecutive failed probes before a restart
+  maxRestarts: 5,          // restarts without a stable period before giving up
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  stableAfterMs: 60000     // healthy this long resets the crash-loop counter
+};
+
+// stderr lines kept per stdio connection for crash diagnostics
+const STDERR_TAIL_LINES = 20;
+
+// ═══════════════════════════════════════════════════════════════
+// SHARED JSON-RPC SESSION
+// ═══════════════════════════════════════════════════════════════
 
 /**
- * Represents a connection to an MCP server
+ * JSON-RPC bookkeeping and MCP calls shared by every transport.
+ * Subclasses implement connect(), request(), notify() and disconnect().
  */
-class MCPConnection extends EventEmitter {
+class MCPConnectionBase extends EventEmitter {
   constructor(id, config) {
     super();
     this.id = id;
     this.config = config;
-    this.process = null;
-    this.buffer = '';
     this.pendingRequests = new Map();
     this.serverInfo = null;
     this.tools = [];
     this.connected = false;
   }
 
+  /**
+   * Register a pending request; resolves when handleMessage() sees its response.
+   */
+  trackRequest(id, method) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (this.pendingRequests.has(id)) {
+          this.pendingRequests.delete(id);
+          reject(new Error(`Request timeout: ${method}`));
+        }
+      }, REQUEST_TIMEOUT_MS);
+      this.pendingRequests.set(id, {
+        resolve: (value) => { clearTimeout(timer); resolve(value); },
+        reject: (err) => { clearTimeout(timer); reject(err); }
+      });
+    });
+  }
+
+  /**
+   * Reject one pending request (or all of them, without id)
+   */
+  failPending(err, id = null) {
+    for (const [pendingId, { reject }] of this.pendingRequests) {
+      if (id && pendingId !== id) continue;
+      this.pendingRequests.delete(pendingId);
+      reject(err);
+    }
+  }
+
+  /**
+   * Handle a parsed JSON-RPC message (or batch)
+   */
+  handleMessage(message) {
+    if (Array.isArray(message)) {
+      message.forEach(m => this.handleMessage(m));
+      return;
+    }
+
+    // Response to a request we made
+    if (message.id && this.pendingRequests.has(message.id)) {
+      const { resolve, reject } = this.pendingRequests.get(message.id);
+      this.pendingRequests.delete(message.id);
+
+      if (message.error) {
+        reject(new Error(message.error.message || 'MCP error'));
+      } else {
+        resolve(message.result);
+      }
+    }
+    // Notification from server (no id)
+    else if (!message.id && message.method) {
+      this.emit('notification', message);
+    }
+  }
+
+  /**
+   * Protocol version offered in initialize
+   */
+  get protocolVersion() {
+    return STDIO_PROTOCOL_VERSION;
+  }
+
+  /**
+   * Initialize the MCP connection (required handshake)
+   */
+  async initialize() {
+    const result = await this.request('initialize', {
+      protocolVersion: this.protocolVersion,
+      capabilities: {
+        tools: {}
+      },
+      clientInfo: {
+        name: 'DAL-Connector',
+        version: '1.0.0'
+      }
+    });
+
+    this.serverInfo = result;
+
+    // Send initialized notification
+    await this.notify('notifications/initialized');
+
+    return result;
+  }
+
+  /**
+   * Discover available tools from the MCP server
+   */
+  async discoverTools() {
+    const result = await this.request('tools/list');
+    this.tools = result.tools || [];
+    return this.tools;
+  }
+
+  /**
+   * Call a tool on the MCP server
+   */
+  async callTool(name, args = {}) {
+    const result = await this.request('tools/call', {
+      name,
+      arguments: args
+    });
+    return result;
+  }
+
+  /**
+   * Health probe: MCP ping, or tools/list for servers that don't implement it
+   */
+  async ping() {
+    if (!this.pingUnsupported) {
+      try {
+        await this.request('ping');
+        return;
+      } catch (err) {
+        if (!/method not found|-32601/i.test(err.message)) throw err;
+        this.pingUnsupported = true;
+      }
+    }
+    await this.discoverTools();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// STDIO TRANSPORT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Represents a connection to an MCP server running as a child process
+ */
+class MCPConnection extends MCPConnectionBase {
+  constructor(id, config) {
+    super(id, config);
+    this.transport = 'stdio';
+    this.process = null;
+    this.buffer = '';
+    this.stderrLines = [];
+  }
+
   /**
    * Start the MCP server and establish connection
    */
@@ -51,6 +223,9 @@ class MCPConnection extends EventEmitter {
 
       this.process.stderr.on('data', (data) => {
         console.error(`[MCP ${this.id}] stderr:`, data.toString());
+        // Keep the tail for crash diagnostics
+        const lines = data.toString().split(/\r?\n/).filter(line => line.trim());
+        this.stderrLines = [...this.stderrLines, ...lines].slice(-STDERR_TAIL_LINES);
       });
 
       this.process.on('error', (err) => {
@@ -111,122 +286,746 @@ class MCPConnection extends EventEmitter {
   }
 
   /**
-   * Handle a parsed JSON-RPC message
+   * Send a JSON-RPC request to the MCP server
    */
-  handleMessage(message) {
-    // Response to a request we made
-    if (message.id && this.pendingRequests.has(message.id)) {
-      const { resolve, reject } = this.pendingRequests.get(message.id);
-      this.pendingRequests.delete(message.id);
+  async request(method, params = {}) {
+    // Check if process is still alive
+    // Note: during initialization, this.connected is false but we still need to send
+    if (!this.process || this.process.killed || !this.process.stdin.writable) {
+      throw new Error(`MCP server process is not running. The server may have failed to start or disconnected.`);
+    }
 
-      if (message.error) {
-        reject(new Error(message.error.message || 'MCP error'));
-      } else {
-        resolve(message.result);
-      }
+    const id = randomUUID();
+    const message = {
+      jsonrpc: '2.0',
+      id,
+      method,
+      params
+    };
+
+    const pending = this.trackRequest(id, method);
+
+    try {
+      this.process.stdin.write(JSON.stringify(message) + '\n');
+    } catch (err) {
+      this.failPending(new Error(`Failed to send request: ${err.message}`), id);
     }
-    // Notification from server (no id)
-    else if (!message.id && message.method) {
-      this.emit('notification', message);
+    return pending;
+  }
+
+  /**
+   * Send a JSON-RPC notification (no response expected)
+   */
+  async notify(method, params) {
+    this.process.stdin.write(JSON.stringify({
+      jsonrpc: '2.0',
+      method,
+      ...(params && { params })
+    }) + '\n');
+  }
+
+  /**
+   * Disconnect from the MCP server
+   */
+  disconnect() {
+    if (this.process) {
+      this.process.kill();
+      this.process = null;
+    }
+    this.connected = false;
+    this.pendingRequests.clear();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HTTP TRANSPORTS (Streamable HTTP + legacy SSE)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Expand ${VAR} references from the connector's own env.
+ * process.env is deliberately not consulted — header values come from
+ * user-editable config and must not be able to read backend secrets.
+ */
+function expandEnv(value, env = {}) {
+  return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => env[name] ?? '');
+}
+
+/**
+ * Build request headers from connector config.
+ *
+ * @param {object} config
+ * @param {object} [config.headers] - Extra headers, e.g. { "X-Api-Key": "${API_KEY}" }
+ * @param {object} [config.auth] - { type: 'bearer', token } | { type: 'basic', username, password } | { type: 'header', name, value }
+ * @param {object} [config.env] - Values for ${VAR} expansion
+ * @returns {object}
+ */
+function buildAuthHeaders(config) {
+  const env = config.env || {};
+  const headers = {};
+  for (const [name, value] of Object.entries(config.headers || {})) {
+    if (value !== undefined && value !== null) headers[name] = expandEnv(value, env);
+  }
+
+  const auth = config.auth;
+  if (auth?.type === 'bearer' && auth.token) {
+    headers.Authorization = `Bearer ${expandEnv(auth.token, env)}`;
+  } else if (auth?.type === 'basic' && auth.username) {
+    const credentials = `${expandEnv(auth.username, env)}:${expandEnv(auth.password || '', env)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else if (auth?.type === 'header' && auth.name) {
+    headers[auth.name] = expandEnv(auth.value || '', env);
+  }
+  return headers;
+}
+
+/**
+ * Exponential backoff with jitter: half the window fixed, half random.
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const window = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(window / 2 + Math.random() * window / 2);
+}
+
+/**
+ * Connection to a remote MCP server over HTTP.
+ *
+ * transport 'http' (Streamable HTTP): every message is POSTed to config.url;
+ * the reply comes back as JSON or as an SSE stream on the same response.
+ * The server may assign a session (Mcp-Session-Id) which is echoed on every
+ * request; if it expires (404) the session is re-initialized once.
+ *
+ * transport 'sse' (HTTP+SSE, pre-2025 servers): a long-lived GET stream on
+ * config.url announces a POST endpoint; replies arrive on that stream.
+ *
+ * When the server becomes unreachable the connection reconnects with
+ * backoff (config.reconnect) and emits 'disconnected', 'reconnected' or
+ * 'reconnect_failed'.
+ */
+class MCPHttpConnection extends MCPConnectionBase {
+  constructor(id, config) {
+    super(id, config);
+    this.transport = config.transport === 'sse' ? 'sse' : 'http';
+    this.url = config.url || config.endpoint;
+    this.sessionId = null;
+    this.postUrl = null;       // sse: endpoint announced by the server
+    this.streamAbort = null;   // sse: aborts the GET event stream
+    this.renewing = null;
+    this.closed = false;
+    this.reconnecting = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.reconnectOptions = { ...RECONNECT_DEFAULTS, ...(config.reconnect || {}) };
+  }
+
+  get protocolVersion() {
+    return this.transport === 'sse' ? SSE_PROTOCOL_VERSION : HTTP_PROTOCOL_VERSION;
+  }
+
+  /**
+   * Open the transport and run the initialize handshake
+   */
+  async connect() {
+    if (!this.url) {
+      throw new Error('Remote MCP connector requires a url');
     }
+    if (this.transport === 'sse') {
+      await this.openEventStream();
+    }
+    const result = await this.initialize();
+    this.connected = true;
+    return result;
+  }
+
+  headers(extra = {}) {
+    const headers = { ...buildAuthHeaders(this.config), ...extra };
+    if (this.transport === 'http') {
+      if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+      if (this.serverInfo?.protocolVersion) headers['MCP-Protocol-Version'] = this.serverInfo.protocolVersion;
+    }
+    return headers;
   }
 
   /**
-   * Send a JSON-RPC request to the MCP server
+   * Send a JSON-RPC request and wait for its response
    */
   async request(method, params = {}) {
-    return new Promise((resolve, reject) => {
-      // Check if process is still alive
-      // Note: during initialization, this.connected is false but we still need to send
-      if (!this.process || this.process.killed || !this.process.stdin.writable) {
-        reject(new Error(`MCP server process is not running. The server may have failed to start or disconnected.`));
-        return;
-      }
+    const message = {
+      jsonrpc: '2.0',
+      id: randomUUID(),
+      method,
+      params
+    };
+    const pending = this.trackRequest(message.id, method);
+    this.send(message).catch(err => this.failPending(err, message.id));
+    return pending;
+  }
 
-      const id = randomUUID();
-      const message = {
-        jsonrpc: '2.0',
-        id,
-        method,
-        params
-      };
+  /**
+   * Send a JSON-RPC notification (no response expected)
+   */
+  async notify(method, params) {
+    await this.send({
+      jsonrpc: '2.0',
+      method,
+      ...(params && { params })
+    });
+  }
 
-      this.pendingRequests.set(id, { resolve, reject });
+  /**
+   * POST one message. Responses are routed through handleMessage().
+   */
+  async send(message, { retried = false } = {}) {
+    if (this.closed) {
+      throw new Error('MCP connection is closed');
+    }
+    const target = this.transport === 'sse' ? this.postUrl : this.url;
+    if (!target) {
+      throw new Error('MCP server has not announced its message endpoint');
+    }
 
-      // Set timeout
-      setTimeout(() => {
-        if (this.pendingRequests.has(id)) {
-          this.pendingRequests.delete(id);
-          reject(new Error(`Request timeout: ${method}`));
-        }
-      }, 30000);
+    let response;
+    try {
+      response = await fetch(target, {
+        method: 'POST',
+        headers: this.headers({
+          'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream'
+        }),
+        body: JSON.stringify(message)
+      });
+    } catch (err) {
+      this.handleConnectionLost(err);
+      throw new Error(`MCP server unreachable: ${err.cause?.message || err.message}`);
+    }
 
-      try {
-        this.process.stdin.write(JSON.stringify(message) + '\n');
-      } catch (err) {
-        this.pendingRequests.delete(id);
-        reject(new Error(`Failed to send request: ${err.message}`));
-      }
-    });
+    // Session expired on the server: start a new one and replay once
+    if (response.status === 404 && this.sessionId && !retried && message.method !== 'initialize') {
+      await response.body?.cancel();
+      await this.renewSession();
+      return this.send(message, { retried: true });
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      await response.body?.cancel();
+      throw new Error(`MCP server rejected the credentials (HTTP ${response.status}). Check the connector's auth settings.`);
+    }
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`MCP server returned HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+
+    if (this.transport === 'http') {
+      const sessionId = response.headers.get('mcp-session-id');
+      if (sessionId) this.sessionId = sessionId;
+    }
+
+    await this.readResponse(response, message.id);
   }
 
   /**
-   * Initialize the MCP connection (required handshake)
+   * Read a POST response: JSON body, SSE stream, or nothing (202 Accepted)
    */
-  async initialize() {
-    const result = await this.request('initialize', {
-      protocolVersion: '2024-11-05',
-      capabilities: {
-        tools: {}
-      },
-      clientInfo: {
-        name: 'DAL-Connector',
-        version: '1.0.0'
+  async readResponse(response, id) {
+    const contentType = response.headers.get('content-type') || '';
+
+    if (contentType.includes('text/event-stream')) {
+      for await (const { data } of readEventStream(response)) {
+        const message = parseEventData(data);
+        if (message) this.handleMessage(message);
+        // Our reply arrived; the server may keep the stream open for more
+        if (id && !this.pendingRequests.has(id)) break;
       }
-    });
+      await response.body.cancel().catch(() => {});
+      if (id && this.pendingRequests.has(id)) {
+        throw new Error('MCP server closed the response stream without replying');
+      }
+      return;
+    }
 
-    this.serverInfo = result;
+    if (contentType.includes('application/json')) {
+      const text = await response.text();
+      if (text) this.handleMessage(JSON.parse(text));
+      return;
+    }
 
-    // Send initialized notification
-    this.process.stdin.write(JSON.stringify({
-      jsonrpc: '2.0',
-      method: 'notifications/initialized'
-    }) + '\n');
+    await response.body?.cancel();
+  }
 
-    return result;
+  /**
+   * Re-run the handshake after the server dropped our session.
+   * Concurrent requests that hit the 404 share one renewal.
+   */
+  renewSession() {
+    if (!this.renewing) {
+      console.log(`[MCP ${this.id}] Session expired, re-initializing`);
+      this.sessionId = null;
+      this.serverInfo = null;
+      this.renewing = this.initialize().finally(() => {
+        this.renewing = null;
+      });
+    }
+    return this.renewing;
   }
 
   /**
-   * Discover available tools from the MCP server
+   * Legacy SSE: open the event stream and wait for the endpoint event
    */
-  async discoverTools() {
-    const result = await this.request('tools/list');
-    this.tools = result.tools || [];
-    return this.tools;
+  async openEventStream() {
+    const abort = new AbortController();
+    this.streamAbort = abort;
+    const timer = setTimeout(() => abort.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(this.url, {
+        headers: this.headers({ 'Accept': 'text/event-stream' }),
+        signal: abort.signal
+      });
+      if (response.status === 401 || response.status === 403) {
+        throw new Error(`MCP server rejected the credentials (HTTP ${response.status}). Check the connector's auth settings.`);
+      }
+      if (!response.ok) {
+        throw new Error(`MCP server returned HTTP ${response.status} for the event stream`);
+      }
+
+      const events = readEventStream(response);
+      while (!this.postUrl) {
+        const { value, done } = await events.next();
+        if (done) {
+          throw new Error('MCP server closed the event stream before announcing its endpoint');
+        }
+        if (value.event === 'endpoint') {
+          // send() POSTs with the connector's auth headers: never to another origin
+          const endpoint = new URL(value.data.trim(), this.url);
+          if (endpoint.origin !== new URL(this.url).origin) {
+            throw new Error(`MCP server announced an endpoint on another origin (${endpoint.origin}); refusing to send credentials there`);
+          }
+          this.postUrl = endpoint.href;
+        }
+      }
+      clearTimeout(timer);
+      this.pumpEvents(events, abort.signal);
+    } catch (err) {
+      clearTimeout(timer);
+      abort.abort();
+      if (err.name === 'AbortError') {
+        throw new Error('Timed out waiting for the MCP server event stream');
+      }
+      throw err.cause ? new Error(`MCP server unreachable: ${err.cause.message}`) : err;
+    }
   }
 
   /**
-   * Call a tool on the MCP server
+   * Legacy SSE: route stream messages until the stream ends
    */
-  async callTool(name, args = {}) {
-    const result = await this.request('tools/call', {
-      name,
-      arguments: args
-    });
-    return result;
+  async pumpEvents(events, signal) {
+    try {
+      for await (const { event, data } of events) {
+        if (event && event !== 'message') continue;
+        const message = parseEventData(data);
+        if (message) this.handleMessage(message);
+      }
+      if (!signal.aborted) {
+        this.handleConnectionLost(new Error('event stream ended'));
+      }
+    } catch (err) {
+      if (!signal.aborted) {
+        this.handleConnectionLost(err);
+      }
+    }
+  }
+
+  /**
+   * The server went away: fail in-flight requests and start reconnecting
+   */
+  handleConnectionLost(err) {
+    if (this.closed || this.reconnecting || !this.connected) return;
+    console.error(`[MCP ${this.id}] Connection lost: ${err.message}`);
+    this.connected = false;
+    this.failPending(new Error(`MCP server connection lost: ${err.message}`));
+    this.emit('disconnected', err);
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    const { maxAttempts } = this.reconnectOptions;
+    if (this.reconnectAttempts >= maxAttempts) {
+      console.error(`[MCP ${this.id}] Giving up after ${this.reconnectAttempts} reconnect attempts`);
+      this.reconnecting = false;
+      this.emit('reconnect_failed');
+      return;
+    }
+
+    this.reconnecting = true;
+    const delay = backoffDelay(this.reconnectAttempts, this.reconnectOptions);
+    this.reconnectAttempts++;
+    console.log(`[MCP ${this.id}] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${maxAttempts})`);
+    this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+    this.reconnectTimer.unref?.();
+  }
+
+  async reconnect() {
+    this.reconnectTimer = null;
+    if (this.closed) return;
+    this.teardown();
+
+    try {
+      await this.connect();
+      await this.discoverTools();
+      this.reconnecting = false;
+      this.reconnectAttempts = 0;
+      console.log(`[MCP ${this.id}] Reconnected`);
+      this.emit('reconnected', this.serverInfo);
+    } catch (err) {
+      if (this.closed) return;
+      console.error(`[MCP ${this.id}] Reconnect failed: ${err.message}`);
+      this.connected = false;
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Drop transport state (stream, endpoint, session) before a fresh connect
+   */
+  teardown() {
+    if (this.streamAbort) {
+      this.streamAbort.abort();
+      this.streamAbort = null;
+    }
+    this.postUrl = null;
+    this.sessionId = null;
   }
 
   /**
    * Disconnect from the MCP server
    */
   disconnect() {
-    if (this.process) {
-      this.process.kill();
-      this.process = null;
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnecting = false;
+
+    // Streamable HTTP: let the server release the session
+    if (this.transport === 'http' && this.sessionId) {
+      fetch(this.url, { method: 'DELETE', headers: this.headers() })
+        .then(res => res.body?.cancel())
+        .catch(() => {});
     }
+
+    this.teardown();
     this.connected = false;
-    this.pendingRequests.clear();
+    this.failPending(new Error('MCP connection closed'));
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SUPERVISOR
+// ═══════════════════════════════════════════════════════════════
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Keeps connected MCP servers alive.
+ *
+ * Probes every connection periodically (ping, or tools/list as fallback).
+ * A stdio server that exits, or fails failureThreshold probes in a row, is
+ * restarted with exponential backoff. After maxRestarts restarts without a
+ * stable period the connector is marked 'failed' (crash loop) and left alone
+ * until restarted by hand. Remote connections reconnect on their own; the
+ * supervisor only probes them and reports their state.
+ *
+ * Health per connector:
+ *   state     — 'healthy' | 'restarting' | 'failed'
+ *   restarts  — restarts in the current crash loop (shown as "restarting (3/5)")
+ *   crashes   — total crashes seen since connect
+ *   stderr    — last stderr lines of the crashed process
+ *   lastError — crash reason classified by connectorValidator.classifyError()
+ */
+class ConnectorSupervisor {
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.options = { ...SUPERVISOR_DEFAULTS, ...options };
+    this.health = new Map();
+    this.listeners = new Map(); // id -> { connection, handlers }
+    this.interval = null;
+  }
+
+  /**
+   * Start supervising a freshly connected connection
+   */
+  watch(id, connection) {
+    if (!this.health.has(id)) {
+      this.health.set(id, {
+        state: 'healthy',
+        restarts: 0,
+        crashes: 0,
+        consecutiveProbeFailures: 0,
+        healthySince: Date.now(),
+        lastProbeAt: null,
+        lastProbeOk: null,
+        lastCrashAt: null,
+        lastExitCode: null,
+        nextRestartAt: null,
+        stderr: [],
+        lastError: null,
+        timer: null,
+        restartInFlight: false
+      });
+    }
+    this.attach(id, connection);
+
+    if (!this.interval) {
+      this.interval = setInterval(() => this.probeAll(), this.options.intervalMs);
+      this.interval.unref?.();
+    }
+  }
+
+  /**
+   * Stop supervising (user disconnect)
+   */
+  unwatch(id) {
+    this.detach(id);
+    const health = this.health.get(id);
+    if (health?.timer) clearTimeout(health.timer);
+    this.health.delete(id);
+
+    if (this.health.size === 0 && this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  attach(id, connection) {
+    this.detach(id);
+    const handlers = connection.transport === 'stdio'
+      ? {
+        close: (code) => this.handleFailure(id, new Error(`MCP server process exited with code ${code}`), { code })
+      }
+      : {
+        disconnected: () => this.update(id, { state: 'restarting' }),
+        reconnected: () => this.markHealthy(id),
+        reconnect_failed: () => this.markFailed(id, new Error('Could not reconnect to the MCP server'))
+      };
+    for (const [event, handler] of Object.entries(handlers)) {
+      connection.on(event, handler);
+    }
+    this.listeners.set(id, { connection, handlers });
+  }
+
+  detach(id) {
+    const attached = this.listeners.get(id);
+    if (!attached) return;
+    for (const [event, handler] of Object.entries(attached.handlers)) {
+      attached.connection.off(event, handler);
+    }
+    this.listeners.delete(id);
+  }
+
+  update(id, fields) {
+    const health = this.health.get(id);
+    if (health) Object.assign(health, fields);
+    return health;
+  }
+
+  markHealthy(id) {
+    this.update(id, {
+      state: 'healthy',
+      healthySince: Date.now(),
+      consecutiveProbeFailures: 0,
+      nextRestartAt: null
+    });
+  }
+
+  markFailed(id, err) {
+    const health = this.update(id, { state: 'failed', nextRestartAt: null });
+    if (health) health.lastError = this.classify(id, err, health.stderr);
+  }
+
+  classify(id, err, stderr = []) {
+    const connection = this.manager.connections.get(id);
+    const context = { connector: connection?.config.name || id, connectorId: id };
+    // stderr names the root cause ("ECONNREFUSED"), the error only the symptom ("exited")
+    let classified = stderr.length > 0 ? classifyError(new Error(stderr.join('\n')), context) : null;
+    if (!classified || classified.category === 'unknown') {
+      classified = classifyError(err, context);
+    }
+    return {
+      category: classified.category,
+      title: classified.title,
+      message: classified.message,
+      recovery: classified.recovery,
+      severity: classified.severity,
+      details: err.message
+    };
+  }
+
+  /**
+   * Probe every healthy connection once
+   */
+  async probeAll() {
+    // A slow round must not overlap the next one
+    if (this.probing) return;
+    this.probing = true;
+    try {
+      for (const id of [...this.health.keys()]) {
+        await this.probe(id);
+      }
+    } finally {
+      this.probing = false;
+    }
+  }
+
+  async probe(id) {
+    const health = this.health.get(id);
+    const connection = this.manager.connections.get(id);
+    if (!health || health.state !== 'healthy' || !connection?.connected) return;
+
+    health.lastProbeAt = new Date().toISOString();
+    try {
+      await withTimeout(connection.ping(), this.options.probeTimeoutMs, 'Health probe timed out');
+      health.lastProbeOk = true;
+      health.consecutiveProbeFailures = 0;
+      // Survived long enough: the crash loop is over
+      if (health.restarts > 0 && Date.now() - health.healthySince >= this.options.stableAfterMs) {
+        health.restarts = 0;
+      }
+    } catch (err) {
+      // Restarted or disconnected while the probe was out
+      if (this.health.get(id) !== health || this.manager.connections.get(id) !== connection) return;
+      health.lastProbeOk = false;
+      health.consecutiveProbeFailures++;
+      console.warn(`[MCP ${id}] Health probe failed (${health.consecutiveProbeFailures}/${this.options.failureThreshold}): ${err.message}`);
+      if (health.consecutiveProbeFailures < this.options.failureThreshold) return;
+
+      if (connection.transport === 'stdio') {
+        this.handleFailure(id, new Error(`MCP server stopped responding: ${err.message}`));
+      } else {
+        connection.handleConnectionLost(err);
+      }
+    }
+  }
+
+  /**
+   * A stdio server crashed or hung: schedule a restart, or give up
+   */
+  handleFailure(id, err, { code = null } = {}) {
+    const health = this.health.get(id);
+    if (!health || health.timer || health.restartInFlight) return;
+
+    const connection = this.manager.connections.get(id);
+    health.crashes++;
+    health.lastCrashAt = new Date().toISOString();
+    health.lastExitCode = code;
+    health.stderr = err.stderr || connection?.stderrLines?.slice() || [];
+    health.lastError = this.classify(id, err, health.stderr);
+
+    const { maxRestarts } = this.options;
+    if (health.restarts >= maxRestarts) {
+      console.error(`[MCP ${id}] Crash loop: giving up after ${health.restarts} restarts`);
+      health.state = 'failed';
+      health.nextRestartAt = null;
+      return;
+    }
+
+    const delay = backoffDelay(health.restarts, this.options);
+    health.restarts++;
+    health.state = 'restarting';
+    health.nextRestartAt = new Date(Date.now() + delay).toISOString();
+    console.log(`[MCP ${id}] Restarting in ${delay}ms (${health.restarts}/${maxRestarts})`);
+
+    health.timer = setTimeout(() => this.restart(id), delay);
+    health.timer.unref?.();
+  }
+
+  async restart(id) {
+    const health = this.health.get(id);
+    if (!health) return;
+    health.timer = null;
+    health.restartInFlight = true;
+
+    try {
+      await this.manager.restartConnection(id);
+      health.restartInFlight = false;
+      if (!this.health.has(id)) return;
+      console.log(`[MCP ${id}] Restarted`);
+      this.markHealthy(id);
+    } catch (err) {
+      health.restartInFlight = false;
+      if (!this.health.has(id)) return;
+      console.error(`[MCP ${id}] Restart failed: ${err.message}`);
+      this.handleFailure(id, err);
+    }
+  }
+
+  /**
+   * Manual restart: clears the crash-loop counter first
+   */
+  async restartNow(id) {
+    const health = this.health.get(id);
+    if (!health) throw new Error(`No connection found: ${id}`);
+    if (health.restartInFlight) throw new Error(`Connector ${id} is already restarting`);
+    if (health.timer) clearTimeout(health.timer);
+    Object.assign(health, { timer: null, restarts: 0, state: 'restarting', nextRestartAt: null, restartInFlight: true });
+
+    try {
+      await this.manager.restartConnection(id);
+      health.restartInFlight = false;
+      this.markHealthy(id);
+    } catch (err) {
+      health.restartInFlight = false;
+      this.markFailed(id, err);
+      throw err;
+    }
   }
+
+  /**
+   * Health report for status endpoints
+   */
+  getHealth(id) {
+    const health = this.health.get(id);
+    if (!health) return null;
+
+    const connection = this.manager.connections.get(id);
+    const remote = connection && connection.transport !== 'stdio';
+    const { timer, restartInFlight, healthySince, ...report } = health;
+    return {
+      ...report,
+      // Remote connections count their own reconnect attempts
+      restarts: remote ? connection.reconnectAttempts : health.restarts,
+      maxRestarts: remote ? connection.reconnectOptions.maxAttempts : this.options.maxRestarts,
+      healthySince: health.state === 'healthy' ? new Date(healthySince).toISOString() : null
+    };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MANAGER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Compact health for connection lists
+ */
+function summarizeHealth(health) {
+  if (!health) return null;
+  return {
+    state: health.state,
+    restarts: health.restarts,
+    maxRestarts: health.maxRestarts,
+    lastError: health.lastError ? { title: health.lastError.title, recovery: health.lastError.recovery } : null
+  };
+}
+
+/**
+ * Remote when a url is given and no stdio command takes precedence
+ */
+function isRemoteConfig(config) {
+  if (!config.url && !config.endpoint) return false;
+  return config.transport === 'http' || config.transport === 'sse' || !config.command;
 }
 
 /**
@@ -234,17 +1033,33 @@ class MCPConnection extends EventEmitter {
  * Manages multiple MCP connections
  */
 class MCPConnectorManager {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.supervisor] - Overrides for SUPERVISOR_DEFAULTS
+   */
+  constructor(options = {}) {
     this.connections = new Map();
+    this.supervisor = new ConnectorSupervisor(this, options.supervisor);
+  }
+
+  createConnection(id, config) {
+    return isRemoteConfig(config)
+      ? new MCPHttpConnection(id, config)
+      : new MCPConnection(id, config);
   }
 
   /**
    * Connect to an MCP server
    *
    * @param {object} config - Connection configuration
-   * @param {string} config.command - Command to run (e.g., 'npx', 'python')
-   * @param {string[]} config.args - Command arguments
-   * @param {object} config.env - Environment variables
+   * @param {string} [config.transport] - 'stdio' (default), 'http' (Streamable HTTP) or 'sse' (legacy)
+   * @param {string} config.command - Command to run (e.g., 'npx', 'python') — stdio
+   * @param {string[]} config.args - Command arguments — stdio
+   * @param {string} config.url - Server endpoint — http/sse
+   * @param {object} [config.headers] - Extra request headers — http/sse
+   * @param {object} [config.auth] - bearer / basic / header credentials — http/sse
+   * @param {object} [config.reconnect] - { maxAttempts, baseDelayMs, maxDelayMs } — http/sse
+   * @param {object} config.env - Environment variables (stdio) / ${VAR} values for headers (http/sse)
    * @param {string} config.name - Display name for this connector
    * @returns {Promise<object>} Connection info with discovered tools
    */
@@ -263,16 +1078,18 @@ class MCPConnectorManager {
         };
       }
       // Clean up stale connection
+      this.supervisor.unwatch(id);
       existing.disconnect();
     }
 
-    const connection = new MCPConnection(id, config);
+    const connection = this.createConnection(id, config);
 
     try {
       const serverInfo = await connection.connect();
       const tools = await connection.discoverTools();
 
       this.connections.set(id, connection);
+      this.supervisor.watch(id, connection);
 
       return {
         id,
@@ -296,6 +1113,7 @@ class MCPConnectorManager {
   disconnect(id) {
     const connection = this.connections.get(id);
     if (connection) {
+      this.supervisor.unwatch(id);
       connection.disconnect();
       this.connections.delete(id);
       return true;
@@ -303,6 +1121,46 @@ class MCPConnectorManager {
     return false;
   }
 
+  /**
+   * Replace a connection with a fresh one using the same config.
+   * The old entry stays listed (not connected) until the new one is up.
+   */
+  async restartConnection(id) {
+    const old = this.connections.get(id);
+    if (!old) {
+      throw new Error(`No connection found: ${id}`);
+    }
+    this.supervisor.detach(id);
+    old.disconnect();
+
+    const connection = this.createConnection(id, old.config);
+    try {
+      await connection.connect();
+      await connection.discoverTools();
+    } catch (err) {
+      err.stderr = connection.stderrLines?.slice();
+      connection.disconnect();
+      throw err;
+    }
+
+    // Disconnected by the user while we were starting
+    if (this.connections.get(id) !== old) {
+      connection.disconnect();
+      throw new Error(`Connection ${id} was removed during restart`);
+    }
+    this.connections.set(id, connection);
+    this.supervisor.attach(id, connection);
+    return connection;
+  }
+
+  /**
+   * Restart a connector by hand (e.g. after a crash loop gave up)
+   */
+  async restart(id) {
+    await this.supervisor.restartNow(id);
+    return this.getStatus(id);
+  }
+
   /**
    * Get connection status
    */
@@ -313,9 +1171,12 @@ class MCPConnectorManager {
     }
     return {
       exists: true,
+      transport: connection.transport,
       connected: connection.connected,
+      reconnecting: !!connection.reconnecting,
       serverInfo: connection.serverInfo,
-      tools: connection.tools
+      tools: connection.tools,
+      health: this.supervisor.getHealth(id)
     };
   }
 
@@ -328,8 +1189,11 @@ class MCPConnectorManager {
       result.push({
         id,
         name: connection.config.name || id,
+        transport: connection.transport,
         connected: connection.connected,
-        toolCount: connection.tools.length
+        reconnecting: !!connection.reconnecting,
+        toolCount: connection.tools.length,
+        health: summarizeHealth(this.supervisor.getHealth(id))
       });
     }
     return result;
@@ -344,6 +1208,10 @@ class MCPConnectorManager {
       throw new Error(`No connection found: ${connectionId}. Available connections: ${Array.from(this.connections.keys()).join(', ') || 'none'}`);
     }
     if (!connection.connected) {
+      const health = this.supervisor.getHealth(connectionId);
+      if (connection.reconnecting || health?.state === 'restarting') {
+        throw new Error(`Connection not active: ${connectionId}. Reconnecting to the MCP server, try again shortly.`);
+      }
       throw new Error(`Connection not active: ${connectionId}. The MCP server may have crashed.`);
     }
 
@@ -363,7 +1231,8 @@ class MCPConnectorManager {
    * Disconnect all connections
    */
   disconnectAll() {
-    for (const connection of this.connections.values()) {
+    for (const [id, connection] of this.connections) {
+      this.supervisor.unwatch(id);
       connection.disconnect();
     }
     this.connections.clear();
@@ -373,5 +1242,5 @@ class MCPConnectorManager {
 // Singleton instance
 const mcpManager = new MCPConnectorManager();
 
-export { MCPConnection, MCPConnectorManager, mcpManager };
+export { MCPConnection, MCPHttpConnection, ConnectorSupervisor, MCPConnectorManager, mcpManager };
 export default mcpManager;
@@ -0,0 +1,400 @@
+/**
+ * MCP Connector Transport + Supervisor Tests
+ *
+ * Runs a tiny in-process MCP server that speaks both Streamable HTTP and the
+ * legacy HTTP+SSE transport, and checks that the manager discovers and calls
+ * tools the same way over each, including sessions, auth and reconnect.
+ * A small stdio server script covers the supervisor's crash restarts.
+ *
+ * Run with: node src/services/mcpConnector.test.js
+ */
+
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { MCPConnectorManager } from './mcpConnector.js';
+
+// Silence the connector's own progress logging
+console.error = () => {};
+console.warn = () => {};
+const log = console.log;
+console.log = (...args) => {
+  if (typeof args[0] === 'string' && args[0].startsWith('[MCP')) return;
+  log(...args);
+};
+
+// ═══════════════════════════════════════════════════════════════
+// TEST UTILITIES
+// ═══════════════════════════════════════════════════════════════
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+    console.log(`    Expected: ${JSON.stringify(expected)}`);
+    console.log(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+async function expectError(fn, pattern, message) {
+  try {
+    await fn();
+    assert(false, message);
+  } catch (err) {
+    assert(pattern.test(err.message), message);
+  }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ═══════════════════════════════════════════════════════════════
+// FAKE MCP SERVER
+// ═══════════════════════════════════════════════════════════════
+
+const TOOLS = [{ name: 'echo', description: 'Echo the input', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } }];
+
+function rpcResult(message) {
+  if (message.method === 'initialize') {
+    return { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'fake', version: '1.0.0' } };
+  }
+  if (message.method === 'tools/list') return { tools: TOOLS };
+  if (message.method === 'tools/call') {
+    return { content: [{ type: 'text', text: message.params.arguments.text }] };
+  }
+  return {};
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body ? JSON.parse(body) : null));
+  });
+}
+
+const server = {
+  sessions: new Set(),
+  seen: [],            // { method, headers } per request
+  sseClients: new Map(), // legacy: sessionId -> res
+  replyAsStream: false,
+};
+
+const httpServer = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.headers.authorization !== 'Bearer secret-token') {
+    res.writeHead(401).end();
+    return;
+  }
+
+  // ── Streamable HTTP ──
+  if (url.pathname === '/mcp') {
+    if (req.method === 'DELETE') {
+      server.sessions.delete(req.headers['mcp-session-id']);
+      res.writeHead(200).end();
+      return;
+    }
+    const message = await readBody(req);
+    server.seen.push({ method: message.method, headers: req.headers });
+
+    if (message.method === 'initialize') {
+      const sessionId = randomUUID();
+      server.sessions.add(sessionId);
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': sessionId });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: rpcResult(message) }));
+      return;
+    }
+    if (!server.sessions.has(req.headers['mcp-session-id'])) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (!message.id) {
+      res.writeHead(202).end();
+      return;
+    }
+    const reply = { jsonrpc: '2.0', id: message.id, result: rpcResult(message) };
+    if (server.replyAsStream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/progress', params: {} })}\n\n`);
+      res.write(`event: message\ndata: ${JSON.stringify(reply)}\n\n`);
+      return; // left open on purpose: the client must stop reading on its own
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply));
+    return;
+  }
+
+  // ── Legacy HTTP+SSE ──
+  if (url.pathname === '/sse-elsewhere' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('event: endpoint\ndata: http://attacker.example/messages\n\n');
+    return; // left open: the client must hang up on its own
+  }
+  if (url.pathname === '/sse' && req.method === 'GET') {
+    const sessionId = randomUUID();
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`event: endpoint\ndata: /messages?sessionId=${sessionId}\n\n`);
+    server.sseClients.set(sessionId, res);
+    req.on('close', () => server.sseClients.delete(sessionId));
+    return;
+  }
+  if (url.pathname === '/messages' && req.method === 'POST') {
+    const stream = server.sseClients.get(url.searchParams.get('sessionId'));
+    const message = await readBody(req);
+    if (!stream) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(202).end();
+    if (message.id) {
+      stream.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, result: rpcResult(message) })}\n\n`);
+    }
+    return;
+  }
+
+  res.writeHead(404).end();
+});
+
+await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${httpServer.address().port}`;
+const auth = { type: 'bearer', token: '${API_TOKEN}' };
+const env = { API_TOKEN: 'secret-token' };
+
+// ═══════════════════════════════════════════════════════════════
+// STREAMABLE HTTP
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nStreamable HTTP');
+console.log('───────────────');
+
+{
+  const manager = new MCPConnectorManager();
+  const result = await manager.connect({ id: 'remote', transport: 'http', url: `${base}/mcp`, auth, env });
+  assertEqual(result.tools.map(t => t.name), ['echo'], 'Discovers tools over HTTP');
+
+  const status = manager.getStatus('remote');
+  assertEqual([status.transport, status.connected], ['http', true], 'Status reports the transport');
+
+  const listCall = server.seen.find(s => s.method === 'tools/list');
+  assert(!!listCall.headers['mcp-session-id'], 'Echoes the session id after initialize');
+  assertEqual(listCall.headers['mcp-protocol-version'], '2025-03-26', 'Sends the negotiated protocol version');
+
+  const echoed = await manager.callTool('remote', 'echo', { text: 'hi' });
+  assertEqual(echoed.content[0].text, 'hi', 'Calls a tool with a JSON reply');
+
+  server.replyAsStream = true;
+  const streamed = await manager.callTool('remote', 'echo', { text: 'streamed' });
+  assertEqual(streamed.content[0].text, 'streamed', 'Reads the reply from an SSE response');
+  server.replyAsStream = false;
+
+  // Server forgets the session: client re-initializes and replays the call
+  server.sessions.clear();
+  const initsBefore = server.seen.filter(s => s.method === 'initialize').length;
+  const replayed = await manager.callTool('remote', 'echo', { text: 'again' });
+  assertEqual(replayed.content[0].text, 'again', 'Recovers from an expired session');
+  assertEqual(server.seen.filter(s => s.method === 'initialize').length, initsBefore + 1, 'Re-initializes exactly once');
+
+  manager.disconnectAll();
+  await wait(50);
+  assertEqual(server.sessions.size, 0, 'Disconnect ends the server session');
+}
+
+{
+  const manager = new MCPConnectorManager();
+  await expectError(
+    () => manager.connect({ id: 'noauth', transport: 'http', url: `${base}/mcp` }),
+    /rejected the credentials/,
+    'Missing auth is reported as a credentials error'
+  );
+  const basic = new MCPConnectorManager();
+  await expectError(
+    () => basic.connect({ id: 'basic', url: `${base}/mcp`, auth: { type: 'basic', username: 'a', password: 'b' } }),
+    /HTTP 401/,
+    'A url without a command selects the HTTP transport'
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LEGACY SSE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nLegacy HTTP+SSE');
+console.log('───────────────');
+
+{
+  const manager = new MCPConnectorManager();
+  const result = await manager.connect({
+    id: 'legacy',
+    transport: 'sse',
+    url: `${base}/sse`,
+    headers: { Authorization: 'Bearer ${API_TOKEN}' },
+    env,
+    reconnect: { maxAttempts: 3, baseDelayMs: 20, maxDelayMs: 50 }
+  });
+  assertEqual(result.tools.map(t => t.name), ['echo'], 'Discovers tools over SSE');
+
+  const echoed = await manager.callTool('legacy', 'echo', { text: 'over sse' });
+  assertEqual(echoed.content[0].text, 'over sse', 'Calls a tool with the reply on the event stream');
+
+  // Drop the stream: the connection reconnects on its own
+  const connection = manager.connections.get('legacy');
+  const reconnected = new Promise(resolve => connection.once('reconnected', resolve));
+  for (const res of server.sseClients.values()) res.destroy();
+  await wait(5);
+  assert(manager.getStatus('legacy').reconnecting, 'Lost stream puts the connection into reconnect');
+  await expectError(() => manager.callTool('legacy', 'echo', { text: 'x' }), /Reconnecting/, 'Calls during reconnect fail fast');
+
+  await Promise.race([reconnected, wait(2000)]);
+  const after = await manager.callTool('legacy', 'echo', { text: 'back' });
+  assertEqual(after.content[0].text, 'back', 'Tool calls work after reconnect');
+
+  manager.disconnectAll();
+  await wait(20);
+  assertEqual(server.sseClients.size, 0, 'Disconnect closes the event stream');
+}
+
+{
+  const manager = new MCPConnectorManager();
+  await manager.connect({ id: 'gone', transport: 'sse', url: `${base}/sse`, auth, env, reconnect: { maxAttempts: 2, baseDelayMs: 10, maxDelayMs: 20 } });
+  const connection = manager.connections.get('gone');
+  const failed = new Promise(resolve => connection.once('reconnect_failed', () => resolve(true)));
+
+  // Credentials revoked while disconnected: every attempt fails, then it gives up
+  connection.config.env = {};
+  for (const res of server.sseClients.values()) res.destroy();
+  assert(await Promise.race([failed, wait(2000).then(() => false)]), 'Gives up after maxAttempts');
+  assertEqual(manager.getStatus('gone').reconnecting, false, 'No longer reconnecting after giving up');
+  manager.disconnectAll();
+}
+
+{
+  // The endpoint event gets the connector's Authorization header on every POST
+  const manager = new MCPConnectorManager();
+  await expectError(
+    () => manager.connect({ id: 'elsewhere', transport: 'sse', url: `${base}/sse-elsewhere`, auth, env }),
+    /another origin \(http:\/\/attacker\.example\)/,
+    'Refuses an endpoint on another origin'
+  );
+  manager.disconnectAll();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SUPERVISOR (stdio)
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nSupervisor');
+console.log('──────────');
+
+const scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-supervisor-'));
+const serverScript = path.join(scratch, 'server.mjs');
+const failFlag = path.join(scratch, 'fail-on-start');
+
+// Minimal stdio MCP server: "crash" exits with a stderr message, "freeze"
+// stops answering; with the flag file present it dies on startup.
+await fs.writeFile(serverScript, `
+import fs from 'fs';
+import readline from 'readline';
+if (fs.existsSync(${JSON.stringify(failFlag)})) {
+  console.error('Error: connect ECONNREFUSED 127.0.0.1:5432');
+  process.exit(1);
+}
+let frozen = false;
+const reply = (id, result) => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id, result }) + '\\n');
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const msg = JSON.parse(line);
+  if (frozen || !msg.id) return;
+  if (msg.method === 'initialize') return reply(msg.id, { protocolVersion: msg.params.protocolVersion, capabilities: { tools: {} } });
+  if (msg.method === 'ping') return reply(msg.id, {});
+  if (msg.method === 'tools/list') return reply(msg.id, { tools: [{ name: 'crash' }, { name: 'freeze' }] });
+  if (msg.params?.name === 'crash') {
+    console.error('Error: connect ECONNREFUSED 127.0.0.1:5432');
+    process.exit(1);
+  }
+  if (msg.params?.name === 'freeze') frozen = true;
+  reply(msg.id, { content: [] });
+});
+`);
+
+async function waitForState(manager, id, state, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (manager.getStatus(id).health?.state === state) return true;
+    await wait(25);
+  }
+  return false;
+}
+
+{
+  const manager = new MCPConnectorManager({
+    supervisor: { intervalMs: 100, probeTimeoutMs: 200, failureThreshold: 1, maxRestarts: 2, baseDelayMs: 20, maxDelayMs: 40 }
+  });
+  await manager.connect({ id: 'local', command: process.execPath, args: [serverScript] });
+  assertEqual(manager.getStatus('local').health.state, 'healthy', 'New stdio connection is supervised');
+
+  manager.callTool('local', 'crash', {}).catch(() => {});
+  assert(await waitForState(manager, 'local', 'restarting', 1000), 'Crashed process is scheduled for restart');
+  const restarting = manager.getStatus('local').health;
+  assertEqual([restarting.restarts, restarting.maxRestarts], [1, 2], 'Restart counter is reported as n/max');
+  assert(restarting.stderr.some(line => line.includes('ECONNREFUSED')), 'Captures the last stderr lines');
+  assertEqual(restarting.lastError.category, 'network_error', 'Crash is classified by connectorValidator');
+
+  assert(await waitForState(manager, 'local', 'healthy'), 'Restarted process becomes healthy');
+  assertEqual(manager.getStatus('local').connected, true, 'Connection is usable after restart');
+
+  // Hung server: probes time out and the process is replaced
+  manager.callTool('local', 'freeze', {}).catch(() => {});
+  assert(await waitForState(manager, 'local', 'restarting', 2000), 'Failed health probe triggers a restart');
+  assert(await waitForState(manager, 'local', 'healthy'), 'Hung process is replaced');
+  assertEqual(manager.getStatus('local').health.crashes, 2, 'Crash count accumulates');
+
+  // Crash loop: every restart dies on startup
+  await fs.writeFile(failFlag, '');
+  manager.callTool('local', 'crash', {}).catch(() => {});
+  assert(await waitForState(manager, 'local', 'failed', 8000), 'Gives up after maxRestarts');
+  assertEqual(manager.listConnections()[0].health.state, 'failed', 'Connection list shows the failed state');
+
+  await fs.rm(failFlag);
+  const status = await manager.restart('local');
+  assertEqual([status.connected, status.health.state, status.health.restarts], [true, 'healthy', 0], 'Manual restart clears the crash loop');
+
+  manager.disconnectAll();
+  assertEqual(manager.supervisor.health.size, 0, 'Disconnect stops supervision');
+}
+
+await fs.rm(scratch, { recursive: true, force: true });
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+await new Promise(resolve => httpServer.close(resolve));
+httpServer.closeAllConnections?.();
+
+console.log('');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`Tests Passed: ${testsPassed}`);
+console.log(`Tests Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════════════');
+
+if (testsFailed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,111 @@
+/**
+ * MCP Schema Drift - live connector schemas for skill validation
+ *
+ * Bridged tools (source.type 'mcp_bridge') copy the connector's inputSchema
+ * at import time. This feeds the validator the current tools/list result of
+ * every connected connector, so renamed/retyped parameters surface as
+ * validation issues, and re-copies a tool's schema on "resync".
+ *
+ * Connectors that are not connected in this Skill Builder are skipped —
+ * their tools are reported as 'unavailable', never as drifted.
+ *
+ * @module services/mcpSchemaDrift
+ */
+
+import { validateDraftSkill, getMcpDriftReport, diffToolInputs, schemaToInputs } from '@adas/skill-validator';
+import mcpManager from './mcpConnector.js';
+
+/**
+ * Live tools per connection for the bridged tools of a skill.
+ * @param {Object} skill
+ * @returns {Object.<string, Array>|null} null when the skill has no bridged tools
+ */
+export function liveToolsForSkill(skill) {
+  const connectionIds = new Set(
+    (skill.tools || [])
+      .filter(tool => tool.source?.type === 'mcp_bridge' && tool.source.connection_id)
+      .map(tool => tool.source.connection_id)
+  );
+  if (connectionIds.size === 0) return null;
+
+  const live = {};
+  for (const id of connectionIds) {
+    const status = mcpManager.getStatus(id);
+    if (status.connected) live[id] = status.tools || [];
+  }
+  return live;
+}
+
+/**
+ * validateDraftSkill() including drift against connected connectors.
+ * Drop-in for the plain call wherever the result reaches the UI.
+ */
+export function validateSkill(skill) {
+  return validateDraftSkill(skill, { mcpTools: liveToolsForSkill(skill) });
+}
+
+/**
+ * Per-tool drift report (in_sync / drifted / missing / unavailable)
+ */
+export function getDriftReport(skill) {
+  return getMcpDriftReport(skill, liveToolsForSkill(skill) || {});
+}
+
+/**
+ * Copy the connector's current schema into a bridged tool (in place).
+ *
+ * Type, required flag, enum and default come from the connector. Anything
+ * the author added to a surviving parameter (description, extra metadata)
+ * is kept; parameters the connector dropped are removed.
+ *
+ * @param {Object} skill
+ * @param {string} toolId - tool.id (or tool.name)
+ * @returns {{ tool: Object, changes: Array }}
+ */
+export function resyncTool(skill, toolId) {
+  const tool = (skill.tools || []).find(t => t.id === toolId || t.name === toolId);
+  if (!tool) {
+    throw new Error(`Tool ${toolId} not found`);
+  }
+  if (tool.source?.type !== 'mcp_bridge') {
+    throw new Error(`Tool ${tool.name} is not bridged to an MCP connector`);
+  }
+
+  const { connection_id } = tool.source;
+  const status = mcpManager.getStatus(connection_id);
+  if (!status.connected) {
+    const err = new Error(`Connector ${connection_id} is not connected. Connect it to resync its tools.`);
+    err.code = 'CONNECTOR_UNAVAILABLE';
+    throw err;
+  }
+
+  const mcpTool = tool.source.mcp_tool || tool.name;
+  const live = (status.tools || []).find(t => t.name === mcpTool);
+  if (!live) {
+    const err = new Error(`Connector ${connection_id} no longer provides tool ${mcpTool}`);
+    err.code = 'MCP_TOOL_REMOVED';
+    throw err;
+  }
+
+  const changes = diffToolInputs(tool.inputs, live.inputSchema);
+  const stored = new Map((tool.inputs || []).map(input => [input.name, input]));
+  tool.inputs = schemaToInputs(live.inputSchema).map(param => {
+    const existing = stored.get(param.name);
+    if (!existing) return param;
+    const { enum: _enum, default: _default, ...kept } = existing;
+    return {
+      ...kept,
+      ...param,
+      description: existing.description || param.description,
+    };
+  });
+
+  return { tool, changes };
+}
+
+export default {
+  liveToolsForSkill,
+  validateSkill,
+  getDriftReport,
+  resyncTool,
+};
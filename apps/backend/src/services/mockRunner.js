@@ -0,0 +1,262 @@
+/**
+ * Mock Runner — executes a single tool mock
+ *
+ * Shared by the interactive mock route (POST /api/mock/:skillId/:toolId)
+ * and the scenario replay runner. Resolves a call through one of:
+ *   - mcp_bridge: the live MCP connection the tool is bridged to
+ *   - session:    an entity recorded earlier in the same mock session
+ *   - example:    a matching entry in tool.mock.examples
+ *   - llm:        LLM simulation grounded on examples, llm_rules and session state
+ *
+ * @module services/mockRunner
+ */
+
+import { createAdapter } from "./llm/adapter.js";
+import mcpManager from "./mcpConnector.js";
+import { lookupEntity, buildSessionContext } from "./mockSession.js";
+
+/** Modes accepted by executeMock */
+export const MOCK_MODES = ["example", "llm", "hybrid"];
+
+/**
+ * Run one tool mock and report which path produced the output.
+ *
+ * @param {Object} skill - DraftSkill owning the tool
+ * @param {Object} tool - Tool definition from skill.tools
+ * @param {Object} input - Tool call arguments
+ * @param {Object} [opts]
+ * @param {'example' | 'llm' | 'hybrid'} [opts.mode='example']
+ * @param {Object} [opts.session] - Mock session (see services/mockSession.js)
+ * @param {Object} [opts.log] - Logger (app.locals.log shape)
+ * @param {Function} [opts.simulate] - LLM simulation (skill, tool, input, session) → output; tests pass a stub
+ * @returns {Promise<{ output: *, source: 'mcp_bridge' | 'session' | 'example' | 'llm' }>}
+ */
+export async function executeMock(skill, tool, input, { mode = "example", session = null, log = console, simulate = simulateWithLLM } = {}) {
+  // Check if this is an MCP bridge tool
+  if (tool.source?.type === 'mcp_bridge') {
+    log.debug(`MCP bridge tool detected: ${tool.name} -> ${tool.source.connection_id}`);
+    return { output: await callMCPBridgeTool(tool, input, log), source: "mcp_bridge" };
+  }
+
+  // Reads of an entity created earlier in the session are answered from it
+  const known = lookupEntity(session, tool, input);
+  if (known) {
+    return { output: { ...known, _matched: "session" }, source: "session" };
+  }
+
+  if (mode === "example") {
+    // Example-based mock: find matching example
+    return { output: findMatchingExample(tool, input), source: "example" };
+  }
+  if (mode === "llm") {
+    // LLM-simulated mock
+    return { output: await simulate(skill, tool, input, session), source: "llm" };
+  }
+
+  // Hybrid: matching example if there is one, LLM grounded on the examples otherwise
+  const result = await runHybridMock(skill, tool, input, session, simulate);
+  log.debug(`Hybrid mock for ${tool.name} resolved via ${result.source}`);
+  return result;
+}
+
+/**
+ * Call an MCP bridge tool through the connected MCP server
+ */
+async function callMCPBridgeTool(tool, input, log) {
+  const { connection_id, mcp_tool } = tool.source;
+
+  // Check if MCP connection is active
+  const status = mcpManager.getStatus(connection_id);
+
+  if (!status.exists) {
+    return {
+      error: `MCP connection not found: ${connection_id}`,
+      _bridge: true,
+      _hint: 'Connect to the MCP server first via the Connectors tab'
+    };
+  }
+
+  if (!status.connected) {
+    const health = status.health;
+    if (health?.state === 'restarting') {
+      return {
+        error: `MCP connection restarting (${health.restarts}/${health.maxRestarts}): ${connection_id}`,
+        _bridge: true,
+        _hint: 'The MCP server crashed and is being restarted. Try again in a moment'
+      };
+    }
+    return {
+      error: `MCP connection not active: ${connection_id}`,
+      _bridge: true,
+      _hint: health?.lastError
+        ? `${health.lastError.title}. ${health.lastError.recovery?.[0] || 'Reconnect via the Connectors tab'}`
+        : 'The MCP server has disconnected. Reconnect via the Connectors tab'
+    };
+  }
+
+  try {
+    log.debug(`Calling MCP tool: ${mcp_tool} on connection ${connection_id}`);
+    const result = await mcpManager.callTool(connection_id, mcp_tool, input);
+    return {
+      ...result,
+      _bridge: true,
+      _source: `mcp://${connection_id}/${mcp_tool}`
+    };
+  } catch (err) {
+    log.error(`MCP bridge call failed: ${err.message}`);
+    return {
+      error: err.message,
+      _bridge: true,
+      _source: `mcp://${connection_id}/${mcp_tool}`
+    };
+  }
+}
+
+/**
+ * Find matching example from mock data
+ */
+export function findMatchingExample(tool, input) {
+  const examples = tool.mock?.examples || [];
+  
+  if (examples.length === 0) {
+    return { error: "No mock examples defined", _matched: false };
+  }
+  
+  // Try exact match first
+  for (const example of examples) {
+    if (deepEqual(example.input, input)) {
+      return { ...example.output, _matched: true };
+    }
+  }
+  
+  // Try partial match (if input is subset of example input)
+  for (const example of examples) {
+    if (isSubset(input, example.input)) {
+      return { ...example.output, _matched: "partial" };
+    }
+  }
+  
+  // Return first example as fallback
+  return { 
+    ...examples[0].output, 
+    _matched: false,
+    _note: "No exact match found, using first example"
+  };
+}
+
+/**
+ * Hybrid mock: serve a matching example (exact or partial) when one exists,
+ * otherwise fall back to LLM simulation grounded on the tool's examples and
+ * llm_rules. The first-example fallback of findMatchingExample is never used
+ * here — an unmatched input always goes to the LLM.
+ *
+ * @returns {Promise<{ output: *, source: 'example' | 'llm' }>}
+ */
+async function runHybridMock(skill, tool, input, session = null, simulate = simulateWithLLM) {
+  const exampleOutput = findMatchingExample(tool, input);
+  if (exampleOutput._matched === true || exampleOutput._matched === "partial") {
+    return { output: exampleOutput, source: "example" };
+  }
+  const output = await simulate(skill, tool, input, session);
+  return { output, source: "llm" };
+}
+
+/**
+ * Simulate tool output using LLM
+ */
+async function simulateWithLLM(skill, tool, input, session = null) {
+  const provider = skill.settings?.llm_provider || process.env.LLM_PROVIDER || "openai";
+  const adapter = createAdapter(provider);
+  const sessionContext = buildSessionContext(session);
+
+  const prompt = `You are simulating a tool for testing purposes.
+
+TOOL DEFINITION:
+Name: ${tool.name}
+Purpose: ${tool.purpose}
+Inputs: ${JSON.stringify(tool.inputs, null, 2)}
+Output schema: ${JSON.stringify(tool.output, null, 2)}
+
+BEHAVIOR RULES:
+${(tool.mock?.llm_rules || tool.mock?.rules)?.join("\n") || "None specified"}
+
+EXAMPLE OUTPUTS:
+${JSON.stringify(tool.mock?.examples || [], null, 2)}
+${sessionContext ? `\n${sessionContext}\n` : ""}
+USER INPUT:
+${JSON.stringify(input, null, 2)}
+
+Generate a realistic output that:
+1. Matches the output schema exactly
+2. Follows all the rules
+3. Is consistent with the examples${sessionContext ? " and the session state" : ""}
+4. Uses plausible/realistic data
+
+Return ONLY valid JSON output, no explanation.`;
+
+  const response = await adapter.chat({
+    systemPrompt: "You are a tool simulator. Respond only with valid JSON.",
+    messages: [{ role: "user", content: prompt }],
+    maxTokens: 1024,
+    temperature: 0.3
+  });
+  
+  try {
+    let content = response.content.trim();
+    if (content.startsWith("```json")) content = content.slice(7);
+    if (content.startsWith("```")) content = content.slice(3);
+    if (content.endsWith("```")) content = content.slice(0, -3);
+    return JSON.parse(content.trim());
+  } catch {
+    return { error: "Failed to parse LLM response", raw: response.content };
+  }
+}
+
+/**
+ * Deep equality check
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b) return false;
+  if (typeof a !== "object" || a === null || b === null) return false;
+  
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  
+  if (keysA.length !== keysB.length) return false;
+  
+  for (const key of keysA) {
+    if (!keysB.includes(key) || !deepEqual(a[key], b[key])) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Check if 'subset' is a subset of 'superset'
+ */
+function isSubset(subset, superset) {
+  if (typeof subset !== "object" || typeof superset !== "object") {
+    return subset === superset;
+  }
+  
+  for (const key of Object.keys(subset)) {
+    if (!(key in superset)) return false;
+    
+    const subVal = subset[key];
+    const superVal = superset[key];
+    
+    if (typeof subVal === "string" && typeof superVal === "string") {
+      // Case-insensitive string match
+      if (!superVal.toLowerCase().includes(subVal.toLowerCase())) {
+        return false;
+      }
+    } else if (!deepEqual(subVal, superVal)) {
+      return false;
+    }
+  }
+  
+  return true;
+}
@@ -0,0 +1,328 @@
+/**
+ * Mock Sessions — stateful context for multi-step mock runs
+ *
+ * Each call to POST /api/mock/:skillId/:toolId is stateless on its own, so
+ * `create_order` followed by `get_order` returns unrelated data. A mock
+ * session carries the entities created or changed by earlier calls of one
+ * test run and hands them to later example lookups and LLM simulations.
+ *
+ * Sessions are keyed per tenant + skill + test run and live in process
+ * memory only — they are scratch state for a walkthrough, not skill data.
+ *
+ * Entity tracking is heuristic and driven by tool naming:
+ *   create_order / add_order      → record order (input merged with output)
+ *   update_order / set_order_...  → merge into the existing order record
+ *   delete_order / cancel_order   → mark the order as deleted
+ *   get_order / find_order / ...  → answered from the session when the id is known
+ *
+ * @module services/mockSession
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+// Sessions idle longer than this are dropped on the next access
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_CALLS_PER_SESSION = 200;
+
+const CREATE_VERBS = ['create', 'add', 'new', 'register', 'insert', 'open', 'book', 'submit'];
+const UPDATE_VERBS = ['update', 'set', 'edit', 'modify', 'change', 'patch', 'assign', 'approve', 'reject', 'close'];
+const DELETE_VERBS = ['delete', 'remove', 'cancel', 'archive'];
+const READ_VERBS = ['get', 'find', 'fetch', 'lookup', 'read', 'retrieve', 'check', 'show', 'view'];
+
+const _sessions = new Map(); // sessionId → session
+
+/**
+ * @typedef {Object} MockSessionCall
+ * @property {string} tool - Tool name
+ * @property {Object} input
+ * @property {*} output
+ * @property {string} source - 'example' | 'llm' | 'session' | 'mcp_bridge'
+ * @property {string} at - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} MockSession
+ * @property {string} id
+ * @property {string} tenant
+ * @property {string} solution_id
+ * @property {string} skill_id
+ * @property {string|null} run_id - Caller-supplied test run label
+ * @property {Object<string, Object<string, Object>>} entities - entity type → id → record
+ * @property {MockSessionCall[]} calls
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// SESSION LIFECYCLE
+// ═══════════════════════════════════════════════════════════════
+
+function pruneExpired() {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  for (const [id, session] of _sessions.entries()) {
+    if (Date.parse(session.updated_at) < cutoff) _sessions.delete(id);
+  }
+}
+
+/**
+ * Start a new mock session for a skill
+ * @param {Object} params
+ * @param {string} params.tenant
+ * @param {string} params.solutionId
+ * @param {string} params.skillId
+ * @param {string} [params.runId]
+ * @returns {MockSession}
+ */
+export function startSession({ tenant, solutionId, skillId, runId = null }) {
+  pruneExpired();
+  const now = new Date().toISOString();
+  const session = {
+    id: `mocksess_${uuidv4()}`,
+    tenant,
+    solution_id: solutionId,
+    skill_id: skillId,
+    run_id: runId,
+    entities: {},
+    calls: [],
+    created_at: now,
+    updated_at: now,
+  };
+  _sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Get a session, scoped to the caller's tenant
+ * @param {string} sessionId
+ * @param {string} tenant
+ * @returns {MockSession|null}
+ */
+export function getSession(sessionId, tenant) {
+  pruneExpired();
+  const session = _sessions.get(sessionId);
+  if (!session || session.tenant !== tenant) return null;
+  return session;
+}
+
+/**
+ * Clear recorded entities and calls, keeping the session id
+ * @returns {MockSession|null}
+ */
+export function resetSession(sessionId, tenant) {
+  const session = getSession(sessionId, tenant);
+  if (!session) return null;
+  session.entities = {};
+  session.calls = [];
+  session.updated_at = new Date().toISOString();
+  return session;
+}
+
+/**
+ * Drop a session entirely
+ * @returns {boolean} true if a session was removed
+ */
+export function endSession(sessionId, tenant) {
+  if (!getSession(sessionId, tenant)) return false;
+  return _sessions.delete(sessionId);
+}
+
+/**
+ * Compact view of a session for API responses
+ */
+export function describeSession(session) {
+  const entityCounts = {};
+  for (const [type, records] of Object.entries(session.entities)) {
+    entityCounts[type] = Object.keys(records).length;
+  }
+  return {
+    id: session.id,
+    solution_id: session.solution_id,
+    skill_id: session.skill_id,
+    run_id: session.run_id,
+    entity_counts: entityCounts,
+    entities: session.entities,
+    calls: session.calls,
+    created_at: session.created_at,
+    updated_at: session.updated_at,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ENTITY TRACKING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Split a tool name into a verb and entity type.
+ * "create_order" → { verb: 'create', entity: 'order' }
+ * "orders.get"   → { verb: 'get', entity: 'order' }
+ */
+export function classifyTool(toolName = '') {
+  const parts = String(toolName)
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  if (parts.length === 0) return { verb: null, kind: 'other', entity: null };
+
+  const allVerbs = [...CREATE_VERBS, ...UPDATE_VERBS, ...DELETE_VERBS, ...READ_VERBS];
+  const verbIdx = parts.findIndex(p => allVerbs.includes(p));
+  const verb = verbIdx >= 0 ? parts[verbIdx] : null;
+  const rest = verbIdx >= 0 ? parts.filter((_, i) => i !== verbIdx) : parts;
+  const entity = rest.length > 0 ? singularize(rest[rest.length - 1]) : null;
+
+  let kind = 'other';
+  if (CREATE_VERBS.includes(verb)) kind = 'create';
+  else if (UPDATE_VERBS.includes(verb)) kind = 'update';
+  else if (DELETE_VERBS.includes(verb)) kind = 'delete';
+  else if (READ_VERBS.includes(verb)) kind = 'read';
+
+  return { verb, kind, entity };
+}
+
+function singularize(word) {
+  if (word.endsWith('ies') && word.length > 3) return word.slice(0, -3) + 'y';
+  if (word.endsWith('ses') || word.endsWith('xes')) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && word.length > 1) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Find the identifier of an entity in an object: `<entity>_id`, `<entity>Id`,
+ * then `id`. Returns null if none is present.
+ */
+function extractEntityId(obj, entity) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+  const candidates = entity ? [`${entity}_id`, `${entity}Id`, 'id'] : ['id'];
+  for (const key of candidates) {
+    const val = obj[key];
+    if (typeof val === 'string' || typeof val === 'number') return String(val);
+  }
+  // Output may wrap the entity: { order: { id: ... } }
+  if (entity && obj[entity] && typeof obj[entity] === 'object') {
+    return extractEntityId(obj[entity], entity);
+  }
+  return null;
+}
+
+function unwrapEntity(obj, entity) {
+  if (entity && obj?.[entity] && typeof obj[entity] === 'object' && !Array.isArray(obj[entity])) {
+    return obj[entity];
+  }
+  return obj;
+}
+
+function stripMeta(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return obj;
+  const clean = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (!k.startsWith('_')) clean[k] = v;
+  }
+  return clean;
+}
+
+/**
+ * Look up a previously recorded entity that a read-style tool call refers to.
+ * Returns null when the tool is not a read, or the id is not in the session.
+ *
+ * @param {MockSession} session
+ * @param {Object} tool
+ * @param {Object} input
+ * @returns {Object|null}
+ */
+export function lookupEntity(session, tool, input) {
+  if (!session) return null;
+  const { kind, entity } = classifyTool(tool.name || tool.id);
+  if (kind !== 'read' || !entity) return null;
+  const id = extractEntityId(input, entity);
+  if (!id) return null;
+  const record = session.entities[entity]?.[id];
+  if (!record) return null;
+  if (record._deleted) {
+    return { error: `${entity} ${id} not found (deleted earlier in this session)` };
+  }
+  return record;
+}
+
+/**
+ * Id of the most recently recorded (non-deleted) entity of a type, or null.
+ * Used to chain calls: get_order after create_order reuses the new order id.
+ *
+ * @param {MockSession} session
+ * @param {string} entity - Entity type, e.g. 'order'
+ * @returns {string|null}
+ */
+export function latestEntityId(session, entity) {
+  const records = session?.entities[entity];
+  if (!records) return null;
+  const ids = Object.keys(records).filter(id => !records[id]._deleted);
+  return ids.length > 0 ? ids[ids.length - 1] : null;
+}
+
+/**
+ * Record a tool call in the session and update tracked entities.
+ *
+ * @param {MockSession} session
+ * @param {Object} tool
+ * @param {Object} input
+ * @param {*} output
+ * @param {string} source
+ */
+export function recordCall(session, tool, input, output, source) {
+  if (!session) return;
+  const { kind, entity } = classifyTool(tool.name || tool.id);
+  const now = new Date().toISOString();
+
+  session.calls.push({ tool: tool.name, input, output, source, at: now });
+  if (session.calls.length > MAX_CALLS_PER_SESSION) {
+    session.calls.splice(0, session.calls.length - MAX_CALLS_PER_SESSION);
+  }
+  session.updated_at = now;
+
+  // Tools without a known verb are logged but never change tracked entities
+  if (!entity || kind === 'other' || output?.error) return;
+  const cleanOutput = stripMeta(unwrapEntity(output, entity));
+  const id = extractEntityId(cleanOutput, entity) || extractEntityId(input, entity);
+  if (!id) return;
+
+  const existing = session.entities[entity]?.[id];
+  let record = null;
+
+  if (kind === 'create') {
+    record = { ...stripMeta(input), ...(typeof cleanOutput === 'object' ? cleanOutput : {}) };
+  } else if (kind === 'update') {
+    // Only merge the output when it describes the entity (not a bare { ok: true })
+    const outputFields = extractEntityId(cleanOutput, entity) ? cleanOutput : {};
+    record = { ...(existing || {}), ...stripMeta(input), ...outputFields };
+  } else if (kind === 'delete') {
+    if (existing) record = { ...existing, _deleted: true };
+  } else if (kind === 'read' && !existing && cleanOutput && typeof cleanOutput === 'object') {
+    // First sighting through a read — remember it so later reads stay stable
+    record = cleanOutput;
+  }
+
+  if (record) (session.entities[entity] ||= {})[id] = record;
+}
+
+/**
+ * Render session state as prompt context for LLM simulation.
+ * Returns '' for an empty session.
+ *
+ * @param {MockSession} session
+ * @returns {string}
+ */
+export function buildSessionContext(session) {
+  if (!session) return '';
+  const hasEntities = Object.values(session.entities).some(r => Object.keys(r).length > 0);
+  if (!hasEntities && session.calls.length === 0) return '';
+
+  const recentCalls = session.calls.slice(-10).map(c => ({
+    tool: c.tool,
+    input: c.input,
+    output: stripMeta(c.output),
+  }));
+  return `SESSION STATE (entities created or changed by earlier calls in this test run — stay consistent with them, reuse their ids and values, and treat _deleted entities as gone):
+${JSON.stringify(session.entities, null, 2)}
+
+RECENT CALLS IN THIS SESSION:
+${JSON.stringify(recentCalls, null, 2)}`;
+}
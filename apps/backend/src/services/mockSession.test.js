@@ -0,0 +1,171 @@
+/**
+ * Mock Session Tests
+ *
+ * Covers tool classification, entity tracking across create → get →
+ * update → delete chains, tool names that cannot be classified, and the
+ * tenant scoping of sessions.
+ *
+ * Run with: node src/services/mockSession.test.js
+ */
+
+import {
+  startSession, getSession, endSession,
+  classifyTool, lookupEntity, latestEntityId, recordCall,
+} from './mockSession.js';
+
+// ═══════════════════════════════════════════════════════════════
+// TEST UTILITIES
+// ═══════════════════════════════════════════════════════════════
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+    console.log(`    Expected: ${JSON.stringify(expected)}`);
+    console.log(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+const newSession = () => startSession({ tenant: 'acme', solutionId: 'sol', skillId: 'orders' });
+const tool = (name) => ({ name });
+
+// ═══════════════════════════════════════════════════════════════
+// CLASSIFICATION
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nclassifyTool');
+console.log('────────────');
+
+assertEqual(classifyTool('create_order'), { verb: 'create', kind: 'create', entity: 'order' }, 'verb_entity');
+assertEqual(classifyTool('orders.get'), { verb: 'get', kind: 'read', entity: 'order' }, 'entity.verb with a plural entity');
+assertEqual(classifyTool('calendar.event.create'), { verb: 'create', kind: 'create', entity: 'event' }, 'namespaced tool takes the last noun');
+assertEqual(classifyTool('getCustomerOrders'), { verb: 'get', kind: 'read', entity: 'order' }, 'camelCase names are split');
+assertEqual(classifyTool('policies.update').entity, 'policy', '-ies plurals become -y');
+assertEqual(classifyTool('addresses_remove'), { verb: 'remove', kind: 'delete', entity: 'address' }, '-sses plurals keep the stem');
+assertEqual(classifyTool('cancel_booking').kind, 'delete', 'cancel counts as a delete');
+
+console.log('\nUnclassifiable tool names');
+console.log('─────────────────────────');
+
+assertEqual(classifyTool(''), { verb: null, kind: 'other', entity: null }, 'empty name');
+assertEqual(classifyTool('__--..'), { verb: null, kind: 'other', entity: null }, 'separators only');
+assertEqual(classifyTool(), { verb: null, kind: 'other', entity: null }, 'missing name');
+assertEqual(classifyTool('search_catalog'), { verb: null, kind: 'other', entity: 'catalog' }, 'unknown verb');
+assertEqual(classifyTool('summarize').kind, 'other', 'single word without a known verb');
+assertEqual(classifyTool('get').entity, null, 'verb without an entity');
+
+{
+  const session = newSession();
+  recordCall(session, tool('search_catalog'), { query: 'book' }, { id: 'cat-1', results: [] }, 'example');
+  recordCall(session, tool('get'), { id: 'x' }, { id: 'x' }, 'example');
+  assertEqual(session.calls.map(c => c.tool), ['search_catalog', 'get'], 'calls of unclassifiable tools are still logged');
+  assertEqual(session.entities, {}, 'unclassifiable tools record no entities');
+  assertEqual(lookupEntity(session, tool('search_catalog'), { catalog_id: 'cat-1' }), null, 'unclassifiable tools are never answered from the session');
+  endSession(session.id, 'acme');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ENTITY CHAINS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\ncreate → get → update → delete');
+console.log('──────────────────────────────');
+
+{
+  const session = newSession();
+  recordCall(session, tool('create_order'), { item: 'book' }, { order_id: 'ord-1', status: 'created', _matched: true }, 'example');
+  assertEqual(session.entities.order['ord-1'], { item: 'book', order_id: 'ord-1', status: 'created' }, 'create merges input and output, without _ fields');
+  assertEqual(latestEntityId(session, 'order'), 'ord-1', 'the created id is the latest order');
+
+  assertEqual(lookupEntity(session, tool('get_order'), { order_id: 'ord-1' }), session.entities.order['ord-1'], 'get answers from the session');
+  assertEqual(lookupEntity(session, tool('get_order'), { order_id: 'ord-2' }), null, 'get of an unknown id falls through');
+  assertEqual(lookupEntity(session, tool('create_order'), { order_id: 'ord-1' }), null, 'only reads are answered from the session');
+
+  recordCall(session, tool('update_order'), { order_id: 'ord-1', status: 'shipped' }, { ok: true }, 'example');
+  assertEqual(session.entities.order['ord-1'].status, 'shipped', 'update merges its input');
+  assertEqual('ok' in session.entities.order['ord-1'], false, 'a bare acknowledgement is not merged');
+
+  recordCall(session, tool('update_order'), { order_id: 'ord-1' }, { order_id: 'ord-1', carrier: 'DHL', _matched: false }, 'llm');
+  assertEqual(session.entities.order['ord-1'], { item: 'book', order_id: 'ord-1', status: 'shipped', carrier: 'DHL' }, 'an update that returns the entity merges it');
+
+  recordCall(session, tool('delete_order'), { order_id: 'ord-1' }, { deleted: true }, 'example');
+  assertEqual(lookupEntity(session, tool('get_order'), { order_id: 'ord-1' }), { error: 'order ord-1 not found (deleted earlier in this session)' }, 'get after delete reports the deletion');
+  assertEqual(latestEntityId(session, 'order'), null, 'deleted orders are not chained');
+  assertEqual(session.calls.length, 4, 'every call is logged');
+  endSession(session.id, 'acme');
+}
+
+{
+  const session = newSession();
+  recordCall(session, tool('orders.create'), { item: 'a' }, { order: { id: 'o-1', total: 5 } }, 'llm');
+  assertEqual(session.entities.order['o-1'], { item: 'a', id: 'o-1', total: 5 }, 'a wrapped entity is unwrapped');
+  recordCall(session, tool('orders.create'), { item: 'b' }, { order: { id: 'o-2' } }, 'llm');
+  assertEqual(latestEntityId(session, 'order'), 'o-2', 'the newest order is the latest');
+  recordCall(session, tool('orders.remove'), { id: 'o-2' }, { ok: true }, 'llm');
+  assertEqual(latestEntityId(session, 'order'), 'o-1', 'removing the newest falls back to the previous one');
+
+  recordCall(session, tool('create_order'), { item: 'c' }, { error: 'out of stock' }, 'example');
+  assertEqual(Object.keys(session.entities.order), ['o-1', 'o-2'], 'failed creates record nothing');
+  recordCall(session, tool('delete_order'), { order_id: 'missing' }, { ok: true }, 'example');
+  assertEqual(session.entities.order.missing, undefined, 'deleting an unknown id records nothing');
+  recordCall(session, tool('delete_invoice'), { invoice_id: 'inv-1' }, { ok: true }, 'example');
+  assertEqual('invoice' in session.entities, false, 'deleting an untracked type leaves no empty bucket');
+  endSession(session.id, 'acme');
+}
+
+{
+  const session = newSession();
+  recordCall(session, tool('getCustomer'), { customer_id: 'c-1' }, { customer_id: 'c-1', name: 'Dana' }, 'llm');
+  assertEqual(lookupEntity(session, tool('fetch_customer'), { customer_id: 'c-1' }), { customer_id: 'c-1', name: 'Dana' }, 'a first read is remembered for later reads');
+  recordCall(session, tool('getCustomer'), { customer_id: 'c-1' }, { customer_id: 'c-1', name: 'Someone else' }, 'llm');
+  assertEqual(session.entities.customer['c-1'].name, 'Dana', 'later reads do not overwrite the record');
+  endSession(session.id, 'acme');
+}
+
+assertEqual(lookupEntity(null, tool('get_order'), { order_id: 'ord-1' }), null, 'no session, no lookup');
+assertEqual(latestEntityId(null, 'order'), null, 'no session, no latest id');
+
+// ═══════════════════════════════════════════════════════════════
+// TENANT SCOPING
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nSessions');
+console.log('────────');
+
+{
+  const session = newSession();
+  assertEqual(getSession(session.id, 'acme')?.id, session.id, 'the owning tenant gets its session');
+  assertEqual(getSession(session.id, 'other'), null, 'another tenant does not');
+  assertEqual(endSession(session.id, 'other'), false, 'another tenant cannot end it');
+  assertEqual(endSession(session.id, 'acme'), true, 'the owning tenant can');
+  assertEqual(getSession(session.id, 'acme'), null, 'an ended session is gone');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`Tests Passed: ${testsPassed}`);
+console.log(`Tests Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════════════');
+
+process.exit(testsFailed > 0 ? 1 : 0);
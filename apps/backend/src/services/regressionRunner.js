@@ -0,0 +1,523 @@
+/**
+ * Regression Runner — run a solution's regression suite against ADAS Core
+ *
+ * A regression suite is part of the solution definition
+ * (solution.regression_suite) and follows the format of
+ * docs/strip-regression-suite.yaml:
+ *
+ *   regression_suite:
+ *     timeout_ms: 60000
+ *     thresholds: { min_pass_rate: 1.0, warning_pass_rate: 0.9 }
+ *     tests:
+ *       - name: memory_store
+ *         input: "remember that my wife's name is Sarah"
+ *         mode: chat            # chat (default): full job via startChat
+ *                               # pipeline: intent + first plan step, no tool execution
+ *         skill: memory-keeper  # optional for chat (default: Core auto-routes), required for pipeline
+ *         expect:
+ *           route: memory-keeper
+ *           tool: memory.store
+ *           style: brief        # brief (≤30 words) | confirmation (≤15) | detail (>5)
+ *           contains_any: ["saved", "noted"]
+ *           absent: ["error"]
+ *         accepted_routes: [memory-keeper]
+ *         fail_on: [route_mismatch, style_mismatch]
+ *
+ * Mismatches listed in fail_on fail the case; the others are reported as
+ * warnings. Pipeline cases have no reply, so their style / contains_any /
+ * absent checks are skipped.
+ *
+ * Every run is kept in the solution's regression history (store/solutions,
+ * FS-only) and diffed against the previous run: a case that passed before
+ * and fails now is a regression and turns the diff red.
+ *
+ * @module services/regressionRunner
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import adasCore from './adasCoreClient.js';
+import solutionsStore from '../store/solutions.js';
+import { getCurrentTenantOrNull } from '../utils/tenantContext.js';
+
+export const CASE_MODES = ['chat', 'pipeline'];
+export const STYLES = ['brief', 'confirmation', 'detail'];
+export const FAILURE_KINDS = ['route_mismatch', 'tool_missing', 'style_mismatch', 'contains_any_missed', 'absent_violation'];
+export const DEFAULT_FAIL_ON = ['route_mismatch', 'style_mismatch'];
+export const DEFAULT_THRESHOLDS = { min_pass_rate: 1.0, warning_pass_rate: 0.9 };
+export const DEFAULT_TIMEOUT_MS = 60000;
+/** Longest a single chat case may run */
+export const MAX_TIMEOUT_MS = 300000;
+export const MAX_CASES = 100;
+/** Oldest runs are dropped beyond this */
+export const MAX_RUNS = 50;
+
+const POLL_INTERVAL_MS = 2000;
+const RESPONSE_PREVIEW_CHARS = 500;
+
+// ═══════════════════════════════════════════════════════════════
+// SUITE
+// ═══════════════════════════════════════════════════════════════
+
+function suiteError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function stringList(value, where) {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value) || !value.every(s => typeof s === 'string' && s.trim())) {
+    throw suiteError(`${where} must be an array of non-empty strings`);
+  }
+  return value;
+}
+
+function normalizeCase(test, index) {
+  const where = `tests[${index}]`;
+  if (!test || typeof test !== 'object' || Array.isArray(test)) throw suiteError(`${where} must be an object`);
+  if (typeof test.name !== 'string' || !test.name.trim()) throw suiteError(`${where}.name is required`);
+  if (typeof test.input !== 'string' || !test.input.trim()) throw suiteError(`${where} (${test.name}) input is required`);
+
+  const mode = test.mode ?? 'chat';
+  if (!CASE_MODES.includes(mode)) throw suiteError(`${where}.mode must be one of ${CASE_MODES.join(', ')}`);
+  if (test.skill !== undefined && (typeof test.skill !== 'string' || !test.skill)) throw suiteError(`${where}.skill must be a skill id`);
+  if (mode === 'pipeline' && !test.skill) throw suiteError(`${where} (${test.name}) needs a skill in pipeline mode`);
+
+  const expect = test.expect ?? {};
+  if (typeof expect !== 'object' || Array.isArray(expect)) throw suiteError(`${where}.expect must be an object`);
+  for (const field of ['route', 'tool']) {
+    if (expect[field] !== undefined && typeof expect[field] !== 'string') throw suiteError(`${where}.expect.${field} must be a string`);
+  }
+  if (expect.style !== undefined && !STYLES.includes(expect.style)) {
+    throw suiteError(`${where}.expect.style must be one of ${STYLES.join(', ')}`);
+  }
+
+  const failOn = stringList(test.fail_on, `${where}.fail_on`);
+  const unknown = (failOn || []).filter(kind => !FAILURE_KINDS.includes(kind));
+  if (unknown.length > 0) throw suiteError(`${where}.fail_on has unknown kinds: ${unknown.join(', ')}`);
+
+  const normalized = {
+    name: test.name.trim(),
+    input: test.input,
+    mode,
+    ...(test.skill && { skill: test.skill }),
+    expect: {
+      ...(expect.route && { route: expect.route }),
+      ...(expect.tool && { tool: expect.tool }),
+      ...(expect.style && { style: expect.style }),
+      ...(expect.contains_any && { contains_any: stringList(expect.contains_any, `${where}.expect.contains_any`) }),
+      ...(expect.absent && { absent: stringList(expect.absent, `${where}.expect.absent`) }),
+    },
+  };
+  const acceptedRoutes = stringList(test.accepted_routes, `${where}.accepted_routes`);
+  if (acceptedRoutes) normalized.accepted_routes = acceptedRoutes;
+  if (failOn) normalized.fail_on = failOn;
+  return normalized;
+}
+
+/**
+ * Validate a regression suite and fill in its defaults.
+ *
+ * @param {Object} suite
+ * @returns {{ timeout_ms: number, thresholds: { min_pass_rate: number, warning_pass_rate: number }, tests: Object[] }}
+ * @throws {Error} statusCode 400 describing the first problem
+ */
+export function normalizeSuite(suite) {
+  if (!suite || typeof suite !== 'object' || Array.isArray(suite)) throw suiteError('regression_suite must be an object');
+  const tests = suite.tests ?? [];
+  if (!Array.isArray(tests)) throw suiteError('regression_suite.tests must be an array');
+  if (tests.length > MAX_CASES) throw suiteError(`regression_suite has ${tests.length} tests (max ${MAX_CASES})`);
+
+  const normalized = tests.map(normalizeCase);
+  const names = new Set();
+  for (const test of normalized) {
+    if (names.has(test.name)) throw suiteError(`Duplicate test name "${test.name}"`);
+    names.add(test.name);
+  }
+
+  const timeout = suite.timeout_ms ?? DEFAULT_TIMEOUT_MS;
+  if (!Number.isInteger(timeout) || timeout <= 0 || timeout > MAX_TIMEOUT_MS) {
+    throw suiteError(`regression_suite.timeout_ms must be an integer between 1 and ${MAX_TIMEOUT_MS}`);
+  }
+
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...(suite.thresholds || {}) };
+  for (const key of Object.keys(DEFAULT_THRESHOLDS)) {
+    const value = thresholds[key];
+    if (typeof value !== 'number' || value < 0 || value > 1) throw suiteError(`regression_suite.thresholds.${key} must be a number 0-1`);
+  }
+
+  return {
+    timeout_ms: timeout,
+    thresholds: { min_pass_rate: thresholds.min_pass_rate, warning_pass_rate: thresholds.warning_pass_rate },
+    tests: normalized,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// OBSERVATION
+// ═══════════════════════════════════════════════════════════════
+
+/** Extract tool call steps from job's __exec state (same data Job Progress UI shows) */
+export function extractSteps(job) {
+  const steps = [];
+  const exec = job?.state?.steps?.__exec;
+  if (exec && typeof exec === 'object') {
+    for (const [, arr] of Object.entries(exec)) {
+      if (!Array.isArray(arr)) continue;
+      for (const s of arr) {
+        if (!s || typeof s.tool !== 'string') continue;
+        steps.push({ tool: s.tool, args: s.args || {}, result: s.result, error: s.error || null });
+      }
+    }
+  }
+  return steps;
+}
+
+/** Check if a job is in a terminal state */
+export function isJobFinal(job) {
+  return job.done || job.status === 'done' || job.status === 'error' || job.status === 'failed';
+}
+
+/** Planned steps of a test-pipeline response (first planner iteration) */
+function pipelineSteps(result) {
+  const planned = result?.steps || result?.plan?.steps
+    || [result?.planned_action, result?.first_action, result?.plan?.action].filter(Boolean);
+  return planned
+    .map(step => ({ tool: step.tool || step.toolName || step.name, args: step.args || step.input || {} }))
+    .filter(step => typeof step.tool === 'string');
+}
+
+/**
+ * Which skill handled the turn. The orchestrator's handoff decision
+ * (sys.handoffToSkill / sys.askAnySkill args.to_skill) wins even when the
+ * handoff itself failed in test mode; otherwise the skill that ran.
+ */
+export function extractRoute(steps, fallback) {
+  for (const step of steps) {
+    if ((step.tool === 'sys.handoffToSkill' || step.tool === 'sys.askAnySkill') && step.args?.to_skill) {
+      return step.args.to_skill;
+    }
+  }
+  return fallback || null;
+}
+
+function jobSkill(job) {
+  return job?.skillSlug || job?.__skill?.slug || job?.state?.skillSlug || job?.state?.activeSkill
+    || job?.handoff_chain?.[job.handoff_chain.length - 1]?.to || null;
+}
+
+function jobReply(job) {
+  const result = job?.summary || job?.outcome || job?.result;
+  if (typeof result === 'string') return result;
+  return result?.content || result?.final_reply || result?.reply || result?.message || result?.text || job?.final_reply || '';
+}
+
+function wordCount(text) {
+  return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+function checkStyle(text, style) {
+  const words = wordCount(text);
+  switch (style) {
+    case 'brief': return words <= 30;
+    case 'confirmation': return words <= 15;
+    case 'detail': return words > 5;
+    default: return true;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCORING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Score one observed turn against a case's expectations.
+ *
+ * @param {Object} test - Normalized case
+ * @param {{ route: string|null, tools: string[], response: string|null }} observed - response is null for pipeline cases
+ * @returns {{ failures: Object[], warnings: Object[], skipped: string[] }}
+ */
+export function scoreCase(test, observed) {
+  const { expect } = test;
+  const mismatches = [];
+  const skipped = [];
+
+  if (expect.route) {
+    const accepted = test.accepted_routes || [expect.route];
+    if (!accepted.includes(observed.route)) {
+      mismatches.push({ kind: 'route_mismatch', expected: expect.route, actual: observed.route, accepted });
+    }
+  }
+
+  if (expect.tool && !observed.tools.some(tool => tool === expect.tool || tool.includes(expect.tool))) {
+    mismatches.push({ kind: 'tool_missing', expected: expect.tool, actual: observed.tools });
+  }
+
+  const replyChecks = ['style', 'contains_any', 'absent'].filter(field => expect[field]);
+  if (observed.response === null) {
+    skipped.push(...replyChecks);
+  } else {
+    const lower = observed.response.toLowerCase();
+    if (expect.style && !checkStyle(observed.response, expect.style)) {
+      mismatches.push({ kind: 'style_mismatch', expected: expect.style, actual_word_count: wordCount(observed.response) });
+    }
+    if (expect.contains_any?.length && !expect.contains_any.some(s => lower.includes(s.toLowerCase()))) {
+      mismatches.push({ kind: 'contains_any_missed', expected: expect.contains_any });
+    }
+    const found = (expect.absent || []).filter(s => lower.includes(s.toLowerCase()));
+    if (found.length > 0) mismatches.push({ kind: 'absent_violation', found });
+  }
+
+  const failOn = test.fail_on || DEFAULT_FAIL_ON;
+  return {
+    failures: mismatches.filter(m => failOn.includes(m.kind)),
+    warnings: mismatches.filter(m => !failOn.includes(m.kind)),
+    skipped,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RUN
+// ═══════════════════════════════════════════════════════════════
+
+function testActorId() {
+  return `regression_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+async function observeChat(test, { client, timeoutMs, pollIntervalMs }) {
+  const start = await client.startChat({ goal: test.input, skillSlug: test.skill, actorId: testActorId() });
+  const jobId = start.jobId || start.id;
+  if (!jobId) throw new Error('Failed to start job — no job ID returned');
+
+  const deadline = Date.now() + timeoutMs;
+  let job = null;
+  while (Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, pollIntervalMs));
+    try {
+      job = await client.getJob(jobId);
+      if (isJobFinal(job)) break;
+    } catch { /* retry */ }
+  }
+  if (!job || !isJobFinal(job)) throw new Error(`Job ${jobId} did not complete within ${timeoutMs / 1000}s`);
+
+  const steps = extractSteps(job);
+  return {
+    job_id: jobId,
+    route: extractRoute(steps, jobSkill(job) || test.skill),
+    tools: [...new Set(steps.map(s => s.tool))],
+    response: String(jobReply(job)),
+    ...(job.error || job.state?.internal_error ? { job_error: job.error || job.state.internal_error } : {}),
+  };
+}
+
+async function observePipeline(test, { client }) {
+  const result = await client.testPipeline({ message: test.input, skillSlug: test.skill, actorId: testActorId() });
+  const steps = pipelineSteps(result);
+  return {
+    route: extractRoute(steps, test.skill),
+    tools: [...new Set(steps.map(s => s.tool))],
+    response: null,
+  };
+}
+
+function newRunId() {
+  return `run_${uuidv4().slice(0, 8)}`;
+}
+
+async function runCase(test, opts) {
+  const t0 = Date.now();
+  const result = { name: test.name, mode: test.mode, status: 'ERROR', failures: [], warnings: [], skipped: [], observed: null, error: null };
+  try {
+    const observed = await (test.mode === 'pipeline' ? observePipeline : observeChat)(test, opts);
+    Object.assign(result, scoreCase(test, observed));
+    if (observed.response) observed.response = observed.response.slice(0, RESPONSE_PREVIEW_CHARS);
+    result.observed = observed;
+    result.status = result.failures.length === 0 ? 'PASS' : 'FAIL';
+  } catch (err) {
+    result.error = err.message;
+  }
+  result.elapsed_ms = Date.now() - t0;
+  return result;
+}
+
+/**
+ * Normalize a suite and keep only the named cases. Throws a 400 error when
+ * nothing is left to run, so callers can reject a run before starting it.
+ *
+ * @param {Object} suite - regression_suite
+ * @param {string[]} [only] - Case names (default: every case)
+ * @returns {Object} The normalized suite with the selected tests
+ */
+export function selectTests(suite, only) {
+  const normalized = normalizeSuite(suite);
+  const tests = only ? normalized.tests.filter(t => only.includes(t.name)) : normalized.tests;
+  if (tests.length === 0) throw suiteError(only ? `No tests matched: ${only.join(', ')}` : 'regression_suite has no tests');
+  return { ...normalized, tests };
+}
+
+/**
+ * Run a suite case by case.
+ *
+ * @param {Object} suite - regression_suite (normalized here)
+ * @param {Object} [opts]
+ * @param {string[]} [opts.tests] - Only run the cases with these names
+ * @param {string} [opts.trigger='manual'] - What started the run ('manual' | 'redeploy')
+ * @param {string} [opts.id] - Run id (generated when omitted)
+ * @param {Object} [opts.client=adasCore] - startChat / getJob / testPipeline
+ * @param {number} [opts.pollIntervalMs]
+ * @returns {Promise<Object>} Run report with status GREEN / YELLOW / RED
+ */
+export async function runSuite(suite, { tests: only, id = newRunId(), trigger = 'manual', client = adasCore, pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+  const { tests: selected, thresholds, timeout_ms } = selectTests(suite, only);
+
+  const startedAt = new Date();
+  const results = [];
+  for (const test of selected) {
+    results.push(await runCase(test, { client, timeoutMs: timeout_ms, pollIntervalMs }));
+  }
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  const passRate = count('PASS') / results.length;
+  return {
+    id,
+    trigger,
+    status: passRate >= thresholds.min_pass_rate ? 'GREEN' : passRate >= thresholds.warning_pass_rate ? 'YELLOW' : 'RED',
+    started_at: startedAt.toISOString(),
+    elapsed_ms: Date.now() - startedAt.getTime(),
+    total: results.length,
+    passed: count('PASS'),
+    failed: count('FAIL'),
+    errored: count('ERROR'),
+    pass_rate: passRate,
+    thresholds,
+    results,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HISTORY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Case-by-case comparison of two runs. Red when a case that passed in the
+ * previous run (or is new) does not pass now.
+ *
+ * @param {Object|null} previous - Previous run, or null for the first run
+ * @param {Object} current
+ * @returns {Object|null} null without a previous run
+ */
+export function diffRuns(previous, current) {
+  if (!previous) return null;
+  const before = new Map(previous.results.map(r => [r.name, r.status]));
+  const after = new Map(current.results.map(r => [r.name, r.status]));
+
+  const diff = { previous_run_id: previous.id, regressed: [], fixed: [], still_failing: [], added: [], removed: [] };
+  for (const [name, status] of after) {
+    const was = before.get(name);
+    if (was === undefined) diff.added.push({ name, status });
+    else if (was === 'PASS' && status !== 'PASS') diff.regressed.push({ name, was, now: status });
+    else if (was !== 'PASS' && status === 'PASS') diff.fixed.push({ name, was, now: status });
+    else if (status !== 'PASS') diff.still_failing.push({ name, was, now: status });
+  }
+  diff.removed = [...before.keys()].filter(name => !after.has(name));
+
+  const newFailures = diff.added.filter(c => c.status !== 'PASS');
+  diff.status = diff.regressed.length === 0 && newFailures.length === 0 ? 'green' : 'red';
+  return diff;
+}
+
+/** Run list entry without per-case details */
+function summarizeRun(run) {
+  const { results, ...summary } = run;
+  return summary;
+}
+
+/**
+ * Run the solution's suite, diff it against the previous run and record it.
+ *
+ * @param {string} solutionId
+ * @param {Object} [opts] - As for runSuite, plus opts.suite to override solution.regression_suite
+ * @returns {Promise<{ run: Object, diff: Object|null }>} run.diff is set too
+ */
+export async function runAndRecord(solutionId, { suite, ...opts } = {}) {
+  const solution = await solutionsStore.load(solutionId);
+  const run = await runSuite(suite || solution.regression_suite || {}, opts);
+
+  const runs = (await solutionsStore.loadRegressionRuns(solutionId)) || [];
+  run.diff = diffRuns(runs[runs.length - 1] || null, run);
+  runs.push(run);
+  await solutionsStore.saveRegressionRuns(solutionId, runs.slice(-MAX_RUNS));
+  return { run, diff: run.diff };
+}
+
+/** tenant + solutionId → the run startRun is recording for it */
+const activeRuns = new Map();
+
+// Solution ids are only unique within a tenant. Single-tenant mode
+// (MEMORY_PATH) runs without a tenant context and shares one namespace.
+function runKey(solutionId) {
+  return `${getCurrentTenantOrNull() || ''}/${solutionId}`;
+}
+
+/**
+ * Start runAndRecord without waiting for it. A suite can take minutes
+ * (up to MAX_CASES chat cases of timeout_ms each), so callers that answer an
+ * HTTP request respond with the placeholder and let the client poll
+ * activeRun / listRuns until the run id shows up in the history.
+ *
+ * @param {string} solutionId
+ * @param {Object} [opts] - As for runAndRecord
+ * @returns {{ run: Object, done: Promise<{ run: Object, diff: Object|null }> }}
+ *   run is the RUNNING placeholder; done settles once the run is recorded
+ */
+export function startRun(solutionId, opts = {}) {
+  const key = runKey(solutionId);
+  const running = activeRuns.get(key);
+  if (running) {
+    const err = new Error(`A regression run is already in progress (${running.id})`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const run = { id: newRunId(), trigger: opts.trigger || 'manual', status: 'RUNNING', started_at: new Date().toISOString() };
+  activeRuns.set(key, run);
+  const done = runAndRecord(solutionId, { ...opts, id: run.id })
+    .finally(() => activeRuns.delete(key));
+  return { run, done };
+}
+
+/**
+ * The run startRun is still recording for a solution of the current tenant, or null.
+ */
+export function activeRun(solutionId) {
+  return activeRuns.get(runKey(solutionId)) || null;
+}
+
+/**
+ * Recorded runs, newest first, without per-case details.
+ */
+export async function listRuns(solutionId) {
+  const runs = (await solutionsStore.loadRegressionRuns(solutionId)) || [];
+  return [...runs].reverse().map(summarizeRun);
+}
+
+/**
+ * A recorded run with its per-case results, or null.
+ */
+export async function getRun(solutionId, runId) {
+  const runs = (await solutionsStore.loadRegressionRuns(solutionId)) || [];
+  return runs.find(r => r.id === runId) || null;
+}
+
+export default {
+  normalizeSuite,
+  scoreCase,
+  runSuite,
+  diffRuns,
+  selectTests,
+  runAndRecord,
+  startRun,
+  activeRun,
+  listRuns,
+  getRun,
+};
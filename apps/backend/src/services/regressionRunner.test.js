@@ -0,0 +1,261 @@
+/**
+ * Regression Runner Tests
+ *
+ * Covers suite validation, case scoring, chat/pipeline runs against a fake
+ * Core client and the recorded run history with its diff.
+ *
+ * Run with: node src/services/regressionRunner.test.js
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Point the store at a scratch directory before it is loaded
+const memoryRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'regression-runner-'));
+process.env.MEMORY_PATH = memoryRoot;
+
+const { normalizeSuite, scoreCase, runSuite, diffRuns, selectTests, runAndRecord, startRun, activeRun, listRuns, getRun } = await import('./regressionRunner.js');
+const { runWithTenant } = await import('../utils/tenantContext.js');
+const { default: solutionsStore } = await import('../store/solutions.js');
+
+// ═══════════════════════════════════════════════════════════════
+// TEST UTILITIES
+// ═══════════════════════════════════════════════════════════════
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+    console.log(`    Expected: ${JSON.stringify(expected)}`);
+    console.log(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+function expectSuiteError(suite, pattern, message) {
+  try {
+    normalizeSuite(suite);
+    assert(false, message);
+  } catch (err) {
+    assert(err.statusCode === 400 && pattern.test(err.message), message);
+  }
+}
+
+/**
+ * Fake Core: each goal maps to a turn { to_skill, tool, reply } whose job
+ * is done on the first poll. Turns with running: true never finish.
+ */
+function fakeClient(turns) {
+  const jobs = new Map();
+  return {
+    async startChat({ goal }) {
+      const turn = turns[goal];
+      if (!turn) throw new Error(`No turn for "${goal}"`);
+      const id = `job_${jobs.size + 1}`;
+      jobs.set(id, turn);
+      return { ok: true, id };
+    },
+    async getJob(id) {
+      const turn = jobs.get(id);
+      if (turn.running) return { status: 'running' };
+      const exec = [{ tool: 'sys.handoffToSkill', args: { to_skill: turn.to_skill } }];
+      if (turn.tool) exec.push({ tool: turn.tool, args: {} });
+      return { status: 'done', done: true, state: { steps: { __exec: { iter_1: exec } } }, summary: turn.reply };
+    },
+    async testPipeline({ message }) {
+      return { ok: true, intent: 'x', planned_action: { tool: turns[message].tool, args: {} } };
+    },
+  };
+}
+
+const suite = {
+  timeout_ms: 1000,
+  tests: [
+    { name: 'memory_store', input: 'remember my wife is Sarah', expect: { route: 'memory-keeper', style: 'brief', contains_any: ['saved'] } },
+    { name: 'calendar', input: 'what is on tomorrow', expect: { route: 'life-manager', tool: 'calendar.list' }, fail_on: ['route_mismatch', 'tool_missing'] },
+  ],
+};
+
+const goodTurns = {
+  'remember my wife is Sarah': { to_skill: 'memory-keeper', tool: 'memory.store', reply: 'Saved — I will remember that.' },
+  'what is on tomorrow': { to_skill: 'life-manager', tool: 'calendar.list', reply: 'Two meetings tomorrow.' },
+};
+
+// ═══════════════════════════════════════════════════════════════
+// SUITE VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nSuite validation');
+console.log('────────────────');
+
+{
+  const normalized = normalizeSuite(suite);
+  assertEqual(normalized.thresholds, { min_pass_rate: 1, warning_pass_rate: 0.9 }, 'Thresholds default to the strip suite values');
+  assertEqual(normalized.tests[0].mode, 'chat', 'Cases default to chat mode');
+  assertEqual(normalizeSuite({}).tests, [], 'An empty suite is valid');
+
+  expectSuiteError({ tests: [{ name: 'a' }] }, /input is required/, 'Rejects a case without input');
+  expectSuiteError({ tests: [{ name: 'a', input: 'x' }, { name: 'a', input: 'y' }] }, /Duplicate test name/, 'Rejects duplicate names');
+  expectSuiteError({ tests: [{ name: 'a', input: 'x', expect: { style: 'chatty' } }] }, /expect\.style/, 'Rejects unknown styles');
+  expectSuiteError({ tests: [{ name: 'a', input: 'x', fail_on: ['slow'] }] }, /unknown kinds: slow/, 'Rejects unknown fail_on kinds');
+  expectSuiteError({ tests: [{ name: 'a', input: 'x', mode: 'pipeline' }] }, /needs a skill/, 'Pipeline cases need a skill');
+  expectSuiteError({ thresholds: { min_pass_rate: 2 } }, /min_pass_rate/, 'Rejects pass rates above 1');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCORING
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nScoring');
+console.log('───────');
+
+{
+  const [memory, calendar] = normalizeSuite(suite).tests;
+  const observed = { route: 'memory-keeper', tools: [], response: 'Saved.' };
+  assertEqual(scoreCase(memory, observed).failures, [], 'Matching route, style and contains_any pass');
+
+  const wrong = scoreCase(memory, { route: 'life-manager', tools: [], response: 'I have stored it for you.' });
+  assertEqual(wrong.failures.map(f => f.kind), ['route_mismatch'], 'A wrong route is a hard failure by default');
+  assertEqual(wrong.warnings.map(f => f.kind), ['contains_any_missed'], 'Kinds outside fail_on are warnings');
+
+  const tool = scoreCase(calendar, { route: 'life-manager', tools: ['calendar.create'], response: 'Done' });
+  assertEqual(tool.failures.map(f => f.kind), ['tool_missing'], 'fail_on can make a missing tool fatal');
+
+  const accepted = scoreCase({ ...memory, accepted_routes: ['memory-keeper', 'pa-orchestrator'] }, { ...observed, route: 'pa-orchestrator' });
+  assertEqual(accepted.failures, [], 'accepted_routes widens the route check');
+
+  const pipeline = scoreCase(memory, { route: 'memory-keeper', tools: [], response: null });
+  assertEqual(pipeline.skipped, ['style', 'contains_any'], 'Reply checks are skipped without a reply');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RUNS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nRuns');
+console.log('────');
+
+{
+  const green = await runSuite(suite, { client: fakeClient(goodTurns), pollIntervalMs: 0 });
+  assertEqual([green.status, green.passed, green.total], ['GREEN', 2, 2], 'A fully passing run is GREEN');
+  assertEqual(green.results[0].observed.route, 'memory-keeper', 'The route comes from the handoff step');
+
+  const badTurns = { ...goodTurns, 'what is on tomorrow': { to_skill: 'memory-keeper', reply: 'Hmm' } };
+  const red = await runSuite(suite, { client: fakeClient(badTurns), pollIntervalMs: 0 });
+  assertEqual([red.status, red.failed], ['RED', 1], 'A 50% pass rate is RED');
+
+  const hung = await runSuite({ ...suite, timeout_ms: 20 }, {
+    client: fakeClient({ ...goodTurns, 'what is on tomorrow': { running: true } }),
+    pollIntervalMs: 5,
+    tests: ['calendar'],
+  });
+  assertEqual(hung.results.map(r => r.name), ['calendar'], 'tests selects cases by name');
+  assert(hung.results[0].status === 'ERROR' && /did not complete/.test(hung.results[0].error), 'A job past the timeout is an ERROR');
+
+  const pipelineSuite = { tests: [{ name: 'plan', input: 'what is on tomorrow', mode: 'pipeline', skill: 'life-manager', expect: { route: 'life-manager', tool: 'calendar.list', style: 'brief' } }] };
+  const planned = await runSuite(pipelineSuite, { client: fakeClient(goodTurns) });
+  assertEqual([planned.status, planned.results[0].skipped], ['GREEN', ['style']], 'Pipeline cases score the planned tool');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HISTORY + DIFF
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nHistory and diff');
+console.log('────────────────');
+
+{
+  const run = (statuses) => ({ id: 'r', results: Object.entries(statuses).map(([name, status]) => ({ name, status })) });
+  const diff = diffRuns(run({ a: 'PASS', b: 'FAIL', c: 'PASS', gone: 'PASS' }), run({ a: 'FAIL', b: 'PASS', c: 'PASS', d: 'PASS' }));
+  assertEqual(diff.regressed.map(c => c.name), ['a'], 'A case that stopped passing is a regression');
+  assertEqual(diff.fixed.map(c => c.name), ['b'], 'A case that started passing is fixed');
+  assertEqual([diff.added.map(c => c.name), diff.removed], [['d'], ['gone']], 'Added and removed cases are listed');
+  assertEqual(diff.status, 'red', 'Any regression turns the diff red');
+  assertEqual(diffRuns(run({ a: 'FAIL' }), run({ a: 'FAIL', n: 'PASS' })).status, 'green', 'Cases that were already failing keep it green');
+  assertEqual(diffRuns(run({}), run({ n: 'ERROR' })).status, 'red', 'A new failing case turns the diff red');
+  assertEqual(diffRuns(null, run({ a: 'PASS' })), null, 'The first run has no diff');
+
+  const solution = await solutionsStore.create('Regression Test');
+  solution.regression_suite = normalizeSuite(suite);
+  await solutionsStore.save(solution);
+
+  const first = await runAndRecord(solution.id, { client: fakeClient(goodTurns), pollIntervalMs: 0 });
+  assertEqual(first.diff, null, 'The first recorded run has no diff');
+
+  const badTurns = { ...goodTurns, 'remember my wife is Sarah': { to_skill: 'life-manager', reply: 'Saved.' } };
+  const second = await runAndRecord(solution.id, { client: fakeClient(badTurns), pollIntervalMs: 0, trigger: 'redeploy' });
+  assertEqual([second.diff.status, second.diff.previous_run_id], ['red', first.run.id], 'The next run is diffed against the previous one');
+
+  const runs = await listRuns(solution.id);
+  assertEqual(runs.map(r => [r.id, r.trigger]), [[second.run.id, 'redeploy'], [first.run.id, 'manual']], 'Runs are listed newest first');
+  assert(!('results' in runs[0]), 'Listed runs leave out per-case results');
+  assertEqual((await getRun(solution.id, first.run.id)).results.length, 2, 'A single run keeps its per-case results');
+
+  const started = startRun(solution.id, { client: fakeClient(goodTurns), pollIntervalMs: 0, trigger: 'redeploy' });
+  assertEqual([started.run.status, started.run.trigger], ['RUNNING', 'redeploy'], 'startRun returns a RUNNING placeholder right away');
+  assertEqual(activeRun(solution.id)?.id, started.run.id, 'The started run is active until it is recorded');
+  let conflict = null;
+  try { startRun(solution.id, { client: fakeClient(goodTurns) }); } catch (err) { conflict = err; }
+  assertEqual(conflict?.statusCode, 409, 'A second run cannot start while one is active');
+  assertEqual(runWithTenant('other', () => activeRun(solution.id)), null, 'Another tenant does not see the run of a same-id solution');
+
+  // Both tenants share MEMORY_PATH here, so hold the other run until the first is recorded
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const gated = fakeClient(goodTurns);
+  const startChat = gated.startChat;
+  gated.startChat = async (args) => { await gate; return startChat(args); };
+  let otherRun = null;
+  try { otherRun = runWithTenant('other', () => startRun(solution.id, { client: gated, pollIntervalMs: 0 })); } catch { /* reported below */ }
+  assert(otherRun && otherRun.run.id !== started.run.id, 'Another tenant can start a run for a same-id solution');
+
+  const finished = await started.done;
+  assertEqual(finished.run.id, started.run.id, 'The recorded run keeps the placeholder id');
+  assertEqual(activeRun(solution.id), null, 'A recorded run is no longer active');
+  assertEqual((await listRuns(solution.id))[0].id, started.run.id, 'The background run is recorded in the history');
+  release();
+  await otherRun?.done;
+  assertEqual(runWithTenant('other', () => activeRun(solution.id)), null, "The other tenant's run finishes on its own");
+}
+
+console.log('\nCase selection');
+console.log('──────────────');
+
+{
+  assertEqual(selectTests(suite, ['calendar']).tests.map(t => t.name), ['calendar'], 'selectTests keeps the named cases');
+  let err = null;
+  try { selectTests(suite, ['missing']); } catch (e) { err = e; }
+  assertEqual([err?.statusCode, err?.message], [400, 'No tests matched: missing'], 'An unmatched selection is a 400 before any run starts');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+await fs.rm(memoryRoot, { recursive: true, force: true });
+
+console.log('');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`Tests Passed: ${testsPassed}`);
+console.log(`Tests Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════════════');
+
+// The store's tenant context keeps a refresh timer alive
+process.exit(testsFailed > 0 ? 1 : 0);
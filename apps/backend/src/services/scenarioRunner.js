@@ -0,0 +1,426 @@
+/**
+ * Scenario Runner — replays a skill's scenarios against its tool mocks
+ *
+ * For each scenario the runner builds a tool plan and executes it inside a
+ * fresh mock session, so entities created by earlier steps carry into later
+ * ones:
+ *
+ *   1. Match the scenario to an intent (keyword overlap with description + examples)
+ *   2. If the intent maps to a workflow, the plan is the workflow's steps
+ *   3. Otherwise, the plan is the tools named in scenario.steps[] (in order)
+ *
+ * Each tool call goes through services/mockRunner.executeMock (MCP bridge,
+ * example, LLM or hybrid). A step passes when the call returned output that
+ *   - has no `error`,
+ *   - did not come from the first-example fallback (`_matched === false`),
+ *     which answers any input and so proves nothing about it, and
+ *   - has the shape of tool.output (an object when the tool returns one,
+ *     sharing at least one top-level field with the example outputs).
+ *
+ * When the scenario states an expected_outcome, the words of that outcome
+ * are looked for in the tool names and outputs of the passing steps. If fewer than half
+ * of them show up, the scenario's last executed step fails with the outcome
+ * as its note. applyRunToSkill() then writes per-step results into
+ * tools[].mock_test_results and derives tools[].mock_status from them, which
+ * is what completenessChecker.areMocksTested reads.
+ *
+ * @module services/scenarioRunner
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeMock } from './mockRunner.js';
+import { startSession, endSession, recordCall, latestEntityId } from './mockSession.js';
+
+// Keep the most recent scenario results per tool; manual results are never trimmed
+const MAX_SCENARIO_RESULTS_PER_TOOL = 20;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'their', 'they', 'them',
+  'user', 'users', 'customer', 'agent', 'wants', 'want', 'asks', 'ask', 'then', 'when',
+  'will', 'should', 'can', 'has', 'have', 'are', 'was', 'were', 'about', 'via', 'its',
+]);
+
+/**
+ * @typedef {Object} ScenarioStepResult
+ * @property {number} index
+ * @property {string} step - Scenario step text or workflow step label
+ * @property {string|null} tool - Tool name (null for narrative steps)
+ * @property {Object} [input]
+ * @property {*} [output]
+ * @property {string} [source] - 'mcp_bridge' | 'session' | 'example' | 'llm'
+ * @property {boolean|null} passed - null when no tool was executed
+ * @property {string} [notes]
+ */
+
+/**
+ * @typedef {Object} ScenarioResult
+ * @property {string} scenario_id
+ * @property {string} title
+ * @property {string|null} intent_id
+ * @property {string|null} workflow_id
+ * @property {'workflow' | 'steps'} plan_source
+ * @property {string} expected_outcome
+ * @property {ScenarioStepResult[]} steps
+ * @property {{ words: string[], found: string[], matched: boolean }|null} outcome - null without expected_outcome
+ * @property {boolean} passed
+ * @property {string} [notes]
+ */
+
+/**
+ * @typedef {Object} ScenarioRun
+ * @property {string} run_id
+ * @property {string} mode
+ * @property {string} started_at
+ * @property {string} finished_at
+ * @property {ScenarioResult[]} scenarios
+ * @property {{ scenarios: number, passed: number, failed: number, steps: number, failed_steps: number }} summary
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// PLAN RESOLUTION
+// ═══════════════════════════════════════════════════════════════
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length > 2 && !STOPWORDS.has(w));
+}
+
+function scenarioText(scenario) {
+  return [scenario.title, scenario.description, ...(scenario.steps || []), scenario.expected_outcome].join(' ');
+}
+
+/**
+ * Pick the intent whose description and examples share the most words with
+ * the scenario. Returns null when nothing overlaps.
+ */
+export function matchIntent(skill, scenario) {
+  const words = new Set(tokenize(scenarioText(scenario)));
+  let best = null;
+  let bestScore = 0;
+  for (const intent of skill.intents?.supported || []) {
+    const intentWords = new Set(tokenize([intent.description, ...(intent.examples || [])].join(' ')));
+    let score = 0;
+    for (const w of intentWords) if (words.has(w)) score++;
+    if (score > bestScore) {
+      best = intent;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function findTool(skill, ref) {
+  if (!ref) return null;
+  return (skill.tools || []).find(t => t.id === ref || t.name === ref) || null;
+}
+
+/**
+ * Tools mentioned in a free-text step, in order of appearance.
+ * Matches "check_order_status" as well as "check order status".
+ */
+function toolsMentioned(skill, text) {
+  const haystack = String(text || '').toLowerCase();
+  const hits = [];
+  for (const tool of skill.tools || []) {
+    if (!tool.name) continue;
+    const name = tool.name.toLowerCase();
+    const spaced = name.replace(/[_.\-]+/g, ' ');
+    let pos = haystack.indexOf(name);
+    if (pos < 0) pos = haystack.indexOf(spaced);
+    if (pos >= 0) hits.push({ tool, pos });
+  }
+  return hits.sort((a, b) => a.pos - b.pos).map(h => h.tool);
+}
+
+/**
+ * Build the ordered list of steps to execute for a scenario.
+ * @returns {{ intent: Object|null, workflow: Object|null, plan_source: string, plan: Array<{ step: string, tool: Object|null, ref?: string }> }}
+ */
+export function buildScenarioPlan(skill, scenario) {
+  const intent = matchIntent(skill, scenario);
+  const workflow = intent?.maps_to_workflow
+    ? (skill.policy?.workflows || []).find(w => w.id === intent.maps_to_workflow) || null
+    : null;
+
+  if (workflow?.steps?.length > 0) {
+    const plan = workflow.steps.map((ref, i) => ({
+      step: scenario.steps?.[i] || `${workflow.name || workflow.id} — step ${i + 1}`,
+      tool: findTool(skill, ref),
+      ref,
+    }));
+    return { intent, workflow, plan_source: 'workflow', plan };
+  }
+
+  const plan = [];
+  for (const step of scenario.steps || []) {
+    const tools = toolsMentioned(skill, step);
+    if (tools.length === 0) {
+      plan.push({ step, tool: null });
+    } else {
+      for (const tool of tools) plan.push({ step, tool });
+    }
+  }
+  return { intent, workflow: null, plan_source: 'steps', plan };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// INPUT SYNTHESIS
+// ═══════════════════════════════════════════════════════════════
+
+function placeholderFor(input) {
+  switch (input.type) {
+    case 'number': return 1;
+    case 'boolean': return true;
+    case 'array': return [];
+    case 'object': return {};
+    default: return `sample_${input.name}`;
+  }
+}
+
+/**
+ * Build call arguments for a tool: first mock example input, then defaults,
+ * enum values and placeholders for missing required inputs. `*_id` inputs
+ * are pointed at the latest matching entity in the session so chained steps
+ * (create → get → update) operate on the same record.
+ */
+export function buildToolInput(tool, session) {
+  const exampleInput = tool.mock?.examples?.find(ex => ex?.input && typeof ex.input === 'object')?.input;
+  const input = exampleInput ? structuredClone(exampleInput) : {};
+
+  for (const def of tool.inputs || []) {
+    if (!def?.name || input[def.name] !== undefined) continue;
+    if (def.default !== undefined) input[def.name] = def.default;
+    else if (def.enum?.length > 0) input[def.name] = def.enum[0];
+    else if (def.required) input[def.name] = placeholderFor(def);
+  }
+
+  for (const key of Object.keys(input)) {
+    const m = key.match(/^(.+?)_?id$/i);
+    if (!m || key.toLowerCase() === 'id') continue;
+    const knownId = latestEntityId(session, m[1].toLowerCase());
+    if (knownId) input[key] = knownId;
+  }
+  return input;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// OUTPUT CHECKS
+// ═══════════════════════════════════════════════════════════════
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Why a mock output does not count as a pass, or null when it does.
+ */
+export function checkStepOutput(tool, output) {
+  if (output == null) return 'Tool returned no output';
+  if (output.error) return String(output.error);
+  if (output._matched === false) {
+    return 'No mock example matches this input — only the first-example fallback answered';
+  }
+  if (tool.output?.type === 'object' && !isPlainObject(output)) {
+    return `Expected an object output, got ${Array.isArray(output) ? 'an array' : typeof output}`;
+  }
+  if (isPlainObject(output)) {
+    const exampleKeys = new Set(
+      (tool.mock?.examples || []).filter(ex => isPlainObject(ex?.output)).flatMap(ex => Object.keys(ex.output))
+    );
+    const keys = Object.keys(output).filter(k => !k.startsWith('_'));
+    if (exampleKeys.size > 0 && !keys.some(k => exampleKeys.has(k))) {
+      return `Output shares no fields with the mock examples (expected one of: ${[...exampleKeys].join(', ')})`;
+    }
+  }
+  return null;
+}
+
+// Compare words by their first five letters after dropping common endings,
+// so "created" meets "create" and "available" meets "availability"
+const stem = (word) => word.replace(/(ing|ed|es|s|e)$/, '').slice(0, 5);
+
+function collectWords(value, into) {
+  if (value == null) return into;
+  if (typeof value !== 'object') {
+    for (const w of tokenize(value)) into.add(stem(w));
+  } else {
+    for (const [key, v] of Object.entries(value)) {
+      if (!Array.isArray(value)) for (const w of tokenize(key)) into.add(stem(w));
+      collectWords(v, into);
+    }
+  }
+  return into;
+}
+
+/**
+ * Look for the words of a scenario's expected_outcome in what its passing
+ * steps produced (tool names and outputs). Returns null when the scenario
+ * states no outcome; `matched` needs at least half of the outcome's words.
+ *
+ * @returns {{ words: string[], found: string[], matched: boolean }|null}
+ */
+export function checkExpectedOutcome(expectedOutcome, steps) {
+  const words = [...new Set(tokenize(expectedOutcome))];
+  if (words.length === 0) return null;
+  const evidence = new Set();
+  for (const step of steps) {
+    if (!step.tool || !step.passed) continue;
+    collectWords(step.tool, evidence);
+    collectWords(step.output, evidence);
+  }
+  const found = words.filter(w => evidence.has(stem(w)));
+  return { words, found, matched: found.length >= Math.max(1, Math.floor(words.length / 2)) };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RUNNER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Replay scenarios against the skill's mocks.
+ *
+ * @param {Object} skill - DraftSkill
+ * @param {Object} opts
+ * @param {string} opts.tenant - Tenant owning the mock sessions
+ * @param {string[]} [opts.scenarioIds] - Subset to run (default: all)
+ * @param {'example' | 'llm' | 'hybrid'} [opts.mode='hybrid']
+ * @param {Object} [opts.log]
+ * @param {Function} [opts.simulate] - LLM simulation override, passed to executeMock
+ * @returns {Promise<ScenarioRun>}
+ */
+export async function runScenarios(skill, { tenant, scenarioIds = null, mode = 'hybrid', log = console, simulate } = {}) {
+  const run = {
+    run_id: `scnrun_${uuidv4().slice(0, 8)}`,
+    mode,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    scenarios: [],
+    summary: { scenarios: 0, passed: 0, failed: 0, steps: 0, failed_steps: 0 },
+  };
+
+  const scenarios = (skill.scenarios || []).filter(s => !scenarioIds || scenarioIds.includes(s.id));
+
+  for (const scenario of scenarios) {
+    const { intent, workflow, plan_source, plan } = buildScenarioPlan(skill, scenario);
+    const session = startSession({ tenant, solutionId: skill.solution_id, skillId: skill.id, runId: run.run_id });
+    const steps = [];
+
+    try {
+      for (const [index, item] of plan.entries()) {
+        if (!item.tool) {
+          steps.push({
+            index,
+            step: item.step,
+            tool: null,
+            passed: item.ref ? false : null,
+            notes: item.ref ? `Workflow step references unknown tool: ${item.ref}` : 'No tool referenced — narrative step',
+          });
+          continue;
+        }
+
+        const input = buildToolInput(item.tool, session);
+        try {
+          const { output, source } = await executeMock(skill, item.tool, input, { mode, session, log, simulate });
+          recordCall(session, item.tool, input, output, source);
+          const problem = checkStepOutput(item.tool, output);
+          steps.push({
+            index,
+            step: item.step,
+            tool: item.tool.name,
+            input,
+            output,
+            source,
+            passed: !problem,
+            ...(problem && { notes: problem }),
+          });
+        } catch (err) {
+          log.warn?.(`[ScenarioRunner] ${scenario.id}/${item.tool.name} threw: ${err.message}`);
+          steps.push({ index, step: item.step, tool: item.tool.name, input, passed: false, notes: err.message });
+        }
+      }
+    } finally {
+      endSession(session.id, tenant);
+    }
+
+    const executed = steps.filter(s => s.passed !== null);
+    const outcome = checkExpectedOutcome(scenario.expected_outcome, executed);
+    const last = executed[executed.length - 1];
+    if (outcome && !outcome.matched && last?.passed) {
+      last.passed = false;
+      last.notes = `Expected outcome not reflected in the tool outputs: "${scenario.expected_outcome}"`;
+    }
+    const passed = executed.length > 0 && executed.every(s => s.passed);
+    run.scenarios.push({
+      scenario_id: scenario.id,
+      title: scenario.title,
+      intent_id: intent?.id || null,
+      workflow_id: workflow?.id || null,
+      plan_source,
+      expected_outcome: scenario.expected_outcome || '',
+      outcome,
+      steps,
+      passed,
+      ...(executed.length === 0 && { notes: 'No tools could be resolved for this scenario' }),
+    });
+
+    run.summary.scenarios++;
+    run.summary[passed ? 'passed' : 'failed']++;
+    run.summary.steps += executed.length;
+    run.summary.failed_steps += executed.filter(s => !s.passed).length;
+  }
+
+  run.finished_at = new Date().toISOString();
+  return run;
+}
+
+/**
+ * Write a run's step results into tools[].mock_test_results and derive
+ * tools[].mock_status. Mutates the skill.
+ *
+ * - Earlier scenario results for a tool are replaced by this run's results
+ *   (trimmed to the latest MAX_SCENARIO_RESULTS_PER_TOOL); manual results stay.
+ * - A tool exercised in this run becomes 'tested' if every call passed and
+ *   'untested' otherwise. Tools the run did not touch keep their status.
+ *
+ * @param {Object} skill
+ * @param {ScenarioRun} run
+ * @returns {{ tested: string[], failed: string[] }} tool names by outcome
+ */
+export function applyRunToSkill(skill, run) {
+  const byTool = new Map(); // tool name → MockTestResult[]
+  for (const scenario of run.scenarios) {
+    for (const step of scenario.steps) {
+      if (!step.tool) continue;
+      if (!byTool.has(step.tool)) byTool.set(step.tool, []);
+      byTool.get(step.tool).push({
+        id: `mtr_${uuidv4().slice(0, 8)}`,
+        timestamp: run.finished_at || new Date().toISOString(),
+        input: step.input || {},
+        actual_output: step.output ?? null,
+        passed: step.passed === true,
+        notes: step.notes || `Scenario "${scenario.title}" step ${step.index + 1}`,
+        run_id: run.run_id,
+        scenario_id: scenario.scenario_id,
+        step: step.index,
+        source: step.source,
+      });
+    }
+  }
+
+  const tested = [];
+  const failed = [];
+  for (const tool of skill.tools || []) {
+    const results = byTool.get(tool.name);
+    if (!results) continue;
+    const manual = (tool.mock_test_results || []).filter(r => !r.run_id);
+    tool.mock_test_results = [...manual, ...results.slice(-MAX_SCENARIO_RESULTS_PER_TOOL)];
+    if (results.every(r => r.passed)) {
+      tool.mock_status = 'tested';
+      tested.push(tool.name);
+    } else {
+      tool.mock_status = 'untested';
+      failed.push(tool.name);
+    }
+  }
+  return { tested, failed };
+}
@@ -0,0 +1,196 @@
+/**
+ * Scenario Runner Tests
+ *
+ * Covers scenario replay in example and hybrid mode: chained session steps,
+ * the first-example fallback, output shape checks against the examples,
+ * expected_outcome matching and the tool statuses applyRunToSkill derives.
+ *
+ * Run with: node src/services/scenarioRunner.test.js
+ */
+
+import { runScenarios, applyRunToSkill, checkStepOutput, checkExpectedOutcome } from './scenarioRunner.js';
+
+// ═══════════════════════════════════════════════════════════════
+// TEST UTILITIES
+// ═══════════════════════════════════════════════════════════════
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+    console.log(`    Expected: ${JSON.stringify(expected)}`);
+    console.log(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+const silent = { debug() {}, info() {}, warn() {}, error() {} };
+
+function orderSkill(scenarios) {
+  return {
+    id: 'orders',
+    solution_id: 'sol-test',
+    tools: [
+      {
+        name: 'create_order',
+        output: { type: 'object', description: 'The new order' },
+        mock: { enabled: true, mode: 'examples', examples: [
+          { id: 'c1', input: { item: 'book' }, output: { order_id: 'ord-1', item: 'book', status: 'created' } },
+        ] },
+      },
+      {
+        name: 'get_order',
+        output: { type: 'object', description: 'The order' },
+        mock: { enabled: true, mode: 'examples', examples: [
+          { id: 'g1', input: { order_id: 'ord-1' }, output: { order_id: 'ord-1', item: 'book', status: 'created' } },
+        ] },
+      },
+      {
+        // The example id is rewritten to the session's order, so no example matches
+        name: 'update_order',
+        output: { type: 'object', description: 'The updated order' },
+        mock: { enabled: true, mode: 'examples', examples: [
+          { id: 'u1', input: { order_id: 'ord-999', status: 'shipped' }, output: { order_id: 'ord-999', status: 'shipped' } },
+        ] },
+      },
+    ],
+    scenarios,
+  };
+}
+
+const scenario = (id, steps, expected_outcome = '') => ({ id, title: id, description: '', steps, expected_outcome });
+
+const stepsOf = (run, id) => run.scenarios.find(s => s.scenario_id === id).steps;
+
+// ═══════════════════════════════════════════════════════════════
+// EXAMPLE MODE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nExample mode');
+{
+  const skill = orderSkill([
+    scenario('place', ['Agent calls create_order', 'Agent calls get_order', 'Agent confirms'], 'Order is created.'),
+    scenario('ship', ['Agent calls create_order', 'Agent calls update_order']),
+  ]);
+  const run = await runScenarios(skill, { tenant: 'test', mode: 'example', log: silent });
+
+  const place = stepsOf(run, 'place');
+  assertEqual(place.map(s => [s.tool, s.source, s.passed]), [
+    ['create_order', 'example', true],
+    ['get_order', 'session', true],
+    [null, undefined, null],
+  ], 'create → get chains through the session and passes');
+  assertEqual(run.scenarios[0].outcome, { words: ['order', 'created'], found: ['order', 'created'], matched: true },
+    'expected outcome words are found in the outputs');
+  assert(run.scenarios[0].passed, 'scenario with matched examples passes');
+
+  const ship = stepsOf(run, 'ship');
+  assertEqual(ship[1].output._matched, false, 'update_order only hits the first-example fallback');
+  assertEqual(ship[1].passed, false, 'fallback step does not pass');
+  assert(/first-example fallback/.test(ship[1].notes), 'fallback step explains why');
+  assertEqual(run.scenarios[1].outcome, null, 'no outcome check without expected_outcome');
+  assertEqual(run.summary, { scenarios: 2, passed: 1, failed: 1, steps: 4, failed_steps: 1 }, 'summary counts the fallback as a failure');
+
+  const { tested, failed } = applyRunToSkill(skill, run);
+  assertEqual(tested, ['create_order', 'get_order'], 'tools with only matched calls become tested');
+  assertEqual(failed, ['update_order'], 'fallback-only tool is not tested');
+  assertEqual(skill.tools[2].mock_status, 'untested', 'mock_status stays untested after a fallback');
+}
+
+console.log('\nExpected outcome');
+{
+  const skill = orderSkill([
+    scenario('refund', ['Agent calls create_order'], 'A refund is issued to the card.'),
+  ]);
+  const run = await runScenarios(skill, { tenant: 'test', mode: 'example', log: silent });
+  const [result] = run.scenarios;
+  assertEqual(result.outcome.matched, false, 'outcome words missing from every output');
+  assertEqual(result.steps[0].passed, false, 'last executed step fails on an unmet outcome');
+  assert(result.steps[0].notes.includes('A refund is issued'), 'note quotes the expected outcome');
+  assert(!result.passed, 'scenario fails');
+
+  const steps = [{ tool: 'calendar.availability.check', output: { available_slots: [{ start: '10:00' }] }, passed: true }];
+  assertEqual(checkExpectedOutcome('User sees a list of available time slots.', steps).matched, true,
+    'tool names and output keys count as evidence');
+  assertEqual(checkExpectedOutcome('', steps), null, 'empty outcome is not checked');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HYBRID MODE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nHybrid mode');
+{
+  const calls = [];
+  const simulate = async (_skill, tool, input, session) => {
+    calls.push({ tool: tool.name, input, entities: structuredClone(session.entities) });
+    return { order_id: input.order_id, status: 'shipped' };
+  };
+  const skill = orderSkill([scenario('ship', ['Agent calls create_order', 'Agent calls update_order'], 'Order is shipped.')]);
+  const run = await runScenarios(skill, { tenant: 'test', mode: 'hybrid', log: silent, simulate });
+  const steps = stepsOf(run, 'ship');
+
+  assertEqual(steps.map(s => [s.source, s.passed]), [['example', true], ['llm', true]],
+    'matched input uses the example, unmatched input goes to the LLM');
+  assertEqual(calls.length, 1, 'LLM is only asked for the unmatched call');
+  assertEqual(calls[0].entities.order['ord-1'].status, 'created', 'LLM sees the session state');
+  assert(run.scenarios[0].passed, 'scenario passes with a well-formed LLM answer');
+}
+{
+  const shapes = [
+    [{ error: 'Failed to parse LLM response', raw: 'oops' }, /Failed to parse/],
+    [['not', 'an', 'object'], /Expected an object output/],
+    [{ message: 'done' }, /shares no fields/],
+  ];
+  for (const [answer, note] of shapes) {
+    const skill = orderSkill([scenario('ship', ['Agent calls create_order', 'Agent calls update_order'])]);
+    const run = await runScenarios(skill, { tenant: 'test', mode: 'hybrid', log: silent, simulate: async () => answer });
+    const step = stepsOf(run, 'ship')[1];
+    assert(step.passed === false && note.test(step.notes), `LLM answer ${JSON.stringify(answer)} fails: ${step.notes}`);
+  }
+}
+{
+  const skill = orderSkill([scenario('ship', ['Agent calls create_order', 'Agent calls update_order'])]);
+  const run = await runScenarios(skill, {
+    tenant: 'test', mode: 'hybrid', log: silent,
+    simulate: async () => { throw new Error('No API key configured'); },
+  });
+  const step = stepsOf(run, 'ship')[1];
+  assertEqual([step.passed, step.notes], [false, 'No API key configured'], 'LLM failure fails the step');
+}
+
+console.log('\nStep output checks');
+{
+  const tool = orderSkill([]).tools[0];
+  assertEqual(checkStepOutput(tool, null), 'Tool returned no output', 'null output fails');
+  assertEqual(checkStepOutput(tool, { order_id: 'x', _matched: 'partial' }), null, 'partial match passes');
+  assertEqual(checkStepOutput({ name: 'free_form' }, 'plain text'), null, 'tools without a declared shape accept any output');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`Tests Passed: ${testsPassed}`);
+console.log(`Tests Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════════════');
+
+process.exit(testsFailed > 0 ? 1 : 0);
@@ -0,0 +1,337 @@
+/**
+ * Skill History - per-turn, reversible record of skill state changes
+ *
+ * Every DAL chat turn that changes the skill is stored as a patch: the list of
+ * paths it touched with their before/after values, tagged with the message id
+ * of the assistant reply that made the change. Any turn can then be rolled back
+ * on its own (e.g. the one that mangled the policy section) without losing the
+ * turns that came after it, as long as they did not touch the same paths.
+ *
+ * Patch paths are arrays of segments:
+ *   "policy", "guardrails", "never"          - object keys
+ *   { key: "name", value: "get_order" }      - item of a named/id'd array
+ * Arrays of primitives and of anonymous objects are recorded whole.
+ *
+ * Storage: /memory/<slug>/history.json (next to skill.json, never git-synced)
+ *
+ * @module services/skillHistory
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { validateSkill } from './mcpSchemaDrift.js';
+import skillsStore from '../store/skills.js';
+import { isPlainObject, deepEqual, step, getAt } from '../utils/skillPaths.js';
+
+// Fields that change on every turn and are not part of the skill definition
+const IGNORED_FIELDS = ['conversation', 'validation', 'updated_at', 'created_at'];
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 200;
+
+// ═══════════════════════════════════════════════════════════════
+// DIFF
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Field that identifies items of an array, if every item on both sides has one.
+ */
+function itemKeyField(before, after) {
+  const items = [...before, ...after];
+  if (items.length === 0 || !items.every(isPlainObject)) return null;
+  for (const field of ['id', 'name']) {
+    const values = (arr) => arr.map(item => item[field]);
+    const unique = (arr) => new Set(values(arr)).size === arr.length;
+    if (items.every(item => typeof item[field] === 'string' && item[field]) && unique(before) && unique(after)) {
+      return field;
+    }
+  }
+  return null;
+}
+
+function pushChange(changes, path, before, after, extra = {}) {
+  const change = { path, ...extra };
+  if (before !== undefined) change.before = before;
+  if (after !== undefined) change.after = after;
+  changes.push(change);
+}
+
+function diffValues(before, after, path, changes) {
+  if (deepEqual(before, after)) return;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (path.length === 0 && IGNORED_FIELDS.includes(key)) continue;
+      diffValues(before[key], after[key], [...path, key], changes);
+    }
+    return;
+  }
+
+  const field = Array.isArray(before) && Array.isArray(after) ? itemKeyField(before, after) : null;
+  if (field) {
+    const afterByKey = new Map(after.map(item => [item[field], item]));
+    const beforeKeys = new Set(before.map(item => item[field]));
+    before.forEach((item, index) => {
+      const selector = { key: field, value: item[field] };
+      if (!afterByKey.has(item[field])) {
+        pushChange(changes, [...path, selector], item, undefined, { index });
+      } else {
+        diffValues(item, afterByKey.get(item[field]), [...path, selector], changes);
+      }
+    });
+    after.forEach((item, index) => {
+      if (!beforeKeys.has(item[field])) {
+        pushChange(changes, [...path, { key: field, value: item[field] }], undefined, item, { index });
+      }
+    });
+    return;
+  }
+
+  pushChange(changes, path, before, after);
+}
+
+/**
+ * Compute the changes between two versions of a skill.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{ path: Array, before?: any, after?: any, index?: number }>}
+ */
+export function diffSkill(before, after) {
+  const changes = [];
+  diffValues(before, after, [], changes);
+  return changes;
+}
+
+/**
+ * Human-readable path: tools[get_order].description
+ */
+export function formatPath(path) {
+  return path.reduce((out, seg) => {
+    if (typeof seg === 'object') return `${out}[${seg.value}]`;
+    return out ? `${out}.${seg}` : seg;
+  }, '');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// APPLY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Set (or, with value undefined, remove) the value at path.
+ * Missing parent objects are created; a missing parent array item is an error.
+ */
+function setAt(root, path, value, index) {
+  let parent = root;
+  for (let i = 0; i < path.length - 1; i++) {
+    const seg = path[i];
+    let next = step(parent, seg);
+    if (next === undefined) {
+      if (typeof seg === 'object') throw new Error(`${formatPath(path.slice(0, i + 1))} no longer exists`);
+      next = parent[seg] = {};
+    }
+    parent = next;
+  }
+
+  const last = path[path.length - 1];
+  if (typeof last !== 'object') {
+    if (value === undefined) delete parent[last];
+    else parent[last] = value;
+    return;
+  }
+
+  if (!Array.isArray(parent)) throw new Error(`${formatPath(path.slice(0, -1))} is not a list`);
+  const at = parent.findIndex(item => item?.[last.key] === last.value);
+  if (value === undefined) {
+    if (at !== -1) parent.splice(at, 1);
+  } else if (at !== -1) {
+    parent[at] = value;
+  } else {
+    parent.splice(Math.min(index ?? parent.length, parent.length), 0, value);
+  }
+}
+
+/**
+ * Paths whose current value differs from what the patch expects to find.
+ * @param {Object} skill
+ * @param {Array} changes
+ * @param {'before' | 'after'} expected - Side of the change the skill should currently match
+ * @returns {string[]}
+ */
+export function findConflicts(skill, changes, expected) {
+  return changes
+    .filter(change => !deepEqual(getAt(skill, change.path), change[expected]))
+    .map(change => formatPath(change.path));
+}
+
+/**
+ * Apply one side of a patch to a skill (in place).
+ * @param {Object} skill
+ * @param {Array} changes
+ * @param {'before' | 'after'} side - 'before' reverts the turn, 'after' re-applies it
+ */
+export function applyChanges(skill, changes, side) {
+  const ordered = side === 'before' ? [...changes].reverse() : changes;
+  for (const change of ordered) {
+    setAt(skill, change.path, structuredClone(change[side]), change.index);
+  }
+  return skill;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HISTORY OPERATIONS
+// ═══════════════════════════════════════════════════════════════
+
+function emptyHistory(skillId) {
+  return { skill_id: skillId, entries: [], redo: [] };
+}
+
+async function loadHistory(skillId) {
+  return (await skillsStore.loadHistory(skillId)) || emptyHistory(skillId);
+}
+
+function conflictError(message, conflicts) {
+  const err = new Error(message);
+  err.code = 'HISTORY_CONFLICT';
+  err.conflicts = conflicts;
+  return err;
+}
+
+/**
+ * Record the state change of one chat turn.
+ *
+ * @param {string} solutionId
+ * @param {string} skillId
+ * @param {Object} params
+ * @param {Object} params.before - Skill snapshot taken before the turn
+ * @param {Object} params.after - Skill after the turn's state_update
+ * @param {string} params.messageId - Assistant message that made the change
+ * @param {string} [params.userMessage] - The user message that prompted it
+ * @returns {Promise<Object|null>} The entry, or null when nothing changed
+ */
+export async function recordTurn(solutionId, skillId, { before, after, messageId, userMessage }) {
+  const changes = diffSkill(before, after);
+  if (changes.length === 0) return null;
+
+  const history = await loadHistory(skillId);
+  const entry = {
+    id: `turn_${uuidv4().slice(0, 8)}`,
+    message_id: messageId,
+    user_message: typeof userMessage === 'string' ? userMessage.slice(0, 200) : null,
+    created_at: new Date().toISOString(),
+    status: 'applied',
+    changes,
+  };
+
+  history.entries.push(entry);
+  history.redo = []; // A new change ends the redo chain
+  if (history.entries.length > MAX_ENTRIES) {
+    history.entries = history.entries.slice(-MAX_ENTRIES);
+  }
+  await skillsStore.saveHistory(skillId, history);
+  return entry;
+}
+
+/**
+ * Timeline of recorded turns, newest first.
+ */
+export async function getHistory(solutionId, skillId) {
+  const history = await loadHistory(skillId);
+  const lastApplied = [...history.entries].reverse().find(e => e.status === 'applied');
+  return {
+    entries: [...history.entries].reverse().map(entry => ({
+      ...entry,
+      paths: entry.changes.map(change => formatPath(change.path)),
+    })),
+    can_undo: !!lastApplied,
+    can_redo: history.redo.length > 0,
+  };
+}
+
+/**
+ * Move the skill to one side of an entry's patch and update the entry.
+ * The caller saves the history.
+ */
+async function transition(solutionId, skillId, entry, { side, force }) {
+  const skill = await skillsStore.load(solutionId, skillId);
+  const expected = side === 'before' ? 'after' : 'before';
+  const conflicts = findConflicts(skill, entry.changes, expected);
+  if (conflicts.length > 0 && !force) {
+    throw conflictError(`Later changes touched the same fields: ${conflicts.join(', ')}`, conflicts);
+  }
+
+  try {
+    applyChanges(skill, entry.changes, side);
+  } catch (err) {
+    throw conflictError(err.message, [err.message]);
+  }
+  skill.validation = validateSkill(skill);
+  await skillsStore.save(skill);
+
+  entry.status = side === 'before' ? 'undone' : 'applied';
+  entry[side === 'before' ? 'undone_at' : 'redone_at'] = new Date().toISOString();
+  return { skill, entry, conflicts };
+}
+
+/**
+ * Roll back a turn. Without entryId, the most recent applied turn is undone.
+ *
+ * Throws (code HISTORY_CONFLICT) when a later turn changed the same fields,
+ * unless force is set — then the turn's "before" values win.
+ *
+ * @param {string} solutionId
+ * @param {string} skillId
+ * @param {Object} [opts]
+ * @param {string} [opts.entryId]
+ * @param {boolean} [opts.force=false]
+ * @returns {Promise<{ skill: Object, entry: Object, conflicts: string[] }>}
+ */
+export async function undo(solutionId, skillId, { entryId, force = false } = {}) {
+  const history = await loadHistory(skillId);
+  const entry = entryId
+    ? history.entries.find(e => e.id === entryId || e.message_id === entryId)
+    : [...history.entries].reverse().find(e => e.status === 'applied');
+
+  if (!entry) throw new Error(entryId ? `History entry ${entryId} not found` : 'Nothing to undo');
+  if (entry.status !== 'applied') throw new Error(`Turn ${entry.id} is already undone`);
+
+  const result = await transition(solutionId, skillId, entry, { side: 'before', force });
+  history.redo.push(entry.id);
+  await skillsStore.saveHistory(skillId, history);
+  return result;
+}
+
+/**
+ * Re-apply the most recently undone turn (or a specific undone turn).
+ *
+ * @param {string} solutionId
+ * @param {string} skillId
+ * @param {Object} [opts]
+ * @param {string} [opts.entryId]
+ * @param {boolean} [opts.force=false]
+ * @returns {Promise<{ skill: Object, entry: Object, conflicts: string[] }>}
+ */
+export async function redo(solutionId, skillId, { entryId, force = false } = {}) {
+  const history = await loadHistory(skillId);
+  const id = entryId
+    ? history.entries.find(e => e.id === entryId || e.message_id === entryId)?.id
+    : history.redo[history.redo.length - 1];
+  const entry = history.entries.find(e => e.id === id);
+
+  if (!entry) throw new Error(entryId ? `History entry ${entryId} not found` : 'Nothing to redo');
+  if (entry.status !== 'undone') throw new Error(`Turn ${entry.id} is not undone`);
+
+  const result = await transition(solutionId, skillId, entry, { side: 'after', force });
+  history.redo = history.redo.filter(r => r !== entry.id);
+  await skillsStore.saveHistory(skillId, history);
+  return result;
+}
+
+export default {
+  diffSkill,
+  formatPath,
+  findConflicts,
+  applyChanges,
+  recordTurn,
+  getHistory,
+  undo,
+  redo,
+};
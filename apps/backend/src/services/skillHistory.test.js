@@ -0,0 +1,193 @@
+/**
+ * Skill History Tests
+ *
+ * Covers the per-turn patch format (diff / apply / conflicts) and the
+ * undo/redo flow against a throwaway memory directory.
+ *
+ * Run with: node src/services/skillHistory.test.js
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Point the store at a scratch directory before it is loaded
+const memoryRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'skill-history-'));
+process.env.MEMORY_PATH = memoryRoot;
+
+const { diffSkill, formatPath, findConflicts, applyChanges, recordTurn, getHistory, undo, redo } = await import('./skillHistory.js');
+const { default: skillsStore } = await import('../store/skills.js');
+
+// ═══════════════════════════════════════════════════════════════
+// TEST UTILITIES
+// ═══════════════════════════════════════════════════════════════
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+    console.log(`    Expected: ${JSON.stringify(expected)}`);
+    console.log(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+async function expectError(fn, code, message) {
+  try {
+    await fn();
+    assert(false, message);
+  } catch (err) {
+    assert(code ? err.code === code : true, message);
+  }
+}
+
+function baseSkill() {
+  return {
+    id: 'history-test',
+    name: 'History Test',
+    problem: { statement: 'Track orders' },
+    tools: [
+      { id: 'tool_a', name: 'get_order', description: 'Get an order' },
+      { id: 'tool_b', name: 'cancel_order', description: 'Cancel an order' },
+    ],
+    policy: { guardrails: { never: ['Share card numbers'], always: [] } },
+    conversation: [],
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DIFF + APPLY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nPatch format');
+console.log('────────────');
+
+{
+  const before = baseSkill();
+  const after = structuredClone(before);
+  after.problem.statement = 'Track and cancel orders';
+  after.tools[0].description = 'Fetch one order';
+  after.tools.splice(1, 1);
+  after.tools.push({ id: 'tool_c', name: 'refund_order' });
+  after.policy.guardrails.never = [];
+  after.conversation.push({ role: 'assistant', content: 'Done' });
+  after.updated_at = new Date().toISOString();
+
+  const changes = diffSkill(before, after);
+  assertEqual(
+    changes.map(c => formatPath(c.path)),
+    ['problem.statement', 'tools[tool_a].description', 'tools[tool_b]', 'tools[tool_c]', 'policy.guardrails.never'],
+    'Records field-level changes and ignores conversation/timestamps'
+  );
+  assert(!('after' in changes[2]) && changes[2].index === 1, 'Removed list item keeps its position');
+
+  const reverted = applyChanges(structuredClone(after), changes, 'before');
+  assertEqual(diffSkill(before, reverted).length, 0, 'Applying the before side restores the skill');
+  assertEqual(reverted.tools.map(t => t.name), ['get_order', 'cancel_order'], 'Removed item goes back in place');
+
+  const reapplied = applyChanges(reverted, changes, 'after');
+  assertEqual(diffSkill(after, reapplied).length, 0, 'Applying the after side re-does the turn');
+}
+
+{
+  const before = baseSkill();
+  const after = structuredClone(before);
+  after.policy.guardrails.never = [];
+  const changes = diffSkill(before, after);
+
+  const later = structuredClone(after);
+  later.tools[0].description = 'Changed in a later turn';
+  assertEqual(findConflicts(later, changes, 'after').length, 0, 'Unrelated later change is not a conflict');
+
+  later.policy.guardrails.never = ['Something else'];
+  assertEqual(findConflicts(later, changes, 'after'), ['policy.guardrails.never'], 'Later edit of the same field is a conflict');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// UNDO / REDO
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nUndo / redo');
+console.log('───────────');
+
+{
+  const turn0 = baseSkill();
+  await skillsStore.save(structuredClone(turn0));
+
+  // Turn 1 mangles the policy, turn 2 edits a tool
+  const turn1 = structuredClone(turn0);
+  turn1.policy.guardrails.never = [];
+  await skillsStore.save(structuredClone(turn1));
+  const entry1 = await recordTurn(null, turn0.id, { before: turn0, after: turn1, messageId: 'msg_1', userMessage: 'tidy the policy' });
+
+  const turn2 = structuredClone(turn1);
+  turn2.tools[1].description = 'Cancel an open order';
+  await skillsStore.save(structuredClone(turn2));
+  await recordTurn(null, turn0.id, { before: turn1, after: turn2, messageId: 'msg_2' });
+
+  assertEqual(await recordTurn(null, turn0.id, { before: turn2, after: structuredClone(turn2), messageId: 'msg_3' }), null, 'Turn without changes is not recorded');
+
+  let history = await getHistory(null, turn0.id);
+  assertEqual(history.entries.map(e => e.message_id), ['msg_2', 'msg_1'], 'Timeline is newest first');
+  assertEqual(history.entries[1].paths, ['policy.guardrails.never'], 'Entries list the changed paths');
+
+  // Roll back only turn 1
+  const { skill } = await undo(null, turn0.id, { entryId: 'msg_1' });
+  assertEqual(skill.policy.guardrails.never, ['Share card numbers'], 'Undo by message id restores the policy');
+  assertEqual(skill.tools[1].description, 'Cancel an open order', 'Later turn is kept');
+
+  history = await getHistory(null, turn0.id);
+  assertEqual(history.entries.map(e => e.status), ['applied', 'undone'], 'Only the selected turn is marked undone');
+  assert(history.can_redo, 'Undone turn can be redone');
+
+  await expectError(() => undo(null, turn0.id, { entryId: entry1.id }), null, 'Undoing an undone turn fails');
+
+  const redone = await redo(null, turn0.id);
+  assertEqual(redone.skill.policy.guardrails.never, [], 'Redo re-applies the turn');
+
+  // Latest-turn undo, then a conflicting manual edit
+  await undo(null, turn0.id);
+  const current = await skillsStore.load(turn0.id);
+  current.tools[1].description = 'Edited by hand';
+  await skillsStore.save(current);
+  await expectError(() => redo(null, turn0.id), 'HISTORY_CONFLICT', 'Redo over a conflicting edit is refused');
+
+  const forced = await redo(null, turn0.id, { force: true });
+  assertEqual(forced.conflicts, ['tools[tool_b].description'], 'Forced redo reports what it overwrote');
+  assertEqual(forced.skill.tools[1].description, 'Cancel an open order', 'Forced redo applies the turn');
+
+  await undo(null, turn0.id);
+  await recordTurn(null, turn0.id, { before: turn2, after: turn0, messageId: 'msg_4' });
+  assert(!(await getHistory(null, turn0.id)).can_redo, 'A new turn clears the redo chain');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+await fs.rm(memoryRoot, { recursive: true, force: true });
+
+console.log('');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`Tests Passed: ${testsPassed}`);
+console.log(`Tests Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════════════');
+
+// The store's tenant context keeps a refresh timer alive
+process.exit(testsFailed > 0 ? 1 : 0);
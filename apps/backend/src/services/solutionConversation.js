@@ -8,6 +8,11 @@
 
 import { buildSolutionSystemPrompt } from '../prompts/solutionSystem.js';
 import { createAdapter } from './llm/adapter.js';
+import { createMessageStreamer } from './llm/messageStream.js';
+import { runDALTurn } from './dalTools.js';
+
+// Reply format: 'tools' = native tool calling, 'json' = legacy single-JSON reply (see services/conversation.js)
+const RESPONSE_MODE = process.env.DAL_RESPONSE_MODE === 'json' ? 'json' : 'tools';
 
 /**
  * Compress conversation history (same strategy as skill conversation)
@@ -64,9 +69,10 @@ function compressConversation(messages) {
  * @param {Object} params
  * @param {Object} params.solution - Solution object
  * @param {string} params.userMessage - User's message
+ * @param {Function} [params.onMessageDelta] - Stream the reply: called with each new piece of the message text
  * @returns {Promise<Object>} - Parsed response with message, stateUpdate, etc.
  */
-export async function processSolutionMessage({ solution, userMessage, llmSettings }) {
+export async function processSolutionMessage({ solution, userMessage, llmSettings, onMessageDelta }) {
   const compressedHistory = compressConversation(solution.conversation);
 
   // Build messages array
@@ -81,7 +87,7 @@ export async function processSolutionMessage({ solution, userMessage, llmSetting
   });
 
   // Build system prompt
-  const systemPrompt = buildSolutionSystemPrompt(solution);
+  const systemPrompt = buildSolutionSystemPrompt(solution, { responseMode: RESPONSE_MODE });
 
   // Get LLM adapter — use frontend settings if provided, fallback to env
   const provider = llmSettings?.llm_provider || process.env.LLM_PROVIDER || 'openai';
@@ -90,13 +96,22 @@ export async function processSolutionMessage({ solution, userMessage, llmSetting
     model: llmSettings?.llm_model
   });
 
-  // Send to LLM
-  const response = await adapter.chat({
+  if (RESPONSE_MODE === 'tools') {
+    const result = await runDALTurn(adapter, { systemPrompt, messages, target: 'solution', onMessageDelta });
+    console.log('[SolutionConversation] Tool-calling turn, state_update keys:', Object.keys(result.stateUpdate));
+    return result;
+  }
+
+  // Send to LLM (streamed when the caller wants message deltas)
+  const request = {
     systemPrompt,
     messages,
     maxTokens: 4096,
     temperature: 0.7,
-  });
+  };
+  const response = onMessageDelta
+    ? await adapter.chatStream({ ...request, onText: createMessageStreamer(onMessageDelta).push })
+    : await adapter.chat(request);
 
   // Handle truncated response
   if (response.stopReason === 'length') {
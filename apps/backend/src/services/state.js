@@ -1,5 +1,6 @@
 import { v4 as uuidv4 } from "uuid";
-import { validateDraftSkill } from '@adas/skill-validator';
+import { validateSkill } from './mcpSchemaDrift.js';
+import { isMockTested } from '@adas/skill-validator';
 import { PHASES } from "../types/DraftSkill.js";
 
 /**
@@ -183,7 +184,7 @@ export function applyStateUpdateWithValidation(skill, updates) {
   updatedSkill.updated_at = new Date().toISOString();
 
   // Run validation pipeline
-  updatedSkill.validation = validateDraftSkill(updatedSkill);
+  updatedSkill.validation = validateSkill(updatedSkill);
 
   return updatedSkill;
 }
@@ -380,7 +381,7 @@ export function canTransitionToPhase(skill, targetPhase) {
        skill.policy?.guardrails?.always?.length > 0),
 
     READY_TO_EXPORT: () =>
-      skill.tools?.every(t => t.mock_status !== 'untested'),
+      skill.tools?.every(isMockTested),
 
     EXPORTED: () =>
       skill.validation?.ready_to_export === true,
@@ -444,7 +445,7 @@ export function getBlockingIssues(skill, targetPhase) {
       break;
 
     case 'READY_TO_EXPORT':
-      const untestedTools = skill.tools?.filter(t => t.mock_status === 'untested') || [];
+      const untestedTools = skill.tools?.filter(t => !isMockTested(t)) || [];
       if (untestedTools.length > 0) {
         issues.push(`Test or skip mocks for tools: ${untestedTools.map(t => t.name).join(', ')}`);
       }
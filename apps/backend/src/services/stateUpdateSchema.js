@@ -0,0 +1,284 @@
+/**
+ * State Update Schema — validates DAL state_update objects before they are applied
+ *
+ * The builder LLMs change a skill (or solution) by sending a flat state_update
+ * object whose keys follow the operations understood by services/state.js and
+ * the solution chat route:
+ *
+ *   "problem.statement": "..."          → set a (dot-notation) field
+ *   "tools_push": {...} | [...]         → add or merge array items
+ *   "tools_update": {...} | [...]       → merge into existing items (matched by name/id)
+ *   "tools_delete": "name" | [...]      → remove items
+ *   "tools_rename": { from, to }        → rename an item
+ *   "scenarios[0].title": "..."         → set a field on an indexed item
+ *
+ * The schemas are derived from the published JSON Schemas of
+ * @adas/skill-validator (buildJsonSchema), so types, enums and required
+ * fields are the ones the validators check at deploy time. Every object
+ * property becomes a dot path ("policy.guardrails.never"). Builder-only
+ * fields the published schemas do not describe are added with their type
+ * alone. Validation returns a list of human-readable errors that can be
+ * handed back to the model for a retry.
+ *
+ * @module services/stateUpdateSchema
+ */
+
+import { buildJsonSchema } from '@adas/skill-validator';
+import { SOLUTION_PHASES } from '../prompts/solutionSystem.js';
+
+const STRING = { type: 'string' };
+const STRING_ARRAY = { type: 'array', items: STRING };
+const OBJECT = { type: 'object' };
+const OBJECT_ARRAY = { type: 'array', items: OBJECT };
+
+// ═══════════════════════════════════════════════════════════════
+// DERIVED SCHEMAS
+// ═══════════════════════════════════════════════════════════════
+
+/** Copy of a schema node with local $refs replaced by their definitions */
+function inlineRefs(node, defs) {
+  if (Array.isArray(node)) return node.map(n => inlineRefs(n, defs));
+  if (!node || typeof node !== 'object') return node;
+  const ref = node.$ref?.match(/^#\/\$defs\/(.+)$/);
+  if (ref) return inlineRefs(defs[ref[1]], defs);
+  return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, inlineRefs(v, defs)]));
+}
+
+/** Drop a field from every `required` list below a node */
+function withoutRequired(node, field) {
+  if (Array.isArray(node)) return node.map(n => withoutRequired(n, field));
+  if (!node || typeof node !== 'object') return node;
+  const copy = Object.fromEntries(Object.entries(node).map(([k, v]) => [k, withoutRequired(v, field)]));
+  if (Array.isArray(copy.required)) copy.required = copy.required.filter(r => r !== field);
+  return copy;
+}
+
+/** Flatten object properties into { "a": node, "a.b": node, ... } */
+function dotPaths(properties, prefix = '', into = {}) {
+  for (const [key, node] of Object.entries(properties)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    into[path] = node;
+    if (node.type === 'object' && node.properties) dotPaths(node.properties, path, into);
+  }
+  return into;
+}
+
+/**
+ * State paths of a published schema, without the server-owned fields.
+ */
+function deriveStateSchema(name, { serverOwned, transform = (n) => n }) {
+  const doc = buildJsonSchema(name);
+  const properties = transform(inlineRefs(doc.properties, doc.$defs || {}));
+  for (const field of serverOwned) delete properties[field];
+  return dotPaths(properties);
+}
+
+/**
+ * DraftSkill paths the DAL may write. The skill id is server-owned, and
+ * services/state.js assigns ids to pushed items, so `id` is never required.
+ */
+export const SKILL_STATE_SCHEMA = {
+  ...deriveStateSchema('skill', { serverOwned: ['id'], transform: (props) => withoutRequired(props, 'id') }),
+  // Builder-only fields the published schema does not describe
+  glossary: OBJECT,
+  toolbox_imports: OBJECT_ARRAY,
+  meta_tools: OBJECT_ARRAY,
+  channels: OBJECT_ARRAY,
+  connectors: STRING_ARRAY,
+  connector_configs: OBJECT_ARRAY,
+  skill_identity: OBJECT,
+  skill_channels: OBJECT,
+  context_propagation: OBJECT,
+  'policy.escalation': OBJECT,
+};
+
+// Arrays that may only change through _push/_update/_rename/_delete (see services/state.js)
+const SKILL_PROTECTED_ARRAYS = [
+  'tools', 'intents.supported', 'policy.guardrails.always', 'policy.guardrails.never', 'scenarios',
+  'grant_mappings', 'access_policy.rules', 'response_filters',
+];
+
+/** Solution paths the Solution Bot may write (see createEmptySolution) */
+export const SOLUTION_STATE_SCHEMA = {
+  ...deriveStateSchema('solution', { serverOwned: ['id'] }),
+  // Builder conversation state, not part of the published solution
+  phase: { type: 'string', enum: SOLUTION_PHASES },
+  'identity.default_roles': STRING_ARRAY,
+};
+
+/**
+ * JSON Schema properties of the update_state `updates` argument: every
+ * writable leaf field by its dot path, and `<path>_push` for every array.
+ * Object fields are reached through their leaves, so each subtree is sent
+ * once. _update/_delete/_rename and indexed keys are not listed.
+ *
+ * @param {'skill' | 'solution'} [target='skill']
+ * @returns {Object<string, Object>}
+ */
+export function updateStateProperties(target = 'skill') {
+  const stateSchema = target === 'solution' ? SOLUTION_STATE_SCHEMA : SKILL_STATE_SCHEMA;
+  const protectedArrays = target === 'solution' ? [] : SKILL_PROTECTED_ARRAYS;
+  const properties = {};
+  for (const [path, node] of Object.entries(stateSchema)) {
+    if (node.type === 'array') {
+      properties[`${path}_push`] = { type: 'array', items: node.items || {}, description: `Items to add to ${path}` };
+      if (!protectedArrays.includes(path)) properties[path] = node;
+    } else if (!(node.type === 'object' && node.properties)) {
+      properties[path] = node;
+    }
+  }
+  return properties;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VALUE CHECKS
+// ═══════════════════════════════════════════════════════════════
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema node, pushing errors for mismatches.
+ * Unknown properties are allowed — the schema only pins down what it names.
+ */
+function checkValue(value, schema, path, errors) {
+  if (!schema) return;
+  const actual = typeOf(value);
+  if (schema.type && actual !== schema.type) {
+    errors.push(`${path}: expected ${schema.type}, got ${actual}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.type === 'object') {
+    for (const req of schema.required || []) {
+      if (value[req] === undefined || value[req] === null || value[req] === '') {
+        errors.push(`${path}.${req}: is required`);
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) checkValue(value[key], sub, `${path}.${key}`, errors);
+    }
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => checkValue(item, schema.items, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * Resolve the schema for a dot path: exact entry first, then the nearest
+ * known ancestor. Returns { schema, known } where known=false means no
+ * ancestor exists at all (an unknown field).
+ */
+function resolvePath(stateSchema, path) {
+  if (stateSchema[path]) return { schema: stateSchema[path], known: true };
+  const parts = path.split('.');
+  for (let i = parts.length - 1; i > 0; i--) {
+    const ancestor = stateSchema[parts.slice(0, i).join('.')];
+    if (ancestor) {
+      // Below an object we only know the root exists; below a scalar the path is invalid
+      return ancestor.type === 'object'
+        ? { schema: null, known: true }
+        : { schema: null, known: false, reason: `${parts.slice(0, i).join('.')} is not an object` };
+    }
+  }
+  return { schema: null, known: false };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// STATE UPDATE VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+const OPERATIONS = ['_push', '_update', '_delete', '_rename'];
+
+/**
+ * Validate a state_update object.
+ *
+ * @param {Object} updates - state_update as produced by the model
+ * @param {Object} [opts]
+ * @param {'skill' | 'solution'} [opts.target='skill']
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateStateUpdate(updates, { target = 'skill' } = {}) {
+  const errors = [];
+  if (typeOf(updates) !== 'object') {
+    return { valid: false, errors: [`state_update must be an object, got ${typeOf(updates)}`] };
+  }
+
+  const stateSchema = target === 'solution' ? SOLUTION_STATE_SCHEMA : SKILL_STATE_SCHEMA;
+  const protectedArrays = target === 'solution' ? [] : SKILL_PROTECTED_ARRAYS;
+
+  for (const [key, value] of Object.entries(updates)) {
+    const op = OPERATIONS.find(o => key.endsWith(o));
+
+    // Indexed item field: "scenarios[0].title"
+    const indexMatch = key.match(/^(.+)\[(\d+)\]\.(.+)$/);
+    if (indexMatch) {
+      const arraySchema = stateSchema[indexMatch[1]];
+      if (!arraySchema || arraySchema.type !== 'array') {
+        errors.push(`${key}: ${indexMatch[1]} is not a known array`);
+      } else {
+        checkValue(value, arraySchema.items?.properties?.[indexMatch[3]], key, errors);
+      }
+      continue;
+    }
+
+    const path = op ? key.slice(0, -op.length) : key;
+    const { schema, known, reason } = resolvePath(stateSchema, path);
+    if (!known) {
+      errors.push(`${key}: unknown field "${path}"${reason ? ` (${reason})` : ''}`);
+      continue;
+    }
+
+    if (!op) {
+      if (protectedArrays.includes(path)) {
+        errors.push(`${key}: arrays cannot be replaced directly — use ${path}_push, ${path}_update, ${path}_rename or ${path}_delete`);
+        continue;
+      }
+      checkValue(value, schema, key, errors);
+      continue;
+    }
+
+    if (schema && schema.type !== 'array') {
+      errors.push(`${key}: ${op} only works on arrays, but ${path} is ${schema.type === 'object' ? 'an object' : `a ${schema.type}`}`);
+      continue;
+    }
+
+    const items = Array.isArray(value) ? value : [value];
+    switch (op) {
+      case '_push':
+        items.forEach((item, i) => checkValue(item, schema?.items, `${key}[${i}]`, errors));
+        break;
+      case '_update':
+        items.forEach((item, i) => {
+          if (typeOf(item) !== 'object') {
+            errors.push(`${key}[${i}]: expected an object with the item's ${target === 'solution' ? 'id/key/name' : 'name'}`);
+          } else if (!(item.name || (target === 'solution' && (item.id || item.key)))) {
+            errors.push(`${key}[${i}]: missing ${target === 'solution' ? 'id, key or name' : 'name'} to match the existing item`);
+          } else {
+            // Partial item — only type-check the fields that are present
+            checkValue(item, { ...schema?.items, required: [] }, `${key}[${i}]`, errors);
+          }
+        });
+        break;
+      case '_delete':
+        items.forEach((item, i) => {
+          if (typeof item !== 'string') errors.push(`${key}[${i}]: expected the name or id (string) of the item to delete`);
+        });
+        break;
+      case '_rename':
+        if (typeOf(value) !== 'object' || typeof value.from !== 'string' || typeof value.to !== 'string') {
+          errors.push(`${key}: expected { "from": "old name", "to": "new name" }`);
+        }
+        break;
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+export default { SKILL_STATE_SCHEMA, SOLUTION_STATE_SCHEMA, updateStateProperties, validateStateUpdate };
@@ -0,0 +1,244 @@
+/**
+ * State Update Schema + DAL Tools Tests
+ *
+ * Covers state_update validation for skills and solutions, and the
+ * update_state retry / partial-save behaviour of the tool-calling turn,
+ * including a turn that runs out of tool rounds.
+ *
+ * Run with: node src/services/stateUpdateSchema.test.js
+ */
+
+import { buildJsonSchema, schemaNodeAt } from '@adas/skill-validator';
+import { validateStateUpdate, SKILL_STATE_SCHEMA, SOLUTION_STATE_SCHEMA } from './stateUpdateSchema.js';
+import { getDALFunctions, createToolTurn, runDALTurn } from './dalTools.js';
+import AnthropicAdapter from './llm/anthropic.js';
+
+// ═══════════════════════════════════════════════════════════════
+// TEST UTILITIES
+// ═══════════════════════════════════════════════════════════════
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const condition = actual === expected;
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+    console.log(`    Expected: ${JSON.stringify(expected)}`);
+    console.log(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+const quietLog = { warn: () => {} };
+
+// ═══════════════════════════════════════════════════════════════
+// SKILL UPDATES
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nSkill state_update validation');
+console.log('─────────────────────────────');
+
+{
+  const { valid } = validateStateUpdate({
+    'problem.statement': 'Customers need help tracking orders',
+    'tools_push': [{ name: 'get_order', inputs: [{ name: 'order_id', type: 'string', required: true }] }],
+    'policy.guardrails.never_push': 'Never share card numbers',
+    'intents.supported_push': { description: 'Track an order', examples: ['Where is my order?'] },
+    'tools_rename': { from: 'get_order', to: 'get_order_status' },
+    'tools_delete': ['old_tool'],
+    'scenarios[0].title': 'Late delivery',
+    'engine.model': 'fast',
+  });
+  assert(valid, 'Accepts the operations documented in the DAL prompt');
+}
+
+{
+  const { valid, errors } = validateStateUpdate({ tools: [{ name: 'a' }] });
+  assert(!valid, 'Rejects direct replacement of a protected array');
+  assert(errors[0].includes('tools_push'), 'Error points at the _push operation');
+}
+
+{
+  const { errors } = validateStateUpdate({ tools_push: [{ description: 'no name' }] });
+  assertEqual(errors[0], 'tools_push[0].name: is required', 'Pushed tool needs a name');
+}
+
+{
+  const { errors } = validateStateUpdate({ tools_push: { name: 't', inputs: [{ name: 'x', type: 'date' }] } });
+  assert(errors.some(e => e.startsWith('tools_push[0].inputs[0].type')), 'Tool input type must be a DataType');
+}
+
+{
+  const { errors } = validateStateUpdate({ 'problem.statement': 42 });
+  assertEqual(errors[0], 'problem.statement: expected string, got number', 'Type-checks dot-notation fields');
+}
+
+{
+  const { errors } = validateStateUpdate({ 'toolz_push': { name: 'x' } });
+  assert(errors[0].includes('unknown field'), 'Rejects unknown top-level fields');
+}
+
+{
+  const { errors } = validateStateUpdate({ 'tools_update': [{ description: 'missing name' }] });
+  assert(errors[0].includes('missing name'), '_update items must carry the name to match');
+}
+
+{
+  const { errors } = validateStateUpdate({ 'tools_rename': 'new_name' });
+  assert(errors[0].includes('"from"'), '_rename needs { from, to }');
+}
+
+{
+  const { valid } = validateStateUpdate('not an object');
+  assert(!valid, 'Rejects non-object state_update');
+}
+
+{
+  const published = buildJsonSchema('skill');
+  for (const path of ['phase', 'tools[].mock_status', 'tools[].inputs[].type', 'policy.workflows[].steps']) {
+    const [root, ...rest] = path.split('[].');
+    const node = rest.reduce((n, key) => n.items.properties[key], SKILL_STATE_SCHEMA[root]);
+    assertEqual(JSON.stringify(node), JSON.stringify(schemaNodeAt(published, path)), `${path} comes from the published skill schema`);
+  }
+  assert(!('id' in SKILL_STATE_SCHEMA), 'The skill id is not writable');
+  assertEqual(validateStateUpdate({ 'policy.workflows_push': { name: 'w', steps: ['a'] } }).valid, true, 'Pushed items need no id');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SOLUTION UPDATES
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nSolution state_update validation');
+console.log('────────────────────────────────');
+
+{
+  const { valid } = validateStateUpdate({
+    skills_push: { id: 'support', role: 'worker', entry_channels: ['email'] },
+    grants_push: { key: 'ecom.customer_id', issued_by: ['identity'] },
+    handoffs_push: { id: 'id-to-support', from: 'identity', to: 'support' },
+    'routing.telegram': { default_skill: 'identity' },
+    skills_delete: 'old-skill',
+    phase: 'GRANT_ECONOMY',
+  }, { target: 'solution' });
+  assert(valid, 'Accepts documented solution commands');
+}
+
+{
+  const { errors } = validateStateUpdate({ skills_push: { id: 'x', role: 'boss' }, phase: 'NOPE' }, { target: 'solution' });
+  assertEqual(errors.length, 2, 'Checks skill role and solution phase enums');
+}
+
+{
+  const published = schemaNodeAt(buildJsonSchema('solution'), 'skills[].role');
+  assertEqual(JSON.stringify(SOLUTION_STATE_SCHEMA.skills.items.properties.role), JSON.stringify(published), 'Skill roles come from the published solution schema');
+}
+
+{
+  const { errors } = validateStateUpdate({ skills_update: { id: 'support', role: 'gateway' } }, { target: 'solution' });
+  assertEqual(errors.length, 0, 'Solution _update may match by id');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TOOL TURN
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nTool-calling turn');
+console.log('─────────────────');
+
+{
+  const updates = getDALFunctions('skill')[0].parameters.properties.updates;
+  assertEqual(updates.properties.phase, SKILL_STATE_SCHEMA.phase, 'update_state lists the writable fields');
+  assertEqual(updates.properties.tools_push.items, SKILL_STATE_SCHEMA.tools.items, 'update_state lists the item schema of each array');
+  assert(!('tools' in updates.properties), 'Protected arrays are only offered as _push');
+  const solution = getDALFunctions('solution')[0].parameters.properties.updates;
+  assertEqual(solution.properties.phase, SOLUTION_STATE_SCHEMA.phase, 'Solution update_state lists the solution fields');
+}
+
+{
+  const turn = createToolTurn({ log: quietLog });
+  const first = await turn.handle('update_state', { updates: { tools_push: [{ name: 'a' }, { description: 'b' }] } });
+  assert(first.startsWith('REJECTED'), 'First invalid update is rejected for retry');
+  assertEqual(Object.keys(turn.result().stateUpdate).length, 0, 'Nothing saved from the rejected call');
+
+  const retry = await turn.handle('update_state', { updates: { tools_push: [{ name: 'a' }, { name: 'b' }] } });
+  assert(retry.startsWith('OK'), 'Corrected update is accepted');
+  assertEqual(turn.result().stateUpdate.tools_push.length, 2, 'Both tools saved after retry');
+}
+
+{
+  const turn = createToolTurn({ log: quietLog });
+  await turn.handle('update_state', { updates: { 'problem.statement': 1 } });
+  const second = await turn.handle('update_state', { updates: { 'problem.statement': 2, 'problem.context': 'ok' } });
+  assert(second.startsWith('PARTIALLY SAVED'), 'Second rejection keeps the valid keys');
+  const { stateUpdate, rejectedUpdates } = turn.result();
+  assertEqual(stateUpdate['problem.context'], 'ok', 'Valid key kept');
+  assertEqual(rejectedUpdates[0].key, 'problem.statement', 'Invalid key reported as dropped');
+}
+
+{
+  const turn = createToolTurn({ log: quietLog });
+  await turn.handle('update_state', { updates: { tools_push: { name: 'a' } } });
+  await turn.handle('update_state', { updates: { tools_push: { name: 'b' } } });
+  await turn.handle('ask_user', { mode: 'selection', options: ['Yes', 'No', ''] });
+  await turn.handle('suggest_focus', { panel: 'tools', id: '' });
+  const { stateUpdate, inputHint, suggestedFocus } = turn.result();
+  assertEqual(stateUpdate.tools_push.length, 2, 'Repeated _push calls accumulate');
+  assertEqual(JSON.stringify(inputHint), '{"mode":"selection","options":["Yes","No"]}', 'ask_user becomes input_hint');
+  assertEqual(JSON.stringify(suggestedFocus), '{"panel":"tools"}', 'suggest_focus drops empty fields');
+}
+
+{
+  const turn = createToolTurn({ log: quietLog });
+  await turn.handle('ask_user', { mode: 'selection', options: [] });
+  assertEqual(turn.result().inputHint.mode, 'text', 'Selection without options falls back to text');
+}
+
+{
+  // A model that never stops calling update_state
+  const realFetch = globalThis.fetch;
+  let round = 0;
+  globalThis.fetch = async () => {
+    round++;
+    return new Response(JSON.stringify({
+      content: [{ type: 'tool_use', id: `call_${round}`, name: 'update_state', input: { updates: { 'problem.context': `round ${round}` } } }],
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 1, output_tokens: 1 },
+    }));
+  };
+  try {
+    const adapter = new AnthropicAdapter({ apiKey: 'test', model: 'test' });
+    const result = await runDALTurn(adapter, { systemPrompt: 'test', messages: [{ role: 'user', content: 'hi' }], target: 'skill', log: quietLog });
+    assertEqual(result.stateUpdate['problem.context'], `round ${round}`, 'Out of tool rounds, the accepted updates are kept');
+    assert(result.message.includes('ran out of steps'), 'Out of tool rounds, the reply says so');
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`Tests Passed: ${testsPassed}`);
+console.log(`Tests Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════════════');
+
+if (testsFailed > 0) {
+  process.exit(1);
+}
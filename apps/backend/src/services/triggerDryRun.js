@@ -0,0 +1,244 @@
+/**
+ * Trigger Dry Run — simulate a skill's triggers without Core
+ *
+ * Trigger status and history only exist once Core's trigger-runner has the
+ * skill, so triggers could not be exercised before a deploy. This replays
+ * them locally and lists the jobs Core would create:
+ *   - schedule triggers over a time range (from, to] (every / cron, timezone,
+ *     active windows and blackout dates — see scheduleEvaluator; intervals
+ *     are counted from `from`)
+ *   - event triggers against injected sample events (event name + filter)
+ *
+ * Disabled triggers never fire. Each job is assumed to run for
+ * `job_duration`; a fire while `concurrency` jobs of the same trigger are
+ * still running is recorded as skipped. per_actor triggers are simulated
+ * for a single actor.
+ *
+ * runFirstSteps() optionally plays the first tool call of each job against
+ * the tool mocks, using the scenario replay's plan and input heuristics.
+ *
+ * @module services/triggerDryRun
+ */
+
+import { nextFireTimes, parseDuration, evaluateFilter } from '@adas/skill-validator';
+import { executeMock } from './mockRunner.js';
+import { startSession, endSession } from './mockSession.js';
+import { buildScenarioPlan, buildToolInput } from './scenarioRunner.js';
+
+/** Fire times computed per schedule trigger before the range is cut off */
+export const MAX_FIRES_PER_TRIGGER = 500;
+/** Longest range a dry run may cover */
+export const MAX_RANGE_DAYS = 31;
+/** Jobs whose first step is played against the mocks */
+export const MAX_FIRST_STEPS = 10;
+
+const DEFAULT_JOB_DURATION = 'PT1M';
+
+/**
+ * @typedef {Object} DryRunJob
+ * @property {string} id
+ * @property {string} trigger_id
+ * @property {'schedule'|'event'} trigger_type
+ * @property {string} fire_at - ISO timestamp
+ * @property {'created'|'skipped'} status
+ * @property {string} [reason] - Why a fire was skipped
+ * @property {string} goal - The trigger prompt, used as the job goal
+ * @property {Object} triggerContext - { trigger_id, type, fired_at, input, event? }
+ * @property {Object} [first_step] - Set by runFirstSteps
+ */
+
+/**
+ * @typedef {Object} DryRunResult
+ * @property {string|null} from
+ * @property {string|null} to
+ * @property {DryRunJob[]} jobs - In fire order
+ * @property {Array<{id: string, type: string, enabled: boolean, status: string, created: number, skipped: number, filtered_out?: number, truncated?: boolean, error?: string}>} triggers
+ * @property {{ created: number, skipped: number }} summary
+ */
+
+/**
+ * Simulate triggers over a time range and/or a list of sample events.
+ *
+ * @param {Object} skill - DraftSkill
+ * @param {Object} opts
+ * @param {string} [opts.from] - Range start (ISO), required with `to`
+ * @param {string} [opts.to] - Range end (ISO)
+ * @param {Array<{type: string, data?: Object, at?: string}>} [opts.events] - Sample events; `at` defaults to `from` or now
+ * @param {string[]} [opts.triggerIds] - Subset to simulate (default: all)
+ * @param {string} [opts.jobDuration='PT1M'] - How long each job is assumed to run (ISO8601)
+ * @returns {DryRunResult}
+ * @throws {Error} With code INVALID_DRY_RUN on bad options
+ */
+export function simulateTriggers(skill, { from, to, events = [], triggerIds = null, jobDuration = DEFAULT_JOB_DURATION } = {}) {
+  const fail = (message) => Object.assign(new Error(message), { code: 'INVALID_DRY_RUN' });
+
+  const hasRange = from !== undefined || to !== undefined;
+  const fromMs = hasRange ? Date.parse(from) : null;
+  const toMs = hasRange ? Date.parse(to) : null;
+  if (hasRange) {
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs)) throw fail('from and to must be ISO timestamps');
+    if (toMs <= fromMs) throw fail('to must be after from');
+    if (toMs - fromMs > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) throw fail(`Range is longer than ${MAX_RANGE_DAYS} days`);
+  }
+  if (!hasRange && events.length === 0) throw fail('Provide a time range (from, to) or at least one sample event');
+  for (const event of events) {
+    if (!event?.type) throw fail('Every sample event needs a type (e.g. "email.received")');
+    if (event.at && Number.isNaN(Date.parse(event.at))) throw fail(`Invalid event time "${event.at}"`);
+  }
+
+  const jobMs = parseDuration(jobDuration);
+  if (!jobMs) throw fail(`Invalid job_duration "${jobDuration}" (use an ISO8601 duration like PT5M)`);
+
+  const triggers = (skill.triggers || []).filter(t => !triggerIds || triggerIds.includes(t.id));
+  const fires = [];
+  const report = [];
+
+  for (const trigger of triggers) {
+    const entry = { id: trigger.id, type: trigger.type, enabled: trigger.enabled !== false, status: 'idle', created: 0, skipped: 0 };
+    report.push(entry);
+
+    if (!entry.enabled) {
+      entry.status = 'disabled';
+      continue;
+    }
+
+    if (trigger.type === 'schedule' && hasRange) {
+      try {
+        const times = nextFireTimes(trigger, { from: new Date(fromMs), count: MAX_FIRES_PER_TRIGGER });
+        const inRange = times.filter(t => Date.parse(t.at) <= toMs);
+        entry.truncated = inRange.length === MAX_FIRES_PER_TRIGGER;
+        for (const time of inRange) fires.push({ trigger, at: Date.parse(time.at) });
+      } catch (err) {
+        entry.status = 'invalid';
+        entry.error = err.message;
+      }
+    }
+
+    if (trigger.type === 'event') {
+      entry.filtered_out = 0;
+      for (const event of events) {
+        if (event.type !== trigger.event) continue;
+        const match = evaluateFilter(trigger.filter, event.data || {});
+        if (match.errors.length > 0) {
+          entry.status = 'invalid';
+          entry.error = `Filter: ${match.errors[0].message}`;
+          break;
+        }
+        if (!match.matched) {
+          entry.filtered_out++;
+          continue;
+        }
+        const at = event.at ? Date.parse(event.at) : (fromMs ?? Date.now());
+        fires.push({ trigger, at, event: { type: event.type, data: event.data || {} } });
+      }
+    }
+  }
+
+  // ─── Replay fires in time order, enforcing concurrency per trigger ───
+  fires.sort((a, b) => a.at - b.at);
+  const running = new Map(); // trigger id → end times of running jobs
+  const jobs = [];
+
+  for (const fire of fires) {
+    const { trigger } = fire;
+    const entry = report.find(r => r.id === trigger.id);
+    const limit = trigger.concurrency || 1;
+    const active = (running.get(trigger.id) || []).filter(end => end > fire.at);
+
+    const firedAt = new Date(fire.at).toISOString();
+    const job = {
+      id: `dryjob_${jobs.length + 1}`,
+      trigger_id: trigger.id,
+      trigger_type: trigger.type,
+      fire_at: firedAt,
+      status: 'created',
+      goal: trigger.prompt || '',
+      triggerContext: {
+        trigger_id: trigger.id,
+        type: trigger.type,
+        fired_at: firedAt,
+        input: trigger.input || {},
+        ...(fire.event && { event: fire.event }),
+      },
+    };
+
+    if (active.length >= limit) {
+      job.status = 'skipped';
+      job.reason = `${active.length} job(s) still running; concurrency is ${limit}`;
+      entry.skipped++;
+    } else {
+      active.push(fire.at + jobMs);
+      entry.created++;
+    }
+    running.set(trigger.id, active);
+    if (entry.status === 'idle') entry.status = 'fired';
+    jobs.push(job);
+  }
+
+  return {
+    from: hasRange ? new Date(fromMs).toISOString() : null,
+    to: hasRange ? new Date(toMs).toISOString() : null,
+    jobs,
+    triggers: report,
+    summary: {
+      created: jobs.filter(j => j.status === 'created').length,
+      skipped: jobs.filter(j => j.status === 'skipped').length,
+    },
+  };
+}
+
+/**
+ * Play the first tool call of created jobs against the tool mocks.
+ * The tool comes from the same plan heuristics as scenario replay (intent
+ * workflow, else tools named in the prompt); trigger input and event data
+ * fill tool inputs of the same name. Mutates the jobs (job.first_step).
+ *
+ * @param {Object} skill
+ * @param {DryRunJob[]} jobs
+ * @param {Object} opts
+ * @param {string} opts.tenant
+ * @param {'example'|'llm'|'hybrid'} [opts.mode='example']
+ * @param {Object} [opts.log]
+ * @returns {Promise<DryRunJob[]>}
+ */
+export async function runFirstSteps(skill, jobs, { tenant, mode = 'example', log = console } = {}) {
+  const created = jobs.filter(j => j.status === 'created').slice(0, MAX_FIRST_STEPS);
+
+  for (const job of created) {
+    const { plan } = buildScenarioPlan(skill, { id: job.trigger_id, title: job.goal, steps: [job.goal] });
+    const first = plan.find(item => item.tool);
+    if (!first) {
+      job.first_step = { tool: null, passed: null, notes: 'The prompt names no tool; the planner picks one at run time' };
+      continue;
+    }
+
+    const session = startSession({ tenant, solutionId: skill.solution_id, skillId: skill.id });
+    const context = { ...(job.triggerContext.event?.data || {}), ...job.triggerContext.input };
+    const input = buildToolInput(first.tool, session);
+    for (const def of first.tool.inputs || []) {
+      if (def?.name && context[def.name] !== undefined) input[def.name] = context[def.name];
+    }
+
+    try {
+      const { output, source } = await executeMock(skill, first.tool, input, { mode, session, log });
+      const failed = output == null || Boolean(output?.error);
+      job.first_step = {
+        tool: first.tool.name,
+        input,
+        output,
+        source,
+        passed: !failed,
+        ...(failed && { notes: output?.error ? String(output.error) : 'Tool returned no output' }),
+      };
+    } catch (err) {
+      log.warn?.(`[TriggerDryRun] ${job.trigger_id}/${first.tool.name} threw: ${err.message}`);
+      job.first_step = { tool: first.tool.name, input, passed: false, notes: err.message };
+    } finally {
+      endSession(session.id, tenant);
+    }
+  }
+
+  return jobs;
+}
+
+export default { simulateTriggers, runFirstSteps };
@@ -0,0 +1,155 @@
+/**
+ * Trigger Dry Run Tests
+ *
+ * Covers simulateTriggers: schedule fires over a range, concurrency skips,
+ * disabled triggers, event filters and option validation.
+ *
+ * Run with: node src/services/triggerDryRun.test.js
+ */
+
+import { simulateTriggers } from './triggerDryRun.js';
+
+// ═══════════════════════════════════════════════════════════════
+// TEST UTILITIES
+// ═══════════════════════════════════════════════════════════════
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const condition = JSON.stringify(actual) === JSON.stringify(expected);
+  if (condition) {
+    testsPassed++;
+    console.log(`  ✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.log(`  ✗ ${message}`);
+    console.log(`    Expected: ${JSON.stringify(expected)}`);
+    console.log(`    Actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+function expectError(fn, code, message) {
+  try {
+    fn();
+    assert(false, message);
+  } catch (err) {
+    assert(err.code === code, message);
+  }
+}
+
+const FROM = '2026-10-23T00:00:00.000Z';
+const TO = '2026-10-23T01:00:00.000Z';
+
+function skillWith(...triggers) {
+  return { id: 'dry-run-test', name: 'Dry Run Test', tools: [], triggers };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SCHEDULE TRIGGERS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nSchedule triggers');
+{
+  const run = simulateTriggers(
+    skillWith({ id: 'poll', type: 'schedule', enabled: true, every: 'PT15M', prompt: 'Poll the queue', input: { queue: 'a' } }),
+    { from: FROM, to: TO }
+  );
+  assertEqual(run.jobs.map(j => j.fire_at.slice(11, 16)), ['00:15', '00:30', '00:45', '01:00'], 'intervals fire within (from, to]');
+  assertEqual(run.jobs[0].triggerContext, {
+    trigger_id: 'poll', type: 'schedule', fired_at: '2026-10-23T00:15:00.000Z', input: { queue: 'a' },
+  }, 'jobs carry the trigger context Core would pass');
+  assertEqual(run.triggers[0].status, 'fired', 'trigger reports fired');
+}
+
+{
+  const run = simulateTriggers(
+    skillWith({ id: 'slow', type: 'schedule', enabled: true, every: 'PT15M', prompt: 'Reconcile', concurrency: 1 }),
+    { from: FROM, to: TO, jobDuration: 'PT20M' }
+  );
+  assertEqual(run.jobs.map(j => j.status), ['created', 'skipped', 'created', 'skipped'], 'fires while a job runs are skipped');
+  assert(run.jobs[1].reason.includes('concurrency is 1'), 'skipped jobs explain why');
+  assertEqual(run.summary, { created: 2, skipped: 2 }, 'summary counts created and skipped jobs');
+}
+
+{
+  const run = simulateTriggers(
+    skillWith(
+      { id: 'off', type: 'schedule', enabled: false, every: 'PT5M', prompt: 'Never' },
+      { id: 'broken', type: 'schedule', enabled: true, cron: '0 25 * * *', prompt: 'Never' }
+    ),
+    { from: FROM, to: TO }
+  );
+  assertEqual(run.jobs, [], 'disabled and invalid triggers create no jobs');
+  assertEqual(run.triggers.map(t => t.status), ['disabled', 'invalid'], 'their status is reported');
+  assert(run.triggers[1].error.includes('out of range'), 'invalid triggers carry the schedule error');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EVENT TRIGGERS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nEvent triggers');
+{
+  const skill = skillWith({
+    id: 'invoices', type: 'event', enabled: true, event: 'email.received',
+    filter: 'subject contains "Invoice"', prompt: 'File the invoice',
+  });
+  const run = simulateTriggers(skill, {
+    events: [
+      { type: 'email.received', data: { subject: 'Invoice #42' }, at: FROM },
+      { type: 'email.received', data: { subject: 'Lunch?' }, at: FROM },
+      { type: 'calendar.updated', data: { subject: 'Invoice review' }, at: FROM },
+    ],
+  });
+  assertEqual(run.jobs.length, 1, 'only matching events of the trigger type fire');
+  assertEqual(run.jobs[0].triggerContext.event, { type: 'email.received', data: { subject: 'Invoice #42' } }, 'the event is passed to the job');
+  assertEqual(run.triggers[0].filtered_out, 1, 'filtered events are counted');
+}
+
+{
+  const run = simulateTriggers(
+    skillWith({ id: 'bad', type: 'event', enabled: true, event: 'x', filter: 'subject contains', prompt: 'p' }),
+    { events: [{ type: 'x', data: {} }] }
+  );
+  assertEqual(run.triggers[0].status, 'invalid', 'a broken filter marks the trigger invalid');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// OPTIONS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nOptions');
+const skill = skillWith({ id: 'poll', type: 'schedule', enabled: true, every: 'PT1H', prompt: 'p' });
+expectError(() => simulateTriggers(skill, {}), 'INVALID_DRY_RUN', 'needs a range or an event');
+expectError(() => simulateTriggers(skill, { from: TO, to: FROM }), 'INVALID_DRY_RUN', 'to must be after from');
+expectError(() => simulateTriggers(skill, { from: FROM, to: '2026-12-31T00:00:00Z' }), 'INVALID_DRY_RUN', 'ranges are capped');
+expectError(() => simulateTriggers(skill, { events: [{ data: {} }] }), 'INVALID_DRY_RUN', 'events need a type');
+expectError(() => simulateTriggers(skill, { from: FROM, to: TO, jobDuration: '5m' }), 'INVALID_DRY_RUN', 'job duration must be ISO8601');
+assertEqual(
+  simulateTriggers(skill, { from: FROM, to: '2026-10-23T03:00:00Z', triggerIds: ['other'] }).jobs,
+  [],
+  'triggerIds limits the simulated triggers'
+);
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`Tests Passed: ${testsPassed}`);
+console.log(`Tests Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════════════');
+
+process.exit(testsFailed > 0 ? 1 : 0);
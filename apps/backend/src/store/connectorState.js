@@ -22,10 +22,14 @@ const STATE_FILE = 'state.json';
  * @property {string} id - Connector ID
  * @property {string} name - Display name
  * @property {string|null} prebuiltId - Prebuilt connector ID (null for custom)
- * @property {string} command - Command to run (e.g., "npx")
+ * @property {string} transport - "stdio", "http" (Streamable HTTP) or "sse"
+ * @property {string} command - Command to run (e.g., "npx") — stdio only
  * @property {string[]} args - Command arguments
+ * @property {string|null} url - Server endpoint — http/sse only
+ * @property {Object} headers - Extra request headers — http/sse only
+ * @property {Object|null} auth - bearer / basic / header credentials — http/sse only
  * @property {Object} env - Environment variables (including credentials)
- * @property {boolean} hasCredentials - Whether env contains sensitive credentials
+ * @property {boolean} hasCredentials - Whether env or auth contains sensitive credentials
  * @property {string} connectedAt - ISO timestamp when first connected
  * @property {boolean} syncedToADAS - Whether synced to ADAS Core
  * @property {Object|null} portInfo - Port allocation info if applicable
@@ -143,8 +147,12 @@ async function saveState(state) {
  * @param {string} config.id - Connector ID
  * @param {string} config.name - Display name
  * @param {string|null} [config.prebuiltId] - Prebuilt ID if applicable
+ * @param {string} [config.transport] - "stdio" (default), "http" or "sse"
  * @param {string} config.command - Command to run
  * @param {string[]} config.args - Command arguments
+ * @param {string} [config.url] - Remote server endpoint
+ * @param {Object} [config.headers] - Extra request headers
+ * @param {Object} [config.auth] - Remote auth settings
  * @param {Object} config.env - Environment variables
  * @param {boolean} [config.syncedToADAS] - Whether synced to ADAS
  * @param {Object|null} [config.portInfo] - Port info if applicable
@@ -153,7 +161,9 @@ async function saveConnector(config) {
   const state = await loadState();
 
   // Check if any env vars are credentials
-  const hasCredentials = Object.keys(config.env || {}).some(isSensitiveKey);
+  const hasCredentials = Object.keys(config.env || {}).some(isSensitiveKey)
+    || !!config.auth
+    || Object.keys(config.headers || {}).some(k => isSensitiveKey(k) || k.toLowerCase() === 'authorization');
 
   // Preserve existing connectedAt if updating
   const existing = state.connectors[config.id];
@@ -163,8 +173,12 @@ async function saveConnector(config) {
     id: config.id,
     name: config.name,
     prebuiltId: config.prebuiltId || null,
+    transport: config.transport || 'stdio',
     command: config.command,
     args: config.args || [],
+    url: config.url || null,
+    headers: config.headers || {},
+    auth: config.auth || null,
     env: config.env || {},
     hasCredentials,
     connectedAt,
@@ -9,6 +9,7 @@
  *   /memory/<slug>/skill.json     - new DAL format
  *   /memory/<slug>/project.json    - legacy format (auto-migrated)
  *   /memory/<slug>/exports/        - exported files
+ *   /memory/<slug>/history.json    - per-turn change history (undo/redo)
  *
  * @module store/skills
  */
@@ -24,6 +25,7 @@ import solutionsStore from './solutions.js';
 
 import { getMemoryRoot } from '../utils/tenantContext.js';
 import gitSync from '../services/gitSync.js';
+import { validateSkill } from '../services/mcpSchemaDrift.js';
 
 /**
  * @typedef {import('../types/DraftSkill.js').DraftSkill} DraftSkill
@@ -369,8 +371,8 @@ async function load(solutionId, slug) {
       // Save normalized data back
       await writeJson(skillPath, skill);
     }
-    // Re-validate on load
-    skill.validation = validateDraftSkill(skill);
+    // Re-validate on load (includes drift against connected MCP connectors)
+    skill.validation = validateSkill(skill);
     // Add solution_id if provided (for API response consistency)
     if (solutionId && !skill.solution_id) {
       skill.solution_id = solutionId;
@@ -494,12 +496,36 @@ async function updateState(solutionId, slug, updates) {
   applyUpdates(skill, updates);
 
   // Re-validate
-  skill.validation = validateDraftSkill(skill);
+  skill.validation = validateSkill(skill);
 
   await save(skill);
   return skill;
 }
 
+/**
+ * Load a skill's change history (services/skillHistory)
+ * @param {string} slug
+ * @returns {Promise<Object|null>} null when no history was recorded yet
+ */
+async function loadHistory(slug) {
+  const historyPath = path.join(getMemoryRoot(), slug, 'history.json');
+  if (!(await fileExists(historyPath))) return null;
+  return readJson(historyPath);
+}
+
+/**
+ * Save a skill's change history. Kept next to skill.json but FS-only:
+ * it is builder-local undo state, not part of the skill definition.
+ * @param {string} slug
+ * @param {Object} history
+ * @returns {Promise<void>}
+ */
+async function saveHistory(slug, history) {
+  const slugDir = path.join(getMemoryRoot(), slug);
+  await ensureDir(slugDir);
+  await writeJson(path.join(slugDir, 'history.json'), history);
+}
+
 // Protected array fields - these can ONLY be modified via _push/_delete/_update operations
 // Direct replacement is blocked to prevent accidental data loss
 const PROTECTED_ARRAYS = ['tools', 'meta_tools', 'intents.supported', 'policy.guardrails.always', 'policy.guardrails.never'];
@@ -810,6 +836,8 @@ export default {
   save,
   appendMessage,
   updateState,
+  loadHistory,
+  saveHistory,
   updateSettings,
   remove,
   saveExport,
@@ -10,6 +10,7 @@
  *   /memory/<tenant>/solutions/<solutionId>/
  *     solution.json       - Solution definition (parsed from solution.yaml)
  *     conversation.json   - Solution Bot conversation history
+ *     regression_runs.json - Regression suite runs (services/regressionRunner)
  *
  * @module store/solutions
  */
@@ -457,6 +458,32 @@ function setNestedValue(obj, path, value) {
   target[lastKey] = value;
 }
 
+/**
+ * Load a solution's regression suite runs (services/regressionRunner)
+ * @param {string} id
+ * @returns {Promise<Array|null>} Oldest first; null when nothing ran yet
+ */
+async function loadRegressionRuns(id) {
+  validateSolutionId(id, 'loadRegressionRuns');
+  const runsPath = path.join(getSolutionsDir(), id, 'regression_runs.json');
+  if (!(await fileExists(runsPath))) return null;
+  return readJson(runsPath);
+}
+
+/**
+ * Save a solution's regression suite runs. FS-only: run results are
+ * builder-local test history, not part of the solution definition.
+ * @param {string} id
+ * @param {Array} runs
+ * @returns {Promise<void>}
+ */
+async function saveRegressionRuns(id, runs) {
+  validateSolutionId(id, 'saveRegressionRuns');
+  const solDir = path.join(getSolutionsDir(), id);
+  await ensureDir(solDir);
+  await writeJson(path.join(solDir, 'regression_runs.json'), runs);
+}
+
 /**
  * Find existing solution by ID or name
  * @param {string} id - Solution ID from yaml
@@ -569,4 +596,6 @@ export default {
   updateState,
   findExisting,
   importFromYaml,
+  loadRegressionRuns,
+  saveRegressionRuns,
 };
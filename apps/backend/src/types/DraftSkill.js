@@ -92,6 +92,10 @@
  * @property {*} actual_output
  * @property {boolean} passed
  * @property {string} [notes]
+ * @property {string} [run_id] - Scenario replay run that produced this result
+ * @property {string} [scenario_id] - Scenario the call belonged to
+ * @property {number} [step] - Step index within the scenario plan
+ * @property {'mcp_bridge' | 'session' | 'example' | 'llm'} [source] - Path that produced actual_output
  */
 
 /**
@@ -427,7 +431,15 @@
  */
 
 /**
- * Schedule trigger - runs periodically based on ISO8601 duration
+ * Time-of-day window in which a schedule trigger may fire (trigger timezone)
+ * @typedef {Object} ActiveWindow
+ * @property {string[]} [days] - Day names ("mon".."sun"); every day when omitted
+ * @property {string} [start] - "HH:MM", inclusive (default "00:00")
+ * @property {string} [end] - "HH:MM", exclusive (default "24:00"); before start = runs past midnight
+ */
+
+/**
+ * Schedule trigger - runs on an ISO8601 interval or a cron expression
  * @typedef {Object} ScheduleTrigger
  * @property {string} id - Unique identifier within the skill
  * @property {'schedule'} type - Always 'schedule'
@@ -435,7 +447,11 @@
  * @property {number} concurrency - Max parallel jobs (default: 1)
  * @property {string} prompt - Goal prompt for the triggered job
  * @property {Object} [input] - Arbitrary input passed to triggerContext
- * @property {string} every - ISO8601 duration (e.g., "PT2M" = 2 minutes, "PT1H" = 1 hour, "P1D" = 1 day)
+ * @property {string} [every] - ISO8601 duration (e.g., "PT2M" = 2 minutes, "PT1H" = 1 hour, "P1D" = 1 day)
+ * @property {string} [cron] - 5-field cron expression (e.g., "30 8 * * mon-fri"); exclusive with every
+ * @property {string} [timezone] - IANA timezone for cron, windows and blackout dates (default "UTC")
+ * @property {ActiveWindow[]} [active_windows] - Fire only inside these windows
+ * @property {string[]} [blackout_dates] - "YYYY-MM-DD" local dates on which the trigger never fires
  */
 
 /**
@@ -448,7 +464,9 @@
  * @property {string} prompt - Goal prompt for the triggered job
  * @property {Object} [input] - Arbitrary input passed to triggerContext
  * @property {string} event - Event type name (e.g., "email.received", "slack.message")
- * @property {Object} [filter] - Equality filter on event.data fields
+ * @property {string|Object} [filter] - Filter expression over event.data
+ *   (e.g. 'subject contains "invoice" and from endsWith "@vendor.com"'),
+ *   or a legacy equality object on event.data fields
  */
 
 /**
@@ -481,6 +499,7 @@
  * @property {string} path - e.g., "policy.workflows[0].steps[2]"
  * @property {string} message
  * @property {string} [suggestion]
+ * @property {{ type: string, label: string, [key: string]: any }} [action] - One-click fix the UI can offer (e.g. resync_tool)
  */
 
 /**
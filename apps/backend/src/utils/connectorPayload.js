@@ -18,7 +18,7 @@
  * @returns {boolean}
  */
 export function isStdioTransport(mcp) {
-  if (mcp.transport === 'http') return false;
+  if (mcp.transport === 'http' || mcp.transport === 'sse') return false;
   if (mcp.transport === 'stdio') return true;
   return !!mcp.command;
 }
@@ -96,7 +96,7 @@ export function buildCatalogEntry(mcp) {
     id: mcp.id,
     name: mcp.name,
     description: mcp.description,
-    transport: stdio ? 'stdio' : 'http',
+    transport: stdio ? 'stdio' : (mcp.transport === 'sse' ? 'sse' : 'http'),
     category: mcp.category || 'custom',
     requiresAuth: mcp.requiresAuth || false,
     layer: mcp.layer || 'tenant'
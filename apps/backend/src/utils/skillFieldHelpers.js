@@ -219,6 +219,67 @@ export function yamlContextPropagationBlock(propagation) {
   return lines;
 }
 
+/**
+ * Triggers block — enabled schedule/event triggers for the trigger-runner.
+ * Schedule triggers carry either `every` or `cron`, plus the calendar fields.
+ * @param {Array} triggers - skill.triggers array
+ */
+export function yamlTriggersBlock(triggers) {
+  const lines = [];
+  const enabled = (triggers || []).filter(t => t.enabled);
+  if (enabled.length > 0) {
+    lines.push(`triggers:`);
+    for (const trigger of enabled) {
+      lines.push(`  - id: ${yamlString(trigger.id)}`);
+      lines.push(`    type: ${trigger.type}`);
+      lines.push(`    concurrency: ${trigger.concurrency || 1}`);
+      if (trigger.type === 'schedule') {
+        if (trigger.cron) {
+          // Always quoted: a leading "*" or "@" is YAML syntax
+          lines.push(`    cron: ${JSON.stringify(trigger.cron)}`);
+        } else {
+          lines.push(`    every: ${yamlString(trigger.every)}`);
+        }
+        if (trigger.timezone) {
+          lines.push(`    timezone: ${yamlString(trigger.timezone)}`);
+        }
+        if (trigger.active_windows?.length > 0) {
+          lines.push(`    active_windows:`);
+          for (const window of trigger.active_windows) {
+            const entries = [
+              window.days?.length > 0 && `days: [${window.days.map(d => yamlString(d)).join(', ')}]`,
+              window.start && `start: ${yamlString(window.start)}`,
+              window.end && `end: ${yamlString(window.end)}`,
+            ].filter(Boolean);
+            lines.push(`      - ${entries.length > 0 ? entries.join('\n        ') : '{}'}`);
+          }
+        }
+        if (trigger.blackout_dates?.length > 0) {
+          // Quoted so YAML loaders keep them as strings, not timestamps
+          lines.push(`    blackout_dates: [${trigger.blackout_dates.map(d => JSON.stringify(d)).join(', ')}]`);
+        }
+      } else if (trigger.type === 'event') {
+        lines.push(`    event: ${yamlString(trigger.event)}`);
+        if (typeof trigger.filter === 'string' && trigger.filter.trim()) {
+          // Expressions contain quotes, brackets and colons — always quoted
+          lines.push(`    filter: ${JSON.stringify(trigger.filter.trim())}`);
+        } else if (trigger.filter && Object.keys(trigger.filter).length > 0) {
+          lines.push(`    filter:`);
+          for (const [key, value] of Object.entries(trigger.filter)) {
+            lines.push(`      ${key}: ${yamlString(value)}`);
+          }
+        }
+      }
+      lines.push(`    prompt: ${yamlString(trigger.prompt)}`);
+      if (trigger.input && Object.keys(trigger.input).length > 0) {
+        lines.push(`    input: ${JSON.stringify(trigger.input)}`);
+      }
+    }
+    lines.push(``);
+  }
+  return lines;
+}
+
 // ── JSON field compiler ─────────────────────────────────────────────────────
 
 /**
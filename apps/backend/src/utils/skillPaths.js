@@ -0,0 +1,45 @@
+/**
+ * Skill paths - read and compare values inside a skill definition
+ *
+ * Shared by services/skillHistory (per-turn patches) and services/gitSyncDrift
+ * (three-way merges). Paths use skillHistory's patch path format.
+ *
+ * @module utils/skillPaths
+ */
+
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Structural equality of JSON values. Keys set to undefined count as absent.
+ */
+export function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keysA = Object.keys(a).filter(k => a[k] !== undefined);
+    const keysB = Object.keys(b).filter(k => b[k] !== undefined);
+    return keysA.length === keysB.length && keysA.every(k => deepEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+/**
+ * One path segment down from container, or undefined.
+ */
+export function step(container, seg) {
+  if (typeof seg === 'object') {
+    return Array.isArray(container) ? container.find(item => item?.[seg.key] === seg.value) : undefined;
+  }
+  return isPlainObject(container) ? container[seg] : undefined;
+}
+
+/**
+ * Value at path, or undefined when any segment is missing.
+ */
+export function getAt(root, path) {
+  return path.reduce((current, seg) => step(current, seg), root);
+}
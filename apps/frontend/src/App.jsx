@@ -161,7 +161,8 @@ export default function App() {
     loadSkill,
     deleteSkill,
     updateSkill,
-    addMessage
+    addMessage,
+    updateMessage
   } = useSkill();
 
   const {
@@ -174,6 +175,7 @@ export default function App() {
     deleteSolution,
     updateSolution,
     addMessage: addSolutionMessage,
+    updateMessage: updateSolutionMessage,
   } = useSolution();
 
   const { settings, updateSettings, showModal, openSettings, closeSettings, hasApiKey, backendStatus } = useSettings();
@@ -457,21 +459,34 @@ export default function App() {
     });
 
     setSending(true);
+    const streamId = `msg_${Date.now()}_reply`;
+    let streamStarted = false;
     try {
       const llmSettings = {
         llm_provider: settings.llm_provider,
         llm_model: settings.model_tier || 'normal'
       };
-      const response = await api.sendSkillMessage(currentSolution.id, currentSkill.id, message, uiFocus, llmSettings);
-      addMessage({
-        id: `msg_${Date.now()}`,
-        role: 'assistant',
+      const response = await api.streamSkillMessage(currentSolution.id, currentSkill.id, message, uiFocus, llmSettings, (text) => {
+        // First token replaces the typing indicator with a live assistant bubble
+        if (!streamStarted) {
+          streamStarted = true;
+          addMessage({ id: streamId, role: 'assistant', content: text, timestamp: new Date().toISOString(), streaming: true });
+        } else {
+          updateMessage(streamId, m => ({ content: (m.content || '') + text }));
+        }
+      });
+      const finalMessage = {
         content: response.message,
-        timestamp: new Date().toISOString(),
         state_update: response.state_update,
         suggested_focus: response.suggested_focus,
-        input_hint: response.input_hint
-      });
+        input_hint: response.input_hint,
+        streaming: false
+      };
+      if (streamStarted) {
+        updateMessage(streamId, finalMessage);
+      } else {
+        addMessage({ id: streamId, role: 'assistant', timestamp: new Date().toISOString(), ...finalMessage });
+      }
       // Update input hint from response
       setInputHint(response.input_hint || null);
       // Update context indicator from suggested_focus
@@ -490,6 +505,7 @@ export default function App() {
         updateSkill(response.skill);
       }
     } catch (err) {
+      if (streamStarted) updateMessage(streamId, { streaming: false });
       addMessage({
         id: `msg_${Date.now()}`,
         role: 'assistant',
@@ -500,7 +516,7 @@ export default function App() {
     } finally {
       setSending(false);
     }
-  }, [currentSkill, currentSolution?.id, uiFocus, addMessage, updateSkill, detectContextFromInput, CONTEXT_LABELS, LABEL_TO_FOCUS, settings]);
+  }, [currentSkill, currentSolution?.id, uiFocus, addMessage, updateMessage, updateSkill, detectContextFromInput, CONTEXT_LABELS, LABEL_TO_FOCUS, settings]);
 
   const handleSendSolutionMessage = useCallback(async (message) => {
     if (!currentSolution) return;
@@ -519,21 +535,34 @@ export default function App() {
     });
 
     setSending(true);
+    const streamId = `msg_${Date.now()}_reply`;
+    let streamStarted = false;
     try {
       const llmSettings = {
         llm_provider: settings.llm_provider,
         llm_model: settings.model_tier || 'normal'
       };
-      const response = await api.sendSolutionMessage(currentSolution.id, message, llmSettings);
-      addSolutionMessage({
-        id: `msg_${Date.now()}`,
-        role: 'assistant',
+      const response = await api.streamSolutionMessage(currentSolution.id, message, llmSettings, (text) => {
+        // First token replaces the typing indicator with a live assistant bubble
+        if (!streamStarted) {
+          streamStarted = true;
+          addSolutionMessage({ id: streamId, role: 'assistant', content: text, timestamp: new Date().toISOString(), streaming: true });
+        } else {
+          updateSolutionMessage(streamId, m => ({ content: (m.content || '') + text }));
+        }
+      });
+      const finalMessage = {
         content: response.message,
-        timestamp: new Date().toISOString(),
         state_update: response.state_update,
         suggested_focus: response.suggested_focus,
-        input_hint: response.input_hint
-      });
+        input_hint: response.input_hint,
+        streaming: false
+      };
+      if (streamStarted) {
+        updateSolutionMessage(streamId, finalMessage);
+      } else {
+        addSolutionMessage({ id: streamId, role: 'assistant', timestamp: new Date().toISOString(), ...finalMessage });
+      }
       setInputHint(response.input_hint || null);
       // Update context indicator from suggested_focus
       if (response.suggested_focus) {
@@ -551,6 +580,7 @@ export default function App() {
         updateSolution(response.solution);
       }
     } catch (err) {
+      if (streamStarted) updateSolutionMessage(streamId, { streaming: false });
       addSolutionMessage({
         id: `msg_${Date.now()}`,
         role: 'assistant',
@@ -561,7 +591,7 @@ export default function App() {
     } finally {
       setSending(false);
     }
-  }, [currentSolution, addSolutionMessage, updateSolution, detectContextFromInput, CONTEXT_LABELS, LABEL_TO_FOCUS, settings]);
+  }, [currentSolution, addSolutionMessage, updateSolutionMessage, updateSolution, detectContextFromInput, CONTEXT_LABELS, LABEL_TO_FOCUS, settings]);
 
   const handleSimplifyMessage = useCallback(async (content) => {
     const llmSettings = {
@@ -217,6 +217,42 @@ export async function getSkillValidation(solutionId, skillId) {
   return data.validation;
 }
 
+// Skill history (per-turn undo/redo of chat state changes)
+export async function getSkillHistory(solutionId, skillId) {
+  if (!solutionId) throw new Error('solutionId is required');
+  return request(`/solutions/${solutionId}/skills/${skillId}/history`);
+}
+
+export async function undoSkillTurn(solutionId, skillId, { entryId = null, force = false } = {}) {
+  if (!solutionId) throw new Error('solutionId is required');
+  return request(`/solutions/${solutionId}/skills/${skillId}/undo`, {
+    method: 'POST',
+    body: JSON.stringify({ ...(entryId && { entry_id: entryId }), force })
+  });
+}
+
+export async function redoSkillTurn(solutionId, skillId, { entryId = null, force = false } = {}) {
+  if (!solutionId) throw new Error('solutionId is required');
+  return request(`/solutions/${solutionId}/skills/${skillId}/redo`, {
+    method: 'POST',
+    body: JSON.stringify({ ...(entryId && { entry_id: entryId }), force })
+  });
+}
+
+// MCP schema drift of bridged tools
+export async function getSkillMcpDrift(solutionId, skillId) {
+  if (!solutionId) throw new Error('solutionId is required');
+  const data = await request(`/solutions/${solutionId}/skills/${skillId}/mcp-drift`);
+  return data.tools;
+}
+
+export async function resyncSkillTool(solutionId, skillId, toolId) {
+  if (!solutionId) throw new Error('solutionId is required');
+  return request(`/solutions/${solutionId}/skills/${skillId}/tools/${encodeURIComponent(toolId)}/resync`, {
+    method: 'POST'
+  });
+}
+
 // Chat
 export async function sendSkillMessage(solutionId, skillId, message, uiFocus = null, llmSettings = null) {
   if (!solutionId) throw new Error('solutionId is required');
@@ -233,6 +269,68 @@ export async function sendSkillMessage(solutionId, skillId, message, uiFocus = n
   return response;
 }
 
+/**
+ * POST a chat turn to a streaming endpoint and read its SSE events.
+ * Calls onDelta(text) for each piece of the assistant message and resolves
+ * with the final "done" payload (same shape as the non-streaming endpoint).
+ */
+async function streamChat(path, body, onDelta) {
+  const streamHeaders = { 'Content-Type': 'application/json' };
+  if (_authToken) {
+    streamHeaders['Authorization'] = `Bearer ${_authToken}`;
+  }
+  streamHeaders['X-ADAS-TENANT'] = getTenant();
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: streamHeaders,
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || `Request failed: ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // Keep incomplete line in buffer
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      let data;
+      try {
+        data = JSON.parse(line.slice(6));
+      } catch (e) {
+        continue; // Skip invalid JSON
+      }
+      if (data.type === 'delta') onDelta?.(data.text);
+      else if (data.type === 'error') throw new Error(data.error || 'Chat failed');
+      else if (data.type === 'done') return data;
+    }
+  }
+
+  throw new Error('Chat stream ended unexpectedly');
+}
+
+export async function streamSkillMessage(solutionId, skillId, message, uiFocus = null, llmSettings = null, onDelta = null) {
+  if (!solutionId) throw new Error('solutionId is required');
+  return streamChat('/chat/skill/stream', {
+    solution_id: solutionId,
+    skill_id: skillId,
+    message,
+    ui_focus: uiFocus,
+    llm_settings: llmSettings
+  }, onDelta);
+}
+
 export async function getSkillGreeting() {
   const data = await request('/chat/skill/greeting');
   return {
@@ -297,14 +395,52 @@ export async function simplifyMessage(message, llmSettings = null) {
 }
 
 // Mock testing
-export async function runMock(solutionId, skillId, toolId, input, mode = 'example') {
+export async function runMock(solutionId, skillId, toolId, input, mode = 'example', sessionId = null) {
   if (!solutionId) throw new Error('solutionId is required');
   return request(`/mock/${skillId}/${toolId}`, {
     method: 'POST',
-    body: JSON.stringify({ solution_id: solutionId, input, mode })
+    body: JSON.stringify({ solution_id: solutionId, input, mode, ...(sessionId && { session_id: sessionId }) })
   });
 }
 
+// Scenario replay — runs skill.scenarios against the tool mocks and records results
+export async function runScenarios(solutionId, skillId, { scenarioIds = null, mode = 'hybrid' } = {}) {
+  if (!solutionId) throw new Error('solutionId is required');
+  return request(`/mock/${skillId}/scenarios/run`, {
+    method: 'POST',
+    body: JSON.stringify({ solution_id: solutionId, mode, ...(scenarioIds && { scenario_ids: scenarioIds }) })
+  });
+}
+
+// Trigger dry run: jobs the triggers would create over { from, to } and/or sample events
+export async function dryRunTriggers(solutionId, skillId, { from, to, events, runFirstStep = false } = {}) {
+  if (!solutionId) throw new Error('solutionId is required');
+  return request(`/mock/${skillId}/triggers/dry-run`, {
+    method: 'POST',
+    body: JSON.stringify({ solution_id: solutionId, from, to, events, run_first_step: runFirstStep })
+  });
+}
+
+// Mock sessions (entities carried across consecutive mock calls)
+export async function startMockSession(solutionId, skillId, runId = null) {
+  if (!solutionId) throw new Error('solutionId is required');
+  const data = await request('/mock/sessions', {
+    method: 'POST',
+    body: JSON.stringify({ solution_id: solutionId, skill_id: skillId, run_id: runId })
+  });
+  return data.session;
+}
+
+export async function getMockSession(sessionId) {
+  const data = await request(`/mock/sessions/${sessionId}`);
+  return data.session;
+}
+
+export async function resetMockSession(sessionId) {
+  const data = await request(`/mock/sessions/${sessionId}/reset`, { method: 'POST' });
+  return data.session;
+}
+
 // Validation
 export async function validateToolsConsistency(solutionId, skillId, newTool = null) {
   if (!solutionId) throw new Error('solutionId is required');
@@ -362,6 +498,19 @@ export async function validateSecurityConsistency(solutionId, skillId) {
   });
 }
 
+// Access policy what-if: pass { actor, tool, args } for one call or { actors, tools } for a matrix
+export async function simulateAccess(solutionId, skillId, scenario) {
+  if (!solutionId) throw new Error('solutionId is required');
+  return request('/validate/access-simulate', {
+    method: 'POST',
+    body: JSON.stringify({
+      solution_id: solutionId,
+      skill_id: skillId,
+      ...scenario
+    })
+  });
+}
+
 export async function validateAll(solutionId, skillId) {
   if (!solutionId) throw new Error('solutionId is required');
   // Run all validations in parallel
@@ -416,6 +565,13 @@ export async function previewAdasExport(solutionId, skillId) {
   return request(`/export/${skillId}/adas/preview?solution_id=${solutionId}`);
 }
 
+// Semantic diff of the Builder definition against what Core has deployed
+export async function getDeployDiff(solutionId, skillId) {
+  if (!solutionId) throw new Error('solutionId is required');
+  const query = skillId ? `?skill_id=${encodeURIComponent(skillId)}` : '';
+  return request(`/solutions/${solutionId}/diff${query}`);
+}
+
 // Connectors
 export async function listConnectors() {
   return request('/connectors');
@@ -447,6 +603,10 @@ export async function getConnectorStatus(id) {
   return request(`/connectors/${id}/status`);
 }
 
+export async function restartConnector(id) {
+  return request(`/connectors/${id}/restart`, { method: 'POST' });
+}
+
 export async function getConnectorTools(id) {
   return request(`/connectors/${id}/tools`);
 }
@@ -635,6 +795,10 @@ export async function sendSolutionMessage(solutionId, message, llmSettings = nul
   });
 }
 
+export async function streamSolutionMessage(solutionId, message, llmSettings = null, onDelta = null) {
+  return streamChat(`/solutions/${solutionId}/chat/stream`, { message, llm_settings: llmSettings }, onDelta);
+}
+
 export async function getSolutionGreeting(solutionId) {
   const data = await request(`/solutions/${solutionId}/greeting`);
   return {
@@ -656,11 +820,65 @@ export async function getSolutionValidationReport(id) {
   return request(`/solutions/${id}/validation-report`);
 }
 
+// Grant flow from an entry channel through the handoff graph (TeamMapView overlay)
+export async function simulateGrantFlow(id, { channel, actor } = {}) {
+  const data = await request(`/solutions/${id}/grant-flow`, {
+    method: 'POST',
+    body: JSON.stringify({ channel, actor })
+  });
+  return data.flow;
+}
+
 export async function getSolutionTopology(id) {
   const data = await request(`/solutions/${id}/topology`);
   return data.topology;
 }
 
+// Regression suite (cases stored on the solution, runs kept by the backend)
+export async function getRegression(id) {
+  return request(`/solutions/${id}/regression`);
+}
+
+export async function saveRegressionSuite(id, suite) {
+  const data = await request(`/solutions/${id}/regression/suite`, {
+    method: 'PUT',
+    body: JSON.stringify({ suite })
+  });
+  return data.suite;
+}
+
+export async function runRegression(id, { tests = null } = {}) {
+  return request(`/solutions/${id}/regression`, {
+    method: 'POST',
+    body: JSON.stringify(tests ? { tests } : {})
+  });
+}
+
+export async function getRegressionRun(id, runId) {
+  const data = await request(`/solutions/${id}/regression/runs/${runId}`);
+  return data.run;
+}
+
+// gitSync drift inbox (Builder FS vs the solution's git repo)
+export async function getGitSyncDrift(solutionId) {
+  const data = await request(`/gitsync/drift?solutionId=${encodeURIComponent(solutionId)}`);
+  return data.solutions?.[0]?.items || [];
+}
+
+export async function scanGitSyncDrift(solutionId) {
+  return request('/gitsync/drift/scan', {
+    method: 'POST',
+    body: JSON.stringify({ solutionId })
+  });
+}
+
+export async function resolveGitSyncDrift(solutionId, path, { action, choices, prefer } = {}) {
+  return request('/gitsync/drift/resolve', {
+    method: 'POST',
+    body: JSON.stringify({ solutionId, path, action, choices, prefer })
+  });
+}
+
 // ============================================
 // Actors (CORE cp.admin_api bridge)
 // ============================================
@@ -910,21 +1128,21 @@ export async function triggerRetentionCleanup(dryRun = false) {
 }
 
 // ============================================
-// Node.js MCP Template Export
+// MCP Template Export (target: 'node' | 'typescript')
 // ============================================
 
 export async function downloadGenericMCPTemplate() {
   return request('/export/mcp/template/generic');
 }
 
-export async function exportNodeMCPTemplate(solutionId, skillId) {
+export async function exportNodeMCPTemplate(solutionId, skillId, target = 'node') {
   if (!solutionId) throw new Error('solutionId is required');
-  return request(`/export/${skillId}/mcp/template?solution_id=${solutionId}`, { method: 'POST' });
+  return request(`/export/${skillId}/mcp/template?solution_id=${solutionId}&target=${target}`, { method: 'POST' });
 }
 
-export async function previewNodeMCPTemplate(solutionId, skillId) {
+export async function previewNodeMCPTemplate(solutionId, skillId, target = 'node') {
   if (!solutionId) throw new Error('solutionId is required');
-  return request(`/export/${skillId}/mcp/template/preview?solution_id=${solutionId}`);
+  return request(`/export/${skillId}/mcp/template/preview?solution_id=${solutionId}&target=${target}`);
 }
 
 // ============================================
@@ -1074,6 +1292,22 @@ export async function getTriggerHistory(solutionId, skillId, triggerId, limit =
   return request(`/export/${skillId}/triggers/${encodeURIComponent(triggerId)}/history?limit=${limit}&solution_id=${solutionId}`);
 }
 
+// Run an event trigger filter against a sample event.data payload
+export async function testEventFilter(filter, payload) {
+  return request('/validate/event-filter', {
+    method: 'POST',
+    body: JSON.stringify({ filter, payload })
+  });
+}
+
+// Next fire times of a schedule trigger (sent as-is, so unsaved edits preview too)
+export async function previewSchedule(trigger, count = 5) {
+  return request('/validate/schedule-preview', {
+    method: 'POST',
+    body: JSON.stringify({ trigger, count })
+  });
+}
+
 // ============================================
 // Agent API (External Agent Tunnel)
 // ============================================
@@ -1121,22 +1355,31 @@ export default {
   updateSkillSettings,
   deleteSkill,
   getSkillValidation,
+  getSkillHistory,
+  undoSkillTurn,
+  redoSkillTurn,
+  getSkillMcpDrift,
+  resyncSkillTool,
   sendSkillMessage,
+  streamSkillMessage,
   getSkillGreeting,
   digestFile,
   applyExtraction,
   runMock,
+  dryRunTriggers,
   validateToolsConsistency,
   validatePolicyConsistency,
   validateIntentsConsistency,
   validateIdentityConsistency,
   validateSecurityConsistency,
+  simulateAccess,
   validateAll,
   exportSkill,
   previewExport,
   downloadExport,
   deployToAdas,
   previewAdasExport,
+  getDeployDiff,
   // Connectors
   listConnectors,
   listPrebuiltConnectors,
@@ -1144,6 +1387,7 @@ export default {
   connectPrebuilt,
   disconnectMCP,
   getConnectorStatus,
+  restartConnector,
   getConnectorTools,
   callConnectorTool,
   importConnectorTools,
@@ -1192,6 +1436,8 @@ export default {
   getTriggersStatus,
   toggleTriggerInCore,
   getTriggerHistory,
+  previewSchedule,
+  testEventFilter,
   // Node.js MCP Template
   downloadGenericMCPTemplate,
   exportNodeMCPTemplate,
@@ -1214,11 +1460,20 @@ export default {
   updateSolution,
   deleteSolution,
   sendSolutionMessage,
+  streamSolutionMessage,
   getSolutionGreeting,
   validateSolution,
   getSolutionValidation,
   getSolutionValidationReport,
   getSolutionTopology,
+  getRegression,
+  saveRegressionSuite,
+  runRegression,
+  getRegressionRun,
+  getGitSyncDrift,
+  scanGitSyncDrift,
+  resolveGitSyncDrift,
+  simulateGrantFlow,
   // Package Import
   importPackage,
   importSolutionPack,
@@ -2,6 +2,7 @@ import { useRef, useEffect, useMemo, useState, useCallback } from 'react';
 import SmartInput from './SmartInput';
 import SolutionSummaryCard from './SolutionSummaryCard';
 import SolutionVerificationPanel from './SolutionVerificationPanel';
+import { isMockTested } from '@adas/skill-validator/src/browser.js';
 
 /**
  * Get badge color based on ratio and thresholds
@@ -52,7 +53,7 @@ function getCategoryBadge(key, skill) {
     case 'mocks': {
       const tools = skill.tools || [];
       if (tools.length === 0) return { label: 'Mocks', text: '0', bg: 'var(--bg-tertiary)', color: 'var(--text-muted)' };
-      const tested = tools.filter(t => t.mock_status === 'tested' || t.mock_status === 'skipped').length;
+      const tested = tools.filter(isMockTested).length;
       return { label: 'Mocks', text: `${tested}/${tools.length}`, ...getBadgeColor(tested, tools.length, 1) };
     }
     case 'engine': {
@@ -305,6 +306,15 @@ const styles = {
     background: 'var(--accent)',
     animation: 'pulse 1.4s ease-in-out infinite'
   },
+  streamCursor: {
+    display: 'inline-block',
+    width: '7px',
+    height: '14px',
+    marginLeft: '2px',
+    verticalAlign: 'text-bottom',
+    background: 'var(--accent)',
+    animation: 'blink 1s step-end infinite'
+  },
   simplifyBar: {
     display: 'flex',
     alignItems: 'center',
@@ -857,6 +867,8 @@ export default function ChatPanel({
   const [skillDropdownOpen, setSkillDropdownOpen] = useState(false);
   // Track simplified versions per message index: { [index]: { simplified: string, showSimplified: boolean, loading: boolean } }
   const [simplifiedMap, setSimplifiedMap] = useState({});
+  // An assistant reply is streaming in — it replaces the typing indicator
+  const streaming = !!messages[messages.length - 1]?.streaming;
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -1045,9 +1057,9 @@ export default function ChatPanel({
             contentLower.includes('checks pass')
           );
 
-          const showDashboard = isLastAssistant && hasStatusContent && skill && !isSolutionMode;
-          const showSolutionSummary = hasSolutionSummary;
-          const showSolutionVerification = hasSolutionVerification;
+          const showDashboard = isLastAssistant && hasStatusContent && skill && !isSolutionMode && !msg.streaming;
+          const showSolutionSummary = hasSolutionSummary && !msg.streaming;
+          const showSolutionVerification = hasSolutionVerification && !msg.streaming;
 
           return (
             <div
@@ -1079,7 +1091,13 @@ export default function ChatPanel({
                   ? simplifiedMap[i].simplified
                   : msg.content
               )}
-              {msg.role === 'assistant' && !msg.isError && onSimplifyMessage && msg.content?.length > 200 && (
+              {msg.streaming && (
+                <>
+                  <span style={styles.streamCursor} />
+                  <style>{`@keyframes blink { 50% { opacity: 0; } }`}</style>
+                </>
+              )}
+              {msg.role === 'assistant' && !msg.isError && !msg.streaming && onSimplifyMessage && msg.content?.length > 200 && (
                 <div style={styles.simplifyBar}>
                   {simplifiedMap[i]?.loading ? (
                     <span style={styles.simplifyLoading}>Simplifying...</span>
@@ -1107,7 +1125,7 @@ export default function ChatPanel({
           );
         })}
         
-        {sending && (
+        {sending && !streaming && (
           <div style={styles.typing}>
             <div style={styles.typingDots}>
               <span style={{ ...styles.typingDot, animationDelay: '0s' }} />
@@ -5,6 +5,7 @@ import {
   connectMCP,
   connectPrebuilt,
   disconnectMCP,
+  restartConnector,
   getConnectorTools,
   callConnectorTool,
   importConnectorTools,
@@ -98,6 +99,17 @@ const styles = {
   connectedDot: {
     background: '#10b981'
   },
+  restartingDot: {
+    background: '#f59e0b'
+  },
+  failedDot: {
+    background: '#ef4444'
+  },
+  healthLabel: {
+    fontSize: '10px',
+    padding: '2px 6px',
+    borderRadius: '4px'
+  },
   button: {
     padding: '6px 12px',
     borderRadius: '6px',
@@ -408,6 +420,12 @@ export default function ConnectorPanel({ skillId, onToolsImported, standalone =
     loadConnectors();
   }, []);
 
+  // Poll active connections so crashes and supervisor restarts show up
+  useEffect(() => {
+    const interval = setInterval(loadActiveConnections, 10000);
+    return () => clearInterval(interval);
+  }, []);
+
   // Load ADAS status on mount and poll every 60 seconds
   useEffect(() => {
     loadAdasStatus();
@@ -428,6 +446,16 @@ export default function ConnectorPanel({ skillId, onToolsImported, standalone =
     }
   }
 
+  async function loadActiveConnections() {
+    try {
+      const active = await listConnectors();
+      setActiveConnections(active.connections || []);
+    } catch (err) {
+      // Polling is best-effort; loadConnectors() reports errors
+      console.warn('[ConnectorPanel] Failed to refresh connections:', err.message);
+    }
+  }
+
   async function loadAdasStatus() {
     try {
       const data = await getConnectorsADASStatus();
@@ -611,6 +639,15 @@ export default function ConnectorPanel({ skillId, onToolsImported, standalone =
     }
   }
 
+  async function handleRestart(id) {
+    try {
+      await restartConnector(id);
+    } catch (err) {
+      setError(err.message);
+    }
+    loadActiveConnections();
+  }
+
   async function handleSelectConnection(id) {
     console.log('[ConnectorPanel] Selected connection:', id);
     setSelectedConnection(id);
@@ -1196,6 +1233,9 @@ export default function ConnectorPanel({ skillId, onToolsImported, standalone =
               {activeConnections.map(conn => {
                 // Find the prebuilt connector info for description
                 const prebuilt = prebuiltConnectors.find(p => p.id === conn.id);
+                const health = conn.health;
+                const restarting = health?.state === 'restarting';
+                const failed = health?.state === 'failed' || (!conn.connected && !restarting);
                 return (
                   <div
                     key={conn.id}
@@ -1209,9 +1249,19 @@ export default function ConnectorPanel({ skillId, onToolsImported, standalone =
                     <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
                       <div style={{ flex: 1, minWidth: 0 }}>
                         <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                          <span style={{ ...styles.statusDot, ...styles.connectedDot }}></span>
+                          <span style={{ ...styles.statusDot, ...(restarting ? styles.restartingDot : failed ? styles.failedDot : styles.connectedDot) }}></span>
                           <span style={{ fontSize: '13px', fontWeight: '500' }}>{conn.name}</span>
                           <span style={styles.tag}>{conn.toolCount} tools</span>
+                          {restarting && (
+                            <span style={{ ...styles.healthLabel, background: 'rgba(245, 158, 11, 0.15)', color: '#f59e0b' }}>
+                              restarting ({health.restarts}/{health.maxRestarts})
+                            </span>
+                          )}
+                          {failed && (
+                            <span style={{ ...styles.healthLabel, background: 'rgba(239, 68, 68, 0.15)', color: '#ef4444' }}>
+                              {health?.state === 'failed' ? 'crash loop — stopped' : 'not running'}
+                            </span>
+                          )}
                           {prebuilt?.ui_capable && (
                             <span style={{ fontSize: '10px', padding: '2px 6px', background: 'rgba(139, 92, 246, 0.15)', color: '#a78bfa', borderRadius: '4px' }}>UI Plugin</span>
                           )}
@@ -1221,7 +1271,20 @@ export default function ConnectorPanel({ skillId, onToolsImported, standalone =
                             {prebuilt.description}
                           </p>
                         )}
+                        {(restarting || failed) && health?.lastError && (
+                          <p style={{ fontSize: '11px', color: failed ? '#ef4444' : '#f59e0b', margin: '4px 0 0 18px' }} title={health.lastError.recovery?.join('\n')}>
+                            {health.lastError.title}
+                          </p>
+                        )}
                       </div>
+                      {failed && (
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleRestart(conn.id); }}
+                          style={{ ...styles.button, ...styles.secondaryButton, padding: '4px 8px', fontSize: '11px', marginRight: '6px' }}
+                        >
+                          Restart
+                        </button>
+                      )}
                       <button
                         onClick={(e) => { e.stopPropagation(); handleDisconnect(conn.id); }}
                         style={{ ...styles.button, ...styles.dangerButton, padding: '4px 8px', fontSize: '11px' }}
@@ -1,5 +1,6 @@
 import { useState } from 'react';
-import { generateMCP, downloadMCPExport, downloadExportBundle, deployMCPToAdas, exportNodeMCPTemplate, exportSkill } from '../api/client';
+import { generateMCP, downloadMCPExport, downloadExportBundle, deployMCPToAdas, exportNodeMCPTemplate, exportSkill, getDeployDiff } from '../api/client';
+import SemanticDiffView from './SemanticDiffView';
 
 const styles = {
   overlay: {
@@ -165,6 +166,15 @@ const styles = {
     fontSize: '13px',
     color: 'var(--text-secondary)'
   },
+  reviewBox: {
+    background: 'var(--bg-secondary)',
+    borderRadius: '8px',
+    padding: '12px 16px',
+    maxHeight: '240px',
+    overflowY: 'auto',
+    fontSize: '13px',
+    color: 'var(--text-secondary)'
+  },
   progressBox: {
     background: 'var(--bg-secondary)',
     borderRadius: '8px',
@@ -206,9 +216,37 @@ const styles = {
     color: 'var(--text-secondary)',
     textTransform: 'uppercase',
     marginBottom: '8px'
+  },
+  targetToggle: {
+    display: 'flex',
+    gap: '4px',
+    padding: '3px',
+    marginBottom: '8px',
+    background: 'var(--bg-tertiary)',
+    borderRadius: '8px'
+  },
+  targetOption: {
+    flex: 1,
+    padding: '6px 10px',
+    border: 'none',
+    borderRadius: '6px',
+    background: 'transparent',
+    color: 'var(--text-muted)',
+    fontSize: '12px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  },
+  targetOptionActive: {
+    background: 'var(--bg-card)',
+    color: 'var(--text-primary)'
   }
 };
 
+const TEMPLATE_TARGETS = [
+  { id: 'node', label: 'Node.js (ESM)' },
+  { id: 'typescript', label: 'TypeScript (MCP SDK)' }
+];
+
 function downloadFile(filename, content) {
   const blob = new Blob([content], { type: 'text/plain' });
   const url = URL.createObjectURL(blob);
@@ -235,6 +273,8 @@ export default function ExportModal({
   const [error, setError] = useState(null);
   const [generationProgress, setGenerationProgress] = useState([]);
   const [generatedVersion, setGeneratedVersion] = useState(null);
+  const [templateTarget, setTemplateTarget] = useState('node');
+  const [review, setReview] = useState(null); // Builder vs Core diff shown before deploying
 
   if (!isOpen) return null;
 
@@ -256,10 +296,26 @@ export default function ExportModal({
     }
   };
 
+  const handleReviewDeploy = async () => {
+    setLoading('review');
+    setError(null);
+    setResult(null);
+    try {
+      const res = await getDeployDiff(solutionId, skillId);
+      setReview({ diff: res.semantic, notDeployed: res.status === 'not_deployed' });
+    } catch (err) {
+      // Core unreachable — still allow the deploy, just without a preview
+      setReview({ error: err.message });
+    } finally {
+      setLoading(null);
+    }
+  };
+
   const handleDeployToAdas = async () => {
     setLoading('deploy');
     setError(null);
     setResult(null);
+    setReview(null);
     try {
       const res = await onDeployToAdas();
       setResult({
@@ -356,7 +412,7 @@ export default function ExportModal({
     setError(null);
     setResult(null);
     try {
-      const res = await exportNodeMCPTemplate(solutionId, skillId);
+      const res = await exportNodeMCPTemplate(solutionId, skillId, templateTarget);
       // Download the saved files
       const data = await downloadMCPExport(solutionId, skillId, res.version);
       if (data.files) {
@@ -538,6 +594,21 @@ export default function ExportModal({
 
             {/* Template export */}
             <div style={styles.sectionTitle}>Development Template</div>
+            <div style={styles.targetToggle}>
+              {TEMPLATE_TARGETS.map(t => (
+                <button
+                  key={t.id}
+                  style={{
+                    ...styles.targetOption,
+                    ...(templateTarget === t.id ? styles.targetOptionActive : {})
+                  }}
+                  onClick={() => setTemplateTarget(t.id)}
+                  disabled={!!loading}
+                >
+                  {t.label}
+                </button>
+              ))}
+            </div>
             <button
               style={{
                 ...styles.templateBtn,
@@ -552,7 +623,7 @@ export default function ExportModal({
                   Generating Template...
                 </>
               ) : (
-                'Export Node.js MCP Template'
+                templateTarget === 'typescript' ? 'Export TypeScript MCP Template' : 'Export Node.js MCP Template'
               )}
             </button>
 
@@ -561,16 +632,51 @@ export default function ExportModal({
             {/* Other export options */}
             <div style={styles.sectionTitle}>Other Options</div>
 
-            <button
-              style={{
-                ...styles.primaryBtn,
-                ...(loading ? styles.disabledBtn : {})
-              }}
-              onClick={handleDeployToAdas}
-              disabled={!!loading}
-            >
-              {loading === 'deploy' ? 'Deploying...' : 'Deploy to ADAS'}
-            </button>
+            {review ? (
+              <>
+                <div style={styles.reviewBox}>
+                  {review.error
+                    ? `Could not compare with ADAS Core: ${review.error}`
+                    : review.notDeployed
+                      ? 'Not deployed yet — the whole skill will be created in ADAS Core.'
+                      : review.diff
+                        ? <SemanticDiffView diff={review.diff} />
+                        : 'ADAS Core only reports a summary of the deployed skill, so there is no change preview.'}
+                </div>
+                <button
+                  style={{
+                    ...styles.primaryBtn,
+                    ...(loading ? styles.disabledBtn : {})
+                  }}
+                  onClick={handleDeployToAdas}
+                  disabled={!!loading}
+                >
+                  {loading === 'deploy' ? 'Deploying...' : 'Deploy to ADAS'}
+                </button>
+                <button
+                  style={{
+                    ...styles.secondaryBtn,
+                    ...(loading ? styles.disabledBtn : {})
+                  }}
+                  onClick={() => setReview(null)}
+                  disabled={!!loading}
+                >
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <button
+                style={{
+                  ...styles.primaryBtn,
+                  ...(loading ? styles.disabledBtn : {})
+                }}
+                onClick={handleReviewDeploy}
+                disabled={!!loading || !solutionId}
+                title="Review what changes in ADAS Core before deploying"
+              >
+                {loading === 'review' ? 'Comparing with ADAS...' : 'Deploy to ADAS…'}
+              </button>
+            )}
 
             <button
               style={{
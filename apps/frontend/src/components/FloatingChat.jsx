@@ -397,9 +397,10 @@ export default function FloatingChat({
                 }}
               >
                 {formatMessage(msg.content)}
+                {msg.streaming && <span style={{ color: 'var(--accent)' }}>▍</span>}
               </div>
             ))}
-            {sending && (
+            {sending && !messages[messages.length - 1]?.streaming && (
               <div style={{
                 alignSelf: 'flex-start',
                 padding: '10px 14px',
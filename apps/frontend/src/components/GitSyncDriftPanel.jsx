@@ -0,0 +1,380 @@
+/**
+ * GitSyncDriftPanel — Unresolved drift between Builder files and the solution repo
+ *
+ * Displayed as "Git Sync" tab in SolutionPanel. Boot sync keeps the Builder
+ * copy when it is newer than the repo (and never deletes a skill the repo
+ * lacks); those files are listed here with a three-way diff against the last
+ * synced version (services/gitSyncDrift). Each can be resolved by keeping
+ * the Builder copy, taking the repo copy, or merging field by field.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import * as api from '../api/client';
+
+const KIND_LABELS = {
+  fs_newer_preserved: 'Builder newer',
+  content_differs: 'Differs',
+  gh_missing_fs_has: 'Missing in repo',
+  gh_missing: 'Missing in repo',
+};
+
+const SIDE_LABELS = { fs: 'Builder', gh: 'Repo', both: 'Both', conflict: 'Conflict' };
+
+// ═══════════════════════════════════════════════════════════════
+// Styles
+// ═══════════════════════════════════════════════════════════════
+const styles = {
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+  },
+  sectionTitle: {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+  },
+  hint: {
+    fontSize: '12px',
+    color: 'var(--text-muted)',
+    marginBottom: '12px',
+    lineHeight: '1.5',
+  },
+  button: {
+    padding: '6px 12px',
+    background: 'var(--bg-tertiary)',
+    border: '1px solid var(--border)',
+    borderRadius: '6px',
+    color: 'var(--text-primary)',
+    fontSize: '12px',
+    fontWeight: '500',
+    cursor: 'pointer',
+  },
+  primaryButton: {
+    background: 'var(--accent)',
+    borderColor: 'var(--accent)',
+    color: '#fff',
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+    cursor: 'not-allowed',
+  },
+  error: {
+    padding: '8px 12px',
+    marginBottom: '12px',
+    borderRadius: '6px',
+    background: 'rgba(239, 68, 68, 0.1)',
+    color: '#ef4444',
+    fontSize: '12px',
+  },
+  card: {
+    background: 'var(--bg-card)',
+    border: '1px solid var(--border)',
+    borderRadius: '8px',
+    padding: '12px',
+    marginBottom: '8px',
+  },
+  itemHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '8px',
+  },
+  path: {
+    flex: 1,
+    fontFamily: 'monospace',
+    fontSize: '12px',
+    color: 'var(--text-primary)',
+  },
+  meta: {
+    fontSize: '11px',
+    color: 'var(--text-muted)',
+  },
+  badge: {
+    fontSize: '10px',
+    padding: '2px 8px',
+    borderRadius: '4px',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    flexShrink: 0,
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '11px',
+    marginBottom: '10px',
+  },
+  th: {
+    textAlign: 'left',
+    padding: '4px 6px',
+    color: 'var(--text-muted)',
+    fontWeight: '500',
+    borderBottom: '1px solid var(--border)',
+  },
+  td: {
+    padding: '4px 6px',
+    borderBottom: '1px solid var(--border)',
+    verticalAlign: 'top',
+  },
+  value: {
+    fontFamily: 'monospace',
+    color: 'var(--text-secondary)',
+    wordBreak: 'break-all',
+    maxWidth: '220px',
+  },
+  choice: {
+    padding: '2px 8px',
+    marginRight: '4px',
+    background: 'transparent',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    color: 'var(--text-secondary)',
+    fontSize: '11px',
+    cursor: 'pointer',
+  },
+  choiceOn: {
+    background: 'rgba(59, 130, 246, 0.15)',
+    borderColor: 'var(--accent)',
+    color: 'var(--accent)',
+  },
+  columns: {
+    display: 'flex',
+    gap: '8px',
+    marginBottom: '10px',
+  },
+  pre: {
+    flex: 1,
+    minWidth: 0,
+    margin: 0,
+    padding: '8px',
+    maxHeight: '200px',
+    overflow: 'auto',
+    background: 'var(--bg-primary)',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    fontSize: '11px',
+    color: 'var(--text-secondary)',
+  },
+  actions: {
+    display: 'flex',
+    gap: '8px',
+  },
+  empty: {
+    padding: '24px',
+    textAlign: 'center',
+    color: 'var(--text-muted)',
+    fontSize: '13px',
+  },
+};
+
+const SIDE_COLORS = {
+  fs: { background: 'rgba(59, 130, 246, 0.15)', color: '#3b82f6' },
+  gh: { background: 'rgba(168, 85, 247, 0.15)', color: '#a855f7' },
+  both: { background: 'rgba(34, 197, 94, 0.15)', color: '#22c55e' },
+  conflict: { background: 'rgba(239, 68, 68, 0.15)', color: '#ef4444' },
+  kind: { background: 'rgba(245, 158, 11, 0.15)', color: '#f59e0b' },
+};
+
+function Badge({ tone, children }) {
+  return <span style={{ ...styles.badge, ...SIDE_COLORS[tone] }}>{children}</span>;
+}
+
+function formatTime(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function formatValue(value) {
+  if (value === undefined) return '—';
+  const text = JSON.stringify(value);
+  return text.length > 120 ? `${text.slice(0, 117)}…` : text;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// Drift item
+// ═══════════════════════════════════════════════════════════════
+function DriftItem({ item, busy, onResolve }) {
+  const [choices, setChoices] = useState({});
+  const conflicts = item.conflicts || [];
+  const unchosen = conflicts.filter(p => !choices[p]);
+  const canMerge = item.actions.includes('merge') && unchosen.length === 0;
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.itemHeader}>
+        <span style={styles.path}>{item.path}</span>
+        <Badge tone="kind">{KIND_LABELS[item.kind] || item.kind}</Badge>
+        <span style={styles.meta}>since {formatTime(item.detected_at)}</span>
+      </div>
+
+      {item.error && <div style={styles.error}>{item.error}</div>}
+      {!item.error && !item.base_known && (
+        <div style={styles.hint}>No synced version on record — every field the two copies disagree on counts as a conflict.</div>
+      )}
+
+      {item.fields ? (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Field</th>
+              <th style={styles.th}>Changed in</th>
+              <th style={styles.th}>Last synced</th>
+              <th style={styles.th}>Builder</th>
+              <th style={styles.th}>Repo</th>
+            </tr>
+          </thead>
+          <tbody>
+            {item.fields.map(field => (
+              <tr key={field.path}>
+                <td style={{ ...styles.td, fontFamily: 'monospace' }}>{field.path}</td>
+                <td style={styles.td}>
+                  <Badge tone={field.side}>{SIDE_LABELS[field.side]}</Badge>
+                  {field.side === 'conflict' && (
+                    <div style={{ marginTop: '4px' }}>
+                      {['fs', 'gh'].map(side => (
+                        <button
+                          key={side}
+                          style={{ ...styles.choice, ...(choices[field.path] === side ? styles.choiceOn : {}) }}
+                          onClick={() => setChoices({ ...choices, [field.path]: side })}
+                        >
+                          {SIDE_LABELS[side]}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </td>
+                <td style={{ ...styles.td, ...styles.value }}>{formatValue(field.base)}</td>
+                <td style={{ ...styles.td, ...styles.value }}>{formatValue(field.fs)}</td>
+                <td style={{ ...styles.td, ...styles.value }}>{formatValue(field.gh)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : item.content && (
+        <div style={styles.columns}>
+          <pre style={styles.pre}>{item.content.fs ?? '(not in Builder)'}</pre>
+          <pre style={styles.pre}>{item.content.gh ?? '(not in repo)'}</pre>
+        </div>
+      )}
+
+      <div style={styles.actions}>
+        {item.actions.includes('keep_fs') && (
+          <button
+            style={{ ...styles.button, ...(busy ? styles.buttonDisabled : {}) }}
+            disabled={busy}
+            onClick={() => onResolve(item.path, { action: 'keep_fs' })}
+            title="Push the Builder copy to the repo as-is"
+          >
+            Keep Builder copy
+          </button>
+        )}
+        {item.actions.includes('take_gh') && (
+          <button
+            style={{ ...styles.button, ...(busy ? styles.buttonDisabled : {}) }}
+            disabled={busy}
+            onClick={() => onResolve(item.path, { action: 'take_gh' })}
+            title="Overwrite the Builder copy with the repo's"
+          >
+            Take repo copy
+          </button>
+        )}
+        {item.actions.includes('merge') && (
+          <button
+            style={{ ...styles.button, ...styles.primaryButton, ...(busy || !canMerge ? styles.buttonDisabled : {}) }}
+            disabled={busy || !canMerge}
+            onClick={() => onResolve(item.path, { action: 'merge', choices })}
+            title={canMerge ? 'Combine both copies and push the result' : `Choose a side for ${unchosen.length} conflicting field(s)`}
+          >
+            Merge
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// Panel
+// ═══════════════════════════════════════════════════════════════
+export default function GitSyncDriftPanel({ solution, onCountChange }) {
+  const [items, setItems] = useState(null);
+  const [busy, setBusy] = useState(null); // 'scan' | repo path being resolved
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!solution?.id) return;
+    try {
+      const next = await api.getGitSyncDrift(solution.id);
+      setItems(next);
+      onCountChange?.(next.length);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [solution?.id, onCountChange]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleScan = async () => {
+    setBusy('scan');
+    setError(null);
+    try {
+      await api.scanGitSyncDrift(solution.id);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleResolve = async (path, options) => {
+    setBusy(path);
+    setError(null);
+    try {
+      await api.resolveGitSyncDrift(solution.id, path, options);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!items) {
+    return <div style={styles.empty}>{error || 'Loading drift…'}</div>;
+  }
+
+  return (
+    <div>
+      {error && <div style={styles.error}>{error}</div>}
+
+      <div style={styles.header}>
+        <span style={styles.sectionTitle}>Unresolved drift ({items.length})</span>
+        <button
+          style={{ ...styles.button, ...(busy ? styles.buttonDisabled : {}) }}
+          disabled={!!busy}
+          onClick={handleScan}
+          title="Compare every file with the repo now"
+        >
+          {busy === 'scan' ? 'Checking…' : '↻ Re-check'}
+        </button>
+      </div>
+
+      <div style={styles.hint}>
+        Files where the Builder copy and the solution repo disagree and neither was overwritten automatically.
+        Diffs are against the last version both sides had; timestamps and deploy state are ignored.
+      </div>
+
+      {items.length === 0 ? (
+        <div style={styles.empty}>Builder and the repo agree.</div>
+      ) : (
+        items.map(item => (
+          <DriftItem key={item.path} item={item} busy={!!busy} onResolve={handleResolve} />
+        ))
+      )}
+    </div>
+  );
+}
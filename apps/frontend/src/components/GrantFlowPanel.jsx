@@ -0,0 +1,199 @@
+/**
+ * GrantFlowPanel — controls and results for the grant-flow overlay
+ *
+ * Picks an entry channel and the grants the actor starts with, runs the
+ * simulator (POST /api/solutions/:id/grant-flow) and lists which security
+ * contracts can be satisfied. The per-edge result is drawn by TeamMapView.
+ */
+import React, { useState } from 'react';
+import { simulateGrantFlow } from '../api/client';
+
+const STATUS_COLORS = {
+  satisfied: '#10b981',
+  unsatisfiable: '#ef4444',
+  unreachable: '#6b7280',
+};
+
+const styles = {
+  panel: {
+    position: 'absolute',
+    top: '12px',
+    left: '12px',
+    zIndex: 10,
+    width: '300px',
+    maxHeight: 'calc(100% - 24px)',
+    overflow: 'auto',
+    background: 'var(--bg-card)',
+    border: '1px solid var(--border)',
+    borderRadius: '10px',
+    boxShadow: '0 4px 20px rgba(0,0,0,0.3)',
+    padding: '12px 14px',
+    fontSize: '12px',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: '10px',
+  },
+  title: {
+    fontSize: '11px',
+    fontWeight: '600',
+    color: 'var(--text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+  },
+  close: {
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+    fontSize: '16px',
+    color: 'var(--text-muted)',
+    padding: '0 4px',
+    lineHeight: '1',
+  },
+  label: {
+    display: 'block',
+    fontSize: '11px',
+    color: 'var(--text-muted)',
+    marginBottom: '4px',
+  },
+  input: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '5px 8px',
+    marginBottom: '8px',
+    background: 'var(--bg-tertiary)',
+    border: '1px solid var(--border)',
+    borderRadius: '5px',
+    color: 'var(--text-primary)',
+    fontSize: '12px',
+  },
+  button: {
+    width: '100%',
+    padding: '6px 10px',
+    background: 'var(--accent)',
+    border: 'none',
+    borderRadius: '5px',
+    color: '#fff',
+    fontSize: '12px',
+    fontWeight: '500',
+    cursor: 'pointer',
+  },
+  section: {
+    marginTop: '12px',
+    paddingTop: '10px',
+    borderTop: '1px solid var(--border)',
+  },
+  contract: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '8px',
+    padding: '5px 0',
+    lineHeight: '1.4',
+  },
+  dot: {
+    width: '8px',
+    height: '8px',
+    borderRadius: '50%',
+    marginTop: '4px',
+    flexShrink: 0,
+  },
+  muted: {
+    fontSize: '11px',
+    color: 'var(--text-muted)',
+  },
+  warning: {
+    fontSize: '11px',
+    color: '#f59e0b',
+    padding: '3px 0',
+  },
+};
+
+export default function GrantFlowPanel({ solutionId, routing, flow, onFlowChange, onClose }) {
+  const channels = Object.keys(routing || {});
+  const [channel, setChannel] = useState(channels[0] || '');
+  const [grantsText, setGrantsText] = useState('');
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const grants = grantsText.split(',').map(g => g.trim()).filter(Boolean);
+      onFlowChange(await simulateGrantFlow(solutionId, { channel, actor: { grants } }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <span style={styles.title}>Grant Flow</span>
+        <button style={styles.close} onClick={onClose} title="Close">×</button>
+      </div>
+
+      {channels.length === 0 ? (
+        <div style={styles.muted}>No routing defined. Route a channel to a skill first.</div>
+      ) : (
+        <>
+          <label style={styles.label}>Entry channel</label>
+          <select style={styles.input} value={channel} onChange={(e) => setChannel(e.target.value)}>
+            {channels.map(ch => <option key={ch} value={ch}>{ch} → {routing[ch]?.default_skill}</option>)}
+          </select>
+
+          <label style={styles.label}>Actor starts with grants (comma separated)</label>
+          <input
+            style={{ ...styles.input, fontFamily: 'monospace' }}
+            placeholder="e.g. ecom.customer_id"
+            value={grantsText}
+            onChange={(e) => setGrantsText(e.target.value)}
+          />
+
+          <button style={{ ...styles.button, opacity: running ? 0.6 : 1 }} onClick={run} disabled={running}>
+            {running ? 'Simulating...' : 'Simulate'}
+          </button>
+        </>
+      )}
+
+      {error && <div style={{ ...styles.warning, color: '#ef4444', marginTop: '8px' }}>{error}</div>}
+
+      {flow && (
+        <>
+          <div style={styles.section}>
+            <div style={{ ...styles.title, marginBottom: '6px' }}>Security Contracts</div>
+            {flow.contracts.length === 0 && <div style={styles.muted}>No security contracts defined</div>}
+            {flow.contracts.map(contract => (
+              <div key={contract.name} style={styles.contract}>
+                <span style={{ ...styles.dot, background: STATUS_COLORS[contract.status] }} />
+                <div>
+                  <div style={{ color: 'var(--text-primary)' }}>{contract.name}</div>
+                  <div style={styles.muted}>
+                    {contract.status === 'satisfied' && `${contract.consumer} receives all required grants`}
+                    {contract.status === 'unreachable' && `${contract.consumer} is not reachable from ${flow.channel}`}
+                    {contract.status === 'unsatisfiable' && `${contract.consumer} never holds ${contract.missing.join(', ')}`}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {(flow.warnings.length > 0 || flow.truncated) && (
+            <div style={styles.section}>
+              {flow.warnings.map((w, i) => (
+                <div key={i} style={styles.warning}>{w.message}</div>
+              ))}
+              {flow.truncated && (
+                <div style={styles.warning}>Too many paths; only the first ones were simulated.</div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,12 @@
 /**
  * MapWorkspace — Full-area workspace showing Team Map or Architecture view
- * With toggle icons in the top-right and zoom controls in the bottom-right
+ * With toggle icons in the top-right and zoom controls in the bottom-right.
+ * The Team Map can overlay a grant-flow simulation (GrantFlowPanel).
  */
 import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import TeamMapView from './TeamMapView';
 import ArchitectureView from './ArchitectureView';
+import GrantFlowPanel from './GrantFlowPanel';
 
 const ZOOM_STEP = 0.15;
 const MIN_ZOOM = 0.3;
@@ -13,6 +15,8 @@ const MAX_ZOOM = 2.5;
 export default function MapWorkspace({ solution, sidebarSkills = [], onSkillClick, onConnectorClick, onGoVoice }) {
   const [activeView, setActiveView] = useState('team-map');
   const [zoom, setZoom] = useState(1);
+  const [showGrantFlow, setShowGrantFlow] = useState(false);
+  const [grantFlow, setGrantFlow] = useState(null);
   const containerRef = useRef(null);
   const contentRef = useRef(null);
   const fitDoneRef = useRef(false);
@@ -61,6 +65,11 @@ export default function MapWorkspace({ solution, sidebarSkills = [], onSkillClic
     });
   }, [skills, sidebarSkills]);
 
+  // A simulation belongs to one solution version — drop it when the solution changes
+  useEffect(() => {
+    setGrantFlow(null);
+  }, [solution?.id, solution?.updated_at]);
+
   // Calculate zoom to fit all content in the viewport
   const fitAll = useCallback(() => {
     const container = containerRef.current;
@@ -186,6 +195,30 @@ export default function MapWorkspace({ solution, sidebarSkills = [], onSkillClic
             />
           </svg>
         </button>
+        <button
+          onClick={() => {
+            setActiveView('team-map');
+            setShowGrantFlow(v => !v);
+          }}
+          style={{
+            background: showGrantFlow ? 'var(--bg-tertiary)' : 'transparent',
+            border: 'none',
+            borderRadius: '5px',
+            padding: '5px 8px',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+          }}
+          title="Grant Flow"
+        >
+          <svg viewBox="0 0 24 24" width="16" height="16">
+            <path
+              d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4zm-1 15l-4-4 1.41-1.41L11 13.17l5.59-5.59L18 9l-7 7z"
+              fill={showGrantFlow ? 'var(--accent)' : 'var(--text-muted)'}
+            />
+          </svg>
+        </button>
         {onGoVoice && (
           <>
             <div style={{ width: '1px', height: '20px', background: 'var(--border)' }} />
@@ -214,6 +247,20 @@ export default function MapWorkspace({ solution, sidebarSkills = [], onSkillClic
         )}
       </div>
 
+      {showGrantFlow && activeView === 'team-map' && (
+        <GrantFlowPanel
+          key={solution?.id}
+          solutionId={solution?.id}
+          routing={routing}
+          flow={grantFlow}
+          onFlowChange={setGrantFlow}
+          onClose={() => {
+            setShowGrantFlow(false);
+            setGrantFlow(null);
+          }}
+        />
+      )}
+
       {/* Zoom controls — bottom right */}
       <div style={{
         position: 'absolute',
@@ -268,6 +315,7 @@ export default function MapWorkspace({ solution, sidebarSkills = [], onSkillClic
               routing={routing}
               grants={grants}
               contracts={contracts}
+              grantFlow={showGrantFlow ? grantFlow : null}
               onSkillClick={onSkillClick}
             />
           ) : (
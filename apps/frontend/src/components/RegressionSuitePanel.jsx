@@ -0,0 +1,492 @@
+/**
+ * RegressionSuitePanel — Edit and run the solution's regression suite
+ *
+ * Displayed as "Regression" tab in SolutionPanel. Each case sends one
+ * message to the deployed solution and checks where it was routed, which
+ * tool ran and the style of the reply (services/regressionRunner).
+ *
+ * Runs are recorded by the backend — including the ones every redeploy
+ * starts — and each is shown with its green/red diff against the run
+ * before it.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import * as api from '../api/client';
+
+const STYLES = ['', 'brief', 'confirmation', 'detail'];
+const FAILURE_KINDS = ['route_mismatch', 'tool_missing', 'style_mismatch', 'contains_any_missed', 'absent_violation'];
+const DEFAULT_FAIL_ON = ['route_mismatch', 'style_mismatch'];
+const RUNNING_POLL_MS = 5000;
+
+// ═══════════════════════════════════════════════════════════════
+// Styles
+// ═══════════════════════════════════════════════════════════════
+const styles = {
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+  },
+  sectionTitle: {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+  },
+  hint: {
+    fontSize: '12px',
+    color: 'var(--text-muted)',
+    marginBottom: '12px',
+    lineHeight: '1.5',
+  },
+  actions: {
+    display: 'flex',
+    gap: '8px',
+  },
+  button: {
+    padding: '6px 12px',
+    background: 'var(--bg-tertiary)',
+    border: '1px solid var(--border)',
+    borderRadius: '6px',
+    color: 'var(--text-primary)',
+    fontSize: '12px',
+    fontWeight: '500',
+    cursor: 'pointer',
+  },
+  primaryButton: {
+    background: 'var(--accent)',
+    borderColor: 'var(--accent)',
+    color: '#fff',
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+    cursor: 'not-allowed',
+  },
+  smallButton: {
+    padding: '3px 8px',
+    background: 'transparent',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    color: 'var(--text-secondary)',
+    fontSize: '11px',
+    cursor: 'pointer',
+  },
+  error: {
+    padding: '8px 12px',
+    marginBottom: '12px',
+    borderRadius: '6px',
+    background: 'rgba(239, 68, 68, 0.1)',
+    color: '#ef4444',
+    fontSize: '12px',
+  },
+  card: {
+    background: 'var(--bg-card)',
+    border: '1px solid var(--border)',
+    borderRadius: '8px',
+    padding: '12px',
+    marginBottom: '8px',
+  },
+  row: {
+    display: 'flex',
+    gap: '8px',
+    marginBottom: '8px',
+    alignItems: 'center',
+  },
+  label: {
+    fontSize: '11px',
+    color: 'var(--text-muted)',
+    marginBottom: '2px',
+  },
+  field: {
+    flex: 1,
+    minWidth: 0,
+  },
+  input: {
+    width: '100%',
+    padding: '6px 8px',
+    background: 'var(--bg-primary)',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    color: 'var(--text-primary)',
+    fontSize: '12px',
+    boxSizing: 'border-box',
+  },
+  chip: {
+    fontSize: '10px',
+    fontFamily: 'monospace',
+    padding: '2px 6px',
+    borderRadius: '4px',
+    border: '1px solid var(--border)',
+    background: 'transparent',
+    color: 'var(--text-muted)',
+    cursor: 'pointer',
+  },
+  chipOn: {
+    background: 'rgba(239, 68, 68, 0.12)',
+    borderColor: '#ef4444',
+    color: '#ef4444',
+  },
+  badge: {
+    fontSize: '10px',
+    padding: '2px 8px',
+    borderRadius: '4px',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    flexShrink: 0,
+  },
+  runHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    cursor: 'pointer',
+  },
+  runMeta: {
+    flex: 1,
+    fontSize: '12px',
+    color: 'var(--text-secondary)',
+  },
+  diffLine: {
+    fontSize: '11px',
+    color: 'var(--text-muted)',
+    marginTop: '6px',
+  },
+  result: {
+    borderTop: '1px solid var(--border)',
+    marginTop: '10px',
+    paddingTop: '8px',
+    fontSize: '12px',
+  },
+  resultRow: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'baseline',
+    padding: '4px 0',
+  },
+  mono: {
+    fontFamily: 'monospace',
+    fontSize: '11px',
+    color: 'var(--text-muted)',
+  },
+  empty: {
+    padding: '24px',
+    textAlign: 'center',
+    color: 'var(--text-muted)',
+    fontSize: '13px',
+  },
+};
+
+const STATUS_COLORS = {
+  GREEN: { background: 'rgba(34, 197, 94, 0.15)', color: '#22c55e' },
+  PASS: { background: 'rgba(34, 197, 94, 0.15)', color: '#22c55e' },
+  green: { background: 'rgba(34, 197, 94, 0.15)', color: '#22c55e' },
+  YELLOW: { background: 'rgba(245, 158, 11, 0.15)', color: '#f59e0b' },
+  RED: { background: 'rgba(239, 68, 68, 0.15)', color: '#ef4444' },
+  FAIL: { background: 'rgba(239, 68, 68, 0.15)', color: '#ef4444' },
+  red: { background: 'rgba(239, 68, 68, 0.15)', color: '#ef4444' },
+  ERROR: { background: 'rgba(107, 114, 128, 0.15)', color: '#9ca3af' },
+  RUNNING: { background: 'rgba(59, 130, 246, 0.15)', color: '#3b82f6' },
+};
+
+function Badge({ status, children }) {
+  return <span style={{ ...styles.badge, ...(STATUS_COLORS[status] || STATUS_COLORS.ERROR) }}>{children || status}</span>;
+}
+
+function formatTime(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+const toList = (text) => text.split(',').map(s => s.trim()).filter(Boolean);
+
+// ═══════════════════════════════════════════════════════════════
+// Case editor
+// ═══════════════════════════════════════════════════════════════
+function CaseEditor({ test, onChange, onRemove, onRun, busy }) {
+  const expect = test.expect || {};
+  const failOn = test.fail_on || DEFAULT_FAIL_ON;
+  const setExpect = (field, value) => {
+    const next = { ...expect, [field]: value };
+    if (value === '' || (Array.isArray(value) && value.length === 0)) delete next[field];
+    onChange({ ...test, expect: next });
+  };
+  const toggleFailOn = (kind) => {
+    onChange({ ...test, fail_on: failOn.includes(kind) ? failOn.filter(k => k !== kind) : [...failOn, kind] });
+  };
+
+  const field = (label, value, onInput, placeholder) => (
+    <div style={styles.field}>
+      <div style={styles.label}>{label}</div>
+      <input style={styles.input} value={value} placeholder={placeholder} onChange={(e) => onInput(e.target.value)} />
+    </div>
+  );
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.row}>
+        {field('Name', test.name, (name) => onChange({ ...test, name }), 'memory_store')}
+        <div style={{ width: '110px' }}>
+          <div style={styles.label}>Mode</div>
+          <select style={styles.input} value={test.mode || 'chat'} onChange={(e) => onChange({ ...test, mode: e.target.value })}>
+            <option value="chat">chat</option>
+            <option value="pipeline">pipeline</option>
+          </select>
+        </div>
+        {field('Skill', test.skill || '', (skill) => onChange({ ...test, skill: skill || undefined }), test.mode === 'pipeline' ? 'required' : 'auto-route')}
+      </div>
+      <div style={styles.row}>
+        {field('Message', test.input, (input) => onChange({ ...test, input }), "remember that my wife's name is Sarah")}
+      </div>
+      <div style={styles.row}>
+        {field('Expected route', expect.route || '', (v) => setExpect('route', v), 'skill id')}
+        {field('Expected tool', expect.tool || '', (v) => setExpect('tool', v), 'tool name or part of it')}
+        <div style={{ width: '130px' }}>
+          <div style={styles.label}>Style</div>
+          <select style={styles.input} value={expect.style || ''} onChange={(e) => setExpect('style', e.target.value)}>
+            {STYLES.map(s => <option key={s} value={s}>{s || '(any)'}</option>)}
+          </select>
+        </div>
+      </div>
+      <div style={styles.row}>
+        {field('Reply contains any of', (expect.contains_any || []).join(', '), (v) => setExpect('contains_any', toList(v)), 'saved, noted')}
+        {field('Reply must not contain', (expect.absent || []).join(', '), (v) => setExpect('absent', toList(v)), 'error')}
+      </div>
+      <div style={{ ...styles.row, marginBottom: 0, flexWrap: 'wrap' }}>
+        <span style={styles.label}>Fail on:</span>
+        {FAILURE_KINDS.map(kind => (
+          <button
+            key={kind}
+            style={{ ...styles.chip, ...(failOn.includes(kind) ? styles.chipOn : {}) }}
+            onClick={() => toggleFailOn(kind)}
+            title="Mismatches not selected are reported as warnings"
+          >
+            {kind}
+          </button>
+        ))}
+        <span style={{ flex: 1 }} />
+        <button style={styles.smallButton} disabled={busy} onClick={onRun} title="Run only this case (saved version)">▶ Run</button>
+        <button style={styles.smallButton} onClick={onRemove}>Remove</button>
+      </div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// Run history
+// ═══════════════════════════════════════════════════════════════
+function DiffSummary({ diff }) {
+  if (!diff) return <div style={styles.diffLine}>First run — nothing to compare against</div>;
+  const names = (cases) => cases.map(c => c.name).join(', ');
+  return (
+    <div style={styles.diffLine}>
+      <Badge status={diff.status}>{diff.status === 'green' ? 'no regressions' : 'regressed'}</Badge>
+      {diff.regressed.length > 0 && <span> · regressed: {names(diff.regressed)}</span>}
+      {diff.fixed.length > 0 && <span> · fixed: {names(diff.fixed)}</span>}
+      {diff.added.filter(c => c.status !== 'PASS').length > 0 && <span> · new failing: {names(diff.added.filter(c => c.status !== 'PASS'))}</span>}
+      {diff.still_failing.length > 0 && <span> · still failing: {names(diff.still_failing)}</span>}
+    </div>
+  );
+}
+
+function RunResults({ run }) {
+  return (
+    <div style={styles.result}>
+      {run.results.map(r => (
+        <div key={r.name} style={styles.resultRow}>
+          <Badge status={r.status} />
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div>{r.name} <span style={styles.mono}>→ {r.observed?.route || '—'}</span></div>
+            {r.error && <div style={{ ...styles.mono, color: '#ef4444' }}>{r.error}</div>}
+            {[...r.failures, ...r.warnings].map((f, i) => (
+              <div key={i} style={styles.mono}>
+                {r.failures.includes(f) ? '✗' : '⚠'} {f.kind}
+                {f.expected !== undefined && ` — expected ${JSON.stringify(f.expected)}`}
+                {f.actual !== undefined && `, got ${JSON.stringify(f.actual)}`}
+              </div>
+            ))}
+            {r.observed?.response && <div style={styles.mono}>“{r.observed.response}”</div>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function RunCard({ solutionId, run }) {
+  const [details, setDetails] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  const toggle = async () => {
+    setOpen(!open);
+    if (!details) {
+      try {
+        setDetails(await api.getRegressionRun(solutionId, run.id));
+      } catch (err) {
+        console.error('[RegressionSuitePanel] Failed to load run:', err);
+      }
+    }
+  };
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.runHeader} onClick={toggle}>
+        <Badge status={run.status} />
+        <span style={styles.runMeta}>
+          {run.passed}/{run.total} passed · {run.trigger} · {formatTime(run.started_at)} · {(run.elapsed_ms / 1000).toFixed(1)}s
+        </span>
+        <span style={styles.mono}>{open ? '▾' : '▸'}</span>
+      </div>
+      <DiffSummary diff={run.diff} />
+      {open && details && <RunResults run={details} />}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// Panel
+// ═══════════════════════════════════════════════════════════════
+export default function RegressionSuitePanel({ solution }) {
+  const [suite, setSuite] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [running, setRunning] = useState(null); // run the backend is still recording
+  const [dirty, setDirty] = useState(false);
+  const [busy, setBusy] = useState(null); // 'save' | 'run'
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!solution?.id) return;
+    try {
+      const data = await api.getRegression(solution.id);
+      setSuite(data.suite || { tests: [] });
+      setRuns(data.runs || []);
+      setRunning(data.running || null);
+      setDirty(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [solution?.id]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // Poll while a run is in progress, without touching unsaved edits
+  useEffect(() => {
+    if (!running) return;
+    const interval = setInterval(async () => {
+      try {
+        const data = await api.getRegression(solution.id);
+        setRuns(data.runs || []);
+        setRunning(data.running || null);
+      } catch (err) {
+        setError(err.message);
+      }
+    }, RUNNING_POLL_MS);
+    return () => clearInterval(interval);
+  }, [running, solution?.id]);
+
+  const tests = suite?.tests || [];
+  const updateTests = (next) => {
+    setSuite({ ...suite, tests: next });
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    setBusy('save');
+    setError(null);
+    try {
+      setSuite(await api.saveRegressionSuite(solution.id, suite));
+      setDirty(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRun = async (names = null) => {
+    setBusy('run');
+    setError(null);
+    try {
+      // The backend answers right away; the poll above picks up the recorded run
+      const { run } = await api.runRegression(solution.id, { tests: names });
+      setRunning(run);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!suite) {
+    return <div style={styles.empty}>{error || 'Loading regression suite…'}</div>;
+  }
+
+  const disabled = (cond) => ({ ...(cond ? styles.buttonDisabled : {}) });
+  const canRun = !busy && !running && !dirty && tests.length > 0;
+
+  return (
+    <div>
+      {error && <div style={styles.error}>{error}</div>}
+
+      <div style={styles.header}>
+        <span style={styles.sectionTitle}>Cases ({tests.length})</span>
+        <div style={styles.actions}>
+          <button
+            style={styles.button}
+            onClick={() => updateTests([...tests, { name: `case_${tests.length + 1}`, input: '', mode: 'chat', expect: {} }])}
+          >
+            + Add case
+          </button>
+          <button style={{ ...styles.button, ...disabled(!dirty || busy) }} disabled={!dirty || !!busy} onClick={handleSave}>
+            {busy === 'save' ? 'Saving…' : 'Save'}
+          </button>
+          <button
+            style={{ ...styles.button, ...styles.primaryButton, ...disabled(!canRun) }}
+            disabled={!canRun}
+            onClick={() => handleRun()}
+            title={dirty ? 'Save the suite before running it' : 'Run every case against the deployed solution'}
+          >
+            {busy === 'run' || running ? 'Running…' : '▶ Run suite'}
+          </button>
+        </div>
+      </div>
+
+      <div style={styles.hint}>
+        Each case sends one message to the deployed solution. Chat cases run the full job; pipeline cases only plan
+        (no tools run, so reply checks are skipped). Every redeploy runs the suite and compares it with the previous run.
+      </div>
+
+      {tests.length === 0 ? (
+        <div style={styles.empty}>No cases yet. Add one to check routing, tools and reply style after each deploy.</div>
+      ) : (
+        tests.map((test, i) => (
+          <CaseEditor
+            key={i}
+            test={test}
+            busy={!canRun}
+            onChange={(next) => updateTests(tests.map((t, j) => (j === i ? next : t)))}
+            onRemove={() => updateTests(tests.filter((_, j) => j !== i))}
+            onRun={() => handleRun([test.name])}
+          />
+        ))
+      )}
+
+      <div style={{ ...styles.header, marginTop: '24px' }}>
+        <span style={styles.sectionTitle}>Runs</span>
+      </div>
+      {running && (
+        <div style={styles.card}>
+          <div style={{ ...styles.runHeader, cursor: 'default' }}>
+            <Badge status="RUNNING" />
+            <span style={styles.runMeta}>{running.trigger} · {formatTime(running.started_at)}</span>
+          </div>
+        </div>
+      )}
+      {runs.length === 0 ? (
+        !running && <div style={styles.empty}>No runs yet.</div>
+      ) : (
+        runs.map(run => <RunCard key={run.id} solutionId={solution.id} run={run} />)
+      )}
+    </div>
+  );
+}
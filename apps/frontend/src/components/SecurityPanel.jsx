@@ -7,9 +7,14 @@
  * - Grant mappings
  * - Response filters
  * - Context propagation
+ *
+ * Plus a what-if matrix that evaluates the access policy for sample actors
+ * (POST /api/validate/access-simulate) so rules can be checked by outcome
+ * instead of by reading them.
  */
 
 import { useState } from 'react';
+import { simulateAccess } from '../api/client';
 
 // ── ExplainButton (same pattern as PolicyPanel) ────────────────────
 
@@ -109,6 +114,227 @@ function EffectBadge({ effect }) {
   );
 }
 
+// ── What-if matrix ─────────────────────────────────────────────────
+
+const ORIGIN_TYPES = ['channel', 'trigger', 'skill_message', 'skill_handoff'];
+
+/**
+ * Grant keys the policy looks at, with a value that satisfies it
+ * (the expected value for grant_value, a placeholder otherwise).
+ */
+function policyGrants(skill) {
+  const grants = {};
+  for (const mapping of skill?.grant_mappings || []) {
+    for (const grant of mapping.grants || []) {
+      if (grant.key) grants[grant.key] = 'sample';
+    }
+  }
+  for (const rule of skill?.access_policy?.rules || []) {
+    for (const key of [].concat(rule.require?.has_grant || [])) {
+      if (!(key in grants)) grants[key] = 'sample';
+    }
+    const grantValue = rule.require?.grant_value;
+    if (grantValue && typeof grantValue === 'object') {
+      for (const [key, value] of Object.entries(grantValue)) {
+        grants[key] = Array.isArray(value) ? value[value.length - 1] : value;
+      }
+    }
+  }
+  return grants;
+}
+
+function defaultActors(skill) {
+  const grants = policyGrants(skill);
+  return [
+    { name: 'Anonymous visitor', origin_type: 'channel', grants: '' },
+    { name: 'Verified user', origin_type: 'channel', grants: formatGrants(grants) },
+    { name: 'Handoff (from channel)', origin_type: 'skill_handoff', root_origin_type: 'channel', grants: formatGrants(grants) },
+    { name: 'Scheduled trigger', origin_type: 'trigger', grants: '' },
+  ];
+}
+
+function formatGrants(grants) {
+  return Object.entries(grants).map(([k, v]) => `${k}=${v}`).join(', ');
+}
+
+function parseGrants(text) {
+  const grants = {};
+  for (const part of text.split(',')) {
+    const [key, ...rest] = part.split('=');
+    if (key.trim()) grants[key.trim()] = rest.join('=').trim() || 'true';
+  }
+  return grants;
+}
+
+function AccessWhatIf({ skill, solutionId }) {
+  // Actors as edited in the form; grants stay "key=value, ..." text until run
+  const [actors, setActors] = useState(() => defaultActors(skill));
+  const [matrix, setMatrix] = useState(null);
+  const [selected, setSelected] = useState(null); // { row, col }
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateActor = (index, changes) => {
+    setActors(prev => prev.map((a, i) => (i === index ? { ...a, ...changes } : a)));
+  };
+
+  const addActor = () => {
+    setActors(prev => [...prev, { name: `Actor ${prev.length + 1}`, origin_type: 'channel', grants: '' }]);
+  };
+
+  const removeActor = (index) => {
+    setActors(prev => prev.filter((_, i) => i !== index));
+    setMatrix(null);
+    setSelected(null);
+  };
+
+  const run = async () => {
+    setRunning(true);
+    setError(null);
+    setSelected(null);
+    try {
+      const payload = actors.map(actor => ({ ...actor, grants: parseGrants(actor.grants) }));
+      const result = await simulateAccess(solutionId, skill.id, { actors: payload });
+      setMatrix(result.matrix);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const cell = selected && matrix?.rows[selected.row]?.cells[selected.col];
+
+  return (
+    <div>
+      {actors.map((actor, i) => (
+        <div key={i} style={styles.actorRow}>
+          <input
+            style={{ ...styles.input, width: '140px' }}
+            value={actor.name}
+            onChange={(e) => updateActor(i, { name: e.target.value })}
+          />
+          <select
+            style={styles.input}
+            value={actor.origin_type}
+            onChange={(e) => updateActor(i, { origin_type: e.target.value })}
+          >
+            {ORIGIN_TYPES.map(o => <option key={o} value={o}>{o}</option>)}
+          </select>
+          <input
+            style={{ ...styles.input, flex: 1, fontFamily: 'monospace' }}
+            placeholder="grants: key=value, key=value"
+            value={actor.grants}
+            onChange={(e) => updateActor(i, { grants: e.target.value })}
+          />
+          <button style={styles.smallButton} onClick={() => removeActor(i)} title="Remove actor">×</button>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: '8px', margin: '8px 0 12px' }}>
+        <button style={styles.smallButton} onClick={addActor}>+ Actor</button>
+        <button
+          style={{ ...styles.smallButton, color: '#60a5fa', borderColor: 'rgba(59, 130, 246, 0.4)' }}
+          onClick={run}
+          disabled={running || actors.length === 0}
+        >
+          {running ? 'Evaluating...' : 'Run what-if'}
+        </button>
+      </div>
+
+      {error && <div style={{ ...styles.cardMeta, color: '#ef4444' }}>{error}</div>}
+
+      {matrix && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={styles.matrix}>
+            <thead>
+              <tr>
+                <th style={styles.matrixHead}>Actor</th>
+                {matrix.tools.map(t => (
+                  <th key={t} style={{ ...styles.matrixHead, fontFamily: 'monospace' }}>{t}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.rows.map((row, r) => (
+                <tr key={r}>
+                  <td style={styles.matrixCell}>{row.actor.name}</td>
+                  {row.cells.map((decision, c) => {
+                    const isSelected = selected?.row === r && selected?.col === c;
+                    return (
+                      <td
+                        key={c}
+                        style={{
+                          ...styles.matrixCell,
+                          cursor: 'pointer',
+                          background: isSelected ? 'var(--bg-tertiary)' : 'transparent'
+                        }}
+                        onClick={() => setSelected(isSelected ? null : { row: r, col: c })}
+                        title={decision.reason}
+                      >
+                        <EffectBadge effect={decision.effect} />
+                        {decision.warnings.length > 0 && <span style={{ color: '#f59e0b', marginLeft: '4px' }}>!</span>}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {cell && (
+        <div style={{ ...styles.card, marginTop: '8px' }}>
+          <div style={styles.cardTitle}>
+            <EffectBadge effect={cell.effect} />
+            <span style={styles.toolName}>{cell.tool}</span>
+          </div>
+          <div style={styles.cardDetail}>
+            <strong>Decision: </strong>{cell.reason}
+            {cell.rule_index !== null && ` (rule ${cell.rule_index + 1})`}
+          </div>
+          {cell.injected.length > 0 && (
+            <div style={styles.cardDetail}>
+              <strong>Injected: </strong>
+              {cell.injected.map(inj => (
+                <span key={inj.field} style={{ marginRight: '8px' }}>
+                  {inj.field} <span style={styles.arrow}>&larr;</span> <span style={styles.grantKey}>{String(inj.value)}</span>
+                  {inj.previous !== undefined && <span style={{ color: '#ef4444' }}> (was {String(inj.previous)})</span>}
+                </span>
+              ))}
+            </div>
+          )}
+          {cell.effect !== 'deny' && (
+            <div style={styles.cardDetail}>
+              <strong>Call args: </strong>
+              <span style={styles.fieldPath}>{JSON.stringify(cell.args)}</span>
+            </div>
+          )}
+          {cell.response_filter && (
+            <div style={styles.cardDetail}>
+              <strong>Filter: </strong><span style={styles.tag}>{cell.response_filter}</span>
+            </div>
+          )}
+          {cell.warnings.map((w, i) => (
+            <div key={i} style={{ ...styles.cardDetail, color: '#f59e0b' }}>{w}</div>
+          ))}
+          {cell.trace.length > 0 && (
+            <div style={styles.cardDetail}>
+              <strong>Rules checked:</strong>
+              {cell.trace.map(step => (
+                <div key={step.index} style={{ color: step.matched ? '#10b981' : 'var(--text-muted)' }}>
+                  #{step.index + 1}: {step.reason}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ── Styles ─────────────────────────────────────────────────────────
 
 const styles = {
@@ -226,15 +452,58 @@ const styles = {
   divider: {
     borderTop: '1px solid var(--border)',
     margin: '12px 0'
+  },
+  actorRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    marginBottom: '6px'
+  },
+  input: {
+    padding: '4px 8px',
+    background: 'var(--bg-tertiary)',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    color: 'var(--text-primary)',
+    fontSize: '11px'
+  },
+  smallButton: {
+    padding: '3px 10px',
+    background: 'transparent',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    color: 'var(--text-secondary)',
+    fontSize: '11px',
+    cursor: 'pointer'
+  },
+  matrix: {
+    borderCollapse: 'collapse',
+    fontSize: '11px',
+    width: '100%'
+  },
+  matrixHead: {
+    textAlign: 'left',
+    padding: '6px 8px',
+    color: 'var(--text-muted)',
+    fontWeight: '500',
+    borderBottom: '1px solid var(--border)',
+    whiteSpace: 'nowrap'
+  },
+  matrixCell: {
+    padding: '6px 8px',
+    borderBottom: '1px solid var(--border)',
+    color: 'var(--text-secondary)',
+    whiteSpace: 'nowrap'
   }
 };
 
 // ── Main Component ─────────────────────────────────────────────────
 
-export default function SecurityPanel({ skill, onAskAbout, focus, validateButton }) {
+export default function SecurityPanel({ skill, solutionId, onAskAbout, focus, validateButton }) {
   const [expandedSections, setExpandedSections] = useState({
     classifications: true,
     accessPolicy: true,
+    whatIf: false,
     grantMappings: true,
     responseFilters: true,
     contextPropagation: true
@@ -426,6 +695,27 @@ export default function SecurityPanel({ skill, onAskAbout, focus, validateButton
         ))}
       </div>
 
+      {/* ── What-if: evaluate the rules for sample actors ──────── */}
+      {accessRules.length > 0 && solutionId && skill?.id && (
+        <div style={styles.section}>
+          <div
+            style={styles.sectionHeader}
+            onClick={() => toggleSection('whatIf')}
+          >
+            <div style={styles.sectionTitle}>
+              <span style={styles.expandIcon}>
+                {expandedSections.whatIf ? '▼' : '▶'}
+              </span>
+              What-if Matrix
+            </div>
+          </div>
+
+          {expandedSections.whatIf && (
+            <AccessWhatIf key={skill.id} skill={skill} solutionId={solutionId} />
+          )}
+        </div>
+      )}
+
       {/* ── 3. Grant Mappings ────────────────────────────────────── */}
       <div style={styles.section}>
         <div
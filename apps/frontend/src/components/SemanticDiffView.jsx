@@ -0,0 +1,118 @@
+/**
+ * SemanticDiffView — Reviewer-facing change list for a skill or solution
+ *
+ * Renders the `semantic` result of GET /api/solutions/:id/diff (diffSkills /
+ * diffSolutions from @adas/skill-validator): one line per change, grouped by
+ * tools, intents, policy, access policy and engine, instead of a JSON diff.
+ * Shown before deploying so the user sees what Core is about to change.
+ */
+
+import React from 'react';
+
+const CATEGORY_ORDER = ['skill', 'tools', 'intents', 'policy', 'access_policy', 'engine', 'triggers', 'solution'];
+
+const CATEGORY_LABELS = {
+  skill: 'Skill',
+  tools: 'Tools',
+  intents: 'Intents',
+  policy: 'Policy',
+  access_policy: 'Access policy',
+  engine: 'Engine',
+  triggers: 'Triggers',
+  solution: 'Solution',
+};
+
+const KIND_MARKS = {
+  added: { mark: '+', color: '#22c55e' },
+  removed: { mark: '−', color: '#ef4444' },
+  renamed: { mark: '→', color: '#3b82f6' },
+  changed: { mark: '~', color: '#f59e0b' },
+};
+
+// ═══════════════════════════════════════════════════════════════
+// Styles
+// ═══════════════════════════════════════════════════════════════
+const styles = {
+  summary: {
+    fontSize: '12px',
+    fontWeight: '500',
+    color: 'var(--text-primary)',
+    marginBottom: '8px',
+  },
+  skillTitle: {
+    fontSize: '12px',
+    fontWeight: '600',
+    fontFamily: 'monospace',
+    color: 'var(--text-primary)',
+    margin: '10px 0 4px',
+  },
+  groupTitle: {
+    fontSize: '11px',
+    fontWeight: '600',
+    color: 'var(--text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+    margin: '8px 0 4px',
+  },
+  row: {
+    display: 'flex',
+    gap: '6px',
+    fontSize: '12px',
+    lineHeight: '1.5',
+    color: 'var(--text-secondary)',
+  },
+  mark: {
+    width: '12px',
+    flexShrink: 0,
+    fontFamily: 'monospace',
+    fontWeight: '700',
+    textAlign: 'center',
+  },
+  empty: {
+    fontSize: '12px',
+    color: 'var(--text-muted)',
+  },
+};
+
+function ChangeGroups({ changes }) {
+  const groups = CATEGORY_ORDER
+    .map(category => [category, changes.filter(c => c.category === category)])
+    .filter(([, items]) => items.length > 0);
+
+  return groups.map(([category, items]) => (
+    <div key={category}>
+      <div style={styles.groupTitle}>{CATEGORY_LABELS[category]}</div>
+      {items.map((change, i) => {
+        const { mark, color } = KIND_MARKS[change.kind] || KIND_MARKS.changed;
+        return (
+          <div key={`${change.path}-${i}`} style={styles.row} title={change.path}>
+            <span style={{ ...styles.mark, color }}>{mark}</span>
+            <span>{change.message}</span>
+          </div>
+        );
+      })}
+    </div>
+  ));
+}
+
+export default function SemanticDiffView({ diff }) {
+  if (!diff) return null;
+  const skills = Object.entries(diff.skills || {});
+
+  if (diff.changes.length === 0 && skills.length === 0) {
+    return <div style={styles.empty}>No changes.</div>;
+  }
+
+  return (
+    <div>
+      <div style={styles.summary}>{diff.summary}</div>
+      <ChangeGroups changes={diff.changes} />
+      {skills.map(([skillId, skillDiff]) => (
+        <div key={skillId}>
+          <div style={styles.skillTitle}>{skillId}</div>
+          <ChangeGroups changes={skillDiff.changes} />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,333 @@
+/**
+ * SkillHistoryPanel - Timeline of chat turns that changed the skill
+ *
+ * Every DAL turn that edits the skill is recorded as a reversible patch.
+ * This panel lists them newest first with the fields each turn touched,
+ * shows the before/after diff, and can undo/redo the latest turn or roll
+ * back one specific turn (e.g. the one that broke the policy section).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getSkillHistory, undoSkillTurn, redoSkillTurn } from '../api/client';
+
+const styles = {
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '16px'
+  },
+  title: {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--text-muted)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  },
+  actions: {
+    display: 'flex',
+    gap: '8px'
+  },
+  button: {
+    padding: '6px 12px',
+    background: 'var(--bg-tertiary)',
+    border: '1px solid var(--border)',
+    borderRadius: '6px',
+    color: 'var(--text-primary)',
+    fontSize: '12px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+    cursor: 'not-allowed'
+  },
+  smallButton: {
+    padding: '3px 8px',
+    background: 'transparent',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    color: 'var(--text-secondary)',
+    fontSize: '11px',
+    cursor: 'pointer'
+  },
+  error: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '8px 12px',
+    marginBottom: '12px',
+    borderRadius: '6px',
+    background: 'rgba(239, 68, 68, 0.1)',
+    color: '#ef4444',
+    fontSize: '12px'
+  },
+  empty: {
+    textAlign: 'center',
+    padding: '40px 20px',
+    color: 'var(--text-muted)',
+    fontSize: '13px'
+  },
+  timeline: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  entry: {
+    background: 'var(--bg-card)',
+    border: '1px solid var(--border)',
+    borderRadius: '8px',
+    overflow: 'hidden'
+  },
+  entryUndone: {
+    opacity: 0.6
+  },
+  entryHeader: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '10px',
+    padding: '10px 12px',
+    cursor: 'pointer'
+  },
+  entryMain: {
+    flex: 1,
+    minWidth: 0
+  },
+  entryMessage: {
+    fontSize: '13px',
+    color: 'var(--text-primary)',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  entryMeta: {
+    fontSize: '11px',
+    color: 'var(--text-muted)',
+    marginTop: '4px'
+  },
+  pathList: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px',
+    marginTop: '6px'
+  },
+  pathChip: {
+    fontSize: '10px',
+    fontFamily: 'monospace',
+    padding: '1px 6px',
+    borderRadius: '4px',
+    background: 'var(--bg-tertiary)',
+    color: 'var(--text-secondary)'
+  },
+  statusBadge: {
+    fontSize: '10px',
+    padding: '2px 8px',
+    borderRadius: '4px',
+    fontWeight: '500',
+    textTransform: 'uppercase',
+    flexShrink: 0
+  },
+  statusApplied: {
+    background: 'rgba(34, 197, 94, 0.15)',
+    color: '#22c55e'
+  },
+  statusUndone: {
+    background: 'rgba(107, 114, 128, 0.15)',
+    color: '#9ca3af'
+  },
+  diff: {
+    borderTop: '1px solid var(--border)',
+    padding: '10px 12px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px'
+  },
+  change: {
+    fontSize: '12px'
+  },
+  changePath: {
+    fontFamily: 'monospace',
+    color: 'var(--text-secondary)',
+    marginBottom: '4px'
+  },
+  diffBefore: {
+    margin: 0,
+    padding: '6px 8px',
+    borderRadius: '4px',
+    background: 'rgba(239, 68, 68, 0.08)',
+    color: '#f87171',
+    fontSize: '11px',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+    maxHeight: '160px',
+    overflow: 'auto'
+  },
+  diffAfter: {
+    margin: '4px 0 0',
+    padding: '6px 8px',
+    borderRadius: '4px',
+    background: 'rgba(34, 197, 94, 0.08)',
+    color: '#4ade80',
+    fontSize: '11px',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+    maxHeight: '160px',
+    overflow: 'auto'
+  }
+};
+
+function formatValue(value) {
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value, null, 2);
+}
+
+function formatTime(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function ChangeDiff({ change, label }) {
+  const hasBefore = 'before' in change;
+  const hasAfter = 'after' in change;
+  const kind = !hasBefore ? 'added' : !hasAfter ? 'removed' : 'changed';
+  return (
+    <div style={styles.change}>
+      <div style={styles.changePath}>{label} <span style={{ color: 'var(--text-muted)' }}>({kind})</span></div>
+      {hasBefore && <pre style={styles.diffBefore}>- {formatValue(change.before)}</pre>}
+      {hasAfter && <pre style={styles.diffAfter}>+ {formatValue(change.after)}</pre>}
+    </div>
+  );
+}
+
+export default function SkillHistoryPanel({ skill, solutionId, onSkillUpdate }) {
+  const [history, setHistory] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [failed, setFailed] = useState(null); // { error, retry }
+
+  const load = useCallback(async () => {
+    if (!solutionId || !skill?.id) return;
+    try {
+      setHistory(await getSkillHistory(solutionId, skill.id));
+    } catch (err) {
+      console.error('Failed to load skill history:', err);
+    }
+  }, [solutionId, skill?.id]);
+
+  // Reload whenever the skill is saved (new chat turn, undo elsewhere)
+  useEffect(() => {
+    load();
+  }, [load, skill?.updated_at]);
+
+  const run = async (action, entryId = null, force = false) => {
+    setBusy(true);
+    setFailed(null);
+    try {
+      const fn = action === 'undo' ? undoSkillTurn : redoSkillTurn;
+      const result = await fn(solutionId, skill.id, { entryId, force });
+      setHistory(result.history);
+      if (onSkillUpdate && result.skill) {
+        onSkillUpdate(result.skill);
+      }
+    } catch (err) {
+      setFailed({ error: err.message, retry: force ? null : () => run(action, entryId, true) });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const entries = history?.entries || [];
+
+  return (
+    <div>
+      <div style={styles.header}>
+        <span style={styles.title}>Change History</span>
+        <div style={styles.actions}>
+          <button
+            style={{ ...styles.button, ...(!history?.can_undo || busy ? styles.buttonDisabled : {}) }}
+            disabled={!history?.can_undo || busy}
+            onClick={() => run('undo')}
+            title="Undo the most recent chat turn"
+          >
+            ↶ Undo
+          </button>
+          <button
+            style={{ ...styles.button, ...(!history?.can_redo || busy ? styles.buttonDisabled : {}) }}
+            disabled={!history?.can_redo || busy}
+            onClick={() => run('redo')}
+            title="Re-apply the last undone turn"
+          >
+            ↷ Redo
+          </button>
+        </div>
+      </div>
+
+      {failed && (
+        <div style={styles.error}>
+          <span>{failed.error}</span>
+          {failed.retry && (
+            <button style={styles.smallButton} onClick={failed.retry} disabled={busy}>
+              Apply anyway
+            </button>
+          )}
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <div style={styles.empty}>
+          No recorded changes yet. Each chat turn that edits the skill shows up here and can be undone.
+        </div>
+      ) : (
+        <div style={styles.timeline}>
+          {entries.map(entry => {
+            const isOpen = expanded === entry.id;
+            const undone = entry.status === 'undone';
+            return (
+              <div key={entry.id} style={{ ...styles.entry, ...(undone ? styles.entryUndone : {}) }}>
+                <div style={styles.entryHeader} onClick={() => setExpanded(isOpen ? null : entry.id)}>
+                  <div style={styles.entryMain}>
+                    <div style={styles.entryMessage}>{entry.user_message || '(no message)'}</div>
+                    <div style={styles.entryMeta}>
+                      {formatTime(entry.created_at)} · {entry.changes.length} change{entry.changes.length === 1 ? '' : 's'}
+                    </div>
+                    <div style={styles.pathList}>
+                      {entry.paths.slice(0, 6).map((p, i) => (
+                        <span key={i} style={styles.pathChip}>{p}</span>
+                      ))}
+                      {entry.paths.length > 6 && (
+                        <span style={styles.pathChip}>+{entry.paths.length - 6}</span>
+                      )}
+                    </div>
+                  </div>
+                  <span style={{ ...styles.statusBadge, ...(undone ? styles.statusUndone : styles.statusApplied) }}>
+                    {entry.status}
+                  </span>
+                  <button
+                    style={styles.smallButton}
+                    disabled={busy}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      run(undone ? 'redo' : 'undo', entry.id);
+                    }}
+                    title={undone ? 'Re-apply this turn' : 'Roll back only this turn'}
+                  >
+                    {undone ? 'Redo' : 'Undo'}
+                  </button>
+                </div>
+                {isOpen && (
+                  <div style={styles.diff}>
+                    {entry.changes.map((change, i) => (
+                      <ChangeDiff key={i} change={change} label={entry.paths[i]} />
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
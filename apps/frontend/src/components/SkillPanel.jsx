@@ -7,6 +7,7 @@
  * - Tools
  * - Policy
  * - Engine
+ * - Change history (per-turn undo/redo)
  * - Validation status
  */
 
@@ -19,11 +20,13 @@ import IdentityPanel from './IdentityPanel';
 import SkillConnectorsPanel from './SkillConnectorsPanel';
 import TriggersPanel from './TriggersPanel';
 import SecurityPanel from './SecurityPanel';
+import SkillHistoryPanel from './SkillHistoryPanel';
 import ValidationBanner from './ValidationBanner';
 import ValidationList from './ValidationList';
 import ValidationMicroDashboard from './ValidationMicroDashboard';
 import { useValidation } from '../hooks/useValidation';
-import { validateToolsConsistency, validatePolicyConsistency, validateIntentsConsistency, validateIdentityConsistency, validateSecurityConsistency, validateAll } from '../api/client';
+import { readPath, isMockTested } from '@adas/skill-validator/src/browser.js';
+import { validateToolsConsistency, validatePolicyConsistency, validateIntentsConsistency, validateIdentityConsistency, validateSecurityConsistency, validateAll, runScenarios, resyncSkillTool } from '../api/client';
 
 const styles = {
   container: {
@@ -366,7 +369,8 @@ const TABS = [
   { id: 'policy', label: 'Policy' },
   { id: 'security', label: 'Security' },
   { id: 'engine', label: 'Engine' },
-  { id: 'triggers', label: 'Triggers' }
+  { id: 'triggers', label: 'Triggers' },
+  { id: 'history', label: 'History' }
 ];
 
 // Phase progress mapping (8 phases)
@@ -445,7 +449,7 @@ function getTabBadge(tabId, skill) {
         return { text: '0', style: styles.badgeGray };
       }
       const defined = tools.filter(t => t.name && t.description && t.output?.description).length;
-      const tested = tools.filter(t => t.mock_status === 'tested' || t.mock_status === 'skipped').length;
+      const tested = tools.filter(isMockTested).length;
       // Show defined/total, color based on testing status too
       const score = defined + tested;
       const maxScore = tools.length * 2; // full definition + tested
@@ -666,7 +670,46 @@ export default function SkillPanel({
   });
   const [expandedItems, setExpandedItems] = useState({});
   const [testingTool, setTestingTool] = useState(null);
+  const [mockSessionId, setMockSessionId] = useState(null); // Shared across tool tests of this skill
   const [focusedTool, setFocusedTool] = useState(null); // Full-screen tool view
+  const [scenarioRun, setScenarioRun] = useState(null);
+  const [runningScenarios, setRunningScenarios] = useState(false);
+  const [scenarioRunError, setScenarioRunError] = useState(null);
+
+  // Mock sessions and scenario runs are per skill — drop them when switching skills
+  useEffect(() => {
+    setMockSessionId(null);
+    setScenarioRun(null);
+  }, [skillId]);
+
+  const handleRunScenarios = async () => {
+    setRunningScenarios(true);
+    setScenarioRunError(null);
+    try {
+      const result = await runScenarios(solutionId, skill.id);
+      setScenarioRun(result.run);
+      if (onSkillUpdate && result.skill) {
+        onSkillUpdate(result.skill);
+      }
+    } catch (err) {
+      setScenarioRunError(err.message);
+    } finally {
+      setRunningScenarios(false);
+    }
+  };
+
+  // Validation issue buttons (currently: resync a bridged tool whose MCP schema drifted)
+  const handleIssueAction = async (action) => {
+    if (action.type !== 'resync_tool') return;
+    try {
+      const result = await resyncSkillTool(solutionId, skill.id, action.tool_id);
+      if (onSkillUpdate && result.skill) {
+        onSkillUpdate(result.skill);
+      }
+    } catch (err) {
+      alert(`Resync failed: ${err.message}`);
+    }
+  };
 
   // Cascading validation - pass onIssuesChange for persistence
   const {
@@ -688,6 +731,30 @@ export default function SkillPanel({
     }
   };
 
+  // Apply a validation issue's suggested fix and save it. The skill store
+  // takes dotted and indexed paths but not a trailing [n], so a list entry
+  // is saved by replacing the list it belongs to.
+  const handleValidationFix = async (issue) => {
+    const fix = issue.suggestedFix;
+    if (!solutionId || !fix?.path) return;
+    let updates = { [fix.path]: fix.replacement };
+    const entry = /^(.+)\[(\d+)\]$/.exec(fix.path);
+    if (entry) {
+      const list = [...(readPath(skill, entry[1]) || [])];
+      list[Number(entry[2])] = fix.replacement;
+      updates = { [entry[1]]: list };
+    }
+    try {
+      const { updateSkill: updateSkillApi } = await import('../api/client');
+      const updatedSkill = await updateSkillApi(solutionId, skill.id, updates);
+      if (onSkillUpdate && updatedSkill) {
+        onSkillUpdate(updatedSkill);
+      }
+    } catch (err) {
+      console.error('Failed to apply validation fix:', err);
+    }
+  };
+
   // Handle manual validation results from ValidateButton
   const handleValidationResults = (section, result) => {
     // Clear previous manual validation issues for this section before adding new ones
@@ -1199,6 +1266,16 @@ export default function SkillPanel({
                   <div style={styles.sectionTitle}>Tools ({skill.tools?.length || 0})</div>
                   <div style={styles.sectionHeaderButtons}>
                     <InfoButton topic="tools" onAskAbout={onAskAbout} />
+                    {solutionId && skill.scenarios?.length > 0 && skill.tools?.length > 0 && (
+                      <button
+                        style={{ ...styles.testBtn, marginTop: 0, ...(runningScenarios ? { opacity: 0.5, cursor: 'not-allowed' } : {}) }}
+                        onClick={handleRunScenarios}
+                        disabled={runningScenarios}
+                        title="Replay all scenarios against the tool mocks and record results"
+                      >
+                        {runningScenarios ? 'Running…' : '▶ Run scenarios'}
+                      </button>
+                    )}
                     <ValidateButton
                       section="tools"
                       solutionId={solutionId}
@@ -1208,6 +1285,37 @@ export default function SkillPanel({
                     />
                   </div>
                 </div>
+                {scenarioRunError && (
+                  <div style={{ ...styles.card, color: '#ef4444', fontSize: '12px' }}>
+                    Scenario run failed: {scenarioRunError}
+                  </div>
+                )}
+                {scenarioRun && (
+                  <div style={{ ...styles.card, cursor: 'default' }}>
+                    <div style={styles.cardTitle}>
+                      Scenario run: {scenarioRun.summary.passed}/{scenarioRun.summary.scenarios} passed
+                      <span style={{ ...styles.cardMeta, marginLeft: 'auto' }}>
+                        {scenarioRun.summary.steps} tool calls, {scenarioRun.summary.failed_steps} failed
+                      </span>
+                    </div>
+                    {scenarioRun.scenarios.map(sc => (
+                      <div key={sc.scenario_id} style={{ fontSize: '12px', marginTop: '6px' }}>
+                        <span style={{ color: sc.passed ? 'var(--success)' : '#ef4444' }}>
+                          {sc.passed ? '✓' : '✗'}
+                        </span>{' '}
+                        {sc.title}
+                        {sc.steps.filter(st => st.passed === false).map(st => (
+                          <div key={st.index} style={{ ...styles.cardMeta, marginLeft: '16px' }}>
+                            {st.tool || 'step'} #{st.index + 1}: {st.notes}
+                          </div>
+                        ))}
+                        {sc.notes && (
+                          <div style={{ ...styles.cardMeta, marginLeft: '16px' }}>{sc.notes}</div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
                 {skill.tools?.length > 0 ? (
                   skill.tools.map((tool, i) => {
                     const mockColor = getMockStatusColor(tool.mock_status);
@@ -1515,6 +1623,7 @@ export default function SkillPanel({
         {activeTab === 'security' && (
           <SecurityPanel
             skill={skill}
+            solutionId={solutionId}
             onAskAbout={onAskAbout}
             focus={focus?.tab === 'security' ? focus : null}
             validateButton={
@@ -1539,6 +1648,7 @@ export default function SkillPanel({
           <TriggersPanel
             triggers={skill.triggers || []}
             skillId={skill.id}
+            solutionId={solutionId}
             onTriggersChange={async (newTriggers) => {
               if (!solutionId) return;
               try {
@@ -1556,6 +1666,15 @@ export default function SkillPanel({
             skillDeployed={!!skill.deployedTo}
           />
         )}
+
+        {/* History Tab - per-turn undo/redo */}
+        {activeTab === 'history' && (
+          <SkillHistoryPanel
+            skill={skill}
+            solutionId={solutionId}
+            onSkillUpdate={onSkillUpdate}
+          />
+        )}
       </div>
 
       {/* Export Action */}
@@ -1571,7 +1690,14 @@ export default function SkillPanel({
 
       {/* Test Tool Modal */}
       {testingTool && (
-        <TestToolModal tool={testingTool} solutionId={solutionId} skillId={skillId} onClose={() => setTestingTool(null)} />
+        <TestToolModal
+          tool={testingTool}
+          solutionId={solutionId}
+          skillId={skillId}
+          sessionId={mockSessionId}
+          onSessionChange={setMockSessionId}
+          onClose={() => setTestingTool(null)}
+        />
       )}
 
       {/* Validation Panel Modal */}
@@ -1629,7 +1755,7 @@ export default function SkillPanel({
             <div style={{ padding: '20px', overflow: 'auto', flex: 1 }}>
               {/* Validation Banner */}
               {skill.validation && (
-                <ValidationBanner validation={skill.validation} showDetails={true} />
+                <ValidationBanner validation={skill.validation} showDetails={true} onIssueAction={handleIssueAction} />
               )}
 
               {/* Cascading Validation List */}
@@ -1642,6 +1768,7 @@ export default function SkillPanel({
                       setShowValidationPanel(false);
                     }}
                     onDismiss={dismissIssue}
+                    onFix={solutionId ? handleValidationFix : undefined}
                     onClearResolved={clearResolved}
                   />
                 </div>
@@ -1,13 +1,15 @@
 /**
  * SolutionPanel — Displays solution-level architecture
  *
- * Six tabs:
+ * Eight tabs:
  *   1. Overview — Summary card + verification panel
  *   2. Users & Roles — User types, roles, admin privileges
  *   3. Team Map — SVG graph of skills, handoffs, and channel entries
  *   4. Architecture — Skills + connectors diagram with links
  *   5. Trust Rules — Verification requirements grouped by skill (Story Mode) + raw table (Advanced)
  *   6. Voice Channel — Voice bot settings, prompt tuning, caller verification
+ *   7. Regression — Regression suite cases and run history
+ *   8. Git Sync — Unresolved drift between Builder files and the solution repo
  */
 
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
@@ -16,6 +18,8 @@ import SolutionSummaryCard from './SolutionSummaryCard';
 import SolutionVerificationPanel from './SolutionVerificationPanel';
 import IdentityConfigPanel from './IdentityConfigPanel';
 import VoiceChannelTab from './voice/VoiceChannelTab';
+import RegressionSuitePanel from './RegressionSuitePanel';
+import GitSyncDriftPanel from './GitSyncDriftPanel';
 
 // ═══════════════════════════════════════════════════════════════
 // Styles
@@ -168,7 +172,7 @@ function SvgIcon({ pathD, color, x, y, size = 14 }) {
   );
 }
 
-const TABS = ['Overview', 'Users & Roles', 'Team Map', 'Architecture', 'Trust Rules', 'Voice Channel'];
+const TABS = ['Overview', 'Users & Roles', 'Team Map', 'Architecture', 'Trust Rules', 'Voice Channel', 'Regression', 'Git Sync'];
 
 // ═══════════════════════════════════════════════════════════════
 // Shared SVG Defs
@@ -300,6 +304,13 @@ export default function SolutionPanel({ solution, sidebarSkills = [], onNavigate
   const [activeTab, setActiveTab] = useState('Overview');
   const [trustRulesFilter, setTrustRulesFilter] = useState(null);
   const [mapHighlight, setMapHighlight] = useState(null);
+  const [driftCount, setDriftCount] = useState(0);
+
+  // Unresolved drift shows on the Git Sync tab without opening it
+  useEffect(() => {
+    if (!solution?.id) return;
+    api.getGitSyncDrift(solution.id).then(items => setDriftCount(items.length), () => setDriftCount(0));
+  }, [solution?.id]);
 
   if (!solution) {
     return (
@@ -382,7 +393,7 @@ export default function SolutionPanel({ solution, sidebarSkills = [], onNavigate
               onFocusChange?.({ tab });
             }}
           >
-            {tab}
+            {tab === 'Git Sync' && driftCount > 0 ? `${tab} (${driftCount})` : tab}
           </button>
         ))}
       </div>
@@ -422,6 +433,12 @@ export default function SolutionPanel({ solution, sidebarSkills = [], onNavigate
         {activeTab === 'Voice Channel' && (
           <VoiceChannelTab />
         )}
+        {activeTab === 'Regression' && (
+          <RegressionSuitePanel solution={solution} />
+        )}
+        {activeTab === 'Git Sync' && (
+          <GitSyncDriftPanel solution={solution} onCountChange={setDriftCount} />
+        )}
       </div>
     </div>
   );
@@ -2,11 +2,21 @@
  * TeamMapView — SVG skill topology graph
  * Extracted from SolutionPanel TopologyView
  * Added onSkillClick callback for navigating to skill detail
+ * grantFlow (simulateGrantFlow result) overlays the grants each handoff
+ * actually carries and the skills whose security contracts can't be met
  */
 import React, { useState, useRef } from 'react';
 import { ROLE_COLORS, ICONS, ROLE_ICONS, CHANNEL_ICONS, SvgIcon, SharedDefs, EmptyState, Tooltip, Legend } from './SvgUtils';
 
-export default function TeamMapView({ skills, handoffs, routing, grants, contracts, onSkillClick }) {
+const FLOW_COLORS = {
+  ok: '#10b981',
+  partial: '#f59e0b',
+  blocked: '#ef4444',
+};
+
+const shortGrant = (key) => key.split('.').pop();
+
+export default function TeamMapView({ skills, handoffs, routing, grants, contracts, grantFlow, onSkillClick }) {
   const containerRef = useRef(null);
   const [hoveredNode, setHoveredNode] = useState(null);
   const [hoveredEdge, setHoveredEdge] = useState(null);
@@ -25,6 +35,14 @@ export default function TeamMapView({ skills, handoffs, routing, grants, contrac
 
   const getSkillContracts = (skillId) => (contracts || []).filter(c => c.consumer === skillId);
 
+  // Grant-flow overlay lookups
+  const flowEdge = (handoffId) => grantFlow?.edges?.[handoffId] || null;
+  const flowSkill = (skillId) => grantFlow?.skills?.[skillId] || null;
+  const unsatisfiedConsumers = new Set(
+    (grantFlow?.contracts || []).filter(c => c.status === 'unsatisfiable').map(c => c.consumer)
+  );
+  const edgeHasGaps = (edge) => edge && (edge.not_available.length > 0 || edge.not_propagated.length > 0);
+
   const describeRuleShort = (contract) => {
     const providerName = skillNameMap[contract.provider] || contract.provider || 'another skill';
     const toolNames = (contract.for_tools || []).map(t => {
@@ -99,6 +117,8 @@ export default function TeamMapView({ skills, handoffs, routing, grants, contrac
       const rect = containerRef.current.getBoundingClientRect();
       const channels = (skill.entry_channels || []).join(', ');
       const connCount = (skill.connectors || []).length;
+      const held = flowSkill(skill.id);
+      const missing = (grantFlow?.contracts || []).filter(c => c.consumer === skill.id && c.status === 'unsatisfiable');
       setTooltip({
         x: e.clientX - rect.left,
         y: e.clientY - rect.top,
@@ -117,6 +137,20 @@ export default function TeamMapView({ skills, handoffs, routing, grants, contrac
             {connCount > 0 && (
               <div style={{ fontSize: '11px', color: 'var(--text-muted)' }}>Connectors: {connCount}</div>
             )}
+            {grantFlow && !held && (
+              <div style={{ fontSize: '11px', color: 'var(--text-muted)', marginTop: '4px' }}>Not reached from {grantFlow.channel}</div>
+            )}
+            {held && (
+              <div style={{ fontSize: '11px', color: 'var(--text-muted)', marginTop: '4px' }}>
+                Holds: {held.held_always.map(shortGrant).join(', ') || 'nothing'}
+                {held.held_sometimes.length > 0 && ` (some paths: ${held.held_sometimes.map(shortGrant).join(', ')})`}
+              </div>
+            )}
+            {missing.map(c => (
+              <div key={c.name} style={{ fontSize: '11px', color: FLOW_COLORS.blocked }}>
+                {c.name}: never gets {c.missing.map(shortGrant).join(', ')}
+              </div>
+            ))}
           </div>
         ),
       });
@@ -132,6 +166,7 @@ export default function TeamMapView({ skills, handoffs, routing, grants, contrac
       const rect = containerRef.current.getBoundingClientRect();
       const grantsText = (handoff.grants_passed || []).map(g => g.split('.').pop()).join(', ');
       const droppedText = (handoff.grants_dropped || []).map(g => g.split('.').pop()).join(', ');
+      const edge = flowEdge(handoff.id);
       const fromName = skillNames[handoff.from] || handoff.from;
       const toName = skillNames[handoff.to] || handoff.to;
       setTooltip({
@@ -154,6 +189,24 @@ export default function TeamMapView({ skills, handoffs, routing, grants, contrac
             {droppedText && (
               <div style={{ fontSize: '11px', color: 'var(--error)' }}>Dropped: {droppedText}</div>
             )}
+            {grantFlow && !edge?.traversed && (
+              <div style={{ fontSize: '11px', color: 'var(--text-muted)', marginTop: '4px' }}>Not taken from {grantFlow.channel}</div>
+            )}
+            {edge?.traversed && (
+              <div style={{ fontSize: '11px', color: FLOW_COLORS.ok, marginTop: '4px' }}>
+                Carries: {edge.passed.map(shortGrant).join(', ') || 'nothing'}
+              </div>
+            )}
+            {edge?.not_available.length > 0 && (
+              <div style={{ fontSize: '11px', color: FLOW_COLORS.partial }}>
+                Declared but never held: {edge.not_available.map(shortGrant).join(', ')}
+              </div>
+            )}
+            {edge?.not_propagated.length > 0 && (
+              <div style={{ fontSize: '11px', color: FLOW_COLORS.partial }}>
+                Not propagated: {edge.not_propagated.map(shortGrant).join(', ')}
+              </div>
+            )}
           </div>
         ),
       });
@@ -179,6 +232,20 @@ export default function TeamMapView({ skills, handoffs, routing, grants, contrac
       icon: <span style={{ width: 16, height: 0, borderTop: '2px dashed #6b7280', display: 'inline-block' }} />,
       label: 'Channel entry',
     },
+    ...(grantFlow ? [
+      {
+        icon: <span style={{ width: 16, height: 0, borderTop: `2px solid ${FLOW_COLORS.ok}`, display: 'inline-block' }} />,
+        label: 'Grants flow',
+      },
+      {
+        icon: <span style={{ width: 16, height: 0, borderTop: `2px solid ${FLOW_COLORS.partial}`, display: 'inline-block' }} />,
+        label: 'Declared grants lost',
+      },
+      {
+        icon: <span style={{ width: 10, height: 10, borderRadius: '3px', border: `2px solid ${FLOW_COLORS.blocked}`, display: 'inline-block' }} />,
+        label: 'Contract unsatisfiable',
+      },
+    ] : []),
   ];
 
   return (
@@ -247,14 +314,18 @@ export default function TeamMapView({ skills, handoffs, routing, grants, contrac
           const isRelatedNode = hoveredNode === handoff.from || hoveredNode === handoff.to;
           const isHighlighted = isEdgeHovered || isRelatedNode;
           const isAnyHover = hoveredNode || hoveredEdge;
-          const dimmed = isAnyHover && !isHighlighted;
+          const edge = flowEdge(handoff.id);
+          const dimmed = (isAnyHover && !isHighlighted) || (grantFlow && !edge?.traversed);
+          const flowColor = edge?.traversed ? (edgeHasGaps(edge) ? FLOW_COLORS.partial : FLOW_COLORS.ok) : null;
 
           const grantsCount = (handoff.grants_passed || []).length;
-          const grantsLabel = grantsCount > 0
-            ? (isHighlighted
-              ? (handoff.grants_passed || []).map(g => g.split('.').pop()).join(', ')
-              : `${grantsCount} grant${grantsCount > 1 ? 's' : ''}`)
-            : '';
+          const grantsLabel = flowColor
+            ? (edge.passed.map(shortGrant).join(', ') || 'no grants')
+            : grantsCount > 0
+              ? (isHighlighted
+                ? (handoff.grants_passed || []).map(g => g.split('.').pop()).join(', ')
+                : `${grantsCount} grant${grantsCount > 1 ? 's' : ''}`)
+              : '';
           const isLive = handoff.mechanism === 'handoff-controller-mcp';
 
           return (
@@ -268,8 +339,8 @@ export default function TeamMapView({ skills, handoffs, routing, grants, contrac
               <path
                 d={path}
                 fill="none"
-                stroke={`url(#grad-${fromRole}-${toRole})`}
-                strokeWidth={isHighlighted ? 3 : 2}
+                stroke={flowColor || `url(#grad-${fromRole}-${toRole})`}
+                strokeWidth={isHighlighted || flowColor ? 3 : 2}
                 markerEnd="url(#arrowhead)"
                 opacity={dimmed ? 0.15 : (isHighlighted ? 0.9 : 0.6)}
                 style={{ transition: 'opacity 0.2s, stroke-width 0.2s' }}
@@ -292,9 +363,9 @@ export default function TeamMapView({ skills, handoffs, routing, grants, contrac
                 <text
                   x={midX + (isHighlighted ? 14 : 12)}
                   y={midY + 4}
-                  fontSize={isHighlighted ? '10' : '9'}
-                  fill={dimmed ? '#6b728040' : 'var(--text-muted)'}
-                  fontFamily={isHighlighted ? 'monospace' : 'inherit'}
+                  fontSize={isHighlighted || flowColor ? '10' : '9'}
+                  fill={dimmed ? '#6b728040' : (flowColor || 'var(--text-muted)')}
+                  fontFamily={isHighlighted || flowColor ? 'monospace' : 'inherit'}
                   style={{ transition: 'opacity 0.2s' }}
                 >
                   {grantsLabel}
@@ -327,7 +398,9 @@ export default function TeamMapView({ skills, handoffs, routing, grants, contrac
             h.id === hoveredEdge && (h.from === skill.id || h.to === skill.id)
           );
           const isHighlighted = isHovered || isRelatedEdge;
-          const dimmed = isAnyHover && !isHighlighted;
+          const unreached = grantFlow && !flowSkill(skill.id);
+          const dimmed = (isAnyHover && !isHighlighted) || unreached;
+          const contractBlocked = unsatisfiedConsumers.has(skill.id);
 
           const channels = skill.entry_channels || [];
           const connCount = (skill.connectors || []).length;
@@ -360,8 +433,8 @@ export default function TeamMapView({ skills, handoffs, routing, grants, contrac
                 width={NODE_W} height={NODE_H}
                 rx="12" ry="12"
                 fill="var(--bg-card)"
-                stroke={isSelected ? 'var(--accent)' : roleColor.stroke}
-                strokeWidth={isHovered ? 2.5 : 2}
+                stroke={isSelected ? 'var(--accent)' : (contractBlocked ? FLOW_COLORS.blocked : roleColor.stroke)}
+                strokeWidth={isHovered || contractBlocked ? 2.5 : 2}
               />
               <line
                 x1={pos.x + 10} y1={pos.y + 42}
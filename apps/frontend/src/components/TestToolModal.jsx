@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { runMock } from '../api/client';
+import { runMock, startMockSession, getMockSession, resetMockSession } from '../api/client';
 
 const styles = {
   overlay: {
@@ -134,6 +134,29 @@ const styles = {
     color: 'white',
     borderColor: 'var(--accent)'
   },
+  sessionRow: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: '16px'
+  },
+  sessionLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '12px',
+    color: 'var(--text-secondary)',
+    cursor: 'pointer'
+  },
+  sessionResetBtn: {
+    padding: '4px 10px',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    background: 'transparent',
+    color: 'var(--text-muted)',
+    cursor: 'pointer',
+    fontSize: '11px'
+  },
   footer: {
     padding: '16px 20px',
     borderTop: '1px solid var(--border)',
@@ -198,7 +221,7 @@ const styles = {
   }
 };
 
-export default function TestToolModal({ tool, solutionId, skillId, onClose }) {
+export default function TestToolModal({ tool, solutionId, skillId, sessionId = null, onSessionChange, onClose }) {
   const [inputs, setInputs] = useState(() => {
     // Initialize with empty values based on tool inputs
     const initial = {};
@@ -207,10 +230,12 @@ export default function TestToolModal({ tool, solutionId, skillId, onClose }) {
     });
     return initial;
   });
-  const [mode, setMode] = useState('example'); // 'example' or 'llm'
+  const [mode, setMode] = useState('example'); // 'example', 'llm' or 'hybrid'
   const [running, setRunning] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [stateful, setStateful] = useState(!!sessionId);
+  const [sessionInfo, setSessionInfo] = useState(null);
 
   const handleInputChange = (name, value) => {
     setInputs(prev => ({ ...prev, [name]: value }));
@@ -243,8 +268,21 @@ export default function TestToolModal({ tool, solutionId, skillId, onClose }) {
         inputObj[input.name] = value;
       });
 
-      const data = await runMock(solutionId, skillId, tool.id || tool.name, inputObj, mode);
+      let activeSessionId = null;
+      if (stateful) {
+        activeSessionId = sessionId;
+        if (!activeSessionId) {
+          const session = await startMockSession(solutionId, skillId);
+          activeSessionId = session.id;
+          onSessionChange?.(activeSessionId);
+        }
+      }
+
+      const data = await runMock(solutionId, skillId, tool.id || tool.name, inputObj, mode, activeSessionId);
       setResult(data);
+      if (activeSessionId) {
+        setSessionInfo(await getMockSession(activeSessionId));
+      }
     } catch (err) {
       setError(err.message);
     } finally {
@@ -252,6 +290,18 @@ export default function TestToolModal({ tool, solutionId, skillId, onClose }) {
     }
   };
 
+  const handleResetSession = async () => {
+    if (!sessionId) return;
+    try {
+      setSessionInfo(await resetMockSession(sessionId));
+    } catch (err) {
+      // Session expired server-side — start fresh on the next run
+      onSessionChange?.(null);
+      setSessionInfo(null);
+      setError(err.message);
+    }
+  };
+
   const handleOverlayClick = (e) => {
     if (e.target === e.currentTarget) {
       onClose();
@@ -283,6 +333,29 @@ export default function TestToolModal({ tool, solutionId, skillId, onClose }) {
             >
               LLM Simulation
             </button>
+            <button
+              style={{ ...styles.modeBtn, ...(mode === 'hybrid' ? styles.modeBtnActive : {}) }}
+              onClick={() => setMode('hybrid')}
+            >
+              Hybrid
+            </button>
+          </div>
+
+          {/* Session */}
+          <div style={styles.sessionRow}>
+            <label style={styles.sessionLabel}>
+              <input
+                type="checkbox"
+                checked={stateful}
+                onChange={(e) => setStateful(e.target.checked)}
+              />
+              Keep state across tool tests
+            </label>
+            {stateful && sessionId && (
+              <button style={styles.sessionResetBtn} onClick={handleResetSession}>
+                Reset session{sessionInfo ? ` (${Object.values(sessionInfo.entity_counts).reduce((a, b) => a + b, 0)} entities)` : ''}
+              </button>
+            )}
           </div>
 
           {/* Inputs */}
@@ -333,13 +406,26 @@ export default function TestToolModal({ tool, solutionId, skillId, onClose }) {
                   <div style={{ ...styles.resultContent, ...styles.resultSuccess }}>
                     {JSON.stringify(result.output, null, 2)}
                   </div>
-                  {result.matched !== undefined && (
+                  {result.source === 'example' && (
                     <div style={styles.matchInfo}>
                       {result.matched === true && '✓ Exact match found in mock examples'}
                       {result.matched === 'partial' && '≈ Partial match found in mock examples'}
                       {result.matched === false && '⚠ No exact match - using fallback/first example'}
                     </div>
                   )}
+                  {result.source === 'llm' && (
+                    <div style={styles.matchInfo}>
+                      {result.mode === 'hybrid'
+                        ? '✦ No matching example - output simulated by LLM'
+                        : '✦ Output simulated by LLM'}
+                    </div>
+                  )}
+                  {result.source === 'session' && (
+                    <div style={styles.matchInfo}>↺ Returned from session state (created by an earlier call)</div>
+                  )}
+                  {result.source === 'mcp_bridge' && (
+                    <div style={styles.matchInfo}>⇄ Output from connected MCP server</div>
+                  )}
                 </>
               )}
             </div>
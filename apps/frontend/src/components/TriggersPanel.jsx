@@ -4,6 +4,14 @@
  * A trigger is a periodic timer that wakes the skill up to do work on its own,
  * without being triggered from the outside world. When the timer fires,
  * a job is created with the prompt as the goal, and the skill runs autonomously.
+ * The timer is a fixed interval or a cron expression, read in the trigger's
+ * timezone and limited by active windows and blackout dates; the next runs
+ * are previewed by the backend (POST /api/validate/schedule-preview).
+ * Event triggers start a job when an event's data matches the filter
+ * expression, which can be tested here against a sample payload.
+ * The dry run lists the jobs the saved triggers would create over the next
+ * day or week (plus an optional sample event) without Core, and can play
+ * each job's first tool call against the mocks.
  *
  * Everything else (inter-skill communication, user requests, webhooks) is
  * handled through the normal chat/job system — not triggers.
@@ -14,10 +22,20 @@
 import { useState, useEffect, useCallback } from 'react';
 import {
   SCHEDULE_PRESETS,
+  CRON_PRESETS,
+  WEEKDAYS,
   createEmptyScheduleTrigger,
-  formatDuration
+  formatSchedule
 } from '../types/DraftSkill';
-import { getTriggersStatus, toggleTriggerInCore } from '../api/client';
+import { getTriggersStatus, toggleTriggerInCore, previewSchedule, testEventFilter, dryRunTriggers } from '../api/client';
+
+const PREVIEW_COUNT = 5;
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+const DEFAULT_WINDOW = { days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '17:00' };
+const DRY_RUN_RANGES = [
+  { label: 'Next 24 hours', hours: 24 },
+  { label: 'Next 7 days', hours: 24 * 7 }
+];
 
 const styles = {
   container: {
@@ -274,6 +292,98 @@ const styles = {
     fontWeight: '500',
     cursor: 'pointer',
     marginLeft: '12px'
+  },
+  // Schedule editor
+  modeToggle: {
+    display: 'flex',
+    gap: '4px',
+    marginBottom: '8px'
+  },
+  modeButton: {
+    padding: '4px 10px',
+    borderRadius: '4px',
+    border: '1px solid var(--border)',
+    background: 'transparent',
+    color: 'var(--text-muted)',
+    fontSize: '11px',
+    cursor: 'pointer'
+  },
+  modeButtonActive: {
+    background: 'rgba(59, 130, 246, 0.15)',
+    borderColor: 'rgba(59, 130, 246, 0.4)',
+    color: '#60a5fa'
+  },
+  windowRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '6px',
+    flexWrap: 'wrap'
+  },
+  dayButton: {
+    width: '34px',
+    padding: '4px 0',
+    borderRadius: '4px',
+    border: '1px solid var(--border)',
+    background: 'transparent',
+    color: 'var(--text-muted)',
+    fontSize: '10px',
+    textTransform: 'capitalize',
+    cursor: 'pointer'
+  },
+  timeInput: {
+    padding: '4px 6px',
+    fontSize: '12px',
+    background: 'var(--bg-secondary)',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    color: 'var(--text-primary)'
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    padding: '0',
+    color: 'var(--accent)',
+    fontSize: '11px',
+    cursor: 'pointer'
+  },
+  removeButton: {
+    background: 'none',
+    border: 'none',
+    color: 'var(--text-muted)',
+    fontSize: '14px',
+    cursor: 'pointer',
+    padding: '0 4px'
+  },
+  chip: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '2px',
+    padding: '2px 4px 2px 8px',
+    marginRight: '6px',
+    marginBottom: '6px',
+    borderRadius: '10px',
+    background: 'var(--bg-secondary)',
+    border: '1px solid var(--border)',
+    fontSize: '11px',
+    color: 'var(--text-secondary)'
+  },
+  preview: {
+    marginTop: '12px',
+    padding: '10px 12px',
+    background: 'var(--bg-secondary)',
+    borderRadius: '6px'
+  },
+  previewItem: {
+    fontSize: '12px',
+    fontFamily: 'monospace',
+    color: 'var(--text-secondary)',
+    padding: '2px 0'
+  },
+  previewWarning: {
+    fontSize: '11px',
+    color: '#f59e0b',
+    marginTop: '4px'
   }
 };
 
@@ -334,9 +444,363 @@ function FlowArrow() {
 
 // ── Main component ─────────────────────────────────────────────────
 
+// ── Schedule editor ────────────────────────────────────────────────
+
+function ActiveWindowsEditor({ windows = [], onChange }) {
+  const update = (index, patch) => onChange(windows.map((w, i) => (i === index ? { ...w, ...patch } : w)));
+
+  // No days = every day; the last active day cannot be switched off
+  const toggleDay = (index, day) => {
+    const days = windows[index].days || WEEKDAYS;
+    const next = days.includes(day) ? days.filter(d => d !== day) : WEEKDAYS.filter(d => d === day || days.includes(d));
+    if (next.length === 0) return;
+    update(index, { days: next.length === WEEKDAYS.length ? undefined : next });
+  };
+
+  const remove = (index) => {
+    const next = windows.filter((_, i) => i !== index);
+    onChange(next.length > 0 ? next : undefined);
+  };
+
+  return (
+    <div>
+      {windows.map((window, index) => (
+        <div key={index} style={styles.windowRow}>
+          {WEEKDAYS.map(day => {
+            const active = !window.days || window.days.includes(day);
+            return (
+              <button
+                key={day}
+                style={{ ...styles.dayButton, ...(active ? styles.modeButtonActive : {}) }}
+                onClick={() => toggleDay(index, day)}
+              >
+                {day}
+              </button>
+            );
+          })}
+          <input
+            type="time"
+            style={styles.timeInput}
+            value={window.start || '00:00'}
+            onChange={(e) => update(index, { start: e.target.value || undefined })}
+          />
+          <span style={styles.fieldHint}>to</span>
+          <input
+            type="time"
+            style={styles.timeInput}
+            value={window.end === '24:00' ? '' : window.end || ''}
+            onChange={(e) => update(index, { end: e.target.value || undefined })}
+          />
+          <button style={styles.removeButton} onClick={() => remove(index)} title="Remove window">×</button>
+        </div>
+      ))}
+      <button style={styles.linkButton} onClick={() => onChange([...windows, { ...DEFAULT_WINDOW }])}>
+        + Add window
+      </button>
+    </div>
+  );
+}
+
+function BlackoutDatesEditor({ dates = [], onChange }) {
+  const remove = (date) => {
+    const next = dates.filter(d => d !== date);
+    onChange(next.length > 0 ? next : undefined);
+  };
+
+  return (
+    <div>
+      {dates.map(date => (
+        <span key={date} style={styles.chip}>
+          {date}
+          <button style={styles.removeButton} onClick={() => remove(date)} title="Remove date">×</button>
+        </span>
+      ))}
+      <input
+        type="date"
+        style={styles.timeInput}
+        value=""
+        onChange={(e) => {
+          const date = e.target.value;
+          if (date && !dates.includes(date)) onChange([...dates, date].sort());
+        }}
+      />
+    </div>
+  );
+}
+
+function NextFireTimes({ trigger }) {
+  const [times, setTimes] = useState(null);
+  const [error, setError] = useState(null);
+  const { every, cron, timezone, active_windows, blackout_dates } = trigger;
+  const schedule = JSON.stringify({ every, cron, timezone, active_windows, blackout_dates });
+
+  // Debounced so typing a cron expression does not fire a request per key
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await previewSchedule(JSON.parse(schedule), PREVIEW_COUNT);
+        if (!cancelled) {
+          setTimes(result.times);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setTimes(null);
+          setError(err.message);
+        }
+      }
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [schedule]);
+
+  return (
+    <div style={styles.preview}>
+      <div style={styles.coreLabel}>Next {PREVIEW_COUNT} runs ({timezone || 'UTC'})</div>
+      {error && <div style={{ ...styles.previewWarning, color: '#ef4444' }}>{error}</div>}
+      {times && times.map(time => (
+        <div key={time.at} style={styles.previewItem}>
+          {time.weekday} {time.local}
+        </div>
+      ))}
+      {times && times.length === 0 && (
+        <div style={styles.previewWarning}>
+          Never fires: no scheduled time falls inside the active windows and outside the blackout dates.
+        </div>
+      )}
+      {times && times.length > 0 && times.length < PREVIEW_COUNT && (
+        <div style={styles.previewWarning}>Only {times.length} run(s) found in the look-ahead period.</div>
+      )}
+      {!cron && (
+        <div style={styles.fieldHint}>Intervals are counted from now; CORE counts from the deploy.</div>
+      )}
+    </div>
+  );
+}
+
+// ── Event trigger editor ───────────────────────────────────────────
+
+/** Legacy { field: value } filters shown as the equivalent expression */
+function filterToExpression(filter) {
+  if (!filter) return '';
+  if (typeof filter === 'string') return filter;
+  return Object.entries(filter).map(([path, value]) => `${path} == ${JSON.stringify(value)}`).join(' and ');
+}
+
+function EventTriggerFields({ trigger, onPatch }) {
+  const [payloadText, setPayloadText] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [testing, setTesting] = useState(false);
+
+  const runTest = async () => {
+    setError(null);
+    setResult(null);
+    let payload;
+    try {
+      payload = payloadText.trim() ? JSON.parse(payloadText) : {};
+    } catch (err) {
+      setError(`Sample payload is not valid JSON: ${err.message}`);
+      return;
+    }
+    setTesting(true);
+    try {
+      setResult(await testEventFilter(trigger.filter || '', payload));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  return (
+    <>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Event</label>
+        <input
+          type="text"
+          style={styles.input}
+          value={trigger.event || ''}
+          onChange={(e) => onPatch({ event: e.target.value })}
+          placeholder="e.g., email.received"
+        />
+      </div>
+
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Filter</label>
+        <div style={styles.hint}>
+          Only events whose data matches start a job. Leave empty to react to every event.
+        </div>
+        <textarea
+          style={{ ...styles.textarea, minHeight: '60px', fontFamily: 'monospace' }}
+          value={filterToExpression(trigger.filter)}
+          onChange={(e) => onPatch({ filter: e.target.value })}
+          placeholder='subject contains "invoice" and from endsWith "@vendor.com"'
+        />
+        <div style={styles.fieldHint}>
+          Paths are read from event.data. Operators: == != &gt; &gt;= &lt; &lt;= contains startsWith endsWith
+          matches /regex/ in [...], combined with and / or / not.
+        </div>
+      </div>
+
+      <div style={styles.preview}>
+        <div style={styles.coreLabel}>Test with a sample event</div>
+        <textarea
+          style={{ ...styles.textarea, minHeight: '70px', fontFamily: 'monospace', marginTop: '6px' }}
+          value={payloadText}
+          onChange={(e) => setPayloadText(e.target.value)}
+          placeholder='{"subject": "Invoice #42", "from": "billing@vendor.com"}'
+        />
+        <button style={{ ...styles.modeButton, marginTop: '6px' }} onClick={runTest} disabled={testing}>
+          {testing ? 'Testing...' : 'Test filter'}
+        </button>
+        {error && <div style={{ ...styles.previewWarning, color: '#ef4444' }}>{error}</div>}
+        {result && result.errors.map((issue, i) => (
+          <div key={i} style={{ ...styles.previewWarning, color: '#ef4444' }}>
+            Character {issue.position + 1}: {issue.message}
+          </div>
+        ))}
+        {result && result.errors.length === 0 && (
+          <>
+            <div style={{ ...styles.previewItem, fontWeight: '600', color: result.matched ? '#22c55e' : '#ef4444' }}>
+              {result.matched ? 'Matches — a job would start' : 'No match — the event is ignored'}
+            </div>
+            {result.clauses.map((clause, i) => (
+              <div key={i} style={styles.previewItem}>
+                {clause.result ? '✓' : '✗'} {clause.text}
+                <span style={styles.fieldHint}> (found {clause.actual === undefined ? 'nothing' : JSON.stringify(clause.actual)})</span>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+function DryRunSection({ solutionId, skillId }) {
+  const [rangeHours, setRangeHours] = useState(DRY_RUN_RANGES[0].hours);
+  const [eventType, setEventType] = useState('');
+  const [eventData, setEventData] = useState('');
+  const [runFirstStep, setRunFirstStep] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const runDryRun = async () => {
+    setError(null);
+    setResult(null);
+    const events = [];
+    if (eventType.trim()) {
+      try {
+        events.push({ type: eventType.trim(), data: eventData.trim() ? JSON.parse(eventData) : {} });
+      } catch (err) {
+        setError(`Sample event data is not valid JSON: ${err.message}`);
+        return;
+      }
+    }
+    const from = new Date();
+    const to = new Date(from.getTime() + rangeHours * 60 * 60 * 1000);
+    setRunning(true);
+    try {
+      const { run } = await dryRunTriggers(solutionId, skillId, {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        events,
+        runFirstStep
+      });
+      setResult(run);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  if (!solutionId) return null;
+
+  return (
+    <div style={{ ...styles.preview, marginTop: '16px' }}>
+      <div style={styles.coreLabel}>Dry Run</div>
+      <div style={styles.fieldHint}>
+        Lists the jobs the saved triggers would create, without deploying to Core.
+      </div>
+      <div style={{ ...styles.row, marginTop: '8px' }}>
+        <div style={styles.col}>
+          <select style={styles.select} value={rangeHours} onChange={(e) => setRangeHours(Number(e.target.value))}>
+            {DRY_RUN_RANGES.map(range => (
+              <option key={range.hours} value={range.hours}>{range.label}</option>
+            ))}
+          </select>
+        </div>
+        <div style={styles.col}>
+          <input
+            type="text"
+            style={styles.input}
+            value={eventType}
+            onChange={(e) => setEventType(e.target.value)}
+            placeholder="Sample event (optional), e.g. email.received"
+          />
+        </div>
+      </div>
+      {eventType.trim() && (
+        <textarea
+          style={{ ...styles.textarea, minHeight: '60px', fontFamily: 'monospace', marginTop: '6px' }}
+          value={eventData}
+          onChange={(e) => setEventData(e.target.value)}
+          placeholder='{"subject": "Invoice #42"}'
+        />
+      )}
+      <label style={{ ...styles.fieldHint, display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px' }}>
+        <input type="checkbox" checked={runFirstStep} onChange={(e) => setRunFirstStep(e.target.checked)} />
+        Run each job's first step against the tool mocks
+      </label>
+      <button style={{ ...styles.modeButton, marginTop: '6px' }} onClick={runDryRun} disabled={running}>
+        {running ? 'Running...' : 'Dry run'}
+      </button>
+
+      {error && <div style={{ ...styles.previewWarning, color: '#ef4444' }}>{error}</div>}
+      {result && (
+        <>
+          <div style={{ ...styles.previewItem, fontWeight: '600' }}>
+            {result.summary.created} job(s) created, {result.summary.skipped} skipped
+          </div>
+          {result.triggers.filter(t => t.error || t.status === 'disabled' || t.filtered_out).map(t => (
+            <div key={t.id} style={styles.previewWarning}>
+              {t.id}: {t.error || (t.status === 'disabled' ? 'disabled, never fires' : `${t.filtered_out} event(s) filtered out`)}
+            </div>
+          ))}
+          {result.jobs.map(job => (
+            <div key={job.id} style={styles.previewItem}>
+              <span style={{ color: job.status === 'created' ? '#22c55e' : '#f59e0b' }}>
+                {job.status === 'created' ? '✓' : '–'}
+              </span>{' '}
+              {new Date(job.fire_at).toLocaleString()} · <strong>{job.trigger_id}</strong>
+              {job.triggerContext.event && ` (${job.triggerContext.event.type})`}
+              {job.reason && <span style={styles.fieldHint}> skipped: {job.reason}</span>}
+              {job.first_step && (
+                <div style={{ ...styles.fieldHint, marginLeft: '14px', color: job.first_step.passed === false ? '#ef4444' : undefined }}>
+                  {job.first_step.tool
+                    ? `${job.first_step.passed ? '✓' : '✗'} ${job.first_step.tool} (${job.first_step.source || 'no mock'})`
+                    : ''}
+                  {job.first_step.notes && ` ${job.first_step.notes}`}
+                </div>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
 export default function TriggersPanel({
   triggers = [],
   skillId,
+  solutionId,
   onTriggersChange,
   skillDeployed = false
 }) {
@@ -400,14 +864,21 @@ export default function TriggersPanel({
     setExpandedId(newTrigger.id);
   };
 
-  const handleUpdateTrigger = (triggerId, field, value) => {
+  const handlePatchTrigger = (triggerId, patch) => {
     const updated = triggers.map(t => {
       if (t.id !== triggerId) return t;
-      return { ...t, [field]: value };
+      const next = { ...t, ...patch };
+      // undefined removes the field (e.g. "every" when switching to cron)
+      Object.keys(patch).forEach(key => patch[key] === undefined && delete next[key]);
+      return next;
     });
     onTriggersChange(updated);
   };
 
+  const handleUpdateTrigger = (triggerId, field, value) => {
+    handlePatchTrigger(triggerId, { [field]: value });
+  };
+
   const handleDeleteTrigger = (triggerId) => {
     const updated = triggers.filter(t => t.id !== triggerId);
     onTriggersChange(updated);
@@ -443,25 +914,153 @@ export default function TriggersPanel({
           </div>
         </div>
 
-        {/* Interval */}
+        {/* Trigger type */}
         <div style={styles.formGroup}>
-          <label style={styles.label}>Run Every</label>
-          <div style={styles.hint}>
-            How often should the skill wake up?
+          <label style={styles.label}>Wakes Up On</label>
+          <div style={styles.modeToggle}>
+            <button
+              style={{ ...styles.modeButton, ...(trigger.type !== 'event' ? styles.modeButtonActive : {}) }}
+              onClick={() => trigger.type === 'event' && handlePatchTrigger(trigger.id, {
+                type: 'schedule',
+                every: 'PT5M',
+                event: undefined,
+                filter: undefined
+              })}
+            >
+              Timer
+            </button>
+            <button
+              style={{ ...styles.modeButton, ...(trigger.type === 'event' ? styles.modeButtonActive : {}) }}
+              onClick={() => trigger.type !== 'event' && handlePatchTrigger(trigger.id, {
+                type: 'event',
+                event: '',
+                filter: '',
+                every: undefined,
+                cron: undefined,
+                timezone: undefined,
+                active_windows: undefined,
+                blackout_dates: undefined
+              })}
+            >
+              Event
+            </button>
           </div>
-          <select
-            style={styles.select}
-            value={trigger.every || 'PT5M'}
-            onChange={(e) => handleUpdateTrigger(trigger.id, 'every', e.target.value)}
-          >
-            {SCHEDULE_PRESETS.map(preset => (
-              <option key={preset.value} value={preset.value}>
-                {preset.label}
-              </option>
-            ))}
-          </select>
         </div>
 
+        {trigger.type === 'event' ? (
+          <EventTriggerFields trigger={trigger} onPatch={(patch) => handlePatchTrigger(trigger.id, patch)} />
+        ) : (
+          <>
+            {/* Schedule */}
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Schedule</label>
+              <div style={styles.modeToggle}>
+                <button
+                  style={{ ...styles.modeButton, ...(!trigger.cron ? styles.modeButtonActive : {}) }}
+                  onClick={() => handlePatchTrigger(trigger.id, { every: trigger.every || 'PT5M', cron: undefined })}
+                >
+                  Interval
+                </button>
+                <button
+                  style={{ ...styles.modeButton, ...(trigger.cron ? styles.modeButtonActive : {}) }}
+                  onClick={() => handlePatchTrigger(trigger.id, { cron: trigger.cron || CRON_PRESETS[2].value, every: undefined })}
+                >
+                  Calendar (cron)
+                </button>
+              </div>
+              {trigger.cron ? (
+                <>
+                  <div style={styles.row}>
+                    <div style={styles.col}>
+                      <input
+                        type="text"
+                        style={{ ...styles.input, fontFamily: 'monospace' }}
+                        value={trigger.cron}
+                        onChange={(e) => handleUpdateTrigger(trigger.id, 'cron', e.target.value)}
+                        placeholder="minute hour day month weekday"
+                      />
+                    </div>
+                    <div style={styles.col}>
+                      <select
+                        style={styles.select}
+                        value=""
+                        onChange={(e) => e.target.value && handleUpdateTrigger(trigger.id, 'cron', e.target.value)}
+                      >
+                        <option value="">Presets...</option>
+                        {CRON_PRESETS.map(preset => (
+                          <option key={preset.value} value={preset.value}>
+                            {preset.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <div style={styles.fieldHint}>
+                    5 fields: minute hour day-of-month month day-of-week, e.g. "30 8 * * mon-fri"
+                  </div>
+                </>
+              ) : (
+                <select
+                  style={styles.select}
+                  value={trigger.every || 'PT5M'}
+                  onChange={(e) => handleUpdateTrigger(trigger.id, 'every', e.target.value)}
+                >
+                  {SCHEDULE_PRESETS.map(preset => (
+                    <option key={preset.value} value={preset.value}>
+                      {preset.label}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+
+            {/* Timezone */}
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Timezone</label>
+              <input
+                type="text"
+                style={styles.input}
+                list="trigger-timezones"
+                value={trigger.timezone || ''}
+                onChange={(e) => handleUpdateTrigger(trigger.id, 'timezone', e.target.value || undefined)}
+                placeholder="UTC"
+              />
+              <datalist id="trigger-timezones">
+                {TIME_ZONES.map(tz => <option key={tz} value={tz} />)}
+              </datalist>
+              <div style={styles.fieldHint}>
+                IANA name, e.g. Europe/Berlin. Cron times, windows and blackout dates are read in this timezone.
+              </div>
+            </div>
+
+            {/* Active windows */}
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Active Windows</label>
+              <div style={styles.hint}>
+                Only fire inside these hours. Leave empty to fire around the clock.
+              </div>
+              <ActiveWindowsEditor
+                windows={trigger.active_windows}
+                onChange={(windows) => handleUpdateTrigger(trigger.id, 'active_windows', windows)}
+              />
+            </div>
+
+            {/* Blackout dates */}
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Blackout Dates</label>
+              <div style={styles.hint}>
+                Never fire on these days (holidays, freeze periods).
+              </div>
+              <BlackoutDatesEditor
+                dates={trigger.blackout_dates}
+                onChange={(dates) => handleUpdateTrigger(trigger.id, 'blackout_dates', dates)}
+              />
+            </div>
+
+            <NextFireTimes trigger={trigger} />
+          </>
+        )}
+
         {/* Goal / Prompt */}
         <div style={styles.formGroup}>
           <label style={styles.label}>Goal (Prompt)</label>
@@ -629,13 +1228,13 @@ export default function TriggersPanel({
                 >
                   <div style={styles.triggerHeaderLeft}>
                     <span style={styles.typeBadge}>
-                      Timer
+                      {trigger.type === 'event' ? 'Event' : 'Timer'}
                     </span>
                     <span style={styles.triggerName}>
                       {trigger.id || 'Untitled Trigger'}
                     </span>
                     <span style={styles.triggerMeta}>
-                      {formatDuration(trigger.every)}
+                      {trigger.type === 'event' ? `on ${trigger.event || '?'}` : formatSchedule(trigger)}
                     </span>
                   </div>
                   <div style={styles.triggerHeaderRight}>
@@ -664,6 +1263,8 @@ export default function TriggersPanel({
           })}
         </div>
       )}
+
+      {triggers.length > 0 && <DryRunSection solutionId={solutionId} skillId={skillId} />}
     </div>
   );
 }
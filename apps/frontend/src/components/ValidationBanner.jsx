@@ -2,8 +2,12 @@
  * ValidationBanner - Display validation status and issues
  *
  * Shows errors, warnings, unresolved references, and export readiness.
+ * Issues that carry an `action` (e.g. resync a drifted MCP tool) get a
+ * button when the parent passes onIssueAction.
  */
 
+import { useState } from 'react';
+
 const styles = {
   banner: {
     padding: '12px 16px',
@@ -125,6 +129,16 @@ const styles = {
   completenessIncomplete: {
     color: '#9ca3af'
   },
+  actionButton: {
+    padding: '3px 8px',
+    background: 'transparent',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    color: 'var(--text-secondary)',
+    fontSize: '11px',
+    cursor: 'pointer',
+    flexShrink: 0
+  },
   showMore: {
     fontSize: '11px',
     color: 'var(--accent)',
@@ -136,7 +150,27 @@ const styles = {
 
 const MAX_ISSUES = 3;
 
-export default function ValidationBanner({ validation, showDetails = false }) {
+function IssueAction({ issue, onIssueAction }) {
+  const [busy, setBusy] = useState(false);
+  if (!issue.action || !onIssueAction) return null;
+
+  const handleClick = async () => {
+    setBusy(true);
+    try {
+      await onIssueAction(issue.action, issue);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <button style={styles.actionButton} onClick={handleClick} disabled={busy}>
+      {busy ? '...' : issue.action.label}
+    </button>
+  );
+}
+
+export default function ValidationBanner({ validation, showDetails = false, onIssueAction }) {
   if (!validation) return null;
 
   const { valid, ready_to_export, errors = [], warnings = [], unresolved = {}, completeness = {} } = validation;
@@ -204,6 +238,7 @@ export default function ValidationBanner({ validation, showDetails = false }) {
                     <div style={styles.issueSuggestion}>{err.suggestion}</div>
                   )}
                 </div>
+                <IssueAction issue={err} onIssueAction={onIssueAction} />
               </li>
             ))}
           </ul>
@@ -227,6 +262,7 @@ export default function ValidationBanner({ validation, showDetails = false }) {
                     <div style={styles.issueSuggestion}>{warn.suggestion}</div>
                   )}
                 </div>
+                <IssueAction issue={warn} onIssueAction={onIssueAction} />
               </li>
             ))}
           </ul>
@@ -1,7 +1,8 @@
 /**
  * ValidationItem - Single validation issue row
  *
- * Color-coded by severity with click-to-review action.
+ * Color-coded by severity with click-to-review action, and a Fix action
+ * for issues that carry a suggested fix.
  */
 
 import { useState } from 'react';
@@ -116,6 +117,20 @@ const styles = {
     whiteSpace: 'nowrap',
     transition: 'background 0.2s'
   },
+  fixBtn: {
+    fontSize: '11px',
+    color: '#10b981',
+    background: 'rgba(16, 185, 129, 0.1)',
+    border: 'none',
+    cursor: 'pointer',
+    padding: '4px 8px',
+    borderRadius: '4px',
+    whiteSpace: 'nowrap'
+  },
+  fixBtnDisabled: {
+    opacity: 0.5,
+    cursor: 'default'
+  },
   dismissBtn: {
     fontSize: '11px',
     color: 'var(--text-muted)',
@@ -136,10 +151,12 @@ export default function ValidationItem({
   issue,
   onReviewClick,
   onDismiss,
+  onFix,
   resolved = false
 }) {
   const [hovered, setHovered] = useState(false);
   const [dismissHovered, setDismissHovered] = useState(false);
+  const [fixing, setFixing] = useState(false);
 
   const config = severityConfig[issue.severity] || severityConfig.info;
   const isNew = issue.status === 'new';
@@ -159,6 +176,19 @@ export default function ValidationItem({
     }
   };
 
+  const handleFix = async (e) => {
+    e.stopPropagation();
+    if (!onFix || fixing) return;
+    setFixing(true);
+    try {
+      await onFix(issue);
+    } finally {
+      setFixing(false);
+    }
+  };
+
+  const fix = onFix ? issue.suggestedFix : null;
+
   return (
     <div
       style={{
@@ -191,6 +221,19 @@ export default function ValidationItem({
 
       {!isResolved && (
         <div style={styles.actions}>
+          {fix && (
+            <button
+              style={{
+                ...styles.fixBtn,
+                ...(fixing ? styles.fixBtnDisabled : {})
+              }}
+              onClick={handleFix}
+              disabled={fixing}
+              title={`Set ${fix.path} to ${JSON.stringify(fix.replacement)}${fix.rationale ? ` \u2014 ${fix.rationale}` : ''}`}
+            >
+              {fixing ? 'Fixing...' : 'Fix'}
+            </button>
+          )}
           <button
             style={{
               ...styles.reviewBtn,
@@ -79,6 +79,7 @@ export default function ValidationList({
   issues,
   onReviewClick,
   onDismiss,
+  onFix,
   onClearResolved
 }) {
   const [expanded, setExpanded] = useState(true);
@@ -165,6 +166,7 @@ export default function ValidationList({
               issue={issue}
               onReviewClick={onReviewClick}
               onDismiss={onDismiss}
+              onFix={onFix}
             />
           ))}
 
@@ -175,6 +177,7 @@ export default function ValidationList({
               issue={issue}
               onReviewClick={onReviewClick}
               onDismiss={onDismiss}
+              onFix={onFix}
             />
           ))}
 
@@ -185,6 +188,7 @@ export default function ValidationList({
               issue={issue}
               onReviewClick={onReviewClick}
               onDismiss={onDismiss}
+              onFix={onFix}
             />
           ))}
 
@@ -195,6 +199,7 @@ export default function ValidationList({
               issue={issue}
               onReviewClick={onReviewClick}
               onDismiss={onDismiss}
+              onFix={onFix}
             />
           ))}
 
@@ -121,6 +121,19 @@ export function useSkill() {
     });
   }, []);
 
+  // Patch a message in place (used while an assistant reply is streaming in)
+  const updateMessage = useCallback((messageId, patch) => {
+    setCurrentSkill(prev => {
+      if (!prev) return prev;
+      return {
+        ...prev,
+        conversation: (prev.conversation || []).map(m =>
+          m.id === messageId ? { ...m, ...(typeof patch === 'function' ? patch(m) : patch) } : m
+        )
+      };
+    });
+  }, []);
+
   const closeSkill = useCallback(() => {
     setCurrentSkill(null);
   }, []);
@@ -138,6 +151,7 @@ export function useSkill() {
     deleteSkill,
     updateSkill,
     addMessage,
+    updateMessage,
     closeSkill
   };
 }
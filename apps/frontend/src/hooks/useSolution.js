@@ -88,6 +88,19 @@ export function useSolution() {
     });
   }, []);
 
+  // Patch a message in place (used while an assistant reply is streaming in)
+  const updateMessage = useCallback((messageId, patch) => {
+    setCurrentSolution(prev => {
+      if (!prev) return prev;
+      return {
+        ...prev,
+        conversation: (prev.conversation || []).map(m =>
+          m.id === messageId ? { ...m, ...(typeof patch === 'function' ? patch(m) : patch) } : m
+        )
+      };
+    });
+  }, []);
+
   const closeSolution = useCallback(() => {
     setCurrentSolution(null);
   }, []);
@@ -103,6 +116,7 @@ export function useSolution() {
     deleteSolution,
     updateSolution,
     addMessage,
+    updateMessage,
     closeSolution
   };
 }
@@ -6,7 +6,7 @@
  */
 
 import { useState, useCallback, useEffect, useRef } from 'react';
-import { runValidation, isIssueStillRelevant, VALIDATION_SEVERITY } from '../services/validationEngine';
+import { runValidation, runFullValidation, isIssueStillRelevant, VALIDATION_SEVERITY } from '../services/validationEngine';
 import { validateToolsConsistency } from '../api/client';
 
 /**
@@ -51,7 +51,8 @@ export function useValidation(skill, onIssuesChange) {
       clearTimeout(persistTimeoutRef.current);
     }
     persistTimeoutRef.current = setTimeout(() => {
-      onIssuesChange(issues);
+      // Rule issues are recomputed from the skill; only dismissals need keeping
+      onIssuesChange(issues.filter(i => i.triggeredBy?.type !== 'rule' || i.status === 'dismissed'));
     }, 500);
 
     return () => {
@@ -149,6 +150,24 @@ export function useValidation(skill, onIssuesChange) {
       return prev;
     });
 
+    // Shared validator rules: replace the previous run, keeping status of known issues
+    const ruleIssues = runFullValidation(skill);
+    setIssues(prev => {
+      const previous = new Map(prev.filter(i => i.triggeredBy?.type === 'rule').map(i => [i.id, i]));
+      const unchanged = previous.size === ruleIssues.length &&
+        ruleIssues.every(i => previous.get(i.id)?.title === i.title && previous.get(i.id)?.severity === i.severity);
+      if (unchanged) return prev;
+      return [
+        ...prev.filter(i => i.triggeredBy?.type !== 'rule'),
+        ...ruleIssues.map(issue => {
+          const known = previous.get(issue.id);
+          return known
+            ? { ...issue, status: known.status, createdAt: known.createdAt }
+            : { ...issue, status: 'new', createdAt: new Date().toISOString() };
+        })
+      ];
+    });
+
     // Skip adding new issues on first load (no previous state)
     if (!prevSkill) return;
 
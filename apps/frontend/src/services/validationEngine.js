@@ -2,9 +2,13 @@
  * Validation Engine - Cascading Validation Rules
  *
  * Runs validation checks when skill components change and generates
- * actionable issues with chat prompts for resolution.
+ * actionable issues with chat prompts for resolution. Skill rules come from
+ * the shared validator (runFullValidation); the change-driven checks here
+ * only suggest reviews.
  */
 
+import { validateDraftSkill, annotateWithFixes } from '@adas/skill-validator/src/browser.js';
+
 export const VALIDATION_SEVERITY = {
   BLOCKER: 'blocker',
   WARNING: 'warning',
@@ -331,110 +335,28 @@ function validatePolicyModified(change, skill) {
 
 /**
  * Run full validation on entire skill (for initial load or manual trigger)
+ *
+ * Runs the shared @adas/skill-validator pipeline, so these are the same
+ * issues GET /api/skills/:id/validation and the skill-validator CLI report.
+ * Ids come from code + path, so a rerun replaces issues instead of adding.
+ * Issues the fix suggester understands carry `suggestedFix`
+ * ({ path, replacement, confidence, rationale }) for the Fix button.
  */
 export function runFullValidation(skill) {
-  const issues = [];
-
-  // Check all tools are fully defined
-  (skill.tools || []).forEach(tool => {
-    const toolName = tool.name || 'Unknown';
-
-    // Check for missing description
-    if (!tool.description) {
-      issues.push({
-        id: generateIssueId(),
-        severity: VALIDATION_SEVERITY.BLOCKER,
-        category: VALIDATION_CATEGORY.TOOLS,
-        title: `Tool "${toolName}" missing description`,
-        context: `Tools must have a description`,
-        chatPrompt: `The tool "${toolName}" is missing a description. Please add a description explaining what this tool does.`,
-        triggeredBy: { type: 'full_validation', timestamp: new Date().toISOString() },
-        relatedIds: [tool.id || tool.name]
-      });
-    }
-
-    // Check for missing inputs definition
-    if (!tool.inputs || tool.inputs.length === 0) {
-      issues.push({
-        id: generateIssueId(),
-        severity: VALIDATION_SEVERITY.BLOCKER,
-        category: VALIDATION_CATEGORY.TOOLS,
-        title: `Tool "${toolName}" missing inputs`,
-        context: `Tools must define their input parameters`,
-        chatPrompt: `The tool "${toolName}" has no inputs defined. Please define what input parameters this tool needs (name, type, required, description for each).`,
-        triggeredBy: { type: 'full_validation', timestamp: new Date().toISOString() },
-        relatedIds: [tool.id || tool.name]
-      });
-    }
-
-    // Check for missing output definition
-    if (!tool.output || !tool.output.description) {
-      issues.push({
-        id: generateIssueId(),
-        severity: VALIDATION_SEVERITY.WARNING,
-        category: VALIDATION_CATEGORY.TOOLS,
-        title: `Tool "${toolName}" missing output definition`,
-        context: `Tools should describe their output`,
-        chatPrompt: `The tool "${toolName}" doesn't have an output definition. Please describe what this tool returns.`,
-        triggeredBy: { type: 'full_validation', timestamp: new Date().toISOString() },
-        relatedIds: [tool.id || tool.name]
-      });
-    }
-  });
-
-  // Check all tools have policies - inline policy OR referenced in skill approvals
-  const skillApprovals = skill?.policy?.approvals || [];
-  (skill.tools || []).forEach(tool => {
-    const hasInlinePolicy = tool?.policy && Object.keys(tool.policy).length > 0;
-    const hasApprovalRule = skillApprovals.some(rule =>
-      rule.tool_id === tool?.id || rule.tool_id === tool?.name
-    );
-
-    if (!hasInlinePolicy && !hasApprovalRule) {
-      issues.push({
-        id: generateIssueId(),
-        severity: VALIDATION_SEVERITY.BLOCKER,
-        category: VALIDATION_CATEGORY.POLICY,
-        title: `Tool "${tool.name || 'Unknown'}" missing policy`,
-        context: `Required for export`,
-        chatPrompt: `The tool "${tool.name}" needs a policy. Please set allowed: "always", "conditional", or "never", and specify if approval is required.`,
-        triggeredBy: { type: 'full_validation', timestamp: new Date().toISOString() },
-        relatedIds: [tool.id || tool.name]
-      });
-    }
-  });
-
-  // Check all intents have examples
-  (skill.intents?.supported || []).forEach(intent => {
-    if (!intent?.examples || intent.examples.length === 0) {
-      issues.push({
-        id: generateIssueId(),
-        severity: VALIDATION_SEVERITY.WARNING,
-        category: VALIDATION_CATEGORY.INTENTS,
-        title: `Intent "${intent.name || 'Unknown'}" needs examples`,
-        context: `No example utterances`,
-        chatPrompt: `The intent "${intent.name}" has no examples. Please add example utterances.`,
-        triggeredBy: { type: 'full_validation', timestamp: new Date().toISOString() },
-        relatedIds: [intent.id || intent.name]
-      });
-    }
-  });
-
-  // Check problem statement exists
-  if (!skill.problem?.statement || skill.problem.statement.length < 10) {
-    issues.push({
-      id: generateIssueId(),
-      severity: VALIDATION_SEVERITY.BLOCKER,
-      category: VALIDATION_CATEGORY.SCENARIOS,
-      title: `Problem statement missing`,
-      context: `Required to define skill scope`,
-      chatPrompt: `The skill doesn't have a problem statement defined. Please describe the problem this skill is meant to solve.`,
-      triggeredBy: { type: 'full_validation', timestamp: new Date().toISOString() },
-      relatedIds: []
-    });
-  }
-
-  return issues;
+  // validateDraftSkill updates *_resolved flags on the skill it is given
+  const result = annotateWithFixes(validateDraftSkill(structuredClone(skill)), skill);
+  return [...result.errors, ...result.warnings].map(issue => ({
+    id: `rule_${issue.code}_${issue.path || ''}`,
+    rule: issue.code,
+    severity: issue.severity === 'error' ? VALIDATION_SEVERITY.BLOCKER : VALIDATION_SEVERITY.WARNING,
+    category: (issue.path || '').split(/[.[]/)[0],
+    title: issue.message,
+    context: issue.path ? `${issue.code} at ${issue.path}` : issue.code,
+    chatPrompt: `Validation reports ${issue.code}${issue.path ? ` at ${issue.path}` : ''}: ${issue.message}.${issue.suggestion ? ` ${issue.suggestion}.` : ''} Please fix this.`,
+    triggeredBy: { type: 'rule', timestamp: new Date().toISOString() },
+    relatedIds: [],
+    ...(issue.suggested_fix && { suggestedFix: issue.suggested_fix })
+  }));
 }
 
 /**
@@ -446,6 +368,11 @@ export function isIssueStillRelevant(issue, skill) {
   const category = issue.category;
   const triggeredBy = issue.triggeredBy || {};
 
+  // Shared validator issues are refreshed wholesale by runFullValidation
+  if (triggeredBy.type === 'rule') {
+    return true;
+  }
+
   // Tool missing policy - check if tool now has policy (inline OR skill-level)
   if (title.includes('missing policy')) {
     const toolNameMatch = title.match(/Tool "([^"]+)" missing policy/);
@@ -248,6 +248,26 @@ export const SCHEDULE_PRESETS = [
   { value: 'P1W', label: 'Every week' }
 ];
 
+/**
+ * Common cron presets for calendar-based schedule triggers
+ * (5 fields: minute hour day-of-month month day-of-week)
+ * @type {Array<{value: string, label: string}>}
+ */
+export const CRON_PRESETS = [
+  { value: '0 * * * *', label: 'Every hour, on the hour' },
+  { value: '*/15 9-17 * * mon-fri', label: 'Every 15 minutes, weekdays 09:00-17:59' },
+  { value: '30 8 * * mon-fri', label: 'Weekdays at 08:30' },
+  { value: '0 9 * * *', label: 'Every day at 09:00' },
+  { value: '0 9 * * mon', label: 'Mondays at 09:00' },
+  { value: '0 6 1 * *', label: 'First day of the month at 06:00' }
+];
+
+/**
+ * Day names used by active windows, Monday first
+ * @type {string[]}
+ */
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
 /**
  * Create empty schedule trigger for UI
  * @param {Object} [overrides]
@@ -322,6 +342,18 @@ export function formatDuration(duration) {
   return parts.length ? `Every ${parts.join(' ')}` : duration;
 }
 
+/**
+ * Human-readable schedule of a trigger: interval or cron, plus timezone
+ * @param {Object} trigger - Schedule trigger
+ * @returns {string}
+ */
+export function formatSchedule(trigger) {
+  if (!trigger?.cron) return formatDuration(trigger?.every);
+  const preset = CRON_PRESETS.find(p => p.value === trigger.cron);
+  const label = preset ? preset.label : `Cron ${trigger.cron}`;
+  return trigger.timezone ? `${label} (${trigger.timezone})` : label;
+}
+
 export default {
   PHASES,
   PHASE_LABELS,
@@ -341,8 +373,11 @@ export default {
   TRIGGER_TYPES,
   TRIGGER_TYPE_LABELS,
   SCHEDULE_PRESETS,
+  CRON_PRESETS,
+  WEEKDAYS,
   createEmptyScheduleTrigger,
   createEmptyEventTrigger,
   createEmptyTrigger,
-  formatDuration
+  formatDuration,
+  formatSchedule
 };
@@ -1,12 +1,25 @@
+import { fileURLToPath } from 'url';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// The validator package is bundled from source (its browser entry has no
+// Node dependencies) so the UI runs the same rules as the backend and CLI.
+const skillValidatorDir = fileURLToPath(new URL('../../packages/skill-validator', import.meta.url));
+
 export default defineConfig({
   base: process.env.VITE_BASE_PATH || '/',
   plugins: [react()],
+  resolve: {
+    alias: {
+      '@adas/skill-validator': skillValidatorDir
+    }
+  },
   server: {
     host: '0.0.0.0',
     port: parseInt(process.env.FRONTEND_PORT || '3312'),
+    fs: {
+      allow: ['.', skillValidatorDir]
+    },
     proxy: {
       '/voice-api': {
         target: process.env.VOICE_BACKEND_URL || 'http://localhost:4200',
@@ -6,16 +6,30 @@
  * Usage:
  *   npx @adas/skill-validator ./path/to/skill.json
  *   node packages/skill-validator/bin/validate.js ./memory/main/skills/finance-ops/skill.json
+ *   npx @adas/skill-validator --fix ./path/to/skill.json   # apply suggested fixes in place
+ *   npx @adas/skill-validator --format=sarif ./my-solution > results.sarif
+ *   npx @adas/skill-validator --watch --serve ./my-solution  # revalidate on save, poll on :4781
+ *
+ * A directory is validated as a solution repo: solution.json plus
+ * skills/<id>/skill.json, with cross-skill checks (validateSolution).
+ *
+ * --watch revalidates changed files (and the cross-skill checks that depend
+ * on them) and prints fixed / new issues; --serve also exposes the results
+ * over HTTP for editors (see services/resultsServer.js).
  *
  * Exit codes:
- *   0 — valid (no errors)
+ *   0 — valid (no errors; with --fix, after fixes)
  *   1 — validation errors found
  *   2 — file/usage error
  */
 
-import { readFileSync } from 'fs';
-import { resolve } from 'path';
-import { validateDraftSkill } from '../src/index.js';
+import { readFileSync, statSync } from 'fs';
+import {
+  validateSkillFile, validateSolutionDir, toSarif, toJUnit, AUTO_APPLY_THRESHOLD,
+  createValidationSession, watchSession, startResultsServer, DEFAULT_RESULTS_PORT,
+} from '../src/index.js';
+
+const FORMATS = ['text', 'json', 'sarif', 'junit'];
 
 const args = process.argv.slice(2);
 
@@ -24,64 +38,183 @@ if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
 ADAS Skill Validator
 
 Usage:
-  skill-validator <skill.json> [skill2.json ...]
+  skill-validator <skill.json | solution-dir> [...]
 
 Options:
-  --json     Output raw JSON instead of formatted text
-  --help     Show this help
+  --format=<f>           Output format: ${FORMATS.join(', ')} (default text)
+  --json                 Same as --format=json
+  --fix                  Apply suggested fixes and write the skill files back
+  --min-confidence=<n>   Lowest fix confidence --fix applies (default ${AUTO_APPLY_THRESHOLD})
+  --watch                Revalidate on change and print fixed / new issues
+  --serve[=<port>]       With --watch, serve results on http://127.0.0.1:<port> (default ${DEFAULT_RESULTS_PORT})
+  --help                 Show this help
 `);
   process.exit(0);
 }
 
-const jsonOutput = args.includes('--json');
-const files = args.filter(a => !a.startsWith('--'));
+const option = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+const format = args.includes('--json') ? 'json' : (option('format') || 'text');
+const fix = args.includes('--fix');
+const threshold = option('min-confidence') !== undefined ? Number(option('min-confidence')) : AUTO_APPLY_THRESHOLD;
+const serve = args.includes('--serve') || option('serve') !== undefined;
+const port = option('serve') !== undefined ? Number(option('serve')) : DEFAULT_RESULTS_PORT;
+const watch = args.includes('--watch') || serve;
+const targets = args.filter(a => !a.startsWith('--'));
+
+if (!FORMATS.includes(format)) {
+  console.error(`Unknown format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  process.exit(2);
+}
+if (!(threshold >= 0 && threshold <= 1)) {
+  console.error('--min-confidence must be a number between 0 and 1');
+  process.exit(2);
+}
+if (watch && (format === 'sarif' || format === 'junit')) {
+  console.error(`--watch prints text or json, not ${format}`);
+  process.exit(2);
+}
+if (serve && !(Number.isInteger(port) && port >= 0 && port < 65536)) {
+  console.error('--serve port must be a number between 0 and 65535');
+  process.exit(2);
+}
+
+if (watch) {
+  runWatch();
+} else {
+  runOnce();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VALIDATE
+// ═══════════════════════════════════════════════════════════════
+
+function exitWithTargetError(target, err) {
+  console.error(err.code === 'FILE_ERROR' || err.code === 'NOT_A_SOLUTION_DIR' ? err.message : `Error reading ${target}: ${err.message}`);
+  process.exit(2);
+}
+
+function runOnce() {
+  const files = [];
+  for (const target of targets) {
+    try {
+      if (statSync(target).isDirectory()) {
+        files.push(...validateSolutionDir(target, { fix, threshold }).files);
+      } else {
+        files.push(validateSkillFile(target, { fix, threshold }));
+      }
+    } catch (err) {
+      exitWithTargetError(target, err);
+    }
+  }
+
+  if (format === 'sarif') {
+    const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+    console.log(JSON.stringify(toSarif(files, { version }), null, 2));
+  } else if (format === 'junit') {
+    process.stdout.write(toJUnit(files));
+  } else if (format === 'json') {
+    for (const file of files) {
+      console.log(JSON.stringify(file, null, 2));
+    }
+  } else {
+    for (const file of files) {
+      printText(file);
+    }
+  }
 
-let hasErrors = false;
+  process.exit(files.some(f => !f.valid) ? 1 : 0);
+}
 
-for (const file of files) {
-  const filePath = resolve(file);
+// ═══════════════════════════════════════════════════════════════
+// WATCH
+// ═══════════════════════════════════════════════════════════════
 
-  let skill;
+function runWatch() {
+  let session;
   try {
-    const raw = readFileSync(filePath, 'utf-8');
-    skill = JSON.parse(raw);
+    session = createValidationSession(targets, { fix, threshold });
   } catch (err) {
-    console.error(`Error reading ${file}: ${err.message}`);
-    process.exit(2);
+    exitWithTargetError(targets.join(', '), err);
   }
 
-  const result = validateDraftSkill(skill);
-
-  if (jsonOutput) {
-    console.log(JSON.stringify({ file, ...result }, null, 2));
+  if (format === 'json') {
+    console.log(JSON.stringify({ version: session.version, files: session.files() }));
   } else {
-    const name = skill.name || skill.skill_name || file;
-    const icon = result.valid ? '\u2705' : '\u274c';
+    for (const file of session.files()) printText(file);
+  }
 
-    console.log(`\n${icon} ${name}`);
-    console.log(`   Valid: ${result.valid} | Export-ready: ${result.ready_to_export}`);
+  watchSession(session, (update) => {
+    if (format === 'json') {
+      console.log(JSON.stringify(update));
+      return;
+    }
+    printUpdate(update);
+  });
+
+  if (serve) {
+    const server = startResultsServer(session, { port });
+    server.on('listening', () => console.log(`\nServing results on http://127.0.0.1:${server.address().port}/results`));
+    server.on('error', (err) => {
+      console.error(`Could not serve results: ${err.message}`);
+      process.exit(2);
+    });
+  }
+  console.log('\nWatching for changes (Ctrl+C to stop)...');
+}
 
-    if (result.errors.length > 0) {
-      console.log(`   Errors (${result.errors.length}):`);
-      for (const err of result.errors) {
-        console.log(`     - [${err.code}] ${err.message}`);
-      }
+function printUpdate(update) {
+  if (update.revalidated.length === 0) return;
+  const time = new Date().toLocaleTimeString();
+  console.log(`\n[${time}] Revalidated ${update.revalidated.join(', ')}`);
+  if (update.fixed.length === 0 && update.new.length === 0) {
+    console.log('   No change in issues');
+    return;
+  }
+  for (const { file, issue } of update.fixed) {
+    console.log(`   fixed  [${issue.code}] ${issue.message} (${file})`);
+  }
+  for (const { file, issue } of update.new) {
+    console.log(`   new    [${issue.code}] ${issue.message} (${file}:${issue.line}:${issue.column})`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TEXT OUTPUT
+// ═══════════════════════════════════════════════════════════════
+
+function printIssues(label, file, issues) {
+  if (issues.length === 0) return;
+  console.log(`   ${label} (${issues.length}):`);
+  for (const issue of issues) {
+    console.log(`     - [${issue.code}] ${issue.message} (${issue.file || file.file}:${issue.line}:${issue.column})`);
+    if (fix && issue.suggested_fix) {
+      console.log(`       suggested: ${JSON.stringify(issue.suggested_fix.replacement)} (confidence ${issue.suggested_fix.confidence})`);
     }
+  }
+}
 
-    if (result.warnings.length > 0) {
-      console.log(`   Warnings (${result.warnings.length}):`);
-      for (const warn of result.warnings) {
-        console.log(`     - [${warn.code}] ${warn.message}`);
-      }
+function printText(file) {
+  const icon = file.valid ? '\u2705' : '\u274c';
+
+  console.log(`\n${icon} ${file.name}${file.kind === 'solution' ? ' (solution)' : ''}`);
+  console.log(file.kind === 'solution'
+    ? `   Valid: ${file.valid}`
+    : `   Valid: ${file.valid} | Export-ready: ${file.ready_to_export}`);
+
+  if (file.fix_log?.length > 0) {
+    console.log(`   Fixed (${file.fix_log.length}):`);
+    for (const change of file.fix_log) {
+      console.log(`     - [${change.code}] ${change.path}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
     }
+  }
+
+  printIssues('Errors', file, file.errors);
+  printIssues('Warnings', file, file.warnings);
 
-    const c = result.completeness;
+  if (file.completeness) {
+    const c = file.completeness;
     const complete = Object.entries(c).filter(([, v]) => v).length;
     const total = Object.keys(c).length;
     console.log(`   Completeness: ${complete}/${total}`);
   }
-
-  if (!result.valid) hasErrors = true;
 }
-
-process.exit(hasErrors ? 1 : 0);
@@ -0,0 +1,18 @@
+/**
+ * @adas/skill-validator — browser entry
+ *
+ * The skill pipeline and the rule registry without the Node-only parts
+ * (solution validation, LLM scoring, GitHub). The Skill Builder frontend
+ * bundles this so its ValidationList shows the same issues as
+ * GET /api/skills/:id/validation and the CLI.
+ *
+ * Usage:
+ *   import { validateDraftSkill } from '@adas/skill-validator/src/browser.js';
+ */
+
+export { validateDraftSkill, validateSection, getValidationSummary, isMockTested } from './validators/index.js';
+
+export { listRules, getRule, runRules, suggestRuleFix } from './rules/index.js';
+
+export { annotateWithFixes, applyFix } from './services/fixSuggester.js';
+export { readPath } from './rules/fixHelpers.js';
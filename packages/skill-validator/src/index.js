@@ -9,7 +9,7 @@
  *   const result = validateDraftSkill(skillJson);
  */
 
-// Skill-level validation (5-stage pipeline)
+// Skill-level validation (6-stage pipeline)
 export {
   validateDraftSkill,
   quickValidate,
@@ -21,14 +21,34 @@ export {
   checkCompleteness,
   getCompletenessReport,
   getIncompleteSections,
+  isMockTested,
   validateSecurity,
   isSecurityComplete,
-  getSecurityReport
+  getSecurityReport,
+  checkMcpDrift,
+  getMcpDriftReport,
+  diffToolInputs,
+  schemaToInputs
 } from './validators/index.js';
 
+// Validation rule registry (shared with the frontend via src/browser.js)
+export { RULE_SEVERITIES, defineRule, getRule, listRules, runRules, suggestRuleFix, ruleCoverage } from './rules/index.js';
+
+// Access policy simulation (what-if evaluation of access_policy rules)
+export { evaluateAccess, simulateAccessMatrix, resolveGrants } from './validators/accessPolicyEvaluator.js';
+
+// Schedule trigger preview (cron, timezone, active windows)
+export { nextFireTimes, cronEverFires, parseCron, parseDuration } from './validators/scheduleEvaluator.js';
+
+// Event trigger filter expressions
+export { parseFilter, checkFilter, evaluateFilter } from './validators/eventFilter.js';
+
 // Solution-level validation (cross-skill contracts)
 export { validateSolution } from './validators/solutionValidator.js';
 
+// Grant flow simulation across the handoff graph
+export { simulateGrantFlow } from './validators/grantFlowSimulator.js';
+
 // Solution quality scoring (LLM-based)
 export { validateSolutionQuality } from './validators/solutionQualityValidator.js';
 
@@ -36,8 +56,11 @@ export { validateSolutionQuality } from './validators/solutionQualityValidator.j
 export {
   SCHEMA_COVERAGE,
   REFERENCE_COVERAGE,
+  SECURITY_COVERAGE,
   COMPLETENESS_COVERAGE,
   CONSISTENCY_COVERAGE,
+  DRIFT_COVERAGE,
+  RULE_COVERAGE,
   COVERAGE_GAPS,
   ALL_COVERAGE
 } from './validators/coverage.js';
@@ -48,14 +71,28 @@ export { VALID_CLASSIFICATIONS, VALID_RISK_LEVELS, VALID_EFFECTS, HIGH_RISK_CLAS
 export { SYSTEM_TOOL_PREFIXES } from './validators/referenceResolver.js';
 export { DIMENSION_WEIGHTS, GRADE_THRESHOLDS } from './validators/solutionQualityValidator.js';
 
+// JSON Schema (draft 2020-12) generated from the spec constants — served at /spec/schema/*
+export { buildJsonSchema, schemaNodeAt, SCHEMA_NAMES } from './schemas/jsonSchema.js';
+
 // Types
 export { PHASES, PHASE_LABELS } from './types/DraftSkill.js';
 
 // Defaults — shared between Skill Builder (design-time) and ADAS Core (runtime)
 export { ensureSkillDefaults, ensureSolutionDefaults, DEFAULTS } from './ensureDefaults.js';
 
-// GitHub operations
-export { deleteDirectory as githubDeleteDirectory } from './services/githubService.js';
+// Solution repos on disk (skill-validator CLI): validation with file positions,
+// SARIF / JUnit output, watch mode
+export { loadSolutionDir, validateSkillFile, validateSolutionFile, validateSolutionDir } from './services/solutionDir.js';
+export { locateJsonPaths, findPosition } from './services/jsonLocator.js';
+export { toSarif, toJUnit } from './services/reportFormats.js';
+export { createValidationSession, diffIssues, watchSession } from './services/validationSession.js';
+export { startResultsServer, toDiagnostics, DEFAULT_RESULTS_PORT } from './services/resultsServer.js';
+
+// Semantic diff of skills and solutions (Builder vs Core, dev vs main, any two versions)
+export { diffSkills, diffSolutions, summarizeChanges } from './services/semanticDiff.js';
+
+// Version-control operations (GitHub, GitLab, Gitea or local git — see services/vcs)
+export { deleteDirectory as githubDeleteDirectory } from './services/vcs/index.js';
 
 // LLM-backed intent example enrichment
 // Used by single-skill redeploy paths (apps/backend/src/services/exportDeploy.js)
@@ -65,4 +102,4 @@ export { generateIntentExamples, enrichSkillIntentsWithLLM } from './services/ex
 // Phase 8 strip: self-healing validator — annotate validation results with
 // suggested_fix entries; high-confidence (>=0.9) fixes can be auto-applied
 // at deploy time to eliminate 3-5 round-trip iteration loops per change.
-export { annotateWithFixes, applyFix, autoApplyHighConfidenceFixes } from './services/fixSuggester.js';
+export { annotateWithFixes, applyFix, autoApplyHighConfidenceFixes, autofixSkill, AUTO_APPLY_THRESHOLD } from './services/fixSuggester.js';
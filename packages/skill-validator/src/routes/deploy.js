@@ -46,7 +46,8 @@ import { Router } from 'express';
 import { validateSolution } from '../validators/solutionValidator.js';
 import { expandSkill } from '../services/skillExpander.js';
 import { enrichSkillIntentsWithLLM } from '../services/exampleGenerator.js';
-import * as github from '../services/githubService.js';
+import * as github from '../services/vcs/index.js';
+import { diffSolutions } from '../services/semanticDiff.js';
 import { buildRepoFiles } from '../services/githubRepoBuilder.js';
 
 const router = Router();
@@ -3960,6 +3961,42 @@ router.post('/voice-test', async (req, res) => {
 // GitHub Version Promotion & Management
 // ══════════════════════════════════════════════════════════════════════════
 
+const SKILL_FILE_RE = /^skills\/([^/]+)\/skill\.json$/;
+
+/**
+ * Semantic diff of the definitions changed between two refs — solution.json
+ * and skills/<id>/skill.json — so reviewers see "access_policy rule for
+ * orders.get changed from allow to constrain" rather than file names.
+ *
+ * @param {Array<{ path: string }>} files - Changed files from getDiff
+ * @returns {Promise<Object>} diffSolutions result (services/semanticDiff.js)
+ */
+async function semanticRefDiff(tenant, solutionId, base, head, files) {
+  const readJson = async (filePath, ref) => {
+    try {
+      return JSON.parse((await github.readFile(tenant, solutionId, filePath, ref)).content);
+    } catch (err) {
+      if (err.status === 404 && !err.refNotFound) return null;
+      throw err;
+    }
+  };
+
+  let solution = [null, null];
+  const skills = { before: {}, after: {} };
+  for (const { path: filePath } of files) {
+    const skillId = filePath.match(SKILL_FILE_RE)?.[1];
+    if (filePath !== 'solution.json' && !skillId) continue;
+    const [before, after] = await Promise.all([readJson(filePath, base), readJson(filePath, head)]);
+    if (skillId) {
+      if (before) skills.before[skillId] = before;
+      if (after) skills.after[skillId] = after;
+    } else {
+      solution = [before, after];
+    }
+  }
+  return diffSolutions(solution[0], solution[1], { skills });
+}
+
 /**
  * POST /solutions/:solutionId/promote
  *
@@ -3973,7 +4010,8 @@ router.post('/voice-test', async (req, res) => {
  * Request body:
  *   {
  *     "label": "before refactor"  // Optional: human-readable label on the tag
- *     "dry_run": true             // Optional: just show the diff, don't merge
+ *     "dry_run": true             // Optional: just show the diff (with a semantic
+ *                                 //   change list of skills and solution.json), don't merge
  *     "skip_tag": true            // Optional: merge without auto-tag
  *   }
  *
@@ -3999,6 +4037,7 @@ router.post('/solutions/:solutionId/promote', async (req, res) => {
     // Dry-run path: just show the diff, don't merge.
     if (dry_run) {
       const diff = await github.getDiff(tenant, solutionId, 'main', 'dev');
+      const semantic = await semanticRefDiff(tenant, solutionId, 'main', 'dev', diff.files);
       return res.json({
         ok: true,
         dry_run: true,
@@ -4006,6 +4045,7 @@ router.post('/solutions/:solutionId/promote', async (req, res) => {
         files_changed: diff.files.length,
         commits: diff.commits,
         files: diff.files,
+        semantic,
         _hint: diff.ahead_by === 0
           ? 'dev is not ahead of main. Nothing to promote.'
           : `${diff.ahead_by} commit(s) across ${diff.files.length} file(s) would merge. Call again without dry_run to execute.`,
@@ -4030,8 +4070,9 @@ router.post('/solutions/:solutionId/promote', async (req, res) => {
 });
 
 /**
- * GET /solutions/:solutionId/github/diff?base=main&head=dev
+ * GET /solutions/:solutionId/github/diff?base=main&head=dev[&semantic=true]
  * Show what's about to be promoted (or any branch diff).
+ * semantic=true adds a change list for the skill and solution definitions.
  */
 router.get('/solutions/:solutionId/github/diff', async (req, res) => {
   try {
@@ -4044,7 +4085,10 @@ router.get('/solutions/:solutionId/github/diff', async (req, res) => {
     const base = req.query.base || 'main';
     const head = req.query.head || 'dev';
     const diff = await github.getDiff(tenant, req.params.solutionId, base, head);
-    res.json({ ok: true, base, head, ...diff });
+    const semantic = req.query.semantic === 'true'
+      ? await semanticRefDiff(tenant, req.params.solutionId, base, head, diff.files)
+      : undefined;
+    res.json({ ok: true, base, head, ...diff, ...(semantic && { semantic }) });
   } catch (err) {
     console.error('[GitHub] Diff error:', err.message);
     const enriched = await explainGhNotFound(err, req.headers['x-adas-tenant'], req.params.solutionId);
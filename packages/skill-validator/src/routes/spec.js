@@ -9,6 +9,7 @@
  * GET /spec/enums     — All enum values
  * GET /spec/skill     — Complete skill specification
  * GET /spec/solution  — Complete solution specification
+ * GET /spec/schema/:name — JSON Schema (draft 2020-12) for skill, solution, connector, trigger
  */
 
 import { Router } from 'express';
@@ -18,6 +19,7 @@ import { VALID_CLASSIFICATIONS, VALID_RISK_LEVELS, VALID_EFFECTS, HIGH_RISK_CLAS
 import { SYSTEM_TOOL_PREFIXES } from '../validators/referenceResolver.js';
 import { DIMENSION_WEIGHTS, GRADE_THRESHOLDS } from '../validators/solutionQualityValidator.js';
 import { ALL_COVERAGE, COVERAGE_GAPS } from '../validators/coverage.js';
+import { buildJsonSchema, SCHEMA_NAMES } from '../schemas/jsonSchema.js';
 
 const router = Router();
 const CACHE_HEADERS = { 'Cache-Control': 'public, max-age=86400' };
@@ -176,6 +178,25 @@ router.get('/solution', async (req, res) => {
   res.set(CACHE_HEADERS).json(result);
 });
 router.get('/workflows', (_req, res) => res.set(CACHE_HEADERS).json(WORKFLOWS));
+
+// JSON Schema — generated from the validators' own enums and bounds.
+// $id is absolute so editors can resolve the schema they fetched.
+const schemaBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}/schema`;
+
+router.get('/schema', (req, res) => {
+  const baseUrl = schemaBaseUrl(req);
+  res.set(CACHE_HEADERS).json({
+    schemas: Object.fromEntries(SCHEMA_NAMES.map(name => [name, `${baseUrl}/${name}`])),
+    usage: 'Point "$schema" in skill.json / solution.json at the matching URL for editor autocomplete and lint',
+  });
+});
+router.get('/schema/:name', (req, res) => {
+  const name = req.params.name.replace(/\.json$/, '');
+  if (!SCHEMA_NAMES.includes(name)) {
+    return res.status(404).json({ error: `Unknown schema "${name}". Available: ${SCHEMA_NAMES.join(', ')}` });
+  }
+  res.set(CACHE_HEADERS).type('application/schema+json').send(JSON.stringify(buildJsonSchema(name, { baseUrl: schemaBaseUrl(req) }), null, 2));
+});
 router.get('/mobile-connector', (_req, res) => res.set(CACHE_HEADERS).json(MOBILE_CONNECTOR_SPEC));
 router.get('/ui-plugins', (_req, res) => res.set(CACHE_HEADERS).json(UI_PLUGINS_SPEC));
 router.get('/multi-user-connector', (_req, res) => res.set(CACHE_HEADERS).json(MULTI_USER_CONNECTOR_SPEC));
@@ -550,6 +571,10 @@ function buildIndex() {
         method: 'GET',
         description: 'Complete A-Team solution specification: multi-skill architecture, grant economy, handoffs, routing, security contracts, agent guide, and template',
       },
+      '/spec/schema': {
+        method: 'GET',
+        description: `JSON Schema (draft 2020-12) for editors and offline validation: /spec/schema/{${SCHEMA_NAMES.join(',')}}. Generated from the enums and bounds POST /validate/skill checks against.`,
+      },
       '/spec/workflows': {
         method: 'GET',
         description: 'Builder workflows — the step-by-step state machines for building skills and solutions. Use this to guide users through the build process.',
@@ -2068,7 +2093,7 @@ function buildSkillSpec() {
 
     // ── Validation Rules ──
     validation_rules: {
-      description: 'What POST /validate/skill checks (5-stage pipeline)',
+      description: 'What POST /validate/skill checks (6-stage pipeline)',
       pipeline: [
         {
           stage: 1,
@@ -2096,6 +2121,12 @@ function buildSkillSpec() {
         },
         {
           stage: 5,
+          name: 'MCP Schema Drift',
+          description: 'Bridged tools (source.type "mcp_bridge") compared with the live tools/list of their connector. Runs in Skill Builder only, where connectors are connected; skipped by the standalone validator.',
+          checks: ALL_COVERAGE.filter(c => c.type === 'drift').map(c => `${c.field}: ${c.check}`),
+        },
+        {
+          stage: 6,
           name: 'Export Readiness',
           description: 'Final gate: no errors, all references resolved, required sections complete.',
         },
@@ -2951,9 +2982,9 @@ function buildWorkflows() {
           ],
           what_to_build: {
             'tools[].mock': 'Mock configuration with mode and example input/output pairs',
-            'tools[].mock_status': 'Set to "tested" or "skipped" for each tool',
+            'tools[].mock_status': 'Set by scenario replay ("tested" when every recorded call passed), or "skipped"',
           },
-          exit_criteria: 'All tools have mock_status != "untested"',
+          exit_criteria: 'Every tool is skipped or has a passing recorded mock run',
           tips: [
             'Mock examples should cover both success and error cases',
             'Set mock_status to "skipped" for tools that don\'t need mock testing',
@@ -3122,7 +3153,7 @@ function buildWorkflows() {
         'tools — at least 1 tool with name, description, and output',
         'policy — guardrails section with at least 1 never or always rule',
         'engine — model and temperature set',
-        'mocks_tested — all tools have mock_status != "untested"',
+        'mocks_tested — every tool is "skipped", or "tested" with at least one passing mock_test_results entry',
       ],
     },
 
@@ -3375,7 +3406,7 @@ function buildWorkflows() {
         'ateam_github_status': 'Check if repo exists and get latest commit info.',
         'ateam_github_log': 'View commit history to track changes.',
         'ateam_github_read': 'Read a specific file from the repo (e.g., to review current connector code before editing).',
-        'ateam_github_promote': 'Merge dev → main and auto-tag prod-YYYY-MM-DD-NNN. Optional flags: dry_run (preview without merging), label (annotate the tag), skip_tag.',
+        'ateam_github_promote': 'Merge dev → main and auto-tag prod-YYYY-MM-DD-NNN. Optional flags: dry_run (preview without merging, with a semantic change list — tools, inputs, intents, policy, access_policy, engine), label (annotate the tag), skip_tag.',
         'ateam_github_list_versions': 'List all available prod-* and legacy safe-* checkpoints with dates and commit SHAs. See version history before rolling back.',
         'ateam_github_rollback': 'Rollback main to a previous prod-* tag, safe-* tag, or commit SHA. ADDITIVE — creates a new commit on top of main; history is preserved.',
         'ateam_build_and_run(github:true)': 'Deploy pulling connector code from GitHub instead of inline mcp_store.',
@@ -1,7 +1,8 @@
 /**
  * Validation API routes
  *
- * POST /validate/skill     — Validate a single skill definition (auto-expands + auto-fixes)
+ * POST /validate/skill     — Validate a single skill definition (auto-expands + auto-fixes;
+ *                            ?autofix=true applies suggested fixes and returns the patched skill)
  * POST /validate/solution   — Validate a solution (auto-expands + cross-skill + LLM quality)
  * POST /validate/section    — Validate a single section incrementally (progressive validation)
  * GET  /health              — Health check
@@ -12,6 +13,7 @@ import { validateDraftSkill } from '../validators/index.js';
 import { validateSolution } from '../validators/solutionValidator.js';
 import { validateSolutionQuality } from '../validators/solutionQualityValidator.js';
 import { expandSkill } from '../services/skillExpander.js';
+import { autofixSkill, AUTO_APPLY_THRESHOLD } from '../services/fixSuggester.js';
 
 const router = Router();
 
@@ -101,38 +103,63 @@ router.get('/health', (_req, res) => {
  * POST /validate/skill
  *
  * Body: { skill: DraftSkill }
- * Returns: ValidationResult + auto-fixes if applicable
+ * Query: autofix=true — apply suggested fixes with confidence >= min_confidence
+ *        (default 0.9) and re-validate until nothing changes
+ * Returns: ValidationResult + auto-fixes if applicable; with autofix, also the
+ *          patched `skill` and a `fix_log` of { pass, code, path, from, to, confidence, rationale }
  *
- * Pipeline: auto-expand → validate → auto-fix → re-validate
+ * Pipeline: auto-expand → validate → auto-fix → re-validate (→ suggested-fix loop with autofix)
  */
 router.post('/validate/skill', (req, res) => {
   const { skill } = req.body;
+  const autofix = req.query.autofix === 'true';
+  const threshold = req.query.min_confidence !== undefined ? Number(req.query.min_confidence) : AUTO_APPLY_THRESHOLD;
 
   if (!skill) {
     return res.status(400).json({ ok: false, error: 'Missing "skill" in request body' });
   }
+  if (!(threshold >= 0 && threshold <= 1)) {
+    return res.status(400).json({ ok: false, error: 'min_confidence must be a number between 0 and 1' });
+  }
 
   try {
     // Step 1: Auto-expand minimal skills
     const { skill: expanded, expanded_fields } = autoExpand(skill);
 
-    // Step 2: First validation pass
-    let result = validateDraftSkill(expanded);
+    // Step 2: First validation pass. Validation writes *_resolved flags into
+    // the skill, so when the skill is returned (autofix) it sees a copy.
+    const check = (s) => validateDraftSkill(autofix ? structuredClone(s) : s);
+    let current = expanded;
+    let result = check(current);
 
     // Step 3: Auto-fix if there are errors
     let fixes = [];
     if (result.errors.length > 0) {
-      const { skill: fixed, fixes: appliedFixes } = autoFix(expanded, result.errors);
+      const { skill: fixed, fixes: appliedFixes } = autoFix(current, result.errors);
       if (appliedFixes.length > 0) {
         fixes = appliedFixes;
+        current = fixed;
         // Re-validate after fixes
-        result = validateDraftSkill(fixed);
+        result = check(current);
       }
     }
 
+    // Step 4: Apply suggested fixes until a pass changes nothing
+    let fixLog = null;
+    if (autofix) {
+      const { skill: patched, result: fixedResult, changes } = autofixSkill(current, { threshold });
+      result = fixedResult;
+      current = patched;
+      fixLog = changes;
+    }
+
     const response = { ok: true, ...result };
     if (expanded_fields.length) response.expanded_fields = expanded_fields;
     if (fixes.length) response.auto_fixes = fixes;
+    if (autofix) {
+      response.skill = current;
+      response.fix_log = fixLog;
+    }
     res.json(response);
   } catch (err) {
     console.error('[Validator] Skill validation error:', err.message);
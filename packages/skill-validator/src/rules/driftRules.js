@@ -0,0 +1,56 @@
+/**
+ * Drift Rules - codes reported by validators/mcpDriftChecker.js
+ *
+ * Only raised when live connector schemas are supplied. See schemaRules.js.
+ *
+ * @module rules/driftRules
+ */
+
+import { defineStageRules } from './registry.js';
+
+const RESYNC_SUGGESTION = 'Resync the tool to copy the connector\'s current schema';
+
+defineStageRules('drift', 'tools', [
+  {
+    code: 'MCP_TOOL_REMOVED',
+    severity: 'error',
+    path: 'tools[].source.mcp_tool',
+    message: 'Bridged tool no longer exists on the connector',
+    suggestion: 'Remove the tool or bridge it to a tool the connector still provides',
+    covers: 'Bridged tool still exists on the connector',
+  },
+  {
+    // error when the added parameter is required
+    code: 'MCP_PARAM_ADDED',
+    severity: 'warning',
+    path: 'tools[].inputs',
+    message: 'Connector added a parameter',
+    suggestion: RESYNC_SUGGESTION,
+    covers: 'Connector added a parameter',
+  },
+  {
+    code: 'MCP_PARAM_REMOVED',
+    severity: 'error',
+    path: 'tools[].inputs[]',
+    message: 'Parameter no longer exists on the connector',
+    suggestion: RESYNC_SUGGESTION,
+    covers: 'Connector removed or renamed a parameter',
+  },
+  {
+    code: 'MCP_PARAM_RETYPED',
+    severity: 'error',
+    path: 'tools[].inputs[].type',
+    message: 'Parameter changed type on the connector',
+    suggestion: RESYNC_SUGGESTION,
+    covers: 'Parameter type matches the connector',
+  },
+  {
+    // error when the parameter became required
+    code: 'MCP_PARAM_REQUIRED_CHANGED',
+    severity: 'warning',
+    path: 'tools[].inputs[].required',
+    message: 'Parameter required flag changed on the connector',
+    suggestion: RESYNC_SUGGESTION,
+    covers: 'Required flag matches the connector',
+  },
+]);
@@ -0,0 +1,92 @@
+/**
+ * Fix Helpers - string distance and path access shared by fix hooks
+ *
+ * Used by the rule fix hooks (rules/fixHooks.js) and the fixSuggester
+ * table. Pure module with no imports, so the frontend can bundle it.
+ *
+ * @module rules/fixHelpers
+ */
+
+/**
+ * Levenshtein distance for typo correction (small, no deps)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function lev(a, b) {
+  const m = a.length, n = b.length;
+  if (!m) return n;
+  if (!n) return m;
+  const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+  for (let i = 0; i <= m; i++) dp[i][0] = i;
+  for (let j = 0; j <= n; j++) dp[0][j] = j;
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      dp[i][j] = a[i - 1] === b[j - 1]
+        ? dp[i - 1][j - 1]
+        : 1 + Math.min(dp[i - 1][j - 1], dp[i - 1][j], dp[i][j - 1]);
+    }
+  }
+  return dp[m][n];
+}
+
+/**
+ * Closest allowed value to `value`, compared case-insensitively.
+ * @param {string} value
+ * @param {string[]} allowed
+ * @returns {{ value: string, distance: number }|null} null when nothing is close enough
+ */
+export function closestCandidate(value, allowed) {
+  if (!value || !Array.isArray(allowed) || allowed.length === 0) return null;
+  const lower = String(value).toLowerCase();
+  let best = null;
+  let bestDist = Infinity;
+  for (const cand of allowed) {
+    const d = lev(lower, String(cand).toLowerCase());
+    if (d < bestDist) { bestDist = d; best = cand; }
+  }
+  // Only suggest if the distance is small relative to the input
+  if (bestDist <= Math.max(2, Math.floor(lower.length / 2))) return { value: best, distance: bestDist };
+  return null;
+}
+
+/**
+ * @param {string} value
+ * @param {string[]} allowed
+ * @returns {string|null}
+ */
+export function closestMatch(value, allowed) {
+  return closestCandidate(value, allowed)?.value ?? null;
+}
+
+/**
+ * Parse an issue path: "scenarios[0].title" → ["scenarios", 0, "title"]
+ * @param {string} path
+ * @returns {Array<string|number>}
+ */
+export function parsePath(path) {
+  const segments = [];
+  if (!path || typeof path !== 'string') return segments;
+  const re = /([^.[\]]+)|\[(\d+)\]/g;
+  let m;
+  while ((m = re.exec(path)) !== null) {
+    if (m[1]) segments.push(m[1]);
+    else if (m[2]) segments.push(parseInt(m[2], 10));
+  }
+  return segments;
+}
+
+/**
+ * Read the value at an issue path.
+ * @param {Object} target
+ * @param {string} path
+ * @returns {*} undefined when any segment is missing
+ */
+export function readPath(target, path) {
+  let cur = target;
+  for (const key of parsePath(path)) {
+    if (cur == null || typeof cur !== 'object') return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
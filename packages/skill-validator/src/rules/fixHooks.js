@@ -0,0 +1,124 @@
+/**
+ * Fix Hooks - fixes for issues raised by the validator stages
+ *
+ * The stage rule tables (schemaRules, referenceRules, securityRules) attach
+ * these to their codes; fixSuggester (and autofixSkill) pick them up:
+ *   - enum typos: the allowed values are taken from the issue's
+ *     "Must be one of: …" text, so every enum the spec lists is covered
+ *   - unresolved tool / workflow references: closest defined name
+ *   - malformed or missing workflow steps and names
+ *
+ * Hooks read the offending value from the skill passed as context and fall
+ * back to the quoted value in the issue message.
+ *
+ * @module rules/fixHooks
+ */
+
+import { closestCandidate, readPath } from './fixHelpers.js';
+
+/**
+ * Confidence for a closest-match replacement: a case-only difference or a
+ * single-character typo is safe to auto-apply, anything further is offered
+ * as a suggestion only.
+ */
+function matchConfidence(distance) {
+  if (distance === 0) return 1.0;
+  if (distance === 1) return 0.95;
+  return 0.8;
+}
+
+/** The offending value: from the skill at issue.path, else from the message */
+function offendingValue(issue, skill, messagePattern) {
+  const value = readPath(skill, issue.path);
+  if (typeof value === 'string') return value;
+  const match = messagePattern.exec(issue.message || '');
+  return match ? match[1] : null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ENUM TYPOS
+// ═══════════════════════════════════════════════════════════════
+
+/** For codes whose message or suggestion ends in "Must be one of: a, b, c" */
+export function fixEnumTypo(issue, skill) {
+  const list = /Must be one of:\s*(.+)$/i.exec(issue.suggestion || '') || /Must be one of:\s*(.+)$/i.exec(issue.message || '');
+  if (!list) return null;
+  const allowed = list[1].split(',').map(v => v.trim()).filter(Boolean);
+  // Messages read "Invalid tone: friendy. Must be one of: …"
+  const bad = offendingValue(issue, skill, /:\s*([^\s.]+)\.\s*Must be one of/i);
+  const match = bad ? closestCandidate(bad, allowed) : null;
+  if (!match) return null;
+  return {
+    replacement: match.value,
+    confidence: matchConfidence(match.distance),
+    rationale: `Closest valid value to "${bad}"`,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// UNRESOLVED REFERENCES
+// ═══════════════════════════════════════════════════════════════
+
+const QUOTED = /"([^"]+)"/;
+
+/**
+ * Fix hook that replaces an unknown reference with the closest candidate.
+ * @param {(skill: Object) => string[]} candidates
+ * @param {string} noun - For the rationale ("tool", "workflow")
+ */
+function closestReference(candidates, noun) {
+  return (issue, skill) => {
+    const bad = offendingValue(issue, skill, QUOTED);
+    const match = bad ? closestCandidate(bad, candidates(skill || {})) : null;
+    if (!match) return null;
+    return {
+      replacement: match.value,
+      confidence: matchConfidence(match.distance),
+      rationale: `Closest defined ${noun} to "${bad}"`,
+    };
+  };
+}
+
+const toolNames = (skill) => (skill.tools || []).map(t => t.name).filter(n => n && !n.endsWith(':*'));
+// Workflow steps and approvals resolve by tool id as well as by name
+const toolRefs = (skill) => [...toolNames(skill), ...(skill.tools || []).map(t => t.id).filter(Boolean)];
+const workflowIds = (skill) => (skill.policy?.workflows || []).map(w => w.id).filter(Boolean);
+
+/** Unknown tool name (bootstrap/prefetch tools, grant mappings, access policy) */
+export const fixToolName = closestReference(toolNames, 'tool');
+
+/** Unknown workflow step: tool ids resolve too */
+export const fixToolRef = closestReference(toolRefs, 'tool');
+
+/** Unknown maps_to_workflow */
+export const fixWorkflowRef = closestReference(workflowIds, 'workflow');
+
+// ═══════════════════════════════════════════════════════════════
+// WORKFLOWS
+// ═══════════════════════════════════════════════════════════════
+
+/** INVALID_WORKFLOW_STEPS: missing or string-valued step list */
+export function fixWorkflowSteps(issue, skill) {
+  const steps = readPath(skill, issue.path);
+  if (steps == null) {
+    return { replacement: [], confidence: 0.9, rationale: 'Empty step list; add the tools the workflow runs' };
+  }
+  if (typeof steps === 'string') {
+    // "a, b" / "a -> b" / "a → b"
+    const split = steps.split(/\s*(?:,|->|→|>)\s*/).filter(Boolean);
+    return { replacement: split, confidence: 0.95, rationale: 'Split the step string into a list' };
+  }
+  return { replacement: [], confidence: 0.6, rationale: 'Replaces a value that is not a step list' };
+}
+
+/** MISSING_WORKFLOW_NAME: name the workflow after its id */
+export function fixWorkflowName(issue, skill) {
+  const workflow = readPath(skill, (issue.path || '').replace(/\.name$/, ''));
+  if (!workflow?.id) return null;
+  const words = String(workflow.id).replace(/[_-]+/g, ' ').trim();
+  return {
+    replacement: words.charAt(0).toUpperCase() + words.slice(1),
+    confidence: 0.9,
+    rationale: 'Named after the workflow id; author can refine',
+  };
+}
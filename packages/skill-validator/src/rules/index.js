@@ -0,0 +1,23 @@
+/**
+ * Validation rule registry with the built-in rules registered.
+ * Import from here (not registry.js) so the rule table is populated.
+ * @module rules
+ */
+
+import './schemaRules.js';
+import './referenceRules.js';
+import './securityRules.js';
+import './driftRules.js';
+import './sectionRules.js';
+
+export {
+  RULE_SEVERITIES,
+  defineRule,
+  defineStageRules,
+  getRule,
+  listRules,
+  createIssue,
+  runRules,
+  suggestRuleFix,
+  ruleCoverage,
+} from './registry.js';
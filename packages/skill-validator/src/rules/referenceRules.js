@@ -0,0 +1,95 @@
+/**
+ * Reference Rules - codes reported by validators/referenceResolver.js
+ *
+ * See schemaRules.js: the resolver finds the issues (and records unresolved
+ * references), the rules here own severity, defaults, coverage and fixes.
+ *
+ * @module rules/referenceRules
+ */
+
+import { defineStageRules } from './registry.js';
+import { fixToolRef, fixWorkflowRef } from './fixHooks.js';
+
+defineStageRules('reference', 'policy', [
+  {
+    // info instead of warning when the skill has connector wildcards
+    code: 'TOOL_NOT_FOUND',
+    severity: 'warning',
+    path: 'policy.workflows[].steps[]',
+    message: 'Tool not found',
+    covers: 'Workflow steps and approvals reference existing tools',
+    fix: fixToolRef,
+  },
+  {
+    code: 'DUPLICATE_WORKFLOW_ID',
+    severity: 'error',
+    path: 'policy.workflows[].id',
+    message: 'Duplicate workflow ID',
+    suggestion: 'Each workflow must have a unique ID',
+    covers: 'No duplicate IDs',
+  },
+  {
+    code: 'WORKFLOW_CIRCULAR',
+    severity: 'error',
+    path: 'policy.workflows',
+    message: 'Circular workflow reference detected',
+    suggestion: 'Remove the circular dependency between workflows',
+    covers: 'No circular workflow references',
+  },
+]);
+
+defineStageRules('reference', 'intents', [
+  {
+    code: 'WORKFLOW_NOT_FOUND',
+    severity: 'warning',
+    path: 'intents.supported[].maps_to_workflow',
+    message: 'Workflow not found',
+    covers: 'Workflow exists',
+    fix: fixWorkflowRef,
+  },
+  {
+    code: 'DUPLICATE_INTENT_ID',
+    severity: 'error',
+    path: 'intents.supported[].id',
+    message: 'Duplicate intent ID',
+    suggestion: 'Each intent must have a unique ID',
+    covers: 'No duplicate IDs',
+  },
+  {
+    code: 'INTENT_NO_TOOLS',
+    severity: 'warning',
+    path: 'intents.supported[]',
+    message: 'Intent has no mapped workflow and no obviously related tools',
+    covers: 'Intent has mapped workflow or related tools',
+  },
+]);
+
+defineStageRules('reference', 'tools', [
+  {
+    code: 'DUPLICATE_TOOL_ID',
+    severity: 'error',
+    path: 'tools[].id',
+    message: 'Duplicate tool ID',
+    suggestion: 'Each tool must have a unique ID',
+    covers: 'No duplicate IDs',
+  },
+  {
+    code: 'DUPLICATE_TOOL_NAME',
+    severity: 'warning',
+    path: 'tools[].name',
+    message: 'Duplicate tool name',
+    suggestion: 'Tool names should be unique for clarity',
+    covers: 'No duplicate names',
+  },
+]);
+
+defineStageRules('reference', 'scenarios', [
+  {
+    code: 'DUPLICATE_SCENARIO_ID',
+    severity: 'error',
+    path: 'scenarios[].id',
+    message: 'Duplicate scenario ID',
+    suggestion: 'Each scenario must have a unique ID',
+    covers: 'No duplicate IDs',
+  },
+]);
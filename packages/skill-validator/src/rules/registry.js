@@ -0,0 +1,152 @@
+/**
+ * Validation Rule Registry
+ *
+ * One table of rules shared by the validation pipeline (GET
+ * /api/skills/:id/validation), the skill-validator CLI and the Skill
+ * Builder UI, so every surface reports the same issues for the same skill.
+ *
+ * A rule is:
+ *   {
+ *     code:       'NO_GUARDRAILS',           // stable issue code
+ *     severity:   'error' | 'warning' | 'info',
+ *     stage:      'rule',                    // reporting stage: 'schema', 'reference', 'security', 'drift' or 'rule'
+ *     section:    'policy',                  // skill section the rule belongs to
+ *     path:       'policy.guardrails',       // default issue path
+ *     message:    'At least one guardrail…', // default issue message
+ *     suggestion: 'Define what…',            // optional
+ *     coverage:   { field, check },          // optional, for VALIDATION_COVERAGE.md
+ *     check:      (skill) => findings[],     // optional — metadata-only rules omit it
+ *     fix:        (issue, context) => { replacement, confidence, rationale } | null
+ *   }
+ *
+ * A check returns findings ({ path?, message?, suggestion? }); runRules()
+ * turns them into ValidationIssues carrying the rule's code and severity.
+ * The validator stages register every code they report (without a check —
+ * the stage does the finding) and build their issues with createIssue(), so
+ * severity, default path/message and fix hook live in one place per code.
+ *
+ * Pure module with no imports, so the frontend can bundle it.
+ *
+ * @module rules/registry
+ */
+
+/** Severities a rule may declare (ValidationIssue.severity) */
+export const RULE_SEVERITIES = ['error', 'warning', 'info'];
+
+/** @type {Map<string, Object>} code → rule */
+const RULES = new Map();
+
+/**
+ * Register a rule. Codes are unique across the registry.
+ * @param {Object} rule
+ * @returns {Object} The frozen rule
+ * @throws {Error} On a missing/duplicate code or an unknown severity
+ */
+export function defineRule(rule) {
+  if (!rule?.code) throw new Error('Rule code is required');
+  if (RULES.has(rule.code)) throw new Error(`Rule ${rule.code} is already defined`);
+  if (!RULE_SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Rule ${rule.code}: severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+  }
+  const frozen = Object.freeze({ stage: 'rule', ...rule });
+  RULES.set(rule.code, frozen);
+  return frozen;
+}
+
+/**
+ * Register the codes a validator stage reports. The rules of a stage table
+ * share the stage and section; `covers` is the coverage check text for the
+ * rule's path.
+ * @param {string} stage - 'schema' | 'reference' | 'security' | 'drift'
+ * @param {string} section
+ * @param {Array<Object>} rules - { code, severity, path, message, suggestion?, fix?, covers }
+ */
+export function defineStageRules(stage, section, rules) {
+  for (const { covers, ...rule } of rules) {
+    defineRule({ stage, section, ...rule, coverage: { field: rule.path, check: covers } });
+  }
+}
+
+/**
+ * @param {string} code
+ * @returns {Object|undefined}
+ */
+export function getRule(code) {
+  return RULES.get(code);
+}
+
+/**
+ * @param {Object} [filter]
+ * @param {string} [filter.section] - Only rules of this section
+ * @param {string} [filter.stage] - Only rules of this stage
+ * @returns {Object[]} Rules in registration order
+ */
+export function listRules({ section, stage } = {}) {
+  return [...RULES.values()]
+    .filter(r => !section || r.section === section)
+    .filter(r => !stage || r.stage === stage);
+}
+
+/**
+ * Build a ValidationIssue for a registered code. The finding's path,
+ * message and suggestion override the rule defaults; severity is the
+ * rule's unless the finding sets one (codes whose severity depends on the
+ * skill, e.g. TOOL_NOT_FOUND with connector wildcards).
+ * @param {string} code
+ * @param {{ severity?: string, path?: string, message?: string, suggestion?: string }} [finding]
+ * @returns {import('../types/DraftSkill.js').ValidationIssue}
+ * @throws {Error} When the code is not registered
+ */
+export function createIssue(code, finding = {}) {
+  const rule = RULES.get(code);
+  if (!rule) throw new Error(`Rule ${code} is not defined`);
+  const suggestion = finding.suggestion ?? rule.suggestion;
+  return {
+    code,
+    severity: finding.severity ?? rule.severity,
+    path: finding.path ?? rule.path,
+    message: finding.message ?? rule.message,
+    ...(suggestion && { suggestion }),
+  };
+}
+
+/**
+ * Run every rule that has a check.
+ * @param {Object} skill - DraftSkill
+ * @param {Object} [filter] - Same as listRules()
+ * @returns {import('../types/DraftSkill.js').ValidationIssue[]}
+ */
+export function runRules(skill, filter = {}) {
+  const issues = [];
+  for (const rule of listRules(filter)) {
+    if (!rule.check) continue;
+    for (const finding of rule.check(skill) || []) {
+      issues.push(createIssue(rule.code, finding));
+    }
+  }
+  return issues;
+}
+
+/**
+ * Ask the issue's rule for a fix.
+ * @param {import('../types/DraftSkill.js').ValidationIssue} issue
+ * @param {Object} [context] - Usually the skill
+ * @returns {{ replacement: *, confidence: number, rationale: string }|null|undefined}
+ *          undefined when no rule fix hook exists for the code
+ */
+export function suggestRuleFix(issue, context = {}) {
+  const fix = RULES.get(issue?.code)?.fix;
+  return fix ? fix(issue, context) : undefined;
+}
+
+/**
+ * Coverage entries (same shape as validators/coverage.js) for rules that
+ * declare them; the entry type is the rule's stage.
+ * @param {Object} [filter] - Same as listRules()
+ * @returns {Array<{section: string, field: string, check: string, type: string, code: string}>}
+ */
+export function ruleCoverage(filter = {}) {
+  return listRules(filter)
+    .filter(r => r.coverage)
+    .map(r => ({ section: r.section, field: r.coverage.field, check: r.coverage.check, type: r.stage, code: r.code }));
+}
@@ -0,0 +1,455 @@
+/**
+ * Schema Rules - codes reported by validators/schemaValidator.js
+ *
+ * schemaValidator does the checking; each code is registered here with its
+ * severity, default path and message, coverage and fix hook, and the
+ * validator builds its issues with createIssue(). Paths use [] for "every
+ * item"; issues carry the concrete index.
+ *
+ * @module rules/schemaRules
+ */
+
+import { defineStageRules } from './registry.js';
+import { fixEnumTypo, fixToolName, fixWorkflowSteps, fixWorkflowName } from './fixHooks.js';
+
+// ═══════════════════════════════════════════════════════════════
+// METADATA + PROBLEM + SCENARIOS
+// ═══════════════════════════════════════════════════════════════
+
+defineStageRules('schema', 'metadata', [
+  { code: 'INVALID_ID', severity: 'error', path: 'id', message: 'Skill ID is required and must be a string', covers: 'Required string' },
+  { code: 'INVALID_NAME', severity: 'error', path: 'name', message: 'Skill name is required and must be a string', covers: 'Required string' },
+  { code: 'INVALID_PHASE', severity: 'error', path: 'phase', message: 'Invalid phase', covers: 'Valid phase', fix: fixEnumTypo },
+]);
+
+defineStageRules('schema', 'problem', [
+  { code: 'MISSING_PROBLEM', severity: 'error', path: 'problem', message: 'Problem section is required', covers: 'Section exists' },
+  { code: 'INVALID_PROBLEM_STATEMENT', severity: 'error', path: 'problem.statement', message: 'Problem statement must be a string', covers: 'Is string' },
+  { code: 'INVALID_PROBLEM_GOALS', severity: 'error', path: 'problem.goals', message: 'Problem goals must be an array', covers: 'Is array' },
+]);
+
+defineStageRules('schema', 'scenarios', [
+  { code: 'MISSING_SCENARIO_ID', severity: 'error', path: 'scenarios[].id', message: 'Scenario ID is required', covers: 'Has ID' },
+  {
+    code: 'INVALID_SCENARIO_TITLE',
+    severity: 'warning',
+    path: 'scenarios[].title',
+    message: 'Scenario title is required',
+    suggestion: 'Add a descriptive title for the scenario',
+    covers: 'Has title (string)',
+  },
+  { code: 'INVALID_SCENARIO_STEPS', severity: 'error', path: 'scenarios[].steps', message: 'Scenario steps must be an array', covers: 'Is array' },
+]);
+
+// ═══════════════════════════════════════════════════════════════
+// ROLE + INTENTS
+// ═══════════════════════════════════════════════════════════════
+
+defineStageRules('schema', 'role', [
+  { code: 'MISSING_ROLE', severity: 'error', path: 'role', message: 'Role section is required', covers: 'Section exists' },
+  { code: 'INVALID_TONE', severity: 'error', path: 'role.communication_style.tone', message: 'Invalid tone', covers: 'Valid tone', fix: fixEnumTypo },
+  { code: 'INVALID_VERBOSITY', severity: 'error', path: 'role.communication_style.verbosity', message: 'Invalid verbosity', covers: 'Valid verbosity', fix: fixEnumTypo },
+]);
+
+defineStageRules('schema', 'intents', [
+  { code: 'MISSING_INTENTS', severity: 'error', path: 'intents', message: 'Intents section is required', covers: 'Section exists' },
+  { code: 'INVALID_THRESHOLD', severity: 'error', path: 'intents.thresholds', message: 'Intent thresholds must be between 0 and 1', covers: 'accept and clarify between 0-1' },
+  { code: 'INVALID_OOD_ACTION', severity: 'error', path: 'intents.out_of_skill.action', message: 'Invalid out-of-skill action', covers: 'Valid action', fix: fixEnumTypo },
+  { code: 'INVALID_FAST_PATH_RULES', severity: 'error', path: 'intents.fast_path.rules', message: 'intents.fast_path.rules must be an array', covers: 'Is array' },
+  { code: 'INVALID_FAST_PATH_RULE', severity: 'error', path: 'intents.fast_path.rules[]', message: 'fast_path rule must be an object', covers: 'Is object' },
+  {
+    code: 'MISSING_FAST_PATH_PATTERN',
+    severity: 'error',
+    path: 'intents.fast_path.rules[].pattern',
+    message: 'fast_path rule.pattern is required (regex literal string, e.g. "/^build me/i")',
+    covers: 'Has regex pattern string',
+  },
+  {
+    code: 'MISSING_FAST_PATH_INTENT',
+    severity: 'error',
+    path: 'intents.fast_path.rules[].intent',
+    message: 'fast_path rule.intent is required (must match an id in intents.supported[])',
+    covers: 'Has intent ID',
+  },
+  {
+    code: 'INVALID_FAST_PATH_MISSION_KIND',
+    severity: 'error',
+    path: 'intents.fast_path.rules[].mission_kind',
+    message: 'Invalid mission_kind',
+    covers: 'Valid mission kind',
+    fix: fixEnumTypo,
+  },
+  {
+    code: 'INVALID_EXECUTION_CONTRACT',
+    severity: 'error',
+    path: 'intents.fast_path.rules[].execution_contract',
+    message: 'execution_contract must be an object',
+    covers: 'Is object',
+  },
+  {
+    code: 'INVALID_REQUIRES_EXTERNAL_EFFECT',
+    severity: 'error',
+    path: 'intents.fast_path.rules[].execution_contract.requires_external_effect',
+    message: 'execution_contract.requires_external_effect must be a boolean',
+    covers: 'Is boolean',
+  },
+  {
+    code: 'INVALID_REQUIRED_TOOLS',
+    severity: 'error',
+    path: 'intents.fast_path.rules[].execution_contract.required_tools',
+    message: 'execution_contract.required_tools must be an array of fully-qualified tool name strings',
+    covers: 'Is array',
+  },
+  {
+    code: 'INVALID_REQUIRED_TOOL_NAME',
+    severity: 'error',
+    path: 'intents.fast_path.rules[].execution_contract.required_tools[]',
+    message: 'each required_tools entry must be a non-empty string',
+    covers: 'Non-empty string (existence checked by CORE at runtime)',
+  },
+  { code: 'MISSING_INTENT_ID', severity: 'error', path: 'intents.supported[].id', message: 'Intent ID is required', covers: 'Has ID' },
+  {
+    code: 'INVALID_INTENT_DESCRIPTION',
+    severity: 'warning',
+    path: 'intents.supported[].description',
+    message: 'Intent description is required',
+    suggestion: 'Add a clear description of what this intent represents',
+    covers: 'Has description',
+  },
+  {
+    code: 'MISSING_INTENT_EXAMPLES',
+    severity: 'warning',
+    path: 'intents.supported[].examples',
+    message: 'Intent should have at least one example',
+    suggestion: 'Add example phrases that would trigger this intent',
+    covers: 'Has examples array',
+  },
+  { code: 'MISSING_ENTITY_NAME', severity: 'error', path: 'intents.supported[].entities[].name', message: 'Entity name is required', covers: 'Has name' },
+  { code: 'INVALID_ENTITY_TYPE', severity: 'error', path: 'intents.supported[].entities[].type', message: 'Invalid entity type', covers: 'Valid data type' },
+]);
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+defineStageRules('schema', 'engine', [
+  { code: 'MISSING_ENGINE', severity: 'error', path: 'engine', message: 'Engine section is required', covers: 'Section exists' },
+  { code: 'INVALID_MAX_ITERATIONS', severity: 'error', path: 'engine.rv2.max_iterations', message: 'max_iterations must be at least 1', covers: 'At least 1' },
+  { code: 'INVALID_STRICTNESS', severity: 'error', path: 'engine.hlr.critic.strictness', message: 'Invalid strictness', covers: 'Valid strictness', fix: fixEnumTypo },
+  { code: 'INVALID_AUTONOMY_LEVEL', severity: 'error', path: 'engine.autonomy.level', message: 'Invalid autonomy level', covers: 'Valid autonomy level', fix: fixEnumTypo },
+  {
+    code: 'INVALID_FINALIZATION_GATE_ENABLED',
+    severity: 'error',
+    path: 'engine.finalization_gate.enabled',
+    message: 'finalization_gate.enabled must be a boolean',
+    covers: 'Is boolean',
+  },
+  {
+    code: 'INVALID_FINALIZATION_GATE_RETRIES',
+    severity: 'error',
+    path: 'engine.finalization_gate.max_retries',
+    message: 'finalization_gate.max_retries must be a number between 0 and 10',
+    covers: 'Number between 0-10',
+  },
+  {
+    code: 'INVALID_INCLUDE_READ_EVIDENCE_IN_GATE',
+    severity: 'error',
+    path: 'engine.include_read_evidence_in_gate',
+    message: 'engine.include_read_evidence_in_gate must be a boolean',
+    covers: 'Is boolean',
+  },
+  {
+    code: 'INVALID_DEFAULT_SUB_JOB_SECONDS',
+    severity: 'error',
+    path: 'engine.default_sub_job_seconds',
+    message: 'engine.default_sub_job_seconds must be a positive finite number',
+    covers: 'Positive finite number',
+  },
+  {
+    code: 'INVALID_DEFAULT_MAX_IDLE_SECONDS',
+    severity: 'error',
+    path: 'engine.default_max_idle_seconds',
+    message: 'engine.default_max_idle_seconds must be a positive finite number',
+    covers: 'Positive finite number',
+  },
+  {
+    code: 'INVALID_DEFAULT_MAX_DELEGATION_DEPTH',
+    severity: 'error',
+    path: 'engine.default_max_delegation_depth',
+    message: 'engine.default_max_delegation_depth must be a positive finite number',
+    covers: 'Positive finite number',
+  },
+  {
+    code: 'INVALID_LOOP_STREAK_THRESHOLD',
+    severity: 'error',
+    path: 'engine.loop_streak_threshold',
+    message: 'engine.loop_streak_threshold must be a positive finite number',
+    covers: 'Positive finite number',
+  },
+  {
+    code: 'INVALID_INTERNAL_ERROR_ENABLED',
+    severity: 'error',
+    path: 'engine.internal_error.enabled',
+    message: 'internal_error.enabled must be a boolean',
+    covers: 'Is boolean',
+  },
+  {
+    code: 'INVALID_ENTER_RESOLUTION_AFTER',
+    severity: 'error',
+    path: 'engine.internal_error.tool_not_found.enter_resolution_after',
+    message: 'enter_resolution_after must be a number >= 1',
+    covers: 'Number >= 1',
+  },
+  {
+    code: 'INVALID_TOOL_NOT_FOUND_RETRYABLE',
+    severity: 'error',
+    path: 'engine.internal_error.tool_not_found.retryable',
+    message: 'tool_not_found.retryable must be a boolean',
+    covers: 'Is boolean',
+  },
+  {
+    code: 'INVALID_RESOLUTION_MAX_ITERATIONS',
+    severity: 'error',
+    path: 'engine.internal_error.resolution.max_iterations',
+    message: 'resolution.max_iterations must be a number >= 1',
+    covers: 'Number >= 1',
+  },
+  {
+    code: 'INVALID_ALLOWED_CAPABILITIES',
+    severity: 'error',
+    path: 'engine.internal_error.resolution.allowed_capabilities',
+    message: 'resolution.allowed_capabilities must be an array',
+    covers: 'Is array',
+  },
+  {
+    code: 'INVALID_LOOP_DETECTION_ENABLED',
+    severity: 'error',
+    path: 'engine.internal_error.loop_detection.enabled',
+    message: 'loop_detection.enabled must be a boolean',
+    covers: 'Is boolean',
+  },
+  {
+    code: 'INVALID_IDENTICAL_CALL_THRESHOLD',
+    severity: 'error',
+    path: 'engine.internal_error.loop_detection.identical_call_threshold',
+    message: 'loop_detection.identical_call_threshold must be a number >= 1',
+    covers: 'Number >= 1',
+  },
+]);
+
+// ═══════════════════════════════════════════════════════════════
+// TOOLS
+// ═══════════════════════════════════════════════════════════════
+
+defineStageRules('schema', 'tools', [
+  { code: 'MISSING_TOOL_ID', severity: 'error', path: 'tools[].id', message: 'Tool ID is required', covers: 'Has ID' },
+  { code: 'INVALID_TOOL_NAME', severity: 'error', path: 'tools[].name', message: 'Tool name is required and must be a string', covers: 'Has name (string)' },
+  {
+    code: 'INVALID_TOOL_DESCRIPTION',
+    severity: 'warning',
+    path: 'tools[].description',
+    message: 'Tool description is required',
+    suggestion: 'Add a clear description of what this tool does',
+    covers: 'Has description',
+  },
+  { code: 'INVALID_TOOL_INPUTS', severity: 'error', path: 'tools[].inputs', message: 'Tool inputs must be an array', covers: 'Is array' },
+  { code: 'MISSING_INPUT_NAME', severity: 'error', path: 'tools[].inputs[].name', message: 'Input name is required', covers: 'Has name' },
+  { code: 'INVALID_INPUT_TYPE', severity: 'error', path: 'tools[].inputs[].type', message: 'Invalid input type', covers: 'Valid data type', fix: fixEnumTypo },
+  { code: 'MISSING_TOOL_OUTPUT', severity: 'error', path: 'tools[].output', message: 'Tool output is required', covers: 'Section exists' },
+  { code: 'INVALID_OUTPUT_TYPE', severity: 'error', path: 'tools[].output.type', message: 'Invalid output type', covers: 'Valid data type', fix: fixEnumTypo },
+  { code: 'INVALID_TOOL_POLICY_ALLOWED', severity: 'error', path: 'tools[].policy.allowed', message: 'Invalid allowed value', covers: 'Valid enum', fix: fixEnumTypo },
+  { code: 'INVALID_MOCK_MODE', severity: 'error', path: 'tools[].mock.mode', message: 'Invalid mock mode', covers: 'Valid mock mode', fix: fixEnumTypo },
+  { code: 'INVALID_MOCK_STATUS', severity: 'error', path: 'tools[].mock_status', message: 'Invalid mock_status', covers: 'Valid mock status', fix: fixEnumTypo },
+  {
+    code: 'INVALID_WILDCARD_FORMAT',
+    severity: 'error',
+    path: 'tools[].name',
+    message: 'Invalid wildcard format. Expected "connector-id:*"',
+    covers: 'Wildcard is "connector-id:*"',
+  },
+  {
+    code: 'MISSING_BOOTSTRAP_TOOLS',
+    severity: 'info',
+    path: 'bootstrap_tools',
+    message: 'Consider defining bootstrap_tools (up to 3 core tool names) to guarantee they are always available to the planner',
+    suggestion: 'Add bootstrap_tools with your most important domain tools (e.g., identity lookup, order retrieval)',
+    covers: 'Defined',
+  },
+  { code: 'INVALID_BOOTSTRAP_TOOLS', severity: 'error', path: 'bootstrap_tools', message: 'bootstrap_tools must be an array of tool name strings', covers: 'Is array' },
+  {
+    code: 'TOO_MANY_BOOTSTRAP_TOOLS',
+    severity: 'error',
+    path: 'bootstrap_tools',
+    message: 'bootstrap_tools allows at most 3 entries',
+    suggestion: 'Choose the 3 most critical tools that the planner needs on almost every request',
+    covers: 'At most 3 entries',
+  },
+  {
+    code: 'INVALID_BOOTSTRAP_TOOL_ENTRY',
+    severity: 'error',
+    path: 'bootstrap_tools[]',
+    message: 'Each bootstrap_tools entry must be a non-empty string',
+    covers: 'Non-empty string',
+  },
+  {
+    code: 'UNKNOWN_BOOTSTRAP_TOOL',
+    severity: 'error',
+    path: 'bootstrap_tools[]',
+    message: 'bootstrap_tools entry does not match any defined tool name',
+    covers: 'References a defined tool',
+    fix: fixToolName,
+  },
+  { code: 'INVALID_PREFETCH_TOOLS', severity: 'error', path: 'prefetch_tools', message: 'prefetch_tools must be an array of tool name strings', covers: 'Is array' },
+  {
+    code: 'INVALID_PREFETCH_TOOL_ENTRY',
+    severity: 'error',
+    path: 'prefetch_tools[]',
+    message: 'Each prefetch_tools entry must be a non-empty string',
+    covers: 'Non-empty string',
+  },
+  {
+    code: 'UNKNOWN_PREFETCH_TOOL',
+    severity: 'warning',
+    path: 'prefetch_tools[]',
+    message: 'prefetch_tools entry does not match any defined tool name',
+    covers: 'References a defined tool',
+    fix: fixToolName,
+  },
+]);
+
+// ═══════════════════════════════════════════════════════════════
+// POLICY
+// ═══════════════════════════════════════════════════════════════
+
+defineStageRules('schema', 'policy', [
+  { code: 'MISSING_POLICY', severity: 'error', path: 'policy', message: 'Policy section is required', covers: 'Section exists' },
+  {
+    code: 'INVALID_REQUIRES_ROLES',
+    severity: 'error',
+    path: 'policy.access.requires_roles',
+    message: 'policy.access.requires_roles must be an array of role strings',
+    covers: 'Is array of strings',
+  },
+  { code: 'UNKNOWN_REQUIRES_ROLE', severity: 'warning', path: 'policy.access.requires_roles', message: 'Unknown role', covers: 'Known roles' },
+  { code: 'INVALID_GUARDRAILS_NEVER', severity: 'error', path: 'policy.guardrails.never', message: 'guardrails.never must be an array', covers: 'Is array' },
+  { code: 'INVALID_GUARDRAILS_ALWAYS', severity: 'error', path: 'policy.guardrails.always', message: 'guardrails.always must be an array', covers: 'Is array' },
+  { code: 'MISSING_WORKFLOW_ID', severity: 'error', path: 'policy.workflows[].id', message: 'Workflow ID is required', covers: 'Has ID' },
+  {
+    code: 'MISSING_WORKFLOW_NAME',
+    severity: 'warning',
+    path: 'policy.workflows[].name',
+    message: 'Workflow name is recommended',
+    covers: 'Has name',
+    fix: fixWorkflowName,
+  },
+  {
+    code: 'INVALID_WORKFLOW_STEPS',
+    severity: 'error',
+    path: 'policy.workflows[].steps',
+    message: 'Workflow steps must be an array',
+    covers: 'Is array',
+    fix: fixWorkflowSteps,
+  },
+  { code: 'MISSING_APPROVAL_ID', severity: 'error', path: 'policy.approvals[].id', message: 'Approval rule ID is required', covers: 'Has ID' },
+  { code: 'MISSING_APPROVAL_TOOL_ID', severity: 'error', path: 'policy.approvals[].tool_id', message: 'Approval rule must specify a tool_id', covers: 'Has tool_id' },
+]);
+
+// ═══════════════════════════════════════════════════════════════
+// TRIGGERS
+// ═══════════════════════════════════════════════════════════════
+
+defineStageRules('schema', 'triggers', [
+  { code: 'MISSING_TRIGGER_ID', severity: 'error', path: 'triggers[].id', message: 'Trigger ID is required', covers: 'Has ID' },
+  { code: 'INVALID_TRIGGER_TYPE', severity: 'error', path: 'triggers[].type', message: 'Invalid trigger type', covers: 'Valid trigger type', fix: fixEnumTypo },
+  { code: 'INVALID_TRIGGER_SCOPE', severity: 'error', path: 'triggers[].scope', message: 'Invalid trigger scope', covers: 'Valid trigger scope', fix: fixEnumTypo },
+  { code: 'INVALID_TRIGGER_ENABLED', severity: 'error', path: 'triggers[].enabled', message: 'Trigger enabled must be a boolean', covers: 'Is boolean' },
+  { code: 'INVALID_TRIGGER_CONCURRENCY', severity: 'error', path: 'triggers[].concurrency', message: 'Trigger concurrency must be a number >= 1', covers: 'Number >= 1' },
+  {
+    code: 'MISSING_TRIGGER_PROMPT',
+    severity: 'warning',
+    path: 'triggers[].prompt',
+    message: 'Trigger should have a prompt string',
+    suggestion: 'Add a goal prompt that describes what the triggered job should do',
+    covers: 'Has prompt',
+  },
+  {
+    code: 'MISSING_TRIGGER_EVERY',
+    severity: 'error',
+    path: 'triggers[].every',
+    message: 'Schedule trigger must have an "every" field (ISO8601 duration) or a "cron" expression',
+    suggestion: 'Use "every" like "PT2M" (2 minutes), "PT1H" (1 hour), "P1D" (1 day), or "cron" like "30 8 * * mon-fri"',
+    covers: 'Schedule has every or cron',
+  },
+  {
+    code: 'CONFLICTING_TRIGGER_SCHEDULE',
+    severity: 'error',
+    path: 'triggers[].cron',
+    message: 'Schedule trigger has both "every" and "cron"; only one can drive the schedule',
+    suggestion: 'Remove "every" to use the cron expression, or remove "cron" to keep the fixed interval',
+    covers: 'Not both every and cron',
+  },
+  {
+    code: 'INVALID_TRIGGER_DURATION',
+    severity: 'error',
+    path: 'triggers[].every',
+    message: 'Invalid ISO8601 duration',
+    suggestion: 'Use format like "PT2M" (2 minutes), "PT1H" (1 hour), "P1D" (1 day)',
+    covers: 'Valid ISO8601 duration',
+  },
+  {
+    code: 'INVALID_TRIGGER_CRON',
+    severity: 'error',
+    path: 'triggers[].cron',
+    message: 'Invalid cron expression',
+    suggestion: 'Use 5 fields: minute hour day-of-month month day-of-week, e.g. "*/15 9-17 * * mon-fri"',
+    covers: 'Valid 5-field cron',
+  },
+  {
+    code: 'INVALID_TRIGGER_TIMEZONE',
+    severity: 'error',
+    path: 'triggers[].timezone',
+    message: 'Unknown timezone',
+    suggestion: 'Use an IANA timezone name like "Europe/Berlin" or "America/New_York"',
+    covers: 'IANA timezone',
+  },
+  {
+    code: 'INVALID_TRIGGER_WINDOW',
+    severity: 'error',
+    path: 'triggers[].active_windows',
+    message: 'active_windows must be an array',
+    suggestion: 'Use e.g. [{ "days": ["mon", "tue", "wed", "thu", "fri"], "start": "09:00", "end": "17:00" }]',
+    covers: 'Array of { days, start, end }',
+  },
+  {
+    code: 'INVALID_TRIGGER_BLACKOUT',
+    severity: 'error',
+    path: 'triggers[].blackout_dates',
+    message: 'blackout_dates must be an array of dates',
+    suggestion: 'Use calendar dates in the trigger timezone, e.g. ["2026-12-24", "2026-12-25"]',
+    covers: 'Array of dates',
+  },
+  {
+    code: 'TRIGGER_NEVER_FIRES',
+    severity: 'warning',
+    path: 'triggers[].cron',
+    message: 'Schedule trigger never fires inside its active windows',
+    suggestion: 'Check the cron hours against active_windows, and day-of-month against the month',
+    covers: 'Fires at least once',
+  },
+  {
+    code: 'MISSING_TRIGGER_EVENT',
+    severity: 'error',
+    path: 'triggers[].event',
+    message: 'Event trigger must have an "event" field specifying the event type',
+    suggestion: 'Use event names like "email.received", "slack.message"',
+    covers: 'Event trigger has event',
+  },
+  {
+    code: 'INVALID_TRIGGER_FILTER',
+    severity: 'error',
+    path: 'triggers[].filter',
+    message: 'Invalid event filter',
+    suggestion: 'Use e.g. subject contains "invoice" and from endsWith "@vendor.com"',
+    covers: 'Valid event filter',
+  },
+]);
@@ -0,0 +1,227 @@
+/**
+ * Section Rules - per-section recommendations (validateSection)
+ *
+ * These checks used to live in a switch in validators/index.js and again,
+ * with different wording, in the frontend's validation engine. They are
+ * recommendations for an in-progress skill, so they are warnings: they run
+ * in validateDraftSkill alongside the stages but never block export.
+ *
+ * @module rules/sectionRules
+ */
+
+import { defineRule } from './registry.js';
+
+// ═══════════════════════════════════════════════════════════════
+// PROBLEM + SCENARIOS
+// ═══════════════════════════════════════════════════════════════
+
+defineRule({
+  code: 'INCOMPLETE_PROBLEM',
+  severity: 'warning',
+  section: 'problem',
+  path: 'problem.statement',
+  message: 'Problem statement should be at least 10 characters',
+  suggestion: 'Describe the problem you want to solve',
+  coverage: { field: 'problem.statement', check: 'At least 10 characters' },
+  check: (skill) => (!skill.problem?.statement || skill.problem.statement.length < 10 ? [{}] : []),
+  // A content gap the author has to fill — never auto-applied
+  fix: () => null,
+});
+
+defineRule({
+  code: 'NO_SCENARIOS',
+  severity: 'warning',
+  section: 'scenarios',
+  path: 'scenarios',
+  message: 'At least one scenario is recommended',
+  suggestion: 'Add a real-world scenario that describes how the skill will be used',
+  coverage: { field: 'scenarios', check: 'At least one scenario' },
+  check: (skill) => (!skill.scenarios || skill.scenarios.length < 1 ? [{}] : []),
+});
+
+defineRule({
+  code: 'MISSING_SCENARIO_TITLE',
+  severity: 'warning',
+  section: 'scenarios',
+  message: 'Scenario needs a title',
+  coverage: { field: 'scenarios[].title', check: 'Has title' },
+  check: (skill) => (skill.scenarios || [])
+    .map((s, i) => (!s.title ? { path: `scenarios[${i}].title` } : null))
+    .filter(Boolean),
+  fix: (issue) => {
+    // issue.path is "scenarios[N].title"; suggest a placeholder
+    const idx = /scenarios\[(\d+)\]/i.exec(issue.path || '');
+    const n = idx ? parseInt(idx[1], 10) + 1 : null;
+    return {
+      replacement: n ? `Scenario ${n}` : 'Untitled scenario',
+      confidence: 0.9,
+      rationale: 'Generic placeholder; author can refine',
+    };
+  },
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ROLE
+// ═══════════════════════════════════════════════════════════════
+
+defineRule({
+  code: 'MISSING_ROLE_NAME',
+  severity: 'warning',
+  section: 'role',
+  path: 'role.name',
+  message: 'Role name is recommended',
+  suggestion: 'Give the agent a role name (e.g., "Customer Service Agent")',
+  coverage: { field: 'role.name', check: 'Has name' },
+  check: (skill) => (!skill.role?.name ? [{}] : []),
+});
+
+defineRule({
+  code: 'MISSING_PERSONA',
+  severity: 'warning',
+  section: 'role',
+  path: 'role.persona',
+  message: 'Role persona is recommended',
+  suggestion: 'Describe how the agent should behave',
+  coverage: { field: 'role.persona', check: 'Has persona' },
+  check: (skill) => (!skill.role?.persona ? [{}] : []),
+});
+
+// ═══════════════════════════════════════════════════════════════
+// INTENTS + TOOLS
+// ═══════════════════════════════════════════════════════════════
+
+defineRule({
+  code: 'NO_INTENTS',
+  severity: 'warning',
+  section: 'intents',
+  path: 'intents.supported',
+  message: 'At least one intent is recommended',
+  suggestion: 'Define what user requests the agent can handle',
+  coverage: { field: 'intents.supported', check: 'At least one intent' },
+  check: (skill) => (!skill.intents?.supported || skill.intents.supported.length < 1 ? [{}] : []),
+});
+
+defineRule({
+  code: 'NO_INTENT_EXAMPLES',
+  severity: 'warning',
+  section: 'intents',
+  suggestion: 'Add example phrases that would trigger this intent',
+  coverage: { field: 'intents.supported[].examples', check: 'At least one example' },
+  check: (skill) => (skill.intents?.supported || [])
+    .map((intent, i) => (!intent.examples || intent.examples.length < 1
+      ? { path: `intents.supported[${i}].examples`, message: `Intent "${intent.id}" needs examples` }
+      : null))
+    .filter(Boolean),
+});
+
+defineRule({
+  code: 'NO_TOOLS',
+  severity: 'warning',
+  section: 'tools',
+  path: 'tools',
+  message: 'At least one tool is required',
+  suggestion: 'Define tools the agent can use to accomplish tasks',
+  coverage: { field: 'tools', check: 'At least one tool' },
+  check: (skill) => (!skill.tools || skill.tools.length < 1 ? [{}] : []),
+});
+
+defineRule({
+  code: 'MISSING_TOOL_DESCRIPTION',
+  severity: 'warning',
+  section: 'tools',
+  coverage: { field: 'tools[].description', check: 'Has description' },
+  check: (skill) => (skill.tools || [])
+    .map((tool, i) => (!tool.description
+      ? { path: `tools[${i}].description`, message: `Tool "${tool.name}" needs a description` }
+      : null))
+    .filter(Boolean),
+});
+
+defineRule({
+  code: 'MISSING_OUTPUT_DESCRIPTION',
+  severity: 'warning',
+  section: 'tools',
+  coverage: { field: 'tools[].output.description', check: 'Has output description' },
+  check: (skill) => (skill.tools || [])
+    .map((tool, i) => (!tool.output?.description
+      ? { path: `tools[${i}].output.description`, message: `Tool "${tool.name}" output needs a description` }
+      : null))
+    .filter(Boolean),
+});
+
+// ═══════════════════════════════════════════════════════════════
+// POLICY
+// ═══════════════════════════════════════════════════════════════
+
+defineRule({
+  code: 'MISSING_TOOL_POLICY',
+  severity: 'warning',
+  section: 'policy',
+  suggestion: 'Set the tool\'s policy (allowed: "always", "conditional" or "never") or add an approval rule for it',
+  coverage: { field: 'tools[].policy', check: 'Inline policy or approval rule' },
+  check: (skill) => {
+    const approvals = skill.policy?.approvals || [];
+    return (skill.tools || [])
+      .map((tool, i) => {
+        const hasInlinePolicy = tool.policy && Object.keys(tool.policy).length > 0;
+        const hasApprovalRule = approvals.some(rule => rule.tool_id === tool.id || rule.tool_id === tool.name);
+        return hasInlinePolicy || hasApprovalRule
+          ? null
+          : { path: `tools[${i}].policy`, message: `Tool "${tool.name}" needs a policy` };
+      })
+      .filter(Boolean);
+  },
+});
+
+defineRule({
+  code: 'NO_GUARDRAILS',
+  severity: 'warning',
+  section: 'policy',
+  path: 'policy.guardrails',
+  message: 'At least one guardrail is recommended',
+  suggestion: 'Define what the agent should never or always do',
+  coverage: { field: 'policy.guardrails', check: 'At least one never/always rule' },
+  check: (skill) => {
+    const hasGuardrails =
+      (skill.policy?.guardrails?.never?.length > 0) ||
+      (skill.policy?.guardrails?.always?.length > 0);
+    return hasGuardrails ? [] : [{}];
+  },
+});
+
+// ═══════════════════════════════════════════════════════════════
+// IDENTITY
+// ═══════════════════════════════════════════════════════════════
+
+defineRule({
+  code: 'MISSING_DISPLAY_NAME',
+  severity: 'warning',
+  section: 'identity',
+  path: 'skill_identity.display_name',
+  message: 'Skill display name is required',
+  suggestion: 'Add a display name for the skill identity',
+  coverage: { field: 'skill_identity.display_name', check: 'Has display name' },
+  check: (skill) => (!skill.skill_identity?.display_name ? [{}] : []),
+});
+
+defineRule({
+  code: 'MISSING_EMAIL_FROM',
+  severity: 'warning',
+  section: 'identity',
+  path: 'skill_identity.channel_identities.email.from_email',
+  message: 'Outbound email address is not configured',
+  suggestion: 'Select a connected email address for outbound messages',
+  coverage: { field: 'skill_identity.channel_identities.email.from_email', check: 'Has outbound email' },
+  check: (skill) => (!skill.skill_identity?.channel_identities?.email?.from_email ? [{}] : []),
+});
+
+defineRule({
+  code: 'IDENTITY_NOT_ACTIVATED',
+  severity: 'warning',
+  section: 'identity',
+  path: 'skill_identity.actor_id',
+  message: 'Skill identity is not activated in CORE',
+  suggestion: 'Activate the identity to enable sending messages',
+  coverage: { field: 'skill_identity.actor_id', check: 'Identity activated in Core' },
+  check: (skill) => (!skill.skill_identity?.actor_id ? [{}] : []),
+});
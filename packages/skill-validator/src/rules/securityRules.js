@@ -0,0 +1,111 @@
+/**
+ * Security Rules - codes reported by validators/securityValidator.js
+ *
+ * See schemaRules.js: the validator finds the issues, the rules here own
+ * severity, defaults, coverage and fixes.
+ *
+ * @module rules/securityRules
+ */
+
+import { defineStageRules } from './registry.js';
+import { fixEnumTypo, fixToolName } from './fixHooks.js';
+
+defineStageRules('security', 'tools', [
+  {
+    code: 'UNCLASSIFIED_TOOL',
+    severity: 'warning',
+    path: 'tools[].security.classification',
+    message: 'Tool has no security classification',
+    suggestion: 'Assign a classification (public, internal, pii_read, pii_write, financial, destructive)',
+    covers: 'Has classification',
+  },
+  {
+    code: 'INVALID_CLASSIFICATION',
+    severity: 'error',
+    path: 'tools[].security.classification',
+    message: 'Tool has an invalid classification',
+    covers: 'Valid classification',
+    fix: fixEnumTypo,
+  },
+  {
+    code: 'INVALID_RISK_LEVEL',
+    severity: 'error',
+    path: 'tools[].security.risk',
+    message: 'Tool has an invalid risk level',
+    covers: 'Valid risk level',
+    fix: fixEnumTypo,
+  },
+  {
+    code: 'HIGH_RISK_NO_POLICY',
+    severity: 'error',
+    path: 'tools[].security',
+    message: 'High-risk tool has no access policy',
+    suggestion: 'Add an access_policy rule covering this tool',
+    covers: 'High-risk tools have an access policy',
+  },
+  {
+    code: 'PII_NO_FILTER',
+    severity: 'warning',
+    path: 'tools[].security',
+    message: 'PII tool has no response filter or access policy',
+    suggestion: 'Add a response_filter to strip or mask sensitive fields, or add an access_policy rule',
+    covers: 'PII tools have a response filter or access policy',
+  },
+  {
+    code: 'DATA_OWNER_NO_CONSTRAIN',
+    severity: 'warning',
+    path: 'tools[].security.data_owner_field',
+    message: 'Tool has a data_owner_field but no constrain policy or grant mapping injects it',
+    covers: 'Data owner field is constrained',
+  },
+  {
+    code: 'GUARDRAIL_TOOL_CONFLICT',
+    severity: 'warning',
+    path: 'tools[].security',
+    message: 'Guardrail conflicts with a tool no access policy constrains',
+    suggestion: 'Add an access_policy rule with effect "constrain" or "deny" to enforce the guardrail, or refine the guardrail',
+    covers: 'Guardrails vs tool capability conflict detection',
+  },
+]);
+
+defineStageRules('security', 'grant_mappings', [
+  {
+    code: 'GRANT_MAPPING_INVALID_TOOL',
+    severity: 'error',
+    path: 'grant_mappings[].tool',
+    message: 'Grant mapping references a non-existent tool',
+    suggestion: 'Update the tool name or define the missing tool',
+    covers: 'References a defined tool',
+    fix: fixToolName,
+  },
+]);
+
+defineStageRules('security', 'access_policy', [
+  {
+    // info instead of error when the skill has connector wildcards
+    code: 'ACCESS_POLICY_INVALID_TOOL',
+    severity: 'error',
+    path: 'access_policy.rules[].tools[]',
+    message: 'Access policy rule references a non-existent tool',
+    covers: 'References a defined tool',
+    fix: fixToolName,
+  },
+  {
+    code: 'INVALID_POLICY_EFFECT',
+    severity: 'error',
+    path: 'access_policy.rules[].effect',
+    message: 'Access policy rule has an invalid effect',
+    covers: 'Valid effect',
+    fix: fixEnumTypo,
+  },
+]);
+
+defineStageRules('security', 'response_filters', [
+  {
+    code: 'INVALID_FILTER_FIELD_PATH',
+    severity: 'error',
+    path: 'response_filters[].strip_fields[]',
+    message: 'Invalid field path in response filter',
+    covers: 'strip_fields and mask_fields are valid field paths',
+  },
+]);
@@ -0,0 +1,498 @@
+/**
+ * JSON Schema - machine-readable skill, solution, connector and trigger schemas
+ *
+ * Draft 2020-12 documents served at /spec/schema/*, for editors (autocomplete
+ * and offline lint of skill.json) and for agents that want to check a
+ * definition before calling /deploy.
+ *
+ * Nothing here is hand-copied: enums, bounds and formats are the constants
+ * the validators check against (schemaValidator, securityValidator,
+ * solutionValidator, scheduleEvaluator), and skill field descriptions are
+ * schemaValidator's COVERAGE entries. Change them in the validators, never
+ * here; the published schemas follow. test/jsonSchema.test.js holds the
+ * two together: every COVERAGE field must exist in the skill schema, and
+ * every enum value, bound and required field the skill schema enforces
+ * must be enforced by validateDraftSkill too.
+ *
+ * The schemas describe the stored (expanded) shape — skill.json in a
+ * solution repo. Minimal definitions sent to POST /validate/skill are
+ * auto-expanded first and need not match. Unknown properties are allowed:
+ * the validators ignore them and A-Team Core reads fields this package
+ * does not know about.
+ *
+ * @module schemas/jsonSchema
+ */
+
+import {
+  COVERAGE,
+  VALID_PHASES, VALID_DATA_TYPES, VALID_TRIGGER_TYPES, VALID_TRIGGER_SCOPES,
+  VALID_TONES, VALID_VERBOSITIES, VALID_OOD_ACTIONS, VALID_MISSION_KINDS,
+  VALID_STRICTNESS, VALID_AUTONOMY_LEVELS, VALID_TOOL_POLICY_ALLOWED,
+  VALID_MOCK_MODES, VALID_MOCK_STATUSES, KNOWN_ROLES,
+  MAX_BOOTSTRAP_TOOLS, MAX_FINALIZATION_GATE_RETRIES, ENGINE_CEILING_FIELDS,
+} from '../validators/schemaValidator.js';
+import { VALID_CLASSIFICATIONS, VALID_RISK_LEVELS, VALID_EFFECTS } from '../validators/securityValidator.js';
+import {
+  CONNECTOR_SOURCES, CONNECTOR_TRANSPORTS, SKILL_ROLES,
+  SURFACE_TYPES, SURFACE_VISIBILITY, SURFACE_PLACEMENT,
+  FUNCTIONAL_CONNECTOR_ID_PATTERN, FUNCTIONAL_CONNECTOR_MODULE_PATTERN,
+  FUNCTIONAL_CONNECTOR_TYPES, FUNCTIONAL_CONNECTOR_PERMISSIONS,
+  VOICE_VERIFICATION_METHODS, VOICE_ON_FAILURE_ACTIONS, VOICE_ANSWER_MATCH_MODES, VOICE_MAX_ATTEMPTS,
+} from '../validators/solutionValidator.js';
+import { DAY_NAMES, DURATION_PATTERN, CLOCK_PATTERN, DATE_PATTERN } from '../validators/scheduleEvaluator.js';
+
+const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+/** Schema names served at /spec/schema/:name */
+export const SCHEMA_NAMES = ['skill', 'solution', 'connector', 'trigger'];
+
+// ═══════════════════════════════════════════════════════════════
+// BUILDING BLOCKS
+// ═══════════════════════════════════════════════════════════════
+
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const nonEmptyString = (extra = {}) => string({ minLength: 1, ...extra });
+// The validators trim before checking "non-empty"
+const nonBlankString = (extra = {}) => string({ pattern: '\\S', ...extra });
+const number = (extra = {}) => ({ type: 'number', ...extra });
+const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+const enumOf = (values, extra = {}) => ({ enum: [...values], ...extra });
+const array = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const stringList = (extra = {}) => array(string(), extra);
+
+function object(properties, { required, ...extra } = {}) {
+  return {
+    type: 'object',
+    ...extra,
+    properties,
+    ...(required?.length && { required }),
+  };
+}
+
+/** Case-insensitive match of a word list (JSON Schema patterns have no flags) */
+function caseInsensitive(words) {
+  const alternatives = words.map(word => [...word].map(c => `[${c}${c.toUpperCase()}]`).join(''));
+  return `^(?:${alternatives.join('|')})$`;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TRIGGER
+// ═══════════════════════════════════════════════════════════════
+
+function triggerSchema() {
+  return object({
+    id: nonEmptyString(),
+    type: enumOf(VALID_TRIGGER_TYPES),
+    scope: enumOf(VALID_TRIGGER_SCOPES, { description: 'system: one job for the skill; per_actor: one job per actor' }),
+    enabled: boolean(),
+    concurrency: number({ minimum: 1 }),
+    prompt: string({ description: 'Goal prompt for the triggered job' }),
+    every: string({ pattern: DURATION_PATTERN.source, description: 'ISO8601 duration, e.g. "PT15M" (schedule)' }),
+    cron: string({ description: '5-field cron expression, e.g. "30 8 * * mon-fri" (schedule)' }),
+    timezone: string({ description: 'IANA timezone for cron, active_windows and blackout_dates, e.g. "Europe/Berlin"' }),
+    active_windows: array(object({
+      days: array(string({ pattern: caseInsensitive(DAY_NAMES) }), { minItems: 1 }),
+      start: string({ pattern: CLOCK_PATTERN.source, not: { const: '24:00' } }),
+      end: string({ pattern: CLOCK_PATTERN.source }),
+    })),
+    blackout_dates: array(string({ format: 'date', pattern: DATE_PATTERN.source })),
+    event: nonEmptyString({ description: 'Event name, e.g. "email.received" (event)' }),
+    filter: {
+      description: 'Filter expression, e.g. subject contains "invoice", or a legacy { path: value } equality object (event)',
+      type: ['string', 'object'],
+    },
+  }, {
+    required: ['id', 'type'],
+    allOf: [
+      {
+        if: { properties: { type: { const: 'schedule' } }, required: ['type'] },
+        then: { oneOf: [{ required: ['every'] }, { required: ['cron'] }] },
+      },
+      {
+        if: { properties: { type: { const: 'event' } }, required: ['type'] },
+        then: { required: ['event'] },
+      },
+    ],
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SKILL
+// ═══════════════════════════════════════════════════════════════
+
+function toolSchema() {
+  return object({
+    id: nonEmptyString(),
+    name: nonEmptyString({ description: 'Tool name, or "connector-id:*" for every tool of a connector' }),
+    description: string(),
+    inputs: array(object({
+      name: nonEmptyString(),
+      type: enumOf(VALID_DATA_TYPES),
+      required: boolean(),
+      description: string(),
+      enum: array({}),
+    }, { required: ['name'] })),
+    output: object({
+      type: enumOf(VALID_DATA_TYPES),
+      description: string(),
+      schema: { type: 'object' },
+    }),
+    policy: object({
+      allowed: enumOf(VALID_TOOL_POLICY_ALLOWED),
+      requires_approval: string({ description: `One of: ${VALID_TOOL_POLICY_ALLOWED.join(', ')}` }),
+      conditions: array(object({ when: string(), action: string(), message: string() })),
+    }),
+    mock: object({
+      enabled: boolean(),
+      mode: enumOf(VALID_MOCK_MODES),
+      examples: array(object({ id: string(), input: { type: 'object' }, output: {} })),
+    }),
+    mock_status: enumOf(VALID_MOCK_STATUSES),
+    source: object({
+      type: string({ description: 'mcp_bridge, builtin or custom' }),
+      connection_id: string({ description: 'Connector id of an mcp_bridge tool' }),
+      mcp_tool: string(),
+    }),
+    security: object({
+      classification: enumOf(VALID_CLASSIFICATIONS),
+      risk: enumOf(VALID_RISK_LEVELS),
+      data_owner_field: string(),
+    }),
+  }, {
+    required: ['id', 'name'],
+    // Connector wildcards are references, not tool definitions
+    if: { properties: { name: { type: 'string', pattern: ':\\*$' } }, required: ['name'] },
+    then: { properties: { name: { pattern: '^[^:]+:\\*$' } } },
+    else: { required: ['inputs', 'output'] },
+  });
+}
+
+function engineSchema() {
+  const ceilings = Object.fromEntries(ENGINE_CEILING_FIELDS.map(({ key, hint }) => (
+    [key, number({ exclusiveMinimum: 0, description: hint })]
+  )));
+  return object({
+    rv2: object({ max_iterations: number({ minimum: 1 }) }),
+    hlr: object({ critic: object({ strictness: enumOf(VALID_STRICTNESS) }) }),
+    autonomy: object({ level: enumOf(VALID_AUTONOMY_LEVELS) }),
+    finalization_gate: object({
+      enabled: boolean(),
+      max_retries: number({ minimum: 0, maximum: MAX_FINALIZATION_GATE_RETRIES }),
+    }),
+    include_read_evidence_in_gate: boolean(),
+    ...ceilings,
+    internal_error: object({
+      enabled: boolean(),
+      tool_not_found: object({ enter_resolution_after: number({ minimum: 1 }), retryable: boolean() }),
+      resolution: object({ max_iterations: number({ minimum: 1 }), allowed_capabilities: array({}) }),
+      loop_detection: object({ enabled: boolean(), identical_call_threshold: number({ minimum: 1 }) }),
+    }),
+  });
+}
+
+function skillProperties() {
+  return {
+    id: nonEmptyString(),
+    name: nonEmptyString(),
+    description: string(),
+    phase: enumOf(VALID_PHASES),
+    problem: object({
+      statement: string(),
+      context: string(),
+      goals: stringList(),
+    }),
+    scenarios: array(object({
+      id: nonEmptyString(),
+      title: string(),
+      description: string(),
+      steps: array({}),
+      expected_outcome: string(),
+    }, { required: ['id', 'steps'] })),
+    role: object({
+      name: string(),
+      persona: string(),
+      goals: stringList(),
+      limitations: stringList(),
+      communication_style: object({
+        tone: enumOf(VALID_TONES),
+        verbosity: enumOf(VALID_VERBOSITIES),
+      }),
+      stages: array(object({
+        id: nonEmptyString(),
+        body: nonEmptyString(),
+        after: stringList(),
+      }, { required: ['id', 'body'] }), { minItems: 1 }),
+    }),
+    intents: object({
+      supported: array(object({
+        id: nonEmptyString(),
+        description: string(),
+        examples: stringList(),
+        maps_to_workflow: string(),
+        entities: array(object({
+          name: nonEmptyString(),
+          type: enumOf(VALID_DATA_TYPES),
+          required: boolean(),
+          extract_from: string(),
+        }, { required: ['name'] })),
+      }, { required: ['id'] })),
+      thresholds: object({
+        accept: number({ minimum: 0, maximum: 1 }),
+        clarify: number({ minimum: 0, maximum: 1 }),
+        reject: number(),
+      }),
+      out_of_skill: object({ action: enumOf(VALID_OOD_ACTIONS), message: string() }),
+      fast_path: object({
+        rules: array(object({
+          pattern: nonEmptyString({ description: 'Regex literal string, e.g. "/^build me/i"' }),
+          intent: nonEmptyString({ description: 'An id in intents.supported[]' }),
+          mission_kind: enumOf(VALID_MISSION_KINDS),
+          execution_contract: object({
+            requires_external_effect: boolean(),
+            required_tools: array(nonBlankString()),
+          }),
+        }, { required: ['pattern', 'intent'] })),
+      }),
+    }),
+    tools: array({ $ref: '#/$defs/tool' }),
+    policy: object({
+      guardrails: object({ never: stringList(), always: stringList() }),
+      workflows: array(object({
+        id: nonEmptyString(),
+        name: string(),
+        description: string(),
+        trigger: string(),
+        steps: stringList(),
+        required: boolean(),
+      }, { required: ['id', 'steps'] })),
+      approvals: array(object({
+        id: nonEmptyString(),
+        tool_id: nonEmptyString(),
+        conditions: array({ type: 'object' }),
+        approver: string(),
+      }, { required: ['id', 'tool_id'] })),
+      access: object({
+        requires_roles: stringList({ description: `Known roles: ${KNOWN_ROLES.join(', ')}` }),
+      }),
+    }),
+    engine: engineSchema(),
+    bootstrap_tools: array(nonBlankString(), { maxItems: MAX_BOOTSTRAP_TOOLS }),
+    prefetch_tools: array(nonBlankString()),
+    triggers: array({ $ref: '#/$defs/trigger' }),
+    access_policy: object({
+      rules: array(object({
+        tools: stringList(),
+        effect: enumOf(VALID_EFFECTS),
+      })),
+    }),
+    grant_mappings: array(object({ tool: string() })),
+    response_filters: array(object({
+      strip_fields: stringList(),
+      mask_fields: stringList(),
+    })),
+  };
+}
+
+/**
+ * Schema node for a validator field path ("tools[].inputs[].type"),
+ * following local $refs. Undefined when the schema does not declare it.
+ *
+ * @param {Object} schema - Root schema
+ * @param {string} path
+ * @returns {Object|undefined}
+ */
+export function schemaNodeAt(schema, path) {
+  const deref = (node) => {
+    const ref = node?.$ref?.match(/^#\/\$defs\/(.+)$/);
+    return ref ? schema.$defs?.[ref[1]] : node;
+  };
+  let node = schema;
+  for (const segment of path.split('.')) {
+    const [, key, items] = segment.match(/^([^[]+)((?:\[\])*)$/) || [];
+    node = deref(node)?.properties?.[key];
+    for (let i = 0; i < items.length / 2; i++) node = deref(node)?.items;
+    if (!node) return undefined;
+  }
+  return deref(node);
+}
+
+/** Describe skill fields with schemaValidator's COVERAGE checks */
+function describeFromCoverage(schema) {
+  const checks = new Map();
+  for (const { field, check } of COVERAGE) {
+    if (!checks.has(field)) checks.set(field, []);
+    checks.get(field).push(check);
+  }
+  for (const [field, list] of checks) {
+    const node = schemaNodeAt(schema, field);
+    if (node && !node.description) node.description = list.join('. ');
+  }
+  return schema;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SOLUTION + CONNECTOR
+// ═══════════════════════════════════════════════════════════════
+
+function connectorSchema() {
+  return object({
+    id: nonEmptyString(),
+    name: string(),
+    description: string(),
+    transport: enumOf(CONNECTOR_TRANSPORTS, { default: 'stdio' }),
+    command: string({ description: 'stdio: command to start the server, e.g. "node"' }),
+    args: stringList({ description: 'stdio: e.g. ["/mcp-store/<id>/server.js"]' }),
+    env: { type: 'object', additionalProperties: { type: 'string' } },
+    endpoint: string({ description: 'http: server URL' }),
+    ui_capable: boolean({ description: 'Serves UI plugins (ui.listPlugins / ui.getPlugin); must use stdio' }),
+    requiresAuth: boolean(),
+    envRequired: stringList(),
+    category: string(),
+  }, { required: ['id'] });
+}
+
+function connectorRef() {
+  return {
+    description: 'Connector id, or an object with one',
+    oneOf: [
+      nonEmptyString(),
+      object({
+        id: nonEmptyString(),
+        source: enumOf(CONNECTOR_SOURCES, { default: 'platform', description: 'platform: A-Team images; solution: connectors/<id>/ of the solution repo' }),
+      }, { required: ['id'] }),
+    ],
+  };
+}
+
+function solutionProperties() {
+  return {
+    id: nonEmptyString(),
+    name: string(),
+    description: string(),
+    identity_mode: string(),
+    identity: object({
+      actor_types: array(object({ key: nonEmptyString(), label: string(), description: string() }, { required: ['key'] })),
+      default_actor_type: string({ description: 'A key in actor_types' }),
+      admin_roles: stringList({ description: 'Keys in actor_types' }),
+    }),
+    skills: array(object({
+      id: nonEmptyString(),
+      role: enumOf(SKILL_ROLES, { description: 'gateway: entry point (identity, routing); worker: does the work; orchestrator: coordinates; approval: authorizes' }),
+    }, { required: ['id'] })),
+    grants: array(object({
+      key: nonEmptyString(),
+      description: string(),
+      issued_by: stringList({ description: 'Skill ids' }),
+      consumed_by: stringList({ description: 'Skill ids' }),
+      internal: boolean(),
+    }, { required: ['key'] })),
+    handoffs: array(object({
+      id: nonEmptyString(),
+      from: nonEmptyString({ description: 'Skill id' }),
+      to: nonEmptyString({ description: 'Skill id' }),
+      trigger: string(),
+      mechanism: string(),
+      grants_passed: stringList({ description: 'Grant keys' }),
+    }, { required: ['id', 'from', 'to'] })),
+    routing: {
+      type: 'object',
+      description: 'Channel (api, email, slack, voice, …) → routing rule',
+      additionalProperties: object({ default_skill: string({ description: 'Skill id' }) }),
+    },
+    platform_connectors: array(connectorRef()),
+    solution_connectors: array(connectorRef()),
+    security_contracts: array(object({
+      name: nonEmptyString(),
+      consumer: string({ description: 'Skill id' }),
+      provider: string({ description: 'Skill id' }),
+      requires_grants: stringList(),
+    }, { required: ['name'] })),
+    ui_plugins: array(object({
+      id: nonEmptyString(),
+      connector_id: string(),
+      surface: object({
+        type: enumOf(SURFACE_TYPES),
+        visibility: enumOf(SURFACE_VISIBILITY),
+        placement: enumOf(SURFACE_PLACEMENT),
+      }, { required: ['type'] }),
+    }, { required: ['id'] })),
+    functional_connectors: array(object({
+      id: string({ pattern: FUNCTIONAL_CONNECTOR_ID_PATTERN.source }),
+      name: nonEmptyString(),
+      module: string({ pattern: FUNCTIONAL_CONNECTOR_MODULE_PATTERN.source, description: 'NPM package path, e.g. "@mobile-pa/device-bridge"' }),
+      type: enumOf(FUNCTIONAL_CONNECTOR_TYPES),
+      permissions: array(enumOf(FUNCTIONAL_CONNECTOR_PERMISSIONS)),
+      autoStart: boolean(),
+      backgroundSync: boolean(),
+    }, { required: ['id', 'name', 'module'] })),
+    voice: object({
+      enabled: boolean(),
+      verification: object({
+        method: enumOf(VOICE_VERIFICATION_METHODS),
+        onFailure: enumOf(VOICE_ON_FAILURE_ACTIONS),
+        maxAttempts: number({ minimum: 1, maximum: VOICE_MAX_ATTEMPTS }),
+        securityQuestion: object({
+          question: nonEmptyString(),
+          answer: nonEmptyString(),
+          answerMatchMode: enumOf(VOICE_ANSWER_MATCH_MODES),
+        }),
+        customSkill: object({ skillSlug: nonEmptyString({ description: 'Skill id' }) }),
+      }, {
+        allOf: [
+          {
+            if: { properties: { method: { const: 'security_question' } }, required: ['method'] },
+            then: { required: ['securityQuestion'], properties: { securityQuestion: { required: ['question', 'answer'] } } },
+          },
+          {
+            if: { properties: { method: { const: 'custom_skill' } }, required: ['method'] },
+            then: { required: ['customSkill'], properties: { customSkill: { required: ['skillSlug'] } } },
+          },
+        ],
+      }),
+      skillOverrides: array(object({ slug: string({ description: 'Skill id' }) })),
+    }),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DOCUMENTS
+// ═══════════════════════════════════════════════════════════════
+
+function document(name, title, description, body, baseUrl) {
+  return {
+    $schema: DRAFT,
+    ...(baseUrl && { $id: `${baseUrl}/${name}` }),
+    title,
+    description,
+    ...body,
+  };
+}
+
+/**
+ * Build a JSON Schema document.
+ *
+ * @param {'skill'|'solution'|'connector'|'trigger'} name - One of SCHEMA_NAMES
+ * @param {Object} [opts]
+ * @param {string} [opts.baseUrl] - Absolute URL of /spec/schema; sets $id
+ * @returns {Object} Draft 2020-12 schema
+ */
+export function buildJsonSchema(name, { baseUrl } = {}) {
+  switch (name) {
+    case 'skill':
+      return describeFromCoverage(document('skill', 'A-Team Skill', 'A skill definition (DraftSkill) as stored in skills/<id>/skill.json', {
+        ...object(skillProperties(), { required: ['id', 'name', 'phase', 'problem', 'role', 'intents', 'engine', 'policy'] }),
+        $defs: { tool: toolSchema(), trigger: triggerSchema() },
+      }, baseUrl));
+    case 'solution':
+      return document('solution', 'A-Team Solution', 'A solution definition as stored in solution.json: skills, grants, handoffs, routing and connectors',
+        object(solutionProperties(), { required: ['id'] }), baseUrl);
+    case 'connector':
+      return document('connector', 'A-Team Connector', 'An MCP connector definition, as in the connectors array of POST /deploy/solution',
+        connectorSchema(), baseUrl);
+    case 'trigger':
+      return document('trigger', 'A-Team Skill Trigger', 'A schedule or event trigger (skill.triggers[])',
+        triggerSchema(), baseUrl);
+    default:
+      throw new Error(`Unknown schema "${name}". Use one of: ${SCHEMA_NAMES.join(', ')}`);
+  }
+}
@@ -9,7 +9,9 @@
  * The suggester maps error codes to deterministic, high-confidence
  * fixes. `suggested_fix: { path, replacement }` is added to each issue
  * the suggester understands. Deploy can auto-apply when
- * `auto_apply_fixes: true` AND confidence >= 0.9.
+ * `auto_apply_fixes: true` AND confidence >= 0.9. autofixSkill() loops
+ * validate → apply → re-validate for `POST /validate/skill?autofix=true`
+ * and `skill-validator --fix`.
  *
  * Pattern-based (not LLM) because:
  *   - Validation error codes are stable (INVALID_VERBOSITY,
@@ -27,42 +29,21 @@
  *   - <0.9: returns suggestion only, no auto-apply.
  */
 
-// Levenshtein distance for typo correction (small, no deps)
-function lev(a, b) {
-  const m = a.length, n = b.length;
-  if (!m) return n;
-  if (!n) return m;
-  const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
-  for (let i = 0; i <= m; i++) dp[i][0] = i;
-  for (let j = 0; j <= n; j++) dp[0][j] = j;
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      dp[i][j] = a[i - 1] === b[j - 1]
-        ? dp[i - 1][j - 1]
-        : 1 + Math.min(dp[i - 1][j - 1], dp[i - 1][j], dp[i][j - 1]);
-    }
-  }
-  return dp[m][n];
-}
+import { suggestRuleFix } from "../rules/index.js";
+import { closestMatch, parsePath, readPath } from "../rules/fixHelpers.js";
+import { validateDraftSkill } from "../validators/index.js";
 
-function closestMatch(value, allowed) {
-  if (!value || !Array.isArray(allowed) || allowed.length === 0) return null;
-  const lower = String(value).toLowerCase();
-  let best = null;
-  let bestDist = Infinity;
-  for (const cand of allowed) {
-    const d = lev(lower, String(cand).toLowerCase());
-    if (d < bestDist) { bestDist = d; best = cand; }
-  }
-  // Only suggest if the distance is small relative to the input
-  if (bestDist <= Math.max(2, Math.floor(lower.length / 2))) return best;
-  return null;
-}
+/** Fixes at or above this confidence are applied without asking */
+export const AUTO_APPLY_THRESHOLD = 0.9;
+
+/** Validate → fix rounds autofixSkill() runs before giving up */
+const MAX_AUTOFIX_PASSES = 5;
 
 // ─────────────────────────────────────────────────────────────────────
 // Rule table: error code → suggester function
 // Each function takes (issue, context) and returns
 //   { replacement, confidence, rationale } or null.
+// A `fix` hook on the code's registry rule (rules/) takes precedence.
 // ─────────────────────────────────────────────────────────────────────
 
 const SUGGESTERS = {
@@ -101,18 +82,6 @@ const SUGGESTERS = {
     };
   },
 
-  // ── scenario without title ──
-  MISSING_SCENARIO_TITLE: (issue, ctx) => {
-    // issue.path is "scenarios[N].title"; suggest a placeholder
-    const idx = /scenarios\[(\d+)\]/i.exec(issue.path || "");
-    const n = idx ? parseInt(idx[1], 10) + 1 : null;
-    return {
-      replacement: n ? `Scenario ${n}` : "Untitled scenario",
-      confidence: 0.9,
-      rationale: "Generic placeholder; author can refine",
-    };
-  },
-
   // ── intent missing examples ──
   MISSING_INTENT_EXAMPLES: (issue, ctx) => {
     // Suggest one generic example so the validator passes; author refines.
@@ -123,12 +92,6 @@ const SUGGESTERS = {
     };
   },
 
-  // ── INCOMPLETE_PROBLEM: empty or too-short problem statement ──
-  INCOMPLETE_PROBLEM: (issue, ctx) => {
-    // Don't auto-apply — this is a content gap the author has to fill.
-    return null;
-  },
-
   // ── unknown engine preset → suggest "standard" ──
   UNKNOWN_ENGINE_PRESET: (issue, ctx) => {
     return {
@@ -165,12 +128,13 @@ export function annotateWithFixes(validationResult, context = {}) {
 
   const annotate = (issue) => {
     if (!issue?.code) return issue;
+    const ruleFix = suggestRuleFix(issue, context);
     const suggester = SUGGESTERS[issue.code];
-    if (!suggester) return issue;
-    const result = suggester(issue, context);
+    if (ruleFix === undefined && !suggester) return issue;
+    const result = ruleFix !== undefined ? ruleFix : suggester(issue, context);
     if (!result) return issue;
     offered++;
-    if (result.confidence >= 0.9) autoable++;
+    if (result.confidence >= AUTO_APPLY_THRESHOLD) autoable++;
     return {
       ...issue,
       suggested_fix: {
@@ -211,16 +175,10 @@ export function annotateWithFixes(validationResult, context = {}) {
 export function applyFix(target, path, replacement) {
   if (!target || typeof target !== "object") return target;
   if (!path || typeof path !== "string") return target;
-  const clone = JSON.parse(JSON.stringify(target));
   // Parse path: "scenarios[0].title" → ["scenarios", 0, "title"]
-  const segments = [];
-  const re = /([^.[\]]+)|\[(\d+)\]/g;
-  let m;
-  while ((m = re.exec(path)) !== null) {
-    if (m[1]) segments.push(m[1]);
-    else if (m[2]) segments.push(parseInt(m[2], 10));
-  }
+  const segments = parsePath(path);
   if (segments.length === 0) return target;
+  const clone = JSON.parse(JSON.stringify(target));
 
   let cur = clone;
   for (let i = 0; i < segments.length - 1; i++) {
@@ -233,14 +191,18 @@ export function applyFix(target, path, replacement) {
 }
 
 /**
- * Auto-apply all high-confidence (>=0.9) fixes from an annotated
- * validation result. Returns the patched target + summary.
+ * Auto-apply all high-confidence fixes from an annotated validation
+ * result. Returns the patched target + summary. Fixes that would not
+ * change the value are skipped, so re-running on the same result is a
+ * no-op.
  *
  * @param {Object} target            object to patch (e.g., a skill)
  * @param {Object} annotatedResult   output of annotateWithFixes
+ * @param {Object} [opts]
+ * @param {number} [opts.threshold=AUTO_APPLY_THRESHOLD] minimum confidence to apply
  * @returns {{ target: Object, applied: Array, skipped: Array }}
  */
-export function autoApplyHighConfidenceFixes(target, annotatedResult) {
+export function autoApplyHighConfidenceFixes(target, annotatedResult, { threshold = AUTO_APPLY_THRESHOLD } = {}) {
   let patched = target;
   const applied = [];
   const skipped = [];
@@ -248,13 +210,25 @@ export function autoApplyHighConfidenceFixes(target, annotatedResult) {
   const consider = (issue) => {
     const fix = issue?.suggested_fix;
     if (!fix) return;
-    if (fix.confidence < 0.9) {
+    if (fix.confidence < threshold) {
       skipped.push({ code: issue.code, path: fix.path, reason: "low_confidence" });
       return;
     }
+    const from = readPath(patched, fix.path);
+    if (JSON.stringify(from) === JSON.stringify(fix.replacement)) {
+      skipped.push({ code: issue.code, path: fix.path, reason: "no_change" });
+      return;
+    }
     try {
       patched = applyFix(patched, fix.path, fix.replacement);
-      applied.push({ code: issue.code, path: fix.path, replacement: fix.replacement });
+      applied.push({
+        code: issue.code,
+        path: fix.path,
+        from,
+        replacement: fix.replacement,
+        confidence: fix.confidence,
+        rationale: fix.rationale,
+      });
     } catch (err) {
       skipped.push({ code: issue.code, path: fix.path, reason: `apply_error: ${err.message}` });
     }
@@ -266,8 +240,56 @@ export function autoApplyHighConfidenceFixes(target, annotatedResult) {
   return { target: patched, applied, skipped };
 }
 
+/**
+ * Validate a skill, apply every fix at or above the threshold and
+ * re-validate, until a pass applies nothing (or maxPasses is reached).
+ * The input skill is not modified.
+ *
+ * @param {Object} skill - DraftSkill
+ * @param {Object} [opts]
+ * @param {number} [opts.threshold=AUTO_APPLY_THRESHOLD]
+ * @param {number} [opts.maxPasses=5]
+ * @returns {{
+ *   skill: Object,     // patched skill
+ *   result: Object,    // annotated validation result of the patched skill
+ *   changes: Array<{ pass: number, code: string, path: string, from: *, to: *, confidence: number, rationale: string }>,
+ *   passes: number,    // passes that applied at least one fix
+ * }}
+ */
+export function autofixSkill(skill, { threshold = AUTO_APPLY_THRESHOLD, maxPasses = MAX_AUTOFIX_PASSES } = {}) {
+  // validateDraftSkill writes *_resolved flags, so it only ever sees copies
+  const validate = (s) => annotateWithFixes(validateDraftSkill(JSON.parse(JSON.stringify(s))), s);
+
+  let current = JSON.parse(JSON.stringify(skill));
+  let result = validate(current);
+  const changes = [];
+  let passes = 0;
+
+  while (passes < maxPasses) {
+    const { target, applied } = autoApplyHighConfidenceFixes(current, result, { threshold });
+    if (applied.length === 0) break;
+    passes++;
+    for (const fix of applied) {
+      changes.push({
+        pass: passes,
+        code: fix.code,
+        path: fix.path,
+        from: fix.from,
+        to: fix.replacement,
+        confidence: fix.confidence,
+        rationale: fix.rationale,
+      });
+    }
+    current = target;
+    result = validate(current);
+  }
+
+  return { skill: current, result, changes, passes };
+}
+
 export default {
   annotateWithFixes,
   applyFix,
   autoApplyHighConfidenceFixes,
+  autofixSkill,
 };
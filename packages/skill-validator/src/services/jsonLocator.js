@@ -0,0 +1,125 @@
+/**
+ * JSON Locator - map validation issue paths to line/column positions
+ *
+ * Issue paths use the validator's notation ("tools[0].output.type"). The
+ * CLI's SARIF / JUnit output needs file positions for them, which
+ * JSON.parse() does not keep, so this scans the source text once and
+ * records where each value (or, for object members, its key) starts.
+ *
+ * The text is expected to be valid JSON (the caller has already parsed it).
+ *
+ * @module services/jsonLocator
+ */
+
+/**
+ * @typedef {Object} JsonPosition
+ * @property {number} line - 1-based
+ * @property {number} column - 1-based
+ */
+
+/**
+ * Record the position of every path in a JSON document.
+ *
+ * @param {string} text - JSON source
+ * @returns {Map<string, JsonPosition>} path → position ('' is the root value)
+ */
+export function locateJsonPaths(text) {
+  const positions = new Map();
+  let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = () => {
+    if (text[i] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    i++;
+  };
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) advance();
+  };
+  const readString = () => {
+    const start = i;
+    advance(); // opening quote
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\\') advance();
+      advance();
+    }
+    advance(); // closing quote
+    return JSON.parse(text.slice(start, i));
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    positions.set(path, { line, column });
+    const ch = text[i];
+
+    if (ch === '{') {
+      advance();
+      skipWhitespace();
+      while (i < text.length && text[i] !== '}') {
+        const keyPosition = { line, column };
+        const key = readString();
+        skipWhitespace();
+        advance(); // ':'
+        const childPath = path ? `${path}.${key}` : key;
+        readValue(childPath);
+        // Point members at their key — the line a reader looks for
+        positions.set(childPath, keyPosition);
+        skipWhitespace();
+        if (text[i] === ',') advance();
+        skipWhitespace();
+      }
+      advance();
+      return;
+    }
+
+    if (ch === '[') {
+      advance();
+      skipWhitespace();
+      let index = 0;
+      while (i < text.length && text[i] !== ']') {
+        readValue(`${path}[${index++}]`);
+        skipWhitespace();
+        if (text[i] === ',') advance();
+        skipWhitespace();
+      }
+      advance();
+      return;
+    }
+
+    if (ch === '"') {
+      readString();
+      return;
+    }
+
+    // number / true / false / null
+    while (i < text.length && !/[\s,\]}]/.test(text[i])) advance();
+  };
+
+  readValue('');
+  return positions;
+}
+
+/**
+ * Position of an issue path. Paths that do not exist in the document
+ * (missing fields) resolve to their closest existing parent.
+ *
+ * @param {Map<string, JsonPosition>} positions - From locateJsonPaths()
+ * @param {string} [path]
+ * @returns {JsonPosition}
+ */
+export function findPosition(positions, path) {
+  let current = path || '';
+  while (current) {
+    const found = positions.get(current);
+    if (found) return found;
+    const parent = current.replace(/(\.[^.[\]]+|\[\d+\]|^[^.[\]]+)$/, '');
+    if (parent === current) break;
+    current = parent;
+  }
+  return positions.get('') || { line: 1, column: 1 };
+}
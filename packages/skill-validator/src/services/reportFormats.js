@@ -0,0 +1,153 @@
+/**
+ * Report Formats - SARIF and JUnit XML for skill-validator results
+ *
+ * Both take the FileReports of validateSkillFile / validateSolutionDir
+ * (issues carrying line and column, and file when it is not the report's):
+ *   - SARIF 2.1.0 for code-scanning UIs (e.g. inline pull request annotations)
+ *   - JUnit XML for CI test reporters: one suite per file, one failing
+ *     test case per error; warnings go to the suite's system-out
+ *
+ * @module services/reportFormats
+ */
+
+import { isAbsolute, relative, resolve, sep } from 'path';
+import { pathToFileURL } from 'url';
+import { getRule } from '../rules/index.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/** uriBaseId of artifact locations relative to the validated root */
+const SRCROOT = '%SRCROOT%';
+
+/**
+ * SARIF artifact location of a file: relative to root (forward slashes)
+ * with the %SRCROOT% base, or an absolute file URI when outside root.
+ */
+function toArtifactLocation(file, root) {
+  const rel = relative(resolve(root), resolve(file));
+  if (rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) return { uri: pathToFileURL(resolve(file)).href };
+  return { uri: rel.split(sep).join('/'), uriBaseId: SRCROOT };
+}
+
+function issueText(issue) {
+  return issue.suggestion ? `${issue.message} ${issue.suggestion}` : issue.message;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SARIF
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @param {import('./solutionDir.js').FileReport[]} files
+ * @param {Object} [opts]
+ * @param {string} [opts.version] - Tool version for the SARIF driver
+ * @param {string} [opts.root=process.cwd()] - Validated root; artifact URIs are relative to it
+ * @returns {Object} SARIF log
+ */
+export function toSarif(files, { version, root = process.cwd() } = {}) {
+  const rules = new Map();
+  const results = [];
+
+  for (const file of files) {
+    for (const issue of [...file.errors, ...file.warnings]) {
+      const level = issue.severity === 'error' ? 'error' : issue.severity === 'warning' ? 'warning' : 'note';
+      if (!rules.has(issue.code)) {
+        const description = getRule(issue.code)?.message;
+        rules.set(issue.code, {
+          id: issue.code,
+          ...(description && { shortDescription: { text: description } }),
+          defaultConfiguration: { level },
+        });
+      }
+      results.push({
+        ruleId: issue.code,
+        level,
+        message: { text: issueText(issue) },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: toArtifactLocation(issue.file || file.file, root),
+            region: { startLine: issue.line, startColumn: issue.column },
+          },
+        }],
+        ...(issue.path && { properties: { path: issue.path } }),
+      });
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'skill-validator',
+          ...(version && { version }),
+          rules: [...rules.values()],
+        },
+      },
+      originalUriBaseIds: { [SRCROOT]: { uri: pathToFileURL(resolve(root)).href.replace(/\/?$/, '/') } },
+      results,
+    }],
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// JUNIT
+// ═══════════════════════════════════════════════════════════════
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * @param {import('./solutionDir.js').FileReport[]} files
+ * @returns {string} JUnit XML document
+ */
+export function toJUnit(files) {
+  const lines = [];
+  let tests = 0;
+  let failures = 0;
+  const suites = [];
+
+  for (const file of files) {
+    const cases = file.errors.length > 0
+      ? file.errors.map(issue => ({
+        name: `[${issue.code}] ${issue.path || file.kind}`,
+        failure: issue,
+      }))
+      : [{ name: 'valid' }];
+    tests += cases.length;
+    failures += file.errors.length;
+
+    const suite = [];
+    suite.push(`  <testsuite name="${escapeXml(file.file)}" tests="${cases.length}" failures="${file.errors.length}" errors="0" skipped="0">`);
+    for (const c of cases) {
+      const open = `    <testcase classname="${escapeXml(file.file)}" name="${escapeXml(c.name)}"`;
+      if (!c.failure) {
+        suite.push(`${open}/>`);
+        continue;
+      }
+      const issue = c.failure;
+      suite.push(`${open}>`);
+      suite.push(`      <failure type="${escapeXml(issue.code)}" message="${escapeXml(issue.message)}">${escapeXml(`${issue.file || file.file}:${issue.line}:${issue.column} ${issueText(issue)}`)}</failure>`);
+      suite.push('    </testcase>');
+    }
+    if (file.warnings.length > 0) {
+      const text = file.warnings.map(w => `${w.file || file.file}:${w.line}:${w.column} warning [${w.code}] ${issueText(w)}`).join('\n');
+      suite.push(`    <system-out>${escapeXml(text)}</system-out>`);
+    }
+    suite.push('  </testsuite>');
+    suites.push(...suite);
+  }
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<testsuites name="skill-validator" tests="${tests}" failures="${failures}">`);
+  lines.push(...suites);
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
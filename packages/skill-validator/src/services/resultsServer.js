@@ -0,0 +1,120 @@
+/**
+ * Results Server - local HTTP endpoint for `skill-validator --watch --serve`
+ *
+ * Lets editors poll the watch session instead of parsing CLI output:
+ *
+ * GET /results?since=N  — All file reports; { version, changed: false } when nothing changed since N
+ * GET /changes          — Fixed and new issues of the last update
+ * GET /diagnostics      — LSP PublishDiagnosticsParams per file (0-based ranges)
+ * GET /health           — Health check
+ *
+ * Binds to 127.0.0.1 only and sends no CORS headers — results name local
+ * files and their issues, which web pages should not be able to read.
+ *
+ * @module services/resultsServer
+ */
+
+import { createServer } from 'http';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+/** Port used when --serve is given without one */
+export const DEFAULT_RESULTS_PORT = 4781;
+
+/** LSP DiagnosticSeverity */
+const LSP_SEVERITY = { error: 1, warning: 2, info: 3 };
+
+function summarize(files) {
+  return {
+    files: files.length,
+    valid: files.every(f => f.valid),
+    errors: files.reduce((n, f) => n + f.errors.length, 0),
+    warnings: files.reduce((n, f) => n + f.warnings.length, 0),
+  };
+}
+
+/**
+ * LSP diagnostics for a file report. Positions are 1-based in reports and
+ * 0-based in LSP; the range covers the start of the located key/value.
+ */
+export function toDiagnostics(file, version) {
+  return {
+    uri: pathToFileURL(resolve(file.file)).href,
+    version,
+    diagnostics: [...file.errors, ...file.warnings].map(issue => {
+      const start = { line: issue.line - 1, character: issue.column - 1 };
+      return {
+        range: { start, end: start },
+        severity: LSP_SEVERITY[issue.severity] || LSP_SEVERITY.info,
+        code: issue.code,
+        source: 'skill-validator',
+        message: issue.suggestion ? `${issue.message}\n${issue.suggestion}` : issue.message,
+      };
+    }),
+  };
+}
+
+/**
+ * Diagnostics for every file, with issues that carry their own file (e.g.
+ * cross-skill errors located in a skill file) published under that file.
+ */
+function diagnosticsByFile(files, version) {
+  const byFile = new Map(files.map(f => [f.file, { file: f.file, errors: [], warnings: [] }]));
+  for (const file of files) {
+    for (const key of ['errors', 'warnings']) {
+      for (const issue of file[key]) {
+        const target = issue.file || file.file;
+        if (!byFile.has(target)) byFile.set(target, { file: target, errors: [], warnings: [] });
+        byFile.get(target)[key].push(issue);
+      }
+    }
+  }
+  return [...byFile.values()].map(file => toDiagnostics(file, version));
+}
+
+/**
+ * Serve a validation session's results.
+ *
+ * @param {ReturnType<import('./validationSession.js').createValidationSession>} session
+ * @param {Object} [opts]
+ * @param {number} [opts.port=DEFAULT_RESULTS_PORT] - 0 picks a free port
+ * @param {string} [opts.host='127.0.0.1']
+ * @returns {import('http').Server} Listening server
+ */
+export function startResultsServer(session, { port = DEFAULT_RESULTS_PORT, host = '127.0.0.1' } = {}) {
+  const server = createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'GET') return send(405, { error: 'Only GET is supported' });
+    const url = new URL(req.url, `http://${req.headers.host || host}`);
+    const { version } = session;
+
+    switch (url.pathname) {
+      case '/health':
+        return send(200, { ok: true, service: 'skill-validator --watch', version });
+
+      case '/results': {
+        const since = url.searchParams.get('since');
+        if (since !== null && !/^\d+$/.test(since)) return send(400, { error: 'since must be a version number' });
+        if (since !== null && Number(since) >= version) return send(200, { version, changed: false });
+        const files = session.files();
+        return send(200, { version, changed: true, summary: summarize(files), files });
+      }
+
+      case '/changes':
+        return send(200, session.lastUpdate || { version, revalidated: [], fixed: [], new: [] });
+
+      case '/diagnostics':
+        return send(200, diagnosticsByFile(session.files(), version));
+
+      default:
+        return send(404, { error: `Unknown endpoint ${url.pathname}` });
+    }
+  });
+
+  server.listen(port, host);
+  return server;
+}
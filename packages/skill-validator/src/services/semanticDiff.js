@@ -0,0 +1,517 @@
+/**
+ * Semantic diff of skills and solutions.
+ *
+ * Compares two versions of a DraftSkill (or a solution) the way a reviewer
+ * reads them: tools added, removed or renamed (matched by id), tool inputs
+ * retyped, intents and their examples, policy and access_policy rules,
+ * engine parameters. Each change carries a one-line message such as
+ *
+ *   access_policy rule for orders.get changed from allow to constrain
+ *
+ * so the Builder can show a short list before promote or redeploy instead
+ * of a whole-object JSON diff. Bookkeeping fields (timestamps, deploy state,
+ * conversation, validation, tool mocks) are ignored.
+ *
+ * The module is pure — callers load both sides (Builder FS, Core, a git ref)
+ * and pass the parsed objects.
+ */
+
+/**
+ * @typedef {Object} SemanticChange
+ * @property {string} category - skill | tools | intents | policy | access_policy | engine | triggers | solution
+ * @property {'added'|'removed'|'renamed'|'changed'} kind
+ * @property {string} path - Field path with id-keyed list items, e.g. "tools[get_order].inputs[order_id].type"
+ * @property {string} message - Human-readable one-liner
+ * @property {*} [before]
+ * @property {*} [after]
+ */
+
+/**
+ * @typedef {Object} SemanticDiff
+ * @property {boolean} changed
+ * @property {SemanticChange[]} changes
+ * @property {Object<string, number>} counts - Changes per category
+ * @property {string} summary - One line, e.g. "3 changes: 2 tools, 1 access policy"
+ */
+
+export const CATEGORY_LABELS = {
+  skill: 'skill',
+  tools: 'tools',
+  intents: 'intents',
+  policy: 'policy',
+  access_policy: 'access policy',
+  engine: 'engine',
+  triggers: 'triggers',
+  solution: 'solution',
+};
+
+const IGNORED_FIELDS = new Set([
+  'created_at',
+  'updated_at',
+  'last_modified_at',
+  'last_save_at',
+  'deployedAt',
+  'lastExportedAt',
+  'lastDeployedAt',
+  'lastValidatedAt',
+  'lastExportType',
+  'mcpUri',
+  'deployedTo',
+  'phase',
+  'validation',
+  'conversation',
+  'messages',
+  'maps_to_workflow_resolved',
+]);
+
+// Design-time tool state: the runtime never sees it
+const IGNORED_TOOL_FIELDS = new Set(['mock', 'mock_status']);
+
+// Skill fields with dedicated handlers below
+const SKILL_SECTIONS = new Set(['tools', 'intents', 'policy', 'access_policy', 'engine', 'triggers']);
+
+// ═══════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (!isObject(a) || !isObject(b)) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => isEqual(a[key], b[key]));
+}
+
+/** Render a value for a message: bare scalars, truncated JSON otherwise. */
+export function formatValue(value) {
+  if (value === undefined || value === null) return 'none';
+  if (typeof value === 'string') return value.length > 60 ? `"${value.slice(0, 57)}…"` : value;
+  if (typeof value !== 'object') return String(value);
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Pair list items by key. Items without a key are paired by position.
+ * @returns {{ added: Array, removed: Array, both: Array<[*, *]> }}
+ */
+function matchBy(before = [], after = [], keyOf) {
+  const list = (items) => (Array.isArray(items) ? items : []);
+  const afterByKey = new Map();
+  list(after).forEach((item, i) => afterByKey.set(keyOf(item) ?? `#${i}`, item));
+  const seen = new Set();
+  const result = { added: [], removed: [], both: [] };
+  list(before).forEach((item, i) => {
+    const key = keyOf(item) ?? `#${i}`;
+    if (afterByKey.has(key)) {
+      result.both.push([item, afterByKey.get(key), key]);
+      seen.add(key);
+    } else {
+      result.removed.push([item, key]);
+    }
+  });
+  for (const [key, item] of afterByKey) {
+    if (!seen.has(key)) result.added.push([item, key]);
+  }
+  return result;
+}
+
+/** Flatten an object to leaf paths; arrays are leaves. */
+function leaves(value, prefix, out = new Map()) {
+  if (isObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      if (!IGNORED_FIELDS.has(key)) leaves(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (value !== undefined) {
+    out.set(prefix, value);
+  }
+  return out;
+}
+
+/** One "changed" entry per differing leaf under before/after. */
+function diffLeaves(changes, category, prefix, before, after, describe) {
+  const a = leaves(before, prefix);
+  const b = leaves(after, prefix);
+  for (const path of new Set([...a.keys(), ...b.keys()])) {
+    if (isEqual(a.get(path), b.get(path))) continue;
+    const from = a.get(path);
+    const to = b.get(path);
+    const kind = from === undefined ? 'added' : to === undefined ? 'removed' : 'changed';
+    changes.push({ category, kind, path, before: from, after: to, message: describe(path, from, to, kind) });
+  }
+}
+
+function describeValueChange(label, from, to, kind) {
+  if (kind === 'added') return `${label} set to ${formatValue(to)}`;
+  if (kind === 'removed') return `${label} removed (was ${formatValue(from)})`;
+  return `${label} changed from ${formatValue(from)} to ${formatValue(to)}`;
+}
+
+/** Added / removed entries of a list of strings. */
+function diffStringList(changes, category, path, label, before = [], after = []) {
+  const a = new Set(Array.isArray(before) ? before : []);
+  const b = new Set(Array.isArray(after) ? after : []);
+  for (const item of b) {
+    if (!a.has(item)) changes.push({ category, kind: 'added', path, after: item, message: `${label} added: ${formatValue(item)}` });
+  }
+  for (const item of a) {
+    if (!b.has(item)) changes.push({ category, kind: 'removed', path, before: item, message: `${label} removed: ${formatValue(item)}` });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TOOLS
+// ═══════════════════════════════════════════════════════════════
+
+function normalizeType(type) {
+  return type === 'text' ? 'string' : type === 'integer' ? 'number' : type || 'string';
+}
+
+function diffToolInputsList(changes, toolPath, toolLabel, before = [], after = []) {
+  const { added, removed, both } = matchBy(before, after, input => input?.name);
+
+  for (const [input, name] of added) {
+    changes.push({
+      category: 'tools', kind: 'added', path: `${toolPath}.inputs[${name}]`, after: input,
+      message: `Tool ${toolLabel}: ${input.required ? 'required' : 'optional'} input ${name} (${normalizeType(input.type)}) added`,
+    });
+  }
+  for (const [input, name] of removed) {
+    changes.push({
+      category: 'tools', kind: 'removed', path: `${toolPath}.inputs[${name}]`, before: input,
+      message: `Tool ${toolLabel}: input ${name} removed`,
+    });
+  }
+  for (const [a, b, name] of both) {
+    const path = `${toolPath}.inputs[${name}]`;
+    if (normalizeType(a.type) !== normalizeType(b.type)) {
+      changes.push({
+        category: 'tools', kind: 'changed', path: `${path}.type`, before: a.type, after: b.type,
+        message: `Tool ${toolLabel}: input ${name} type changed from ${normalizeType(a.type)} to ${normalizeType(b.type)}`,
+      });
+    }
+    if (!!a.required !== !!b.required) {
+      changes.push({
+        category: 'tools', kind: 'changed', path: `${path}.required`, before: !!a.required, after: !!b.required,
+        message: `Tool ${toolLabel}: input ${name} is now ${b.required ? 'required' : 'optional'}`,
+      });
+    }
+    for (const field of ['description', 'default', 'enum']) {
+      if (!isEqual(a[field], b[field])) {
+        changes.push({
+          category: 'tools', kind: 'changed', path: `${path}.${field}`, before: a[field], after: b[field],
+          message: describeValueChange(`Tool ${toolLabel}: input ${name} ${field}`, a[field], b[field], a[field] === undefined ? 'added' : b[field] === undefined ? 'removed' : 'changed'),
+        });
+      }
+    }
+  }
+}
+
+function diffTool(changes, a, b, key) {
+  const path = `tools[${key}]`;
+  const label = b.name || key;
+
+  if (a.name !== b.name) {
+    changes.push({
+      category: 'tools', kind: 'renamed', path: `${path}.name`, before: a.name, after: b.name,
+      message: `Tool ${a.name || key} renamed to ${b.name}`,
+    });
+  }
+  diffToolInputsList(changes, path, label, a.inputs, b.inputs);
+
+  const rest = (tool) => Object.fromEntries(Object.entries(tool).filter(([field]) => (
+    !['id', 'name', 'inputs'].includes(field) && !IGNORED_TOOL_FIELDS.has(field)
+  )));
+  diffLeaves(changes, 'tools', path, rest(a), rest(b), (leaf, from, to, kind) => (
+    describeValueChange(`Tool ${label}: ${leaf.slice(path.length + 1)}`, from, to, kind)
+  ));
+}
+
+function diffTools(changes, before, after) {
+  const { added, removed, both } = matchBy(before, after, tool => tool?.id || tool?.name);
+  for (const [tool, key] of added) {
+    const inputs = (tool.inputs || []).length;
+    changes.push({
+      category: 'tools', kind: 'added', path: `tools[${key}]`, after: tool,
+      message: `Tool ${tool.name || key} added${inputs ? ` (${plural(inputs, 'input')})` : ''}`,
+    });
+  }
+  for (const [tool, key] of removed) {
+    changes.push({ category: 'tools', kind: 'removed', path: `tools[${key}]`, before: tool, message: `Tool ${tool.name || key} removed` });
+  }
+  for (const [a, b, key] of both) diffTool(changes, a, b, key);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// INTENTS
+// ═══════════════════════════════════════════════════════════════
+
+function diffIntents(changes, before = {}, after = {}) {
+  const { added, removed, both } = matchBy(before?.supported, after?.supported, intent => intent?.id);
+  for (const [intent, key] of added) {
+    const examples = (intent.examples || []).length;
+    changes.push({
+      category: 'intents', kind: 'added', path: `intents.supported[${key}]`, after: intent,
+      message: `Intent ${key} added${examples ? ` with ${plural(examples, 'example')}` : ''}`,
+    });
+  }
+  for (const [intent, key] of removed) {
+    changes.push({ category: 'intents', kind: 'removed', path: `intents.supported[${key}]`, before: intent, message: `Intent ${key} removed` });
+  }
+  for (const [a, b, key] of both) {
+    const path = `intents.supported[${key}]`;
+    const examplesBefore = new Set(a.examples || []);
+    const examplesAfter = new Set(b.examples || []);
+    const addedExamples = [...examplesAfter].filter(e => !examplesBefore.has(e));
+    const removedExamples = [...examplesBefore].filter(e => !examplesAfter.has(e));
+    if (addedExamples.length || removedExamples.length) {
+      const parts = [
+        addedExamples.length && `${addedExamples.length} added`,
+        removedExamples.length && `${removedExamples.length} removed`,
+      ].filter(Boolean);
+      changes.push({
+        category: 'intents', kind: 'changed', path: `${path}.examples`,
+        before: removedExamples, after: addedExamples,
+        message: `Intent ${key}: examples ${parts.join(', ')}`,
+      });
+    }
+    const rest = (intent) => Object.fromEntries(Object.entries(intent).filter(([field]) => !['id', 'examples'].includes(field)));
+    diffLeaves(changes, 'intents', path, rest(a), rest(b), (leaf, from, to, kind) => (
+      describeValueChange(`Intent ${key}: ${leaf.slice(path.length + 1)}`, from, to, kind)
+    ));
+  }
+
+  const rest = (intents) => Object.fromEntries(Object.entries(intents || {}).filter(([field]) => field !== 'supported'));
+  diffLeaves(changes, 'intents', 'intents', rest(before), rest(after), (leaf, from, to, kind) => describeValueChange(leaf, from, to, kind));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// POLICY
+// ═══════════════════════════════════════════════════════════════
+
+function diffKeyedList(changes, category, listPath, noun, before, after, keyOf, labelOf = (item, key) => key) {
+  const { added, removed, both } = matchBy(before, after, keyOf);
+  for (const [item, key] of added) {
+    changes.push({ category, kind: 'added', path: `${listPath}[${key}]`, after: item, message: `${noun} ${labelOf(item, key)} added` });
+  }
+  for (const [item, key] of removed) {
+    changes.push({ category, kind: 'removed', path: `${listPath}[${key}]`, before: item, message: `${noun} ${labelOf(item, key)} removed` });
+  }
+  for (const [a, b, key] of both) {
+    const path = `${listPath}[${key}]`;
+    diffLeaves(changes, category, path, a, b, (leaf, from, to, kind) => (
+      describeValueChange(`${noun} ${labelOf(b, key)}: ${leaf.slice(path.length + 1)}`, from, to, kind)
+    ));
+  }
+}
+
+function diffPolicy(changes, before = {}, after = {}) {
+  diffStringList(changes, 'policy', 'policy.guardrails.never', 'Guardrail (never)', before?.guardrails?.never, after?.guardrails?.never);
+  diffStringList(changes, 'policy', 'policy.guardrails.always', 'Guardrail (always)', before?.guardrails?.always, after?.guardrails?.always);
+  diffStringList(changes, 'policy', 'policy.access.requires_roles', 'Required role', before?.access?.requires_roles, after?.access?.requires_roles);
+  diffKeyedList(changes, 'policy', 'policy.workflows', 'Workflow', before?.workflows, after?.workflows, wf => wf?.id);
+  diffKeyedList(changes, 'policy', 'policy.approvals', 'Approval', before?.approvals, after?.approvals, approval => approval?.id,
+    (approval, key) => (approval.tool_id ? `${key} (${approval.tool_id})` : key));
+
+  const rest = (policy) => Object.fromEntries(Object.entries(policy || {}).filter(([field]) => (
+    !['guardrails', 'access', 'workflows', 'approvals'].includes(field)
+  )));
+  diffLeaves(changes, 'policy', 'policy', rest(before), rest(after), (leaf, from, to, kind) => describeValueChange(leaf, from, to, kind));
+}
+
+/** access_policy rules have no ids — a rule is identified by the tools it covers. */
+function ruleKey(rule) {
+  const tools = Array.isArray(rule?.tools) ? rule.tools : rule?.tools ? [rule.tools] : [];
+  return tools.length ? [...tools].sort().join(', ') : undefined;
+}
+
+function diffAccessPolicy(changes, before = {}, after = {}) {
+  if (!isEqual(before?.default_effect, after?.default_effect)) {
+    changes.push({
+      category: 'access_policy', kind: 'changed', path: 'access_policy.default_effect',
+      before: before?.default_effect, after: after?.default_effect,
+      message: describeValueChange('access_policy default effect', before?.default_effect, after?.default_effect, 'changed'),
+    });
+  }
+
+  const { added, removed, both } = matchBy(before?.rules, after?.rules, ruleKey);
+  for (const [rule, key] of added) {
+    changes.push({
+      category: 'access_policy', kind: 'added', path: `access_policy.rules[${key}]`, after: rule,
+      message: `access_policy rule for ${key} added (${rule.effect || 'allow'})`,
+    });
+  }
+  for (const [rule, key] of removed) {
+    changes.push({
+      category: 'access_policy', kind: 'removed', path: `access_policy.rules[${key}]`, before: rule,
+      message: `access_policy rule for ${key} removed (was ${rule.effect || 'allow'})`,
+    });
+  }
+  for (const [a, b, key] of both) {
+    const path = `access_policy.rules[${key}]`;
+    if (a.effect !== b.effect) {
+      changes.push({
+        category: 'access_policy', kind: 'changed', path: `${path}.effect`, before: a.effect, after: b.effect,
+        message: `access_policy rule for ${key} changed from ${a.effect || 'allow'} to ${b.effect || 'allow'}`,
+      });
+    }
+    const rest = (rule) => Object.fromEntries(Object.entries(rule).filter(([field]) => !['tools', 'effect'].includes(field)));
+    diffLeaves(changes, 'access_policy', path, rest(a), rest(b), (leaf, from, to, kind) => (
+      describeValueChange(`access_policy rule for ${key}: ${leaf.slice(path.length + 1)}`, from, to, kind)
+    ));
+  }
+
+  const rest = (policy) => Object.fromEntries(Object.entries(policy || {}).filter(([field]) => !['rules', 'default_effect'].includes(field)));
+  diffLeaves(changes, 'access_policy', 'access_policy', rest(before), rest(after), (leaf, from, to, kind) => describeValueChange(leaf, from, to, kind));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RESULT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * One-line summary of a change list, e.g. "3 changes: 2 tools, 1 access policy".
+ * @param {SemanticChange[]} changes
+ * @returns {string}
+ */
+export function summarizeChanges(changes) {
+  if (changes.length === 0) return 'No changes';
+  if (changes.length === 1) return changes[0].message;
+  const counts = countByCategory(changes);
+  const parts = Object.entries(counts).map(([category, count]) => `${count} ${CATEGORY_LABELS[category] || category}`);
+  return `${plural(changes.length, 'change')}: ${parts.join(', ')}`;
+}
+
+function countByCategory(changes) {
+  const counts = {};
+  for (const change of changes) counts[change.category] = (counts[change.category] || 0) + 1;
+  return counts;
+}
+
+function result(changes) {
+  return {
+    changed: changes.length > 0,
+    changes,
+    counts: countByCategory(changes),
+    summary: summarizeChanges(changes),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Semantic diff between two versions of a skill.
+ *
+ * @param {DraftSkill|null} before - e.g. the deployed or main-branch copy
+ * @param {DraftSkill|null} after - e.g. the Builder or dev-branch copy
+ * @returns {SemanticDiff}
+ */
+export function diffSkills(before, after) {
+  const changes = [];
+  const a = before || {};
+  const b = after || {};
+
+  if (!before || !after) {
+    if (before || after) {
+      const skill = after || before;
+      const kind = after ? 'added' : 'removed';
+      const label = skill.name || skill.id;
+      changes.push({ category: 'skill', kind, path: '', message: label ? `Skill ${label} ${kind}` : `Skill ${kind}` });
+    }
+    return result(changes);
+  }
+
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (IGNORED_FIELDS.has(field) || SKILL_SECTIONS.has(field)) continue;
+    if (isEqual(a[field], b[field])) continue;
+    if (Array.isArray(a[field]) || Array.isArray(b[field])) {
+      const items = (value) => (Array.isArray(value) ? value : []);
+      if ([...items(a[field]), ...items(b[field])].every(item => typeof item === 'string')) {
+        diffStringList(changes, 'skill', field, field, a[field], b[field]);
+      } else {
+        diffKeyedList(changes, 'skill', field, field, a[field], b[field], item => item?.id || item?.name || item?.tool);
+      }
+      continue;
+    }
+    diffLeaves(changes, 'skill', field, a[field], b[field], (leaf, from, to, kind) => describeValueChange(leaf, from, to, kind));
+  }
+
+  diffTools(changes, a.tools, b.tools);
+  diffIntents(changes, a.intents, b.intents);
+  diffPolicy(changes, a.policy, b.policy);
+  diffAccessPolicy(changes, a.access_policy, b.access_policy);
+  diffLeaves(changes, 'engine', 'engine', a.engine, b.engine, (leaf, from, to, kind) => describeValueChange(leaf, from, to, kind));
+  diffKeyedList(changes, 'triggers', 'triggers', 'Trigger', a.triggers, b.triggers, trigger => trigger?.id);
+
+  return result(changes);
+}
+
+/**
+ * Semantic diff between two versions of a solution.
+ *
+ * Skills, handoffs, grants and platform connectors are matched by id (grants
+ * by key). Pass `skills` to include a per-skill diff as well.
+ *
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @param {Object} [options]
+ * @param {{ before?: Object<string, DraftSkill>, after?: Object<string, DraftSkill> }} [options.skills] - Skill definitions by id
+ * @returns {SemanticDiff & { skills: Object<string, SemanticDiff> }}
+ */
+export function diffSolutions(before, after, { skills } = {}) {
+  const changes = [];
+  const a = before || {};
+  const b = after || {};
+  const lists = {
+    skills: ['Skill', item => item?.id],
+    handoffs: ['Handoff', item => item?.id, (handoff, key) => (handoff.from && handoff.to ? `${key} (${handoff.from} → ${handoff.to})` : key)],
+    grants: ['Grant', item => item?.key],
+    platform_connectors: ['Platform connector', item => item?.id],
+    security_contracts: ['Security contract', item => item?.id || item?.name],
+  };
+
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (IGNORED_FIELDS.has(field) || isEqual(a[field], b[field])) continue;
+    if (lists[field]) {
+      const [noun, keyOf, labelOf] = lists[field];
+      diffKeyedList(changes, 'solution', field, noun, a[field], b[field], keyOf, labelOf);
+    } else if ((Array.isArray(a[field]) || Array.isArray(b[field]))
+      && [...(a[field] || []), ...(b[field] || [])].every(item => typeof item === 'string')) {
+      diffStringList(changes, 'solution', field, field, a[field], b[field]);
+    } else {
+      diffLeaves(changes, 'solution', field, a[field], b[field], (leaf, from, to, kind) => describeValueChange(leaf, from, to, kind));
+    }
+  }
+
+  const skillDiffs = {};
+  if (skills) {
+    const ids = new Set([...Object.keys(skills.before || {}), ...Object.keys(skills.after || {})]);
+    for (const id of ids) {
+      const diff = diffSkills(skills.before?.[id] || null, skills.after?.[id] || null);
+      if (diff.changed) skillDiffs[id] = diff;
+    }
+  }
+
+  const all = [...changes, ...Object.values(skillDiffs).flatMap(diff => diff.changes)];
+  return { ...result(changes), summary: summarizeChanges(all), skills: skillDiffs };
+}
+
+export default {
+  diffSkills,
+  diffSolutions,
+  summarizeChanges,
+  formatValue,
+  CATEGORY_LABELS,
+};
@@ -0,0 +1,284 @@
+/**
+ * Solution Directory - validate a solution repo checked out on disk
+ *
+ * Solution repos (see githubRepoBuilder) are laid out as:
+ *   solution.json
+ *   skills/<skill-id>/skill.json
+ *   connectors/<connector-id>/*      (connector source → mcp_store)
+ *   .ateam/export.json               (connector definitions)
+ *
+ * validateSolutionDir() runs validateDraftSkill on every skill file and
+ * validateSolution on solution.json with the skills as context, and gives
+ * each issue a line/column in the file it belongs to. Cross-skill issues
+ * about a skill's tool or UI plugin are reported with the solution but
+ * carry the skill file as `file`. A directory holding just a skill.json is
+ * validated as a single skill.
+ *
+ * Node-only (fs) — used by the skill-validator CLI.
+ *
+ * @module services/solutionDir
+ */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { join } from 'path';
+import { validateDraftSkill } from '../validators/index.js';
+import { validateSolution } from '../validators/solutionValidator.js';
+import { autofixSkill, AUTO_APPLY_THRESHOLD } from './fixSuggester.js';
+import { locateJsonPaths, findPosition } from './jsonLocator.js';
+
+/** Connector source files larger than this are left out of mcp_store */
+const MAX_SOURCE_BYTES = 512 * 1024;
+
+/**
+ * @typedef {Object} FileReport
+ * @property {string} file - Path as given (joined onto the directory argument)
+ * @property {'skill'|'solution'} kind
+ * @property {string} name
+ * @property {boolean} valid
+ * @property {Array} errors - Issues with code, severity, path, message, line, column
+ *   (and file, when the position is in another file than the report's)
+ * @property {Array} warnings
+ * @property {Array} [fix_log] - autofixSkill changes (skills, with fix)
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// LOADING
+// ═══════════════════════════════════════════════════════════════
+
+function readJsonFile(file) {
+  try {
+    const text = readFileSync(file, 'utf-8');
+    return { file, text, data: JSON.parse(text) };
+  } catch (err) {
+    throw Object.assign(new Error(`Error reading ${file}: ${err.message}`), { code: 'FILE_ERROR' });
+  }
+}
+
+function readSourceTree(dir, prefix = '') {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const full = join(dir, entry.name);
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...readSourceTree(full, rel));
+    } else if (entry.isFile() && statSync(full).size <= MAX_SOURCE_BYTES) {
+      files.push({ path: rel, content: readFileSync(full, 'utf-8') });
+    }
+  }
+  return files;
+}
+
+/**
+ * Read a solution directory.
+ *
+ * @param {string} dir
+ * @returns {{ root: string, solution: {file, text, data}|null, skills: Array<{file, text, data}>, connectors: Array, mcp_store: Object }}
+ * @throws {Error} code NOT_A_SOLUTION_DIR when nothing to validate is found, FILE_ERROR on unreadable JSON
+ */
+export function loadSolutionDir(dir) {
+  const solutionFile = join(dir, 'solution.json');
+  const skillsDir = join(dir, 'skills');
+
+  const skillFiles = existsSync(skillsDir)
+    ? readdirSync(skillsDir, { withFileTypes: true })
+      .filter(e => e.isDirectory() && existsSync(join(skillsDir, e.name, 'skill.json')))
+      .map(e => join(skillsDir, e.name, 'skill.json'))
+      .sort()
+    : [];
+  if (!existsSync(solutionFile) && skillFiles.length === 0 && existsSync(join(dir, 'skill.json'))) {
+    skillFiles.push(join(dir, 'skill.json'));
+  }
+  if (!existsSync(solutionFile) && skillFiles.length === 0) {
+    throw Object.assign(
+      new Error(`${dir} has no solution.json, skill.json or skills/*/skill.json`),
+      { code: 'NOT_A_SOLUTION_DIR' }
+    );
+  }
+
+  const exportFile = join(dir, '.ateam', 'export.json');
+  const connectors = existsSync(exportFile) ? readJsonFile(exportFile).data.connectors || [] : [];
+
+  const mcp_store = {};
+  const connectorsDir = join(dir, 'connectors');
+  if (existsSync(connectorsDir)) {
+    for (const entry of readdirSync(connectorsDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) mcp_store[entry.name] = readSourceTree(join(connectorsDir, entry.name));
+    }
+  }
+
+  return {
+    root: dir,
+    solution: existsSync(solutionFile) ? readJsonFile(solutionFile) : null,
+    skills: skillFiles.map(readJsonFile),
+    connectors,
+    mcp_store,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ISSUE POSITIONS
+// ═══════════════════════════════════════════════════════════════
+
+function withPositions(issues, positions) {
+  return (issues || []).map(issue => ({ ...issue, ...findPosition(positions, issue.path) }));
+}
+
+/**
+ * Solution issues name the entity they are about (grant, handoff, …)
+ * instead of a path; point them at that entry in solution.json.
+ */
+const SOLUTION_ENTITIES = [
+  ['grant', 'grants', ['key']],
+  ['handoff', 'handoffs', ['id']],
+  ['contract', 'security_contracts', ['name']],
+  ['connector', 'platform_connectors', ['id']],
+  ['connector', 'solution_connectors', ['id']],
+  ['skill', 'skills', ['id', 'name']],
+];
+
+/** Entries of a skill file that solution issues name next to the skill */
+const SKILL_ENTITIES = [
+  ['tool', 'tools', ['name', 'id']],
+  ['plugin', 'ui_plugins', ['id']],
+];
+
+function entryIndex(list, value, keys) {
+  if (!Array.isArray(list)) return -1;
+  return list.findIndex(e => keys.some(key => (typeof e === 'string' ? e : e?.[key]) === value));
+}
+
+function solutionIssuePath(solution, issue) {
+  for (const [field, list, keys] of SOLUTION_ENTITIES) {
+    if (!issue[field]) continue;
+    const index = entryIndex(solution[list], issue[field], keys);
+    if (index !== -1) return `${list}[${index}]`;
+  }
+  return undefined;
+}
+
+/**
+ * The skill file and path of an issue about one of the skill's tools or
+ * UI plugins (e.g. mcp_bridge_connector_exists), or null.
+ */
+function skillIssueLocation(skills, issue) {
+  if (!issue.skill) return null;
+  const skill = skills.find(s => s.data?.id === issue.skill || s.data?.name === issue.skill);
+  if (!skill) return null;
+  for (const [field, list, keys] of SKILL_ENTITIES) {
+    if (!issue[field]) continue;
+    const index = entryIndex(skill.data[list], issue[field], keys);
+    if (index !== -1) return { skill, path: `${list}[${index}]` };
+  }
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+function checkSkill({ file, text, data }, { fix = false, threshold = AUTO_APPLY_THRESHOLD } = {}) {
+  let skill = data;
+  let result;
+  let changes = null;
+  if (fix) {
+    ({ skill, result, changes } = autofixSkill(skill, { threshold }));
+    if (changes.length > 0) {
+      text = JSON.stringify(skill, null, 2) + '\n';
+      writeFileSync(file, text);
+    }
+  } else {
+    // validateDraftSkill writes *_resolved flags; keep `skill` clean for validateSolution
+    result = validateDraftSkill(JSON.parse(text));
+  }
+
+  const positions = locateJsonPaths(text);
+  const report = {
+    file,
+    kind: 'skill',
+    name: skill.name || skill.skill_name || skill.id || file,
+    ...result,
+    errors: withPositions(result.errors, positions),
+    warnings: withPositions(result.warnings, positions),
+    ...(changes && { fix_log: changes }),
+  };
+  return { file, text, data: skill, report };
+}
+
+/**
+ * Validate one skill file.
+ *
+ * @param {string} file
+ * @param {Object} [opts]
+ * @param {boolean} [opts.fix] - Apply suggested fixes (autofixSkill) and write the file back
+ * @param {number} [opts.threshold] - Lowest confidence applied with fix
+ * @returns {FileReport}
+ * @throws {Error} code FILE_ERROR
+ */
+export function validateSkillFile(file, opts = {}) {
+  return checkSkill(readJsonFile(file), opts).report;
+}
+
+/**
+ * Run the cross-skill checks of a loaded solution directory.
+ *
+ * @param {ReturnType<typeof loadSolutionDir>} loaded - Must have a solution
+ * @param {Array<{file, text, data}>} [skills] - Skill files (default: as loaded from disk)
+ * @returns {FileReport}
+ */
+export function validateSolutionFile(loaded, skills = loaded.skills) {
+  const { file, text, data } = loaded.solution;
+  // validateSolution normalizes connector lists in place
+  const result = validateSolution(structuredClone(data), {
+    skills: skills.map(s => structuredClone(s.data)),
+    connectors: loaded.connectors,
+    mcp_store: loaded.mcp_store,
+  });
+  const positions = locateJsonPaths(text);
+  const skillPositions = new Map();
+  const positionsOf = (skill) => {
+    if (!skillPositions.has(skill.file)) skillPositions.set(skill.file, locateJsonPaths(skill.text));
+    return skillPositions.get(skill.file);
+  };
+  const normalize = (severity) => (issue) => {
+    const normalized = { ...issue, code: issue.code || issue.check, severity };
+    const inSkill = skillIssueLocation(skills, issue);
+    if (inSkill) {
+      const { skill, path } = inSkill;
+      return { ...normalized, file: skill.file, path, ...findPosition(positionsOf(skill), path) };
+    }
+    const path = solutionIssuePath(data, issue);
+    return { ...normalized, path, ...findPosition(positions, path) };
+  };
+  return {
+    file,
+    kind: 'solution',
+    name: data.name || data.id || file,
+    valid: result.valid,
+    errors: result.errors.map(normalize('error')),
+    warnings: result.warnings.map(normalize('warning')),
+    summary: result.summary,
+  };
+}
+
+/**
+ * Validate every skill of a solution directory and, when it has a
+ * solution.json, the cross-skill contracts.
+ *
+ * @param {string} dir
+ * @param {Object} [opts] - Same as validateSkillFile
+ * @returns {{ root: string, files: FileReport[] }} solution.json first, then skills
+ * @throws {Error} code NOT_A_SOLUTION_DIR or FILE_ERROR
+ */
+export function validateSolutionDir(dir, opts = {}) {
+  const loaded = loadSolutionDir(dir);
+  const checked = loaded.skills.map(s => checkSkill(s, opts));
+  const files = checked.map(c => c.report);
+
+  if (loaded.solution) {
+    // With fix, the solution is checked against the patched skills
+    files.unshift(validateSolutionFile(loaded, checked));
+  }
+
+  return { root: dir, files };
+}
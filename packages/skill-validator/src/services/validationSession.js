@@ -0,0 +1,237 @@
+/**
+ * Validation Session - incremental revalidation for `skill-validator --watch`
+ *
+ * Holds the latest FileReport of every watched file. update() takes the
+ * paths that changed and only reruns what they affect:
+ *   - a skill file          → that skill, plus its solution's cross-skill checks
+ *   - solution.json         → the cross-skill checks
+ *   - connectors/*, .ateam/export.json → the cross-skill checks (mcp_store, connectors)
+ * Skill files added to or removed from skills/ are picked up the same way.
+ *
+ * Each update diffs the issue set against the previous run and reports
+ * fixed and new issues. A file that is mid-edit (unreadable JSON) is
+ * reported as a single FILE_ERROR issue instead of stopping the watch.
+ *
+ * Node-only (fs) — used by the skill-validator CLI and resultsServer.
+ *
+ * @module services/validationSession
+ */
+
+import { existsSync, statSync, watch } from 'fs';
+import { join, relative, isAbsolute, sep, dirname, basename } from 'path';
+import { loadSolutionDir, validateSkillFile, validateSolutionDir, validateSolutionFile } from './solutionDir.js';
+
+/** Quiet period before a burst of file events is revalidated */
+const DEBOUNCE_MS = 150;
+
+/**
+ * @typedef {Object} IssueChange
+ * @property {string} file
+ * @property {Object} issue - Issue with code, severity, message, line, column
+ */
+
+/**
+ * @typedef {Object} SessionUpdate
+ * @property {number} version - Increments on every update
+ * @property {string[]} revalidated - Files whose report was recomputed
+ * @property {IssueChange[]} fixed - Issues gone since the previous run
+ * @property {IssueChange[]} new - Issues not in the previous run
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// DIFF
+// ═══════════════════════════════════════════════════════════════
+
+function issueKey(file, issue) {
+  return [file, issue.severity, issue.code, issue.path || '', issue.message].join('\u0000');
+}
+
+function issueIndex(files) {
+  const index = new Map();
+  for (const file of files) {
+    for (const issue of [...file.errors, ...file.warnings]) index.set(issueKey(file.file, issue), { file: issue.file || file.file, issue });
+  }
+  return index;
+}
+
+/**
+ * Issues fixed and introduced between two runs. Issues are matched on
+ * file, severity, code, path and message — not position, so edits that
+ * only move lines do not show up.
+ *
+ * @param {import('./solutionDir.js').FileReport[]} previous
+ * @param {import('./solutionDir.js').FileReport[]} current
+ * @returns {{ fixed: IssueChange[], new: IssueChange[] }}
+ */
+export function diffIssues(previous, current) {
+  const before = issueIndex(previous);
+  const after = issueIndex(current);
+  return {
+    fixed: [...before].filter(([key]) => !after.has(key)).map(([, change]) => change),
+    new: [...after].filter(([key]) => !before.has(key)).map(([, change]) => change),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SESSION
+// ═══════════════════════════════════════════════════════════════
+
+function fileErrorReport(file, kind, err) {
+  return {
+    file,
+    kind,
+    name: file,
+    valid: false,
+    errors: [{ code: 'FILE_ERROR', severity: 'error', message: err.message, line: 1, column: 1 }],
+    warnings: [],
+  };
+}
+
+/** Path of `file` inside `dir`, or null when it is outside */
+function pathInside(dir, file) {
+  const rel = relative(dir, file);
+  if (!rel || rel.startsWith('..') || isAbsolute(rel)) return null;
+  return rel.split(sep).join('/');
+}
+
+/**
+ * Validate the targets and keep their reports for incremental updates.
+ *
+ * @param {string[]} targets - Skill files and solution directories
+ * @param {Object} [opts] - fix / threshold, as for validateSolutionDir
+ * @returns {{
+ *   files: () => import('./solutionDir.js').FileReport[],
+ *   update: (changedPaths: string[]) => SessionUpdate,
+ *   readonly version: number,
+ *   readonly lastUpdate: SessionUpdate|null,
+ *   targets: Array<{ path: string, isDir: boolean }>,
+ * }}
+ * @throws {Error} code NOT_A_SOLUTION_DIR or FILE_ERROR from the initial run
+ */
+export function createValidationSession(targets, opts = {}) {
+  const reports = new Map(); // file → FileReport, in first-seen order
+  const resolved = targets.map(path => ({ path, isDir: statSync(path).isDirectory() }));
+  let version = 0;
+  let lastUpdate = null;
+
+  for (const target of resolved) {
+    const files = target.isDir ? validateSolutionDir(target.path, opts).files : [validateSkillFile(target.path, opts)];
+    for (const report of files) reports.set(report.file, report);
+  }
+
+  // Both return whether the file's report changed (recomputed or removed)
+  const revalidateSkill = (file) => {
+    if (!existsSync(file)) return reports.delete(file);
+    try {
+      reports.set(file, validateSkillFile(file, opts));
+    } catch (err) {
+      reports.set(file, fileErrorReport(file, 'skill', err));
+    }
+    return true;
+  };
+
+  const revalidateSolution = (dir) => {
+    const file = join(dir, 'solution.json');
+    if (!existsSync(file)) return reports.delete(file);
+    try {
+      reports.set(file, validateSolutionFile(loadSolutionDir(dir)));
+    } catch (err) {
+      // A broken skill file is already reported on its own
+      if (!err.message.includes(file) && reports.has(file)) return false;
+      reports.set(file, fileErrorReport(file, 'solution', err));
+    }
+    return true;
+  };
+
+  function update(changedPaths) {
+    const previous = [...reports.values()];
+    const revalidated = new Set();
+    const staleSolutions = new Set();
+
+    for (const changed of new Set(changedPaths)) {
+      for (const target of resolved) {
+        if (!target.isDir) {
+          if (changed === target.path && revalidateSkill(changed)) revalidated.add(changed);
+          continue;
+        }
+
+        const rel = pathInside(target.path, changed);
+        if (!rel) continue;
+        // A whole skill directory can appear or go away at once
+        const skillFile = /^skills\/[^/]+\/skill\.json$/.test(rel) || rel === 'skill.json'
+          ? changed
+          : /^skills\/[^/]+$/.test(rel) ? join(changed, 'skill.json') : null;
+        if (skillFile) {
+          if (revalidateSkill(skillFile)) revalidated.add(skillFile);
+          staleSolutions.add(target.path);
+        } else if (rel === 'solution.json' || rel === '.ateam/export.json' || rel.startsWith('connectors/')) {
+          staleSolutions.add(target.path);
+        }
+      }
+    }
+
+    for (const dir of staleSolutions) {
+      if (revalidateSolution(dir)) revalidated.add(join(dir, 'solution.json'));
+    }
+
+    version++;
+    lastUpdate = { version, revalidated: [...revalidated], ...diffIssues(previous, [...reports.values()]) };
+    return lastUpdate;
+  }
+
+  return {
+    files: () => [...reports.values()],
+    update,
+    get version() { return version; },
+    get lastUpdate() { return lastUpdate; },
+    targets: resolved,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WATCH
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Watch the session's targets and call onUpdate after each debounced
+ * burst of changes.
+ *
+ * @param {ReturnType<typeof createValidationSession>} session
+ * @param {(update: SessionUpdate) => void} onUpdate
+ * @returns {{ close: () => void }}
+ */
+export function watchSession(session, onUpdate) {
+  const pending = new Set();
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const changed = [...pending];
+    pending.clear();
+    onUpdate(session.update(changed));
+  };
+
+  const queue = (path) => {
+    pending.add(path);
+    clearTimeout(timer);
+    timer = setTimeout(flush, DEBOUNCE_MS);
+  };
+
+  // Skill files are watched through their directory: editors that save by
+  // rename replace the file a direct watch is attached to
+  const watchers = session.targets.map(target => (target.isDir
+    ? watch(target.path, { recursive: true }, (_event, filename) => {
+      if (filename) queue(join(target.path, filename.toString()));
+    })
+    : watch(dirname(target.path), (_event, filename) => {
+      if (!filename || filename.toString() === basename(target.path)) queue(target.path);
+    })
+  ));
+
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers) watcher.close();
+    },
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Helpers shared by the version-control providers.
+ *
+ * Repo naming, the workflow-aware "ref not found" error and the prod-*
+ * checkpoint tag scheme are the same whichever backend hosts the repos, so
+ * an agent sees identical answers from GitHub, GitLab/Gitea or a local
+ * bare repo.
+ */
+
+/** Build the repo name from tenant + solution ID. */
+export function repoName(tenant, solutionId) {
+  return `${tenant}--${solutionId}`;
+}
+
+/**
+ * Error for a branch / tag / SHA that doesn't exist. Carries status 404 and
+ * refNotFound so routes can tell it apart from a missing file.
+ */
+export function refNotFoundError(fullName, ref, { operation = 'read' } = {}) {
+  const lines = [
+    `Ref "${ref}" not found in ${fullName} (not a branch, tag, or commit SHA).`,
+    '',
+    'Valid options:',
+    '  • "dev"  — active work branch (default target for writes)',
+    '  • "main" — production branch (default target for reads + ateam_build_and_run)',
+    '  • A tag from ateam_github_list_versions() — e.g. "prod-2026-05-19-001"',
+    '  • A commit SHA (e.g. "a1b2c3d")',
+  ];
+  if (operation === 'write' && ref === 'master') {
+    lines.push('', `(Did you mean "main"? Note: this project uses 'main', not 'master'.)`);
+  }
+  const err = new Error(lines.join('\n'));
+  err.status = 404;
+  err.refNotFound = true;
+  return err;
+}
+
+/**
+ * Next checkpoint tag for today: prod-YYYY-MM-DD-NNN. The counter also
+ * counts legacy safe-* tags from the same day so the two never collide.
+ */
+export function nextCheckpointTag(tagNames, now = new Date()) {
+  const dateStr = now.toISOString().split('T')[0];
+  const counters = tagNames
+    .filter(t => t.startsWith(`prod-${dateStr}-`) || t.startsWith(`safe-${dateStr}-`))
+    .map(t => parseInt(t.split('-').pop()))
+    .filter(n => !isNaN(n));
+  const counter = counters.length > 0 ? Math.max(...counters) + 1 : 1;
+  return `prod-${dateStr}-${String(counter).padStart(3, '0')}`;
+}
+
+/** Checkpoint entries (prod-* and legacy safe-*), newest first. */
+export function checkpointList(tags) {
+  return tags
+    .filter(t => t.name.startsWith('prod-') || t.name.startsWith('safe-'))
+    .sort((a, b) => b.name.localeCompare(a.name))
+    .map(t => {
+      const parts = t.name.split('-'); // prod-YYYY-MM-DD-NNN
+      return {
+        tag: t.name,
+        prefix: parts[0],
+        date: `${parts[1]}-${parts[2]}-${parts[3]}`,
+        counter: parseInt(parts[4]),
+        commit_sha: t.sha,
+      };
+    });
+}
+
+/** Result of checkpoint(), same shape for every provider. */
+export function checkpointResult({ tag, label, sha, repoUrl, now }) {
+  return {
+    ok: true,
+    tag,
+    label: label || null,
+    commit_sha: sha,
+    repo_url: repoUrl,
+    created_at: now.toISOString(),
+    _hint: `To rollback to this checkpoint: ateam_github_rollback(solution_id, tag='${tag}')`,
+  };
+}
+
+/** Result of rollback(), same shape for every provider. */
+export function rollbackResult({ target, targetSha, revertSha, revertUrl = null, previousSha, branchUrl = null }) {
+  return {
+    ok: true,
+    rolled_back_to: target,
+    target_commit_sha: targetSha,
+    revert_commit_sha: revertSha,
+    revert_commit_url: revertUrl,
+    previous_main_sha: previousSha,
+    main_branch_url: branchUrl,
+    rolled_back_at: new Date().toISOString(),
+    _hint: `main now contains state from ${target} as a new commit. History preserved. Run ateam_build_and_run() to deploy. To go back to the previous main, ateam_github_rollback(solution_id, target: "${previousSha.slice(0, 7)}").`,
+  };
+}
+
+/** Result of a rollback whose target is already main's HEAD. */
+export function rollbackNoop(target, sha) {
+  return {
+    ok: true,
+    already_at: target,
+    no_op: true,
+    main_commit_sha: sha,
+    _hint: `main is already at ${target} — nothing to do.`,
+  };
+}
+
+/** Commit message of a rollback commit. */
+export function rollbackMessage(target, targetSha, previousSha) {
+  return `Rollback main to ${target}\n\nReverts the tree to commit ${targetSha.slice(0, 7)}.\nHistory before it is preserved (previous main: ${previousSha.slice(0, 7)}).`;
+}
+
+/** Initial README of a freshly created solution repo. */
+export function initialReadme(tenant, solutionId, description) {
+  return `# ${solutionId}\n\n${description || `A-Team solution: ${solutionId} (tenant: ${tenant})`}\n`;
+}
@@ -0,0 +1,577 @@
+/**
+ * GitLab / Gitea provider — solution repos on a self-hosted git server.
+ *
+ * The two REST APIs differ in paths and payloads but offer the same
+ * building blocks: multi-file commits on a branch, file and tree reads,
+ * commit lists, compare, tags, and merge through a merge/pull request.
+ * Each flavor maps those blocks onto its API (FLAVORS below); the provider
+ * operations are written once on top of them. Forgejo speaks the Gitea API.
+ *
+ * Differences from the GitHub provider:
+ *   - getDiff lists changed files by comparing the two trees, so
+ *     additions/deletions are 0 (GitLab fills them in from its diffs).
+ *   - mergeBranch opens a merge/pull request and merges it immediately.
+ *   - rollback commits the file-level difference between main and the
+ *     target (the APIs can't commit an arbitrary tree).
+ *
+ * Env vars:
+ *   VCS_URL    — server base URL, e.g. https://gitlab.example.com
+ *   VCS_TOKEN  — access token with api / repo scope
+ *   VCS_OWNER  — group (GitLab) or org/user (Gitea) that holds the repos
+ */
+
+import {
+  repoName,
+  refNotFoundError,
+  nextCheckpointTag,
+  checkpointList,
+  checkpointResult,
+  rollbackResult,
+  rollbackNoop,
+  rollbackMessage,
+} from './common.js';
+
+const HTTP_TIMEOUT_MS = 15_000;
+const HTTP_RETRIES = 2;
+const HTTP_BACKOFF_MS = 1000;
+const PAGE_SIZE = 100;
+// Gitea caps limit at MAX_RESPONSE_ITEMS (50 unless the admin lowered it)
+const GITEA_PAGE_SIZE = 50;
+
+const enc = encodeURIComponent;
+const encodePath = (p) => String(p).split('/').map(enc).join('/');
+const b64 = (s) => Buffer.from(s, 'utf-8').toString('base64');
+const unb64 = (s) => Buffer.from(s || '', 'base64').toString('utf-8');
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function isNotFound(err) { return err?.status === 404; }
+
+/**
+ * Read a list endpoint page by page. A page shorter than fullPage is the last
+ * one; with a server that may cap the page size below what was asked, pass 1
+ * to read until an empty page.
+ */
+async function readPages(fetchPage, fullPage) {
+  const items = [];
+  for (let page = 1; ; page++) {
+    const batch = await fetchPage(page);
+    items.push(...batch);
+    if (batch.length < fullPage) return items;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Flavors — API building blocks
+// ─────────────────────────────────────────────────────────────────────────────
+
+const FLAVORS = {
+  gitlab: {
+    apiPath: '/api/v4',
+    authHeaders: (token) => ({ 'PRIVATE-TOKEN': token }),
+
+    project: (ctx, name) => `/projects/${enc(`${ctx.owner}/${name}`)}`,
+
+    async getRepo(ctx, name) {
+      const p = await ctx.api('GET', this.project(ctx, name));
+      return { html_url: p.web_url, default_branch: p.default_branch };
+    },
+    async createRepo(ctx, name, description) {
+      const ns = await ctx.api('GET', `/namespaces/${enc(ctx.owner)}`);
+      const p = await ctx.api('POST', '/projects', {
+        name, path: name, namespace_id: ns.id, description,
+        initialize_with_readme: true, default_branch: 'main', visibility: 'private',
+      });
+      return { html_url: p.web_url };
+    },
+    async createBranch(ctx, name, branch, ref) {
+      await ctx.api('POST', `${this.project(ctx, name)}/repository/branches?branch=${enc(branch)}&ref=${enc(ref)}`);
+    },
+    async listRepos(ctx, prefix) {
+      const list = (scope) => readPages(
+        page => ctx.api('GET', `/${scope}/${enc(ctx.owner)}/projects?search=${enc(prefix)}&per_page=${PAGE_SIZE}&page=${page}`),
+        PAGE_SIZE,
+      );
+      let projects;
+      try {
+        projects = await list('groups');
+      } catch (err) {
+        if (!isNotFound(err)) throw err;
+        projects = await list('users');
+      }
+      return projects.map(p => ({ name: p.path, html_url: p.web_url }));
+    },
+    async refSha(ctx, name, kind, ref) {
+      const base = `${this.project(ctx, name)}/repository`;
+      if (kind === 'branch') return (await ctx.api('GET', `${base}/branches/${enc(ref)}`)).commit.id;
+      if (kind === 'tag') return (await ctx.api('GET', `${base}/tags/${enc(ref)}`)).commit.id;
+      return (await ctx.api('GET', `${base}/commits/${enc(ref)}`)).id;
+    },
+    async tree(ctx, name, ref) {
+      const items = [];
+      for (let page = 1; ; page++) {
+        const batch = await ctx.api('GET', `${this.project(ctx, name)}/repository/tree?recursive=true&ref=${enc(ref)}&per_page=${PAGE_SIZE}&page=${page}`);
+        items.push(...batch.filter(t => t.type === 'blob').map(t => ({ path: t.path, sha: t.id, size: null })));
+        if (batch.length < PAGE_SIZE) return items;
+      }
+    },
+    async readFile(ctx, name, filePath, ref) {
+      const f = await ctx.api('GET', `${this.project(ctx, name)}/repository/files/${enc(filePath)}?ref=${enc(ref)}`);
+      return { content: unb64(f.content), sha: f.blob_id, size: f.size };
+    },
+    async commitFiles(ctx, name, branch, message, changes) {
+      const c = await ctx.api('POST', `${this.project(ctx, name)}/repository/commits`, {
+        branch,
+        commit_message: message,
+        actions: changes.map(ch => ({
+          action: ch.operation,
+          file_path: ch.path,
+          ...(ch.operation !== 'delete' && { content: b64(ch.content), encoding: 'base64' }),
+        })),
+      });
+      return { sha: c.id, url: c.web_url };
+    },
+    async commits(ctx, name, ref, limit) {
+      const list = await ctx.api('GET', `${this.project(ctx, name)}/repository/commits?ref_name=${enc(ref)}&per_page=${limit}`);
+      return list.map(c => ({ sha: c.id, message: c.message, author: c.author_name, date: c.committed_date, url: c.web_url }));
+    },
+    async compare(ctx, name, base, head) {
+      const cmp = await ctx.api('GET', `${this.project(ctx, name)}/repository/compare?from=${enc(base)}&to=${enc(head)}`);
+      const lineCounts = new Map((cmp.diffs || []).map(d => {
+        const lines = String(d.diff || '').split('\n');
+        return [d.new_path, {
+          additions: lines.filter(l => l.startsWith('+') && !l.startsWith('+++')).length,
+          deletions: lines.filter(l => l.startsWith('-') && !l.startsWith('---')).length,
+        }];
+      }));
+      return {
+        commits: (cmp.commits || []).map(c => ({ sha: c.id, message: c.title || c.message, author: c.author_name, date: c.authored_date })),
+        lineCounts,
+      };
+    },
+    async merge(ctx, name, base, head, message) {
+      const mr = await ctx.api('POST', `${this.project(ctx, name)}/merge_requests`, {
+        source_branch: head, target_branch: base, title: message, remove_source_branch: false,
+      });
+      try {
+        const merged = await ctx.api('PUT', `${this.project(ctx, name)}/merge_requests/${mr.iid}/merge`, { merge_commit_message: message });
+        return { sha: merged.merge_commit_sha, url: merged.web_url };
+      } catch (err) {
+        // 405/406 = cannot be merged (conflict); close the MR so it doesn't linger
+        await ctx.api('PUT', `${this.project(ctx, name)}/merge_requests/${mr.iid}`, { state_event: 'close' }).catch(() => {});
+        if (err.status === 405 || err.status === 406) err.message = `409 conflict: ${err.message}`;
+        throw err;
+      }
+    },
+    async tags(ctx, name) {
+      const tags = await readPages(
+        page => ctx.api('GET', `${this.project(ctx, name)}/repository/tags?per_page=${PAGE_SIZE}&page=${page}`),
+        PAGE_SIZE,
+      );
+      return tags.map(t => ({ name: t.name, sha: t.commit.id }));
+    },
+    async createTag(ctx, name, tag, sha, message) {
+      await ctx.api('POST', `${this.project(ctx, name)}/repository/tags`, { tag_name: tag, ref: sha, message });
+    },
+  },
+
+  gitea: {
+    apiPath: '/api/v1',
+    authHeaders: (token) => ({ Authorization: `token ${token}` }),
+
+    repo: (ctx, name) => `/repos/${enc(ctx.owner)}/${enc(name)}`,
+
+    async getRepo(ctx, name) {
+      const r = await ctx.api('GET', this.repo(ctx, name));
+      return { html_url: r.html_url, default_branch: r.default_branch };
+    },
+    async createRepo(ctx, name, description) {
+      const body = { name, description, auto_init: true, default_branch: 'main', private: true };
+      try {
+        return { html_url: (await ctx.api('POST', `/orgs/${enc(ctx.owner)}/repos`, body)).html_url };
+      } catch (err) {
+        if (!isNotFound(err)) throw err;
+        return { html_url: (await ctx.api('POST', '/user/repos', body)).html_url };
+      }
+    },
+    async createBranch(ctx, name, branch, ref) {
+      await ctx.api('POST', `${this.repo(ctx, name)}/branches`, { new_branch_name: branch, old_branch_name: ref });
+    },
+    async listRepos(ctx) {
+      const list = (scope) => readPages(
+        page => ctx.api('GET', `/${scope}/${enc(ctx.owner)}/repos?limit=${GITEA_PAGE_SIZE}&page=${page}`),
+        1,
+      );
+      let repos;
+      try {
+        repos = await list('orgs');
+      } catch (err) {
+        if (!isNotFound(err)) throw err;
+        repos = await list('users');
+      }
+      return repos.map(r => ({ name: r.name, html_url: r.html_url }));
+    },
+    async refSha(ctx, name, kind, ref) {
+      if (kind === 'branch') return (await ctx.api('GET', `${this.repo(ctx, name)}/branches/${enc(ref)}`)).commit.id;
+      if (kind === 'tag') return (await ctx.api('GET', `${this.repo(ctx, name)}/tags/${enc(ref)}`)).commit.sha;
+      return (await ctx.api('GET', `${this.repo(ctx, name)}/git/commits/${enc(ref)}`)).sha;
+    },
+    async tree(ctx, name, ref) {
+      const items = [];
+      for (let page = 1; ; page++) {
+        const res = await ctx.api('GET', `${this.repo(ctx, name)}/git/trees/${enc(ref)}?recursive=true&per_page=${PAGE_SIZE * 10}&page=${page}`);
+        const entries = res.tree || [];
+        items.push(...entries.filter(t => t.type === 'blob').map(t => ({ path: t.path, sha: t.sha, size: t.size })));
+        if (!res.truncated || entries.length === 0) return items;
+      }
+    },
+    async readFile(ctx, name, filePath, ref) {
+      const f = await ctx.api('GET', `${this.repo(ctx, name)}/contents/${encodePath(filePath)}?ref=${enc(ref)}`);
+      if (f.type !== 'file') throw new Error(`${filePath} is a ${f.type}, not a file`);
+      return { content: unb64(f.content), sha: f.sha, size: f.size };
+    },
+    async commitFiles(ctx, name, branch, message, changes) {
+      const res = await ctx.api('POST', `${this.repo(ctx, name)}/contents`, {
+        branch,
+        message,
+        files: changes.map(ch => ({
+          operation: ch.operation,
+          path: ch.path,
+          ...(ch.sha && { sha: ch.sha }),
+          ...(ch.operation !== 'delete' && { content: b64(ch.content) }),
+        })),
+      });
+      return { sha: res.commit.sha, url: res.commit.html_url };
+    },
+    async commits(ctx, name, ref, limit) {
+      const list = await ctx.api('GET', `${this.repo(ctx, name)}/commits?sha=${enc(ref)}&limit=${limit}&stat=false&files=false`);
+      return list.map(c => ({ sha: c.sha, message: c.commit.message, author: c.commit.author?.name, date: c.commit.committer?.date, url: c.html_url }));
+    },
+    async compare(ctx, name, base, head) {
+      const cmp = await ctx.api('GET', `${this.repo(ctx, name)}/compare/${enc(base)}...${enc(head)}`);
+      return {
+        commits: (cmp.commits || []).map(c => ({ sha: c.sha, message: c.commit?.message, author: c.commit?.author?.name, date: c.commit?.author?.date })),
+        lineCounts: new Map(),
+      };
+    },
+    async merge(ctx, name, base, head, message) {
+      const pr = await ctx.api('POST', `${this.repo(ctx, name)}/pulls`, { base, head, title: message });
+      try {
+        await ctx.api('POST', `${this.repo(ctx, name)}/pulls/${pr.number}/merge`, { Do: 'merge', MergeTitleField: message });
+      } catch (err) {
+        await ctx.api('PATCH', `${this.repo(ctx, name)}/pulls/${pr.number}`, { state: 'closed' }).catch(() => {});
+        if (err.status === 405 || err.status === 409) err.message = `409 conflict: ${err.message}`;
+        throw err;
+      }
+      const merged = await ctx.api('GET', `${this.repo(ctx, name)}/pulls/${pr.number}`);
+      return { sha: merged.merge_commit_sha, url: merged.html_url };
+    },
+    async tags(ctx, name) {
+      const tags = await readPages(
+        page => ctx.api('GET', `${this.repo(ctx, name)}/tags?limit=${GITEA_PAGE_SIZE}&page=${page}`),
+        1,
+      );
+      return tags.map(t => ({ name: t.name, sha: t.commit.sha }));
+    },
+    async createTag(ctx, name, tag, sha, message) {
+      await ctx.api('POST', `${this.repo(ctx, name)}/tags`, { tag_name: tag, target: sha, message });
+    },
+  },
+};
+
+export const HTTP_FLAVORS = Object.keys(FLAVORS);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Provider
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Create a GitLab or Gitea provider.
+ * @param {object} options - { flavor: 'gitlab' | 'gitea', baseUrl, token, owner, fetch }
+ */
+export function createHttpGitProvider(options = {}) {
+  const flavorName = options.flavor;
+  const flavor = FLAVORS[flavorName];
+  if (!flavor) throw new Error(`Unknown git server flavor: ${flavorName}`);
+
+  const baseUrl = String(options.baseUrl ?? process.env.VCS_URL ?? '').replace(/\/+$/, '');
+  const token = options.token ?? process.env.VCS_TOKEN ?? '';
+  const owner = options.owner ?? process.env.VCS_OWNER ?? '';
+  const doFetch = options.fetch || fetch;
+
+  async function api(method, apiPath, body) {
+    let lastErr = null;
+    for (let attempt = 1; attempt <= HTTP_RETRIES; attempt++) {
+      try {
+        const opts = {
+          method,
+          headers: { ...flavor.authHeaders(token), Accept: 'application/json', 'Content-Type': 'application/json' },
+          signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+        };
+        if (body !== undefined) opts.body = JSON.stringify(body);
+        const res = await doFetch(`${baseUrl}${flavor.apiPath}${apiPath}`, opts);
+        if (res.status === 204) return null;
+        const text = await res.text();
+        const data = text ? JSON.parse(text) : null;
+        if (!res.ok) {
+          const detail = data?.message || data?.error || text;
+          const err = new Error(`${flavorName} API ${method} ${apiPath} → ${res.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+          err.status = res.status;
+          if (res.status >= 500 && attempt < HTTP_RETRIES) {
+            lastErr = err;
+            await sleep(HTTP_BACKOFF_MS * attempt);
+            continue;
+          }
+          throw err;
+        }
+        return data;
+      } catch (err) {
+        if ((err.name === 'TimeoutError' || err.name === 'AbortError') && attempt < HTTP_RETRIES) {
+          lastErr = err;
+          await sleep(HTTP_BACKOFF_MS * attempt);
+          continue;
+        }
+        throw err.status ? err : (lastErr || err);
+      }
+    }
+    throw lastErr;
+  }
+
+  const ctx = { owner, api };
+  const fullName = (tenant, solutionId) => `${owner}/${repoName(tenant, solutionId)}`;
+  const branchUrl = (repoUrl, branch) => (repoUrl ? `${repoUrl}/tree/${branch}` : null);
+
+  /** Resolve a branch / tag / SHA to a commit SHA, or throw refNotFound. */
+  async function resolveRef(name, ref, ctxOpts) {
+    for (const kind of ['branch', 'tag', 'commit']) {
+      try {
+        return await flavor.refSha(ctx, name, kind, ref);
+      } catch (err) {
+        if (!isNotFound(err)) throw err;
+      }
+    }
+    throw refNotFoundError(`${owner}/${name}`, ref, ctxOpts);
+  }
+
+  async function repoUrlOf(name) {
+    return (await flavor.getRepo(ctx, name).catch(() => null))?.html_url || null;
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+
+  async function listTenantRepos(tenant) {
+    const prefix = `${tenant}--`;
+    return (await flavor.listRepos(ctx, prefix))
+      .filter(r => r.name.startsWith(prefix))
+      .map(r => ({ solutionId: r.name.slice(prefix.length), repo_url: r.html_url }));
+  }
+
+  async function ensureRepo(tenant, solutionId, description = '') {
+    const name = repoName(tenant, solutionId);
+    try {
+      const repo = await flavor.getRepo(ctx, name);
+      return { repo_url: repo.html_url, full_name: fullName(tenant, solutionId), created: false };
+    } catch (err) {
+      if (!isNotFound(err)) throw new Error(`Cannot check repo ${fullName(tenant, solutionId)}: ${err.message}`);
+    }
+    const repo = await flavor.createRepo(ctx, name, description || `A-Team solution: ${solutionId} (tenant: ${tenant})`);
+    // dev starts at main so the promote flow works from the first push
+    await flavor.createBranch(ctx, name, 'dev', 'main').catch(err => {
+      console.warn(`[VCS] Could not create dev branch in ${name}: ${err.message}`);
+    });
+    return { repo_url: repo.html_url, full_name: fullName(tenant, solutionId), created: true };
+  }
+
+  /**
+   * Atomic multi-file commit. Entries with `delete: true` remove the path.
+   */
+  async function pushFiles(tenant, solutionId, files, message = 'Update solution', branch = 'main') {
+    const name = repoName(tenant, solutionId);
+    await resolveRef(name, branch, { operation: 'write' });
+    const existing = new Map((await flavor.tree(ctx, name, branch)).map(f => [f.path, f.sha]));
+    const changes = files
+      .filter(f => !f.delete || existing.has(f.path))
+      .map(f => ({
+        operation: f.delete ? 'delete' : existing.has(f.path) ? 'update' : 'create',
+        path: f.path,
+        content: f.content ?? '',
+        sha: existing.get(f.path),
+      }));
+    if (changes.length === 0) return { commit_sha: null, commit_url: null, files_committed: 0 };
+    const commit = await flavor.commitFiles(ctx, name, branch, message, changes);
+    return { commit_sha: commit.sha, commit_url: commit.url, files_committed: files.length };
+  }
+
+  async function getRepoStatus(tenant, solutionId) {
+    const name = repoName(tenant, solutionId);
+    try {
+      const repo = await flavor.getRepo(ctx, name);
+      let latest_commit = null;
+      try {
+        const [c] = await flavor.commits(ctx, name, repo.default_branch || 'main', 1);
+        if (c) latest_commit = { sha: c.sha, message: c.message, date: c.date, author: c.author };
+      } catch { /* empty repo */ }
+      return { exists: true, repo_url: repo.html_url, full_name: fullName(tenant, solutionId), default_branch: repo.default_branch, latest_commit };
+    } catch {
+      return { exists: false, repo_url: null, full_name: fullName(tenant, solutionId) };
+    }
+  }
+
+  async function readFile(tenant, solutionId, filePath, branch = 'main') {
+    const name = repoName(tenant, solutionId);
+    try {
+      const file = await flavor.readFile(ctx, name, filePath, branch);
+      return { path: filePath, ...file };
+    } catch (err) {
+      if (isNotFound(err)) await resolveRef(name, branch, { operation: 'read' });
+      throw err;
+    }
+  }
+
+  async function getLog(tenant, solutionId, limit = 10, branch = 'main') {
+    const name = repoName(tenant, solutionId);
+    await resolveRef(name, branch, { operation: 'read' });
+    const commits = await flavor.commits(ctx, name, branch, limit);
+    return {
+      repo_url: await repoUrlOf(name),
+      commits: commits.map(c => ({ sha: c.sha.substring(0, 7), full_sha: c.sha, message: c.message, date: c.date, author: c.author, url: c.url })),
+    };
+  }
+
+  async function listFiles(tenant, solutionId, branch = 'main') {
+    return flavor.tree(ctx, repoName(tenant, solutionId), branch);
+  }
+
+  async function getDiff(tenant, solutionId, base = 'main', head = 'dev') {
+    const name = repoName(tenant, solutionId);
+    let baseSha, headSha;
+    try { baseSha = await resolveRef(name, base, { operation: 'read' }); }
+    catch (err) { throw new Error(`base="${base}" — ${err.message}`); }
+    try { headSha = await resolveRef(name, head, { operation: 'read' }); }
+    catch (err) { throw new Error(`head="${head}" — ${err.message}`); }
+
+    const ahead = await flavor.compare(ctx, name, baseSha, headSha);
+    const behind = await flavor.compare(ctx, name, headSha, baseSha);
+    const ahead_by = ahead.commits.length;
+    const behind_by = behind.commits.length;
+
+    const [baseTree, headTree] = await Promise.all([flavor.tree(ctx, name, baseSha), flavor.tree(ctx, name, headSha)]);
+    const baseFiles = new Map(baseTree.map(f => [f.path, f.sha]));
+    const headFiles = new Map(headTree.map(f => [f.path, f.sha]));
+    const files = [];
+    for (const [p, sha] of headFiles) {
+      if (!baseFiles.has(p)) files.push({ path: p, status: 'added' });
+      else if (baseFiles.get(p) !== sha) files.push({ path: p, status: 'modified' });
+    }
+    for (const p of baseFiles.keys()) if (!headFiles.has(p)) files.push({ path: p, status: 'removed' });
+
+    return {
+      ahead_by,
+      behind_by,
+      status: ahead_by && behind_by ? 'diverged' : ahead_by ? 'ahead' : behind_by ? 'behind' : 'identical',
+      commits: ahead.commits.map(c => ({ ...c, message: String(c.message || '').split('\n')[0].slice(0, 200), author: c.author || 'unknown', date: c.date || null })),
+      files: files.map(f => ({ ...f, ...(ahead.lineCounts.get(f.path) || { additions: 0, deletions: 0 }) })),
+    };
+  }
+
+  async function mergeBranch(tenant, solutionId, base = 'main', head = 'dev', commit_message = '') {
+    const name = repoName(tenant, solutionId);
+    const message = commit_message || `Merge ${head} into ${base}`;
+    try {
+      const { commits } = await flavor.compare(ctx, name, base, head);
+      if (commits.length === 0) return { ok: true, already_up_to_date: true, merge_commit_sha: null };
+      const merged = await flavor.merge(ctx, name, base, head, message);
+      return { ok: true, already_up_to_date: false, merge_commit_sha: merged.sha, merge_commit_url: merged.url };
+    } catch (err) {
+      throw new Error(`Merge ${head} → ${base} failed: ${err.message}`);
+    }
+  }
+
+  async function checkpoint(tenant, solutionId, label = '') {
+    const name = repoName(tenant, solutionId);
+    let mainSha;
+    try {
+      mainSha = await flavor.refSha(ctx, name, 'branch', 'main');
+    } catch {
+      throw new Error('Main branch not found.');
+    }
+    const now = new Date();
+    const existing = await flavor.tags(ctx, name).catch(() => []);
+    const tag = nextCheckpointTag(existing.map(t => t.name), now);
+    try {
+      await flavor.createTag(ctx, name, tag, mainSha, label ? `Prod checkpoint: ${label}` : `Prod checkpoint: ${tag}`);
+    } catch (err) {
+      throw new Error(`Could not create checkpoint tag: ${err.message}`);
+    }
+    return checkpointResult({ tag, label, sha: mainSha, repoUrl: await repoUrlOf(name), now });
+  }
+
+  async function listCheckpoints(tenant, solutionId) {
+    try {
+      return { checkpoints: checkpointList(await flavor.tags(ctx, repoName(tenant, solutionId))) };
+    } catch (err) {
+      throw new Error(`Cannot list checkpoints: ${err.message}`);
+    }
+  }
+
+  async function rollback(tenant, solutionId, target) {
+    const name = repoName(tenant, solutionId);
+    let targetSha;
+    try {
+      targetSha = await resolveRef(name, target, { operation: 'read' });
+    } catch {
+      throw new Error(`Cannot resolve "${target}" to a tag or commit SHA. Use ateam_github_list_versions to see available checkpoints.`);
+    }
+    let currentSha;
+    try {
+      currentSha = await flavor.refSha(ctx, name, 'branch', 'main');
+    } catch (err) {
+      throw new Error(`Cannot read main branch: ${err.message}`);
+    }
+    if (currentSha === targetSha) return rollbackNoop(target, currentSha);
+
+    // Additive: one commit on main that brings every file back to the target.
+    const [targetTree, mainTree] = await Promise.all([flavor.tree(ctx, name, targetSha), flavor.tree(ctx, name, currentSha)]);
+    const mainFiles = new Map(mainTree.map(f => [f.path, f.sha]));
+    const targetPaths = new Set(targetTree.map(f => f.path));
+    const changes = [];
+    for (const f of targetTree) {
+      if (mainFiles.get(f.path) === f.sha) continue;
+      const { content } = await flavor.readFile(ctx, name, f.path, targetSha);
+      changes.push({ operation: mainFiles.has(f.path) ? 'update' : 'create', path: f.path, content, sha: mainFiles.get(f.path) });
+    }
+    for (const [p, sha] of mainFiles) {
+      if (!targetPaths.has(p)) changes.push({ operation: 'delete', path: p, sha });
+    }
+    if (changes.length === 0) return rollbackNoop(target, currentSha);
+
+    let commit;
+    try {
+      commit = await flavor.commitFiles(ctx, name, 'main', rollbackMessage(target, targetSha, currentSha), changes);
+    } catch (err) {
+      throw new Error(`Cannot create rollback commit: ${err.message}`);
+    }
+    return rollbackResult({
+      target, targetSha, revertSha: commit.sha, revertUrl: commit.url, previousSha: currentSha,
+      branchUrl: branchUrl(await repoUrlOf(name), 'main'),
+    });
+  }
+
+  return {
+    name: flavorName,
+    isEnabled: () => Boolean(baseUrl && token && owner),
+    repoName,
+    listTenantRepos,
+    ensureRepo,
+    pushFiles,
+    getRepoStatus,
+    readFile,
+    getLog,
+    listFiles,
+    getDiff,
+    mergeBranch,
+    checkpoint,
+    listCheckpoints,
+    rollback,
+  };
+}
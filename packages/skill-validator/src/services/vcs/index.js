@@ -0,0 +1,278 @@
+/**
+ * Version control for A-Team solution repos — provider facade.
+ *
+ * gitSync, the bootstrap and the /github/* deploy routes call this module;
+ * it forwards to the provider selected by VCS_PROVIDER:
+ *
+ *   github — GitHub REST (githubService.js), the default
+ *   local  — bare repos on disk, no server needed (localGitProvider.js)
+ *   gitlab — self-hosted or gitlab.com (httpGitProvider.js)
+ *   gitea  — Gitea / Forgejo (httpGitProvider.js)
+ *
+ * A provider implements repoName, isEnabled, listTenantRepos, ensureRepo,
+ * pushFiles, getRepoStatus, readFile, getLog, listFiles, getDiff,
+ * mergeBranch, checkpoint, listCheckpoints and rollback. The exports keep
+ * githubService's names and return shapes; the rest of its surface
+ * (listDir, patchFile, deleteDirectory, promote, …) is derived here when a
+ * provider doesn't implement it, so the dev → main promotion flow is the
+ * same on every backend.
+ */
+
+import * as githubService from '../githubService.js';
+import { createLocalGitProvider } from './localGitProvider.js';
+import { createHttpGitProvider } from './httpGitProvider.js';
+
+export const PROVIDERS = ['github', 'local', 'gitlab', 'gitea'];
+
+/**
+ * Create a provider by name.
+ * @param {string} name - 'github' | 'local' | 'gitlab' | 'gitea'
+ * @param {object} options - provider options (see each provider)
+ */
+export function createProvider(name, options = {}) {
+  switch (name) {
+    case 'github':
+      return { name: 'github', ...githubService };
+    case 'local':
+      return createLocalGitProvider(options);
+    case 'gitlab':
+    case 'gitea':
+      return createHttpGitProvider({ ...options, flavor: name });
+    default:
+      throw new Error(`Unknown VCS provider: ${name}. Use one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+let provider = null;
+
+/** The active provider (VCS_PROVIDER, default github). */
+export function getProvider() {
+  if (!provider) provider = createProvider((process.env.VCS_PROVIDER || 'github').toLowerCase());
+  return provider;
+}
+
+/** Swap the active provider — tests and embedders. Pass null to reset. */
+export function setProvider(next) {
+  provider = next;
+}
+
+export function providerName() {
+  return getProvider().name;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Provider operations
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function repoName(tenant, solutionId) {
+  return getProvider().repoName(tenant, solutionId);
+}
+
+export function isEnabled() {
+  return getProvider().isEnabled();
+}
+
+export function listTenantRepos(tenant) {
+  return getProvider().listTenantRepos(tenant);
+}
+
+export function ensureRepo(tenant, solutionId, description) {
+  return getProvider().ensureRepo(tenant, solutionId, description);
+}
+
+export function pushFiles(tenant, solutionId, files, message, branch) {
+  return getProvider().pushFiles(tenant, solutionId, files, message, branch);
+}
+
+export function getRepoStatus(tenant, solutionId) {
+  return getProvider().getRepoStatus(tenant, solutionId);
+}
+
+export function readFile(tenant, solutionId, filePath, branch) {
+  return getProvider().readFile(tenant, solutionId, filePath, branch);
+}
+
+export function getLog(tenant, solutionId, limit, branch) {
+  return getProvider().getLog(tenant, solutionId, limit, branch);
+}
+
+export function listFiles(tenant, solutionId, branch) {
+  return getProvider().listFiles(tenant, solutionId, branch);
+}
+
+export function getDiff(tenant, solutionId, base, head) {
+  return getProvider().getDiff(tenant, solutionId, base, head);
+}
+
+export function mergeBranch(tenant, solutionId, base, head, commit_message) {
+  return getProvider().mergeBranch(tenant, solutionId, base, head, commit_message);
+}
+
+export function checkpoint(tenant, solutionId, label) {
+  return getProvider().checkpoint(tenant, solutionId, label);
+}
+
+export function listCheckpoints(tenant, solutionId) {
+  return getProvider().listCheckpoints(tenant, solutionId);
+}
+
+export function rollback(tenant, solutionId, target) {
+  return getProvider().rollback(tenant, solutionId, target);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Derived operations — the provider's own when it has one
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Drop a tenant's cached credentials (GitHub App tokens). */
+export function clearTenantTokenCache(tenant) {
+  return getProvider().clearTenantTokenCache?.(tenant);
+}
+
+/** Read-cache counters for /api/health, or null when the provider has no cache. */
+export function getReadCacheStats() {
+  return getProvider().getReadCacheStats?.() ?? null;
+}
+
+/**
+ * Subdirectory names directly under dirPath.
+ * @returns {Array<string>}
+ */
+export async function listDir(tenant, solutionId, dirPath, branch = 'main') {
+  const p = getProvider();
+  if (p.listDir) return p.listDir(tenant, solutionId, dirPath, branch);
+  const prefix = dirPath.replace(/\/+$/, '') + '/';
+  const dirs = new Set();
+  for (const f of await p.listFiles(tenant, solutionId, branch)) {
+    if (!f.path.startsWith(prefix)) continue;
+    const rest = f.path.slice(prefix.length);
+    if (rest.includes('/')) dirs.add(rest.split('/')[0]);
+  }
+  return [...dirs];
+}
+
+/**
+ * readFile that may be answered from a content-addressed cache. Providers
+ * without one read the file and report _cached: false.
+ */
+export async function readFileBySha(tenant, solutionId, filePath, sha, branch = 'main') {
+  const p = getProvider();
+  if (p.readFileBySha) return p.readFileBySha(tenant, solutionId, filePath, sha, branch);
+  return { ...(await p.readFile(tenant, solutionId, filePath, branch)), _cached: false };
+}
+
+/** Write one file in its own commit. */
+export async function patchFile(tenant, solutionId, filePath, content, message = `Update ${filePath}`, branch = 'main') {
+  const p = getProvider();
+  if (p.patchFile) return p.patchFile(tenant, solutionId, filePath, content, message, branch);
+  const existing = await p.readFile(tenant, solutionId, filePath, branch).catch(err => {
+    if (err.refNotFound) throw err;
+    return null;
+  });
+  const result = await p.pushFiles(tenant, solutionId, [{ path: filePath, content }], message, branch);
+  return { path: filePath, branch, commit_sha: result.commit_sha, commit_url: result.commit_url, created: !existing };
+}
+
+/**
+ * Replace every occurrence of `search` in a file, then commit.
+ * @returns {{ path, branch, commit_sha, commit_url, replacements }}
+ */
+export async function searchReplacePatchFile(tenant, solutionId, filePath, search, replace, message, branch = 'main') {
+  const p = getProvider();
+  if (p.searchReplacePatchFile) return p.searchReplacePatchFile(tenant, solutionId, filePath, search, replace, message, branch);
+  const { content } = await p.readFile(tenant, solutionId, filePath, branch);
+  const count = content.split(search).length - 1;
+  if (count === 0) {
+    throw new Error(`Search text not found in ${filePath}. Make sure the search string matches exactly (including whitespace and line breaks).`);
+  }
+  const result = await p.pushFiles(
+    tenant,
+    solutionId,
+    [{ path: filePath, content: content.replaceAll(search, replace) }],
+    message || `Edit ${filePath} (${count} replacement${count > 1 ? 's' : ''})`,
+    branch,
+  );
+  return { path: filePath, branch, commit_sha: result.commit_sha, commit_url: result.commit_url, replacements: count };
+}
+
+/**
+ * Delete every file under dirPath on main in one commit.
+ * @returns {{ branches: { main: { commit_sha, files_deleted } }, total_files_deleted }}
+ */
+export async function deleteDirectory(tenant, solutionId, dirPath, message = `Delete ${dirPath}`) {
+  const p = getProvider();
+  if (p.deleteDirectory) return p.deleteDirectory(tenant, solutionId, dirPath, message);
+  const prefix = dirPath.replace(/\/+$/, '') + '/';
+  let main;
+  try {
+    const toDelete = (await p.listFiles(tenant, solutionId, 'main')).filter(f => f.path.startsWith(prefix));
+    if (toDelete.length === 0) {
+      main = { commit_sha: null, files_deleted: 0 };
+    } else {
+      const result = await p.pushFiles(tenant, solutionId, toDelete.map(f => ({ path: f.path, delete: true })), message, 'main');
+      main = { commit_sha: result.commit_sha, files_deleted: toDelete.length };
+    }
+  } catch (err) {
+    console.warn(`[VCS] Failed to delete ${dirPath} from main:`, err.message);
+    main = { error: err.message, files_deleted: 0 };
+  }
+  return { branches: { main }, total_files_deleted: main.files_deleted };
+}
+
+/**
+ * Promote dev → main: diff, merge, then tag the new main HEAD.
+ * See githubService.promote for the result shape.
+ */
+export async function promote(tenant, solutionId, options = {}) {
+  const p = getProvider();
+  if (p.promote) return p.promote(tenant, solutionId, options);
+  const { label = '', skipTag = false } = options;
+
+  const diff = await p.getDiff(tenant, solutionId, 'main', 'dev');
+  if (diff.ahead_by === 0) {
+    return {
+      ok: true,
+      already_up_to_date: true,
+      merged_commits: 0,
+      _hint: 'dev is not ahead of main — nothing to promote.',
+    };
+  }
+
+  const merge = await p.mergeBranch(
+    tenant,
+    solutionId,
+    'main',
+    'dev',
+    `Promote: merge dev → main (${diff.ahead_by} commits across ${diff.files.length} files)`,
+  );
+
+  // Auto-tag is best-effort — the merge already landed
+  let tag = null;
+  if (!skipTag) {
+    try {
+      tag = (await p.checkpoint(tenant, solutionId, label || `promote ${diff.ahead_by}-commits`)).tag;
+    } catch (err) {
+      console.warn(`[promote] Auto-tag failed (promote itself succeeded): ${err.message}`);
+    }
+  }
+
+  return {
+    ok: true,
+    already_up_to_date: false,
+    merged_commits: diff.ahead_by,
+    files_changed: diff.files.length,
+    merge_commit_sha: merge.merge_commit_sha,
+    merge_commit_url: merge.merge_commit_url,
+    tag,
+    files: diff.files.slice(0, 20),
+    _hint: tag
+      ? `Promoted ${diff.ahead_by} commit(s) to main. Tagged as ${tag}. Run ateam_build_and_run() to deploy main.`
+      : `Promoted ${diff.ahead_by} commit(s) to main. Run ateam_build_and_run() to deploy main.`,
+  };
+}
+
+/** @deprecated Use pushFiles instead. */
+export const pushToDev = pushFiles;
+
+/** @deprecated Use listCheckpoints instead. */
+export const listDevVersions = listCheckpoints;
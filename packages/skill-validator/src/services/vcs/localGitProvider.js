@@ -0,0 +1,384 @@
+/**
+ * Local git provider — solution repos as bare repositories on disk.
+ *
+ * For air-gapped installs and offline tests: the full dev→main flow
+ * (push, diff, promote, checkpoint, rollback) without a git host. Needs the
+ * `git` binary (2.38+ for `merge-tree --write-tree`); nothing else.
+ *
+ * Every write builds its commit with plumbing commands against a throwaway
+ * index (no worktree) and moves the branch with a compare-and-swap
+ * `update-ref`, so concurrent pushes to the same repo retry on top of each
+ * other instead of losing a write.
+ *
+ * Layout: <root>/<tenant>--<solutionId>.git
+ *
+ * Env vars:
+ *   VCS_LOCAL_ROOT     — directory holding the bare repos (default: <TENANTS_ROOT>/_git)
+ *   VCS_AUTHOR_NAME    — commit author (default: "A-Team Builder")
+ *   VCS_AUTHOR_EMAIL   — commit author email (default: "builder@ateam.local")
+ */
+
+import { spawn } from 'node:child_process';
+import { existsSync, mkdirSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  repoName,
+  refNotFoundError,
+  nextCheckpointTag,
+  checkpointList,
+  checkpointResult,
+  rollbackResult,
+  rollbackNoop,
+  rollbackMessage,
+  initialReadme,
+} from './common.js';
+
+const PUSH_MAX_RETRIES = 4;
+const ZERO_SHA = '0000000000000000000000000000000000000000';
+
+function defaultRoot() {
+  return process.env.VCS_LOCAL_ROOT || path.join(process.env.TENANTS_ROOT || '/tenants', '_git');
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+/**
+ * Create a provider over bare repos under `root`.
+ * @param {object} [options] - { root, authorName, authorEmail }
+ */
+export function createLocalGitProvider(options = {}) {
+  const root = options.root || defaultRoot();
+  const identity = {
+    GIT_AUTHOR_NAME: options.authorName || process.env.VCS_AUTHOR_NAME || 'A-Team Builder',
+    GIT_AUTHOR_EMAIL: options.authorEmail || process.env.VCS_AUTHOR_EMAIL || 'builder@ateam.local',
+  };
+  identity.GIT_COMMITTER_NAME = identity.GIT_AUTHOR_NAME;
+  identity.GIT_COMMITTER_EMAIL = identity.GIT_AUTHOR_EMAIL;
+
+  const repoDir = (tenant, solutionId) => path.join(root, `${repoName(tenant, solutionId)}.git`);
+  const repoUrl = (dir) => `file://${dir}`;
+
+  /** Run git in a repo; resolves stdout, rejects with { code, stderr }. */
+  function git(dir, args, { input, env, allowFail = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('git', args, {
+        cwd: dir,
+        env: { ...process.env, ...identity, GIT_DIR: dir, ...env },
+      });
+      const out = [];
+      const errOut = [];
+      child.stdout.on('data', d => out.push(d));
+      child.stderr.on('data', d => errOut.push(d));
+      child.on('error', reject);
+      child.on('close', (code) => {
+        const stdout = Buffer.concat(out).toString('utf-8');
+        if (code === 0 || allowFail) return resolve(allowFail ? { code, stdout } : stdout);
+        const err = new Error(`git ${args[0]} failed (${code}): ${Buffer.concat(errOut).toString('utf-8').trim()}`);
+        err.code = code;
+        reject(err);
+      });
+      if (input !== undefined) child.stdin.end(input);
+      else child.stdin.end();
+    });
+  }
+
+  function requireRepo(tenant, solutionId) {
+    const dir = repoDir(tenant, solutionId);
+    if (!existsSync(path.join(dir, 'HEAD'))) {
+      const err = new Error(`Repository ${repoName(tenant, solutionId)} not found`);
+      err.status = 404;
+      throw err;
+    }
+    return dir;
+  }
+
+  /** Resolve a branch / tag / SHA to a commit SHA, or throw refNotFound. */
+  async function resolveRef(dir, ref, ctx) {
+    const { code, stdout } = await git(dir, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { allowFail: true });
+    if (code !== 0) throw refNotFoundError(path.basename(dir, '.git'), ref, ctx);
+    return stdout.trim();
+  }
+
+  /** Write a commit of `tree` on `parents` and move `branch` from `oldSha` to it. */
+  async function commitAndMove(dir, tree, parents, message, branch, oldSha) {
+    const args = ['commit-tree', tree, ...parents.flatMap(p => ['-p', p])];
+    const sha = (await git(dir, args, { input: message })).trim();
+    const { code } = await git(dir, ['update-ref', `refs/heads/${branch}`, sha, oldSha], { allowFail: true });
+    return code === 0 ? sha : null;
+  }
+
+  async function listTree(dir, ref) {
+    const out = await git(dir, ['ls-tree', '-r', '-l', '-z', '--full-tree', ref]);
+    return out.split('\0').filter(Boolean).map(line => {
+      const [meta, filePath] = line.split('\t');
+      const [, type, sha, size] = meta.split(/\s+/);
+      return { path: filePath, type, sha, size: size === '-' ? null : Number(size) };
+    }).filter(e => e.type === 'blob');
+  }
+
+  async function tagNames(dir) {
+    return (await git(dir, ['tag', '--list'])).split('\n').filter(Boolean);
+  }
+
+  // ───────────────────────────────────────────────────────────────────────────
+
+  async function listTenantRepos(tenant) {
+    if (!existsSync(root)) return [];
+    const prefix = `${tenant}--`;
+    return readdirSync(root)
+      .filter(name => name.startsWith(prefix) && name.endsWith('.git'))
+      .map(name => ({
+        solutionId: name.slice(prefix.length, -'.git'.length),
+        repo_url: repoUrl(path.join(root, name)),
+      }));
+  }
+
+  async function ensureRepo(tenant, solutionId, description = '') {
+    const dir = repoDir(tenant, solutionId);
+    const fullName = repoName(tenant, solutionId);
+    if (existsSync(path.join(dir, 'HEAD'))) {
+      return { repo_url: repoUrl(dir), full_name: fullName, created: false };
+    }
+
+    mkdirSync(dir, { recursive: true });
+    await git(dir, ['init', '--bare', '--quiet', '--initial-branch=main', dir]);
+    writeFileSync(path.join(dir, 'description'), description || `A-Team solution: ${solutionId} (tenant: ${tenant})`);
+
+    // Same starting point as a hosted repo created with a README: one commit
+    // on main, and dev branched from it so the promote flow works at once.
+    const blob = (await git(dir, ['hash-object', '-w', '--stdin'], { input: initialReadme(tenant, solutionId, description) })).trim();
+    const tree = (await git(dir, ['mktree'], { input: `100644 blob ${blob}\tREADME.md\n` })).trim();
+    const sha = (await git(dir, ['commit-tree', tree], { input: 'Initial commit' })).trim();
+    // A concurrent ensureRepo may have won the race — its commit stands.
+    await git(dir, ['update-ref', 'refs/heads/main', sha, ZERO_SHA], { allowFail: true });
+    await git(dir, ['update-ref', 'refs/heads/dev', sha, ZERO_SHA], { allowFail: true });
+
+    return { repo_url: repoUrl(dir), full_name: fullName, created: true };
+  }
+
+  /**
+   * Atomic multi-file commit. Entries with `delete: true` remove the path.
+   */
+  async function pushFiles(tenant, solutionId, files, message = 'Update solution', branch = 'main') {
+    const dir = requireRepo(tenant, solutionId);
+    await resolveRef(dir, branch, { operation: 'write' });
+
+    // Blobs are content-addressed — write them once, reuse on every retry.
+    const indexInfo = [];
+    for (const file of files) {
+      if (file.delete) {
+        indexInfo.push(`0 ${ZERO_SHA}\t${file.path}`);
+      } else {
+        const blob = (await git(dir, ['hash-object', '-w', '--stdin'], { input: file.content ?? '' })).trim();
+        indexInfo.push(`100644 ${blob}\t${file.path}`);
+      }
+    }
+
+    const indexFile = path.join(tmpdir(), `vcs-index-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    try {
+      for (let attempt = 0; attempt <= PUSH_MAX_RETRIES; attempt++) {
+        const head = (await git(dir, ['rev-parse', `refs/heads/${branch}`])).trim();
+        const env = { GIT_INDEX_FILE: indexFile };
+        await git(dir, ['read-tree', head], { env });
+        await git(dir, ['update-index', '--index-info'], { env, input: indexInfo.join('\n') + '\n' });
+        const tree = (await git(dir, ['write-tree'], { env })).trim();
+
+        const sha = await commitAndMove(dir, tree, [head], message, branch, head);
+        if (sha) {
+          return {
+            commit_sha: sha,
+            commit_url: null,
+            files_committed: files.length,
+            ...(attempt > 0 && { retries: attempt }),
+          };
+        }
+        // Another push moved the branch since we read HEAD — rebuild on top of it.
+        await sleep(Math.floor((20 + Math.random() * 40) * (2 ** attempt)));
+      }
+    } finally {
+      rmSync(indexFile, { force: true });
+    }
+    throw new Error(`pushFiles failed after ${PUSH_MAX_RETRIES} retries: ${branch} kept moving`);
+  }
+
+  async function getRepoStatus(tenant, solutionId) {
+    const dir = repoDir(tenant, solutionId);
+    const fullName = repoName(tenant, solutionId);
+    if (!existsSync(path.join(dir, 'HEAD'))) return { exists: false, repo_url: null, full_name: fullName };
+    const { log } = await readLog(dir, 1, 'main').catch(() => ({ log: [] }));
+    const latest = log[0];
+    return {
+      exists: true,
+      repo_url: repoUrl(dir),
+      full_name: fullName,
+      default_branch: 'main',
+      latest_commit: latest ? { sha: latest.full_sha, message: latest.message, date: latest.date, author: latest.author } : null,
+    };
+  }
+
+  async function readFile(tenant, solutionId, filePath, branch = 'main') {
+    const dir = requireRepo(tenant, solutionId);
+    const ref = await resolveRef(dir, branch, { operation: 'read' });
+    const entry = (await git(dir, ['ls-tree', '-l', ref, '--', filePath])).trim();
+    if (!entry) {
+      const err = new Error(`${filePath} not found on ${branch}`);
+      err.status = 404;
+      throw err;
+    }
+    const [meta] = entry.split('\t');
+    const [, type, sha, size] = meta.split(/\s+/);
+    if (type !== 'blob') throw new Error(`${filePath} is a dir, not a file`);
+    const content = await git(dir, ['cat-file', 'blob', sha]);
+    return { path: filePath, content, sha, size: Number(size) };
+  }
+
+  async function readLog(dir, limit, ref) {
+    const sha = await resolveRef(dir, ref, { operation: 'read' });
+    const out = await git(dir, ['log', `-n${limit}`, '--format=%H%x1f%an%x1f%cI%x1f%B%x1e', sha]);
+    const log = out.split('\x1e').map(s => s.trim()).filter(Boolean).map(rec => {
+      const [full_sha, author, date, message] = rec.split('\x1f');
+      return { sha: full_sha.slice(0, 7), full_sha, message: message.trim(), date, author, url: null };
+    });
+    return { log };
+  }
+
+  async function getLog(tenant, solutionId, limit = 10, branch = 'main') {
+    const dir = requireRepo(tenant, solutionId);
+    const { log } = await readLog(dir, limit, branch);
+    return { repo_url: repoUrl(dir), commits: log };
+  }
+
+  async function listFiles(tenant, solutionId, branch = 'main') {
+    const dir = requireRepo(tenant, solutionId);
+    const ref = await resolveRef(dir, branch, { operation: 'read' });
+    return (await listTree(dir, ref)).map(({ path: p, size, sha }) => ({ path: p, size, sha }));
+  }
+
+  async function getDiff(tenant, solutionId, base = 'main', head = 'dev') {
+    const dir = requireRepo(tenant, solutionId);
+    let baseSha, headSha;
+    try { baseSha = await resolveRef(dir, base, { operation: 'read' }); }
+    catch (err) { throw new Error(`base="${base}" — ${err.message}`); }
+    try { headSha = await resolveRef(dir, head, { operation: 'read' }); }
+    catch (err) { throw new Error(`head="${head}" — ${err.message}`); }
+
+    const [behind, ahead] = (await git(dir, ['rev-list', '--left-right', '--count', `${baseSha}...${headSha}`]))
+      .trim().split(/\s+/).map(Number);
+    const status = ahead && behind ? 'diverged' : ahead ? 'ahead' : behind ? 'behind' : 'identical';
+
+    const log = await git(dir, ['log', '--reverse', '--format=%H%x1f%an%x1f%aI%x1f%s%x1e', `${baseSha}..${headSha}`]);
+    const commits = log.split('\x1e').map(s => s.trim()).filter(Boolean).map(rec => {
+      const [sha, author, date, subject] = rec.split('\x1f');
+      return { sha, message: subject.slice(0, 200), author, date };
+    });
+
+    // Three-dot: what head changed since it forked from base, like a PR.
+    const range = `${baseSha}...${headSha}`;
+    const names = (await git(dir, ['diff', '--name-status', '--no-renames', '-z', range])).split('\0').filter(Boolean);
+    const counts = new Map();
+    for (const line of (await git(dir, ['diff', '--numstat', '--no-renames', '-z', range])).split('\0').filter(Boolean)) {
+      const [add, del, filePath] = line.split('\t');
+      counts.set(filePath, { additions: Number(add) || 0, deletions: Number(del) || 0 });
+    }
+    const STATUS = { A: 'added', D: 'removed', M: 'modified', T: 'modified' };
+    const files = [];
+    for (let i = 0; i < names.length; i += 2) {
+      const filePath = names[i + 1];
+      files.push({ path: filePath, status: STATUS[names[i]] || 'modified', ...(counts.get(filePath) || { additions: 0, deletions: 0 }) });
+    }
+
+    return { ahead_by: ahead, behind_by: behind, status, commits, files };
+  }
+
+  async function mergeBranch(tenant, solutionId, base = 'main', head = 'dev', commit_message = '') {
+    const dir = requireRepo(tenant, solutionId);
+    const message = commit_message || `Merge ${head} into ${base}`;
+    try {
+      const baseSha = await resolveRef(dir, base, { operation: 'write' });
+      const headSha = await resolveRef(dir, head, { operation: 'read' });
+
+      const upToDate = await git(dir, ['merge-base', '--is-ancestor', headSha, baseSha], { allowFail: true });
+      if (upToDate.code === 0) return { ok: true, already_up_to_date: true, merge_commit_sha: null };
+
+      const merged = await git(dir, ['merge-tree', '--write-tree', '--name-only', '--no-messages', baseSha, headSha], { allowFail: true });
+      const [tree, ...conflicted] = merged.stdout.trim().split('\n');
+      if (merged.code !== 0) {
+        const err = new Error(`409 conflict in ${conflicted.filter(Boolean).join(', ') || 'the merge'}`);
+        err.status = 409;
+        throw err;
+      }
+
+      const sha = await commitAndMove(dir, tree, [baseSha, headSha], message, base, baseSha);
+      if (!sha) throw new Error(`${base} moved during the merge — retry`);
+      return { ok: true, already_up_to_date: false, merge_commit_sha: sha, merge_commit_url: null };
+    } catch (err) {
+      throw Object.assign(new Error(`Merge ${head} → ${base} failed: ${err.message}`), { status: err.status });
+    }
+  }
+
+  async function checkpoint(tenant, solutionId, label = '') {
+    const dir = requireRepo(tenant, solutionId);
+    let mainSha;
+    try {
+      mainSha = await resolveRef(dir, 'main', { operation: 'read' });
+    } catch {
+      throw new Error('Main branch not found.');
+    }
+    const now = new Date();
+    const tag = nextCheckpointTag(await tagNames(dir), now);
+    try {
+      await git(dir, ['tag', '-a', tag, '-m', label ? `Prod checkpoint: ${label}` : `Prod checkpoint: ${tag}`, mainSha]);
+    } catch (err) {
+      throw new Error(`Could not create checkpoint tag: ${err.message}`);
+    }
+    return checkpointResult({ tag, label, sha: mainSha, repoUrl: repoUrl(dir), now });
+  }
+
+  async function listCheckpoints(tenant, solutionId) {
+    const dir = requireRepo(tenant, solutionId);
+    const out = await git(dir, ['for-each-ref', '--format=%(refname:short)%09%(objectname)%09%(*objectname)', 'refs/tags']);
+    const tags = out.split('\n').filter(Boolean).map(line => {
+      const [name, sha, peeled] = line.split('\t');
+      return { name, sha: peeled || sha };
+    });
+    return { checkpoints: checkpointList(tags) };
+  }
+
+  async function rollback(tenant, solutionId, target) {
+    const dir = requireRepo(tenant, solutionId);
+    let targetSha;
+    try {
+      targetSha = await resolveRef(dir, target, { operation: 'read' });
+    } catch {
+      throw new Error(`Cannot resolve "${target}" to a tag or commit SHA. Use ateam_github_list_versions to see available checkpoints.`);
+    }
+    const currentSha = await resolveRef(dir, 'main', { operation: 'read' });
+    if (currentSha === targetSha) return rollbackNoop(target, currentSha);
+
+    // Additive: a new commit on main carrying the target's tree.
+    const tree = (await git(dir, ['rev-parse', `${targetSha}^{tree}`])).trim();
+    const sha = await commitAndMove(dir, tree, [currentSha], rollbackMessage(target, targetSha, currentSha), 'main', currentSha);
+    if (!sha) throw new Error('Cannot update main: it moved during the rollback — retry');
+    return rollbackResult({ target, targetSha, revertSha: sha, previousSha: currentSha });
+  }
+
+  return {
+    name: 'local',
+    root,
+    isEnabled: () => true,
+    repoName,
+    listTenantRepos,
+    ensureRepo,
+    pushFiles,
+    getRepoStatus,
+    readFile,
+    getLog,
+    listFiles,
+    getDiff,
+    mergeBranch,
+    checkpoint,
+    listCheckpoints,
+    rollback,
+  };
+}
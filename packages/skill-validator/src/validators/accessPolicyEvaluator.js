@@ -0,0 +1,365 @@
+/**
+ * Access Policy Evaluator - runs a skill's access_policy against a hypothetical call
+ * @module validators/accessPolicyEvaluator
+ *
+ * securityValidator only checks that rules exist and reference real tools.
+ * This evaluates them the way the platform does before every tool call:
+ *
+ *   1. Rules are tried top to bottom; the first rule whose tools, `when`
+ *      (provenance) and grant requirements (`require`, `requires_grants`,
+ *      `require_grants`) all hold is applied.
+ *   2. No matching rule → access_policy.default_effect (deny when unset).
+ *   3. `deny:<key>` grants and expired grants make <key> absent.
+ *   4. constrain rules inject grant values into the call arguments
+ *      (inject with "${grants.<key>}" templates, constrain.inject_args,
+ *      constrain_query), overriding the caller.
+ *
+ * Pure: no I/O, the caller supplies the skill and the actor.
+ */
+
+/**
+ * @typedef {import('../types/DraftSkill.js').DraftSkill} DraftSkill
+ */
+
+/**
+ * Hypothetical caller of a tool.
+ * @typedef {Object} SimulatedActor
+ * @property {string} [name] - Label shown in the what-if matrix
+ * @property {string} [origin_type] - channel | trigger | skill_message | skill_handoff
+ * @property {string} [channel]
+ * @property {string} [root_origin_type] - Defaults to origin_type
+ * @property {string} [root_channel] - Defaults to channel
+ * @property {string[]} [roles] - Exposed to rules as the "role" grant
+ * @property {Object.<string, string|{value: string, expires_at?: string}>} [grants]
+ */
+
+/**
+ * Outcome of one simulated call.
+ * @typedef {Object} AccessDecision
+ * @property {string} tool
+ * @property {'allow'|'deny'|'constrain'} effect - Final effect
+ * @property {number|null} rule_index - Index into access_policy.rules, null for the default
+ * @property {Object|null} rule - The applied rule
+ * @property {string} reason
+ * @property {Object} args - Call arguments after constraint injection
+ * @property {Array<{field: string, grant: string|null, value: any, previous?: any}>} injected
+ * @property {string|null} response_filter
+ * @property {Array<{index: number, matched: boolean, reason: string}>} trace - Why each rule did or did not apply
+ * @property {string[]} warnings
+ */
+
+const GRANT_REF_PREFIX = '$grant:';
+const DENY_PREFIX = 'deny:';
+const ROLE_GRANT = 'role';
+const MATCH_GRANT_KEYS = ['has_grant', 'grant_value'];
+const GRANT_TEMPLATE = /\$\{grants\.([^}]+)\}/g;
+const WHOLE_GRANT_TEMPLATE = /^\$\{grants\.([^}]+)\}$/;
+
+// ═══════════════════════════════════════════════════════════════
+// GRANTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Effective grants of an actor: expired and deny-overridden grants dropped,
+ * roles exposed as the "role" grant.
+ *
+ * @param {SimulatedActor} actor
+ * @param {Date} [now]
+ * @returns {Map<string, any>}
+ */
+export function resolveGrants(actor = {}, now = new Date()) {
+  const grants = new Map();
+  const denied = new Set();
+
+  for (const [key, raw] of Object.entries(actor.grants || {})) {
+    const isEntry = raw !== null && typeof raw === 'object' && !Array.isArray(raw);
+    if (isEntry && raw.expires_at && new Date(raw.expires_at) <= now) continue;
+    const value = isEntry ? raw.value : raw;
+    if (key.startsWith(DENY_PREFIX)) {
+      denied.add(key.slice(DENY_PREFIX.length));
+    } else {
+      grants.set(key, value);
+    }
+  }
+
+  if (actor.roles?.length > 0 && !grants.has(ROLE_GRANT)) {
+    grants.set(ROLE_GRANT, actor.roles);
+  }
+  for (const key of denied) grants.delete(key);
+
+  return grants;
+}
+
+/**
+ * Whether a grant value satisfies an expected value. Expected arrays are
+ * any-of; array grant values (roles) match when they contain the expected value.
+ */
+function grantValueMatches(actual, expected) {
+  const expectedList = Array.isArray(expected) ? expected : [expected];
+  const actualList = Array.isArray(actual) ? actual : [actual];
+  return expectedList.some(e => actualList.some(a => String(a) === String(e)));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RULE MATCHING
+// ═══════════════════════════════════════════════════════════════
+
+function ruleCoversTool(rule, toolName) {
+  return (rule.tools || []).some(ref => ref === '*' || ref === toolName);
+}
+
+/**
+ * Provenance of the actor, with root_* falling back to the immediate origin
+ * (a job that was not handed off is its own root).
+ */
+function actorProvenance(actor) {
+  return {
+    origin_type: actor.origin_type,
+    channel: actor.channel,
+    root_origin_type: actor.root_origin_type || actor.origin_type,
+    root_channel: actor.root_channel || actor.channel,
+  };
+}
+
+/**
+ * @returns {string|null} Why the `when` block does not hold, or null when it does
+ */
+function checkWhen(when, actor) {
+  if (!when) return null;
+  const provenance = actorProvenance(actor);
+
+  for (const [key, expected] of Object.entries(when)) {
+    if (MATCH_GRANT_KEYS.includes(key)) continue; // spec-style match block; checked with the grants
+    if (expected === 'any' || expected === undefined || expected === null) continue;
+    const actual = key in provenance ? provenance[key] : actor[key];
+    const allowed = Array.isArray(expected) ? expected : [expected];
+    if (!allowed.includes(actual)) {
+      return `when.${key} is ${allowed.join(' | ')}, actor has ${actual ?? 'none'}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Grant requirements of a rule, from the builder format (require.has_grant,
+ * require.grant_value), the spec format (requires_grants: string[]) and the
+ * older match.has_grant / require_grants: [{ key, value }].
+ * @returns {Array<{key: string, value?: any}>}
+ */
+function ruleRequirements(rule) {
+  const requirements = [];
+  const require = rule.require || {};
+
+  const hasGrant = require.has_grant ?? rule.match?.has_grant;
+  for (const key of [].concat(hasGrant || [])) {
+    requirements.push({ key });
+  }
+
+  const grantValue = require.grant_value ?? rule.match?.grant_value;
+  if (grantValue && typeof grantValue === 'object' && !Array.isArray(grantValue)) {
+    for (const [key, value] of Object.entries(grantValue)) {
+      requirements.push({ key, value });
+    }
+  } else if (grantValue !== undefined && typeof hasGrant === 'string') {
+    // Spec shorthand: { has_grant: role, grant_value: admin }
+    requirements[requirements.length - 1].value = grantValue;
+  }
+
+  for (const key of [].concat(rule.requires_grants || [])) {
+    if (typeof key === 'string' && key) requirements.push({ key });
+  }
+
+  for (const entry of rule.require_grants || []) {
+    if (entry?.key) requirements.push(entry.value === undefined ? { key: entry.key } : { key: entry.key, value: entry.value });
+  }
+
+  return requirements;
+}
+
+/**
+ * @returns {string|null} Why the grant requirements fail, or null when they hold
+ */
+function checkRequirements(rule, grants) {
+  for (const { key, value } of ruleRequirements(rule)) {
+    if (!grants.has(key)) {
+      return `missing grant ${key}`;
+    }
+    if (value !== undefined && !grantValueMatches(grants.get(key), value)) {
+      return `grant ${key} is ${JSON.stringify(grants.get(key))}, rule requires ${JSON.stringify(value)}`;
+    }
+  }
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CONSTRAINT INJECTION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Arguments a constrain rule injects. inject values are "${grants.<key>}"
+ * (the grant value as is), strings embedding such templates, or literals;
+ * inject_args values are "$grant:<key>" or a bare grant key.
+ * @returns {Array<{field: string, grant?: string, template?: string, value?: any}>}
+ */
+function ruleInjections(rule) {
+  const injections = [];
+  for (const [field, ref] of Object.entries(rule.inject || {})) {
+    const whole = typeof ref === 'string' && ref.match(WHOLE_GRANT_TEMPLATE);
+    if (whole) injections.push({ field, grant: whole[1] });
+    else if (typeof ref === 'string' && ref.match(GRANT_TEMPLATE)) injections.push({ field, template: ref });
+    else injections.push({ field, value: ref });
+  }
+  for (const [field, ref] of Object.entries(rule.constrain?.inject_args || {})) {
+    if (typeof ref !== 'string') continue;
+    const grant = ref.startsWith(GRANT_REF_PREFIX) ? ref.slice(GRANT_REF_PREFIX.length) : ref;
+    injections.push({ field, grant });
+  }
+  for (const entry of rule.constrain_query || rule.constrain?.constrain_query || []) {
+    if (entry?.field && entry.must_equal_grant) {
+      injections.push({ field: entry.field, grant: entry.must_equal_grant });
+    }
+  }
+  return injections;
+}
+
+function injectConstraints(rule, args, grants) {
+  const rewritten = { ...args };
+  const injected = [];
+  const missing = [];
+
+  for (const { field, grant, template, value: literal } of ruleInjections(rule)) {
+    const needed = grant ? [grant] : template ? [...template.matchAll(GRANT_TEMPLATE)].map(m => m[1]) : [];
+    const absent = needed.filter(key => !grants.has(key));
+    if (absent.length > 0) {
+      missing.push(...absent);
+      continue;
+    }
+    const value = grant ? grants.get(grant)
+      : template ? template.replace(GRANT_TEMPLATE, (_, key) => String(grants.get(key)))
+      : literal;
+    const entry = { field, grant: needed.join(', ') || null, value };
+    if (field in rewritten && rewritten[field] !== value) {
+      entry.previous = rewritten[field];
+    }
+    rewritten[field] = value;
+    injected.push(entry);
+  }
+
+  return { args: rewritten, injected, missing };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EVALUATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Evaluate the skill's access policy for one tool call.
+ *
+ * @param {DraftSkill} skill
+ * @param {Object} call
+ * @param {SimulatedActor} call.actor
+ * @param {string} call.tool - Tool name
+ * @param {Object} [call.args] - Arguments the agent would pass
+ * @param {Date} [call.now] - Clock for grant expiry
+ * @returns {AccessDecision}
+ */
+export function evaluateAccess(skill, { actor = {}, tool, args = {}, now = new Date() }) {
+  const policy = skill.access_policy || {};
+  const rules = policy.rules || [];
+  const grants = resolveGrants(actor, now);
+  const trace = [];
+  const warnings = [];
+
+  const decision = (fields) => ({
+    tool,
+    rule_index: null,
+    rule: null,
+    args: { ...args },
+    injected: [],
+    response_filter: null,
+    ...fields,
+    trace,
+    warnings,
+  });
+
+  if (rules.length === 0) {
+    return decision({ effect: 'allow', reason: 'Skill has no access policy; every call is allowed' });
+  }
+
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (!ruleCoversTool(rule, tool)) {
+      trace.push({ index: i, matched: false, reason: 'tool not listed' });
+      continue;
+    }
+    const skip = checkWhen(rule.when || rule.match, actor) || checkRequirements(rule, grants);
+    if (skip) {
+      trace.push({ index: i, matched: false, reason: skip });
+      continue;
+    }
+    trace.push({ index: i, matched: true, reason: 'first match' });
+
+    const label = rule.name || `#${i + 1}`;
+    const effect = rule.effect || 'allow';
+    if (effect === 'deny') {
+      return decision({
+        effect: 'deny',
+        rule_index: i,
+        rule,
+        reason: rule.deny_message || `Denied by rule ${label}`,
+      });
+    }
+    if (effect === 'constrain') {
+      const { args: rewritten, injected, missing } = injectConstraints(rule, args, grants);
+      if (missing.length > 0) {
+        return decision({
+          effect: 'deny',
+          rule_index: i,
+          rule,
+          reason: `Rule ${label} constrains the call with ${missing.join(', ')}, which the actor does not have`,
+        });
+      }
+      return decision({
+        effect: 'constrain',
+        rule_index: i,
+        rule,
+        args: rewritten,
+        injected,
+        response_filter: rule.constrain?.response_filter || rule.response_filter || null,
+        reason: `Allowed by rule ${label} with constraints`,
+      });
+    }
+    return decision({ effect: 'allow', rule_index: i, rule, reason: `Allowed by rule ${label}` });
+  }
+
+  const defaultEffect = policy.default_effect || 'deny';
+  if (defaultEffect === 'allow') {
+    warnings.push(`No rule matched "${tool}" and default_effect is allow — the call goes through unchecked`);
+  }
+  return decision({
+    effect: defaultEffect === 'allow' ? 'allow' : 'deny',
+    reason: `No rule matched; default_effect ${defaultEffect}`,
+  });
+}
+
+/**
+ * Evaluate every actor against every tool (the what-if matrix).
+ *
+ * @param {DraftSkill} skill
+ * @param {Object} options
+ * @param {SimulatedActor[]} options.actors
+ * @param {string[]} [options.tools] - Defaults to all skill tools
+ * @param {Object.<string, Object>} [options.args] - Arguments per tool name
+ * @param {Date} [options.now]
+ * @returns {{ tools: string[], rows: Array<{ actor: SimulatedActor, cells: AccessDecision[] }> }}
+ */
+export function simulateAccessMatrix(skill, { actors = [], tools, args = {}, now = new Date() }) {
+  const toolNames = tools || (skill.tools || []).map(t => t.name).filter(Boolean);
+  return {
+    tools: toolNames,
+    rows: actors.map(actor => ({
+      actor,
+      cells: toolNames.map(tool => evaluateAccess(skill, { actor, tool, args: args[tool] || {}, now })),
+    })),
+  };
+}
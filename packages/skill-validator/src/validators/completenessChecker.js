@@ -19,7 +19,7 @@ export const COVERAGE = [
   { section: 'intents', field: 'intents.supported', check: 'At least 1 intent with description + examples', type: 'completeness' },
   { section: 'tools', field: 'tools', check: 'At least 1 tool with name, description, output', type: 'completeness' },
   { section: 'policy', field: 'policy.guardrails', check: 'At least 1 guardrail (never or always)', type: 'completeness' },
-  { section: 'mocks', field: 'tools[].mock_status', check: 'All tools tested or skipped', type: 'completeness' },
+  { section: 'mocks', field: 'tools[].mock_status', check: 'All tools skipped or tested with a passing recorded run', type: 'completeness' },
   { section: 'identity', field: 'skill_identity', check: 'Has display_name and outbound email configured', type: 'completeness' },
   { section: 'security', field: 'access_policy + grant_mappings', check: 'All high-risk tools have access policies', type: 'completeness' },
 ];
@@ -155,8 +155,28 @@ export function areMocksTested(skill) {
     return false; // But we need tools, so this is incomplete
   }
 
-  // Every tool must be tested or explicitly skipped
-  return skill.tools.every(tool => tool.mock_status !== 'untested');
+  return skill.tools.every(isMockTested);
+}
+
+/**
+ * Check if a tool's mock counts as tested: explicitly skipped, or tested with
+ * a passing recorded run (scenario replay writes these) — a bare mock_status
+ * flag is not enough. Phase checks and the Skill Builder badges use this too.
+ * @param {import('../types/DraftSkill.js').Tool} tool
+ * @returns {boolean}
+ */
+export function isMockTested(tool) {
+  return tool.mock_status === 'skipped' ||
+    (tool.mock_status === 'tested' && hasPassingMockResult(tool));
+}
+
+/**
+ * Check if a tool has at least one passing mock test result
+ * @param {import('../types/DraftSkill.js').Tool} tool
+ * @returns {boolean}
+ */
+export function hasPassingMockResult(tool) {
+  return (tool.mock_test_results || []).some(r => r.passed === true);
 }
 
 /**
@@ -248,6 +268,7 @@ export function getCompletenessReport(skill) {
         tested: skill.tools?.filter(t => t.mock_status === 'tested').length || 0,
         skipped: skill.tools?.filter(t => t.mock_status === 'skipped').length || 0,
         untested: skill.tools?.filter(t => t.mock_status === 'untested').length || 0,
+        with_passing_run: skill.tools?.filter(hasPassingMockResult).length || 0,
       },
     },
     identity: {
@@ -2,99 +2,28 @@
  * Validation Coverage Metadata
  *
  * Centralized coverage data for auto-generating documentation.
- * This file has NO external dependencies so it can be imported by the generator script.
+ * This file has NO external dependencies (the rule registry it reads is
+ * dependency-free too) so it can be imported by the generator script.
  *
  * Run `npm run generate:coverage` to regenerate docs/VALIDATION_COVERAGE.md
  */
 
+import { ruleCoverage } from '../rules/index.js';
+
 /**
- * Schema validation coverage (from schemaValidator.js)
+ * Schema validation coverage (declared by rules/schemaRules.js, one entry per issue code)
  */
-export const SCHEMA_COVERAGE = [
-  // Problem section
-  { section: 'problem', field: 'problem', check: 'Section exists', type: 'schema' },
-  { section: 'problem', field: 'problem.statement', check: 'Is string', type: 'schema' },
-  { section: 'problem', field: 'problem.context', check: 'Is string (optional)', type: 'schema' },
-  { section: 'problem', field: 'problem.successCriteria', check: 'Is array of strings (optional)', type: 'schema' },
-
-  // Scenarios section
-  { section: 'scenarios', field: 'scenarios', check: 'Section exists', type: 'schema' },
-  { section: 'scenarios', field: 'scenarios', check: 'Is array', type: 'schema' },
-  { section: 'scenarios', field: 'scenarios[].id', check: 'Has ID', type: 'schema' },
-  { section: 'scenarios', field: 'scenarios[].name', check: 'Has name', type: 'schema' },
-  { section: 'scenarios', field: 'scenarios[].description', check: 'Has description', type: 'schema' },
-  { section: 'scenarios', field: 'scenarios[].steps', check: 'Is array (optional)', type: 'schema' },
-  { section: 'scenarios', field: 'scenarios[].expectedOutcome', check: 'Is string (optional)', type: 'schema' },
-
-  // Role section
-  { section: 'role', field: 'role', check: 'Section exists', type: 'schema' },
-  { section: 'role', field: 'role.persona', check: 'Has persona', type: 'schema' },
-  { section: 'role', field: 'role.guidelines', check: 'Is array (optional)', type: 'schema' },
-  { section: 'role', field: 'role.boundaries', check: 'Is array (optional)', type: 'schema' },
-
-  // Intents section
-  { section: 'intents', field: 'intents', check: 'Section exists', type: 'schema' },
-  { section: 'intents', field: 'intents', check: 'Is array', type: 'schema' },
-  { section: 'intents', field: 'intents[].id', check: 'Has ID', type: 'schema' },
-  { section: 'intents', field: 'intents[].name', check: 'Has name', type: 'schema' },
-  { section: 'intents', field: 'intents[].description', check: 'Has description', type: 'schema' },
-  { section: 'intents', field: 'intents[].examples', check: 'Is array (optional)', type: 'schema' },
-
-  // Tools section
-  { section: 'tools', field: 'tools', check: 'Section exists', type: 'schema' },
-  { section: 'tools', field: 'tools', check: 'Is array', type: 'schema' },
-  { section: 'tools', field: 'tools[].id', check: 'Has ID', type: 'schema' },
-  { section: 'tools', field: 'tools[].name', check: 'Has name', type: 'schema' },
-  { section: 'tools', field: 'tools[].description', check: 'Has description', type: 'schema' },
-  { section: 'tools', field: 'tools[].parameters', check: 'Is array (optional)', type: 'schema' },
-  { section: 'tools', field: 'tools[].parameters[].name', check: 'Has name', type: 'schema' },
-  { section: 'tools', field: 'tools[].parameters[].type', check: 'Has type', type: 'schema' },
-  { section: 'tools', field: 'tools[].output', check: 'Is string (optional)', type: 'schema' },
+export const SCHEMA_COVERAGE = ruleCoverage({ stage: 'schema' });
 
-  // Policy section
-  { section: 'policy', field: 'policy', check: 'Section exists', type: 'schema' },
-  { section: 'policy', field: 'policy.guardrails', check: 'Is array (optional)', type: 'schema' },
-  { section: 'policy', field: 'policy.guardrails[].id', check: 'Has ID', type: 'schema' },
-  { section: 'policy', field: 'policy.guardrails[].rule', check: 'Has rule', type: 'schema' },
-  { section: 'policy', field: 'policy.guardrails[].type', check: 'Is valid type', type: 'schema' },
-  { section: 'policy', field: 'policy.workflows', check: 'Is array (optional)', type: 'schema' },
-  { section: 'policy', field: 'policy.workflows[].id', check: 'Has ID', type: 'schema' },
-  { section: 'policy', field: 'policy.workflows[].name', check: 'Has name', type: 'schema' },
-  { section: 'policy', field: 'policy.workflows[].steps', check: 'Is array', type: 'schema' },
-
-  // Engine section
-  { section: 'engine', field: 'engine', check: 'Section exists (optional)', type: 'schema' },
-  { section: 'engine', field: 'engine.provider', check: 'Is string', type: 'schema' },
-  { section: 'engine', field: 'engine.model', check: 'Is string', type: 'schema' },
-  { section: 'engine', field: 'engine.settings', check: 'Is object (optional)', type: 'schema' },
-
-  // Mocks section
-  { section: 'mocks', field: 'mocks', check: 'Section exists (optional)', type: 'schema' },
-  { section: 'mocks', field: 'mocks[].toolId', check: 'Has toolId', type: 'schema' },
-  { section: 'mocks', field: 'mocks[].responses', check: 'Is array', type: 'schema' },
-
-  // Metadata section
-  { section: 'metadata', field: 'metadata', check: 'Section exists (optional)', type: 'schema' },
-  { section: 'metadata', field: 'metadata.name', check: 'Is string', type: 'schema' },
-  { section: 'metadata', field: 'metadata.version', check: 'Is string', type: 'schema' },
-];
+/**
+ * Reference validation coverage (declared by rules/referenceRules.js)
+ */
+export const REFERENCE_COVERAGE = ruleCoverage({ stage: 'reference' });
 
 /**
- * Reference validation coverage (from referenceResolver.js)
+ * Security validation coverage (declared by rules/securityRules.js)
  */
-export const REFERENCE_COVERAGE = [
-  { section: 'policy', field: 'policy.workflows[].steps', check: 'Steps reference existing tools', type: 'reference' },
-  { section: 'tools', field: 'tools[].id', check: 'No duplicate IDs', type: 'reference' },
-  { section: 'intents', field: 'intents[].id', check: 'No duplicate IDs', type: 'reference' },
-  { section: 'scenarios', field: 'scenarios[].id', check: 'No duplicate IDs', type: 'reference' },
-  { section: 'policy', field: 'policy.guardrails[].id', check: 'No duplicate IDs', type: 'reference' },
-  { section: 'policy', field: 'policy.workflows[].id', check: 'No duplicate IDs', type: 'reference' },
-  { section: 'mocks', field: 'mocks[].toolId', check: 'References existing tool', type: 'reference' },
-  { section: 'cross-section', field: 'all IDs', check: 'Global ID uniqueness across sections', type: 'reference' },
-  { section: 'cross-section', field: 'intents.supported[]', check: 'Intent has mapped workflow or related tools', type: 'reference' },
-  { section: 'policy', field: 'policy.workflows[]', check: 'No circular workflow references', type: 'reference' },
-  { section: 'security', field: 'policy.guardrails vs tools', check: 'Guardrails vs tool capability conflict detection', type: 'reference' },
-];
+export const SECURITY_COVERAGE = ruleCoverage({ stage: 'security' });
 
 /**
  * Completeness validation coverage (from completenessChecker.js)
@@ -134,6 +63,17 @@ export const CONSISTENCY_COVERAGE = [
   { section: 'policy', field: 'policy.workflows[].steps', check: 'Steps reference non-existent tools', type: 'consistency', method: 'llm' },
 ];
 
+/**
+ * MCP drift coverage (declared by rules/driftRules.js)
+ * Runs only when live connector schemas are supplied
+ */
+export const DRIFT_COVERAGE = ruleCoverage({ stage: 'drift' });
+
+/**
+ * Section rule coverage (from rules/sectionRules.js — each rule declares its own)
+ */
+export const RULE_COVERAGE = ruleCoverage({ stage: 'rule' });
+
 /**
  * Known gaps - checks that should be implemented
  */
@@ -148,6 +88,9 @@ export const COVERAGE_GAPS = [
 export const ALL_COVERAGE = [
   ...SCHEMA_COVERAGE,
   ...REFERENCE_COVERAGE,
+  ...SECURITY_COVERAGE,
   ...COMPLETENESS_COVERAGE,
   ...CONSISTENCY_COVERAGE,
+  ...DRIFT_COVERAGE,
+  ...RULE_COVERAGE,
 ];
@@ -0,0 +1,523 @@
+/**
+ * Event Filter - expression language for event trigger filters
+ * @module validators/eventFilter
+ *
+ * An event trigger's `filter` is either the legacy equality object
+ * ({ "from": "billing@vendor.com" }) or an expression over event.data:
+ *
+ *   subject contains "invoice" and from endsWith "@vendor.com"
+ *   not (priority in ["low", "spam"]) or amount.total >= 1000
+ *   headers.x_source matches /^erp-(eu|us)$/i
+ *
+ * Grammar (keywords are case-sensitive):
+ *
+ *   expr       := and ("or" and)*
+ *   and        := unary ("and" unary)*
+ *   unary      := "not" unary | "(" expr ")" | comparison
+ *   comparison := path [op value]          — a bare path tests truthiness
+ *   op         := == | != | > | >= | < | <= | contains | startsWith | endsWith | matches | in
+ *   value      := "string" | 'string' | number | true | false | null | /regex/flags | [value, ...]
+ *   path       := name ("." name | "." index)*
+ *
+ * The language has no function calls, assignments or property access beyond
+ * plain data paths. Regexes may not repeat a group that itself repeats or
+ * branches ((a+)+, (?:(a+))+, (a|aa)+) nor use backreferences, and `matches`
+ * only runs on strings up to MAX_MATCH_LENGTH characters (longer ones do not
+ * match), so a filter can be evaluated on untrusted payloads.
+ *
+ * Pure: no I/O. Used by schemaValidator and the filter test endpoint.
+ */
+
+/**
+ * @typedef {Object} FilterIssue
+ * @property {string} message
+ * @property {number} position - Character offset in the expression
+ */
+
+/**
+ * One comparison evaluated while matching, in evaluation order.
+ * @typedef {Object} FilterClause
+ * @property {string} text - Source text of the comparison
+ * @property {string} path
+ * @property {string|null} op
+ * @property {any} expected
+ * @property {any} actual - Value found at the path (undefined when missing)
+ * @property {boolean} result
+ */
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_DEPTH = 32;
+const MAX_REGEX_LENGTH = 200;
+const REGEX_FLAGS = /^[imsu]*$/;
+/** Longest string `matches` runs a regex on; bounds polynomial backtracking */
+export const MAX_MATCH_LENGTH = 1000;
+const QUANTIFIER = /^(?:[+*?]|\{(\d+)(?:(,)(\d*))?\})/;
+const BACKREFERENCE = /\\(?:[1-9]|k<)/;
+
+const WORD_OPS = ['contains', 'startsWith', 'endsWith', 'matches', 'in'];
+const KEYWORDS = ['and', 'or', 'not', 'true', 'false', 'null', ...WORD_OPS];
+
+function filterError(message, position) {
+  const err = new Error(message);
+  err.position = position;
+  return err;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LEXER
+// ═══════════════════════════════════════════════════════════════
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    const start = i;
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if ('()[],'.includes(ch)) {
+      tokens.push({ type: ch, start, end: ++i });
+      continue;
+    }
+
+    const symbol = source.slice(i, i + 2).match(/^(==|!=|>=|<=)/)?.[0] || (ch === '>' || ch === '<' ? ch : null);
+    if (symbol) {
+      i += symbol.length;
+      tokens.push({ type: 'op', value: symbol, start, end: i });
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          const next = source[i + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          i += 2;
+        } else {
+          value += source[i++];
+        }
+      }
+      if (i >= source.length) throw filterError('Unterminated string', start);
+      i++;
+      tokens.push({ type: 'string', value, start, end: i });
+      continue;
+    }
+
+    if (ch === '/') {
+      let pattern = '';
+      i++;
+      while (i < source.length && source[i] !== '/') {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          pattern += source[i] + source[i + 1];
+          i += 2;
+        } else {
+          pattern += source[i++];
+        }
+      }
+      if (i >= source.length) throw filterError('Unterminated regex', start);
+      i++;
+      const flags = source.slice(i).match(/^[a-z]*/)[0];
+      i += flags.length;
+      tokens.push({ type: 'regex', value: { pattern, flags }, start, end: i });
+      continue;
+    }
+
+    const number = source.slice(i).match(/^-?\d+(?:\.\d+)?/);
+    if (number) {
+      i += number[0].length;
+      tokens.push({ type: 'number', value: Number(number[0]), start, end: i });
+      continue;
+    }
+
+    const word = source.slice(i).match(/^[A-Za-z_$][\w$]*(?:\.(?:[A-Za-z_$][\w$]*|\d+))*/);
+    if (word) {
+      i += word[0].length;
+      const text = word[0];
+      if (KEYWORDS.includes(text)) {
+        tokens.push({ type: WORD_OPS.includes(text) ? 'op' : text, value: text, start, end: i });
+      } else {
+        tokens.push({ type: 'path', value: text, start, end: i });
+      }
+      continue;
+    }
+
+    throw filterError(`Unexpected character "${ch}"`, start);
+  }
+
+  tokens.push({ type: 'eof', start: source.length, end: source.length });
+  return tokens;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PARSER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Parse a filter expression into an AST.
+ * @param {string} source
+ * @returns {Object} AST node ({ type: 'and'|'or'|'not'|'compare', ... })
+ * @throws {Error} With `position` (character offset) on syntax errors
+ */
+export function parseFilter(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw filterError('Filter expression is empty', 0);
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw filterError(`Filter expression is longer than ${MAX_EXPRESSION_LENGTH} characters`, MAX_EXPRESSION_LENGTH);
+  }
+
+  const tokens = tokenize(source);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const describe = (token) => (token.type === 'eof' ? 'end of expression' : `"${source.slice(token.start, token.end)}"`);
+  const expect = (type, what) => {
+    const token = next();
+    if (token.type !== type) throw filterError(`Expected ${what}, found ${describe(token)}`, token.start);
+    return token;
+  };
+
+  const parseValue = () => {
+    const token = next();
+    switch (token.type) {
+      case 'string':
+      case 'number':
+      case 'regex':
+        return { kind: token.type, value: token.value, start: token.start, end: token.end };
+      case 'true':
+      case 'false':
+        return { kind: 'boolean', value: token.type === 'true', start: token.start, end: token.end };
+      case 'null':
+        return { kind: 'null', value: null, start: token.start, end: token.end };
+      case '[': {
+        const items = [];
+        while (peek().type !== ']') {
+          if (items.length > 0) expect(',', '"," or "]"');
+          items.push(parseValue());
+        }
+        return { kind: 'list', value: items, start: token.start, end: next().end };
+      }
+      default:
+        throw filterError(`Expected a value, found ${describe(token)}`, token.start);
+    }
+  };
+
+  const parseComparison = () => {
+    const path = expect('path', 'a field path');
+    if (peek().type !== 'op') {
+      return { type: 'compare', path: path.value, op: null, value: null, start: path.start, end: path.end };
+    }
+    const op = next();
+    const value = parseValue();
+    return { type: 'compare', path: path.value, op: op.value, value, start: path.start, end: value.end };
+  };
+
+  const parseUnary = (depth) => {
+    if (depth > MAX_DEPTH) throw filterError(`Filter is nested deeper than ${MAX_DEPTH} levels`, peek().start);
+    const token = peek();
+    if (token.type === 'not') {
+      next();
+      return { type: 'not', operand: parseUnary(depth + 1) };
+    }
+    if (token.type === '(') {
+      next();
+      const inner = parseOr(depth + 1);
+      expect(')', '")"');
+      return inner;
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = (depth) => {
+    let left = parseUnary(depth);
+    while (peek().type === 'and') {
+      next();
+      left = { type: 'and', left, right: parseUnary(depth) };
+    }
+    return left;
+  };
+
+  const parseOr = (depth) => {
+    let left = parseAnd(depth);
+    while (peek().type === 'or') {
+      next();
+      left = { type: 'or', left, right: parseAnd(depth) };
+    }
+    return left;
+  };
+
+  const ast = parseOr(0);
+  if (peek().type !== 'eof') {
+    throw filterError(`Expected "and", "or" or end of expression, found ${describe(peek())}`, peek().start);
+  }
+  return ast;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TYPE CHECK
+// ═══════════════════════════════════════════════════════════════
+
+const SCALAR_KINDS = ['string', 'number', 'boolean', 'null'];
+
+/** Literal kinds each operator accepts */
+const OPERAND_KINDS = {
+  '==': SCALAR_KINDS,
+  '!=': SCALAR_KINDS,
+  '>': ['number', 'string'],
+  '>=': ['number', 'string'],
+  '<': ['number', 'string'],
+  '<=': ['number', 'string'],
+  contains: ['string', 'number', 'boolean'],
+  startsWith: ['string'],
+  endsWith: ['string'],
+  matches: ['regex', 'string'],
+  in: ['list'],
+};
+
+/**
+ * Whether a regex repeats a group that contains a quantifier or an
+ * alternation at any depth — (a+)+, (?:(a+))+, (a|aa)+ — the shapes that
+ * backtrack exponentially. Character classes and escapes are skipped.
+ */
+function hasNestedRepetition(pattern) {
+  const groups = []; // per open group: contains a quantifier or "|"
+  let closedRisky = false; // the atom just before is a group that repeats or branches
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\') {
+      i++;
+      closedRisky = false;
+      continue;
+    }
+    if (ch === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+      closedRisky = false;
+      continue;
+    }
+    if (ch === '(') {
+      groups.push(false);
+      closedRisky = false;
+      continue;
+    }
+    if (ch === ')') {
+      closedRisky = groups.pop() ?? false;
+      if (closedRisky && groups.length > 0) groups[groups.length - 1] = true;
+      continue;
+    }
+    if (ch === '|') {
+      if (groups.length > 0) groups[groups.length - 1] = true;
+      closedRisky = false;
+      continue;
+    }
+
+    const quantifier = pattern.slice(i).match(QUANTIFIER);
+    if (quantifier) {
+      const [text, min, comma, max] = quantifier;
+      const repeats = text === '+' || text === '*' || (min !== undefined && (comma ? max === '' || Number(max) > 1 : Number(min) > 1));
+      if (closedRisky && repeats) return true;
+      if (groups.length > 0) groups[groups.length - 1] = true;
+      i += text.length - 1;
+      if (pattern[i + 1] === '?') i++; // lazy
+      closedRisky = false;
+      continue;
+    }
+    closedRisky = false;
+  }
+  return false;
+}
+
+/**
+ * Problems with a regex used by `matches`, or null when it is safe to run.
+ * @param {{pattern: string, flags: string}} regex
+ */
+function checkRegex({ pattern, flags }) {
+  if (pattern.length > MAX_REGEX_LENGTH) return `Regex is longer than ${MAX_REGEX_LENGTH} characters`;
+  if (!REGEX_FLAGS.test(flags)) return `Unsupported regex flags "${flags}" (use i, m, s, u)`;
+  if (hasNestedRepetition(pattern)) return 'Regex has a nested quantifier (e.g. "(a+)+" or "(a|aa)+"), which can hang on crafted input';
+  if (BACKREFERENCE.test(pattern)) return 'Regex uses a backreference, which can hang on crafted input';
+  try {
+    new RegExp(pattern, flags);
+  } catch (err) {
+    return `Invalid regex: ${err.message}`;
+  }
+  return null;
+}
+
+function toRegex(value) {
+  return value.kind === 'regex' ? value.value : { pattern: value.value, flags: '' };
+}
+
+function typeCheck(node, issues) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      typeCheck(node.left, issues);
+      typeCheck(node.right, issues);
+      return;
+    case 'not':
+      typeCheck(node.operand, issues);
+      return;
+  }
+  if (!node.op) return;
+
+  const { value } = node;
+  if (!OPERAND_KINDS[node.op].includes(value.kind)) {
+    issues.push({
+      message: `"${node.op}" cannot compare with a ${value.kind}; expected ${OPERAND_KINDS[node.op].join(' or ')}`,
+      position: value.start,
+    });
+    return;
+  }
+  if (node.op === 'matches') {
+    const problem = checkRegex(toRegex(value));
+    if (problem) issues.push({ message: problem, position: value.start });
+  }
+  if (node.op === 'in') {
+    if (value.value.length === 0) {
+      issues.push({ message: '"in" list is empty; the comparison can never match', position: value.start });
+    }
+    for (const item of value.value) {
+      if (!SCALAR_KINDS.includes(item.kind)) {
+        issues.push({ message: `"in" lists hold strings, numbers, booleans or null, not a ${item.kind}`, position: item.start });
+      }
+    }
+  }
+}
+
+/**
+ * Parse and type-check a filter.
+ *
+ * @param {string|Object} filter - Expression string or legacy equality object
+ * @returns {{ ast: Object|null, errors: FilterIssue[] }}
+ */
+export function checkFilter(filter) {
+  if (filter !== null && typeof filter === 'object' && !Array.isArray(filter)) {
+    return { ast: null, errors: [] };
+  }
+  if (typeof filter !== 'string') {
+    return { ast: null, errors: [{ message: 'Filter must be an expression string or an object', position: 0 }] };
+  }
+  try {
+    const ast = parseFilter(filter);
+    const errors = [];
+    typeCheck(ast, errors);
+    return { ast, errors };
+  } catch (err) {
+    return { ast: null, errors: [{ message: err.message, position: err.position ?? 0 }] };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EVALUATION
+// ═══════════════════════════════════════════════════════════════
+
+function resolvePath(data, path) {
+  let value = data;
+  for (const segment of path.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+function literal(value) {
+  if (value.kind === 'list') return value.value.map(literal);
+  return value.value;
+}
+
+function compare(op, actual, value) {
+  const expected = value ? literal(value) : null;
+  switch (op) {
+    case null: return Boolean(actual);
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+    case '>':
+    case '>=':
+    case '<':
+    case '<=': {
+      if (typeof actual !== typeof expected || (typeof actual !== 'number' && typeof actual !== 'string')) return false;
+      if (op === '>') return actual > expected;
+      if (op === '>=') return actual >= expected;
+      if (op === '<') return actual < expected;
+      return actual <= expected;
+    }
+    case 'contains':
+      if (Array.isArray(actual)) return actual.includes(expected);
+      return typeof actual === 'string' && actual.includes(String(expected));
+    case 'startsWith': return typeof actual === 'string' && actual.startsWith(expected);
+    case 'endsWith': return typeof actual === 'string' && actual.endsWith(expected);
+    case 'matches': {
+      const { pattern, flags } = toRegex(value);
+      return typeof actual === 'string' && actual.length <= MAX_MATCH_LENGTH && new RegExp(pattern, flags).test(actual);
+    }
+    case 'in': return expected.includes(actual);
+    default: return false;
+  }
+}
+
+function evaluateNode(node, data, source, clauses) {
+  switch (node.type) {
+    case 'and': return evaluateNode(node.left, data, source, clauses) && evaluateNode(node.right, data, source, clauses);
+    case 'or': return evaluateNode(node.left, data, source, clauses) || evaluateNode(node.right, data, source, clauses);
+    case 'not': return !evaluateNode(node.operand, data, source, clauses);
+  }
+  const actual = resolvePath(data, node.path);
+  const result = compare(node.op, actual, node.value);
+  clauses.push({
+    text: source.slice(node.start, node.end),
+    path: node.path,
+    op: node.op,
+    expected: node.value ? literal(node.value) : null,
+    actual,
+    result,
+  });
+  return result;
+}
+
+/**
+ * Match a filter against an event payload.
+ *
+ * Paths resolve against event.data. Missing paths are undefined: they fail
+ * every comparison except `!=`. Ordering operators only compare two numbers
+ * or two strings; `contains` works on strings and arrays.
+ *
+ * @param {string|Object} filter - Expression string or legacy equality object
+ * @param {Object} data - event.data
+ * @returns {{ matched: boolean, clauses: FilterClause[], errors: FilterIssue[] }}
+ */
+export function evaluateFilter(filter, data = {}) {
+  if (filter === undefined || filter === null || filter === '') {
+    return { matched: true, clauses: [], errors: [] };
+  }
+
+  // Legacy equality object: every key must equal its value
+  if (typeof filter === 'object' && !Array.isArray(filter)) {
+    const clauses = Object.entries(filter).map(([path, expected]) => {
+      const actual = resolvePath(data, path);
+      return { text: `${path} == ${JSON.stringify(expected)}`, path, op: '==', expected, actual, result: actual === expected };
+    });
+    return { matched: clauses.every(c => c.result), clauses, errors: [] };
+  }
+
+  const { ast, errors } = checkFilter(filter);
+  if (errors.length > 0) {
+    return { matched: false, clauses: [], errors };
+  }
+  const clauses = [];
+  const matched = evaluateNode(ast, data, filter, clauses);
+  return { matched, clauses, errors: [] };
+}
+
+export default { parseFilter, checkFilter, evaluateFilter };
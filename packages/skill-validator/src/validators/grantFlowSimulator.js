@@ -0,0 +1,239 @@
+/**
+ * Grant Flow Simulator
+ *
+ * Follows a conversation from an entry channel through the solution's
+ * handoff graph and tracks which grants each skill holds on every path.
+ * validateSolution() checks that providers and handoff paths exist; this
+ * answers whether the grants actually arrive where security contracts need
+ * them.
+ *
+ * Per hop:
+ *   held     = grants received + grants the skill issues itself
+ *              (its grant_mappings, or solution.grants[].issued_by)
+ *   handoff  = held ∩ (sender's context_propagation.on_handoff.propagate_grants,
+ *              else handoff.grants_passed) − grants_dropped − drop_grants
+ *
+ * Pure: the caller supplies the solution and the full skill definitions.
+ *
+ * @module validators/grantFlowSimulator
+ */
+
+/** Paths explored before the walk stops (the graph is small; this guards fan-out) */
+const MAX_PATHS = 200;
+
+// ─── Per-skill grant behaviour ───────────────────────────────
+
+/**
+ * Grant keys a skill can issue on its own.
+ * @param {Object} solution
+ * @param {Object|undefined} skill - Full skill definition
+ * @param {string} skillId
+ * @returns {Set<string>}
+ */
+function issuableGrants(solution, skill, skillId) {
+  const keys = new Set();
+  for (const mapping of skill?.grant_mappings || []) {
+    for (const grant of mapping.grants || []) {
+      if (grant.key) keys.add(grant.key);
+    }
+  }
+  for (const grant of solution.grants || []) {
+    if ((grant.issued_by || []).includes(skillId)) keys.add(grant.key);
+  }
+  return keys;
+}
+
+/**
+ * Grants that cross one handoff, and the declared grants that do not.
+ * @returns {{ passed: string[], dropped: string[], not_available: string[], not_propagated: string[] }}
+ */
+function transferGrants(handoff, held, propagation) {
+  const declared = handoff.grants_passed || [];
+  const allowed = new Set(propagation?.propagate_grants || declared);
+  const dropped = new Set([...(handoff.grants_dropped || []), ...(propagation?.drop_grants || [])]);
+
+  const passed = [...held].filter(key => allowed.has(key) && !dropped.has(key));
+  const passedSet = new Set(passed);
+
+  return {
+    passed,
+    dropped: [...held].filter(key => dropped.has(key)),
+    not_available: declared.filter(key => !held.has(key)),
+    not_propagated: declared.filter(key => held.has(key) && !passedSet.has(key)),
+  };
+}
+
+function intersect(sets) {
+  if (sets.length === 0) return new Set();
+  return new Set([...sets[0]].filter(key => sets.every(set => set.has(key))));
+}
+
+// ─── Simulation ──────────────────────────────────────────────
+
+/**
+ * Simulate grant flow from one entry channel.
+ *
+ * @param {Object} solution - Solution definition (routing, handoffs, grants, security_contracts)
+ * @param {Object} options
+ * @param {string} [options.channel] - Key of solution.routing (defaults to the first channel)
+ * @param {Object} [options.actor] - Initial actor; grants as { key: value } or [key]
+ * @param {Array} [options.skills] - Full skill definitions, id = solution skill id
+ * @returns {Object} { channel, entry_skill, initial_grants, paths, truncated, skills, edges, contracts, errors, warnings }
+ */
+export function simulateGrantFlow(solution, { channel, actor = {}, skills = [] } = {}) {
+  const routing = solution.routing || {};
+  const handoffs = solution.handoffs || [];
+  const entryChannel = channel || Object.keys(routing)[0] || null;
+  const entrySkill = entryChannel ? routing[entryChannel]?.default_skill || null : null;
+  const initialGrants = Array.isArray(actor.grants) ? actor.grants : Object.keys(actor.grants || {});
+
+  const errors = [];
+  const warnings = [];
+  const result = {
+    channel: entryChannel,
+    entry_skill: entrySkill,
+    initial_grants: initialGrants,
+    paths: [],
+    truncated: false,
+    skills: {},
+    edges: {},
+    contracts: [],
+    errors,
+    warnings,
+  };
+
+  if (!entrySkill) {
+    errors.push({
+      check: 'grant_flow_entry',
+      message: entryChannel
+        ? `Channel "${entryChannel}" has no routing rule with a default_skill`
+        : 'Solution has no routing; nothing to simulate',
+      channel: entryChannel,
+    });
+    return result;
+  }
+
+  const skillById = new Map(skills.map(s => [s.id, s]));
+  const issuable = new Map();
+  const issuableFor = (skillId) => {
+    if (!issuable.has(skillId)) issuable.set(skillId, issuableGrants(solution, skillById.get(skillId), skillId));
+    return issuable.get(skillId);
+  };
+
+  const visits = new Map(); // skillId → [held Set]
+  const edges = new Map(); // handoff.id → aggregate
+
+  const walk = (skillId, arriving, via, hops, onPath) => {
+    if (result.paths.length >= MAX_PATHS) {
+      result.truncated = true;
+      return;
+    }
+
+    const issued = [...issuableFor(skillId)].filter(key => !arriving.has(key));
+    const held = new Set([...arriving, ...issued]);
+    const hop = { skill: skillId, via, received: [...arriving], issued, held: [...held] };
+    const path = [...hops, hop];
+
+    if (!visits.has(skillId)) visits.set(skillId, []);
+    visits.get(skillId).push(held);
+
+    const propagation = skillById.get(skillId)?.context_propagation?.on_handoff;
+    const next = handoffs.filter(h => h.from === skillId);
+    let extended = false;
+
+    for (const handoff of next) {
+      const transfer = transferGrants(handoff, held, propagation);
+      const edge = edges.get(handoff.id) || { passed: new Set(), dropped: new Set(), not_available: new Set(), not_propagated: new Set() };
+      for (const key of Object.keys(edge)) transfer[key].forEach(g => edge[key].add(g));
+      edges.set(handoff.id, edge);
+
+      if (onPath.has(handoff.to)) continue; // cycle — reported by validateSolution
+      extended = true;
+      walk(handoff.to, new Set(transfer.passed), handoff.id, path, new Set([...onPath, handoff.to]));
+    }
+
+    if (!extended) result.paths.push({ hops: path });
+  };
+
+  walk(entrySkill, new Set(initialGrants), null, [], new Set([entrySkill]));
+
+  // ─── Aggregate per skill / per edge ───
+  for (const [skillId, heldSets] of visits) {
+    const always = intersect(heldSets);
+    const sometimes = new Set(heldSets.flatMap(set => [...set]).filter(key => !always.has(key)));
+    result.skills[skillId] = { reachable: true, held_always: [...always], held_sometimes: [...sometimes] };
+  }
+
+  for (const handoff of handoffs) {
+    const edge = edges.get(handoff.id);
+    if (!edge) {
+      result.edges[handoff.id] = { traversed: false, passed: [], dropped: [], not_available: [], not_propagated: [] };
+      continue;
+    }
+    result.edges[handoff.id] = {
+      traversed: true,
+      passed: [...edge.passed],
+      dropped: [...edge.dropped],
+      // Declared grants missing on every traversal, not just on some path
+      not_available: [...edge.not_available].filter(key => !edge.passed.has(key) && !edge.not_propagated.has(key)),
+      not_propagated: [...edge.not_propagated].filter(key => !edge.passed.has(key)),
+    };
+
+    for (const key of result.edges[handoff.id].not_available) {
+      warnings.push({
+        check: 'grant_flow_not_available',
+        message: `Handoff "${handoff.id}" declares grant "${key}" but "${handoff.from}" never holds it when entering from "${entryChannel}"`,
+        handoff: handoff.id,
+        grant: key,
+      });
+    }
+    for (const key of result.edges[handoff.id].not_propagated) {
+      warnings.push({
+        check: 'grant_flow_not_propagated',
+        message: `Handoff "${handoff.id}" declares grant "${key}" but "${handoff.from}" context_propagation does not carry it over`,
+        handoff: handoff.id,
+        grant: key,
+      });
+    }
+  }
+
+  // ─── Security contracts ───
+  for (const contract of solution.security_contracts || []) {
+    const required = contract.requires_grants || [];
+    const heldSets = visits.get(contract.consumer) || [];
+    const entry = {
+      name: contract.name,
+      consumer: contract.consumer,
+      provider: contract.provider || null,
+      requires_grants: required,
+    };
+
+    if (heldSets.length === 0) {
+      result.contracts.push({ ...entry, status: 'unreachable', missing: [] });
+      continue;
+    }
+
+    // Fewest missing grants over all arrivals (empty → satisfiable)
+    const missing = heldSets
+      .map(held => required.filter(key => !held.has(key)))
+      .reduce((best, m) => (m.length < best.length ? m : best));
+
+    if (missing.length === 0) {
+      result.contracts.push({ ...entry, status: 'satisfied', missing: [] });
+      continue;
+    }
+
+    result.contracts.push({ ...entry, status: 'unsatisfiable', missing });
+    errors.push({
+      check: 'grant_flow_contract_unsatisfiable',
+      message: `Security contract "${contract.name}" can never be satisfied from channel "${entryChannel}": "${contract.consumer}" never holds ${missing.map(k => `"${k}"`).join(', ')}`,
+      contract: contract.name,
+      skill: contract.consumer,
+      missing,
+    });
+  }
+
+  return result;
+}
+
+export default { simulateGrantFlow };
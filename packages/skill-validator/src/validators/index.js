@@ -8,6 +8,8 @@ import { resolveReferences, areAllReferencesResolved } from './referenceResolver
 import { checkCompleteness, getCompletenessReport } from './completenessChecker.js';
 // Identity & Access Control: Security validation
 import { validateSecurity, getSecurityReport } from './securityValidator.js';
+import { checkMcpDrift } from './mcpDriftChecker.js';
+import { runRules } from '../rules/index.js';
 
 /**
  * @typedef {import('../types/DraftSkill.js').DraftSkill} DraftSkill
@@ -22,12 +24,17 @@ import { validateSecurity, getSecurityReport } from './securityValidator.js';
  * 1. Schema Validation - type checks, required fields, enum values
  * 2. Reference Resolution - tool_id ok? workflow ok? policy refs?
  * 3. Completeness Check - are all required sections filled?
- * 4. Ready-to-Export Calculation - can we export?
+ * 4. Security Validation - classifications, access policy
+ * 5. MCP Drift - bridged tools vs live connector schemas (only with options.mcpTools)
+ * 6. Section Rules - registry recommendations (rules/sectionRules.js)
+ * 7. Ready-to-Export Calculation - can we export?
  *
  * @param {DraftSkill} skill
+ * @param {Object} [options]
+ * @param {import('./mcpDriftChecker.js').LiveToolMap} [options.mcpTools] - Live tools/list result per connection
  * @returns {ValidationResult}
  */
-export function validateDraftSkill(skill) {
+export function validateDraftSkill(skill, options = {}) {
   const errors = [];
   const warnings = [];
   const unresolved = {
@@ -54,7 +61,17 @@ export function validateDraftSkill(skill) {
   errors.push(...securityIssues.filter(i => i.severity === 'error'));
   warnings.push(...securityIssues.filter(i => i.severity === 'warning'));
 
-  // 5. Ready-to-export calculation
+  // 5. MCP schema drift (needs live connector schemas from the caller)
+  const driftIssues = checkMcpDrift(skill, options.mcpTools);
+  errors.push(...driftIssues.filter(i => i.severity === 'error'));
+  warnings.push(...driftIssues.filter(i => i.severity === 'warning'));
+
+  // 6. Section rules, minus what a stage already reports for the same field
+  const ruleIssues = withoutStageOverlap(runRules(skill), [...errors, ...warnings]);
+  errors.push(...ruleIssues.filter(i => i.severity === 'error'));
+  warnings.push(...ruleIssues.filter(i => i.severity === 'warning'));
+
+  // 7. Ready-to-export calculation
   const ready_to_export = calculateReadiness(errors, unresolved, completeness);
 
   return {
@@ -67,6 +84,21 @@ export function validateDraftSkill(skill) {
   };
 }
 
+/**
+ * Drop rule issues a stage already covers: one at the same path (e.g.
+ * MISSING_TOOL_DESCRIPTION next to INVALID_TOOL_DESCRIPTION), or under a
+ * path the stage reports as an error (no INCOMPLETE_PROBLEM when the whole
+ * problem section is missing).
+ * @param {ValidationIssue[]} ruleIssues
+ * @param {ValidationIssue[]} stageIssues
+ * @returns {ValidationIssue[]}
+ */
+function withoutStageOverlap(ruleIssues, stageIssues) {
+  const covers = (stage, path) => path === stage.path
+    || (stage.severity === 'error' && (path.startsWith(`${stage.path}.`) || path.startsWith(`${stage.path}[`)));
+  return ruleIssues.filter(issue => !stageIssues.some(stage => stage.path && issue.path && covers(stage, issue.path)));
+}
+
 /**
  * Calculate if skill is ready to export
  * @param {ValidationIssue[]} errors
@@ -112,185 +144,24 @@ export function quickValidate(skill) {
 }
 
 /**
- * Validate a single section of the skill
+ * Validate a single section of the skill against the section rules
+ * (see rules/sectionRules.js) — without the pipeline's stage checks
  * @param {DraftSkill} skill
- * @param {'problem' | 'scenarios' | 'role' | 'intents' | 'tools' | 'policy' | 'engine'} section
+ * @param {'problem' | 'scenarios' | 'role' | 'intents' | 'tools' | 'policy' | 'engine' | 'identity'} section
  * @returns {ValidationIssue[]}
  */
 export function validateSection(skill, section) {
-  const issues = [];
-
-  switch (section) {
-    case 'problem':
-      // Validate problem
-      if (!skill.problem?.statement || skill.problem.statement.length < 10) {
-        issues.push({
-          code: 'INCOMPLETE_PROBLEM',
-          severity: 'warning',
-          path: 'problem.statement',
-          message: 'Problem statement should be at least 10 characters',
-          suggestion: 'Describe the problem you want to solve',
-        });
-      }
-      break;
-
-    case 'scenarios':
-      if (!skill.scenarios || skill.scenarios.length < 1) {
-        issues.push({
-          code: 'NO_SCENARIOS',
-          severity: 'warning',
-          path: 'scenarios',
-          message: 'At least one scenario is recommended',
-          suggestion: 'Add a real-world scenario that describes how the skill will be used',
-        });
-      }
-      skill.scenarios?.forEach((s, i) => {
-        if (!s.title) {
-          issues.push({
-            code: 'MISSING_SCENARIO_TITLE',
-            severity: 'warning',
-            path: `scenarios[${i}].title`,
-            message: 'Scenario needs a title',
-          });
-        }
-      });
-      break;
-
-    case 'role':
-      if (!skill.role?.name) {
-        issues.push({
-          code: 'MISSING_ROLE_NAME',
-          severity: 'warning',
-          path: 'role.name',
-          message: 'Role name is recommended',
-          suggestion: 'Give the agent a role name (e.g., "Customer Service Agent")',
-        });
-      }
-      if (!skill.role?.persona) {
-        issues.push({
-          code: 'MISSING_PERSONA',
-          severity: 'warning',
-          path: 'role.persona',
-          message: 'Role persona is recommended',
-          suggestion: 'Describe how the agent should behave',
-        });
-      }
-      break;
-
-    case 'intents':
-      if (!skill.intents?.supported || skill.intents.supported.length < 1) {
-        issues.push({
-          code: 'NO_INTENTS',
-          severity: 'warning',
-          path: 'intents.supported',
-          message: 'At least one intent is recommended',
-          suggestion: 'Define what user requests the agent can handle',
-        });
-      }
-      skill.intents?.supported?.forEach((intent, i) => {
-        if (!intent.examples || intent.examples.length < 1) {
-          issues.push({
-            code: 'NO_INTENT_EXAMPLES',
-            severity: 'warning',
-            path: `intents.supported[${i}].examples`,
-            message: `Intent "${intent.id}" needs examples`,
-            suggestion: 'Add example phrases that would trigger this intent',
-          });
-        }
-      });
-      break;
-
-    case 'tools':
-      if (!skill.tools || skill.tools.length < 1) {
-        issues.push({
-          code: 'NO_TOOLS',
-          severity: 'warning',
-          path: 'tools',
-          message: 'At least one tool is required',
-          suggestion: 'Define tools the agent can use to accomplish tasks',
-        });
-      }
-      skill.tools?.forEach((tool, i) => {
-        if (!tool.description) {
-          issues.push({
-            code: 'MISSING_TOOL_DESCRIPTION',
-            severity: 'warning',
-            path: `tools[${i}].description`,
-            message: `Tool "${tool.name}" needs a description`,
-          });
-        }
-        if (!tool.output?.description) {
-          issues.push({
-            code: 'MISSING_OUTPUT_DESCRIPTION',
-            severity: 'warning',
-            path: `tools[${i}].output.description`,
-            message: `Tool "${tool.name}" output needs a description`,
-          });
-        }
-      });
-      break;
-
-    case 'policy':
-      const hasGuardrails =
-        (skill.policy?.guardrails?.never?.length > 0) ||
-        (skill.policy?.guardrails?.always?.length > 0);
-      if (!hasGuardrails) {
-        issues.push({
-          code: 'NO_GUARDRAILS',
-          severity: 'warning',
-          path: 'policy.guardrails',
-          message: 'At least one guardrail is recommended',
-          suggestion: 'Define what the agent should never or always do',
-        });
-      }
-      break;
-
-    case 'engine':
-      // Engine has defaults, so usually no issues
-      break;
-
-    case 'identity':
-      // Check identity configuration
-      if (!skill.skill_identity?.display_name) {
-        issues.push({
-          code: 'MISSING_DISPLAY_NAME',
-          severity: 'warning',
-          path: 'skill_identity.display_name',
-          message: 'Skill display name is required',
-          suggestion: 'Add a display name for the skill identity',
-        });
-      }
-      if (!skill.skill_identity?.channel_identities?.email?.from_email) {
-        issues.push({
-          code: 'MISSING_EMAIL_FROM',
-          severity: 'warning',
-          path: 'skill_identity.channel_identities.email.from_email',
-          message: 'Outbound email address is not configured',
-          suggestion: 'Select a connected email address for outbound messages',
-        });
-      }
-      if (!skill.skill_identity?.actor_id) {
-        issues.push({
-          code: 'IDENTITY_NOT_ACTIVATED',
-          severity: 'warning',
-          path: 'skill_identity.actor_id',
-          message: 'Skill identity is not activated in CORE',
-          suggestion: 'Activate the identity to enable sending messages',
-        });
-      }
-      break;
-  }
-
-  return issues;
+  return runRules(skill, { section });
 }
 
 /**
  * Get a summary of validation status
  * @param {DraftSkill} skill
+ * @param {Object} [options] - Same as validateDraftSkill()
  * @returns {Object}
  */
-export function getValidationSummary(skill) {
-  const result = validateDraftSkill(skill);
+export function getValidationSummary(skill, options = {}) {
+  const result = validateDraftSkill(skill, options);
   const report = getCompletenessReport(skill);
   // Identity & Access Control: Security coverage report
   const securityReport = getSecurityReport(skill);
@@ -300,6 +171,8 @@ export function getValidationSummary(skill) {
     ready_to_export: result.ready_to_export,
     error_count: result.errors.length,
     warning_count: result.warnings.length,
+    errors: result.errors,
+    warnings: result.warnings,
     unresolved_refs: {
       tools: result.unresolved.tools.length,
       workflows: result.unresolved.workflows.length,
@@ -323,6 +196,8 @@ export function getValidationSummary(skill) {
 // Re-export utilities
 export { validateSchema } from './schemaValidator.js';
 export { resolveReferences, areAllReferencesResolved } from './referenceResolver.js';
-export { checkCompleteness, getCompletenessReport, getIncompleteSections } from './completenessChecker.js';
+export { checkCompleteness, getCompletenessReport, getIncompleteSections, isMockTested } from './completenessChecker.js';
 // Identity & Access Control
 export { validateSecurity, isSecurityComplete, getSecurityReport } from './securityValidator.js';
+// MCP schema drift
+export { checkMcpDrift, getMcpDriftReport, diffToolInputs, schemaToInputs } from './mcpDriftChecker.js';
@@ -0,0 +1,248 @@
+/**
+ * MCP Drift Checker - compares bridged tools against live connector schemas
+ * @module validators/mcpDriftChecker
+ *
+ * Tools imported from an MCP connector (source.type === 'mcp_bridge') keep a
+ * copy of the connector's inputSchema as DAL inputs. When the connector later
+ * adds, removes or retypes a parameter, the skill keeps calling it with the
+ * old shape and fails at runtime. Given the live tools/list result of each
+ * connection, this reports every difference as a validation issue.
+ *
+ * Pure: the caller supplies the live schemas; nothing here talks to connectors.
+ */
+
+import { createIssue, ruleCoverage } from '../rules/index.js';
+
+/**
+ * @typedef {import('../types/DraftSkill.js').ValidationIssue} ValidationIssue
+ * @typedef {import('../types/DraftSkill.js').DraftSkill} DraftSkill
+ */
+
+/**
+ * Live tools per connection: { [connection_id]: [{ name, inputSchema }] }.
+ * A connection missing from the map is treated as unknown (not connected),
+ * never as "all tools removed".
+ * @typedef {Object.<string, Array<{ name: string, inputSchema?: Object }>>} LiveToolMap
+ */
+
+/**
+ * Coverage metadata for auto-generating documentation (declared by the
+ * drift rules, see rules/driftRules.js)
+ * @type {Array<{section: string, field: string, check: string, type: string}>}
+ */
+export const COVERAGE = ruleCoverage({ stage: 'drift' });
+
+
+// ═══════════════════════════════════════════════════════════════
+// SCHEMA → INPUTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * DAL data type for a JSON Schema property
+ * @param {Object} schema
+ * @returns {string}
+ */
+function toDalType(schema) {
+  let type = schema?.type;
+  if (Array.isArray(type)) type = type.find(t => t !== 'null');
+  if (type === 'integer') return 'number';
+  return type || 'string';
+}
+
+/**
+ * Convert an MCP tool inputSchema to DAL tool inputs.
+ * Shared by the connector import and the drift check so both agree on types.
+ *
+ * @param {Object} [inputSchema] - JSON Schema of the tool arguments
+ * @returns {Array<{ name: string, type: string, required: boolean, description: string, enum?: Array, default?: any }>}
+ */
+export function schemaToInputs(inputSchema) {
+  if (!inputSchema?.properties) return [];
+  const required = inputSchema.required || [];
+
+  return Object.entries(inputSchema.properties).map(([name, schema]) => ({
+    name,
+    type: toDalType(schema),
+    required: required.includes(name),
+    description: schema?.description || '',
+    ...(schema?.enum && { enum: schema.enum }),
+    ...(schema?.default !== undefined && { default: schema.default }),
+  }));
+}
+
+function sameType(a, b) {
+  const normalize = (type) => (type === 'text' ? 'string' : type === 'integer' ? 'number' : type || 'string');
+  return normalize(a) === normalize(b);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DIFF
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Differences between a tool's stored inputs and the connector's schema.
+ *
+ * @param {Array} inputs - tool.inputs as stored in the skill
+ * @param {Object} inputSchema - Live inputSchema from tools/list
+ * @returns {Array<{ kind: 'added'|'removed'|'retyped'|'required_changed', param: string, from?: any, to?: any, required?: boolean, renamed_to?: string }>}
+ */
+export function diffToolInputs(inputs = [], inputSchema) {
+  const live = schemaToInputs(inputSchema);
+  const liveByName = new Map(live.map(param => [param.name, param]));
+  const storedByName = new Map(inputs.map(input => [input.name, input]));
+  const changes = [];
+
+  for (const param of live) {
+    const stored = storedByName.get(param.name);
+    if (!stored) {
+      changes.push({ kind: 'added', param: param.name, to: param.type, required: param.required });
+      continue;
+    }
+    if (!sameType(stored.type, param.type)) {
+      changes.push({ kind: 'retyped', param: param.name, from: stored.type, to: param.type });
+    }
+    if (!!stored.required !== param.required) {
+      changes.push({ kind: 'required_changed', param: param.name, from: !!stored.required, to: param.required });
+    }
+  }
+
+  for (const input of inputs) {
+    if (!liveByName.has(input.name)) {
+      changes.push({ kind: 'removed', param: input.name, from: input.type });
+    }
+  }
+
+  // One parameter gone and one of the same type added: almost always a rename
+  const added = changes.filter(c => c.kind === 'added');
+  const removed = changes.filter(c => c.kind === 'removed');
+  if (added.length === 1 && removed.length === 1 && sameType(added[0].to, removed[0].from)) {
+    removed[0].renamed_to = added[0].param;
+  }
+
+  return changes;
+}
+
+function isBridged(tool) {
+  return tool?.source?.type === 'mcp_bridge' && !!tool.source.connection_id;
+}
+
+/**
+ * Per-tool drift status for every bridged tool in the skill.
+ *
+ * status:
+ *   in_sync      — stored inputs match the connector
+ *   drifted      — see changes[]
+ *   missing      — the connector no longer has this tool
+ *   unavailable  — connector not connected; nothing to compare against
+ *
+ * @param {DraftSkill} skill
+ * @param {LiveToolMap} [liveTools]
+ * @returns {Array<{ index: number, tool_id: string, name: string, connection_id: string, mcp_tool: string, status: string, changes: Array }>}
+ */
+export function getMcpDriftReport(skill, liveTools = {}) {
+  const report = [];
+
+  (skill.tools || []).forEach((tool, index) => {
+    if (!isBridged(tool)) return;
+    const { connection_id } = tool.source;
+    const mcp_tool = tool.source.mcp_tool || tool.name;
+    const entry = { index, tool_id: tool.id, name: tool.name, connection_id, mcp_tool };
+
+    const available = liveTools[connection_id];
+    if (!available) {
+      report.push({ ...entry, status: 'unavailable', changes: [] });
+      return;
+    }
+    const live = available.find(t => t.name === mcp_tool);
+    if (!live) {
+      report.push({ ...entry, status: 'missing', changes: [] });
+      return;
+    }
+    const changes = diffToolInputs(tool.inputs, live.inputSchema);
+    report.push({ ...entry, status: changes.length > 0 ? 'drifted' : 'in_sync', changes });
+  });
+
+  return report;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ISSUES
+// ═══════════════════════════════════════════════════════════════
+
+function changeIssue(entry, change, tool) {
+  const toolPath = `tools[${entry.index}]`;
+  const inputIndex = (tool.inputs || []).findIndex(input => input.name === change.param);
+  const inputPath = inputIndex >= 0 ? `${toolPath}.inputs[${inputIndex}]` : `${toolPath}.inputs`;
+  const action = { type: 'resync_tool', tool_id: entry.tool_id, label: 'Resync tool' };
+
+  switch (change.kind) {
+    case 'added':
+      return {
+        ...createIssue('MCP_PARAM_ADDED', {
+          severity: change.required ? 'error' : 'warning',
+          path: `${toolPath}.inputs`,
+          message: `Connector "${entry.connection_id}" added ${change.required ? 'required' : 'optional'} parameter "${change.param}" (${change.to}) to tool "${entry.name}"`,
+        }),
+        action,
+      };
+    case 'removed':
+      return {
+        ...createIssue('MCP_PARAM_REMOVED', {
+          path: inputPath,
+          message: change.renamed_to
+            ? `Tool "${entry.name}": parameter "${change.param}" no longer exists on connector "${entry.connection_id}" (renamed to "${change.renamed_to}"?)`
+            : `Tool "${entry.name}": parameter "${change.param}" no longer exists on connector "${entry.connection_id}"`,
+        }),
+        action,
+      };
+    case 'retyped':
+      return {
+        ...createIssue('MCP_PARAM_RETYPED', {
+          path: `${inputPath}.type`,
+          message: `Tool "${entry.name}": parameter "${change.param}" changed type on the connector (${change.from} → ${change.to})`,
+        }),
+        action,
+      };
+    case 'required_changed':
+      return {
+        ...createIssue('MCP_PARAM_REQUIRED_CHANGED', {
+          severity: change.to ? 'error' : 'warning',
+          path: `${inputPath}.required`,
+          message: `Tool "${entry.name}": parameter "${change.param}" is now ${change.to ? 'required' : 'optional'} on the connector`,
+        }),
+        action,
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validation issues for bridged tools whose connector schema changed.
+ * Without live schemas (offline validation) there is nothing to check.
+ *
+ * @param {DraftSkill} skill
+ * @param {LiveToolMap} [liveTools]
+ * @returns {ValidationIssue[]}
+ */
+export function checkMcpDrift(skill, liveTools) {
+  if (!liveTools) return [];
+  const issues = [];
+
+  for (const entry of getMcpDriftReport(skill, liveTools)) {
+    if (entry.status === 'missing') {
+      issues.push(createIssue('MCP_TOOL_REMOVED', {
+        path: `tools[${entry.index}].source.mcp_tool`,
+        message: `Tool "${entry.name}" no longer exists on connector "${entry.connection_id}"`,
+      }));
+      continue;
+    }
+    const tool = skill.tools[entry.index];
+    for (const change of entry.changes) {
+      const issue = changeIssue(entry, change, tool);
+      if (issue) issues.push(issue);
+    }
+  }
+
+  return issues;
+}
@@ -3,6 +3,8 @@
  * @module validators/referenceResolver
  */
 
+import { createIssue, ruleCoverage } from '../rules/index.js';
+
 /**
  * @typedef {import('../types/DraftSkill.js').ValidationIssue} ValidationIssue
  * @typedef {import('../types/DraftSkill.js').DraftSkill} DraftSkill
@@ -28,22 +30,11 @@ function isSystemTool(name) {
 }
 
 /**
- * Coverage metadata for auto-generating documentation
+ * Coverage metadata for auto-generating documentation (declared by the
+ * reference rules, see rules/referenceRules.js)
  * @type {Array<{section: string, field: string, check: string, type: string}>}
  */
-export const COVERAGE = [
-  // Cross-references
-  { section: 'policy', field: 'policy.workflows[].steps', check: 'Steps reference existing tools', type: 'reference' },
-  { section: 'intents', field: 'intents.supported[].maps_to_workflow', check: 'Workflow exists', type: 'reference' },
-  { section: 'policy', field: 'policy.approvals[].tool_id', check: 'Tool exists', type: 'reference' },
-
-  // Duplicate detection
-  { section: 'tools', field: 'tools[].id', check: 'No duplicate IDs', type: 'reference' },
-  { section: 'tools', field: 'tools[].name', check: 'No duplicate names', type: 'reference' },
-  { section: 'policy', field: 'policy.workflows[].id', check: 'No duplicate IDs', type: 'reference' },
-  { section: 'intents', field: 'intents.supported[].id', check: 'No duplicate IDs', type: 'reference' },
-  { section: 'scenarios', field: 'scenarios[].id', check: 'No duplicate IDs', type: 'reference' },
-];
+export const COVERAGE = ruleCoverage({ stage: 'reference' });
 
 /**
  * Resolve and validate all cross-references in the skill
@@ -78,6 +69,9 @@ export function resolveReferences(skill, unresolved) {
 
   // Check workflow steps reference valid tools
   workflows.forEach((workflow, wi) => {
+    // Non-array steps are reported by the schema validator (INVALID_WORKFLOW_STEPS)
+    if (!Array.isArray(workflow.steps)) return;
+
     // Initialize steps_resolved array if needed
     if (!workflow.steps_resolved || workflow.steps_resolved.length !== workflow.steps.length) {
       workflow.steps_resolved = workflow.steps.map(() => false);
@@ -95,8 +89,7 @@ export function resolveReferences(skill, unresolved) {
         // When connector wildcards are present, unresolved tools may still be valid
         // at runtime (the wildcard pulls in all tools from that connector).
         // Downgrade to info to avoid false positives.
-        issues.push({
-          code: 'TOOL_NOT_FOUND',
+        issues.push(createIssue('TOOL_NOT_FOUND', {
           severity: hasWildcardTools ? 'info' : 'warning',
           path: `policy.workflows[${wi}].steps[${si}]`,
           message: hasWildcardTools
@@ -105,7 +98,7 @@ export function resolveReferences(skill, unresolved) {
           suggestion: hasWildcardTools
             ? `This tool may be resolved at runtime via a connector wildcard. If not, define it explicitly.`
             : `Define tool "${stepId}" or remove from workflow`,
-        });
+        }));
       }
     });
   });
@@ -120,13 +113,11 @@ export function resolveReferences(skill, unresolved) {
         if (!unresolved.workflows.includes(intent.maps_to_workflow)) {
           unresolved.workflows.push(intent.maps_to_workflow);
         }
-        issues.push({
-          code: 'WORKFLOW_NOT_FOUND',
-          severity: 'warning',
+        issues.push(createIssue('WORKFLOW_NOT_FOUND', {
           path: `intents.supported[${ii}].maps_to_workflow`,
           message: `Workflow "${intent.maps_to_workflow}" not found`,
           suggestion: `Define workflow "${intent.maps_to_workflow}" or remove mapping`,
-        });
+        }));
       }
     } else {
       // No reference = resolved
@@ -143,8 +134,7 @@ export function resolveReferences(skill, unresolved) {
       if (!unresolved.tools.includes(rule.tool_id)) {
         unresolved.tools.push(rule.tool_id);
       }
-      issues.push({
-        code: 'TOOL_NOT_FOUND',
+      issues.push(createIssue('TOOL_NOT_FOUND', {
         severity: hasWildcardTools ? 'info' : 'warning',
         path: `policy.approvals[${ri}].tool_id`,
         message: hasWildcardTools
@@ -153,7 +143,7 @@ export function resolveReferences(skill, unresolved) {
         suggestion: hasWildcardTools
           ? `This tool may be resolved at runtime via a connector wildcard. If not, define it explicitly.`
           : `Define tool "${rule.tool_id}" or update the approval rule`,
-      });
+      }));
     }
   });
 
@@ -161,13 +151,10 @@ export function resolveReferences(skill, unresolved) {
   const seenToolIds = new Set();
   (skill.tools || []).forEach((tool, ti) => {
     if (seenToolIds.has(tool.id)) {
-      issues.push({
-        code: 'DUPLICATE_TOOL_ID',
-        severity: 'error',
+      issues.push(createIssue('DUPLICATE_TOOL_ID', {
         path: `tools[${ti}].id`,
         message: `Duplicate tool ID: "${tool.id}"`,
-        suggestion: 'Each tool must have a unique ID',
-      });
+      }));
     }
     seenToolIds.add(tool.id);
   });
@@ -177,13 +164,10 @@ export function resolveReferences(skill, unresolved) {
   (skill.tools || []).forEach((tool, ti) => {
     const lowerName = (tool.name || '').toLowerCase();
     if (seenToolNames.has(lowerName)) {
-      issues.push({
-        code: 'DUPLICATE_TOOL_NAME',
-        severity: 'warning',
+      issues.push(createIssue('DUPLICATE_TOOL_NAME', {
         path: `tools[${ti}].name`,
         message: `Duplicate tool name: "${tool.name}"`,
-        suggestion: 'Tool names should be unique for clarity',
-      });
+      }));
     }
     seenToolNames.add(lowerName);
   });
@@ -192,13 +176,10 @@ export function resolveReferences(skill, unresolved) {
   const seenWorkflowIds = new Set();
   workflows.forEach((workflow, wi) => {
     if (seenWorkflowIds.has(workflow.id)) {
-      issues.push({
-        code: 'DUPLICATE_WORKFLOW_ID',
-        severity: 'error',
+      issues.push(createIssue('DUPLICATE_WORKFLOW_ID', {
         path: `policy.workflows[${wi}].id`,
         message: `Duplicate workflow ID: "${workflow.id}"`,
-        suggestion: 'Each workflow must have a unique ID',
-      });
+      }));
     }
     seenWorkflowIds.add(workflow.id);
   });
@@ -207,13 +188,10 @@ export function resolveReferences(skill, unresolved) {
   const seenIntentIds = new Set();
   (skill.intents?.supported || []).forEach((intent, ii) => {
     if (seenIntentIds.has(intent.id)) {
-      issues.push({
-        code: 'DUPLICATE_INTENT_ID',
-        severity: 'error',
+      issues.push(createIssue('DUPLICATE_INTENT_ID', {
         path: `intents.supported[${ii}].id`,
         message: `Duplicate intent ID: "${intent.id}"`,
-        suggestion: 'Each intent must have a unique ID',
-      });
+      }));
     }
     seenIntentIds.add(intent.id);
   });
@@ -222,13 +200,10 @@ export function resolveReferences(skill, unresolved) {
   const seenScenarioIds = new Set();
   (skill.scenarios || []).forEach((scenario, si) => {
     if (seenScenarioIds.has(scenario.id)) {
-      issues.push({
-        code: 'DUPLICATE_SCENARIO_ID',
-        severity: 'error',
+      issues.push(createIssue('DUPLICATE_SCENARIO_ID', {
         path: `scenarios[${si}].id`,
         message: `Duplicate scenario ID: "${scenario.id}"`,
-        suggestion: 'Each scenario must have a unique ID',
-      });
+      }));
     }
     seenScenarioIds.add(scenario.id);
   });
@@ -367,13 +342,11 @@ function validateIntentToolMapping(skill, toolNames, workflowIds, workflows) {
     }
 
     // No connection found
-    issues.push({
-      code: 'INTENT_NO_TOOLS',
-      severity: 'warning',
+    issues.push(createIssue('INTENT_NO_TOOLS', {
       path: `intents.supported[${i}]`,
       message: `Intent "${intent.id}" has no mapped workflow and no obviously related tools`,
       suggestion: `Add maps_to_workflow, create a workflow with trigger "${intent.id}", or ensure tool names relate to this intent`,
-    });
+    }));
   }
 
   return issues;
@@ -416,13 +389,9 @@ function detectWorkflowCycles(workflows, workflowIds) {
       // Found a cycle — report the loop path
       const cycleStart = path.indexOf(nodeId);
       const cycle = path.slice(cycleStart).concat(nodeId);
-      issues.push({
-        code: 'WORKFLOW_CIRCULAR',
-        severity: 'error',
-        path: 'policy.workflows',
+      issues.push(createIssue('WORKFLOW_CIRCULAR', {
         message: `Circular workflow reference detected: ${cycle.join(' → ')}`,
-        suggestion: 'Remove the circular dependency between workflows',
-      });
+      }));
       return;
     }
     if (visited.has(nodeId)) return;
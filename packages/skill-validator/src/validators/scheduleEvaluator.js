@@ -0,0 +1,469 @@
+/**
+ * Schedule Evaluator - cron, timezone and active-window logic for schedule triggers
+ * @module validators/scheduleEvaluator
+ *
+ * A schedule trigger fires on a fixed interval (`every`, ISO8601 duration)
+ * or on a cron expression (`cron`, 5 fields). Both are read in the trigger's
+ * `timezone` (IANA name, UTC when unset) and then filtered by:
+ *
+ *   - active_windows: [{ days?: ['mon', ...], start?: 'HH:MM', end?: 'HH:MM' }]
+ *     fire only inside at least one window. `end` is exclusive; a window
+ *     whose start is after its end runs past midnight.
+ *   - blackout_dates: ['YYYY-MM-DD'] — never fire on these local dates.
+ *
+ * Pure: no I/O. Used by schemaValidator and the schedule preview endpoint.
+ */
+
+/**
+ * @typedef {import('../types/DraftSkill.js').ScheduleTrigger} ScheduleTrigger
+ * @typedef {import('../types/DraftSkill.js').ActiveWindow} ActiveWindow
+ */
+
+/**
+ * One upcoming fire time.
+ * @typedef {Object} FireTime
+ * @property {string} at - UTC instant (ISO 8601)
+ * @property {string} local - Wall-clock time in the trigger timezone ("YYYY-MM-DD HH:MM")
+ * @property {string} weekday - Short day name in the trigger timezone ("mon")
+ */
+
+export const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+export const DURATION_PATTERN = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+export const CLOCK_PATTERN = /^(?:([01]\d|2[0-3]):([0-5]\d)|24:00)$/;
+export const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/** Local days a cron search looks ahead before giving up (covers leap-day crons) */
+const MAX_CRON_DAYS = 366 * 8;
+/** Interval steps tried before giving up (windows can reject most of them) */
+const MAX_INTERVAL_STEPS = 50000;
+/**
+ * Years whose dates cover every (month, day, weekday) combination, Feb 29
+ * included: the 28-year weekday cycle holds between 1901 and 2099.
+ */
+const CALENDAR_CYCLE = { from: 2001, years: 28 };
+
+// ═══════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════
+
+function parseCronValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names?.includes(lower)) {
+    return field.names.indexOf(lower) + field.offset;
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} value "${text}"`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} is out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || range === '') {
+      throw new Error(`Invalid ${field.name} field "${text}"`);
+    }
+
+    let step = 1;
+    if (stepText !== undefined) {
+      if (!/^\d+$/.test(stepText) || Number(stepText) === 0) {
+        throw new Error(`Invalid step "${stepText}" in ${field.name} field`);
+      }
+      step = Number(stepText);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to, rest] = range.split('-');
+      if (rest !== undefined) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+      start = parseCronValue(from, field);
+      // "5/15" means "from 5 to the end, every 15"
+      end = to !== undefined ? parseCronValue(to, field) : (stepText !== undefined ? field.max : start);
+      if (start > end) {
+        throw new Error(`${field.name} range "${range}" runs backwards`);
+      }
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * or one of the @hourly/@daily/@weekly/@monthly/@yearly macros.
+ *
+ * Day-of-month and day-of-week follow the classic cron rule: when both are
+ * restricted, a day matches if either does.
+ *
+ * @param {string} expression
+ * @returns {{ minutes: number[], hours: number[], days: Set<number>, months: Set<number>, weekdays: Set<number>, domAny: boolean, dowAny: boolean }}
+ * @throws {Error} With a readable message when the expression is invalid
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is empty');
+  }
+  const trimmed = expression.trim();
+  const source = CRON_MACROS[trimmed.toLowerCase()] || trimmed;
+  if (source.startsWith('@')) {
+    throw new Error(`Unknown cron macro "${trimmed}"`);
+  }
+
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields (minute hour day month weekday), got ${parts.length}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0); // 7 is Sunday too
+
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    domAny: parts[2] === '*',
+    dowAny: parts[4] === '*',
+  };
+}
+
+/**
+ * Parse an ISO8601 duration (weeks, days, hours, minutes, seconds).
+ * @param {string} duration - e.g. "PT15M", "P1D", "P1W"
+ * @returns {number|null} Milliseconds, or null when invalid or zero
+ */
+export function parseDuration(duration) {
+  const match = typeof duration === 'string' ? duration.match(DURATION_PATTERN) : null;
+  if (!match || duration.endsWith('T')) return null;
+  const [, weeks, days, hours, minutes, seconds] = match.map(v => Number(v || 0));
+  const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean} Whether the runtime knows the IANA timezone
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {string} clock - "HH:MM" (24:00 allowed as an end of day)
+ * @returns {number|null} Minutes since midnight
+ */
+export function parseClock(clock) {
+  const match = typeof clock === 'string' ? clock.match(CLOCK_PATTERN) : null;
+  if (!match) return null;
+  return match[1] === undefined ? 24 * 60 : Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {boolean} Whether the date exists on the calendar
+ */
+export function isValidDate(date) {
+  const match = typeof date === 'string' ? date.match(DATE_PATTERN) : null;
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  return parsed.getUTCFullYear() === year && parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day;
+}
+
+/**
+ * Problems with one active window, empty when it is valid.
+ * @param {ActiveWindow} window
+ * @returns {string[]}
+ */
+export function checkActiveWindow(window) {
+  if (!window || typeof window !== 'object' || Array.isArray(window)) {
+    return ['Active window must be an object like { days: ["mon"], start: "08:00", end: "18:00" }'];
+  }
+  const problems = [];
+  if (window.days !== undefined) {
+    if (!Array.isArray(window.days) || window.days.length === 0) {
+      problems.push('days must be a non-empty array of day names');
+    } else {
+      const unknown = window.days.filter(d => !DAY_NAMES.includes(String(d).toLowerCase()));
+      if (unknown.length > 0) {
+        problems.push(`Unknown day name(s): ${unknown.join(', ')}. Use ${DAY_NAMES.join(', ')}`);
+      }
+    }
+  }
+  const start = window.start === undefined ? 0 : parseClock(window.start);
+  const end = window.end === undefined ? 24 * 60 : parseClock(window.end);
+  if (start === null || start === 24 * 60) problems.push(`Invalid start time "${window.start}" (use HH:MM)`);
+  if (end === null) problems.push(`Invalid end time "${window.end}" (use HH:MM)`);
+  if (start !== null && end !== null && start === end) problems.push('start and end are equal; the window is empty');
+  return problems;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WALL CLOCK
+// ═══════════════════════════════════════════════════════════════
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Calendar fields of an instant in a timezone.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, weekday: number }}
+ */
+function wallClock(ms, timeZone) {
+  const fields = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') fields[type] = Number(value);
+  }
+  const weekday = new Date(Date.UTC(fields.year, fields.month - 1, fields.day)).getUTCDay();
+  return { year: fields.year, month: fields.month, day: fields.day, hour: fields.hour, minute: fields.minute, weekday };
+}
+
+/**
+ * Instant of a local wall-clock minute, or null when it does not exist
+ * (skipped by a DST jump). Ambiguous times resolve to one of the two instants.
+ */
+function localToInstant(year, month, day, hour, minute, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (ms) => {
+    const w = wallClock(ms, timeZone);
+    return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute) - Math.floor(ms / MINUTE_MS) * MINUTE_MS;
+  };
+  let instant = asUtc - offsetAt(asUtc);
+  instant = asUtc - offsetAt(instant);
+
+  const check = wallClock(instant, timeZone);
+  if (check.day !== day || check.hour !== hour || check.minute !== minute) return null;
+  return instant;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const dateKey = (w) => `${w.year}-${pad(w.month)}-${pad(w.day)}`;
+
+function toFireTime(ms, wall) {
+  return {
+    at: new Date(ms).toISOString(),
+    local: `${dateKey(wall)} ${pad(wall.hour)}:${pad(wall.minute)}`,
+    weekday: DAY_NAMES[wall.weekday],
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FILTERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Whether a local time falls inside one of the windows (no windows → always).
+ * @param {ActiveWindow[]} windows
+ * @param {{ hour: number, minute: number, weekday: number }} wall
+ */
+export function inActiveWindows(windows, wall) {
+  if (!Array.isArray(windows) || windows.length === 0) return true;
+  const minutes = wall.hour * 60 + wall.minute;
+
+  return windows.some(window => {
+    const start = window.start === undefined ? 0 : parseClock(window.start);
+    const end = window.end === undefined ? 24 * 60 : parseClock(window.end);
+    if (start === null || end === null) return false;
+    const days = window.days?.length ? window.days.map(d => DAY_NAMES.indexOf(String(d).toLowerCase())) : null;
+    const onDay = (weekday) => !days || days.includes(weekday);
+
+    if (start < end) return onDay(wall.weekday) && minutes >= start && minutes < end;
+    // Overnight window: the part after midnight belongs to the previous day
+    return (onDay(wall.weekday) && minutes >= start) || (onDay((wall.weekday + 6) % 7) && minutes < end);
+  });
+}
+
+function allowedAt(trigger, blackouts, wall) {
+  return !blackouts.has(dateKey(wall)) && inActiveWindows(trigger.active_windows, wall);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PREVIEW
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Cron hour/minute pairs that fall inside the active windows, per local
+ * weekday. Pure arithmetic, so searches only convert times that can fire.
+ * @returns {Array<Array<[number, number]>>} Indexed by weekday (0 = sun)
+ */
+function windowedCronTimes(cron, windows) {
+  return DAY_NAMES.map((_, weekday) => {
+    const pairs = [];
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        if (inActiveWindows(windows, { hour, minute, weekday })) pairs.push([hour, minute]);
+      }
+    }
+    return pairs;
+  });
+}
+
+function cronMatchesDate(cron, month, day, weekday) {
+  if (!cron.months.has(month)) return false;
+  const domMatch = cron.days.has(day);
+  const dowMatch = cron.weekdays.has(weekday);
+  return cron.domAny || cron.dowAny ? domMatch && dowMatch : domMatch || dowMatch;
+}
+
+/**
+ * Whether a cron trigger fires at all: some calendar date matches the cron
+ * and, on that date's weekday, some cron time falls inside the active
+ * windows. Decided without a clock, so the answer never depends on when it
+ * is asked. Blackout dates are finite and DST gaps skip one day a year, so
+ * neither can stop a schedule for good.
+ *
+ * @param {ScheduleTrigger} trigger
+ * @returns {boolean}
+ * @throws {Error} When the cron expression is invalid
+ */
+export function cronEverFires(trigger) {
+  const cron = parseCron(trigger.cron);
+  const times = windowedCronTimes(cron, trigger.active_windows);
+  const end = Date.UTC(CALENDAR_CYCLE.from + CALENDAR_CYCLE.years, 0, 1);
+  for (let cursor = Date.UTC(CALENDAR_CYCLE.from, 0, 1); cursor < end; cursor += DAY_MS) {
+    const date = new Date(cursor);
+    const weekday = date.getUTCDay();
+    if (times[weekday].length > 0 && cronMatchesDate(cron, date.getUTCMonth() + 1, date.getUTCDate(), weekday)) return true;
+  }
+  return false;
+}
+
+function nextCronTimes(cron, trigger, timeZone, blackouts, fromMs, count) {
+  const times = [];
+  const windowed = windowedCronTimes(cron, trigger.active_windows);
+  if (windowed.every(pairs => pairs.length === 0)) return times;
+  const start = wallClock(fromMs, timeZone);
+  let cursor = Date.UTC(start.year, start.month - 1, start.day);
+
+  for (let i = 0; i < MAX_CRON_DAYS && times.length < count; i++, cursor += DAY_MS) {
+    const date = new Date(cursor);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    const weekday = date.getUTCDay();
+
+    if (windowed[weekday].length === 0 || !cronMatchesDate(cron, month, day, weekday)) continue;
+    if (blackouts.has(`${year}-${pad(month)}-${pad(day)}`)) continue;
+
+    for (const [hour, minute] of windowed[weekday]) {
+      if (times.length >= count) return times;
+      const instant = localToInstant(year, month, day, hour, minute, timeZone);
+      if (instant === null || instant <= fromMs) continue;
+      times.push(toFireTime(instant, { year, month, day, hour, minute, weekday }));
+    }
+  }
+  return times;
+}
+
+function nextIntervalTimes(intervalMs, trigger, timeZone, blackouts, fromMs, count) {
+  const times = [];
+  let instant = fromMs;
+  for (let i = 0; i < MAX_INTERVAL_STEPS && times.length < count; i++) {
+    instant += intervalMs;
+    const wall = wallClock(instant, timeZone);
+    if (allowedAt(trigger, blackouts, wall)) times.push(toFireTime(instant, wall));
+  }
+  return times;
+}
+
+/**
+ * Next fire times of a schedule trigger.
+ *
+ * Cron triggers fire on matching local minutes; interval triggers step by
+ * `every` from `from` (the runner starts counting when the trigger is
+ * deployed). Times outside active windows or on blackout dates are skipped.
+ *
+ * @param {ScheduleTrigger} trigger
+ * @param {Object} [options]
+ * @param {Date|string|number} [options.from] - Start of the preview (exclusive), default now
+ * @param {number} [options.count=5]
+ * @returns {FireTime[]} Fewer than `count` when the schedule (almost) never fires
+ * @throws {Error} When the cron, duration or timezone is invalid
+ */
+export function nextFireTimes(trigger, { from = new Date(), count = 5 } = {}) {
+  const timeZone = trigger.timezone || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown timezone "${timeZone}"`);
+  }
+  const fromMs = new Date(from).getTime();
+  if (Number.isNaN(fromMs)) {
+    throw new Error(`Invalid start time "${from}"`);
+  }
+  const blackouts = new Set(trigger.blackout_dates || []);
+
+  if (trigger.cron) {
+    return nextCronTimes(parseCron(trigger.cron), trigger, timeZone, blackouts, fromMs, count);
+  }
+  const intervalMs = parseDuration(trigger.every);
+  if (intervalMs === null) {
+    throw new Error(`Invalid ISO8601 duration "${trigger.every}"`);
+  }
+  return nextIntervalTimes(intervalMs, trigger, timeZone, blackouts, fromMs, count);
+}
+
+export default {
+  parseCron,
+  parseDuration,
+  isValidTimeZone,
+  parseClock,
+  isValidDate,
+  checkActiveWindow,
+  inActiveWindows,
+  cronEverFires,
+  nextFireTimes,
+};
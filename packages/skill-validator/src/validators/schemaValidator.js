@@ -3,6 +3,12 @@
  * @module validators/schemaValidator
  */
 
+import {
+  parseCron, parseDuration, isValidTimeZone, isValidDate, checkActiveWindow, cronEverFires,
+} from './scheduleEvaluator.js';
+import { checkFilter } from './eventFilter.js';
+import { createIssue } from '../rules/index.js';
+
 /**
  * @typedef {import('../types/DraftSkill.js').ValidationIssue} ValidationIssue
  * @typedef {import('../types/DraftSkill.js').DraftSkill} DraftSkill
@@ -113,7 +119,13 @@ export const COVERAGE = [
   { section: 'triggers', field: 'triggers[].concurrency', check: 'Number >= 1', type: 'schema' },
   { section: 'triggers', field: 'triggers[].prompt', check: 'Has prompt (string)', type: 'schema' },
   { section: 'triggers', field: 'triggers[].every', check: 'Valid ISO8601 duration (schedule)', type: 'schema' },
+  { section: 'triggers', field: 'triggers[].cron', check: 'Valid 5-field cron, exclusive with every (schedule)', type: 'schema' },
+  { section: 'triggers', field: 'triggers[].timezone', check: 'Known IANA timezone (schedule)', type: 'schema' },
+  { section: 'triggers', field: 'triggers[].active_windows', check: 'Valid days and HH:MM range (schedule)', type: 'schema' },
+  { section: 'triggers', field: 'triggers[].blackout_dates', check: 'Valid YYYY-MM-DD dates (schedule)', type: 'schema' },
+  { section: 'triggers', field: 'triggers[].cron', check: 'Fires at least once (schedule)', type: 'schema' },
   { section: 'triggers', field: 'triggers[].event', check: 'Has event name (event trigger)', type: 'schema' },
+  { section: 'triggers', field: 'triggers[].filter', check: 'Filter expression parses and type-checks (event trigger)', type: 'schema' },
 ];
 
 export const VALID_DATA_TYPES = ['string', 'number', 'boolean', 'object', 'array', 'text'];
@@ -132,6 +144,29 @@ export const VALID_PHASES = [
   'EXPORTED',
   'DEPLOYED'
 ];
+export const VALID_TONES = ['formal', 'casual', 'technical', 'warm'];
+export const VALID_VERBOSITIES = ['concise', 'balanced', 'detailed'];
+export const VALID_OOD_ACTIONS = ['redirect', 'reject', 'escalate'];
+export const VALID_MISSION_KINDS = ['generate', 'retrieve', 'execute', 'converse', 'configure'];
+export const VALID_STRICTNESS = ['low', 'medium', 'high'];
+export const VALID_AUTONOMY_LEVELS = ['autonomous', 'supervised', 'restricted'];
+export const VALID_TOOL_POLICY_ALLOWED = ['always', 'conditional', 'never'];
+export const VALID_MOCK_MODES = ['examples', 'llm', 'hybrid'];
+export const VALID_MOCK_STATUSES = ['untested', 'tested', 'skipped'];
+export const KNOWN_ROLES = ['viewer', 'member', 'admin', 'owner', 'adas_builder', 'skill_admin'];
+export const MAX_BOOTSTRAP_TOOLS = 3;
+export const MAX_FINALIZATION_GATE_RETRIES = 10;
+
+/**
+ * Per-skill ceiling overrides read by CORE's sys.askAnySkill at delegation
+ * time. Each has the same shape contract: a positive finite number.
+ */
+export const ENGINE_CEILING_FIELDS = [
+  { key: 'default_sub_job_seconds',       code: 'INVALID_DEFAULT_SUB_JOB_SECONDS',       hint: 'sub-job ceiling in seconds (CORE clamps to [5, 600], default 300)' },
+  { key: 'default_max_idle_seconds',      code: 'INVALID_DEFAULT_MAX_IDLE_SECONDS',      hint: 'idle threshold in seconds (CORE clamps to [5, hard_ceiling], default 60)' },
+  { key: 'default_max_delegation_depth',  code: 'INVALID_DEFAULT_MAX_DELEGATION_DEPTH',  hint: 'delegation chain depth (CORE default 3; takes MAX(default, caller, target))' },
+  { key: 'loop_streak_threshold',         code: 'INVALID_LOOP_STREAK_THRESHOLD',         hint: 'loop-breaker streak threshold (CORE default 3; clamped to [1, 20] at runtime; recommended: 3 generic / 6 orchestrators / 8+ synthesis flows)' },
+];
 
 /**
  * Validate schema of DraftSkill
@@ -200,30 +235,17 @@ function validateMetadata(skill) {
   const issues = [];
 
   if (!skill.id || typeof skill.id !== 'string') {
-    issues.push({
-      code: 'INVALID_ID',
-      severity: 'error',
-      path: 'id',
-      message: 'Skill ID is required and must be a string',
-    });
+    issues.push(createIssue('INVALID_ID'));
   }
 
   if (!skill.name || typeof skill.name !== 'string') {
-    issues.push({
-      code: 'INVALID_NAME',
-      severity: 'error',
-      path: 'name',
-      message: 'Skill name is required and must be a string',
-    });
+    issues.push(createIssue('INVALID_NAME'));
   }
 
   if (!VALID_PHASES.includes(skill.phase)) {
-    issues.push({
-      code: 'INVALID_PHASE',
-      severity: 'error',
-      path: 'phase',
+    issues.push(createIssue('INVALID_PHASE', {
       message: `Invalid phase: ${skill.phase}. Must be one of: ${VALID_PHASES.join(', ')}`,
-    });
+    }));
   }
 
   return issues;
@@ -238,31 +260,16 @@ function validateProblem(problem) {
   const issues = [];
 
   if (!problem) {
-    issues.push({
-      code: 'MISSING_PROBLEM',
-      severity: 'error',
-      path: 'problem',
-      message: 'Problem section is required',
-    });
+    issues.push(createIssue('MISSING_PROBLEM'));
     return issues;
   }
 
   if (problem.statement && typeof problem.statement !== 'string') {
-    issues.push({
-      code: 'INVALID_PROBLEM_STATEMENT',
-      severity: 'error',
-      path: 'problem.statement',
-      message: 'Problem statement must be a string',
-    });
+    issues.push(createIssue('INVALID_PROBLEM_STATEMENT'));
   }
 
   if (problem.goals && !Array.isArray(problem.goals)) {
-    issues.push({
-      code: 'INVALID_PROBLEM_GOALS',
-      severity: 'error',
-      path: 'problem.goals',
-      message: 'Problem goals must be an array',
-    });
+    issues.push(createIssue('INVALID_PROBLEM_GOALS'));
   }
 
   return issues;
@@ -278,31 +285,15 @@ function validateScenario(scenario, path) {
   const issues = [];
 
   if (!scenario.id) {
-    issues.push({
-      code: 'MISSING_SCENARIO_ID',
-      severity: 'error',
-      path: `${path}.id`,
-      message: 'Scenario ID is required',
-    });
+    issues.push(createIssue('MISSING_SCENARIO_ID', { path: `${path}.id` }));
   }
 
   if (!scenario.title || typeof scenario.title !== 'string') {
-    issues.push({
-      code: 'INVALID_SCENARIO_TITLE',
-      severity: 'warning',
-      path: `${path}.title`,
-      message: 'Scenario title is required',
-      suggestion: 'Add a descriptive title for the scenario',
-    });
+    issues.push(createIssue('INVALID_SCENARIO_TITLE', { path: `${path}.title` }));
   }
 
   if (!Array.isArray(scenario.steps)) {
-    issues.push({
-      code: 'INVALID_SCENARIO_STEPS',
-      severity: 'error',
-      path: `${path}.steps`,
-      message: 'Scenario steps must be an array',
-    });
+    issues.push(createIssue('INVALID_SCENARIO_STEPS', { path: `${path}.steps` }));
   }
 
   return issues;
@@ -317,35 +308,21 @@ function validateRole(role) {
   const issues = [];
 
   if (!role) {
-    issues.push({
-      code: 'MISSING_ROLE',
-      severity: 'error',
-      path: 'role',
-      message: 'Role section is required',
-    });
+    issues.push(createIssue('MISSING_ROLE'));
     return issues;
   }
 
   if (role.communication_style) {
-    const validTones = ['formal', 'casual', 'technical', 'warm'];
-    const validVerbosities = ['concise', 'balanced', 'detailed'];
-
-    if (role.communication_style.tone && !validTones.includes(role.communication_style.tone)) {
-      issues.push({
-        code: 'INVALID_TONE',
-        severity: 'error',
-        path: 'role.communication_style.tone',
-        message: `Invalid tone: ${role.communication_style.tone}. Must be one of: ${validTones.join(', ')}`,
-      });
+    if (role.communication_style.tone && !VALID_TONES.includes(role.communication_style.tone)) {
+      issues.push(createIssue('INVALID_TONE', {
+        message: `Invalid tone: ${role.communication_style.tone}. Must be one of: ${VALID_TONES.join(', ')}`,
+      }));
     }
 
-    if (role.communication_style.verbosity && !validVerbosities.includes(role.communication_style.verbosity)) {
-      issues.push({
-        code: 'INVALID_VERBOSITY',
-        severity: 'error',
-        path: 'role.communication_style.verbosity',
-        message: `Invalid verbosity: ${role.communication_style.verbosity}. Must be one of: ${validVerbosities.join(', ')}`,
-      });
+    if (role.communication_style.verbosity && !VALID_VERBOSITIES.includes(role.communication_style.verbosity)) {
+      issues.push(createIssue('INVALID_VERBOSITY', {
+        message: `Invalid verbosity: ${role.communication_style.verbosity}. Must be one of: ${VALID_VERBOSITIES.join(', ')}`,
+      }));
     }
   }
 
@@ -361,12 +338,7 @@ function validateIntentsConfig(intents) {
   const issues = [];
 
   if (!intents) {
-    issues.push({
-      code: 'MISSING_INTENTS',
-      severity: 'error',
-      path: 'intents',
-      message: 'Intents section is required',
-    });
+    issues.push(createIssue('MISSING_INTENTS'));
     return issues;
   }
 
@@ -375,21 +347,17 @@ function validateIntentsConfig(intents) {
     const { accept, clarify, reject } = intents.thresholds;
 
     if (typeof accept === 'number' && (accept < 0 || accept > 1)) {
-      issues.push({
-        code: 'INVALID_THRESHOLD',
-        severity: 'error',
+      issues.push(createIssue('INVALID_THRESHOLD', {
         path: 'intents.thresholds.accept',
         message: 'Accept threshold must be between 0 and 1',
-      });
+      }));
     }
 
     if (typeof clarify === 'number' && (clarify < 0 || clarify > 1)) {
-      issues.push({
-        code: 'INVALID_THRESHOLD',
-        severity: 'error',
+      issues.push(createIssue('INVALID_THRESHOLD', {
         path: 'intents.thresholds.clarify',
         message: 'Clarify threshold must be between 0 and 1',
-      });
+      }));
     }
   }
 
@@ -400,14 +368,10 @@ function validateIntentsConfig(intents) {
 
   // Validate out_of_skill
   if (intents.out_of_skill) {
-    const validActions = ['redirect', 'reject', 'escalate'];
-    if (intents.out_of_skill.action && !validActions.includes(intents.out_of_skill.action)) {
-      issues.push({
-        code: 'INVALID_OOD_ACTION',
-        severity: 'error',
-        path: 'intents.out_of_skill.action',
-        message: `Invalid out-of-skill action: ${intents.out_of_skill.action}. Must be one of: ${validActions.join(', ')}`,
-      });
+    if (intents.out_of_skill.action && !VALID_OOD_ACTIONS.includes(intents.out_of_skill.action)) {
+      issues.push(createIssue('INVALID_OOD_ACTION', {
+        message: `Invalid out-of-skill action: ${intents.out_of_skill.action}. Must be one of: ${VALID_OOD_ACTIONS.join(', ')}`,
+      }));
     }
   }
 
@@ -417,86 +381,51 @@ function validateIntentsConfig(intents) {
   // was mistyped").
   if (intents.fast_path?.rules) {
     if (!Array.isArray(intents.fast_path.rules)) {
-      issues.push({
-        code: 'INVALID_FAST_PATH_RULES',
-        severity: 'error',
-        path: 'intents.fast_path.rules',
-        message: 'intents.fast_path.rules must be an array',
-      });
+      issues.push(createIssue('INVALID_FAST_PATH_RULES'));
     } else {
       intents.fast_path.rules.forEach((rule, i) => {
         const rulePath = `intents.fast_path.rules[${i}]`;
         if (!rule || typeof rule !== 'object') {
-          issues.push({
-            code: 'INVALID_FAST_PATH_RULE',
-            severity: 'error',
-            path: rulePath,
-            message: 'fast_path rule must be an object',
-          });
+          issues.push(createIssue('INVALID_FAST_PATH_RULE', { path: rulePath }));
           return;
         }
         if (!rule.pattern || typeof rule.pattern !== 'string') {
-          issues.push({
-            code: 'MISSING_FAST_PATH_PATTERN',
-            severity: 'error',
-            path: `${rulePath}.pattern`,
-            message: 'fast_path rule.pattern is required (regex literal string, e.g. "/^build me/i")',
-          });
+          issues.push(createIssue('MISSING_FAST_PATH_PATTERN', { path: `${rulePath}.pattern` }));
         }
         if (!rule.intent || typeof rule.intent !== 'string') {
-          issues.push({
-            code: 'MISSING_FAST_PATH_INTENT',
-            severity: 'error',
-            path: `${rulePath}.intent`,
-            message: 'fast_path rule.intent is required (must match an id in intents.supported[])',
-          });
+          issues.push(createIssue('MISSING_FAST_PATH_INTENT', { path: `${rulePath}.intent` }));
         }
         if (rule.mission_kind !== undefined) {
-          const validMissionKinds = ['generate', 'retrieve', 'execute', 'converse', 'configure'];
-          if (!validMissionKinds.includes(rule.mission_kind)) {
-            issues.push({
-              code: 'INVALID_FAST_PATH_MISSION_KIND',
-              severity: 'error',
+          if (!VALID_MISSION_KINDS.includes(rule.mission_kind)) {
+            issues.push(createIssue('INVALID_FAST_PATH_MISSION_KIND', {
               path: `${rulePath}.mission_kind`,
-              message: `Invalid mission_kind: ${rule.mission_kind}. Must be one of: ${validMissionKinds.join(', ')}`,
-            });
+              message: `Invalid mission_kind: ${rule.mission_kind}. Must be one of: ${VALID_MISSION_KINDS.join(', ')}`,
+            }));
           }
         }
         if (rule.execution_contract !== undefined) {
           const ec = rule.execution_contract;
           if (!ec || typeof ec !== 'object' || Array.isArray(ec)) {
-            issues.push({
-              code: 'INVALID_EXECUTION_CONTRACT',
-              severity: 'error',
-              path: `${rulePath}.execution_contract`,
-              message: 'execution_contract must be an object',
-            });
+            issues.push(createIssue('INVALID_EXECUTION_CONTRACT', { path: `${rulePath}.execution_contract` }));
           } else {
             if (ec.requires_external_effect !== undefined && typeof ec.requires_external_effect !== 'boolean') {
-              issues.push({
-                code: 'INVALID_REQUIRES_EXTERNAL_EFFECT',
-                severity: 'error',
+              issues.push(createIssue('INVALID_REQUIRES_EXTERNAL_EFFECT', {
                 path: `${rulePath}.execution_contract.requires_external_effect`,
-                message: 'execution_contract.requires_external_effect must be a boolean',
-              });
+              }));
             }
             if (ec.required_tools !== undefined) {
               if (!Array.isArray(ec.required_tools)) {
-                issues.push({
-                  code: 'INVALID_REQUIRED_TOOLS',
-                  severity: 'error',
+                issues.push(createIssue('INVALID_REQUIRED_TOOLS', {
                   path: `${rulePath}.execution_contract.required_tools`,
                   message: 'execution_contract.required_tools must be an array of fully-qualified tool name strings (e.g. ["acs.widget.store"]). CORE\'s finalization gate fails the response with REQUIRED_TOOL_NOT_EXECUTED if any listed tool did not run successfully in the chain.',
-                });
+                }));
               } else {
                 ec.required_tools.forEach((t, j) => {
                   if (typeof t !== 'string' || !t.trim()) {
-                    issues.push({
-                      code: 'INVALID_REQUIRED_TOOL_NAME',
-                      severity: 'error',
+                    issues.push(createIssue('INVALID_REQUIRED_TOOL_NAME', {
                       path: `${rulePath}.execution_contract.required_tools[${j}]`,
                       message: 'each required_tools entry must be a non-empty string (fully-qualified tool name like "acs.widget.store"). Tool existence is NOT checked here — CORE validates at runtime against the deployed connector tool surface.',
-                    });
+                    }));
                   }
                 });
               }
@@ -520,51 +449,27 @@ function validateIntent(intent, path) {
   const issues = [];
 
   if (!intent.id) {
-    issues.push({
-      code: 'MISSING_INTENT_ID',
-      severity: 'error',
-      path: `${path}.id`,
-      message: 'Intent ID is required',
-    });
+    issues.push(createIssue('MISSING_INTENT_ID', { path: `${path}.id` }));
   }
 
   if (!intent.description || typeof intent.description !== 'string') {
-    issues.push({
-      code: 'INVALID_INTENT_DESCRIPTION',
-      severity: 'warning',
-      path: `${path}.description`,
-      message: 'Intent description is required',
-      suggestion: 'Add a clear description of what this intent represents',
-    });
+    issues.push(createIssue('INVALID_INTENT_DESCRIPTION', { path: `${path}.description` }));
   }
 
   if (!Array.isArray(intent.examples) || intent.examples.length === 0) {
-    issues.push({
-      code: 'MISSING_INTENT_EXAMPLES',
-      severity: 'warning',
-      path: `${path}.examples`,
-      message: 'Intent should have at least one example',
-      suggestion: 'Add example phrases that would trigger this intent',
-    });
+    issues.push(createIssue('MISSING_INTENT_EXAMPLES', { path: `${path}.examples` }));
   }
 
   // Validate entities
   intent.entities?.forEach((entity, i) => {
     if (!entity.name) {
-      issues.push({
-        code: 'MISSING_ENTITY_NAME',
-        severity: 'error',
-        path: `${path}.entities[${i}].name`,
-        message: 'Entity name is required',
-      });
+      issues.push(createIssue('MISSING_ENTITY_NAME', { path: `${path}.entities[${i}].name` }));
     }
     if (entity.type && !VALID_DATA_TYPES.includes(entity.type)) {
-      issues.push({
-        code: 'INVALID_ENTITY_TYPE',
-        severity: 'error',
+      issues.push(createIssue('INVALID_ENTITY_TYPE', {
         path: `${path}.entities[${i}].type`,
         message: `Invalid entity type: ${entity.type}`,
-      });
+      }));
     }
   });
 
@@ -580,51 +485,33 @@ function validateEngine(engine) {
   const issues = [];
 
   if (!engine) {
-    issues.push({
-      code: 'MISSING_ENGINE',
-      severity: 'error',
-      path: 'engine',
-      message: 'Engine section is required',
-    });
+    issues.push(createIssue('MISSING_ENGINE'));
     return issues;
   }
 
   // Validate RV2 config
   if (engine.rv2) {
     if (typeof engine.rv2.max_iterations === 'number' && engine.rv2.max_iterations < 1) {
-      issues.push({
-        code: 'INVALID_MAX_ITERATIONS',
-        severity: 'error',
-        path: 'engine.rv2.max_iterations',
-        message: 'max_iterations must be at least 1',
-      });
+      issues.push(createIssue('INVALID_MAX_ITERATIONS'));
     }
 
   }
 
   // Validate HLR config
   if (engine.hlr?.critic) {
-    const validStrictness = ['low', 'medium', 'high'];
-    if (engine.hlr.critic.strictness && !validStrictness.includes(engine.hlr.critic.strictness)) {
-      issues.push({
-        code: 'INVALID_STRICTNESS',
-        severity: 'error',
-        path: 'engine.hlr.critic.strictness',
-        message: `Invalid strictness: ${engine.hlr.critic.strictness}. Must be one of: ${validStrictness.join(', ')}`,
-      });
+    if (engine.hlr.critic.strictness && !VALID_STRICTNESS.includes(engine.hlr.critic.strictness)) {
+      issues.push(createIssue('INVALID_STRICTNESS', {
+        message: `Invalid strictness: ${engine.hlr.critic.strictness}. Must be one of: ${VALID_STRICTNESS.join(', ')}`,
+      }));
     }
   }
 
   // Validate autonomy
   if (engine.autonomy) {
-    const validLevels = ['autonomous', 'supervised', 'restricted'];
-    if (engine.autonomy.level && !validLevels.includes(engine.autonomy.level)) {
-      issues.push({
-        code: 'INVALID_AUTONOMY_LEVEL',
-        severity: 'error',
-        path: 'engine.autonomy.level',
-        message: `Invalid autonomy level: ${engine.autonomy.level}. Must be one of: ${validLevels.join(', ')}`,
-      });
+    if (engine.autonomy.level && !VALID_AUTONOMY_LEVELS.includes(engine.autonomy.level)) {
+      issues.push(createIssue('INVALID_AUTONOMY_LEVEL', {
+        message: `Invalid autonomy level: ${engine.autonomy.level}. Must be one of: ${VALID_AUTONOMY_LEVELS.join(', ')}`,
+      }));
     }
   }
 
@@ -632,21 +519,11 @@ function validateEngine(engine) {
   if (engine.finalization_gate) {
     const gate = engine.finalization_gate;
     if (gate.enabled !== undefined && typeof gate.enabled !== 'boolean') {
-      issues.push({
-        code: 'INVALID_FINALIZATION_GATE_ENABLED',
-        severity: 'error',
-        path: 'engine.finalization_gate.enabled',
-        message: 'finalization_gate.enabled must be a boolean',
-      });
+      issues.push(createIssue('INVALID_FINALIZATION_GATE_ENABLED'));
     }
     if (gate.max_retries !== undefined) {
-      if (typeof gate.max_retries !== 'number' || gate.max_retries < 0 || gate.max_retries > 10) {
-        issues.push({
-          code: 'INVALID_FINALIZATION_GATE_RETRIES',
-          severity: 'error',
-          path: 'engine.finalization_gate.max_retries',
-          message: 'finalization_gate.max_retries must be a number between 0 and 10',
-        });
+      if (typeof gate.max_retries !== 'number' || gate.max_retries < 0 || gate.max_retries > MAX_FINALIZATION_GATE_RETRIES) {
+        issues.push(createIssue('INVALID_FINALIZATION_GATE_RETRIES'));
       }
     }
   }
@@ -657,34 +534,21 @@ function validateEngine(engine) {
   // ai-dev-assistant apps/backend/worker/finalizationGate.js → isReadEvidenceEnabled).
   if (engine.include_read_evidence_in_gate !== undefined &&
       typeof engine.include_read_evidence_in_gate !== 'boolean') {
-    issues.push({
-      code: 'INVALID_INCLUDE_READ_EVIDENCE_IN_GATE',
-      severity: 'error',
-      path: 'engine.include_read_evidence_in_gate',
+    issues.push(createIssue('INVALID_INCLUDE_READ_EVIDENCE_IN_GATE', {
       message: 'engine.include_read_evidence_in_gate must be a boolean (opt-in to the finalization verifier\'s READ EVIDENCE channel). Default false. See VERIFIER_EVIDENCE_CHANNELS.md for the rollout policy.',
-    });
+    }));
   }
 
-  // Per-skill ceiling overrides read by CORE's sys.askAnySkill at delegation
-  // time. Shape-only validation here — CORE clamps to safe ranges at runtime.
-  // Builder doesn't know each field's exact range (it could change in CORE
-  // without coordination), so we just enforce "positive finite number."
-  // Each override has the same shape contract: number > 0.
-  const ceilingFields = [
-    { key: 'default_sub_job_seconds',       code: 'INVALID_DEFAULT_SUB_JOB_SECONDS',       hint: 'sub-job ceiling in seconds (CORE clamps to [5, 600], default 300)' },
-    { key: 'default_max_idle_seconds',      code: 'INVALID_DEFAULT_MAX_IDLE_SECONDS',      hint: 'idle threshold in seconds (CORE clamps to [5, hard_ceiling], default 60)' },
-    { key: 'default_max_delegation_depth',  code: 'INVALID_DEFAULT_MAX_DELEGATION_DEPTH',  hint: 'delegation chain depth (CORE default 3; takes MAX(default, caller, target))' },
-    { key: 'loop_streak_threshold',         code: 'INVALID_LOOP_STREAK_THRESHOLD',         hint: 'loop-breaker streak threshold (CORE default 3; clamped to [1, 20] at runtime; recommended: 3 generic / 6 orchestrators / 8+ synthesis flows)' },
-  ];
-  for (const { key, code, hint } of ceilingFields) {
+  // Per-skill ceiling overrides. Shape-only validation here — CORE clamps to
+  // safe ranges at runtime. Builder doesn't know each field's exact range
+  // (it could change in CORE without coordination), so we just enforce
+  // "positive finite number."
+  for (const { key, code, hint } of ENGINE_CEILING_FIELDS) {
     if (engine[key] === undefined) continue;
     if (typeof engine[key] !== 'number' || !Number.isFinite(engine[key]) || engine[key] <= 0) {
-      issues.push({
-        code,
-        severity: 'error',
-        path: `engine.${key}`,
+      issues.push(createIssue(code, {
         message: `engine.${key} must be a positive finite number — ${hint}. Got ${JSON.stringify(engine[key])}.`,
-      });
+      }));
     }
   }
 
@@ -694,33 +558,18 @@ function validateEngine(engine) {
 
     // Validate enabled
     if (ie.enabled !== undefined && typeof ie.enabled !== 'boolean') {
-      issues.push({
-        code: 'INVALID_INTERNAL_ERROR_ENABLED',
-        severity: 'error',
-        path: 'engine.internal_error.enabled',
-        message: 'internal_error.enabled must be a boolean',
-      });
+      issues.push(createIssue('INVALID_INTERNAL_ERROR_ENABLED'));
     }
 
     // Validate tool_not_found
     if (ie.tool_not_found) {
       if (ie.tool_not_found.enter_resolution_after !== undefined) {
         if (typeof ie.tool_not_found.enter_resolution_after !== 'number' || ie.tool_not_found.enter_resolution_after < 1) {
-          issues.push({
-            code: 'INVALID_ENTER_RESOLUTION_AFTER',
-            severity: 'error',
-            path: 'engine.internal_error.tool_not_found.enter_resolution_after',
-            message: 'enter_resolution_after must be a number >= 1',
-          });
+          issues.push(createIssue('INVALID_ENTER_RESOLUTION_AFTER'));
         }
       }
       if (ie.tool_not_found.retryable !== undefined && typeof ie.tool_not_found.retryable !== 'boolean') {
-        issues.push({
-          code: 'INVALID_TOOL_NOT_FOUND_RETRYABLE',
-          severity: 'error',
-          path: 'engine.internal_error.tool_not_found.retryable',
-          message: 'tool_not_found.retryable must be a boolean',
-        });
+        issues.push(createIssue('INVALID_TOOL_NOT_FOUND_RETRYABLE'));
       }
     }
 
@@ -728,42 +577,22 @@ function validateEngine(engine) {
     if (ie.resolution) {
       if (ie.resolution.max_iterations !== undefined) {
         if (typeof ie.resolution.max_iterations !== 'number' || ie.resolution.max_iterations < 1) {
-          issues.push({
-            code: 'INVALID_RESOLUTION_MAX_ITERATIONS',
-            severity: 'error',
-            path: 'engine.internal_error.resolution.max_iterations',
-            message: 'resolution.max_iterations must be a number >= 1',
-          });
+          issues.push(createIssue('INVALID_RESOLUTION_MAX_ITERATIONS'));
         }
       }
       if (ie.resolution.allowed_capabilities !== undefined && !Array.isArray(ie.resolution.allowed_capabilities)) {
-        issues.push({
-          code: 'INVALID_ALLOWED_CAPABILITIES',
-          severity: 'error',
-          path: 'engine.internal_error.resolution.allowed_capabilities',
-          message: 'resolution.allowed_capabilities must be an array',
-        });
+        issues.push(createIssue('INVALID_ALLOWED_CAPABILITIES'));
       }
     }
 
     // Validate loop_detection
     if (ie.loop_detection) {
       if (ie.loop_detection.enabled !== undefined && typeof ie.loop_detection.enabled !== 'boolean') {
-        issues.push({
-          code: 'INVALID_LOOP_DETECTION_ENABLED',
-          severity: 'error',
-          path: 'engine.internal_error.loop_detection.enabled',
-          message: 'loop_detection.enabled must be a boolean',
-        });
+        issues.push(createIssue('INVALID_LOOP_DETECTION_ENABLED'));
       }
       if (ie.loop_detection.identical_call_threshold !== undefined) {
         if (typeof ie.loop_detection.identical_call_threshold !== 'number' || ie.loop_detection.identical_call_threshold < 1) {
-          issues.push({
-            code: 'INVALID_IDENTICAL_CALL_THRESHOLD',
-            severity: 'error',
-            path: 'engine.internal_error.loop_detection.identical_call_threshold',
-            message: 'loop_detection.identical_call_threshold must be a number >= 1',
-          });
+          issues.push(createIssue('INVALID_IDENTICAL_CALL_THRESHOLD'));
         }
       }
     }
@@ -782,116 +611,72 @@ function validateTool(tool, path) {
   const issues = [];
 
   if (!tool.id) {
-    issues.push({
-      code: 'MISSING_TOOL_ID',
-      severity: 'error',
-      path: `${path}.id`,
-      message: 'Tool ID is required',
-    });
+    issues.push(createIssue('MISSING_TOOL_ID', { path: `${path}.id` }));
   }
 
   if (!tool.name || typeof tool.name !== 'string') {
-    issues.push({
-      code: 'INVALID_TOOL_NAME',
-      severity: 'error',
-      path: `${path}.name`,
-      message: 'Tool name is required and must be a string',
-    });
+    issues.push(createIssue('INVALID_TOOL_NAME', { path: `${path}.name` }));
   }
 
   if (!tool.description || typeof tool.description !== 'string') {
-    issues.push({
-      code: 'INVALID_TOOL_DESCRIPTION',
-      severity: 'warning',
-      path: `${path}.description`,
-      message: 'Tool description is required',
-      suggestion: 'Add a clear description of what this tool does',
-    });
+    issues.push(createIssue('INVALID_TOOL_DESCRIPTION', { path: `${path}.description` }));
   }
 
   // Validate inputs
   if (!Array.isArray(tool.inputs)) {
-    issues.push({
-      code: 'INVALID_TOOL_INPUTS',
-      severity: 'error',
-      path: `${path}.inputs`,
-      message: 'Tool inputs must be an array',
-    });
+    issues.push(createIssue('INVALID_TOOL_INPUTS', { path: `${path}.inputs` }));
   } else {
     tool.inputs.forEach((input, i) => {
       if (!input.name) {
-        issues.push({
-          code: 'MISSING_INPUT_NAME',
-          severity: 'error',
-          path: `${path}.inputs[${i}].name`,
-          message: 'Input name is required',
-        });
+        issues.push(createIssue('MISSING_INPUT_NAME', { path: `${path}.inputs[${i}].name` }));
       }
       if (input.type && !VALID_DATA_TYPES.includes(input.type)) {
-        issues.push({
-          code: 'INVALID_INPUT_TYPE',
-          severity: 'error',
+        issues.push(createIssue('INVALID_INPUT_TYPE', {
           path: `${path}.inputs[${i}].type`,
           message: `Invalid input type: ${input.type}. Must be one of: ${VALID_DATA_TYPES.join(', ')}`,
-        });
+        }));
       }
     });
   }
 
   // Validate output
   if (!tool.output) {
-    issues.push({
-      code: 'MISSING_TOOL_OUTPUT',
-      severity: 'error',
-      path: `${path}.output`,
-      message: 'Tool output is required',
-    });
+    issues.push(createIssue('MISSING_TOOL_OUTPUT', { path: `${path}.output` }));
   } else {
     if (tool.output.type && !VALID_DATA_TYPES.includes(tool.output.type)) {
-      issues.push({
-        code: 'INVALID_OUTPUT_TYPE',
-        severity: 'error',
+      issues.push(createIssue('INVALID_OUTPUT_TYPE', {
         path: `${path}.output.type`,
         message: `Invalid output type: ${tool.output.type}. Must be one of: ${VALID_DATA_TYPES.join(', ')}`,
-      });
+      }));
     }
   }
 
   // Validate tool policy
   if (tool.policy) {
-    const validAllowed = ['always', 'conditional', 'never'];
-    if (tool.policy.allowed && !validAllowed.includes(tool.policy.allowed)) {
-      issues.push({
-        code: 'INVALID_TOOL_POLICY_ALLOWED',
-        severity: 'error',
+    if (tool.policy.allowed && !VALID_TOOL_POLICY_ALLOWED.includes(tool.policy.allowed)) {
+      issues.push(createIssue('INVALID_TOOL_POLICY_ALLOWED', {
         path: `${path}.policy.allowed`,
-        message: `Invalid allowed value: ${tool.policy.allowed}. Must be one of: ${validAllowed.join(', ')}`,
-      });
+        message: `Invalid allowed value: ${tool.policy.allowed}. Must be one of: ${VALID_TOOL_POLICY_ALLOWED.join(', ')}`,
+      }));
     }
   }
 
   // Validate mock
   if (tool.mock) {
-    const validModes = ['examples', 'llm', 'hybrid'];
-    if (tool.mock.mode && !validModes.includes(tool.mock.mode)) {
-      issues.push({
-        code: 'INVALID_MOCK_MODE',
-        severity: 'error',
+    if (tool.mock.mode && !VALID_MOCK_MODES.includes(tool.mock.mode)) {
+      issues.push(createIssue('INVALID_MOCK_MODE', {
         path: `${path}.mock.mode`,
-        message: `Invalid mock mode: ${tool.mock.mode}. Must be one of: ${validModes.join(', ')}`,
-      });
+        message: `Invalid mock mode: ${tool.mock.mode}. Must be one of: ${VALID_MOCK_MODES.join(', ')}`,
+      }));
     }
   }
 
   // Validate mock_status
-  const validMockStatuses = ['untested', 'tested', 'skipped'];
-  if (tool.mock_status && !validMockStatuses.includes(tool.mock_status)) {
-    issues.push({
-      code: 'INVALID_MOCK_STATUS',
-      severity: 'error',
+  if (tool.mock_status && !VALID_MOCK_STATUSES.includes(tool.mock_status)) {
+    issues.push(createIssue('INVALID_MOCK_STATUS', {
       path: `${path}.mock_status`,
-      message: `Invalid mock_status: ${tool.mock_status}. Must be one of: ${validMockStatuses.join(', ')}`,
-    });
+      message: `Invalid mock_status: ${tool.mock_status}. Must be one of: ${VALID_MOCK_STATUSES.join(', ')}`,
+    }));
   }
 
   return issues;
@@ -906,33 +691,24 @@ function validateWildcardTool(tool, path) {
   const issues = [];
 
   if (!tool.id || typeof tool.id !== 'string') {
-    issues.push({
-      code: 'MISSING_TOOL_ID',
-      severity: 'error',
-      path: `${path}.id`,
-      message: 'Tool ID is required',
-    });
+    issues.push(createIssue('MISSING_TOOL_ID', { path: `${path}.id` }));
   }
 
   // Validate the wildcard format: "connector-id:*"
   const connectorId = tool.name.slice(0, -2); // strip ":*"
   if (!connectorId || connectorId.includes(':')) {
-    issues.push({
-      code: 'INVALID_WILDCARD_FORMAT',
-      severity: 'error',
+    issues.push(createIssue('INVALID_WILDCARD_FORMAT', {
       path: `${path}.name`,
       message: `Invalid wildcard format: "${tool.name}". Expected "connector-id:*" (e.g., "mobile-device-mcp:*")`,
-    });
+    }));
   }
 
   if (!tool.description || typeof tool.description !== 'string') {
-    issues.push({
-      code: 'INVALID_TOOL_DESCRIPTION',
-      severity: 'warning',
+    issues.push(createIssue('INVALID_TOOL_DESCRIPTION', {
       path: `${path}.description`,
       message: 'Tool description is recommended for wildcard tools',
       suggestion: `Add a description like "All tools from ${connectorId} connector"`,
-    });
+    }));
   }
 
   return issues;
@@ -947,35 +723,21 @@ function validatePolicy(policy) {
   const issues = [];
 
   if (!policy) {
-    issues.push({
-      code: 'MISSING_POLICY',
-      severity: 'error',
-      path: 'policy',
-      message: 'Policy section is required',
-    });
+    issues.push(createIssue('MISSING_POLICY'));
     return issues;
   }
 
   // Validate access role gate (policy.access.requires_roles)
   if (policy.access && policy.access.requires_roles !== undefined) {
     const rr = policy.access.requires_roles;
-    const validRoles = ['viewer', 'member', 'admin', 'owner', 'adas_builder', 'skill_admin'];
     if (!Array.isArray(rr)) {
-      issues.push({
-        code: 'INVALID_REQUIRES_ROLES',
-        severity: 'error',
-        path: 'policy.access.requires_roles',
-        message: 'policy.access.requires_roles must be an array of role strings',
-      });
+      issues.push(createIssue('INVALID_REQUIRES_ROLES'));
     } else {
-      const bad = rr.filter((r) => !validRoles.includes(r));
+      const bad = rr.filter((r) => !KNOWN_ROLES.includes(r));
       if (bad.length) {
-        issues.push({
-          code: 'UNKNOWN_REQUIRES_ROLE',
-          severity: 'warning',
-          path: 'policy.access.requires_roles',
-          message: `Unknown role(s): ${bad.join(', ')}. Known: ${validRoles.join(', ')}`,
-        });
+        issues.push(createIssue('UNKNOWN_REQUIRES_ROLE', {
+          message: `Unknown role(s): ${bad.join(', ')}. Known: ${KNOWN_ROLES.join(', ')}`,
+        }));
       }
     }
   }
@@ -983,68 +745,33 @@ function validatePolicy(policy) {
   // Validate guardrails
   if (policy.guardrails) {
     if (policy.guardrails.never && !Array.isArray(policy.guardrails.never)) {
-      issues.push({
-        code: 'INVALID_GUARDRAILS_NEVER',
-        severity: 'error',
-        path: 'policy.guardrails.never',
-        message: 'guardrails.never must be an array',
-      });
+      issues.push(createIssue('INVALID_GUARDRAILS_NEVER'));
     }
     if (policy.guardrails.always && !Array.isArray(policy.guardrails.always)) {
-      issues.push({
-        code: 'INVALID_GUARDRAILS_ALWAYS',
-        severity: 'error',
-        path: 'policy.guardrails.always',
-        message: 'guardrails.always must be an array',
-      });
+      issues.push(createIssue('INVALID_GUARDRAILS_ALWAYS'));
     }
   }
 
   // Validate workflows
   policy.workflows?.forEach((workflow, i) => {
     if (!workflow.id) {
-      issues.push({
-        code: 'MISSING_WORKFLOW_ID',
-        severity: 'error',
-        path: `policy.workflows[${i}].id`,
-        message: 'Workflow ID is required',
-      });
+      issues.push(createIssue('MISSING_WORKFLOW_ID', { path: `policy.workflows[${i}].id` }));
     }
     if (!workflow.name) {
-      issues.push({
-        code: 'MISSING_WORKFLOW_NAME',
-        severity: 'warning',
-        path: `policy.workflows[${i}].name`,
-        message: 'Workflow name is recommended',
-      });
+      issues.push(createIssue('MISSING_WORKFLOW_NAME', { path: `policy.workflows[${i}].name` }));
     }
     if (!Array.isArray(workflow.steps)) {
-      issues.push({
-        code: 'INVALID_WORKFLOW_STEPS',
-        severity: 'error',
-        path: `policy.workflows[${i}].steps`,
-        message: 'Workflow steps must be an array',
-      });
+      issues.push(createIssue('INVALID_WORKFLOW_STEPS', { path: `policy.workflows[${i}].steps` }));
     }
   });
 
   // Validate approval rules
   policy.approvals?.forEach((approval, i) => {
     if (!approval.id) {
-      issues.push({
-        code: 'MISSING_APPROVAL_ID',
-        severity: 'error',
-        path: `policy.approvals[${i}].id`,
-        message: 'Approval rule ID is required',
-      });
+      issues.push(createIssue('MISSING_APPROVAL_ID', { path: `policy.approvals[${i}].id` }));
     }
     if (!approval.tool_id) {
-      issues.push({
-        code: 'MISSING_APPROVAL_TOOL_ID',
-        severity: 'error',
-        path: `policy.approvals[${i}].tool_id`,
-        message: 'Approval rule must specify a tool_id',
-      });
+      issues.push(createIssue('MISSING_APPROVAL_TOOL_ID', { path: `policy.approvals[${i}].tool_id` }));
     }
   });
 
@@ -1062,55 +789,33 @@ function validateBootstrapTools(skill) {
   if (skill.bootstrap_tools === undefined || skill.bootstrap_tools === null) {
     // Optional field — recommend if skill has 3+ tools and no bootstrap_tools set
     if (skill.tools?.length >= 3) {
-      issues.push({
-        code: 'MISSING_BOOTSTRAP_TOOLS',
-        severity: 'info',
-        path: 'bootstrap_tools',
-        message: 'Consider defining bootstrap_tools (up to 3 core tool names) to guarantee they are always available to the planner',
-        suggestion: 'Add bootstrap_tools with your most important domain tools (e.g., identity lookup, order retrieval)',
-      });
+      issues.push(createIssue('MISSING_BOOTSTRAP_TOOLS'));
     }
     return issues;
   }
 
   if (!Array.isArray(skill.bootstrap_tools)) {
-    issues.push({
-      code: 'INVALID_BOOTSTRAP_TOOLS',
-      severity: 'error',
-      path: 'bootstrap_tools',
-      message: 'bootstrap_tools must be an array of tool name strings',
-    });
+    issues.push(createIssue('INVALID_BOOTSTRAP_TOOLS'));
     return issues;
   }
 
-  if (skill.bootstrap_tools.length > 3) {
-    issues.push({
-      code: 'TOO_MANY_BOOTSTRAP_TOOLS',
-      severity: 'error',
-      path: 'bootstrap_tools',
-      message: `bootstrap_tools allows at most 3 entries, got ${skill.bootstrap_tools.length}`,
-      suggestion: 'Choose the 3 most critical tools that the planner needs on almost every request',
-    });
+  if (skill.bootstrap_tools.length > MAX_BOOTSTRAP_TOOLS) {
+    issues.push(createIssue('TOO_MANY_BOOTSTRAP_TOOLS', {
+      message: `bootstrap_tools allows at most ${MAX_BOOTSTRAP_TOOLS} entries, got ${skill.bootstrap_tools.length}`,
+    }));
   }
 
   // Validate each entry references a valid tool name
   const toolNames = new Set((skill.tools || []).map(t => t.name).filter(Boolean));
   skill.bootstrap_tools.forEach((bt, i) => {
     if (typeof bt !== 'string' || !bt.trim()) {
-      issues.push({
-        code: 'INVALID_BOOTSTRAP_TOOL_ENTRY',
-        severity: 'error',
-        path: `bootstrap_tools[${i}]`,
-        message: 'Each bootstrap_tools entry must be a non-empty string',
-      });
+      issues.push(createIssue('INVALID_BOOTSTRAP_TOOL_ENTRY', { path: `bootstrap_tools[${i}]` }));
     } else if (toolNames.size > 0 && !toolNames.has(bt) && !bt.startsWith('sys.')) {
-      issues.push({
-        code: 'UNKNOWN_BOOTSTRAP_TOOL',
-        severity: 'error',
+      issues.push(createIssue('UNKNOWN_BOOTSTRAP_TOOL', {
         path: `bootstrap_tools[${i}]`,
         message: `bootstrap_tools entry "${bt}" does not match any defined tool name — bootstrap tools MUST reference existing tools`,
         suggestion: `Available tool names: ${[...toolNames].slice(0, 5).join(', ')}${toolNames.size > 5 ? '...' : ''}`,
-      });
+      }));
     }
   });
 
@@ -1127,31 +832,19 @@ function validatePrefetchTools(skill) {
   if (!skill.prefetch_tools) return issues;
 
   if (!Array.isArray(skill.prefetch_tools)) {
-    issues.push({
-      code: 'INVALID_PREFETCH_TOOLS',
-      severity: 'error',
-      path: 'prefetch_tools',
-      message: 'prefetch_tools must be an array of tool name strings',
-    });
+    issues.push(createIssue('INVALID_PREFETCH_TOOLS'));
     return issues;
   }
 
   const toolNames = new Set((skill.tools || []).map(t => t.name).filter(Boolean));
   skill.prefetch_tools.forEach((pt, i) => {
     if (typeof pt !== 'string' || !pt.trim()) {
-      issues.push({
-        code: 'INVALID_PREFETCH_TOOL_ENTRY',
-        severity: 'error',
-        path: `prefetch_tools[${i}]`,
-        message: 'Each prefetch_tools entry must be a non-empty string',
-      });
+      issues.push(createIssue('INVALID_PREFETCH_TOOL_ENTRY', { path: `prefetch_tools[${i}]` }));
     } else if (toolNames.size > 0 && !toolNames.has(pt) && !pt.startsWith('sys.') && !pt.startsWith('memory.')) {
-      issues.push({
-        code: 'UNKNOWN_PREFETCH_TOOL',
-        severity: 'warning',
+      issues.push(createIssue('UNKNOWN_PREFETCH_TOOL', {
         path: `prefetch_tools[${i}]`,
         message: `prefetch_tools entry "${pt}" does not match any defined tool name`,
-      });
+      }));
     }
   });
 
@@ -1169,65 +862,40 @@ function validateTrigger(trigger, path) {
 
   // Validate ID
   if (!trigger.id) {
-    issues.push({
-      code: 'MISSING_TRIGGER_ID',
-      severity: 'error',
-      path: `${path}.id`,
-      message: 'Trigger ID is required',
-    });
+    issues.push(createIssue('MISSING_TRIGGER_ID', { path: `${path}.id` }));
   }
 
   // Validate type
   if (!trigger.type || !VALID_TRIGGER_TYPES.includes(trigger.type)) {
-    issues.push({
-      code: 'INVALID_TRIGGER_TYPE',
-      severity: 'error',
+    issues.push(createIssue('INVALID_TRIGGER_TYPE', {
       path: `${path}.type`,
       message: `Invalid trigger type: ${trigger.type}. Must be one of: ${VALID_TRIGGER_TYPES.join(', ')}`,
-    });
+    }));
   }
 
   // Validate scope
   if (trigger.scope !== undefined && !VALID_TRIGGER_SCOPES.includes(trigger.scope)) {
-    issues.push({
-      code: 'INVALID_TRIGGER_SCOPE',
-      severity: 'error',
+    issues.push(createIssue('INVALID_TRIGGER_SCOPE', {
       path: `${path}.scope`,
       message: `Invalid trigger scope: ${trigger.scope}. Must be one of: ${VALID_TRIGGER_SCOPES.join(', ')}`,
-    });
+    }));
   }
 
   // Validate enabled
   if (trigger.enabled !== undefined && typeof trigger.enabled !== 'boolean') {
-    issues.push({
-      code: 'INVALID_TRIGGER_ENABLED',
-      severity: 'error',
-      path: `${path}.enabled`,
-      message: 'Trigger enabled must be a boolean',
-    });
+    issues.push(createIssue('INVALID_TRIGGER_ENABLED', { path: `${path}.enabled` }));
   }
 
   // Validate concurrency
   if (trigger.concurrency !== undefined) {
     if (typeof trigger.concurrency !== 'number' || trigger.concurrency < 1) {
-      issues.push({
-        code: 'INVALID_TRIGGER_CONCURRENCY',
-        severity: 'error',
-        path: `${path}.concurrency`,
-        message: 'Trigger concurrency must be a number >= 1',
-      });
+      issues.push(createIssue('INVALID_TRIGGER_CONCURRENCY', { path: `${path}.concurrency` }));
     }
   }
 
   // Validate prompt
   if (!trigger.prompt || typeof trigger.prompt !== 'string') {
-    issues.push({
-      code: 'MISSING_TRIGGER_PROMPT',
-      severity: 'warning',
-      path: `${path}.prompt`,
-      message: 'Trigger should have a prompt string',
-      suggestion: 'Add a goal prompt that describes what the triggered job should do',
-    });
+    issues.push(createIssue('MISSING_TRIGGER_PROMPT', { path: `${path}.prompt` }));
   }
 
   // Type-specific validation
@@ -1248,30 +916,87 @@ function validateTrigger(trigger, path) {
  */
 function validateScheduleTrigger(trigger, path) {
   const issues = [];
+  const hasEvery = trigger.every !== undefined && trigger.every !== null && trigger.every !== '';
+  const hasCron = trigger.cron !== undefined && trigger.cron !== null && trigger.cron !== '';
+
+  if (!hasEvery && !hasCron) {
+    issues.push(createIssue('MISSING_TRIGGER_EVERY', { path: `${path}.every` }));
+  } else if (hasEvery && hasCron) {
+    issues.push(createIssue('CONFLICTING_TRIGGER_SCHEDULE', { path: `${path}.cron` }));
+  }
 
   // Validate 'every' field (ISO8601 duration)
-  if (!trigger.every || typeof trigger.every !== 'string') {
-    issues.push({
-      code: 'MISSING_TRIGGER_EVERY',
-      severity: 'error',
+  if (hasEvery && (typeof trigger.every !== 'string' || parseDuration(trigger.every) === null)) {
+    issues.push(createIssue('INVALID_TRIGGER_DURATION', {
       path: `${path}.every`,
-      message: 'Schedule trigger must have an "every" field (ISO8601 duration)',
-      suggestion: 'Use format like "PT2M" (2 minutes), "PT1H" (1 hour), "P1D" (1 day)',
-    });
-  } else {
-    // Basic ISO8601 duration validation
-    const durationPattern = /^P(?:\d+D)?(?:T(?:\d+H)?(?:\d+M)?(?:\d+S)?)?$/;
-    if (!durationPattern.test(trigger.every)) {
-      issues.push({
-        code: 'INVALID_TRIGGER_DURATION',
-        severity: 'error',
-        path: `${path}.every`,
-        message: `Invalid ISO8601 duration: ${trigger.every}`,
-        suggestion: 'Use format like "PT2M" (2 minutes), "PT1H" (1 hour), "P1D" (1 day)',
+      message: `Invalid ISO8601 duration: ${trigger.every}`,
+    }));
+  }
+
+  let cronValid = false;
+  if (hasCron) {
+    try {
+      parseCron(trigger.cron);
+      cronValid = true;
+    } catch (err) {
+      issues.push(createIssue('INVALID_TRIGGER_CRON', {
+        path: `${path}.cron`,
+        message: `Invalid cron expression "${trigger.cron}": ${err.message}`,
+      }));
+    }
+  }
+
+  const timezoneValid = trigger.timezone === undefined || isValidTimeZone(trigger.timezone);
+  if (!timezoneValid) {
+    issues.push(createIssue('INVALID_TRIGGER_TIMEZONE', {
+      path: `${path}.timezone`,
+      message: `Unknown timezone: ${trigger.timezone}`,
+    }));
+  }
+
+  let windowsValid = true;
+  if (trigger.active_windows !== undefined) {
+    if (!Array.isArray(trigger.active_windows)) {
+      windowsValid = false;
+      issues.push(createIssue('INVALID_TRIGGER_WINDOW', { path: `${path}.active_windows` }));
+    } else {
+      trigger.active_windows.forEach((window, i) => {
+        for (const problem of checkActiveWindow(window)) {
+          windowsValid = false;
+          issues.push(createIssue('INVALID_TRIGGER_WINDOW', {
+            path: `${path}.active_windows[${i}]`,
+            message: `Invalid active window: ${problem}`,
+            suggestion: 'Use { "days": ["mon", ...], "start": "HH:MM", "end": "HH:MM" } in the trigger timezone',
+          }));
+        }
+      });
+    }
+  }
+
+  if (trigger.blackout_dates !== undefined) {
+    if (!Array.isArray(trigger.blackout_dates)) {
+      issues.push(createIssue('INVALID_TRIGGER_BLACKOUT', { path: `${path}.blackout_dates` }));
+    } else {
+      trigger.blackout_dates.forEach((date, i) => {
+        if (isValidDate(date)) return;
+        issues.push(createIssue('INVALID_TRIGGER_BLACKOUT', {
+          path: `${path}.blackout_dates[${i}]`,
+          message: `Invalid blackout date: ${date}`,
+          suggestion: 'Use YYYY-MM-DD dates in the trigger timezone, e.g. "2026-12-25"',
+        }));
       });
     }
   }
 
+  // A cron that no date satisfies (e.g. Feb 30) or that always falls outside
+  // the active windows is valid syntax but never runs
+  if (cronValid && timezoneValid && windowsValid && !cronEverFires(trigger)) {
+    issues.push(createIssue('TRIGGER_NEVER_FIRES', {
+      path: `${path}.cron`,
+      message: `Schedule trigger "${trigger.id}" never fires: no time matching "${trigger.cron}" falls inside its active windows`,
+    }));
+  }
+
   return issues;
 }
 
@@ -1286,23 +1011,19 @@ function validateEventTrigger(trigger, path) {
 
   // Validate 'event' field
   if (!trigger.event || typeof trigger.event !== 'string') {
-    issues.push({
-      code: 'MISSING_TRIGGER_EVENT',
-      severity: 'error',
-      path: `${path}.event`,
-      message: 'Event trigger must have an "event" field specifying the event type',
-      suggestion: 'Use event names like "email.received", "slack.message"',
-    });
+    issues.push(createIssue('MISSING_TRIGGER_EVENT', { path: `${path}.event` }));
   }
 
-  // Validate filter (optional but must be object if present)
-  if (trigger.filter !== undefined && (typeof trigger.filter !== 'object' || trigger.filter === null)) {
-    issues.push({
-      code: 'INVALID_TRIGGER_FILTER',
-      severity: 'error',
-      path: `${path}.filter`,
-      message: 'Event filter must be an object',
-    });
+  // Validate filter (optional): legacy equality object or filter expression
+  if (trigger.filter !== undefined && trigger.filter !== '') {
+    for (const error of checkFilter(trigger.filter).errors) {
+      issues.push(createIssue('INVALID_TRIGGER_FILTER', {
+        path: `${path}.filter`,
+        message: typeof trigger.filter === 'string'
+          ? `Invalid event filter at character ${error.position + 1}: ${error.message}`
+          : `Invalid event filter: ${error.message}`,
+      }));
+    }
   }
 
   return issues;
@@ -3,6 +3,8 @@
  * @module validators/securityValidator
  */
 
+import { createIssue, ruleCoverage } from '../rules/index.js';
+
 /**
  * @typedef {import('../types/DraftSkill.js').DraftSkill} DraftSkill
  * @typedef {import('../types/DraftSkill.js').ValidationIssue} ValidationIssue
@@ -63,19 +65,11 @@ export const VALID_EFFECTS = ['allow', 'deny', 'constrain'];
 const FIELD_PATH_PATTERN = /^(\$\.)?[a-zA-Z_][a-zA-Z0-9_]*(\.[a-zA-Z_][a-zA-Z0-9_]*|\[\d+\]|\[\*\])*$/;
 
 /**
- * Coverage metadata for auto-generating documentation
+ * Coverage metadata for auto-generating documentation (declared by the
+ * security rules, see rules/securityRules.js)
  * @type {Array<{section: string, field: string, check: string, type: string}>}
  */
-export const COVERAGE = [
-  { section: 'security', field: 'tools[].security.classification', check: 'All tools have security classification', type: 'security' },
-  { section: 'security', field: 'access_policy.rules[].tools', check: 'High-risk tools covered by access policy', type: 'security' },
-  { section: 'security', field: 'response_filters', check: 'PII tools have response filters', type: 'security' },
-  { section: 'security', field: 'grant_mappings[].tool', check: 'Grant mappings reference valid tools', type: 'security' },
-  { section: 'security', field: 'access_policy.rules[].tools', check: 'Access policy tool references are valid', type: 'security' },
-  { section: 'security', field: 'response_filters[].strip_fields', check: 'Response filter field paths are valid', type: 'security' },
-  { section: 'security', field: 'response_filters[].mask_fields', check: 'Response filter mask field paths are valid', type: 'security' },
-  { section: 'security', field: 'tools[].security.data_owner_field', check: 'Data-owner tools have constrain policy', type: 'security' },
-];
+export const COVERAGE = ruleCoverage({ stage: 'security' });
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -234,49 +228,39 @@ export function validateSecurity(skill) {
 
     // Warn on unclassified tools
     if (!classification) {
-      issues.push({
-        code: 'UNCLASSIFIED_TOOL',
-        severity: 'warning',
+      issues.push(createIssue('UNCLASSIFIED_TOOL', {
         path: `${basePath}.security.classification`,
         message: `Tool "${tool.name}" has no security classification`,
-        suggestion: 'Assign a classification (public, internal, pii_read, pii_write, financial, destructive)',
-      });
+      }));
       return; // skip further security checks for this tool
     }
 
     // Validate classification value
     if (!VALID_CLASSIFICATIONS.includes(classification)) {
-      issues.push({
-        code: 'INVALID_CLASSIFICATION',
-        severity: 'error',
+      issues.push(createIssue('INVALID_CLASSIFICATION', {
         path: `${basePath}.security.classification`,
         message: `Tool "${tool.name}" has invalid classification "${classification}"`,
         suggestion: `Must be one of: ${VALID_CLASSIFICATIONS.join(', ')}`,
-      });
+      }));
     }
 
     // Validate risk value if present
     if (risk && !VALID_RISK_LEVELS.includes(risk)) {
-      issues.push({
-        code: 'INVALID_RISK_LEVEL',
-        severity: 'error',
+      issues.push(createIssue('INVALID_RISK_LEVEL', {
         path: `${basePath}.security.risk`,
         message: `Tool "${tool.name}" has invalid risk level "${risk}"`,
         suggestion: `Must be one of: ${VALID_RISK_LEVELS.join(', ')}`,
-      });
+      }));
     }
 
     // Check 1: High-risk tools must have an access policy
     if (HIGH_RISK_CLASSIFICATIONS.includes(classification)) {
       const covered = hasWildcard || coveredTools.has(tool.name);
       if (!covered) {
-        issues.push({
-          code: 'HIGH_RISK_NO_POLICY',
-          severity: 'error',
+        issues.push(createIssue('HIGH_RISK_NO_POLICY', {
           path: `${basePath}.security`,
           message: `High-risk tool "${tool.name}" (${classification}) has no access policy`,
-          suggestion: 'Add an access_policy rule covering this tool',
-        });
+        }));
       }
     }
 
@@ -285,26 +269,21 @@ export function validateSecurity(skill) {
       const covered = hasWildcard || coveredTools.has(tool.name);
       // Only warn if also missing from access_policy
       if (!covered) {
-        issues.push({
-          code: 'PII_NO_FILTER',
-          severity: 'warning',
+        issues.push(createIssue('PII_NO_FILTER', {
           path: `${basePath}.security`,
           message: `PII tool "${tool.name}" (${classification}) has no response filter or access policy`,
-          suggestion: 'Add a response_filter to strip or mask sensitive fields, or add an access_policy rule',
-        });
+        }));
       }
     }
 
     // Check 6: data_owner_field should have a constrain policy
     if (dataOwnerField && tool.name) {
       if (!hasConstrainPolicyForField(skill, tool.name, dataOwnerField)) {
-        issues.push({
-          code: 'DATA_OWNER_NO_CONSTRAIN',
-          severity: 'warning',
+        issues.push(createIssue('DATA_OWNER_NO_CONSTRAIN', {
           path: `${basePath}.security.data_owner_field`,
           message: `Tool "${tool.name}" has data_owner_field "${dataOwnerField}" but no constrain policy or grant mapping injects it`,
           suggestion: `Add an access_policy rule with effect "constrain" that references "${dataOwnerField}", or a grant_mapping that captures it`,
-        });
+        }));
       }
     }
   });
@@ -314,13 +293,10 @@ export function validateSecurity(skill) {
   // -----------------------------------------------------------------------
   (skill.grant_mappings || []).forEach((mapping, i) => {
     if (mapping.tool && !toolNames.has(mapping.tool) && !isSystemTool(mapping.tool)) {
-      issues.push({
-        code: 'GRANT_MAPPING_INVALID_TOOL',
-        severity: 'error',
+      issues.push(createIssue('GRANT_MAPPING_INVALID_TOOL', {
         path: `grant_mappings[${i}].tool`,
         message: `Grant mapping references non-existent tool "${mapping.tool}"`,
-        suggestion: 'Update the tool name or define the missing tool',
-      });
+      }));
     }
   });
 
@@ -335,8 +311,7 @@ export function validateSecurity(skill) {
       // may only be resolvable at runtime — downgrade to warning instead of error
       const hasConnectorWildcards = (skill.tools || []).some(t => t.name && t.name.endsWith(':*'));
       if (!toolNames.has(toolRef) && !isSystemTool(toolRef)) {
-        issues.push({
-          code: 'ACCESS_POLICY_INVALID_TOOL',
+        issues.push(createIssue('ACCESS_POLICY_INVALID_TOOL', {
           severity: hasConnectorWildcards ? 'info' : 'error',
           path: `access_policy.rules[${i}].tools[${j}]`,
           message: hasConnectorWildcards
@@ -345,19 +320,17 @@ export function validateSecurity(skill) {
           suggestion: hasConnectorWildcards
             ? 'This tool may be resolved at runtime via a connector wildcard. If not, define it explicitly.'
             : 'Update the tool name or define the missing tool',
-        });
+        }));
       }
     });
 
     // Validate effect value if present
     if (rule.effect && !VALID_EFFECTS.includes(rule.effect)) {
-      issues.push({
-        code: 'INVALID_POLICY_EFFECT',
-        severity: 'error',
+      issues.push(createIssue('INVALID_POLICY_EFFECT', {
         path: `access_policy.rules[${i}].effect`,
         message: `Access policy rule has invalid effect "${rule.effect}"`,
         suggestion: `Must be one of: ${VALID_EFFECTS.join(', ')}`,
-      });
+      }));
     }
   });
 
@@ -371,13 +344,11 @@ export function validateSecurity(skill) {
       // Handle both string fields and object fields (e.g., { field: "path", mask: "***" })
       const fieldPath = typeof field === 'string' ? field : field?.field;
       if (!fieldPath || !FIELD_PATH_PATTERN.test(fieldPath)) {
-        issues.push({
-          code: 'INVALID_FILTER_FIELD_PATH',
-          severity: 'error',
+        issues.push(createIssue('INVALID_FILTER_FIELD_PATH', {
           path: `${basePath}.strip_fields[${j}]`,
           message: `Invalid field path "${fieldPath || field}" in response filter`,
           suggestion: 'Use dotted notation (e.g. "customer.ssn") or bracket notation (e.g. "items[0].name")',
-        });
+        }));
       }
     });
 
@@ -385,13 +356,11 @@ export function validateSecurity(skill) {
       // Handle both string fields and object fields (e.g., { field: "path", mask: "***" })
       const fieldPath = typeof field === 'string' ? field : field?.field;
       if (!fieldPath || !FIELD_PATH_PATTERN.test(fieldPath)) {
-        issues.push({
-          code: 'INVALID_FILTER_FIELD_PATH',
-          severity: 'error',
+        issues.push(createIssue('INVALID_FILTER_FIELD_PATH', {
           path: `${basePath}.mask_fields[${j}]`,
           message: `Invalid field path "${fieldPath || field}" in response filter`,
           suggestion: 'Use dotted notation (e.g. "customer.email") or bracket notation (e.g. "items[0].name")',
-        });
+        }));
       }
     });
   });
@@ -474,13 +443,10 @@ function validateGuardrailToolAlignment(skill, tools, coveredTools, hasWildcard)
       if (covered) continue;
 
       // Conflict: guardrail prohibits, tool enables, no policy constrains
-      issues.push({
-        code: 'GUARDRAIL_TOOL_CONFLICT',
-        severity: 'warning',
+      issues.push(createIssue('GUARDRAIL_TOOL_CONFLICT', {
         path: `tools[${i}].security`,
         message: `Guardrail "${matchingGuardrails[0]}" conflicts with tool "${tool.name}" (${classification}) — no access policy constrains this tool`,
-        suggestion: 'Add an access_policy rule with effect "constrain" or "deny" to enforce the guardrail, or refine the guardrail',
-      });
+      }));
     }
   }
 
@@ -11,6 +11,28 @@
 import vm from 'node:vm';
 import { isPlatformConnector } from '../services/platformConnectorRegistry.js';
 
+/** Where a connector's source lives: A-Team images, or connectors/<id>/ of the solution repo */
+export const CONNECTOR_SOURCES = ['platform', 'solution'];
+export const CONNECTOR_TRANSPORTS = ['stdio', 'http'];
+
+/** Part a skill plays in a solution (solution.skills[].role) */
+export const SKILL_ROLES = ['gateway', 'worker', 'orchestrator', 'approval'];
+
+/** UI plugin surface block (docs/SURFACE_SPEC_HANDOFF.md) */
+export const SURFACE_TYPES = new Set(['drawer', 'fullscreen', 'card', 'header', 'ambient', 'nudge']);
+export const SURFACE_VISIBILITY = new Set(['always', 'user', 'engine']);
+export const SURFACE_PLACEMENT = new Set(['featured', 'menu']);
+
+export const FUNCTIONAL_CONNECTOR_ID_PATTERN = /^[a-z0-9\-]+$/;
+export const FUNCTIONAL_CONNECTOR_MODULE_PATTERN = /^@?[a-z0-9\-]+(\/@?[a-z0-9\-]+)?$/;
+export const FUNCTIONAL_CONNECTOR_TYPES = ['background', 'service'];
+export const FUNCTIONAL_CONNECTOR_PERMISSIONS = ['calendar', 'contacts', 'location', 'battery', 'connectivity', 'notifications', 'biometrics', 'camera', 'microphone', 'storage'];
+
+export const VOICE_VERIFICATION_METHODS = ['phone_lookup', 'security_question', 'custom_skill'];
+export const VOICE_ON_FAILURE_ACTIONS = ['hangup', 'continue_limited'];
+export const VOICE_ANSWER_MATCH_MODES = ['case_insensitive', 'exact', 'contains', 'smart'];
+export const VOICE_MAX_ATTEMPTS = 10;
+
 /**
  * Validate a solution definition
  * @param {Object} solution - Solution object
@@ -562,9 +584,6 @@ export function validateSolution(solution, context) {
     // Both are checked here.
     //
     // Spec: docs/SURFACE_SPEC_HANDOFF.md.
-    const SURFACE_TYPES = new Set(['drawer', 'fullscreen', 'card', 'header', 'ambient', 'nudge']);
-    const SURFACE_VISIBILITY = new Set(['always', 'user', 'engine']);
-    const SURFACE_PLACEMENT = new Set(['featured', 'menu']);
     const ALWAYS_NATIVE_TYPES = new Set(['header', 'ambient']); // tiny / always-mounted → iframe rarely works
     // Track featured-placement count across both skill-level and solution-level
     // ui_plugins. Soft cap of 3 — beyond that, "featured" loses meaning.
@@ -890,12 +909,10 @@ export function validateSolution(solution, context) {
   // ─── 9b. Functional Connector Validation ──────────────────
   // Functional connectors are background services for mobile/native environments.
   const functionalConnectors = solution.functional_connectors || [];
-  const VALID_PERMISSIONS = ['calendar', 'contacts', 'location', 'battery', 'connectivity', 'notifications', 'biometrics', 'camera', 'microphone', 'storage'];
-  const VALID_FC_TYPES = ['background', 'service'];
 
   for (const fc of functionalConnectors) {
     // Validate id format
-    if (!fc.id || !/^[a-z0-9\-]+$/.test(fc.id)) {
+    if (!fc.id || !FUNCTIONAL_CONNECTOR_ID_PATTERN.test(fc.id)) {
       errors.push({
         check: 'fc_invalid_id',
         message: `Functional connector ID "${fc.id}" is invalid. Must be lowercase alphanumeric with hyphens only.`,
@@ -921,7 +938,7 @@ export function validateSolution(solution, context) {
     }
 
     // Validate module format
-    if (fc.module && !/^@?[a-z0-9\-]+(\/@?[a-z0-9\-]+)?$/.test(fc.module)) {
+    if (fc.module && !FUNCTIONAL_CONNECTOR_MODULE_PATTERN.test(fc.module)) {
       errors.push({
         check: 'fc_invalid_module',
         message: `Functional connector "${fc.id}" has invalid module format "${fc.module}". Must be a valid NPM package path. Examples: "@mobile-pa/device-bridge", "my-package"`,
@@ -930,10 +947,10 @@ export function validateSolution(solution, context) {
     }
 
     // Validate type enum
-    if (fc.type && !VALID_FC_TYPES.includes(fc.type)) {
+    if (fc.type && !FUNCTIONAL_CONNECTOR_TYPES.includes(fc.type)) {
       errors.push({
         check: 'fc_invalid_type',
-        message: `Functional connector "${fc.id}" has invalid type "${fc.type}". Must be one of: ${VALID_FC_TYPES.join(', ')}`,
+        message: `Functional connector "${fc.id}" has invalid type "${fc.type}". Must be one of: ${FUNCTIONAL_CONNECTOR_TYPES.join(', ')}`,
         connector: fc.id,
       });
     }
@@ -941,10 +958,10 @@ export function validateSolution(solution, context) {
     // Validate permissions
     if (fc.permissions && Array.isArray(fc.permissions)) {
       for (const perm of fc.permissions) {
-        if (!VALID_PERMISSIONS.includes(perm)) {
+        if (!FUNCTIONAL_CONNECTOR_PERMISSIONS.includes(perm)) {
           errors.push({
             check: 'fc_invalid_permission',
-            message: `Functional connector "${fc.id}" requests invalid permission "${perm}". Must be one of: ${VALID_PERMISSIONS.join(', ')}`,
+            message: `Functional connector "${fc.id}" requests invalid permission "${perm}". Must be one of: ${FUNCTIONAL_CONNECTOR_PERMISSIONS.join(', ')}`,
             connector: fc.id,
           });
         }
@@ -994,9 +1011,6 @@ export function validateSolution(solution, context) {
   // ─── 10. Voice channel configuration ─────────────────────
   const voice = solution.voice;
   if (voice) {
-    const VALID_METHODS = ['phone_lookup', 'security_question', 'custom_skill'];
-    const VALID_ON_FAILURE = ['hangup', 'continue_limited'];
-    const VALID_MATCH_MODES = ['case_insensitive', 'exact', 'contains', 'smart'];
 
     if (typeof voice.enabled !== 'undefined' && typeof voice.enabled !== 'boolean') {
       errors.push({ check: 'voice_enabled_type', message: 'voice.enabled must be a boolean' });
@@ -1004,16 +1018,16 @@ export function validateSolution(solution, context) {
 
     if (voice.verification) {
       const v = voice.verification;
-      if (v.method && !VALID_METHODS.includes(v.method)) {
+      if (v.method && !VOICE_VERIFICATION_METHODS.includes(v.method)) {
         errors.push({
           check: 'voice_verification_method',
-          message: `voice.verification.method "${v.method}" is invalid. Must be one of: ${VALID_METHODS.join(', ')}`,
+          message: `voice.verification.method "${v.method}" is invalid. Must be one of: ${VOICE_VERIFICATION_METHODS.join(', ')}`,
         });
       }
-      if (v.onFailure && !VALID_ON_FAILURE.includes(v.onFailure)) {
+      if (v.onFailure && !VOICE_ON_FAILURE_ACTIONS.includes(v.onFailure)) {
         errors.push({
           check: 'voice_verification_on_failure',
-          message: `voice.verification.onFailure "${v.onFailure}" is invalid. Must be one of: ${VALID_ON_FAILURE.join(', ')}`,
+          message: `voice.verification.onFailure "${v.onFailure}" is invalid. Must be one of: ${VOICE_ON_FAILURE_ACTIONS.join(', ')}`,
         });
       }
       if (v.method === 'security_question') {
@@ -1023,8 +1037,8 @@ export function validateSolution(solution, context) {
         if (!v.securityQuestion?.answer) {
           errors.push({ check: 'voice_security_answer', message: 'voice.verification.securityQuestion.answer is required when method is "security_question"' });
         }
-        if (v.securityQuestion?.answerMatchMode && !VALID_MATCH_MODES.includes(v.securityQuestion.answerMatchMode)) {
-          errors.push({ check: 'voice_match_mode', message: `voice.verification.securityQuestion.answerMatchMode must be one of: ${VALID_MATCH_MODES.join(', ')}` });
+        if (v.securityQuestion?.answerMatchMode && !VOICE_ANSWER_MATCH_MODES.includes(v.securityQuestion.answerMatchMode)) {
+          errors.push({ check: 'voice_match_mode', message: `voice.verification.securityQuestion.answerMatchMode must be one of: ${VOICE_ANSWER_MATCH_MODES.join(', ')}` });
         }
       }
       if (v.method === 'custom_skill') {
@@ -1034,8 +1048,8 @@ export function validateSolution(solution, context) {
           warnings.push({ check: 'voice_custom_skill_exists', message: `voice.verification.customSkill.skillSlug "${v.customSkill.skillSlug}" is not a skill in this solution` });
         }
       }
-      if (v.maxAttempts !== undefined && (typeof v.maxAttempts !== 'number' || v.maxAttempts < 1 || v.maxAttempts > 10)) {
-        errors.push({ check: 'voice_max_attempts', message: 'voice.verification.maxAttempts must be a number between 1 and 10' });
+      if (v.maxAttempts !== undefined && (typeof v.maxAttempts !== 'number' || v.maxAttempts < 1 || v.maxAttempts > VOICE_MAX_ATTEMPTS)) {
+        errors.push({ check: 'voice_max_attempts', message: `voice.verification.maxAttempts must be a number between 1 and ${VOICE_MAX_ATTEMPTS}` });
       }
     }
 
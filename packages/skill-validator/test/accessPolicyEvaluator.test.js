@@ -0,0 +1,208 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { evaluateAccess, simulateAccessMatrix, resolveGrants } from '../src/validators/accessPolicyEvaluator.js';
+import { makeValidSkill } from './fixtures/validSkill.js';
+
+function makePolicySkill(accessPolicy) {
+  const skill = makeValidSkill();
+  skill.tools.push({ ...skill.tools[0], id: 'tool-orders-cancel', name: 'orders.order.cancel' });
+  skill.access_policy = accessPolicy;
+  return skill;
+}
+
+const ECOM_POLICY = {
+  rules: [
+    { tools: ['*'], when: { origin_type: 'trigger' }, effect: 'allow' },
+    { tools: ['orders.order.cancel'], require: { has_grant: 'ecom.customer_id', grant_value: { 'ecom.assurance_level': 'L2' } }, effect: 'allow' },
+    {
+      tools: ['orders.order.get'],
+      when: { root_origin_type: 'channel' },
+      require: { has_grant: 'ecom.customer_id' },
+      effect: 'constrain',
+      constrain: { inject_args: { customer_id: '$grant:ecom.customer_id' }, response_filter: 'pii_mask' },
+    },
+  ],
+};
+
+const CUSTOMER = { origin_type: 'channel', grants: { 'ecom.customer_id': 'cus_42' } };
+
+// A stored skill written in the published spec format (requires_grants + inject)
+const SCHEDULING_SKILL = JSON.parse(readFileSync(
+  new URL('../../../apps/backend/data/tenants/main/skill_scheduling-agent/skill.json', import.meta.url),
+  'utf-8',
+));
+
+describe('resolveGrants', () => {
+  it('drops expired and deny-overridden grants, exposes roles', () => {
+    const grants = resolveGrants({
+      roles: ['admin'],
+      grants: {
+        a: '1',
+        b: { value: '2', expires_at: '2020-01-01T00:00:00Z' },
+        c: '3',
+        'deny:c': 'true',
+      },
+    });
+    expect([...grants.keys()].sort()).toEqual(['a', 'role']);
+    expect(grants.get('role')).toEqual(['admin']);
+  });
+});
+
+describe('evaluateAccess', () => {
+  it('constrain rule injects grant values over caller arguments', () => {
+    const decision = evaluateAccess(makePolicySkill(ECOM_POLICY), {
+      actor: CUSTOMER,
+      tool: 'orders.order.get',
+      args: { order_id: 'o1', customer_id: 'cus_99' },
+    });
+    expect(decision.effect).toBe('constrain');
+    expect(decision.rule_index).toBe(2);
+    expect(decision.args).toEqual({ order_id: 'o1', customer_id: 'cus_42' });
+    expect(decision.injected).toEqual([{ field: 'customer_id', grant: 'ecom.customer_id', value: 'cus_42', previous: 'cus_99' }]);
+    expect(decision.response_filter).toBe('pii_mask');
+  });
+
+  it('first match wins; trace explains skipped rules', () => {
+    const decision = evaluateAccess(makePolicySkill(ECOM_POLICY), {
+      actor: CUSTOMER,
+      tool: 'orders.order.get',
+    });
+    expect(decision.trace[0]).toMatchObject({ index: 0, matched: false });
+    expect(decision.trace[0].reason).toContain('origin_type');
+    expect(decision.trace[1]).toEqual({ index: 1, matched: false, reason: 'tool not listed' });
+    expect(decision.trace[2].matched).toBe(true);
+  });
+
+  it('trigger origin matches the wildcard allow rule', () => {
+    const decision = evaluateAccess(makePolicySkill(ECOM_POLICY), {
+      actor: { origin_type: 'trigger' },
+      tool: 'orders.order.cancel',
+    });
+    expect(decision).toMatchObject({ effect: 'allow', rule_index: 0 });
+  });
+
+  it('unmet grant_value falls through to default deny', () => {
+    const decision = evaluateAccess(makePolicySkill(ECOM_POLICY), {
+      actor: { ...CUSTOMER, grants: { ...CUSTOMER.grants, 'ecom.assurance_level': 'L1' } },
+      tool: 'orders.order.cancel',
+    });
+    expect(decision.effect).toBe('deny');
+    expect(decision.rule_index).toBeNull();
+    expect(decision.trace[1].reason).toContain('ecom.assurance_level');
+  });
+
+  it('deny grant revokes the positive grant', () => {
+    const decision = evaluateAccess(makePolicySkill(ECOM_POLICY), {
+      actor: { ...CUSTOMER, grants: { ...CUSTOMER.grants, 'deny:ecom.customer_id': 'true' } },
+      tool: 'orders.order.get',
+    });
+    expect(decision.effect).toBe('deny');
+  });
+
+  it('root_origin_type follows the root of a handoff', () => {
+    const decision = evaluateAccess(makePolicySkill(ECOM_POLICY), {
+      actor: { ...CUSTOMER, origin_type: 'skill_handoff', root_origin_type: 'channel' },
+      tool: 'orders.order.get',
+    });
+    expect(decision.effect).toBe('constrain');
+  });
+
+  it('default_effect allow lets unmatched calls through with a warning', () => {
+    const decision = evaluateAccess(makePolicySkill({ ...ECOM_POLICY, default_effect: 'allow' }), {
+      actor: { origin_type: 'channel' },
+      tool: 'orders.order.cancel',
+    });
+    expect(decision.effect).toBe('allow');
+    expect(decision.warnings).toHaveLength(1);
+  });
+
+  it('deny rule returns its deny_message', () => {
+    const skill = makePolicySkill({
+      rules: [{ tools: ['orders.order.cancel'], when: { origin_type: 'channel' }, effect: 'deny', deny_message: 'Use the portal' }],
+    });
+    const decision = evaluateAccess(skill, { actor: { origin_type: 'channel' }, tool: 'orders.order.cancel' });
+    expect(decision).toMatchObject({ effect: 'deny', rule_index: 0, reason: 'Use the portal' });
+  });
+
+  it('spec format: match + require_grants + constrain_query', () => {
+    const skill = makePolicySkill({
+      rules: [
+        { name: 'admin', tools: ['*'], match: { has_grant: 'role', grant_value: 'admin' }, effect: 'allow' },
+        {
+          name: 'customer',
+          tools: ['orders.order.get'],
+          match: { origin_type: 'channel' },
+          effect: 'constrain',
+          require_grants: [{ key: 'actor_id' }],
+          constrain_query: [{ field: 'customer_id', must_equal_grant: 'actor_id' }],
+        },
+      ],
+      default_effect: 'deny',
+    });
+
+    const admin = evaluateAccess(skill, { actor: { origin_type: 'channel', roles: ['admin'] }, tool: 'orders.order.cancel' });
+    expect(admin).toMatchObject({ effect: 'allow', rule_index: 0 });
+
+    const customer = evaluateAccess(skill, { actor: { origin_type: 'channel', grants: { actor_id: 'cus_1' } }, tool: 'orders.order.get' });
+    expect(customer.effect).toBe('constrain');
+    expect(customer.args).toEqual({ customer_id: 'cus_1' });
+  });
+
+  it('spec format: requires_grants + inject templates (scheduling-agent)', () => {
+    const anonymous = { origin_type: 'channel' };
+    expect(evaluateAccess(SCHEDULING_SKILL, { actor: anonymous, tool: 'calendar.event.list' }).effect).toBe('deny');
+    const create = evaluateAccess(SCHEDULING_SKILL, { actor: anonymous, tool: 'calendar.event.create', args: { organizer_id: 'attacker' } });
+    expect(create.effect).toBe('deny');
+    expect(create.trace[1].reason).toBe('missing grant sched.user_id');
+
+    const user = { origin_type: 'channel', grants: { 'sched.user_id': 'u_7' } };
+    expect(evaluateAccess(SCHEDULING_SKILL, { actor: user, tool: 'calendar.event.list' })).toMatchObject({ effect: 'allow', rule_index: 0 });
+    const constrained = evaluateAccess(SCHEDULING_SKILL, { actor: user, tool: 'calendar.event.create', args: { title: 'Sync', organizer_id: 'attacker' } });
+    expect(constrained.effect).toBe('constrain');
+    expect(constrained.args).toEqual({ title: 'Sync', organizer_id: 'u_7' });
+    expect(constrained.injected).toEqual([{ field: 'organizer_id', grant: 'sched.user_id', value: 'u_7', previous: 'attacker' }]);
+  });
+
+  it('inject: embedded templates and literals', () => {
+    const skill = makePolicySkill({
+      rules: [{
+        tools: ['orders.order.get'],
+        effect: 'constrain',
+        inject: { scope: 'tenant:${grants.tenant}/user:${grants.user}', source: 'portal' },
+      }],
+    });
+    const decision = evaluateAccess(skill, { actor: { grants: { tenant: 't1', user: 'u1' } }, tool: 'orders.order.get' });
+    expect(decision.args).toEqual({ scope: 'tenant:t1/user:u1', source: 'portal' });
+    const missing = evaluateAccess(skill, { actor: { grants: { tenant: 't1' } }, tool: 'orders.order.get' });
+    expect(missing.effect).toBe('deny');
+    expect(missing.reason).toContain('user');
+  });
+
+  it('constrain rule without the grant to inject → deny', () => {
+    const skill = makePolicySkill({
+      rules: [{ tools: ['orders.order.get'], effect: 'constrain', constrain: { inject_args: { customer_id: 'ecom.customer_id' } } }],
+    });
+    const decision = evaluateAccess(skill, { actor: { origin_type: 'channel' }, tool: 'orders.order.get' });
+    expect(decision.effect).toBe('deny');
+    expect(decision.reason).toContain('ecom.customer_id');
+  });
+
+  it('no access policy → allow', () => {
+    const skill = makeValidSkill();
+    delete skill.access_policy;
+    expect(evaluateAccess(skill, { actor: {}, tool: 'orders.order.get' }).effect).toBe('allow');
+  });
+});
+
+describe('simulateAccessMatrix', () => {
+  it('evaluates every actor against every tool', () => {
+    const matrix = simulateAccessMatrix(makePolicySkill(ECOM_POLICY), {
+      actors: [{ name: 'anonymous', origin_type: 'channel' }, { name: 'customer', ...CUSTOMER }],
+    });
+    expect(matrix.tools).toEqual(['orders.order.get', 'orders.order.cancel']);
+    expect(matrix.rows.map(row => row.cells.map(cell => cell.effect))).toEqual([
+      ['deny', 'deny'],
+      ['constrain', 'deny'],
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { annotateWithFixes, autoApplyHighConfidenceFixes, autofixSkill } from '../src/services/fixSuggester.js';
+import { validateDraftSkill } from '../src/validators/index.js';
+import { makeValidSkill } from './fixtures/validSkill.js';
+
+function fixFor(skill, code) {
+  const result = annotateWithFixes(validateDraftSkill(structuredClone(skill)), skill);
+  return [...result.errors, ...result.warnings].find(i => i.code === code)?.suggested_fix;
+}
+
+describe('enum typo fixes', () => {
+  it('suggests the closest allowed value with confidence by distance', () => {
+    const skill = makeValidSkill();
+    skill.role.communication_style.tone = 'casul';
+    skill.tools[0].output.type = 'Object';
+    expect(fixFor(skill, 'INVALID_TONE')).toMatchObject({ path: 'role.communication_style.tone', replacement: 'casual', confidence: 0.95 });
+    expect(fixFor(skill, 'INVALID_OUTPUT_TYPE')).toMatchObject({ replacement: 'object', confidence: 1.0 });
+  });
+
+  it('reads the allowed values from the suggestion for security enums', () => {
+    const skill = makeValidSkill();
+    skill.tools[0].security.classification = 'pii_reed';
+    expect(fixFor(skill, 'INVALID_CLASSIFICATION')).toMatchObject({ replacement: 'pii_read' });
+  });
+
+  it('offers nothing when no value is close', () => {
+    const skill = makeValidSkill();
+    skill.tools[0].policy.allowed = 'sometimes';
+    expect(fixFor(skill, 'INVALID_TOOL_POLICY_ALLOWED')).toBeUndefined();
+  });
+});
+
+describe('reference fixes', () => {
+  it('points unresolved tools and workflows at the closest definition', () => {
+    const skill = makeValidSkill();
+    skill.policy.workflows[0].steps = ['orders.order.gt'];
+    skill.intents.supported[0].maps_to_workflow = 'order_trackng_flow';
+    expect(fixFor(skill, 'TOOL_NOT_FOUND')).toMatchObject({ path: 'policy.workflows[0].steps[0]', replacement: 'orders.order.get', confidence: 0.95 });
+    expect(fixFor(skill, 'WORKFLOW_NOT_FOUND')).toMatchObject({ replacement: 'order_tracking_flow' });
+  });
+
+  it('splits a step string and fills missing steps', () => {
+    const skill = makeValidSkill();
+    skill.policy.workflows[0].steps = 'orders.order.get -> sys.finish';
+    expect(fixFor(skill, 'INVALID_WORKFLOW_STEPS')).toMatchObject({ replacement: ['orders.order.get', 'sys.finish'], confidence: 0.95 });
+    delete skill.policy.workflows[0].steps;
+    expect(fixFor(skill, 'INVALID_WORKFLOW_STEPS')).toMatchObject({ replacement: [], confidence: 0.9 });
+  });
+});
+
+describe('autoApplyHighConfidenceFixes', () => {
+  it('honours the threshold and skips no-op fixes', () => {
+    const annotated = {
+      errors: [
+        { code: 'A', suggested_fix: { path: 'a', replacement: 'x', confidence: 0.8 } },
+        { code: 'B', suggested_fix: { path: 'b', replacement: 'same', confidence: 1 } },
+      ],
+      warnings: [],
+    };
+    const strict = autoApplyHighConfidenceFixes({ a: 'y', b: 'same' }, annotated);
+    expect(strict.applied).toEqual([]);
+    expect(strict.skipped.map(s => s.reason)).toEqual(['low_confidence', 'no_change']);
+    const loose = autoApplyHighConfidenceFixes({ a: 'y', b: 'same' }, annotated, { threshold: 0.5 });
+    expect(loose.target).toEqual({ a: 'x', b: 'same' });
+    expect(loose.applied[0]).toMatchObject({ code: 'A', from: 'y', replacement: 'x' });
+  });
+});
+
+describe('autofixSkill', () => {
+  it('applies fixes until the skill validates and logs each change', () => {
+    const skill = makeValidSkill();
+    skill.role.communication_style.tone = 'casul';
+    skill.policy.workflows[0].steps = 'orders.order.gett';
+    const original = structuredClone(skill);
+
+    const { skill: patched, result, changes, passes } = autofixSkill(skill);
+
+    expect(result.valid).toBe(true);
+    expect(patched.role.communication_style.tone).toBe('casual');
+    // Pass 1 splits the step string, pass 2 resolves the typo it exposes
+    expect(patched.policy.workflows[0].steps).toEqual(['orders.order.get']);
+    expect(passes).toBe(2);
+    expect(changes.map(c => [c.pass, c.code])).toEqual([
+      [1, 'INVALID_TONE'],
+      [1, 'INVALID_WORKFLOW_STEPS'],
+      [2, 'TOOL_NOT_FOUND'],
+    ]);
+    expect(changes[0]).toMatchObject({ from: 'casul', to: 'casual' });
+    expect(skill).toEqual(original);
+    expect(patched.policy.workflows[0].steps_resolved).toBeUndefined();
+  });
+
+  it('leaves a valid skill untouched', () => {
+    const { changes, passes, skill } = autofixSkill(makeValidSkill());
+    expect(changes).toEqual([]);
+    expect(passes).toBe(0);
+    expect(skill).toEqual(makeValidSkill());
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { checkCompleteness } from '../src/validators/completenessChecker.js';
+import { checkCompleteness, isMockTested } from '../src/validators/completenessChecker.js';
 import { makeValidSkill } from './fixtures/validSkill.js';
 
 describe('completenessChecker', () => {
@@ -38,4 +38,40 @@ describe('completenessChecker', () => {
     const result = checkCompleteness(skill);
     expect(result.intents).toBe(false);
   });
+
+  it('mock_status tested without a recorded run → mocks_tested false', () => {
+    const skill = makeValidSkill();
+    skill.tools.forEach(t => { t.mock_status = 'tested'; t.mock_test_results = []; });
+    expect(checkCompleteness(skill).mocks_tested).toBe(false);
+  });
+
+  it('tested tools with passing results or skipped tools → mocks_tested true', () => {
+    const skill = makeValidSkill();
+    skill.tools.forEach((t, i) => {
+      if (i === 0) {
+        t.mock_status = 'tested';
+        t.mock_test_results = [{ id: 'r1', timestamp: '2026-01-01T00:00:00Z', input: {}, actual_output: {}, passed: true }];
+      } else {
+        t.mock_status = 'skipped';
+      }
+    });
+    expect(checkCompleteness(skill).mocks_tested).toBe(true);
+  });
+
+  it('only failing recorded results → mocks_tested false', () => {
+    const skill = makeValidSkill();
+    skill.tools.forEach(t => {
+      t.mock_status = 'tested';
+      t.mock_test_results = [{ id: 'r1', timestamp: '2026-01-01T00:00:00Z', input: {}, actual_output: { error: 'x' }, passed: false }];
+    });
+    expect(checkCompleteness(skill).mocks_tested).toBe(false);
+  });
+
+  it('isMockTested → skipped, or tested with a passing run', () => {
+    const passing = [{ id: 'r1', timestamp: '2026-01-01T00:00:00Z', input: {}, actual_output: {}, passed: true }];
+    expect(isMockTested({ mock_status: 'skipped' })).toBe(true);
+    expect(isMockTested({ mock_status: 'tested', mock_test_results: passing })).toBe(true);
+    expect(isMockTested({ mock_status: 'tested' })).toBe(false);
+    expect(isMockTested({ mock_status: 'untested', mock_test_results: passing })).toBe(false);
+  });
 });
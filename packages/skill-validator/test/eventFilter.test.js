@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { parseFilter, checkFilter, evaluateFilter, MAX_MATCH_LENGTH } from '../src/validators/eventFilter.js';
+import { validateSchema } from '../src/validators/schemaValidator.js';
+import { makeValidSkill } from './fixtures/validSkill.js';
+
+const EMAIL = {
+  subject: 'Invoice #42 is due',
+  from: 'billing@vendor.com',
+  amount: { total: 1200, currency: 'EUR' },
+  labels: ['finance', 'urgent'],
+  priority: 'high',
+};
+
+describe('parseFilter', () => {
+  it('binds and tighter than or, not tightest', () => {
+    const ast = parseFilter('a == 1 or not b == 2 and c');
+    expect(ast.type).toBe('or');
+    expect(ast.right.type).toBe('and');
+    expect(ast.right.left.type).toBe('not');
+    expect(ast.right.right).toMatchObject({ type: 'compare', path: 'c', op: null });
+  });
+
+  it('reports the position of syntax errors', () => {
+    expect(() => parseFilter('subject contains')).toThrow('Expected a value');
+    expect(checkFilter('(a == 1').errors).toEqual([{ message: 'Expected ")", found end of expression', position: 7 }]);
+  });
+
+  it('rejects anything that is not data, operators or literals', () => {
+    expect(() => parseFilter('process.exit()')).toThrow('found "("');
+    expect(() => parseFilter('a = 1')).toThrow('Unexpected character "="');
+  });
+});
+
+describe('checkFilter', () => {
+  it('type-checks operands per operator', () => {
+    const messages = checkFilter('a startsWith 5 or b in "x" or c == [1]').errors.map(e => e.message);
+    expect(messages).toHaveLength(3);
+    expect(messages[0]).toContain('"startsWith" cannot compare with a number');
+    expect(messages[1]).toContain('"in" cannot compare with a string');
+  });
+
+  it('rejects regexes that can backtrack catastrophically or are stateful', () => {
+    expect(checkFilter('a matches /(x+)+y/').errors[0].message).toContain('nested quantifier');
+    expect(checkFilter('a matches /x/g').errors[0].message).toContain('Unsupported regex flags');
+    expect(checkFilter('a matches "("').errors[0].message).toContain('Invalid regex');
+  });
+
+  it('finds nested repetition through wrapping groups and alternation', () => {
+    for (const regex of ['/((a+))+$/', '/(?:(a+))+$/', '/(a|aa)+$/', '/([a-z]*)*$/', '/(a+){2,}$/', '/(?:x(?:y|z))*$/']) {
+      expect(checkFilter(`x matches ${regex}`).errors[0]?.message, regex).toContain('nested quantifier');
+    }
+    expect(checkFilter('x matches /(a)\\1+/').errors[0].message).toContain('backreference');
+    const attack = evaluateFilter('x matches /((a+))+$/', { x: `${'a'.repeat(26)}b` });
+    expect(attack.matched).toBe(false);
+    expect(attack.errors[0].message).toContain('nested quantifier');
+    for (const regex of ['/^erp-(eu|us)$/i', '/^(ab)+$/', '/(a+)?b/', '/[(a+)]+/', '/^\\(\\d+\\)+$/', '/a{2}(bc){1}/']) {
+      expect(checkFilter(`x matches ${regex}`).errors, regex).toEqual([]);
+    }
+  });
+
+  it('accepts legacy equality objects', () => {
+    expect(checkFilter({ from: 'billing@vendor.com' }).errors).toEqual([]);
+  });
+});
+
+describe('evaluateFilter', () => {
+  it('matches string operators over nested paths', () => {
+    const result = evaluateFilter('subject contains "Invoice" and from endsWith "@vendor.com" and amount.currency == "EUR"', EMAIL);
+    expect(result.matched).toBe(true);
+    expect(result.clauses.map(c => c.result)).toEqual([true, true, true]);
+  });
+
+  it('supports in lists, not, ordering and regexes', () => {
+    expect(evaluateFilter('not (priority in ["low", "spam"]) and amount.total >= 1000', EMAIL).matched).toBe(true);
+    expect(evaluateFilter('from matches /^BILLING@/i', EMAIL).matched).toBe(true);
+    expect(evaluateFilter('labels contains "urgent"', EMAIL).matched).toBe(true);
+    expect(evaluateFilter('labels.0 == "finance"', EMAIL).matched).toBe(true);
+  });
+
+  it('does not run regexes on strings longer than MAX_MATCH_LENGTH', () => {
+    const long = 'a'.repeat(MAX_MATCH_LENGTH + 1);
+    expect(evaluateFilter('x matches /^a+$/', { x: long }).matched).toBe(false);
+    expect(evaluateFilter('x matches /^a+$/', { x: long.slice(1) }).matched).toBe(true);
+  });
+
+  it('short-circuits and records only evaluated clauses', () => {
+    const result = evaluateFilter('priority == "low" and subject contains "Invoice"', EMAIL);
+    expect(result.matched).toBe(false);
+    expect(result.clauses).toHaveLength(1);
+    expect(result.clauses[0]).toMatchObject({ path: 'priority', actual: 'high', expected: 'low' });
+  });
+
+  it('missing paths fail comparisons and never compare across types', () => {
+    expect(evaluateFilter('missing.deep == "x"', EMAIL).matched).toBe(false);
+    expect(evaluateFilter('missing != "x"', EMAIL).matched).toBe(true);
+    expect(evaluateFilter('amount.total > "5"', EMAIL).matched).toBe(false);
+    expect(evaluateFilter('subject.constructor', EMAIL).matched).toBe(false);
+  });
+
+  it('legacy equality objects and empty filters', () => {
+    expect(evaluateFilter({ priority: 'high', 'amount.currency': 'EUR' }, EMAIL).matched).toBe(true);
+    expect(evaluateFilter({ priority: 'low' }, EMAIL).matched).toBe(false);
+    expect(evaluateFilter('', EMAIL).matched).toBe(true);
+  });
+
+  it('returns errors instead of matching an invalid filter', () => {
+    const result = evaluateFilter('subject contains', EMAIL);
+    expect(result.matched).toBe(false);
+    expect(result.errors).toHaveLength(1);
+  });
+});
+
+describe('schemaValidator event trigger filters', () => {
+  function filterIssues(filter) {
+    const skill = makeValidSkill();
+    skill.triggers = [{ id: 'inbox', type: 'event', enabled: true, event: 'email.received', prompt: 'File the invoice', filter }];
+    return validateSchema(skill).filter(i => i.code === 'INVALID_TRIGGER_FILTER');
+  }
+
+  it('accepts expressions and legacy objects', () => {
+    expect(filterIssues('subject contains "invoice"')).toEqual([]);
+    expect(filterIssues({ from: 'billing@vendor.com' })).toEqual([]);
+  });
+
+  it('reports syntax and type errors with the character position', () => {
+    const issues = filterIssues('subject contains 5 and');
+    expect(issues).toHaveLength(1);
+    expect(issues[0].message).toContain('character 23');
+    expect(filterIssues('amount > [1]')[0].message).toContain('cannot compare with a list');
+    expect(filterIssues(42)[0].message).toContain('expression string or an object');
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { simulateGrantFlow } from '../src/validators/grantFlowSimulator.js';
+
+// telegram → identity-assurance → support-tier-1 → billing
+//                              ↘ escalation
+function makeSolution() {
+  return {
+    routing: {
+      telegram: { default_skill: 'identity-assurance' },
+      email: { default_skill: 'support-tier-1' },
+    },
+    grants: [
+      { key: 'ecom.customer_id', issued_by: ['identity-assurance'], consumed_by: ['support-tier-1'] },
+    ],
+    handoffs: [
+      { id: 'id-to-support', from: 'identity-assurance', to: 'support-tier-1', grants_passed: ['ecom.customer_id', 'ecom.assurance_level'] },
+      { id: 'support-to-billing', from: 'support-tier-1', to: 'billing', grants_passed: ['ecom.customer_id'] },
+      { id: 'id-to-escalation', from: 'identity-assurance', to: 'escalation', grants_passed: [] },
+    ],
+    security_contracts: [
+      { name: 'Orders need customer', consumer: 'support-tier-1', requires_grants: ['ecom.customer_id'] },
+      { name: 'Refunds need L2', consumer: 'billing', requires_grants: ['ecom.customer_id', 'ecom.assurance_level'] },
+      { name: 'Escalation needs customer', consumer: 'escalation', requires_grants: ['ecom.customer_id'] },
+    ],
+  };
+}
+
+const SKILLS = [
+  {
+    id: 'identity-assurance',
+    grant_mappings: [{ tool: 'identity.challenge.verify', grants: [{ key: 'ecom.assurance_level' }] }],
+  },
+  {
+    id: 'support-tier-1',
+    context_propagation: { on_handoff: { propagate_grants: ['ecom.customer_id'], drop_grants: [] } },
+  },
+];
+
+describe('simulateGrantFlow', () => {
+  it('tracks grants held at every hop', () => {
+    const flow = simulateGrantFlow(makeSolution(), { channel: 'telegram', skills: SKILLS });
+    expect(flow.entry_skill).toBe('identity-assurance');
+    expect(flow.paths).toHaveLength(2);
+
+    const toBilling = flow.paths.find(p => p.hops.at(-1).skill === 'billing');
+    expect(toBilling.hops.map(h => h.skill)).toEqual(['identity-assurance', 'support-tier-1', 'billing']);
+    expect(toBilling.hops[0].issued.sort()).toEqual(['ecom.assurance_level', 'ecom.customer_id']);
+    expect(toBilling.hops[1].received.sort()).toEqual(['ecom.assurance_level', 'ecom.customer_id']);
+    expect(toBilling.hops[2].held).toEqual(['ecom.customer_id']);
+
+    expect(flow.skills['billing'].held_always).toEqual(['ecom.customer_id']);
+  });
+
+  it('context_propagation overrides the declared grants_passed', () => {
+    const flow = simulateGrantFlow(makeSolution(), { channel: 'telegram', skills: SKILLS });
+    expect(flow.edges['support-to-billing'].passed).toEqual(['ecom.customer_id']);
+    expect(flow.edges['id-to-escalation'].passed).toEqual([]);
+  });
+
+  it('flags contracts that no reachable path satisfies', () => {
+    const flow = simulateGrantFlow(makeSolution(), { channel: 'telegram', skills: SKILLS });
+    const status = Object.fromEntries(flow.contracts.map(c => [c.name, c.status]));
+    expect(status).toEqual({
+      'Orders need customer': 'satisfied',
+      'Refunds need L2': 'unsatisfiable',
+      'Escalation needs customer': 'unsatisfiable',
+    });
+    expect(flow.contracts[1].missing).toEqual(['ecom.assurance_level']);
+    expect(flow.errors.map(e => e.check)).toEqual([
+      'grant_flow_contract_unsatisfiable',
+      'grant_flow_contract_unsatisfiable',
+    ]);
+  });
+
+  it('warns when a declared grant is never held by the sender', () => {
+    const flow = simulateGrantFlow(makeSolution(), { channel: 'email', skills: SKILLS });
+    expect(flow.edges['id-to-support'].traversed).toBe(false);
+    expect(flow.edges['support-to-billing'].not_available).toEqual(['ecom.customer_id']);
+    expect(flow.warnings.some(w => w.check === 'grant_flow_not_available')).toBe(true);
+    expect(flow.contracts.find(c => c.consumer === 'escalation').status).toBe('unreachable');
+  });
+
+  it('initial actor grants count from the first hop', () => {
+    const flow = simulateGrantFlow(makeSolution(), {
+      channel: 'email',
+      actor: { grants: { 'ecom.customer_id': 'cus_1' } },
+      skills: SKILLS,
+    });
+    expect(flow.initial_grants).toEqual(['ecom.customer_id']);
+    expect(flow.contracts.find(c => c.consumer === 'support-tier-1').status).toBe('satisfied');
+  });
+
+  it('warns when context_propagation drops a declared grant', () => {
+    const solution = makeSolution();
+    solution.handoffs[1].grants_passed = ['ecom.customer_id', 'ecom.assurance_level'];
+    const flow = simulateGrantFlow(solution, { channel: 'telegram', skills: SKILLS });
+    expect(flow.edges['support-to-billing'].not_propagated).toEqual(['ecom.assurance_level']);
+  });
+
+  it('stops at cycles', () => {
+    const solution = makeSolution();
+    solution.handoffs.push({ id: 'billing-back', from: 'billing', to: 'identity-assurance', grants_passed: [] });
+    const flow = simulateGrantFlow(solution, { channel: 'telegram', skills: SKILLS });
+    expect(flow.paths).toHaveLength(2);
+    expect(flow.edges['billing-back'].traversed).toBe(true);
+  });
+
+  it('unknown channel → entry error', () => {
+    const flow = simulateGrantFlow(makeSolution(), { channel: 'sms' });
+    expect(flow.entry_skill).toBeNull();
+    expect(flow.errors[0].check).toBe('grant_flow_entry');
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { buildJsonSchema, schemaNodeAt, SCHEMA_NAMES } from '../src/schemas/jsonSchema.js';
+import { COVERAGE, VALID_TONES } from '../src/validators/schemaValidator.js';
+import { validateDraftSkill } from '../src/validators/index.js';
+import { applyFix } from '../src/services/fixSuggester.js';
+import { makeValidSkill } from './fixtures/validSkill.js';
+
+const skillSchema = buildJsonSchema('skill');
+
+/**
+ * Every constrained node of a schema with a concrete path into an instance
+ * ("tools[0].inputs[0].type"), following local $refs.
+ */
+function constrainedNodes(schema) {
+  const found = [];
+  const deref = (node) => {
+    const ref = node?.$ref?.match(/^#\/\$defs\/(.+)$/);
+    return ref ? schema.$defs[ref[1]] : node;
+  };
+  const walk = (node, path) => {
+    node = deref(node);
+    if (node.enum || node.minimum !== undefined || node.maximum !== undefined
+      || node.exclusiveMinimum !== undefined || node.maxItems !== undefined) {
+      found.push({ path, node });
+    }
+    for (const [key, child] of Object.entries(node.properties || {})) {
+      walk(child, path ? `${path}.${key}` : key);
+    }
+    if (node.items) walk(node.items, `${path}[0]`);
+  };
+  walk(schema, '');
+  return found;
+}
+
+/** Values just outside what a node allows */
+function outOfRange(node) {
+  const values = [];
+  if (node.enum) values.push('__not_an_enum_value__');
+  if (node.minimum !== undefined) values.push(node.minimum - 1);
+  if (node.exclusiveMinimum !== undefined) values.push(node.exclusiveMinimum);
+  if (node.maximum !== undefined) values.push(node.maximum + 1);
+  if (node.maxItems !== undefined) values.push(Array.from({ length: node.maxItems + 1 }, (_, i) => `tool_${i}`));
+  return values;
+}
+
+describe('JSON Schema', () => {
+  it('builds draft 2020-12 documents with an absolute $id', () => {
+    for (const name of SCHEMA_NAMES) {
+      const schema = buildJsonSchema(name, { baseUrl: 'https://builder.example/spec/schema' });
+      expect(schema.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+      expect(schema.$id).toBe(`https://builder.example/spec/schema/${name}`);
+      expect(schema.type).toBe('object');
+    }
+    expect(() => buildJsonSchema('nope')).toThrow(/Unknown schema/);
+  });
+
+  it('takes enums from the validator constants', () => {
+    expect(schemaNodeAt(skillSchema, 'role.communication_style.tone').enum).toEqual(VALID_TONES);
+    expect(schemaNodeAt(skillSchema, 'triggers[].type').enum).toEqual(['schedule', 'event']);
+  });
+
+  it('declares every field schemaValidator covers', () => {
+    const missing = COVERAGE.map(c => c.field.replace(/\[\]$/, '')).filter(f => !schemaNodeAt(skillSchema, f));
+    expect(missing).toEqual([]);
+    expect(schemaNodeAt(skillSchema, 'engine.finalization_gate.max_retries').description).toBe('Number 0-10');
+  });
+});
+
+describe('JSON Schema agrees with validateDraftSkill', () => {
+  const cases = constrainedNodes(skillSchema)
+    .flatMap(({ path, node }) => outOfRange(node).map(value => [path, value]));
+
+  it('covers the enum and bound fields', () => {
+    expect(cases.length).toBeGreaterThan(20);
+  });
+
+  it.each(cases)('rejects %s = %j', (path, value) => {
+    const skill = applyFix(makeValidSkill(), path, value);
+    const result = validateDraftSkill(skill);
+    expect(result.errors.map(e => e.path)).toContain(path);
+  });
+
+  it.each(skillSchema.required)('requires %s', (field) => {
+    const skill = makeValidSkill();
+    delete skill[field];
+    expect(validateDraftSkill(skill).errors.map(e => e.path)).toContain(field);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest';
+import {
+  schemaToInputs,
+  diffToolInputs,
+  getMcpDriftReport,
+  checkMcpDrift,
+} from '../src/validators/mcpDriftChecker.js';
+import { validateDraftSkill } from '../src/validators/index.js';
+import { makeValidSkill } from './fixtures/validSkill.js';
+
+// The fixture bridges tools[0] (orders.order.get) to connection 'orders-mcp'
+function liveTools(properties, required = []) {
+  return {
+    'orders-mcp': [
+      { name: 'orders.order.get', inputSchema: { type: 'object', properties, required } },
+    ],
+  };
+}
+
+const IN_SYNC = liveTools({ order_id: { type: 'string', description: 'Order ID' } }, ['order_id']);
+
+describe('schemaToInputs', () => {
+  it('maps JSON Schema properties to DAL inputs', () => {
+    const inputs = schemaToInputs({
+      properties: {
+        limit: { type: 'integer', default: 10 },
+        status: { type: ['string', 'null'], enum: ['open', 'closed'] },
+        raw: {},
+      },
+      required: ['status'],
+    });
+    expect(inputs).toEqual([
+      { name: 'limit', type: 'number', required: false, description: '', default: 10 },
+      { name: 'status', type: 'string', required: true, description: '', enum: ['open', 'closed'] },
+      { name: 'raw', type: 'string', required: false, description: '' },
+    ]);
+  });
+
+  it('no schema → no inputs', () => {
+    expect(schemaToInputs(undefined)).toEqual([]);
+  });
+});
+
+describe('diffToolInputs', () => {
+  const stored = [{ name: 'order_id', type: 'string', required: true }];
+
+  it('identical schema → no changes', () => {
+    expect(diffToolInputs(stored, IN_SYNC['orders-mcp'][0].inputSchema)).toEqual([]);
+  });
+
+  it('text and integer are compatible with string and number', () => {
+    const changes = diffToolInputs(
+      [{ name: 'note', type: 'text' }, { name: 'qty', type: 'number' }],
+      { properties: { note: { type: 'string' }, qty: { type: 'integer' } } }
+    );
+    expect(changes).toEqual([]);
+  });
+
+  it('one removed + one added of the same type → rename hint', () => {
+    const changes = diffToolInputs(stored, {
+      properties: { orderId: { type: 'string' } },
+      required: ['orderId'],
+    });
+    const removed = changes.find(c => c.kind === 'removed');
+    expect(removed.param).toBe('order_id');
+    expect(removed.renamed_to).toBe('orderId');
+    expect(changes.find(c => c.kind === 'added').param).toBe('orderId');
+  });
+
+  it('retyped and required flag changes', () => {
+    const changes = diffToolInputs(stored, { properties: { order_id: { type: 'number' } } });
+    expect(changes).toContainEqual({ kind: 'retyped', param: 'order_id', from: 'string', to: 'number' });
+    expect(changes).toContainEqual({ kind: 'required_changed', param: 'order_id', from: true, to: false });
+  });
+});
+
+describe('getMcpDriftReport', () => {
+  it('reports in_sync, drifted, missing and unavailable', () => {
+    const skill = makeValidSkill();
+    skill.tools.push(
+      { ...skill.tools[0], id: 'tool-gone', name: 'orders.order.cancel' },
+      { ...skill.tools[0], id: 'tool-offline', name: 'crm.lookup', source: { type: 'mcp_bridge', connection_id: 'crm-mcp' } },
+    );
+
+    const byId = (report) => Object.fromEntries(report.map(entry => [entry.tool_id, entry.status]));
+    expect(byId(getMcpDriftReport(skill, IN_SYNC))).toEqual({
+      'tool-orders-get': 'in_sync',
+      'tool-gone': 'missing',
+      'tool-offline': 'unavailable',
+    });
+
+    const drifted = getMcpDriftReport(skill, liveTools({ order_id: { type: 'number' } }, ['order_id']));
+    expect(drifted[0].status).toBe('drifted');
+    expect(drifted[0].changes).toHaveLength(1);
+  });
+
+  it('uses source.mcp_tool when the DAL name differs', () => {
+    const skill = makeValidSkill();
+    skill.tools[0].name = 'get_order';
+    skill.tools[0].source.mcp_tool = 'orders.order.get';
+    expect(getMcpDriftReport(skill, IN_SYNC)[0].status).toBe('in_sync');
+  });
+});
+
+describe('checkMcpDrift', () => {
+  it('without live schemas → no issues', () => {
+    const skill = makeValidSkill();
+    expect(checkMcpDrift(skill, undefined)).toEqual([]);
+    expect(checkMcpDrift(skill, null)).toEqual([]);
+  });
+
+  it('renamed parameter → MCP_PARAM_REMOVED error with resync action', () => {
+    const issues = checkMcpDrift(makeValidSkill(), liveTools({ orderId: { type: 'string' } }, ['orderId']));
+    const removed = issues.find(i => i.code === 'MCP_PARAM_REMOVED');
+    expect(removed.severity).toBe('error');
+    expect(removed.path).toBe('tools[0].inputs[0]');
+    expect(removed.message).toContain('renamed to "orderId"');
+    expect(removed.action).toEqual({ type: 'resync_tool', tool_id: 'tool-orders-get', label: 'Resync tool' });
+
+    const added = issues.find(i => i.code === 'MCP_PARAM_ADDED');
+    expect(added.severity).toBe('error');
+  });
+
+  it('new optional parameter → warning', () => {
+    const issues = checkMcpDrift(makeValidSkill(), liveTools({
+      order_id: { type: 'string' },
+      include_items: { type: 'boolean' },
+    }, ['order_id']));
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ code: 'MCP_PARAM_ADDED', severity: 'warning' });
+  });
+
+  it('retyped parameter → MCP_PARAM_RETYPED error', () => {
+    const issues = checkMcpDrift(makeValidSkill(), liveTools({ order_id: { type: 'number' } }, ['order_id']));
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ code: 'MCP_PARAM_RETYPED', path: 'tools[0].inputs[0].type' });
+  });
+
+  it('parameter became optional → warning', () => {
+    const issues = checkMcpDrift(makeValidSkill(), liveTools({ order_id: { type: 'string' } }));
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ code: 'MCP_PARAM_REQUIRED_CHANGED', severity: 'warning' });
+  });
+
+  it('tool gone from connector → MCP_TOOL_REMOVED without action', () => {
+    const issues = checkMcpDrift(makeValidSkill(), { 'orders-mcp': [] });
+    expect(issues).toHaveLength(1);
+    expect(issues[0].code).toBe('MCP_TOOL_REMOVED');
+    expect(issues[0].action).toBeUndefined();
+  });
+});
+
+describe('validateDraftSkill with mcpTools', () => {
+  it('drift errors make the skill invalid', () => {
+    const skill = makeValidSkill();
+    expect(validateDraftSkill(skill, { mcpTools: IN_SYNC }).valid).toBe(true);
+
+    const result = validateDraftSkill(skill, { mcpTools: liveTools({ order_id: { type: 'number' } }, ['order_id']) });
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(e => e.code)).toContain('MCP_PARAM_RETYPED');
+  });
+
+  it('offline validation ignores drift', () => {
+    expect(validateDraftSkill(makeValidSkill()).valid).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getValidationSummary } from '../src/validators/index.js';
+import { validateSkillFile } from '../src/services/solutionDir.js';
+import { validateDraftSkill as validateInBrowser, annotateWithFixes } from '../src/browser.js';
+import { makeValidSkill } from './fixtures/validSkill.js';
+
+/** The fields every surface shows, in a stable order */
+const normalize = (issues) => issues
+  .map(({ code, severity, path, message, suggestion }) => ({ code, severity, path, message, suggestion }))
+  .sort((a, b) => `${a.code}|${a.path}`.localeCompare(`${b.code}|${b.path}`));
+
+function brokenSkill() {
+  const skill = makeValidSkill();
+  skill.problem.statement = 'Orders';
+  skill.role.communication_style.tone = 'casul';
+  delete skill.tools[0].description;
+  delete skill.tools[0].policy;
+  delete skill.tools[0].output.description;
+  return skill;
+}
+
+describe('API, CLI and browser report the same issues', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'rule-parity-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('for one skill', () => {
+    // API: GET /api/solutions/:id/skills/:skillId/validation
+    const api = getValidationSummary(brokenSkill());
+
+    // CLI: skill-validator <file>
+    const file = join(dir, 'skill.json');
+    writeFileSync(file, JSON.stringify(brokenSkill(), null, 2));
+    const cli = validateSkillFile(file);
+
+    // Browser: the Skill Builder's runFullValidation
+    const browser = annotateWithFixes(validateInBrowser(brokenSkill()), brokenSkill());
+
+    expect(normalize(cli.errors)).toEqual(normalize(api.errors));
+    expect(normalize(cli.warnings)).toEqual(normalize(api.warnings));
+    expect(normalize(browser.errors)).toEqual(normalize(api.errors));
+    expect(normalize(browser.warnings)).toEqual(normalize(api.warnings));
+
+    const codes = [...api.errors, ...api.warnings].map(i => i.code);
+    expect(codes).toEqual(expect.arrayContaining([
+      'INVALID_TONE',
+      'INVALID_TOOL_DESCRIPTION',
+      'INCOMPLETE_PROBLEM',
+      'MISSING_TOOL_POLICY',
+      'MISSING_OUTPUT_DESCRIPTION',
+    ]));
+    // Reported once, by the schema stage
+    expect(codes).not.toContain('MISSING_TOOL_DESCRIPTION');
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { defineRule, getRule, listRules, createIssue, runRules, ruleCoverage } from '../src/rules/index.js';
+import { validateSection, getValidationSummary } from '../src/validators/index.js';
+import { annotateWithFixes } from '../src/services/fixSuggester.js';
+import { ALL_COVERAGE } from '../src/validators/coverage.js';
+import { makeValidSkill } from './fixtures/validSkill.js';
+
+describe('rule registry', () => {
+  it('rejects duplicate codes and unknown severities', () => {
+    expect(() => defineRule({ code: 'NO_TOOLS', severity: 'warning' })).toThrow('already defined');
+    expect(() => defineRule({ code: 'TEST_BAD_SEVERITY', severity: 'blocker' })).toThrow('severity must be one of');
+    expect(getRule('TEST_BAD_SEVERITY')).toBeUndefined();
+  });
+
+  it('fills code, severity and default path/message from the rule', () => {
+    const skill = makeValidSkill();
+    skill.policy.guardrails = { never: [], always: [] };
+    expect(runRules(skill, { section: 'policy' })).toEqual([{
+      code: 'NO_GUARDRAILS',
+      severity: 'warning',
+      path: 'policy.guardrails',
+      message: 'At least one guardrail is recommended',
+      suggestion: 'Define what the agent should never or always do',
+    }]);
+  });
+
+  it('declares coverage for every built-in rule', () => {
+    expect(listRules().filter(r => !r.coverage).map(r => r.code)).toEqual([]);
+    expect(ALL_COVERAGE).toEqual(expect.arrayContaining(ruleCoverage()));
+    expect(ruleCoverage({ stage: 'schema' }).find(c => c.code === 'INVALID_TONE')).toMatchObject({
+      section: 'role',
+      field: 'role.communication_style.tone',
+      type: 'schema',
+    });
+  });
+
+  it('builds stage issues from the registered code', () => {
+    expect(createIssue('MISSING_ROLE')).toEqual({
+      code: 'MISSING_ROLE',
+      severity: 'error',
+      path: 'role',
+      message: 'Role section is required',
+    });
+    expect(createIssue('TOOL_NOT_FOUND', { severity: 'info', path: 'policy.approvals[0].tool_id' })).toMatchObject({
+      severity: 'info',
+      path: 'policy.approvals[0].tool_id',
+    });
+    expect(() => createIssue('NOT_A_RULE')).toThrow('is not defined');
+  });
+});
+
+describe('validateSection', () => {
+  it('runs the section rules with per-item paths and messages', () => {
+    const skill = makeValidSkill();
+    skill.tools[0].description = '';
+    const issues = validateSection(skill, 'tools');
+    expect(issues.map(i => i.code)).toContain('MISSING_TOOL_DESCRIPTION');
+    expect(issues.find(i => i.code === 'MISSING_TOOL_DESCRIPTION')).toMatchObject({
+      path: 'tools[0].description',
+      message: `Tool "${skill.tools[0].name}" needs a description`,
+    });
+  });
+
+  it('returns nothing for sections without rules', () => {
+    expect(validateSection(makeValidSkill(), 'engine')).toEqual([]);
+  });
+});
+
+describe('fix hooks', () => {
+  it('fixSuggester uses the rule hook before its own table', () => {
+    const result = annotateWithFixes({
+      errors: [],
+      warnings: [
+        { code: 'MISSING_SCENARIO_TITLE', severity: 'warning', path: 'scenarios[2].title', message: 'Scenario needs a title' },
+        { code: 'INCOMPLETE_PROBLEM', severity: 'warning', path: 'problem.statement', message: 'Too short' },
+      ],
+    });
+    expect(result.warnings[0].suggested_fix).toMatchObject({ replacement: 'Scenario 3', confidence: 0.9 });
+    expect(result.warnings[1].suggested_fix).toBeUndefined();
+    expect(result.summary.suggestions_offered).toBe(1);
+  });
+});
+
+describe('getValidationSummary', () => {
+  it('includes the issues behind the counts', () => {
+    const skill = makeValidSkill();
+    skill.tools[0].description = undefined;
+    const summary = getValidationSummary(skill);
+    expect(summary.warning_count).toBe(summary.warnings.length);
+    expect(summary.warnings.map(w => w.code)).toContain('INVALID_TOOL_DESCRIPTION');
+  });
+
+  it('runs the section rules without repeating stage issues', () => {
+    const skill = makeValidSkill();
+    skill.tools[0].description = undefined;
+    delete skill.tools[0].policy;
+    const codes = getValidationSummary(skill).warnings.map(w => w.code);
+    expect(codes).toContain('MISSING_TOOL_POLICY');
+    expect(codes).not.toContain('MISSING_TOOL_DESCRIPTION');
+
+    delete skill.problem;
+    const errors = getValidationSummary(skill).errors.map(e => e.code);
+    expect(errors).toContain('MISSING_PROBLEM');
+    expect(getValidationSummary(skill).warnings.map(w => w.code)).not.toContain('INCOMPLETE_PROBLEM');
+  });
+});
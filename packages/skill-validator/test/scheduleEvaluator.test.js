@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { parseCron, parseDuration, nextFireTimes, cronEverFires } from '../src/validators/scheduleEvaluator.js';
+import { validateSchema } from '../src/validators/schemaValidator.js';
+import { makeValidSkill } from './fixtures/validSkill.js';
+
+function scheduleIssues(trigger) {
+  const skill = makeValidSkill();
+  skill.triggers = [{ id: 't1', type: 'schedule', enabled: true, prompt: 'Run the report', ...trigger }];
+  return validateSchema(skill).filter(i => i.path?.startsWith('triggers[0]'));
+}
+
+describe('parseCron', () => {
+  it('expands ranges, steps, lists and names', () => {
+    const cron = parseCron('*/20 9-11 1,15 jan mon-wed');
+    expect(cron.minutes).toEqual([0, 20, 40]);
+    expect(cron.hours).toEqual([9, 10, 11]);
+    expect([...cron.days]).toEqual([1, 15]);
+    expect([...cron.months]).toEqual([1]);
+    expect([...cron.weekdays]).toEqual([1, 2, 3]);
+  });
+
+  it('accepts macros and 7 as Sunday', () => {
+    expect(parseCron('@daily').hours).toEqual([0]);
+    expect([...parseCron('0 0 * * 7').weekdays]).toEqual([0]);
+  });
+
+  it('rejects malformed expressions with a readable message', () => {
+    expect(() => parseCron('0 25 * * *')).toThrow('hour value 25 is out of range 0-23');
+    expect(() => parseCron('0 9 * *')).toThrow('5 fields');
+    expect(() => parseCron('0 17-9 * * *')).toThrow('backwards');
+    expect(() => parseCron('@fortnightly')).toThrow('Unknown cron macro');
+  });
+});
+
+describe('parseDuration', () => {
+  it('parses weeks through seconds', () => {
+    expect(parseDuration('PT15M')).toBe(15 * 60 * 1000);
+    expect(parseDuration('P1W')).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(parseDuration('P1DT')).toBeNull();
+    expect(parseDuration('PT0M')).toBeNull();
+  });
+});
+
+describe('nextFireTimes', () => {
+  const FRIDAY = '2026-10-23T00:00:00Z';
+
+  it('reads cron in the trigger timezone across a DST change', () => {
+    const times = nextFireTimes({ cron: '30 8 * * mon-fri', timezone: 'Europe/Berlin' }, { from: FRIDAY, count: 2 });
+    expect(times).toEqual([
+      { at: '2026-10-23T06:30:00.000Z', local: '2026-10-23 08:30', weekday: 'fri' },
+      { at: '2026-10-26T07:30:00.000Z', local: '2026-10-26 08:30', weekday: 'mon' },
+    ]);
+  });
+
+  it('skips local times that do not exist on the spring-forward day', () => {
+    const times = nextFireTimes({ cron: '30 2 * * *', timezone: 'Europe/Berlin' }, { from: '2026-03-28T12:00:00Z', count: 1 });
+    expect(times[0].local).toBe('2026-03-30 02:30');
+  });
+
+  it('limits intervals to active windows and skips blackout dates', () => {
+    const times = nextFireTimes({
+      every: 'PT15M',
+      timezone: 'America/New_York',
+      active_windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '17:00' }],
+      blackout_dates: ['2026-10-26'],
+    }, { from: FRIDAY, count: 34 });
+    expect(times[0].local).toBe('2026-10-23 09:00');
+    expect(times[31].local).toBe('2026-10-23 16:45');
+    expect(times[32].local).toBe('2026-10-27 09:00');
+  });
+
+  it('overnight windows belong to the day they start on', () => {
+    const times = nextFireTimes({
+      cron: '0 * * * *',
+      active_windows: [{ days: ['fri'], start: '22:00', end: '02:00' }],
+    }, { from: FRIDAY, count: 5 });
+    expect(times.map(t => t.local)).toEqual([
+      '2026-10-23 22:00', '2026-10-23 23:00', '2026-10-24 00:00', '2026-10-24 01:00', '2026-10-30 22:00',
+    ]);
+  });
+
+  it('returns nothing for a schedule that never fires', () => {
+    expect(nextFireTimes({ cron: '0 0 30 2 *' }, { from: FRIDAY })).toEqual([]);
+  });
+});
+
+describe('cronEverFires', () => {
+  it('needs a matching date and a cron time inside a window on its weekday', () => {
+    expect(cronEverFires({ cron: '0 0 29 2 *' })).toBe(true);
+    expect(cronEverFires({ cron: '0 0 30 2 *' })).toBe(false);
+    expect(cronEverFires({ cron: '0 3 * * *', active_windows: [{ start: '08:00', end: '18:00' }] })).toBe(false);
+    expect(cronEverFires({ cron: '0 9 * * sat', active_windows: [{ days: ['mon'], start: '08:00', end: '18:00' }] })).toBe(false);
+    expect(cronEverFires({ cron: '0 9 29 2 mon', active_windows: [{ days: ['sat'] }] })).toBe(true);
+    expect(cronEverFires({ cron: '0 1 * * sat', active_windows: [{ days: ['fri'], start: '22:00', end: '02:00' }] })).toBe(true);
+  });
+
+  it('stays fast for dense crons outside their windows', () => {
+    const trigger = { cron: '* 0-7 * * *', active_windows: [{ start: '09:00', end: '17:00' }] };
+    const started = Date.now();
+    expect(cronEverFires(trigger)).toBe(false);
+    expect(nextFireTimes(trigger, { from: '2026-10-23T00:00:00Z' })).toEqual([]);
+    expect(scheduleIssues({ cron: '*/5 0-7 * * *', active_windows: [{ start: '09:00', end: '17:00' }] })[0].code).toBe('TRIGGER_NEVER_FIRES');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('schemaValidator schedule triggers', () => {
+  it('accepts a cron trigger with timezone, windows and blackout dates', () => {
+    const issues = scheduleIssues({
+      cron: '*/15 * * * *',
+      timezone: 'Europe/Berlin',
+      active_windows: [{ days: ['mon'], start: '09:00', end: '17:00' }],
+      blackout_dates: ['2026-12-25'],
+    });
+    expect(issues).toEqual([]);
+  });
+
+  it('requires exactly one of every and cron', () => {
+    expect(scheduleIssues({}).map(i => i.code)).toEqual(['MISSING_TRIGGER_EVERY']);
+    expect(scheduleIssues({ every: 'PT5M', cron: '0 * * * *' }).map(i => i.code)).toEqual(['CONFLICTING_TRIGGER_SCHEDULE']);
+  });
+
+  it('reports invalid cron, timezone, windows and blackout dates', () => {
+    const codes = scheduleIssues({
+      cron: '0 9 * * funday',
+      timezone: 'Mars/Olympus',
+      active_windows: [{ days: ['mon'], start: '9am' }],
+      blackout_dates: ['2026-02-30'],
+    }).map(i => i.code);
+    expect(codes).toEqual(['INVALID_TRIGGER_CRON', 'INVALID_TRIGGER_TIMEZONE', 'INVALID_TRIGGER_WINDOW', 'INVALID_TRIGGER_BLACKOUT']);
+  });
+
+  it('warns when the cron hours never fall inside the active windows', () => {
+    const issues = scheduleIssues({ cron: '0 3 * * *', active_windows: [{ start: '08:00', end: '18:00' }] });
+    expect(issues).toMatchObject([{ code: 'TRIGGER_NEVER_FIRES', severity: 'warning' }]);
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, expect } from 'vitest';
+import { diffSkills, diffSolutions, summarizeChanges } from '../src/services/semanticDiff.js';
+
+const baseSkill = () => ({
+  id: 'orders',
+  name: 'Orders',
+  description: 'Order desk',
+  version: '1.0.0',
+  updated_at: '2026-01-01T00:00:00.000Z',
+  tools: [
+    {
+      id: 'get_order',
+      name: 'orders.get',
+      description: 'Fetch an order',
+      inputs: [{ name: 'order_id', type: 'string', required: true }],
+      output: { type: 'object' },
+      policy: { allowed: 'always' },
+      mock: { enabled: true, examples: [] },
+    },
+    { id: 'cancel_order', name: 'orders.cancel', inputs: [], output: { type: 'object' } },
+  ],
+  intents: {
+    supported: [{ id: 'track_order', description: 'Track', examples: ['where is my order', 'track 123'] }],
+    thresholds: { accept: 0.8, clarify: 0.5 },
+  },
+  policy: {
+    guardrails: { never: ['Share card numbers'], always: [] },
+    workflows: [{ id: 'refund', steps: ['orders.get', 'orders.refund'], required: false }],
+    approvals: [],
+  },
+  access_policy: { rules: [{ tools: ['orders.get'], effect: 'allow' }] },
+  engine: { model: 'default', temperature: 0.3, rv2: { max_iterations: 8 } },
+});
+
+describe('diffSkills', () => {
+  it('reports no changes for identical skills and ignores bookkeeping fields', () => {
+    const after = { ...baseSkill(), updated_at: '2026-02-01T00:00:00.000Z', deployedTo: 'core', validation: { ok: true } };
+    after.tools[0].mock = { enabled: false };
+    const diff = diffSkills(baseSkill(), after);
+    expect(diff).toMatchObject({ changed: false, changes: [], summary: 'No changes' });
+  });
+
+  it('describes an access_policy effect change in one line', () => {
+    const after = baseSkill();
+    after.access_policy.rules[0] = { tools: ['orders.get'], effect: 'constrain', constrain: { inject: { region: 'EU' } } };
+    const { changes, summary } = diffSkills(baseSkill(), after);
+    expect(changes.map(c => c.message)).toEqual([
+      'access_policy rule for orders.get changed from allow to constrain',
+      'access_policy rule for orders.get: constrain.inject.region set to EU',
+    ]);
+    expect(changes[0]).toMatchObject({ category: 'access_policy', kind: 'changed', path: 'access_policy.rules[orders.get].effect' });
+    expect(summary).toBe('2 changes: 2 access policy');
+  });
+
+  it('matches tools by id to find renames, additions and removals', () => {
+    const after = baseSkill();
+    after.tools[0].name = 'orders.fetch';
+    after.tools.splice(1, 1, { id: 'refund_order', name: 'orders.refund', inputs: [{ name: 'amount', type: 'number' }] });
+    const messages = diffSkills(baseSkill(), after).changes.map(c => c.message);
+    expect(messages).toEqual(expect.arrayContaining([
+      'Tool orders.get renamed to orders.fetch',
+      'Tool orders.refund added (1 input)',
+      'Tool orders.cancel removed',
+    ]));
+    expect(messages).toHaveLength(3);
+  });
+
+  it('diffs tool input schemas by parameter name', () => {
+    const after = baseSkill();
+    after.tools[0].inputs = [
+      { name: 'order_id', type: 'number', required: false },
+      { name: 'include_items', type: 'boolean', required: true },
+    ];
+    after.tools[0].policy.allowed = 'with_approval';
+    const changes = diffSkills(baseSkill(), after).changes;
+    expect(changes.map(c => [c.path, c.message])).toEqual([
+      ['tools[get_order].inputs[include_items]', 'Tool orders.get: required input include_items (boolean) added'],
+      ['tools[get_order].inputs[order_id].type', 'Tool orders.get: input order_id type changed from string to number'],
+      ['tools[get_order].inputs[order_id].required', 'Tool orders.get: input order_id is now optional'],
+      ['tools[get_order].policy.allowed', 'Tool orders.get: policy.allowed changed from always to with_approval'],
+    ]);
+  });
+
+  it('treats text/string and integer/number as the same input type', () => {
+    const after = baseSkill();
+    after.tools[0].inputs[0].type = 'text';
+    expect(diffSkills(baseSkill(), after).changed).toBe(false);
+  });
+
+  it('diffs intents, examples and thresholds', () => {
+    const after = baseSkill();
+    after.intents.supported[0].examples = ['where is my order', 'status of order 42', 'has it shipped'];
+    after.intents.supported.push({ id: 'cancel', examples: ['cancel it'] });
+    after.intents.thresholds.accept = 0.85;
+    const messages = diffSkills(baseSkill(), after).changes.map(c => c.message);
+    expect(messages).toEqual([
+      'Intent cancel added with 1 example',
+      'Intent track_order: examples 2 added, 1 removed',
+      'intents.thresholds.accept changed from 0.8 to 0.85',
+    ]);
+  });
+
+  it('diffs policy guardrails, workflows and approvals', () => {
+    const after = baseSkill();
+    after.policy.guardrails.always = ['Confirm before refunding'];
+    after.policy.workflows[0].required = true;
+    after.policy.approvals = [{ id: 'big_refund', tool_id: 'orders.refund', approver: 'manager' }];
+    const messages = diffSkills(baseSkill(), after).changes.map(c => c.message);
+    expect(messages).toEqual([
+      'Guardrail (always) added: Confirm before refunding',
+      'Workflow refund: required changed from false to true',
+      'Approval big_refund (orders.refund) added',
+    ]);
+  });
+
+  it('diffs engine parameters leaf by leaf', () => {
+    const after = baseSkill();
+    after.engine.temperature = 0.7;
+    after.engine.rv2.max_iterations = 12;
+    after.engine.autonomy = { level: 'supervised' };
+    const diff = diffSkills(baseSkill(), after);
+    expect(diff.changes.map(c => c.message)).toEqual([
+      'engine.temperature changed from 0.3 to 0.7',
+      'engine.rv2.max_iterations changed from 8 to 12',
+      'engine.autonomy.level set to supervised',
+    ]);
+    expect(diff.counts).toEqual({ engine: 3 });
+  });
+
+  it('reports top-level skill fields', () => {
+    const after = { ...baseSkill(), description: 'Orders and refunds', version: '1.1.0' };
+    expect(diffSkills(baseSkill(), after).changes.map(c => c.message)).toEqual([
+      'description changed from Order desk to Orders and refunds',
+      'version changed from 1.0.0 to 1.1.0',
+    ]);
+  });
+
+  it('reports a whole skill as added or removed', () => {
+    expect(diffSkills(null, baseSkill()).summary).toBe('Skill Orders added');
+    expect(diffSkills(baseSkill(), null).changes[0]).toMatchObject({ category: 'skill', kind: 'removed' });
+    expect(diffSkills(null, null).changed).toBe(false);
+  });
+});
+
+describe('diffSolutions', () => {
+  const solution = () => ({
+    id: 'shop',
+    name: 'Shop',
+    updated_at: '2026-01-01T00:00:00.000Z',
+    skills: [{ id: 'orders', role: 'worker' }],
+    grants: [{ key: 'customer_id', issued_by: ['identity'] }],
+    handoffs: [{ id: 'h1', from: 'triage', to: 'orders', mechanism: 'handoff-controller-mcp' }],
+    linked_skills: ['orders'],
+  });
+
+  it('matches skills, grants and handoffs by id', () => {
+    const after = solution();
+    after.skills.push({ id: 'returns', role: 'worker' });
+    after.grants[0].issued_by = ['identity', 'triage'];
+    after.handoffs[0].to = 'returns';
+    after.linked_skills.push('returns');
+    const diff = diffSolutions(solution(), after);
+    expect(diff.changes.map(c => c.message)).toEqual([
+      'Skill returns added',
+      'Grant customer_id: issued_by changed from ["identity"] to ["identity","triage"]',
+      'Handoff h1 (triage → returns): to changed from orders to returns',
+      'linked_skills added: returns',
+    ]);
+    expect(diff.skills).toEqual({});
+  });
+
+  it('includes per-skill diffs in the summary when skills are given', () => {
+    const after = baseSkill();
+    after.access_policy.rules[0].effect = 'deny';
+    const diff = diffSolutions(solution(), solution(), {
+      skills: { before: { orders: baseSkill() }, after: { orders: after, returns: { id: 'returns', name: 'Returns' } } },
+    });
+    expect(diff.changed).toBe(false);
+    expect(Object.keys(diff.skills)).toEqual(['orders', 'returns']);
+    expect(diff.skills.orders.summary).toBe('access_policy rule for orders.get changed from allow to deny');
+    expect(diff.summary).toBe('2 changes: 1 access policy, 1 skill');
+  });
+});
+
+describe('summarizeChanges', () => {
+  it('counts changes per category', () => {
+    expect(summarizeChanges([])).toBe('No changes');
+    expect(summarizeChanges([
+      { category: 'tools', message: 'a' },
+      { category: 'tools', message: 'b' },
+      { category: 'engine', message: 'c' },
+    ])).toBe('3 changes: 2 tools, 1 engine');
+  });
+});
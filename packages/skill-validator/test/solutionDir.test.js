@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { locateJsonPaths, findPosition } from '../src/services/jsonLocator.js';
+import { validateSolutionDir, validateSkillFile } from '../src/services/solutionDir.js';
+import { toSarif, toJUnit } from '../src/services/reportFormats.js';
+import { makeValidSkill } from './fixtures/validSkill.js';
+
+describe('jsonLocator', () => {
+  const text = '{\n  "name": "x",\n  "tools": [\n    { "id": "a", "output": { "type": "obj" } },\n    "b"\n  ]\n}\n';
+  const positions = locateJsonPaths(text);
+
+  it('records object members at their key and array items at their value', () => {
+    expect(positions.get('name')).toEqual({ line: 2, column: 3 });
+    expect(positions.get('tools[0].output.type')).toEqual({ line: 4, column: 30 });
+    expect(positions.get('tools[1]')).toEqual({ line: 5, column: 5 });
+  });
+
+  it('falls back to the closest existing parent', () => {
+    expect(findPosition(positions, 'tools[0].output.description')).toEqual({ line: 4, column: 18 });
+    expect(findPosition(positions, 'policy.guardrails')).toEqual({ line: 1, column: 1 });
+    expect(findPosition(positions)).toEqual({ line: 1, column: 1 });
+  });
+});
+
+describe('solution directories', () => {
+  let dir;
+
+  const writeJson = (file, data) => {
+    mkdirSync(join(dir, file, '..'), { recursive: true });
+    writeFileSync(join(dir, file), JSON.stringify(data, null, 2));
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'skill-validator-'));
+    const support = { ...makeValidSkill(), id: 'support' };
+    support.role.communication_style.tone = 'casul';
+    writeJson('skills/support/skill.json', support);
+    writeJson('solution.json', {
+      id: 'sol',
+      name: 'Support Solution',
+      skills: [{ id: 'support', role: 'gateway' }],
+      handoffs: [{ id: 'to-ghost', from: 'support', to: 'ghost' }],
+      routing: { api: { default_skill: 'support' } },
+    });
+  });
+
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('validates solution.json and the skills with file positions', () => {
+    const { files } = validateSolutionDir(dir);
+    expect(files.map(f => [f.kind, f.file])).toEqual([
+      ['solution', join(dir, 'solution.json')],
+      ['skill', join(dir, 'skills/support/skill.json')],
+    ]);
+
+    const handoff = files[0].errors.find(e => e.code === 'handoff_target_exists');
+    expect(handoff).toMatchObject({ severity: 'error', path: 'handoffs[0]', line: 11 });
+
+    const tone = files[1].errors.find(e => e.code === 'INVALID_TONE');
+    const line = readFileSync(files[1].file, 'utf-8').split('\n')[tone.line - 1];
+    expect(line.slice(tone.column - 1)).toMatch(/^"tone": "casul"/);
+  });
+
+  it('locates cross-skill tool errors in the skill file', () => {
+    const support = JSON.parse(readFileSync(join(dir, 'skills/support/skill.json'), 'utf-8'));
+    support.tools.push({ ...support.tools[0], id: 'tool-bridge', name: 'crm.lookup', source: { type: 'mcp_bridge', connection_id: 'crm-mcp' } });
+    writeJson('skills/support/skill.json', support);
+
+    const { files } = validateSolutionDir(dir);
+    const bridge = files[0].errors.find(e => e.code === 'mcp_bridge_connector_exists' && e.tool === 'crm.lookup');
+    const skillFile = join(dir, 'skills/support/skill.json');
+    expect(bridge).toMatchObject({ file: skillFile, path: `tools[${support.tools.length - 1}]` });
+    const lines = readFileSync(skillFile, 'utf-8').split('\n');
+    expect(lines.slice(bridge.line).join('\n')).toMatch(/^\s*"id": "tool-bridge"/);
+
+    const sarif = toSarif(files, { root: dir });
+    const result = sarif.runs[0].results.find(r => r.message.text.startsWith('Tool "crm.lookup"'));
+    expect(result.locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'skills/support/skill.json', uriBaseId: '%SRCROOT%' },
+      region: { startLine: bridge.line, startColumn: bridge.column },
+    });
+    expect(toJUnit(files)).toContain(`${skillFile}:${bridge.line}:${bridge.column} Tool &quot;crm.lookup&quot;`);
+  });
+
+  it('emits SARIF URIs relative to the validated root', () => {
+    const { files } = validateSolutionDir(dir);
+    const sarif = toSarif(files, { root: dir });
+    const uris = sarif.runs[0].results.map(r => r.locations[0].physicalLocation.artifactLocation);
+    expect(uris).toContainEqual({ uri: 'solution.json', uriBaseId: '%SRCROOT%' });
+    expect(uris).toContainEqual({ uri: 'skills/support/skill.json', uriBaseId: '%SRCROOT%' });
+    expect(sarif.runs[0].originalUriBaseIds['%SRCROOT%'].uri).toMatch(/^file:\/\/.*\/$/);
+
+    const outside = toSarif(files, { root: join(dir, 'skills') });
+    expect(outside.runs[0].results[0].locations[0].physicalLocation.artifactLocation).toEqual({ uri: pathToFileURL(join(dir, 'solution.json')).href });
+  });
+
+  it('applies and writes back fixes with fix', () => {
+    const { files } = validateSolutionDir(dir, { fix: true });
+    expect(files[1].fix_log.map(c => c.code)).toEqual(['INVALID_TONE']);
+    expect(JSON.parse(readFileSync(files[1].file, 'utf-8')).role.communication_style.tone).toBe('casual');
+  });
+
+  it('validates a directory with a single skill.json', () => {
+    const skillDir = join(dir, 'skills/support');
+    expect(validateSolutionDir(skillDir).files.map(f => f.kind)).toEqual(['skill']);
+  });
+
+  it('rejects directories without anything to validate', () => {
+    expect(() => validateSolutionDir(join(dir, 'skills'))).toThrow(expect.objectContaining({ code: 'NOT_A_SOLUTION_DIR' }));
+  });
+
+  it('reports unreadable files', () => {
+    writeFileSync(join(dir, 'broken.json'), '{ nope');
+    expect(() => validateSkillFile(join(dir, 'broken.json'))).toThrow(expect.objectContaining({ code: 'FILE_ERROR' }));
+  });
+});
+
+describe('report formats', () => {
+  const files = [
+    {
+      file: './skills/a/skill.json',
+      kind: 'skill',
+      valid: false,
+      errors: [{ code: 'NO_TOOLS', severity: 'error', path: 'tools', message: 'At least one tool is required', line: 3, column: 3 }],
+      warnings: [{ code: 'W1', severity: 'warning', message: 'Heads <up>', line: 1, column: 1 }],
+    },
+    { file: 'skills/b/skill.json', kind: 'skill', valid: true, errors: [], warnings: [] },
+  ];
+
+  it('emits SARIF results with physical locations', () => {
+    const sarif = toSarif(files, { version: '1.2.3' });
+    expect(sarif.version).toBe('2.1.0');
+    const run = sarif.runs[0];
+    expect(run.tool.driver).toMatchObject({ name: 'skill-validator', version: '1.2.3' });
+    expect(run.tool.driver.rules.map(r => r.id)).toEqual(['NO_TOOLS', 'W1']);
+    expect(run.tool.driver.rules[0].shortDescription.text).toBe('At least one tool is required');
+    expect(run.results[0]).toMatchObject({
+      ruleId: 'NO_TOOLS',
+      level: 'error',
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'skills/a/skill.json', uriBaseId: '%SRCROOT%' }, region: { startLine: 3, startColumn: 3 } } }],
+      properties: { path: 'tools' },
+    });
+    expect(run.results[1].level).toBe('warning');
+  });
+
+  it('emits JUnit suites with a failing case per error', () => {
+    const xml = toJUnit(files);
+    expect(xml).toContain('<testsuites name="skill-validator" tests="2" failures="1">');
+    expect(xml).toContain('<failure type="NO_TOOLS" message="At least one tool is required">./skills/a/skill.json:3:3 At least one tool is required</failure>');
+    expect(xml).toContain('<system-out>./skills/a/skill.json:1:1 warning [W1] Heads &lt;up&gt;</system-out>');
+    expect(xml).toContain('<testcase classname="skills/b/skill.json" name="valid"/>');
+  });
+});
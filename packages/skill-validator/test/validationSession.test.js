@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createValidationSession, diffIssues } from '../src/services/validationSession.js';
+import { startResultsServer, toDiagnostics } from '../src/services/resultsServer.js';
+import { makeValidSkill } from './fixtures/validSkill.js';
+
+describe('diffIssues', () => {
+  const issue = (code, line = 1) => ({ code, severity: 'error', path: 'x', message: code, line, column: 1 });
+
+  it('reports fixed and new issues, ignoring moved lines', () => {
+    const before = [{ file: 'a.json', errors: [issue('A'), issue('B')], warnings: [] }];
+    const after = [{ file: 'a.json', errors: [issue('B', 9), issue('C')], warnings: [] }];
+    const diff = diffIssues(before, after);
+    expect(diff.fixed.map(c => c.issue.code)).toEqual(['A']);
+    expect(diff.new.map(c => c.issue.code)).toEqual(['C']);
+  });
+});
+
+describe('validation sessions', () => {
+  let dir;
+  let skill;
+
+  const writeJson = (file, data) => {
+    mkdirSync(join(dir, file, '..'), { recursive: true });
+    writeFileSync(join(dir, file), JSON.stringify(data, null, 2));
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'skill-validator-'));
+    skill = { ...makeValidSkill(), id: 'support' };
+    writeJson('skills/support/skill.json', skill);
+    writeJson('solution.json', {
+      id: 'sol',
+      name: 'Support Solution',
+      skills: [{ id: 'support', role: 'gateway' }],
+      handoffs: [{ id: 'to-ghost', from: 'support', to: 'ghost' }],
+      routing: { api: { default_skill: 'support' } },
+    });
+  });
+
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  const skillFile = () => join(dir, 'skills/support/skill.json');
+  const solutionFile = () => join(dir, 'solution.json');
+
+  it('revalidates a changed skill and its solution', () => {
+    const session = createValidationSession([dir]);
+    expect(session.version).toBe(0);
+
+    skill.role.communication_style.tone = 'casul';
+    writeJson('skills/support/skill.json', skill);
+    const update = session.update([skillFile()]);
+
+    expect(update.version).toBe(1);
+    expect(update.revalidated).toEqual([skillFile(), solutionFile()]);
+    expect(update.new.map(c => c.issue.code)).toEqual(['INVALID_TONE']);
+    expect(update.fixed).toEqual([]);
+
+    skill.role.communication_style.tone = 'casual';
+    writeJson('skills/support/skill.json', skill);
+    expect(session.update([skillFile()]).fixed.map(c => c.issue.code)).toEqual(['INVALID_TONE']);
+  });
+
+  it('reruns only the cross-skill checks when solution.json changes', () => {
+    const session = createValidationSession([dir]);
+    writeJson('solution.json', {
+      id: 'sol',
+      name: 'Support Solution',
+      skills: [{ id: 'support', role: 'gateway' }],
+      handoffs: [],
+      routing: { api: { default_skill: 'support' } },
+    });
+    const update = session.update([solutionFile()]);
+    expect(update.revalidated).toEqual([solutionFile()]);
+    expect(update.fixed.map(c => c.issue.code)).toContain('handoff_target_exists');
+  });
+
+  it('ignores files the solution does not depend on', () => {
+    const session = createValidationSession([dir]);
+    const update = session.update([join(dir, 'README.md')]);
+    expect(update).toMatchObject({ revalidated: [], fixed: [], new: [] });
+  });
+
+  it('reports a skill file mid-edit as FILE_ERROR and keeps going', () => {
+    const session = createValidationSession([dir]);
+    writeFileSync(skillFile(), '{ "id": "support",');
+    const update = session.update([skillFile()]);
+    expect(update.new.map(c => [c.file, c.issue.code])).toEqual([[skillFile(), 'FILE_ERROR']]);
+    expect(session.files().find(f => f.file === skillFile()).valid).toBe(false);
+
+    writeJson('skills/support/skill.json', skill);
+    expect(session.update([skillFile()]).fixed.map(c => c.issue.code)).toEqual(['FILE_ERROR']);
+  });
+
+  it('drops the report of a removed skill directory', () => {
+    const session = createValidationSession([dir]);
+    rmSync(join(dir, 'skills/support'), { recursive: true });
+    session.update([join(dir, 'skills/support')]);
+    expect(session.files().map(f => f.file)).toEqual([solutionFile()]);
+  });
+
+  it('watches single skill files', () => {
+    const session = createValidationSession([skillFile()]);
+    skill.role.communication_style.tone = 'casul';
+    writeJson('skills/support/skill.json', skill);
+    expect(session.update([skillFile()]).new.map(c => c.issue.code)).toEqual(['INVALID_TONE']);
+    expect(session.update([solutionFile()]).revalidated).toEqual([]);
+  });
+});
+
+describe('results server', () => {
+  let dir;
+  let server;
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'skill-validator-'));
+    const skill = { ...makeValidSkill(), id: 'support' };
+    skill.role.communication_style.tone = 'casul';
+    mkdirSync(join(dir, 'skills/support'), { recursive: true });
+    writeFileSync(join(dir, 'skills/support/skill.json'), JSON.stringify(skill, null, 2));
+    server = startResultsServer(createValidationSession([dir]), { port: 0 });
+    await new Promise(resolve => server.once('listening', resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const get = async (path) => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('serves results, skipping unchanged versions', async () => {
+    const { body } = await get('/results');
+    expect(body).toMatchObject({ version: 0, changed: true, summary: { files: 1, valid: false } });
+    expect(body.files[0].errors.map(e => e.code)).toContain('INVALID_TONE');
+    expect((await get('/results?since=0')).body).toEqual({ version: 0, changed: false });
+    expect((await get('/results?since=latest')).status).toBe(400);
+  });
+
+  it('serves LSP diagnostics', async () => {
+    const { body } = await get('/diagnostics');
+    expect(body[0].uri).toMatch(/^file:\/\/.*skill\.json$/);
+    const tone = body[0].diagnostics.find(d => d.code === 'INVALID_TONE');
+    expect(tone).toMatchObject({ severity: 1, source: 'skill-validator' });
+    expect(tone.range.start.line).toBeGreaterThan(0);
+  });
+
+  it('rejects unknown endpoints and methods', async () => {
+    expect((await get('/nope')).status).toBe(404);
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/results`, { method: 'POST' });
+    expect(res.status).toBe(405);
+  });
+});
+
+describe('toDiagnostics', () => {
+  it('converts 1-based positions to 0-based ranges', () => {
+    const [diagnostic] = toDiagnostics({
+      file: 'skill.json',
+      errors: [],
+      warnings: [{ code: 'W', severity: 'warning', message: 'm', suggestion: 's', line: 3, column: 5 }],
+    }, 2).diagnostics;
+    expect(diagnostic).toMatchObject({ severity: 2, message: 'm\ns', range: { start: { line: 2, character: 4 } } });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { createHttpGitProvider } from '../src/services/vcs/httpGitProvider.js';
+
+const T = 'acme';
+
+/** Serve one page of items the way the server would, honoring at most cap items per page */
+function page(items, url, sizeParam, cap) {
+  const q = new URL(url).searchParams;
+  const size = Math.min(Number(q.get(sizeParam)), cap);
+  const n = Number(q.get('page') || 1);
+  return items.slice((n - 1) * size, n * size);
+}
+
+/** fetch stub: routes are [pathRegex, (url) => body]; unmatched paths are 404s */
+function fakeFetch(routes) {
+  const calls = [];
+  const fetch = async (url) => {
+    calls.push(url);
+    const { pathname } = new URL(url);
+    const route = routes.find(([re]) => re.test(pathname));
+    const [status, body] = route ? [200, route[1](url)] : [404, { message: 'Not Found' }];
+    return { status, ok: status < 400, text: async () => JSON.stringify(body) };
+  };
+  return { fetch, calls };
+}
+
+const range = (n, fn) => Array.from({ length: n }, (_, i) => fn(i));
+const checkpointTag = (i) => `prod-2026-01-${String(1 + (i % 28)).padStart(2, '0')}-${String(i).padStart(3, '0')}`;
+
+function provider(flavor, fetch) {
+  return createHttpGitProvider({ flavor, baseUrl: 'https://git.example.com', token: 't', owner: 'solutions', fetch });
+}
+
+describe('GitLab provider pagination', () => {
+  it('lists repos past the first page', async () => {
+    const projects = range(130, i => ({ path: `${T}--sol${i}`, web_url: `https://git.example.com/solutions/${T}--sol${i}` }));
+    const { fetch, calls } = fakeFetch([
+      [/\/groups\/solutions\/projects$/, url => page(projects, url, 'per_page', 100)],
+    ]);
+
+    const repos = await provider('gitlab', fetch).listTenantRepos(T);
+    expect(repos).toHaveLength(130);
+    expect(repos[129]).toEqual({ solutionId: 'sol129', repo_url: projects[129].web_url });
+    expect(calls).toHaveLength(2);
+  });
+
+  it('falls back to user projects and lists tags past the first page', async () => {
+    const projects = range(100, i => ({ path: `${T}--sol${i}`, web_url: `u${i}` }));
+    const tags = range(205, i => ({ name: checkpointTag(i), commit: { id: `sha${i}` } }));
+    const { fetch } = fakeFetch([
+      [/\/users\/solutions\/projects$/, url => page(projects, url, 'per_page', 100)],
+      [/\/projects\/solutions%2Facme--sol1\/repository\/tags$/, url => page(tags, url, 'per_page', 100)],
+    ]);
+    const gitlab = provider('gitlab', fetch);
+
+    expect(await gitlab.listTenantRepos(T)).toHaveLength(100);
+    const { checkpoints } = await gitlab.listCheckpoints(T, 'sol1');
+    expect(checkpoints).toHaveLength(205);
+    expect(checkpoints.map(c => c.tag)).toContain(checkpointTag(204));
+  });
+});
+
+describe('Gitea provider pagination', () => {
+  it('lists repos when the server caps pages below the requested limit', async () => {
+    const repos = range(120, i => ({ name: `${T}--sol${i}`, html_url: `https://git.example.com/solutions/${T}--sol${i}` }));
+    const { fetch, calls } = fakeFetch([
+      [/\/orgs\/solutions\/repos$/, url => page(repos, url, 'limit', 30)],
+    ]);
+
+    const listed = await provider('gitea', fetch).listTenantRepos(T);
+    expect(listed).toHaveLength(120);
+    expect(listed[119].solutionId).toBe('sol119');
+    // 4 full pages of 30, then the empty one
+    expect(calls).toHaveLength(5);
+  });
+
+  it('falls back to user repos and lists tags past the first page', async () => {
+    const repos = range(60, i => ({ name: `${T}--sol${i}`, html_url: `u${i}` }));
+    const tags = range(75, i => ({ name: checkpointTag(i), commit: { sha: `sha${i}` } }));
+    const { fetch } = fakeFetch([
+      [/\/users\/solutions\/repos$/, url => page(repos, url, 'limit', 50)],
+      [/\/repos\/solutions\/acme--sol1\/tags$/, url => page(tags, url, 'limit', 50)],
+    ]);
+    const gitea = provider('gitea', fetch);
+
+    expect(await gitea.listTenantRepos(T)).toHaveLength(60);
+    const { checkpoints } = await gitea.listCheckpoints(T, 'sol1');
+    expect(checkpoints).toHaveLength(75);
+    expect(checkpoints.map(c => c.tag)).toContain(checkpointTag(74));
+  });
+});
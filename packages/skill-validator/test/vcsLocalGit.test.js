@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as vcs from '../src/services/vcs/index.js';
+import { createLocalGitProvider } from '../src/services/vcs/localGitProvider.js';
+
+const T = 'acme';
+const SOL = 'support';
+
+let root;
+
+beforeAll(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'vcs-local-'));
+  vcs.setProvider(createLocalGitProvider({ root }));
+});
+
+afterAll(async () => {
+  vcs.setProvider(null);
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+describe('local git provider', () => {
+  it('creates a bare repo with main and dev', async () => {
+    const created = await vcs.ensureRepo(T, SOL, 'Support desk');
+    expect(created).toMatchObject({ full_name: 'acme--support', created: true });
+    expect((await vcs.ensureRepo(T, SOL)).created).toBe(false);
+    expect(await vcs.listTenantRepos(T)).toEqual([{ solutionId: SOL, repo_url: created.repo_url }]);
+    expect(vcs.providerName()).toBe('local');
+    expect(vcs.isEnabled()).toBe(true);
+  });
+
+  it('pushes, reads and lists files on a branch', async () => {
+    const pushed = await vcs.pushFiles(T, SOL, [
+      { path: 'solution.json', content: '{"id":"support"}' },
+      { path: 'skills/triage/skill.json', content: '{"id":"triage"}' },
+    ], 'Add triage', 'dev');
+    expect(pushed.files_committed).toBe(2);
+
+    const file = await vcs.readFile(T, SOL, 'skills/triage/skill.json', 'dev');
+    expect(file).toMatchObject({ path: 'skills/triage/skill.json', content: '{"id":"triage"}', size: 15 });
+    expect((await vcs.readFileBySha(T, SOL, 'solution.json', null, 'dev'))._cached).toBe(false);
+
+    const paths = (await vcs.listFiles(T, SOL, 'dev')).map(f => f.path).sort();
+    expect(paths).toEqual(['README.md', 'skills/triage/skill.json', 'solution.json']);
+    expect(await vcs.listDir(T, SOL, 'skills', 'dev')).toEqual(['triage']);
+    expect((await vcs.getLog(T, SOL, 5, 'dev')).commits[0].message).toBe('Add triage');
+  });
+
+  it('reports missing files and refs as 404s', async () => {
+    await expect(vcs.readFile(T, SOL, 'nope.json', 'dev')).rejects.toMatchObject({ status: 404 });
+    await expect(vcs.readFile(T, SOL, 'solution.json', 'master')).rejects.toMatchObject({ status: 404, refNotFound: true });
+  });
+
+  it('diffs dev against main and promotes with a checkpoint tag', async () => {
+    const diff = await vcs.getDiff(T, SOL, 'main', 'dev');
+    expect(diff).toMatchObject({ ahead_by: 1, behind_by: 0, status: 'ahead' });
+    expect(diff.files.map(f => [f.path, f.status]).sort()).toEqual([
+      ['skills/triage/skill.json', 'added'],
+      ['solution.json', 'added'],
+    ]);
+
+    const promoted = await vcs.promote(T, SOL, { label: 'first' });
+    expect(promoted).toMatchObject({ ok: true, merged_commits: 1, files_changed: 2 });
+    expect(promoted.tag).toMatch(/^prod-\d{4}-\d{2}-\d{2}-001$/);
+    expect((await vcs.readFile(T, SOL, 'solution.json', 'main')).content).toBe('{"id":"support"}');
+    expect((await vcs.promote(T, SOL)).already_up_to_date).toBe(true);
+
+    const { checkpoints } = await vcs.listCheckpoints(T, SOL);
+    expect(checkpoints.map(c => c.tag)).toEqual([promoted.tag]);
+    expect(checkpoints[0].commit_sha).toBe(promoted.merge_commit_sha);
+  });
+
+  it('rolls main back to a checkpoint with an additive commit', async () => {
+    const [{ tag }] = (await vcs.listCheckpoints(T, SOL)).checkpoints;
+    await vcs.patchFile(T, SOL, 'solution.json', '{"id":"broken"}', 'Break it', 'main');
+    await vcs.patchFile(T, SOL, 'extra.txt', 'x', 'Add extra', 'main');
+
+    const result = await vcs.rollback(T, SOL, tag);
+    expect(result).toMatchObject({ ok: true, rolled_back_to: tag });
+    expect((await vcs.readFile(T, SOL, 'solution.json', 'main')).content).toBe('{"id":"support"}');
+    expect((await vcs.listFiles(T, SOL, 'main')).some(f => f.path === 'extra.txt')).toBe(false);
+    expect((await vcs.getLog(T, SOL, 1, 'main')).commits[0].message).toMatch(/^Rollback main to /);
+    expect((await vcs.rollback(T, SOL, 'main')).no_op).toBe(true);
+  });
+
+  it('deletes directories and edits files in place', async () => {
+    const edited = await vcs.searchReplacePatchFile(T, SOL, 'solution.json', 'support', 'helpdesk', null, 'main');
+    expect(edited.replacements).toBe(1);
+    const deleted = await vcs.deleteDirectory(T, SOL, 'skills/triage');
+    expect(deleted.total_files_deleted).toBe(1);
+    expect(await vcs.listDir(T, SOL, 'skills')).toEqual([]);
+  });
+
+  it('refuses to merge conflicting branches', async () => {
+    await vcs.pushFiles(T, SOL, [{ path: 'solution.json', content: '{"id":"from-dev"}' }], 'dev edit', 'dev');
+    await expect(vcs.mergeBranch(T, SOL, 'main', 'dev')).rejects.toThrow(/409/);
+    expect((await vcs.readFile(T, SOL, 'solution.json', 'main')).content).toBe('{"id":"helpdesk"}');
+  });
+
+  it('serializes concurrent pushes to the same branch', async () => {
+    await Promise.all([1, 2, 3].map(n => vcs.pushFiles(T, SOL, [{ path: `notes/${n}.md`, content: `${n}` }], `note ${n}`, 'main')));
+    const notes = (await vcs.listFiles(T, SOL, 'main')).filter(f => f.path.startsWith('notes/'));
+    expect(notes).toHaveLength(3);
+  });
+});